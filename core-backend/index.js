@@ -9,6 +9,7 @@ const fs = require("fs");
 
 // ✅ GridFS support (MongoDB file storage)
 const { GridFSBucket } = require("mongodb");
+const { getCorrectiveActionsBucket } = require("./lib/gridfs");
 
 // ------------------ Models (ensure compiled on boot) ------------------
 try {
@@ -68,6 +69,30 @@ const { startBiometricWorker } = safeRequire("./services/biometricWorker") || {
   startBiometricWorker: null,
 };
 
+// ✅ Vehicle reminder digests (optional)
+const { runVehicleReminderSweepOnce } =
+  safeRequire("./services/vehicleReminders") || {
+    runVehicleReminderSweepOnce: null,
+  };
+
+// ✅ Recurring inspection schedules (optional)
+const { runInspectionScheduleSweepOnce } =
+  safeRequire("./services/inspectionSchedules") || {
+    runInspectionScheduleSweepOnce: null,
+  };
+
+// ✅ Preventive maintenance work orders (optional)
+const { runMaintenanceSweepOnce } =
+  safeRequire("./services/preventiveMaintenance") || {
+    runMaintenanceSweepOnce: null,
+  };
+
+// ✅ Offline map tile packs: expiry + queued builds (optional)
+const { runTilePackSweepOnce } =
+  safeRequire("./services/tilePacks") || {
+    runTilePackSweepOnce: null,
+  };
+
 // Org model for background trial sweep
 const Org = safeRequire("./models/Org");
 
@@ -76,6 +101,7 @@ const orgRouter = require("./routes/org");
 const authRouter = require("./routes/auth");
 const usersRouter = require("./routes/users");
 const clockingsRouter = require("./routes/clockings");
+const timesheetsRouter = require("./routes/timesheets");
 const billingRouter = safeRequire("./routes/billing");
 
 // Geofence routers (mounted early to avoid being shadowed)
@@ -92,6 +118,11 @@ const inspectionsRouter = safeRequire("./routes/inspections");
 
 const assetsRouter = safeRequire("./routes/assets");
 const vehiclesRouter = safeRequire("./routes/vehicles");
+const driverLicencesRouter = safeRequire("./routes/driverLicences");
+const labelsRouter = safeRequire("./routes/labels");
+const maintenanceRouter = safeRequire("./routes/maintenance");
+const tilePacksRouter = safeRequire("./routes/tilePacks");
+const workstreamsRouter = safeRequire("./routes/workstreams");
 const logbookRouter = require("./routes/logbook");
 const invoicesRouter = safeRequire("./routes/invoices");
 const groupsRouter = safeRequire("./routes/groups");
@@ -365,6 +396,34 @@ async function serveAssetFile(req, res, next) {
 app.get("/files/assets/:fileId", serveAssetFile);
 app.get("/api/files/assets/:fileId", serveAssetFile);
 
+/* -------------------- GridFS for corrective-action evidence -------------------- */
+async function serveCorrectiveActionFile(req, res, next) {
+  try {
+    const fileId = toObjectIdOrNull(req.params.fileId);
+    if (!fileId) return res.status(400).json({ error: "Invalid file id" });
+
+    const bucket = getCorrectiveActionsBucket();
+    if (!bucket) return res.status(503).json({ error: "MongoDB not ready" });
+
+    const files = await bucket.find({ _id: fileId }).limit(1).toArray();
+    if (!files || files.length === 0)
+      return res.status(404).json({ error: "File not found" });
+
+    const f = files[0];
+    if (f?.contentType) res.setHeader("Content-Type", f.contentType);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+
+    const stream = bucket.openDownloadStream(fileId);
+    stream.on("error", (err) => next(err));
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+}
+
+app.get("/files/corrective-actions/:fileId", serveCorrectiveActionFile);
+app.get("/api/files/corrective-actions/:fileId", serveCorrectiveActionFile);
+
 /* -------------------- GridFS for invoice files -------------------- */
 function getInvoicesBucket() {
   const db = mongoose.connection?.db;
@@ -616,6 +675,28 @@ app.use(
   clockingsRouter,
 );
 
+// Timesheets (payroll engine over clockings)
+app.use(
+  "/timesheets",
+  requireAuth,
+  resolveOrgContext,
+  requireOrg,
+  enforceTrial,
+  touchOrgActivity,
+  computeAccessibleUserIds,
+  timesheetsRouter,
+);
+app.use(
+  "/api/timesheets",
+  requireAuth,
+  resolveOrgContext,
+  requireOrg,
+  enforceTrial,
+  touchOrgActivity,
+  computeAccessibleUserIds,
+  timesheetsRouter,
+);
+
 // Users
 app.use(
   "/users",
@@ -963,6 +1044,111 @@ if (vehiclesRouter) {
   );
 }
 
+if (driverLicencesRouter) {
+  app.use(
+    "/driver-licences",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    driverLicencesRouter,
+  );
+  app.use(
+    "/api/driver-licences",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    driverLicencesRouter,
+  );
+}
+
+if (labelsRouter) {
+  app.use(
+    "/labels",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    labelsRouter,
+  );
+  app.use(
+    "/api/labels",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    labelsRouter,
+  );
+}
+
+if (maintenanceRouter) {
+  app.use(
+    "/maintenance",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    maintenanceRouter,
+  );
+  app.use(
+    "/api/maintenance",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    maintenanceRouter,
+  );
+}
+
+if (tilePacksRouter) {
+  app.use(
+    "/tile-packs",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    tilePacksRouter,
+  );
+  app.use(
+    "/api/tile-packs",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    tilePacksRouter,
+  );
+}
+
+if (workstreamsRouter) {
+  app.use(
+    "/workstreams",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    workstreamsRouter,
+  );
+  app.use(
+    "/api/workstreams",
+    requireAuth,
+    resolveOrgContext,
+    requireOrg,
+    enforceTrial,
+    touchOrgActivity,
+    workstreamsRouter,
+  );
+}
+
 if (logbookRouter) {
   app.use(
     "/",
@@ -1241,6 +1427,86 @@ async function start() {
   } catch (e) {
     console.error("[trial] failed to schedule sweep:", e);
   }
+
+  // Schedule vehicle reminder digests
+  try {
+    if (typeof runVehicleReminderSweepOnce === "function") {
+      const sweep = () =>
+        runVehicleReminderSweepOnce().catch((e) =>
+          console.error("[vehicleReminders] sweep error:", e),
+        );
+      await sweep();
+      const interval = Number(
+        process.env.VEHICLE_REMINDER_SWEEP_INTERVAL_MS || 1000 * 60 * 60 * 6,
+      );
+      setInterval(sweep, interval);
+      console.log(`[vehicleReminders] sweep scheduled every ${interval}ms`);
+    } else {
+      console.log("[boot] vehicle reminder sweep not available (missing file?)");
+    }
+  } catch (e) {
+    console.error("[vehicleReminders] failed to schedule sweep:", e);
+  }
+
+  // Schedule recurring inspection generation
+  try {
+    if (typeof runInspectionScheduleSweepOnce === "function") {
+      const sweep = () =>
+        runInspectionScheduleSweepOnce().catch((e) =>
+          console.error("[inspectionSchedules] sweep error:", e),
+        );
+      await sweep();
+      const interval = Number(
+        process.env.INSPECTION_SCHEDULE_SWEEP_INTERVAL_MS || 1000 * 60 * 15,
+      );
+      setInterval(sweep, interval);
+      console.log(`[inspectionSchedules] sweep scheduled every ${interval}ms`);
+    } else {
+      console.log("[boot] inspection schedule sweep not available (missing file?)");
+    }
+  } catch (e) {
+    console.error("[inspectionSchedules] failed to schedule sweep:", e);
+  }
+
+  // Schedule preventive maintenance work orders
+  try {
+    if (typeof runMaintenanceSweepOnce === "function") {
+      const sweep = () =>
+        runMaintenanceSweepOnce().catch((e) =>
+          console.error("[maintenance] sweep error:", e),
+        );
+      await sweep();
+      const interval = Number(
+        process.env.MAINTENANCE_SWEEP_INTERVAL_MS || 1000 * 60 * 60,
+      );
+      setInterval(sweep, interval);
+      console.log(`[maintenance] sweep scheduled every ${interval}ms`);
+    } else {
+      console.log("[boot] maintenance sweep not available (missing file?)");
+    }
+  } catch (e) {
+    console.error("[maintenance] failed to schedule sweep:", e);
+  }
+
+  // Expire offline tile packs and pick up builds cut off by a restart
+  try {
+    if (typeof runTilePackSweepOnce === "function") {
+      const sweep = () =>
+        runTilePackSweepOnce().catch((e) =>
+          console.error("[tilePacks] sweep error:", e),
+        );
+      sweep(); // not awaited: a resumed build can take a while
+      const interval = Number(
+        process.env.TILEPACK_SWEEP_INTERVAL_MS || 1000 * 60 * 60,
+      );
+      setInterval(sweep, interval);
+      console.log(`[tilePacks] sweep scheduled every ${interval}ms`);
+    } else {
+      console.log("[boot] tile pack sweep not available (missing file?)");
+    }
+  } catch (e) {
+    console.error("[tilePacks] failed to schedule sweep:", e);
+  }
 }
 
 function gracefulShutdown(signal) {
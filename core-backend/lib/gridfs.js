@@ -11,4 +11,12 @@ function getBucket() {
   return bucket;
 }
 
-module.exports = { getBucket };
+// Corrective-action evidence (routes/inspectionModule.js uploads, index.js serves);
+// null until Mongo is connected
+function getCorrectiveActionsBucket() {
+  const db = mongoose.connection?.db;
+  if (!db) return null;
+  return new mongoose.mongo.GridFSBucket(db, { bucketName: "correctiveActions" });
+}
+
+module.exports = { getBucket, getCorrectiveActionsBucket };
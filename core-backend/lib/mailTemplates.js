@@ -0,0 +1,293 @@
+// core-backend/lib/mailTemplates.js
+/**
+ * Transactional email templates.
+ *
+ * Each template is (data, brand) => { subject, text, html-body }.
+ * The shared layout wraps the html body with the org branding:
+ *   - brand.logoUrl (served from /files/org/:org/logo when Org.logoFileId is set)
+ *   - brand.accentColor (Org.accentColor)
+ *   - brand.orgName
+ *
+ * Keep templates free of I/O — lib/mailer.js resolves the brand and delivers.
+ */
+
+const DEFAULT_ACCENT = '#2a7fff';
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function safeColor(c) {
+  const s = String(c || '').trim();
+  return /^#[0-9a-f]{3,8}$/i.test(s) ? s : DEFAULT_ACCENT;
+}
+
+function fmtDate(d) {
+  if (!d) return '';
+  const x = new Date(d);
+  return Number.isNaN(x.getTime()) ? String(d) : x.toISOString().slice(0, 10);
+}
+
+function fmtMoney(amount, currency) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '';
+  return `${currency || 'ZAR'} ${n.toFixed(2)}`;
+}
+
+/* ------------------------------ html pieces ------------------------------ */
+
+function button(url, label, brand) {
+  if (!url) return '';
+  return `<p style="margin:24px 0;">
+      <a href="${escapeHtml(url)}" style="background:${safeColor(brand.accentColor)};color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(label)}</a>
+    </p>`;
+}
+
+function list(items = []) {
+  const rows = items.filter(Boolean);
+  if (!rows.length) return '';
+  return `<ul>${rows.map((r) => `<li>${r}</li>`).join('')}</ul>`;
+}
+
+function textList(items = []) {
+  return items.filter(Boolean).map((r) => `  - ${r}`);
+}
+
+function layout({ title, body }, brand = {}) {
+  const accent = safeColor(brand.accentColor);
+  const orgName = escapeHtml(brand.orgName || 'MOAT SmartOps');
+  const logo = brand.logoUrl
+    ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${orgName}" style="max-height:48px;max-width:200px;" />`
+    : `<strong style="font-size:18px;">${orgName}</strong>`;
+
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8" /><title>${escapeHtml(title)}</title></head>
+  <body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f5f7;padding:24px 0;">
+      <tr><td align="center">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden;">
+          <tr><td style="border-top:4px solid ${accent};padding:20px 24px;">${logo}</td></tr>
+          <tr><td style="padding:0 24px 24px 24px;font-size:14px;line-height:1.5;">${body}</td></tr>
+          <tr><td style="padding:12px 24px;background:#f9fafb;color:#6b7280;font-size:12px;">
+            ${escapeHtml(footerLine(brand))}
+          </td></tr>
+        </table>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+}
+
+function footerLine(brand = {}) {
+  const org = brand.orgName || 'MOAT SmartOps';
+  return org === 'MOAT SmartOps' ? 'Sent by MOAT SmartOps' : `Sent by ${org} via MOAT SmartOps`;
+}
+
+function textFooter(brand = {}) {
+  return ['', '--', footerLine(brand)];
+}
+
+/* -------------------------------- templates ------------------------------ */
+
+const templates = {
+  passwordReset(d, brand) {
+    const org = brand.orgName || 'MOAT SmartOps';
+    return {
+      subject: `${org} – Password Reset`,
+      text: [
+        `You requested a password reset for your ${org} account.`,
+        '',
+        'Click the link below to choose a new password:',
+        d.resetUrl,
+        '',
+        'If you did not request this, you can safely ignore this email.',
+      ],
+      html: `
+    <p>You requested a password reset for your <strong>${escapeHtml(org)}</strong> account.</p>
+    ${button(d.resetUrl, 'Choose a new password', brand)}
+    <p style="font-size:12px;color:#6b7280;">Or paste this link into your browser:<br />${escapeHtml(d.resetUrl)}</p>
+    <p>If you did not request this, you can safely ignore this email.</p>`,
+    };
+  },
+
+  invitation(d, brand) {
+    const org = brand.orgName || 'MOAT SmartOps';
+    return {
+      subject: `You're invited to ${org}`,
+      text: [
+        `Hi ${d.name || 'there'},`,
+        '',
+        `${d.invitedByName || 'An administrator'} has invited you to join ${org} on MOAT SmartOps${d.role ? ` as ${d.role}` : ''}.`,
+        '',
+        'Accept the invitation here:',
+        d.acceptUrl,
+        ...(d.expiresAt ? ['', `This invitation expires on ${fmtDate(d.expiresAt)}.`] : []),
+      ],
+      html: `
+    <p>Hi ${escapeHtml(d.name || 'there')},</p>
+    <p><strong>${escapeHtml(d.invitedByName || 'An administrator')}</strong> has invited you to join
+      <strong>${escapeHtml(org)}</strong> on MOAT SmartOps${d.role ? ` as <strong>${escapeHtml(d.role)}</strong>` : ''}.</p>
+    ${button(d.acceptUrl, 'Accept invitation', brand)}
+    ${d.expiresAt ? `<p style="font-size:12px;color:#6b7280;">This invitation expires on ${fmtDate(d.expiresAt)}.</p>` : ''}`,
+    };
+  },
+
+  taskOverdue(d, brand) {
+    const tasks = d.tasks || [];
+    const line = (t) =>
+      `${t.title}${t.projectName ? ` – ${t.projectName}` : ''}${t.dueAt ? ` (due ${fmtDate(t.dueAt)})` : ''}`;
+    return {
+      subject: `${brand.orgName || 'MOAT SmartOps'} – ${tasks.length} overdue task${tasks.length === 1 ? '' : 's'}`,
+      text: [
+        `Hi ${d.name || 'there'},`,
+        '',
+        'The following tasks are past their due date:',
+        ...textList(tasks.map(line)),
+        ...(d.appUrl ? ['', `Open MOAT SmartOps: ${d.appUrl}`] : []),
+      ],
+      html: `
+    <p>Hi ${escapeHtml(d.name || 'there')},</p>
+    <p>The following tasks are past their due date:</p>
+    ${list(tasks.map((t) => escapeHtml(line(t))))}
+    ${button(d.appUrl, 'View tasks', brand)}`,
+    };
+  },
+
+  inspectionFailed(d, brand) {
+    const items = d.failedItems || [];
+    const line = (it) => `${it.label}${it.note ? ` – ${it.note}` : ''}${it.critical ? ' [CRITICAL]' : ''}`;
+    return {
+      subject: `${d.critical ? 'CRITICAL ' : ''}Inspection failed: ${d.formTitle || 'Inspection'}`,
+      text: [
+        `Inspection "${d.formTitle || 'Inspection'}" failed${d.subjectLabel ? ` for ${d.subjectLabel}` : ''}.`,
+        '',
+        ...(d.inspectorName ? [`Inspector: ${d.inspectorName}`] : []),
+        ...(d.submittedAt ? [`Submitted: ${fmtDate(d.submittedAt)}`] : []),
+        ...(d.projectName ? [`Project: ${d.projectName}`] : []),
+        '',
+        'Failed items:',
+        ...textList(items.map(line)),
+        ...(d.viewUrl ? ['', `View submission: ${d.viewUrl}`] : []),
+      ],
+      html: `
+    <p>Inspection <strong>${escapeHtml(d.formTitle || 'Inspection')}</strong> failed${
+        d.subjectLabel ? ` for <strong>${escapeHtml(d.subjectLabel)}</strong>` : ''
+      }.</p>
+    ${d.critical ? `<p style="color:#b91c1c;font-weight:bold;">A critical item failed — follow-up is required.</p>` : ''}
+    ${list([
+      d.inspectorName ? `Inspector: ${escapeHtml(d.inspectorName)}` : '',
+      d.submittedAt ? `Submitted: ${fmtDate(d.submittedAt)}` : '',
+      d.projectName ? `Project: ${escapeHtml(d.projectName)}` : '',
+    ])}
+    <p>Failed items:</p>
+    ${list(items.map((it) => escapeHtml(line(it))))}
+    ${button(d.viewUrl, 'View submission', brand)}`,
+    };
+  },
+
+  biometricResult(d, brand) {
+    const approved = String(d.status || '').toLowerCase() === 'approved';
+    return {
+      subject: `${brand.orgName || 'MOAT SmartOps'} – Biometric enrollment ${approved ? 'approved' : 'rejected'}`,
+      text: [
+        `Hi ${d.name || 'there'},`,
+        '',
+        approved
+          ? 'Your biometric enrollment has been approved. You can now clock in using face identification.'
+          : 'Your biometric enrollment was not approved.',
+        ...(d.reason ? ['', `Reason: ${d.reason}`] : []),
+        ...(!approved ? ['', 'Please contact your supervisor to capture new photos.'] : []),
+      ],
+      html: `
+    <p>Hi ${escapeHtml(d.name || 'there')},</p>
+    <p>${
+      approved
+        ? 'Your biometric enrollment has been <strong>approved</strong>. You can now clock in using face identification.'
+        : 'Your biometric enrollment was <strong>not approved</strong>.'
+    }</p>
+    ${d.reason ? `<p>Reason: ${escapeHtml(d.reason)}</p>` : ''}
+    ${!approved ? '<p>Please contact your supervisor to capture new photos.</p>' : ''}`,
+    };
+  },
+
+  invoiceDue(d, brand) {
+    const amount = fmtMoney(d.amount, d.currency);
+    const overdue = d.dueDate && new Date(d.dueDate) < new Date();
+    return {
+      subject: `Invoice ${d.number || ''} ${overdue ? 'is overdue' : 'is due'}${d.dueDate ? ` (${fmtDate(d.dueDate)})` : ''}`.replace(/\s+/g, ' '),
+      text: [
+        `Hi ${d.name || 'there'},`,
+        '',
+        `Invoice ${d.number || ''}${d.vendorName ? ` from ${d.vendorName}` : ''}${amount ? ` for ${amount}` : ''} ${
+          overdue ? 'was due' : 'is due'
+        } on ${fmtDate(d.dueDate)}.`,
+        ...(d.projectName ? [`Project: ${d.projectName}`] : []),
+        ...(d.viewUrl ? ['', `View invoice: ${d.viewUrl}`] : []),
+      ],
+      html: `
+    <p>Hi ${escapeHtml(d.name || 'there')},</p>
+    <p>Invoice <strong>${escapeHtml(d.number || '')}</strong>${d.vendorName ? ` from ${escapeHtml(d.vendorName)}` : ''}${
+        amount ? ` for <strong>${escapeHtml(amount)}</strong>` : ''
+      } ${overdue ? '<span style="color:#b91c1c;">was due</span>' : 'is due'} on ${fmtDate(d.dueDate)}.</p>
+    ${d.projectName ? `<p>Project: ${escapeHtml(d.projectName)}</p>` : ''}
+    ${button(d.viewUrl, 'View invoice', brand)}`,
+    };
+  },
+
+  vehicleReminderDigest(d, brand) {
+    const vehicles = d.vehicles || [];
+    const count = vehicles.reduce((n, v) => n + (v.items || []).length, 0);
+    const line = (it) => `${it.title}${it.detail ? ` (${it.detail})` : ''}`;
+    return {
+      subject: `${brand.orgName || 'MOAT SmartOps'} – ${count} vehicle reminder${count === 1 ? '' : 's'} due`,
+      text: [
+        `Hi ${d.name || 'there'},`,
+        '',
+        'The following vehicle reminders are due or coming up:',
+        '',
+        ...vehicles.flatMap((v) => [v.label || v.reg, ...textList((v.items || []).map(line)), '']),
+        ...(d.appUrl ? [`Open MOAT SmartOps: ${d.appUrl}`] : []),
+      ],
+      html: `
+    <p>Hi ${escapeHtml(d.name || 'there')},</p>
+    <p>The following vehicle reminders are due or coming up:</p>
+    ${vehicles
+      .map(
+        (v) => `<p><strong>${escapeHtml(v.label || v.reg)}</strong></p>
+    ${list((v.items || []).map((it) => escapeHtml(line(it))))}`
+      )
+      .join('')}
+    ${button(d.appUrl, 'Open MOAT SmartOps', brand)}`,
+    };
+  },
+};
+
+/**
+ * Render a named template.
+ * Returns { subject, text, html }.
+ */
+function renderTemplate(name, data = {}, brand = {}) {
+  const tpl = templates[name];
+  if (!tpl) {
+    const err = new Error(`Unknown email template: ${name}`);
+    err.status = 400;
+    throw err;
+  }
+  const out = tpl(data || {}, brand || {});
+  return {
+    subject: out.subject,
+    text: [...out.text, ...textFooter(brand)].join('\n'),
+    html: layout({ title: out.subject, body: out.html }, brand),
+  };
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml,
+};
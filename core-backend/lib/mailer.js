@@ -1,5 +1,10 @@
 // core-backend/lib/mailer.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
 const nodemailer = require('nodemailer');
+const { renderTemplate, TEMPLATE_NAMES } = require('./mailTemplates');
 
 const host = process.env.SMTP_HOST || 'localhost';
 const port = Number(process.env.SMTP_PORT || 587);
@@ -22,6 +27,22 @@ const pass = process.env.SMTP_PASS || '';
 const from =
   process.env.SMTP_FROM || `MOAT SmartOps <${user || 'no-reply@example.com'}>`;
 
+/**
+ * Outbox (preview) mode — nothing goes to SMTP:
+ *   MAIL_OUTBOX=disk  -> writes <ts>-<template>.{html,txt,json} to MAIL_OUTBOX_DIR
+ *   MAIL_OUTBOX=mongo -> inserts into the "mailOutbox" collection
+ * Unset (default) -> deliver via SMTP.
+ */
+const OUTBOX = String(process.env.MAIL_OUTBOX || '').trim().toLowerCase();
+const OUTBOX_DIR =
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+const OUTBOX_COLLECTION = 'mailOutbox';
+
+// Public base used for links to org logos in emails
+const PUBLIC_API_URL = String(
+  process.env.PUBLIC_API_URL || process.env.RENDER_EXTERNAL_URL || ''
+).replace(/\/+$/, '');
+
 const transporter = nodemailer.createTransport({
   host,
   port,
@@ -30,47 +51,123 @@ const transporter = nodemailer.createTransport({
 });
 
 // Optional: verify on startup (you'll see errors in server logs)
-transporter.verify((err, success) => {
-  if (err) {
-    console.warn('[mailer] SMTP verify failed:', err.message);
-  } else {
-    console.log('[mailer] SMTP server is ready to take our messages');
+if (OUTBOX) {
+  console.log(`[mailer] outbox mode (${OUTBOX}) – emails will not be sent via SMTP`);
+} else {
+  transporter.verify((err, success) => {
+    if (err) {
+      console.warn('[mailer] SMTP verify failed:', err.message);
+    } else {
+      console.log('[mailer] SMTP server is ready to take our messages');
+    }
+  });
+}
+
+/* ------------------------------- branding ------------------------------- */
+
+/**
+ * Resolve branding for an org (name, logo, accent colour).
+ * Accepts an Org doc/lean object or an org id; falls back to MOAT defaults.
+ */
+async function resolveBrand(orgOrId, overrides = {}) {
+  let org = orgOrId && typeof orgOrId === 'object' && orgOrId.name !== undefined ? orgOrId : null;
+
+  if (!org && orgOrId && mongoose.isValidObjectId(String(orgOrId))) {
+    try {
+      const Org = mongoose.models.Org || require('../models/Org');
+      org = await Org.findById(String(orgOrId))
+        .select({ name: 1, logoFileId: 1, logoUrl: 1, accentColor: 1 })
+        .lean();
+    } catch (e) {
+      console.warn('[mailer] brand lookup failed:', e?.message || e);
+    }
   }
-});
 
-async function sendPasswordResetEmail({ to, resetUrl, orgName }) {
-  const orgLabel = orgName || 'MOAT SmartOps';
-  const subject = `${orgLabel} – Password Reset`;
-  const text = [
-    `You requested a password reset for your ${orgLabel} account.`,
-    '',
-    `Click the link below to choose a new password:`,
-    resetUrl,
-    '',
-    `If you did not request this, you can safely ignore this email.`,
-  ].join('\n');
-
-  const html = `
-    <p>You requested a password reset for your <strong>${orgLabel}</strong> account.</p>
-    <p>
-      Click the link below to choose a new password:
-      <br />
-      <a href="${resetUrl}">${resetUrl}</a>
-    </p>
-    <p>If you did not request this, you can safely ignore this email.</p>
-  `;
-
-  const info = await transporter.sendMail({
-    from,
+  let logoUrl = '';
+  if (org?.logoFileId && PUBLIC_API_URL) {
+    logoUrl = `${PUBLIC_API_URL}/files/org/${String(org._id)}/logo`;
+  } else if (/^https?:\/\//i.test(String(org?.logoUrl || ''))) {
+    logoUrl = org.logoUrl;
+  }
+
+  return {
+    orgName: org?.name || 'MOAT SmartOps',
+    accentColor: org?.accentColor || '#2a7fff',
+    logoUrl,
+    ...overrides,
+  };
+}
+
+/* -------------------------------- delivery ------------------------------- */
+
+async function writeToOutbox(message) {
+  const record = { ...message, from, createdAt: new Date() };
+
+  if (OUTBOX === 'mongo') {
+    const db = mongoose.connection?.db;
+    if (!db) throw new Error('MongoDB not ready for mail outbox');
+    const r = await db.collection(OUTBOX_COLLECTION).insertOne(record);
+    return { messageId: `outbox:${r.insertedId}` };
+  }
+
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  const stamp = record.createdAt.toISOString().replace(/[:.]/g, '-');
+  const base = `${stamp}-${message.template || 'email'}-${crypto.randomBytes(3).toString('hex')}`;
+  fs.writeFileSync(path.join(OUTBOX_DIR, `${base}.html`), message.html || '');
+  fs.writeFileSync(path.join(OUTBOX_DIR, `${base}.txt`), message.text || '');
+  fs.writeFileSync(
+    path.join(OUTBOX_DIR, `${base}.json`),
+    JSON.stringify({ ...record, html: undefined, text: undefined }, null, 2)
+  );
+  return { messageId: `outbox:${base}` };
+}
+
+async function deliver(message) {
+  if (OUTBOX) return writeToOutbox(message);
+  const { to, subject, text, html, attachments } = message;
+  return transporter.sendMail({ from, to, subject, text, html, attachments });
+}
+
+/**
+ * Render + send a named template with org branding.
+ *   sendTemplatedEmail({ to, template: 'invitation', data: {...}, org: orgIdOrDoc })
+ */
+async function sendTemplatedEmail({ to, template, data = {}, org, brand: brandOverrides }) {
+  if (!to) throw new Error('Recipient (to) required');
+  const brand = await resolveBrand(org, brandOverrides);
+  const { subject, text, html } = renderTemplate(template, data, brand);
+
+  const info = await deliver({ to, subject, text, html, template });
+  console.log(`[mailer] ${template} email sent:`, info.messageId);
+  return info;
+}
+
+/* ------------------------ named senders (back-compat) -------------------- */
+
+async function sendPasswordResetEmail({ to, resetUrl, orgName, orgId }) {
+  return sendTemplatedEmail({
     to,
-    subject,
-    text,
-    html,
+    template: 'passwordReset',
+    data: { resetUrl },
+    org: orgId,
+    brand: orgName ? { orgName } : undefined,
   });
+}
 
-  console.log('[mailer] Password reset email sent:', info.messageId);
+async function sendVehicleReminderDigest({ to, name, orgName, orgId, vehicles = [], appUrl }) {
+  return sendTemplatedEmail({
+    to,
+    template: 'vehicleReminderDigest',
+    data: { name, vehicles, appUrl },
+    org: orgId,
+    brand: orgName ? { orgName } : undefined,
+  });
 }
 
 module.exports = {
+  TEMPLATE_NAMES,
+  resolveBrand,
+  sendTemplatedEmail,
   sendPasswordResetEmail,
+  sendVehicleReminderDigest,
 };
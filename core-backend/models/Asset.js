@@ -50,13 +50,94 @@ const MaintenanceSchema = new mongoose.Schema(
     acc: { type: Number },
     scanned: { type: Boolean, default: false },
 
+    // What the work cost (parts, call-out, contractor invoice); feeds the asset register
+    cost: { type: Number, min: 0 },
+
+    // Set when the entry was written by closing a work order
+    workOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "WorkOrder" },
+
     sourceOfflineEventId: { type: mongoose.Schema.Types.ObjectId, index: true },
   },
   { _id: true, timestamps: true },
 );
 
+// Latest reading per usage meter ("hours", "km", "cycles", ...)
+const MeterSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true, lowercase: true },
+    unit: { type: String, trim: true },
+    value: { type: Number, required: true, min: 0 },
+    readAt: { type: Date, default: Date.now },
+    by: { type: String },
+  },
+  { _id: false },
+);
+
+// Last service per maintenance plan; the plan clock runs from here
+const PmStateSchema = new mongoose.Schema(
+  {
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: "MaintenancePlan", required: true },
+    lastDoneAt: { type: Date },
+    lastDoneUsage: { type: Number },
+    lastWorkOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "WorkOrder" },
+  },
+  { _id: false },
+);
+
+const DEPRECIATION_METHODS = ["straight-line", "reducing-balance"];
+const DISPOSAL_METHODS = ["sale", "scrap", "trade-in", "write-off", "donation", "other"];
+
+const DisposalSchema = new mongoose.Schema(
+  {
+    disposedAt: { type: Date, required: true },
+    method: { type: String, enum: DISPOSAL_METHODS, default: "sale" },
+    proceeds: { type: Number, min: 0, default: 0 },
+    buyer: { type: String, trim: true },
+    reference: { type: String, trim: true },
+    note: { type: String, trim: true },
+    previousStatus: { type: String },
+    recordedBy: { type: String },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+// Fixed-asset register data; services/assetDepreciation.js turns it into book values
+const FinanceSchema = new mongoose.Schema(
+  {
+    purchaseCost: { type: Number, min: 0 },
+    acquiredAt: { type: Date },
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: "Vendor", default: null },
+    vendorName: { type: String, trim: true },
+    invoiceRef: { type: String, trim: true },
+    usefulLifeMonths: { type: Number, min: 1 },
+    residualValue: { type: Number, min: 0, default: 0 },
+    method: { type: String, enum: DEPRECIATION_METHODS, default: "straight-line" },
+    // Reducing balance only: annual % of the opening book value (default: double the straight-line rate)
+    ratePct: { type: Number, min: 0, max: 100 },
+    disposal: { type: DisposalSchema, default: undefined },
+  },
+  { _id: false },
+);
+
 const ALLOWED_STATUSES = ["active", "maintenance", "retired", "lost", "stolen"];
 
+// Summary of the open check-out; the full history lives in AssetCustody
+const CustodySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["available", "checked-out"], default: "available" },
+    checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: "AssetCustody", default: null },
+    holderType: { type: String, enum: ["user", "project", "task"] },
+    holderUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: "Project", default: null },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    holderLabel: { type: String },
+    checkedOutAt: { type: Date },
+    dueAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
 const AssetSchema = new mongoose.Schema(
   {
     /* ---------- tenancy ---------- */
@@ -93,6 +174,16 @@ const AssetSchema = new mongoose.Schema(
 
     // Logs
     maintenance: [MaintenanceSchema],
+
+    // Preventive maintenance: usage meters and per-plan service state
+    meters: { type: [MeterSchema], default: [] },
+    pm: { type: [PmStateSchema], default: [] },
+
+    // Who has it right now
+    custody: { type: CustodySchema, default: () => ({ status: "available" }) },
+
+    // Cost, depreciation and disposal
+    finance: { type: FinanceSchema, default: undefined },
   },
   { timestamps: true },
 );
@@ -101,6 +192,8 @@ const AssetSchema = new mongoose.Schema(
 AssetSchema.index({ orgId: 1, updatedAt: -1 });
 AssetSchema.index({ orgId: 1, status: 1, updatedAt: -1 });
 AssetSchema.index({ orgId: 1, name: 1 });
+AssetSchema.index({ orgId: 1, "custody.status": 1, "custody.dueAt": 1 });
+AssetSchema.index({ orgId: 1, "finance.acquiredAt": 1 }, { sparse: true });
 
 // Prevent duplicate asset codes inside the same organisation
 AssetSchema.index({ orgId: 1, code: 1 }, { unique: true, sparse: true });
@@ -122,6 +215,14 @@ AssetSchema.pre("validate", function (next) {
     if (ALLOWED_STATUSES.includes(canon)) this.status = canon;
   }
 
+  const f = this.finance;
+  if (f && f.disposal?.disposedAt && f.acquiredAt && f.disposal.disposedAt < f.acquiredAt) {
+    this.invalidate("finance.disposal.disposedAt", "Disposal date is before the acquisition date");
+  }
+  if (f && f.purchaseCost != null && f.residualValue > f.purchaseCost) {
+    this.invalidate("finance.residualValue", "Residual value cannot exceed the purchase cost");
+  }
+
   // Normalize attachment helpers without breaking legacy records
   if (Array.isArray(this.attachments)) {
     for (const a of this.attachments) {
@@ -213,3 +314,5 @@ AssetSchema.pre("findOneAndUpdate", function (next) {
 });
 
 module.exports = mongoose.model("Asset", AssetSchema);
+module.exports.DEPRECIATION_METHODS = DEPRECIATION_METHODS;
+module.exports.DISPOSAL_METHODS = DISPOSAL_METHODS;
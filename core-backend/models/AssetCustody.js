@@ -0,0 +1,75 @@
+// core-backend/models/AssetCustody.js
+const mongoose = require("mongoose");
+
+/**
+ * Custody ledger: one row per check-out / check-in of an asset.
+ * The asset itself only carries a summary of the open check-out (Asset.custody);
+ * this collection is the full history.
+ *
+ * A check-out names who holds the asset: a user, a project or a task
+ * (holderType). Check-ins point back at the check-out they close (checkoutId)
+ * and record the condition the asset came back in.
+ */
+
+const HOLDER_TYPES = ["user", "project", "task"];
+const CONDITIONS = ["good", "fair", "damaged", "missing-parts", "unusable"];
+
+const PhotoSchema = new mongoose.Schema(
+  {
+    fileId: { type: String },
+    bucket: { type: String },
+    url: { type: String },
+    filename: { type: String },
+    mime: { type: String },
+  },
+  { _id: false },
+);
+
+const AssetCustodySchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: "Org", index: true },
+    assetId: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+
+    action: { type: String, enum: ["check-out", "check-in"], required: true },
+    at: { type: Date, required: true, default: Date.now },
+
+    // who holds it (check-out) / who returned it (check-in)
+    holderType: { type: String, enum: HOLDER_TYPES },
+    holderUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: "Project", default: null },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    holderLabel: { type: String, trim: true },
+
+    dueAt: { type: Date, default: null }, // check-out only
+    checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: "AssetCustody", default: null }, // check-in only
+    condition: { type: String, enum: CONDITIONS }, // check-in only
+    note: { type: String, default: "" },
+    photo: { type: PhotoSchema, default: undefined },
+
+    lat: { type: Number },
+    lng: { type: Number },
+    acc: { type: Number },
+    scanned: { type: Boolean, default: false },
+
+    by: {
+      _id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: { type: String },
+    },
+
+    // offline resync must not record the same scan twice
+    sourceOfflineEventId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: true },
+);
+
+AssetCustodySchema.index({ orgId: 1, assetId: 1, at: -1 });
+AssetCustodySchema.index({ orgId: 1, holderUserId: 1, at: -1 });
+AssetCustodySchema.index(
+  { sourceOfflineEventId: 1 },
+  { unique: true, partialFilterExpression: { sourceOfflineEventId: { $type: "objectId" } } },
+);
+
+AssetCustodySchema.statics.HOLDER_TYPES = HOLDER_TYPES;
+AssetCustodySchema.statics.CONDITIONS = CONDITIONS;
+
+module.exports = mongoose.models.AssetCustody || mongoose.model("AssetCustody", AssetCustodySchema);
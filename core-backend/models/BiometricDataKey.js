@@ -0,0 +1,44 @@
+// core-backend/models/BiometricDataKey.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Per-org data encryption key for biometric templates (envelope encryption).
+ *
+ * The 256-bit data key itself is never stored in the clear: `wrappedKey` is the
+ * key sealed with AES-256-GCM under the environment master key identified by
+ * `masterKeyId` (see services/biometricCrypto.js).
+ *
+ * Exactly one key per org is "active" (used for new encryptions). Rotation adds
+ * a new version and retires the old one; once no enrollment uses a retired key
+ * its wrapped material is removed ("destroyed").
+ */
+const BiometricDataKeySchema = new Schema(
+  {
+    orgId: {
+      type: Schema.Types.ObjectId,
+      ref: "Org",
+      required: true,
+      index: true,
+    },
+    version: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["active", "retired", "destroyed"],
+      default: "active",
+      index: true,
+    },
+    masterKeyId: { type: String, required: true, trim: true },
+    wrappedKey: { type: Buffer, select: false },
+    rewrappedAt: { type: Date },
+    retiredAt: { type: Date },
+    destroyedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+BiometricDataKeySchema.index({ orgId: 1, version: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.BiometricDataKey ||
+  mongoose.model("BiometricDataKey", BiometricDataKeySchema);
@@ -44,7 +44,18 @@ const BiometricEnrollmentSchema = new Schema(
       },
     },
 
-    // WARNING: In production, encrypt this Buffer before saving (KMS/AEAD).
+    // Set when the worker re-generated the template for a new embedding model
+    previousTemplateVersion: { type: String, trim: true },
+    templateMigratedAt: { type: Date },
+    // Failed re-generations (unusable photos, provider error); the worker backs
+    // off between attempts and gives up after a few
+    templateMigrationAttempts: { type: Number, default: 0 },
+    templateMigrationAttemptAt: { type: Date },
+    templateMigrationError: { type: String, trim: true },
+
+    // Envelope-encrypted template (services/biometricCrypto.js). Never decrypt
+    // outside the 1:N matcher; legacy rows may still hold plaintext until
+    // `npm run biometric:rotate-keys` has run.
     embedding: {
       type: Buffer,
       required: function () {
@@ -52,6 +63,8 @@ const BiometricEnrollmentSchema = new Schema(
       },
       select: false, // never return embedding by default
     },
+    // Org data key version the embedding is sealed with (null = plaintext)
+    embeddingKeyVersion: { type: Number, default: null },
 
     /**
      * Store references to uploaded images (GridFS fileIds) that came from
@@ -67,6 +67,53 @@ const BiometricEnrollmentRequestSchema = new Schema(
 
     notes: { type: String, trim: true },
 
+    // Liveness + duplicate-identity screening (services/biometricScreening.js),
+    // refreshed on every approve attempt. `override` records an approver who
+    // approved despite a "review"/"duplicate"/"unavailable" verdict.
+    screening: {
+      verdict: {
+        type: String,
+        enum: ["clear", "review", "duplicate", "unavailable"],
+      },
+      livenessScore: { type: Number },
+      checks: [
+        {
+          _id: false,
+          key: String,
+          result: { type: String, enum: ["pass", "fail", "skipped"] },
+          detail: String,
+        },
+      ],
+      duplicates: [
+        {
+          _id: false,
+          userId: { type: Schema.Types.ObjectId, ref: "User" },
+          enrollmentId: { type: Schema.Types.ObjectId },
+          name: String,
+          score: Number,
+        },
+      ],
+      closest: [
+        {
+          _id: false,
+          userId: { type: Schema.Types.ObjectId, ref: "User" },
+          enrollmentId: { type: Schema.Types.ObjectId },
+          name: String,
+          score: Number,
+        },
+      ],
+      threshold: Number,
+      templateVersion: String,
+      staleTemplates: Number,
+      error: String,
+      checkedAt: Date,
+      override: {
+        by: { type: Schema.Types.ObjectId, ref: "User" },
+        at: Date,
+        reason: String,
+      },
+    },
+
     createdAtClient: { type: Date },
   },
   { timestamps: true },
@@ -34,6 +34,41 @@ const LocationSchema = new mongoose.Schema(
   { _id: false },
 );
 
+// Geofence check at ingest (see services/clockingFence.js)
+const FenceCheckSchema = new mongoose.Schema(
+  {
+    status: { type: String }, // inside | outside | no-location | no-fence
+    distanceM: Number, // metres outside the nearest fence (0 when inside)
+    exception: { type: Boolean, default: false },
+    policy: String, // org policy at the time: allow | flag | reject
+    fenceCount: Number,
+    checkedAt: Date,
+    // set when an admin pushes a punch through a "reject" policy
+    overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewNote: String,
+  },
+  { _id: false },
+);
+
+// How the punch was captured (biometric kiosk sets method "face" + device/operator)
+const CaptureSchema = new mongoose.Schema(
+  {
+    method: String, // list | face | manual | qr (as sent by the mobile batch)
+    confidence: Number, // face match score at identify time
+    margin: Number, // gap to the runner-up match
+    templateVersion: String,
+    kiosk: { type: Boolean, default: false },
+    deviceId: String,
+    deviceName: String,
+    operatorUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // authenticated submitter
+    operatorName: String,
+    claimedOperatorUserId: String, // device-reported operator when it differs (unverified)
+  },
+  { _id: false },
+);
+
 const ClockingEditSchema = new mongoose.Schema(
   {
     editedAt: { type: Date, default: Date.now, index: true },
@@ -73,6 +108,8 @@ const ClockingSchema = new mongoose.Schema(
     notes: { type: String, default: "" },
 
     location: LocationSchema,
+    fence: { type: FenceCheckSchema, default: undefined },
+    capture: { type: CaptureSchema, default: undefined },
     attachments: { type: [AttachmentSchema], default: [] },
 
     createdBy: { type: String }, // req.user?.sub or email
@@ -93,6 +130,7 @@ const ClockingSchema = new mongoose.Schema(
 
 // Useful query index
 ClockingSchema.index({ projectId: 1, userId: 1, at: -1 });
+ClockingSchema.index({ orgId: 1, "fence.exception": 1, at: -1 });
 ClockingSchema.index(
   { sourceOfflineEventId: 1, sourceOfflineEventUserId: 1 },
   { unique: true, sparse: true },
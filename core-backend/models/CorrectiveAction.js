@@ -0,0 +1,147 @@
+// core-backend/models/CorrectiveAction.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Corrective action raised from a CRITICAL inspection fail.
+ * One record per failed critical item on a submission (see services/inspectionEscalation.js).
+ *
+ * Lifecycle:
+ *   open -> in-progress -> awaiting-signoff -> closed
+ *                      ^------- (sign-off rejected)
+ *   any (not closed) -> cancelled
+ */
+
+const STATUS = ["open", "in-progress", "awaiting-signoff", "closed", "cancelled"];
+
+// Treat "", null, undefined as "not set" so Mongoose won't try to cast to ObjectId.
+function emptyToUndefined(v) {
+  if (v === "" || v === null || v === undefined) return undefined;
+  return v;
+}
+
+const ActorSchema = new Schema(
+  {
+    _id: { type: Schema.Types.ObjectId, ref: "User" },
+    name: String,
+    email: String,
+  },
+  { _id: false },
+);
+
+const EvidenceFileSchema = new Schema(
+  {
+    fileId: String,
+    filename: String,
+    url: { type: String, required: true },
+    mime: String,
+    size: Number,
+    note: String,
+    uploadedBy: ActorSchema,
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const SubjectSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["none", "vehicle", "asset", "performance"],
+      default: "none",
+    },
+    id: { type: Schema.Types.Mixed, set: emptyToUndefined, default: undefined },
+    label: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+const HistorySchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    by: ActorSchema,
+    action: String, // created | assigned | status | closeout | signoff | reject | comment
+    from: String,
+    to: String,
+    note: String,
+  },
+  { _id: false },
+);
+
+const CorrectiveActionSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, index: true },
+
+    // Source inspection
+    submissionId: {
+      type: Schema.Types.ObjectId,
+      ref: "InspectionSubmission",
+      required: true,
+      index: true,
+    },
+    formId: { type: Schema.Types.ObjectId, ref: "InspectionForm" },
+    formTitle: String,
+    itemId: { type: Schema.Types.ObjectId, required: true },
+    itemLabel: String,
+
+    // What has to be done (seeded from the inspector's corrective action text)
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    severity: { type: String, enum: ["critical", "major", "minor"], default: "critical" },
+
+    // Links back to the work + the thing inspected
+    links: {
+      projectId: { type: Schema.Types.ObjectId, ref: "Project", set: emptyToUndefined },
+      taskId: { type: Schema.Types.ObjectId, ref: "Task", set: emptyToUndefined },
+      milestoneId: { type: Schema.Types.ObjectId, ref: "TaskMilestone", set: emptyToUndefined },
+    },
+    subject: { type: SubjectSchema, default: () => ({ type: "none" }) },
+
+    // Ownership + tracking
+    ownerUserId: { type: Schema.Types.ObjectId, ref: "User", index: true, default: null },
+    dueAt: { type: Date, index: true },
+    status: { type: String, enum: STATUS, default: "open", index: true },
+
+    // Close-out (by owner)
+    closeOut: {
+      note: String,
+      evidence: { type: [EvidenceFileSchema], default: undefined },
+      at: Date,
+      by: ActorSchema,
+    },
+
+    // Sign-off (by PM / manager / admin)
+    signoff: {
+      approved: Boolean,
+      note: String,
+      at: Date,
+      by: ActorSchema,
+    },
+
+    closedAt: Date,
+
+    // Notification bookkeeping
+    notifiedAt: Date,
+
+    history: { type: [HistorySchema], default: [] },
+
+    createdBy: ActorSchema,
+  },
+  { timestamps: true },
+);
+
+// One corrective action per critical item per submission (idempotent escalation)
+CorrectiveActionSchema.index(
+  { orgId: 1, submissionId: 1, itemId: 1 },
+  { unique: true },
+);
+CorrectiveActionSchema.index({ orgId: 1, status: 1, dueAt: 1 });
+CorrectiveActionSchema.index({ orgId: 1, ownerUserId: 1, status: 1 });
+CorrectiveActionSchema.index({ orgId: 1, "links.projectId": 1, status: 1 });
+CorrectiveActionSchema.index({ orgId: 1, "subject.type": 1, "subject.id": 1 });
+
+CorrectiveActionSchema.statics.STATUS = STATUS;
+
+module.exports =
+  mongoose.models.CorrectiveAction ||
+  mongoose.model("CorrectiveAction", CorrectiveActionSchema);
@@ -0,0 +1,48 @@
+// core-backend/models/DriverLicence.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const upperList = (v) =>
+  (Array.isArray(v) ? v : String(v || "").split(/[,\s]+/))
+    .map((x) => String(x).trim().toUpperCase())
+    .filter(Boolean);
+
+/**
+ * A user's driving licence (South African card: codes A1 … EC) and optional
+ * Professional Driving Permit. Scanned copies are Documents linked with
+ * { type: "driver-licence", refId: <licence _id> }.
+ */
+const PrdpSchema = new Schema(
+  {
+    number: { type: String, trim: true },
+    categories: { type: [String], default: [], set: upperList }, // G (goods), P (passengers), D (dangerous goods)
+    expiresAt: Date,
+  },
+  { _id: false },
+);
+
+const DriverLicenceSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    licenceNumber: { type: String, trim: true, default: "" },
+    codes: { type: [String], default: [], set: upperList },
+    issuedAt: Date,
+    expiresAt: Date,
+    restrictions: { type: String, default: "" },
+
+    prdp: { type: PrdpSchema, default: undefined },
+
+    notes: { type: String, default: "" },
+    isDeleted: { type: Boolean, default: false, index: true },
+    createdBy: String,
+    updatedBy: String,
+  },
+  { timestamps: true },
+);
+
+DriverLicenceSchema.index({ orgId: 1, userId: 1, isDeleted: 1, expiresAt: -1 });
+DriverLicenceSchema.index({ orgId: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.DriverLicence || mongoose.model("DriverLicence", DriverLicenceSchema);
@@ -0,0 +1,67 @@
+// core-backend/models/InspectionDue.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * One due inspection generated from an InspectionSchedule:
+ * (schedule, period, subject). Completed by the first matching submission.
+ *
+ * "overdue" is not stored — it is status "open" with dueAt in the past.
+ */
+
+const SubjectSchema = new Schema(
+  {
+    type: { type: String, default: "none" }, // none | vehicle | asset | performance
+    id: { type: String, default: "" }, // stored as string so ObjectId/string ids match
+    label: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+const InspectionDueSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, index: true },
+    scheduleId: {
+      type: Schema.Types.ObjectId,
+      ref: "InspectionSchedule",
+      required: true,
+      index: true,
+    },
+    scheduleName: String,
+    formId: { type: Schema.Types.ObjectId, ref: "InspectionForm", required: true },
+    formTitle: String,
+
+    periodStart: { type: Date, required: true },
+    dueAt: { type: Date, required: true },
+
+    subject: { type: SubjectSchema, default: () => ({ type: "none" }) },
+    projectId: { type: Schema.Types.ObjectId, ref: "Project" },
+    taskId: { type: Schema.Types.ObjectId, ref: "Task" },
+
+    assignedUserIds: [{ type: Schema.Types.ObjectId, ref: "User" }],
+
+    status: { type: String, enum: ["open", "completed", "cancelled"], default: "open" },
+    submissionId: { type: Schema.Types.ObjectId, ref: "InspectionSubmission" },
+    completedAt: Date,
+    completedBy: {
+      _id: { type: Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    onTime: Boolean,
+  },
+  { timestamps: true },
+);
+
+// Idempotent generation
+InspectionDueSchema.index(
+  { scheduleId: 1, periodStart: 1, "subject.id": 1 },
+  { unique: true },
+);
+InspectionDueSchema.index({ orgId: 1, status: 1, dueAt: 1 });
+InspectionDueSchema.index({ orgId: 1, formId: 1, status: 1, "subject.id": 1 });
+InspectionDueSchema.index({ orgId: 1, assignedUserIds: 1, status: 1 });
+InspectionDueSchema.index({ orgId: 1, projectId: 1, periodStart: -1 });
+
+module.exports =
+  mongoose.models.InspectionDue ||
+  mongoose.model("InspectionDue", InspectionDueSchema);
@@ -0,0 +1,82 @@
+// core-backend/models/InspectionSchedule.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Recurring inspection schedule, e.g.
+ *   "daily pre-use check for every vehicle in project X"
+ *   "weekly scaffolding check"
+ *   "monthly fire extinguisher check" (asset form)
+ *
+ * The subject type comes from the linked InspectionForm.subject; the schedule
+ * decides WHICH subjects get an instance each period (see services/inspectionSchedules.js).
+ */
+
+const CADENCES = ["daily", "weekly", "monthly"];
+
+// Treat "", null, undefined as "not set" so Mongoose won't try to cast to ObjectId.
+function emptyToUndefined(v) {
+  if (v === "" || v === null || v === undefined) return undefined;
+  return v;
+}
+
+const InspectionScheduleSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, index: true },
+
+    name: { type: String, required: true, trim: true },
+    formId: {
+      type: Schema.Types.ObjectId,
+      ref: "InspectionForm",
+      required: true,
+      index: true,
+    },
+
+    // Recurrence: every <interval> <cadence>, periods aligned to startAt
+    cadence: { type: String, enum: CADENCES, default: "daily" },
+    interval: { type: Number, min: 1, max: 365, default: 1 },
+    startAt: { type: Date, required: true },
+    endAt: { type: Date },
+
+    // Targeting. Defaults to the form's scope project when not set.
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      set: emptyToUndefined,
+      default: undefined,
+    },
+    taskId: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      set: emptyToUndefined,
+      default: undefined,
+    },
+    // "each"     -> one instance per vehicle/asset matching the form subject + project
+    // "selected" -> only subjectIds
+    // (forms locked to a subject, or subject "none"/"performance", always get one instance)
+    subjectMode: { type: String, enum: ["each", "selected"], default: "each" },
+    subjectIds: { type: [String], default: [] },
+
+    // Who should do it. Empty => vehicle driver (vehicle forms) or anyone allowed to run the form.
+    assigneeUserIds: [{ type: Schema.Types.ObjectId, ref: "User" }],
+
+    active: { type: Boolean, default: true, index: true },
+
+    // Generation bookkeeping: start of the last period instances were created for
+    generatedThrough: { type: Date },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true },
+);
+
+InspectionScheduleSchema.index({ orgId: 1, active: 1, isDeleted: 1 });
+InspectionScheduleSchema.index({ orgId: 1, projectId: 1 });
+
+InspectionScheduleSchema.statics.CADENCES = CADENCES;
+
+module.exports =
+  mongoose.models.InspectionSchedule ||
+  mongoose.model("InspectionSchedule", InspectionScheduleSchema);
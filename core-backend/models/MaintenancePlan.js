@@ -0,0 +1,79 @@
+// core-backend/models/MaintenancePlan.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Preventive maintenance plan, e.g.
+ *   "250-hour service" for every asset of type "Excavator"   (usage trigger)
+ *   "Annual fire extinguisher service" for selected assets   (calendar trigger)
+ *
+ * A plan targets assets by type (Asset.type, case-insensitive) or, when assetIds
+ * is set, only those assets. Due work is turned into WorkOrders by
+ * services/preventiveMaintenance.js; closing a work order resets the clock for
+ * that asset (Asset.pm).
+ */
+
+const TRIGGERS = ["calendar", "usage"];
+
+const ChecklistItemSchema = new Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    required: { type: Boolean, default: true },
+  },
+  { _id: false },
+);
+
+const MaintenancePlanSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+
+    // Targeting
+    assetType: { type: String, trim: true, default: "" },
+    assetIds: [{ type: Schema.Types.ObjectId, ref: "Asset" }],
+
+    // calendar -> every intervalDays since the last service (or startAt)
+    // usage    -> every intervalUsage on meter `meterKey` (e.g. 250 "hours")
+    trigger: { type: String, enum: TRIGGERS, default: "calendar" },
+    intervalDays: { type: Number, min: 1 },
+    meterKey: { type: String, trim: true, lowercase: true, default: "hours" },
+    intervalUsage: { type: Number, min: 0 },
+    startAt: { type: Date }, // calendar anchor for assets never serviced under this plan
+
+    // Raise the work order this far ahead of the due point
+    leadDays: { type: Number, min: 0, default: 7 },
+    leadUsage: { type: Number, min: 0, default: 0 },
+
+    checklist: { type: [ChecklistItemSchema], default: [] },
+    estimatedMinutes: { type: Number, min: 0 },
+
+    active: { type: Boolean, default: true, index: true },
+    isDeleted: { type: Boolean, default: false },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+MaintenancePlanSchema.index({ orgId: 1, active: 1, isDeleted: 1 });
+
+MaintenancePlanSchema.pre("validate", function (next) {
+  if (!this.assetType && !(this.assetIds || []).length) {
+    this.invalidate("assetType", "Choose an asset type or specific assets");
+  }
+  if (this.trigger === "calendar" && !(this.intervalDays > 0)) {
+    this.invalidate("intervalDays", "intervalDays is required for calendar plans");
+  }
+  if (this.trigger === "usage" && !(this.intervalUsage > 0)) {
+    this.invalidate("intervalUsage", "intervalUsage is required for usage plans");
+  }
+  next();
+});
+
+MaintenancePlanSchema.statics.TRIGGERS = TRIGGERS;
+
+module.exports =
+  mongoose.models.MaintenancePlan || mongoose.model("MaintenancePlan", MaintenancePlanSchema);
@@ -58,7 +58,17 @@ const KmlRefSchema = new mongoose.Schema(
  *
  * dependencies:
  *  - dependsOnPlanningIds: references other PlanningItem _id values
+ *  - dependencyLinks: the same links with type + lag, when known (MSPDI/XER import)
  */
+const PlanningLinkSchema = new mongoose.Schema(
+  {
+    planningId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    type: { type: String, enum: ["FS", "SS", "FF", "SF"], default: "FS" },
+    lagDays: { type: Number, default: 0 }, // working days; negative = lead
+  },
+  { _id: false }
+);
+
 const PlanningItemSchema = new mongoose.Schema(
   {
     type: { type: String, enum: ["task", "deliverable"], required: true, index: true },
@@ -77,6 +87,7 @@ const PlanningItemSchema = new mongoose.Schema(
 
     // Dependencies between planning items (by planning ids)
     dependsOnPlanningIds: [{ type: mongoose.Schema.Types.ObjectId, default: [] }],
+    dependencyLinks: { type: [PlanningLinkSchema], default: undefined },
 
     // Optional assignment hints (used when generating Tasks)
     assigneeUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
@@ -95,6 +106,14 @@ const PlanningItemSchema = new mongoose.Schema(
     // Optional external fields (safe placeholders; ignored unless you use them)
     wbsCode: { type: String, default: "" }, // e.g. "1.2.3"
     costEstimate: { type: Number }, // optional
+
+    // Imported from MS Project / Primavera (services/planImport.js)
+    externalId: { type: String, default: "" }, // "mspdi:<UID>" | "xer:<task_id>", matches re-imports
+    wbsPath: { type: String, default: "" }, // summary task / WBS names, "Civils / Earthworks"
+    workstreamName: { type: String, default: "" }, // top WBS level, copied to the generated task
+    durationDays: { type: Number }, // working days on the item's calendar
+    calendarName: { type: String, default: "" },
+    resourceNames: { type: [String], default: undefined },
   },
   { _id: true, timestamps: true }
 );
@@ -115,6 +134,30 @@ const ProjectPlanningSchema = new mongoose.Schema(
     // helpful: track last plan edit time (optional)
     lastEditedAt: { type: Date, default: null },
     lastEditedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // calendars referenced by items (calendarName), from the last import
+    calendars: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: { type: String, required: true },
+            hoursPerDay: { type: Number, default: 8 },
+            workDays: { type: [Number], default: [1, 2, 3, 4, 5] }, // 0 = Sunday
+          },
+          { _id: false }
+        ),
+      ],
+      default: undefined,
+    },
+
+    // last MSPDI / XER import
+    importedFrom: {
+      format: { type: String, enum: ["mspdi", "xer"] },
+      fileName: String,
+      projectName: String,
+      importedAt: Date,
+      importedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
   },
   { _id: false }
 );
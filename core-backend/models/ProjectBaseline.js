@@ -0,0 +1,67 @@
+// core-backend/models/ProjectBaseline.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * A frozen copy of a project's schedule: every task and milestone with its planned
+ * dates, duration and (at capture time) actuals. services/baselines.js compares the
+ * live schedule against one of these to report start/finish slip and duration growth.
+ *
+ * One baseline per project is "primary"; it is the default for variance and the
+ * Gantt baseline bars.
+ */
+
+const BaselineItemSchema = new Schema(
+  {
+    kind: { type: String, enum: ["task", "milestone"], required: true },
+    refId: { type: Schema.Types.ObjectId, required: true },
+    taskId: { type: Schema.Types.ObjectId, ref: "Task" }, // milestones: owning task
+    name: { type: String, default: "" },
+
+    workstreamId: { type: Schema.Types.ObjectId, ref: "Workstream", default: null },
+    workstreamName: { type: String, default: "" },
+    discipline: { type: String, default: "" },
+
+    status: { type: String, default: "" },
+    plannedStart: { type: Date },
+    plannedFinish: { type: Date },
+    durationDays: { type: Number },
+    actualStart: { type: Date },
+    actualFinish: { type: Date },
+  },
+  { _id: false },
+);
+
+const ProjectBaselineSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+    projectId: { type: Schema.Types.ObjectId, ref: "Project", required: true, index: true },
+
+    name: { type: String, required: true, trim: true },
+    note: { type: String, trim: true, default: "" },
+    primary: { type: Boolean, default: false },
+
+    // project dates at capture time
+    projectStart: { type: Date },
+    projectEnd: { type: Date },
+
+    items: { type: [BaselineItemSchema], default: [] },
+    itemCount: { type: Number, default: 0 },
+
+    createdBy: {
+      _id: { type: Schema.Types.ObjectId, ref: "User" },
+      name: { type: String },
+    },
+    isDeleted: { type: Boolean, default: false, index: true },
+  },
+  { timestamps: true },
+);
+
+ProjectBaselineSchema.index({ orgId: 1, projectId: 1, isDeleted: 1, createdAt: -1 });
+
+ProjectBaselineSchema.pre("validate", function (next) {
+  this.itemCount = Array.isArray(this.items) ? this.items.length : 0;
+  next();
+});
+
+module.exports = mongoose.models.ProjectBaseline || mongoose.model("ProjectBaseline", ProjectBaselineSchema);
@@ -48,6 +48,12 @@ const PurchaseSchema = new Schema(
     type: { type: String, trim: true, default: "other" },
     notes: { type: String, trim: true, default: "" },
 
+    // Fuel fills (type "fuel") -- consumed by services/fuelAnalytics.js
+    litres: { type: Number, min: 0, default: undefined },
+    pricePerLitre: { type: Number, min: 0, default: undefined },
+    odometer: { type: Number, min: 0, default: undefined },
+    fullTank: { type: Boolean, default: undefined },
+
     docUrls: [{ type: String }],
 
     sourceOfflineEventId: {
@@ -77,9 +83,20 @@ PurchaseSchema.pre("validate", function () {
   }
 
   if (!Array.isArray(this.docUrls)) this.docUrls = [];
+
+  // Fill in whichever of cost / price per litre the slip left out
+  const litres = Number(this.litres);
+  if (litres > 0) {
+    if (!(this.pricePerLitre > 0) && this.cost > 0) {
+      this.pricePerLitre = Number((this.cost / litres).toFixed(3));
+    } else if (!(this.cost > 0) && this.pricePerLitre > 0) {
+      this.cost = Number((this.pricePerLitre * litres).toFixed(2));
+    }
+  }
 });
 
 PurchaseSchema.index({ vehicleId: 1, date: -1 });
+PurchaseSchema.index({ vehicleId: 1, type: 1, date: 1 });
 
 module.exports =
   mongoose.models.Purchase || mongoose.model("Purchase", PurchaseSchema);
@@ -62,6 +62,20 @@ const DurationLogSchema = new Schema(
     lng: Number,
     accuracy: Number,
 
+    // Signed label scanned to start / resume ("task" or "site")
+    qrKind: { type: String, enum: ["task", "site", "legacy"], default: undefined },
+
+    // Geofence crossing (action "fence"); fenceAction is the status change it made
+    fence: { type: String, enum: ["enter", "exit"], default: undefined },
+    fenceAction: {
+      type: String,
+      enum: ["start", "resume", "pause"],
+      default: undefined,
+    },
+
+    // Offline event that produced this entry (idempotent resync)
+    sourceOfflineEventId: { type: Schema.Types.ObjectId, default: undefined },
+
     // Edit audit
     editedAt: { type: Date },
     editedBy: { type: Schema.Types.ObjectId, ref: "User" },
@@ -243,7 +257,10 @@ const TaskSchema = new Schema(
     geoJSON: { type: GeoJSONSchema, default: undefined },
     kmlRef: { type: KmlRefSchema, default: undefined },
 
+    // Mobile app starts/resumes the task on fence entry, and pauses it on exit
+    // when pauseOnExitFence is also set (services/fenceTrigger.js)
     triggerOnEnterFence: { type: Boolean, default: false },
+    pauseOnExitFence: { type: Boolean, default: false },
 
     estimatedDuration: { type: Number },
     actualDurationLog: [DurationLogSchema],
@@ -415,6 +432,18 @@ TaskSchema.path("plannedStartAt").validate(function (value) {
   return value <= this.plannedEndAt;
 }, "plannedStartAt cannot be after plannedEndAt");
 
+// keep the denormalised workstreamName in step with the Workstream it points at
+TaskSchema.pre("save", async function syncWorkstreamName() {
+  if (!this.isModified("workstreamId")) return;
+  if (!this.workstreamId) {
+    if (!this.isNew) this.workstreamName = "";
+    return;
+  }
+  const Workstream = mongoose.models.Workstream || require("./Workstream");
+  const ws = await Workstream.findById(this.workstreamId).select("name").lean();
+  if (ws) this.workstreamName = ws.name;
+});
+
 /* --------------------------- Indexes --------------------------- */
 TaskSchema.index({
   projectId: 1,
@@ -143,4 +143,16 @@ TaskMilestoneSchema.pre("validate", function (next) {
   next();
 });
 
+// keep the denormalised workstreamName in step with the Workstream it points at
+TaskMilestoneSchema.pre("save", async function syncWorkstreamName() {
+  if (!this.isModified("workstreamId")) return;
+  if (!this.workstreamId) {
+    if (!this.isNew) this.workstreamName = "";
+    return;
+  }
+  const Workstream = mongoose.models.Workstream || require("./Workstream");
+  const ws = await Workstream.findById(this.workstreamId).select("name").lean();
+  if (ws) this.workstreamName = ws.name;
+});
+
 module.exports = mongoose.models.TaskMilestone || mongoose.model("TaskMilestone", TaskMilestoneSchema);
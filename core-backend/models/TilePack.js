@@ -0,0 +1,80 @@
+// core-backend/models/TilePack.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Offline base-map tile pack for one project, so the mobile maps still have a
+ * base layer where there is no signal.
+ *
+ * The extent comes from the project's fences (and its tasks' fences) plus padding;
+ * services/tilePacks.js copies every tile in that extent for minZoom..maxZoom from
+ * the configured tile source into the GridFS bucket "tilepacks". Packs expire:
+ * after expiresAt the tiles are deleted and the mobile app drops its copy.
+ */
+
+const STATUS = ["queued", "building", "ready", "failed", "expired"];
+
+const BoundsSchema = new Schema(
+  {
+    west: { type: Number, required: true },
+    south: { type: Number, required: true },
+    east: { type: Number, required: true },
+    north: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+const TilePackSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+    projectId: { type: Schema.Types.ObjectId, ref: "Project", required: true, index: true },
+
+    name: { type: String, required: true, trim: true },
+    bounds: { type: BoundsSchema, required: true },
+    paddingM: { type: Number, min: 0, default: 250 },
+    minZoom: { type: Number, min: 0, max: 22, required: true },
+    maxZoom: { type: Number, min: 0, max: 22, required: true },
+
+    // tile source at build time
+    format: { type: String, enum: ["png", "jpg", "webp"], default: "png" },
+    source: { type: String, trim: true },
+    attribution: { type: String, trim: true },
+
+    status: { type: String, enum: STATUS, default: "queued", index: true },
+    progress: {
+      done: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    error: { type: String },
+
+    // size accounting
+    estimatedTiles: { type: Number, default: 0 },
+    estimatedBytes: { type: Number, default: 0 },
+    tileCount: { type: Number, default: 0 }, // tiles stored
+    missingTiles: { type: Number, default: 0 }, // not available from the source
+    bytes: { type: Number, default: 0 },
+
+    ttlDays: { type: Number, min: 1, default: 90 },
+    builtAt: { type: Date },
+    expiresAt: { type: Date, index: true },
+
+    createdBy: {
+      _id: { type: Schema.Types.ObjectId, ref: "User" },
+      name: { type: String },
+    },
+    isDeleted: { type: Boolean, default: false, index: true },
+  },
+  { timestamps: true },
+);
+
+TilePackSchema.index({ orgId: 1, projectId: 1, isDeleted: 1, createdAt: -1 });
+
+TilePackSchema.pre("validate", function (next) {
+  if (this.minZoom > this.maxZoom) this.invalidate("minZoom", "minZoom cannot be above maxZoom");
+  const b = this.bounds;
+  if (b && (b.west >= b.east || b.south >= b.north)) this.invalidate("bounds", "Pack extent is empty");
+  next();
+});
+
+module.exports = mongoose.models.TilePack || mongoose.model("TilePack", TilePackSchema);
+module.exports.STATUS = STATUS;
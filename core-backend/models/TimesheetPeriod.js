@@ -0,0 +1,72 @@
+// core-backend/models/TimesheetPeriod.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * A payroll period for one org. Period bounds are local calendar dates
+ * ("YYYY-MM-DD", in the org's timesheet timezone) so they compare as strings.
+ *
+ * Lifecycle: open -> (per-user approvals) -> locked. Locking stores a snapshot
+ * of the computed timesheet and freezes clockings inside the period.
+ */
+
+const ActorSchema = new Schema(
+  {
+    _id: { type: Schema.Types.ObjectId, ref: "User" },
+    name: String,
+  },
+  { _id: false },
+);
+
+const ApprovalSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: ["approved", "rejected"], required: true },
+    note: { type: String, default: "" },
+    by: ActorSchema,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const HistorySchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    by: ActorSchema,
+    action: String, // created | approved | rejected | locked | unlocked
+    note: String,
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false },
+);
+
+const TimesheetPeriodSchema = new Schema(
+  {
+    orgId: { type: String, index: true, required: true },
+    label: { type: String, default: "" },
+    periodStart: { type: String, required: true }, // YYYY-MM-DD inclusive
+    periodEnd: { type: String, required: true }, // YYYY-MM-DD inclusive
+
+    status: { type: String, enum: ["open", "locked"], default: "open", index: true },
+    approvals: { type: [ApprovalSchema], default: [] },
+
+    lockedAt: Date,
+    lockedBy: ActorSchema,
+    snapshot: {
+      computedAt: Date,
+      rules: Schema.Types.Mixed,
+      rows: Schema.Types.Mixed,
+    },
+
+    createdBy: ActorSchema,
+    history: { type: [HistorySchema], default: [] },
+  },
+  { timestamps: true },
+);
+
+TimesheetPeriodSchema.index({ orgId: 1, periodStart: -1 });
+TimesheetPeriodSchema.index({ orgId: 1, status: 1, periodStart: 1, periodEnd: 1 });
+
+module.exports =
+  mongoose.models.TimesheetPeriod ||
+  mongoose.model("TimesheetPeriod", TimesheetPeriodSchema);
@@ -20,6 +20,8 @@ const ReminderSchema = new Schema({
   notes: { type: String, default: '' },
   active: { type: Boolean, default: true },
   lastNotifiedAt: Date,
+  // stage of the last notice; an overdue notice still follows a due-soon one
+  lastNotifiedStage: { type: String, enum: ['due-soon', 'overdue'] },
   createdAt: { type: Date, default: Date.now },
 }, { _id: true });
 
@@ -0,0 +1,32 @@
+// core-backend/models/VehicleAssignment.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Who was responsible for a vehicle, and when. Vehicle.driverId mirrors the open
+ * row (to = null); rows are closed rather than deleted when the driver changes,
+ * so trips and fines can be matched to the driver of the day.
+ */
+const VehicleAssignmentSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+    vehicleId: { type: Schema.Types.ObjectId, ref: "Vehicle", required: true, index: true },
+    driverId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    from: { type: Date, required: true },
+    to: { type: Date, default: null }, // null = current
+
+    note: { type: String, default: "" },
+    assignedBy: {
+      _id: { type: Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+  },
+  { timestamps: true },
+);
+
+VehicleAssignmentSchema.index({ orgId: 1, vehicleId: 1, from: -1 });
+VehicleAssignmentSchema.index({ orgId: 1, driverId: 1, from: -1 });
+
+module.exports =
+  mongoose.models.VehicleAssignment || mongoose.model("VehicleAssignment", VehicleAssignmentSchema);
@@ -57,6 +57,32 @@ const PointSchema = new Schema(
   { _id: false }
 );
 
+// GPS track vs odometer (services/tripTrack.js); the track itself is in VehicleTripTrack
+const GpsCheckSchema = new Schema(
+  {
+    pointCount: Number,
+    gpsDistanceKm: Number,
+    odoDistance: Number,
+    diffKm: Number, // odometer minus GPS
+    diffPct: Number, // diffKm / odometer distance
+    status: { type: String, enum: ['ok', 'flagged', 'insufficient'] },
+    reason: String,
+    computedAt: Date,
+  },
+  { _id: false }
+);
+
+// Driver licence / PrDP check when the trip started (services/driverCompliance.js)
+const DriverCheckSchema = new Schema(
+  {
+    status: { type: String, enum: ['ok', 'warn', 'block'] },
+    issues: [String], // no-licence | expired | expiring | wrong-code | prdp-missing | prdp-expired | not-assigned
+    message: String,
+    checkedAt: Date,
+  },
+  { _id: false }
+);
+
 /* ------------------------------ Main schema ---------------------------- */
 
 const VehicleTripSchema = new Schema(
@@ -92,6 +118,12 @@ const VehicleTripSchema = new Schema(
     startLocation: PointSchema,
     endLocation: PointSchema,
 
+    // breadcrumb summary (set once the mobile track has been uploaded)
+    gpsCheck: { type: GpsCheckSchema, default: undefined },
+
+    // licence check for driverUserId at trip start
+    driverCheck: { type: DriverCheckSchema, default: undefined },
+
     // purpose (Business | Private)
     purpose: {
       type: String,
@@ -130,6 +162,8 @@ const VehicleTripSchema = new Schema(
 
 // helpful compound index to find “open trip for a driver/vehicle”
 VehicleTripSchema.index({ orgId: 1, vehicleId: 1, driverUserId: 1, status: 1 });
+VehicleTripSchema.index({ orgId: 1, 'gpsCheck.status': 1, startedAt: -1 });
+VehicleTripSchema.index({ orgId: 1, 'driverCheck.status': 1, startedAt: -1 });
 
 // Geo indexes (sparse so docs without coordinates are ignored)
 VehicleTripSchema.index({ startLocation: '2dsphere' }, { sparse: true });
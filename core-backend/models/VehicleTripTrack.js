@@ -0,0 +1,36 @@
+// core-backend/models/VehicleTripTrack.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * GPS breadcrumb of one vehicle trip, recorded by the mobile logbook while the
+ * trip is open. Kept out of VehicleTrip so trip lists stay small; the trip
+ * carries the summary (VehicleTrip.gpsCheck).
+ *
+ * path.coordinates[i] was captured at times[i] with accuracy acc[i] (metres).
+ */
+const VehicleTripTrackSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, index: true },
+    tripId: { type: Schema.Types.ObjectId, ref: "VehicleTrip", required: true, unique: true },
+    vehicleId: { type: Schema.Types.ObjectId, ref: "Vehicle", index: true },
+
+    // GeoJSON LineString, [lng, lat] pairs in capture order
+    path: {
+      type: { type: String, enum: ["LineString"], default: "LineString" },
+      coordinates: { type: [[Number]], default: [] },
+    },
+    times: { type: [Date], default: [] },
+    acc: { type: [Number], default: [] },
+
+    pointCount: { type: Number, default: 0 },
+    droppedPoints: { type: Number, default: 0 }, // rejected by the last upload (poor accuracy / impossible jumps)
+    distanceKm: { type: Number, default: 0 },
+    source: { type: String, default: "mobile" },
+    lastUploadAt: Date,
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.VehicleTripTrack || mongoose.model("VehicleTripTrack", VehicleTripTrackSchema);
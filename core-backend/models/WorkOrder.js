@@ -0,0 +1,121 @@
+// core-backend/models/WorkOrder.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Maintenance work order for one asset, raised by a MaintenancePlan
+ * (source "plan") or by hand (source "manual").
+ *
+ * Lifecycle:
+ *   open -> in-progress -> completed
+ *   any (not completed) -> cancelled
+ *
+ * Completing a work order writes an entry into Asset.maintenance
+ * (maintenanceEntryId) and, for plan work orders, resets the plan clock for
+ * the asset (Asset.pm).
+ */
+
+const STATUS = ["open", "in-progress", "completed", "cancelled"];
+
+const ActorSchema = new Schema(
+  {
+    _id: { type: Schema.Types.ObjectId, ref: "User" },
+    name: String,
+  },
+  { _id: false },
+);
+
+const ChecklistItemSchema = new Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    required: { type: Boolean, default: true },
+    done: { type: Boolean, default: false },
+    note: { type: String, default: "" },
+    doneAt: { type: Date },
+    doneBy: ActorSchema,
+  },
+  { _id: true },
+);
+
+const PartSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    partNo: { type: String, trim: true, default: "" },
+    qty: { type: Number, min: 0, default: 1 },
+    unitCost: { type: Number, min: 0 },
+  },
+  { _id: true },
+);
+
+const LabourSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+    name: { type: String, trim: true, default: "" },
+    minutes: { type: Number, min: 0, required: true },
+    at: { type: Date, default: Date.now },
+    note: { type: String, default: "" },
+  },
+  { _id: true },
+);
+
+const WorkOrderSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+    assetId: { type: Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+    planId: { type: Schema.Types.ObjectId, ref: "MaintenancePlan", default: null, index: true },
+    source: { type: String, enum: ["plan", "manual"], default: "manual" },
+
+    title: { type: String, required: true, trim: true },
+    notes: { type: String, default: "" },
+    status: { type: String, enum: STATUS, default: "open", index: true },
+
+    // What triggered it (plan work orders)
+    dueAt: { type: Date, default: null },
+    meterKey: { type: String },
+    dueUsage: { type: Number },
+
+    checklist: { type: [ChecklistItemSchema], default: [] },
+    parts: { type: [PartSchema], default: [] },
+    labour: { type: [LabourSchema], default: [] },
+
+    assignedTo: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    openedBy: ActorSchema,
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    completedBy: ActorSchema,
+    usageAtCompletion: { type: Number },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String },
+
+    // Asset.maintenance entry written on completion
+    maintenanceEntryId: { type: Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: true },
+);
+
+WorkOrderSchema.index({ orgId: 1, status: 1, dueAt: 1 });
+WorkOrderSchema.index({ orgId: 1, assetId: 1, planId: 1, status: 1 });
+// one open plan work order per asset, even when the sweep and a manual
+// generate run at the same time (services/preventiveMaintenance.js)
+WorkOrderSchema.index(
+  { planId: 1, assetId: 1 },
+  {
+    unique: true,
+    name: "one_open_per_plan_asset",
+    partialFilterExpression: { planId: { $type: "objectId" }, status: { $in: ["open", "in-progress"] } },
+  },
+);
+
+WorkOrderSchema.virtual("labourMinutes").get(function () {
+  return (this.labour || []).reduce((a, l) => a + (Number(l.minutes) || 0), 0);
+});
+WorkOrderSchema.virtual("partsCost").get(function () {
+  return (this.parts || []).reduce((a, p) => a + (Number(p.qty) || 0) * (Number(p.unitCost) || 0), 0);
+});
+WorkOrderSchema.set("toJSON", { virtuals: true });
+WorkOrderSchema.set("toObject", { virtuals: true });
+
+WorkOrderSchema.statics.STATUS = STATUS;
+
+module.exports = mongoose.models.WorkOrder || mongoose.model("WorkOrder", WorkOrderSchema);
@@ -0,0 +1,53 @@
+// core-backend/models/Workstream.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * A workstream (lane) inside one project. Task.workstreamId and
+ * TaskMilestone.workstreamId point here; both also keep a denormalised
+ * workstreamName, which the save hooks on those models and the rename in
+ * routes/workstreams.js keep in step with `name`.
+ *
+ * Progress is not stored: services/workstreams.js rolls it up from the tasks.
+ */
+
+const STATUS = ["planned", "active", "on-hold", "completed", "cancelled"];
+
+const WorkstreamSchema = new Schema(
+  {
+    orgId: { type: Schema.Types.ObjectId, ref: "Org", index: true },
+    projectId: { type: Schema.Types.ObjectId, ref: "Project", required: true, index: true },
+
+    name: { type: String, required: true, trim: true },
+    code: { type: String, trim: true, default: "" },
+    description: { type: String, trim: true, default: "" },
+
+    ownerUserId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    color: {
+      type: String,
+      trim: true,
+      default: "#64748b",
+      match: [/^#[0-9a-fA-F]{6}$/, "color must be a #rrggbb hex value"],
+    },
+    order: { type: Number, default: 0 },
+
+    budget: {
+      amount: { type: Number, min: 0 },
+      currency: { type: String, trim: true, uppercase: true, default: "" },
+    },
+
+    status: { type: String, enum: STATUS, default: "planned", index: true },
+
+    createdBy: {
+      _id: { type: Schema.Types.ObjectId, ref: "User" },
+      name: { type: String },
+    },
+    isDeleted: { type: Boolean, default: false, index: true },
+  },
+  { timestamps: true },
+);
+
+WorkstreamSchema.index({ orgId: 1, projectId: 1, isDeleted: 1, order: 1 });
+
+module.exports = mongoose.models.Workstream || mongoose.model("Workstream", WorkstreamSchema);
+module.exports.STATUS = STATUS;
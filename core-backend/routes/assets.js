@@ -5,7 +5,12 @@ const path = require('path');
 const multer = require('multer');
 const mongoose = require('mongoose');
 const Asset = require('../models/Asset');
-const { requireAuth, resolveOrgContext, requireOrg } = require('../middleware/auth');
+const AssetCustody = require('../models/AssetCustody');
+const custody = require('../services/assetCustody');
+const { setMeter } = require('../services/preventiveMaintenance');
+const depreciation = require('../services/assetDepreciation');
+const WorkOrder = mongoose.models.WorkOrder || require('../models/WorkOrder');
+const { requireAuth, resolveOrgContext, requireOrg, requireRole } = require('../middleware/auth');
 
 // Prefer User model for labels
 const User = mongoose.models.User || (() => { try { return require('../models/User'); } catch { return null; } })();
@@ -261,6 +266,13 @@ router.get('/', async (req, res) => {
       const s = canonAssetStatus(req.query.status);
       if (s) where.status = s;
     }
+    // custody=out|overdue|available
+    if (req.query.custody === 'out') where['custody.status'] = 'checked-out';
+    if (req.query.custody === 'overdue') {
+      where['custody.status'] = 'checked-out';
+      where['custody.dueAt'] = { $ne: null, $lt: new Date() };
+    }
+    if (req.query.custody === 'available') where['custody.status'] = { $ne: 'checked-out' };
 
     let rows = await Asset.find(where).sort({ updatedAt: -1 }).limit(limit).lean({ virtuals: true });
     rows = await addUploaderDisplay(rows);
@@ -317,6 +329,60 @@ router.post('/', async (req, res) => {
   }
 });
 
+/* ---------------------------- Custody (org) ---------------------------- */
+// GET /assets/custody?q=&action=&holderUserId=&from=&to=  -> ledger across all assets
+router.get('/custody', async (req, res) => {
+  try {
+    const { q, action, holderUserId, from, to, limit } = req.query;
+    const rows = await custody.listLedger({ orgId: getOrgId(req), q, action, holderUserId, from, to, limit });
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /assets/custody error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// GET /assets/custody/overdue  -> assets not back by their return date
+router.get('/custody/overdue', async (req, res) => {
+  try {
+    res.json(await custody.listOverdue({ orgId: getOrgId(req) }));
+  } catch (e) {
+    console.error('GET /assets/custody/overdue error:', e);
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+/* ---------------------------- Asset register --------------------------- */
+// GET /assets/register?asAt=&from=&includeUnset=&format=json|csv|xlsx  (manager+)
+// Book values as at `asAt`; depreciation, disposals and maintenance cost for [from, asAt].
+router.get('/register', requireRole('manager'), async (req, res) => {
+  try {
+    const { asAt, from, includeUnset, format } = req.query;
+    const reg = await depreciation.register({
+      orgId: getOrgId(req),
+      asAt,
+      from,
+      includeUnset: truthy(includeUnset),
+    });
+
+    const fmt = String(format || 'json').toLowerCase();
+    if (fmt === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${depreciation.fileBaseName(reg)}.csv"`);
+      return res.send(depreciation.toCsv(reg));
+    }
+    if (fmt === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${depreciation.fileBaseName(reg)}.xlsx"`);
+      return res.send(depreciation.toXlsxBuffer(reg));
+    }
+    res.json(reg);
+  } catch (e) {
+    if (!e.status) console.error('GET /assets/register error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
 /* -------------------------------- READ -------------------------------- */
 router.get('/:id', async (req, res) => {
   try {
@@ -391,6 +457,8 @@ router.delete('/:id', async (req, res) => {
     }
 
     await doc.deleteOne();
+    await AssetCustody.deleteMany({ assetId: doc._id });
+    await WorkOrder.deleteMany({ assetId: doc._id });
     res.json({ ok: true });
   } catch (e) {
     console.error('DELETE /assets/:id error:', e);
@@ -405,7 +473,7 @@ router.post('/:id/maintenance', async (req, res) => {
     const { id } = req.params;
     if (!isId(id)) return err(res, 400, 'Invalid id');
 
-    const { date, note, lat, lng, acc, scanned } = req.body || {};
+    const { date, note, cost, lat, lng, acc, scanned } = req.body || {};
 
     const where = { _id: id, ...buildOrgFilterFromReq(req) };
     const doc = await Asset.findOne(where);
@@ -418,6 +486,7 @@ router.post('/:id/maintenance', async (req, res) => {
       date: date ? new Date(date) : new Date(),
       note: note || '',
       by: who,
+      cost: cost !== '' && cost != null && Number(cost) >= 0 ? Number(cost) : undefined,
       lat: Number.isFinite(Number(lat)) ? Number(lat) : undefined,
       lng: Number.isFinite(Number(lng)) ? Number(lng) : undefined,
       acc: Number.isFinite(Number(acc)) ? Number(acc) : undefined,
@@ -450,6 +519,201 @@ router.delete('/:id/maintenance/:mid', async (req, res) => {
   }
 });
 
+/* --------------------------- Usage meters ----------------------------- */
+// POST /assets/:id/meters  { key: "hours", value, unit?, at?, replaced? }  -> asset
+// Readings only go up; `replaced` accepts a lower one (meter swapped or reset).
+router.post('/:id/meters', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) });
+    if (!doc) return err(res, 404, 'Not found');
+
+    const { key, value, unit, at, replaced } = req.body || {};
+    setMeter(doc, { key, value, unit, at, by: await resolveUploaderLabel(req), replaced: !!replaced });
+    await doc.save();
+    const out = doc.toObject();
+    await addUploaderDisplay(out);
+    res.json(out);
+  } catch (e) {
+    if (!e.status) console.error('POST /assets/:id/meters error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+/* --------------------- Finance / depreciation ------------------------ */
+// GET /assets/:id/depreciation?asAt=  -> { finance, valuation, schedule }
+router.get('/:id/depreciation', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) }).select('finance').lean();
+    if (!doc) return err(res, 404, 'Not found');
+
+    const rows = depreciation.schedule(doc.finance);
+    const valuation = depreciation.valuationAt(doc.finance, depreciation.asAtDate(req.query.asAt), rows);
+    res.json({ finance: doc.finance || null, valuation, schedule: rows });
+  } catch (e) {
+    console.error('GET /assets/:id/depreciation error:', e);
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// PUT /assets/:id/finance  { purchaseCost, acquiredAt, vendorId|vendorName, invoiceRef,
+//                            usefulLifeMonths, residualValue, method, ratePct }  (manager+)
+router.put('/:id/finance', requireRole('manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) });
+    if (!doc) return err(res, 404, 'Not found');
+
+    await depreciation.applyFinance(doc, req.body || {}, { orgId: getOrgId(req) });
+    await doc.save();
+    res.json(await addUploaderDisplay(doc.toObject()));
+  } catch (e) {
+    if (e?.name === 'ValidationError') return err(res, 400, Object.values(e.errors).map((x) => x.message).join('; '));
+    if (!e.status) console.error('PUT /assets/:id/finance error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// POST /assets/:id/disposal  { disposedAt, method, proceeds, buyer?, reference?, note? }  (manager+)
+// Stops depreciation and retires the asset. DELETE reverses it.
+router.post('/:id/disposal', requireRole('manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) });
+    if (!doc) return err(res, 404, 'Not found');
+
+    depreciation.dispose(doc, req.body || {}, custodyActor(req));
+    await doc.save();
+    res.json(await addUploaderDisplay(doc.toObject()));
+  } catch (e) {
+    if (e?.name === 'ValidationError') return err(res, 400, Object.values(e.errors).map((x) => x.message).join('; '));
+    if (!e.status) console.error('POST /assets/:id/disposal error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+router.delete('/:id/disposal', requireRole('manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) });
+    if (!doc) return err(res, 404, 'Not found');
+
+    depreciation.reverseDisposal(doc);
+    await doc.save();
+    res.json(await addUploaderDisplay(doc.toObject()));
+  } catch (e) {
+    if (!e.status) console.error('DELETE /assets/:id/disposal error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+/* ------------------------------ Custody ------------------------------- */
+function custodyActor(req) {
+  return {
+    _id: req.user?._id || req.user?.sub,
+    name: (req.user && (req.user.name || req.user.email)) || '',
+  };
+}
+
+// Optional photo (field "photo") -> GridFS "assets" bucket, same as attachments
+async function custodyPhoto(req, assetId) {
+  if (!req.file) return undefined;
+  const meta = await saveAssetFileToGridFS(req, req.file, { assetId });
+  return { fileId: meta.fileId, bucket: 'assets', url: meta.url, filename: req.file.originalname, mime: meta.mime };
+}
+
+function custodyGeo(body = {}) {
+  return { lat: body.lat, lng: body.lng, acc: body.acc };
+}
+
+const truthy = (v) => ['1', 'true', 'yes', 'on'].includes(String(v || '').toLowerCase());
+
+// GET /assets/:id/custody?q=&action=&from=&to=  -> ledger for one asset, newest first
+router.get('/:id/custody', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const asset = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) }).select('_id').lean();
+    if (!asset) return err(res, 404, 'Not found');
+    const { q, action, holderUserId, from, to, limit } = req.query;
+    const rows = await custody.listLedger({ orgId: getOrgId(req), assetId: id, q, action, holderUserId, from, to, limit });
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /assets/:id/custody error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// POST /assets/:id/checkout  { holderType, holderUserId?, projectId?, taskId?, dueAt?, at?, note?, lat?, lng?, acc?, scanned? } (+ optional "photo")
+router.post('/:id/checkout', upload.single('photo'), async (req, res) => {
+  let photo;
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) });
+    if (!doc) return err(res, 404, 'Not found');
+
+    const body = req.body || {};
+    const holder = await custody.resolveHolder({ orgId: getOrgId(req), ...body });
+    photo = await custodyPhoto(req, id);
+    const result = await custody.checkOut({
+      asset: doc,
+      holder,
+      at: body.at,
+      dueAt: body.dueAt,
+      note: body.note,
+      photo,
+      geo: custodyGeo(body),
+      scanned: truthy(body.scanned),
+      actor: custodyActor(req),
+    });
+    const out = result.asset.toObject();
+    await addUploaderDisplay(out);
+    res.status(201).json({ asset: out, entry: result.entry });
+  } catch (e) {
+    if (photo?.fileId) await deleteGridFSFileById(photo.fileId); // refused: drop the upload
+    if (!e.status) console.error('POST /assets/:id/checkout error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+// POST /assets/:id/checkin  { condition?, at?, note?, lat?, lng?, acc?, scanned? } (+ optional "photo")
+router.post('/:id/checkin', upload.single('photo'), async (req, res) => {
+  let photo;
+  try {
+    const { id } = req.params;
+    if (!isId(id)) return err(res, 400, 'Invalid id');
+    const doc = await Asset.findOne({ _id: id, ...buildOrgFilterFromReq(req) });
+    if (!doc) return err(res, 404, 'Not found');
+
+    const body = req.body || {};
+    photo = await custodyPhoto(req, id);
+    const result = await custody.checkIn({
+      asset: doc,
+      at: body.at,
+      condition: body.condition,
+      note: body.note,
+      photo,
+      geo: custodyGeo(body),
+      scanned: truthy(body.scanned),
+      actor: custodyActor(req),
+    });
+    const out = result.asset.toObject();
+    await addUploaderDisplay(out);
+    res.json({ asset: out, entry: result.entry });
+  } catch (e) {
+    if (photo?.fileId) await deleteGridFSFileById(photo.fileId); // refused: drop the upload
+    if (!e.status) console.error('POST /assets/:id/checkin error:', e);
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
 /* ---------------------------- Attachments ----------------------------- */
 /**
  * POST /assets/:id/attachments
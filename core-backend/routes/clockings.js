@@ -5,6 +5,14 @@ const { requireAuth } = require('../middleware/auth');
 const Clocking = require('../models/Clocking');
 const { CLOCK_TYPES } = require('../models/Clocking');
 const User = require('../models/User');
+const { findLockedPeriod } = require('../services/timesheets');
+const {
+  FENCE_POLICIES,
+  normalizePolicy,
+  loadFencePolicy,
+  evaluateClocking,
+} = require('../services/clockingFence');
+const Org = mongoose.models.Org || require('../models/Org');
 // Safe model reference (avoids OverwriteModelError if loaded elsewhere)
 const Group = mongoose.models.Group || require('../models/Group');
 
@@ -201,6 +209,46 @@ function intersectIds(a, b) {
   return out;
 }
 
+// Clockings inside a locked payroll period are frozen (see routes/timesheets.js)
+async function assertUnlockedOr409(orgId, dates, res) {
+  const locked = await findLockedPeriod(orgId, dates);
+  if (!locked) return true;
+  res.status(409).json({
+    error: `Timesheet period ${locked.label || `${locked.periodStart} – ${locked.periodEnd}`} is locked`,
+    periodId: locked._id,
+  });
+  return false;
+}
+
+// Evaluate the project geofence for a new/edited punch and stamp doc.fence.
+// Returns false (after replying 400) when the org policy rejects it.
+async function applyFenceOr400(req, docs, res) {
+  const first = docs[0];
+  if (!first) return true;
+  const result = await evaluateClocking({
+    orgId: first.orgId,
+    projectId: first.projectId,
+    type: first.type,
+    location: first.location,
+  });
+
+  const override = !!req.body?.fenceOverride && isAdmin(req);
+  if (result.reject && !override) {
+    res.status(400).json({
+      error: 'outside geofence',
+      distanceM: result.fence?.distanceM,
+      fence: result.fence,
+    });
+    return false;
+  }
+  if (result.fence) {
+    const fence = { ...result.fence };
+    if (result.reject && override) fence.overriddenBy = editorObjectIdQuick(req);
+    for (const d of docs) d.fence = fence;
+  }
+  return true;
+}
+
 /* ------------------------------- LIST ------------------------------- */
 router.get('/', requireAuth, async (req, res) => {
   try {
@@ -296,6 +344,119 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+/* ------------------------ GEOFENCE POLICY ------------------------- */
+router.get('/fence-policy', requireAuth, async (req, res) => {
+  try {
+    res.json({ policy: await loadFencePolicy(req.user?.orgId), policies: FENCE_POLICIES });
+  } catch (e) {
+    console.error('GET /clockings/fence-policy error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/fence-policy', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req)) return res.status(403).json({ error: 'Forbidden' });
+    const oid = asObjectId(req.user?.orgId);
+    if (!oid) return res.status(400).json({ error: 'Policy is per organisation' });
+
+    const policy = normalizePolicy(req.body || {});
+    await Org.updateOne({ _id: oid }, { $set: { 'settings.clockings': policy } });
+    res.json({ policy });
+  } catch (e) {
+    console.error('PUT /clockings/fence-policy error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ----------------------- GEOFENCE EXCEPTIONS ----------------------- */
+// ?from&to&projectId&userId&status=outside|no-location&reviewed=0|1|all
+router.get('/exceptions', requireAuth, async (req, res) => {
+  try {
+    const { from, to, projectId, userId, status, reviewed, limit } = req.query;
+    const find = { ...orgFilterFromReq(req), 'fence.exception': true };
+
+    if (from || to) {
+      find.at = {
+        ...(from ? { $gte: new Date(from) } : {}),
+        ...(to ? { $lte: new Date(to) } : {}),
+      };
+    }
+    const pid = asObjectId(projectId);
+    if (pid) find.projectId = pid;
+    if (status === 'outside' || status === 'no-location') find['fence.status'] = status;
+    if (reviewed === '1') find['fence.reviewedAt'] = { $ne: null };
+    else if (reviewed !== 'all') find['fence.reviewedAt'] = null;
+
+    const uid = asObjectId(userId);
+    if (uid) {
+      if (!assertVisibleOr403(req, uid, res)) return;
+      find.userId = uid;
+    } else if (!isAdmin(req)) {
+      find.userId = {
+        $in: Array.from(getAccessibleSet(req)).map(asObjectId).filter(Boolean),
+      };
+    }
+
+    const lim = Math.min(parseInt(limit || '500', 10) || 500, 2000);
+    const rows = await Clocking.find(find)
+      .select({ editLog: 0, attachments: 0 })
+      .sort({ at: -1 })
+      .limit(lim)
+      .populate('userId', 'name email staffNumber')
+      .populate('projectId', 'name')
+      .populate('fence.reviewedBy', 'name email')
+      .lean();
+
+    // per-user summary for the report header
+    const byUser = new Map();
+    for (const r of rows) {
+      const key = String(r.userId?._id || r.userId || '');
+      const rec = byUser.get(key) || {
+        userId: key,
+        name: r.userId?.name || r.userId?.email || key,
+        outside: 0,
+        noLocation: 0,
+        maxDistanceM: 0,
+      };
+      if (r.fence?.status === 'outside') {
+        rec.outside += 1;
+        rec.maxDistanceM = Math.max(rec.maxDistanceM, Number(r.fence.distanceM) || 0);
+      } else {
+        rec.noLocation += 1;
+      }
+      byUser.set(key, rec);
+    }
+
+    res.json({
+      rows,
+      summary: Array.from(byUser.values()).sort((a, b) => b.outside - a.outside),
+    });
+  } catch (e) {
+    console.error('GET /clockings/exceptions error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark an exception as reviewed (keeps it on record, hides it from the open list)
+router.post('/:id/fence-review', requireAuth, async (req, res) => {
+  try {
+    const doc = await Clocking.findOne({ _id: req.params.id, ...orgFilterFromReq(req) });
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    if (!isAdmin(req) && !assertVisibleOr403(req, doc.userId, res)) return;
+    if (!doc.fence?.exception) return res.status(400).json({ error: 'Not a geofence exception' });
+
+    doc.fence.reviewedAt = new Date();
+    doc.fence.reviewedBy = await resolveEditorId(req);
+    doc.fence.reviewNote = String(req.body?.note || '').trim();
+    await doc.save();
+    res.json({ ok: true, fence: doc.fence });
+  } catch (e) {
+    console.error('POST /clockings/:id/fence-review error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* ------------------------------- READ ------------------------------ */
 router.get('/:id', requireAuth, async (req, res) => {
   try {
@@ -407,6 +568,8 @@ router.post('/', requireAuth, async (req, res) => {
       }
 
       const docs = await Promise.all(userIds.map(async (uid) => buildClockDoc(req.body, uid, req.user, currentUserId)));
+      if (docs.length && !(await assertUnlockedOr409(docs[0].orgId, [docs[0].at], res))) return;
+      if (!(await applyFenceOr400(req, docs, res))) return;
       const saved = await Clocking.insertMany(docs);
       return res.status(201).json(saved);
     }
@@ -419,6 +582,8 @@ router.post('/', requireAuth, async (req, res) => {
     if (!isAdmin(req) && !assertVisibleOr403(req, effectiveUserId, res)) return;
 
     const one = await buildClockDoc(req.body, effectiveUserId, req.user, currentUserId);
+    if (!(await assertUnlockedOr409(one.orgId, [one.at], res))) return;
+    if (!(await applyFenceOr400(req, [one], res))) return;
     await one.save();
     return res.status(201).json(one);
   } catch (e) {
@@ -436,6 +601,9 @@ router.put('/:id', requireAuth, async (req, res) => {
     // Non-admin must be able to see this clocking
     if (!isAdmin(req) && !assertVisibleOr403(req, doc.userId, res)) return;
 
+    const nextAt = req.body?.at != null ? new Date(req.body.at) : doc.at;
+    if (!(await assertUnlockedOr409(doc.orgId, [doc.at, nextAt], res))) return;
+
     // Snapshot "before"
     const before = {
       type: doc.type,
@@ -503,6 +671,17 @@ router.put('/:id', requireAuth, async (req, res) => {
     };
     const changes = collectChanges(before, after);
 
+    // Re-check the fence when anything it depends on changed (edits are audited, never rejected)
+    if (changes.some((c) => ['location', 'projectId', 'type'].includes(c.field))) {
+      const { fence } = await evaluateClocking({
+        orgId: doc.orgId,
+        projectId: doc.projectId,
+        type: doc.type,
+        location: doc.location,
+      });
+      doc.fence = fence;
+    }
+
     // Write audit if we have an editor id
     if (changes.length > 0) {
       const editorId = await resolveEditorId(req);
@@ -545,6 +724,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
     if (!doc) return res.status(404).json({ error: 'Not found' });
 
     if (!isAdmin(req) && !assertVisibleOr403(req, doc.userId, res)) return;
+    if (!(await assertUnlockedOr409(doc.orgId, [doc.at], res))) return;
 
     await Clocking.deleteOne({ _id: req.params.id });
     res.sendStatus(204);
@@ -0,0 +1,213 @@
+// core-backend/routes/driverLicences.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const DriverLicence = require("../models/DriverLicence");
+const Document = mongoose.models.Document || require("../models/Document");
+const { evaluateLicence } = require("../services/driverCompliance");
+
+const router = express.Router();
+
+/* ------------------------------- helpers ------------------------------- */
+
+function asOid(x) {
+  const s = String(x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+function orgFilter(req) {
+  const oid = asOid(req.orgObjectId || req.orgId || req.user?.orgId);
+  return oid ? { orgId: oid } : {};
+}
+
+function actorName(req) {
+  return req.user?.email || req.user?.name || String(req.user?._id || req.user?.sub || "");
+}
+
+// Managers and up see everyone they can see; others only their own licence
+function canManage(req) {
+  const r = String(req.user?.role || "").toLowerCase();
+  return ["manager", "admin", "superadmin"].includes(r);
+}
+
+function visibleUserIds(req) {
+  if (canManage(req)) return null; // no restriction
+  const self = String(req.user?._id || req.user?.sub || "");
+  return [self];
+}
+
+// "" / null / bad input clear the date
+const dateOrUndef = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : undefined;
+};
+
+// Body -> licence fields; only keys present in the body are returned
+function fieldsFrom(body = {}) {
+  const out = {};
+  if (body.licenceNumber !== undefined) out.licenceNumber = String(body.licenceNumber || "").trim();
+  if (body.codes !== undefined) out.codes = body.codes;
+  if (body.issuedAt !== undefined) out.issuedAt = dateOrUndef(body.issuedAt);
+  if (body.expiresAt !== undefined) out.expiresAt = dateOrUndef(body.expiresAt);
+  if (body.restrictions !== undefined) out.restrictions = String(body.restrictions || "");
+  if (body.notes !== undefined) out.notes = String(body.notes || "");
+  if (body.prdp !== undefined) {
+    const p = body.prdp || {};
+    const hasAny = p.number || (Array.isArray(p.categories) ? p.categories.length : p.categories) || p.expiresAt;
+    out.prdp = hasAny
+      ? { number: String(p.number || "").trim(), categories: p.categories || [], expiresAt: dateOrUndef(p.expiresAt) }
+      : undefined;
+  }
+  return out;
+}
+
+// Licence status at a glance: ok | expiring | expired (licence or PrDP)
+function statusOf(licence) {
+  const kinds = evaluateLicence(licence, { codes: [], prdp: !!licence?.prdp }).map((i) => i.kind);
+  if (kinds.includes("expired") || kinds.includes("prdp-expired")) return "expired";
+  if (kinds.includes("expiring")) return "expiring";
+  return "ok";
+}
+
+// Scanned copies: Documents linked to the licence
+async function scansFor(req, licenceIds) {
+  if (!licenceIds.length) return {};
+  const refs = licenceIds.flatMap((id) => [id, String(id)]);
+  const docs = await Document.find({
+    ...orgFilter(req),
+    deletedAt: { $exists: false },
+    links: { $elemMatch: { type: "driver-licence", refId: { $in: refs } } },
+  })
+    .select({ title: 1, links: 1, latest: 1 })
+    .lean();
+
+  const out = {};
+  for (const d of docs) {
+    for (const l of d.links || []) {
+      if (l.type !== "driver-licence") continue;
+      const key = String(l.refId);
+      (out[key] ||= []).push({
+        _id: String(d._id),
+        title: d.title,
+        filename: d.latest?.filename || "",
+        url: d.latest?.url || "",
+      });
+    }
+  }
+  return out;
+}
+
+function toOut(row, scans = {}) {
+  const user = row.userId && typeof row.userId === "object" && row.userId._id ? row.userId : null;
+  return {
+    ...row,
+    _id: String(row._id),
+    userId: user ? String(user._id) : String(row.userId),
+    userName: user ? user.name || user.email || "" : "",
+    status: statusOf(row),
+    documents: scans[String(row._id)] || [],
+  };
+}
+
+/* --------------------------------- list -------------------------------- */
+// GET /driver-licences?userId=&status=ok|expiring|expired
+router.get("/", async (req, res) => {
+  try {
+    const q = { ...orgFilter(req), isDeleted: { $ne: true } };
+    const only = visibleUserIds(req);
+    if (req.query.userId) {
+      if (only && !only.includes(String(req.query.userId))) return res.status(403).json({ error: "Forbidden" });
+      const uid = asOid(req.query.userId);
+      if (!uid) return res.status(400).json({ error: "Invalid userId" });
+      q.userId = uid;
+    } else if (only) {
+      q.userId = { $in: only.map(asOid).filter(Boolean) };
+    }
+
+    const rows = await DriverLicence.find(q)
+      .sort({ expiresAt: 1 })
+      .populate({ path: "userId", select: "name email" })
+      .lean();
+    const scans = await scansFor(req, rows.map((r) => r._id));
+    let out = rows.map((r) => toOut(r, scans));
+    if (req.query.status) out = out.filter((r) => r.status === String(req.query.status));
+    res.json(out);
+  } catch (e) {
+    console.error("GET /driver-licences error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* -------------------------------- create ------------------------------- */
+// POST /driver-licences
+router.post("/", requireRole("manager"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const userId = asOid(body.userId);
+    if (!userId) return res.status(400).json({ error: "userId required" });
+
+    const fields = fieldsFrom(body);
+    if (!fields.codes || !fields.codes.length) {
+      return res.status(400).json({ error: "At least one licence code is required" });
+    }
+
+    const row = await DriverLicence.create({
+      ...orgFilter(req),
+      userId,
+      ...fields,
+      createdBy: actorName(req),
+      updatedBy: actorName(req),
+    });
+    const ret = await DriverLicence.findById(row._id).populate({ path: "userId", select: "name email" }).lean();
+    res.status(201).json(toOut(ret));
+  } catch (e) {
+    if (e?.name === "ValidationError") return res.status(400).json({ error: e.message });
+    console.error("POST /driver-licences error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* -------------------------------- update ------------------------------- */
+// PUT /driver-licences/:id
+router.put("/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const id = asOid(req.params.id);
+    if (!id) return res.status(404).json({ error: "Not found" });
+
+    const row = await DriverLicence.findOne({ _id: id, ...orgFilter(req), isDeleted: { $ne: true } });
+    if (!row) return res.status(404).json({ error: "Not found" });
+
+    for (const [k, v] of Object.entries(fieldsFrom(req.body || {}))) row[k] = v;
+    if (!row.codes.length) return res.status(400).json({ error: "At least one licence code is required" });
+    row.updatedBy = actorName(req);
+    await row.save();
+
+    const ret = await DriverLicence.findById(row._id).populate({ path: "userId", select: "name email" }).lean();
+    const scans = await scansFor(req, [ret._id]);
+    res.json(toOut(ret, scans));
+  } catch (e) {
+    if (e?.name === "ValidationError") return res.status(400).json({ error: e.message });
+    console.error("PUT /driver-licences/:id error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* -------------------------------- delete ------------------------------- */
+// DELETE /driver-licences/:id (soft)
+router.delete("/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const id = asOid(req.params.id);
+    if (!id) return res.status(404).json({ error: "Not found" });
+    const row = await DriverLicence.findOneAndUpdate(
+      { _id: id, ...orgFilter(req), isDeleted: { $ne: true } },
+      { $set: { isDeleted: true, updatedBy: actorName(req) } },
+    );
+    if (!row) return res.status(404).json({ error: "Not found" });
+    res.sendStatus(204);
+  } catch (e) {
+    console.error("DELETE /driver-licences/:id error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
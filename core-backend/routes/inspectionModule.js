@@ -2,10 +2,25 @@
 const express = require("express");
 const mongoose = require("mongoose");
 
+const multer = require("multer");
+const { getCorrectiveActionsBucket } = require("../lib/gridfs");
+
 const InspectionForm = require("../models/InspectionForm");
 const InspectionSubmission = require("../models/InspectionSubmission");
+const CorrectiveAction = require("../models/CorrectiveAction");
+const InspectionSchedule = require("../models/InspectionSchedule");
+const InspectionDue = require("../models/InspectionDue");
 const User = require("../models/User"); // for performance assessed user lookups
 const { requireRole } = require("../middleware/auth");
+const {
+  escalateSubmission,
+  actorFrom,
+} = require("../services/inspectionEscalation");
+const {
+  generateForSchedule,
+  completeFromSubmission,
+  compliance,
+} = require("../services/inspectionSchedules");
 
 const router = express.Router();
 
@@ -811,6 +826,25 @@ router.post("/forms/:id/run", async (req, res, next) => {
     await submission.save();
 
     const saved = submission.toObject({ versionKey: false });
+
+    // Critical fails -> corrective actions (best-effort; never blocks the submission)
+    try {
+      saved.correctiveActions = await escalateSubmission(saved, {
+        actor: req.user,
+      });
+    } catch (e) {
+      console.error("[inspections] escalation failed:", e?.message || e);
+    }
+
+    // Close the scheduled instance this run satisfies (if any)
+    try {
+      await completeFromSubmission(saved, {
+        instanceId: req.body?.scheduleInstanceId,
+      });
+    } catch (e) {
+      console.error("[inspections] schedule completion failed:", e?.message || e);
+    }
+
     // Normalize response so clients always get flat {lat,lng} if location exists
     res.status(201).json(normalizeLocationOut(aliasManagerComments(saved)));
   } catch (err) {
@@ -941,6 +975,12 @@ router.get("/submissions/:id", async (req, res, next) => {
     if (!doc) return res.status(404).json({ error: "Not found" });
 
     const out = normalizeLocationOut(aliasManagerComments({ ...doc }));
+    out.correctiveActions = await CorrectiveAction.find({
+      ...orgFilterFromReq(CorrectiveAction, req),
+      submissionId: doc._id,
+    })
+      .sort({ createdAt: 1 })
+      .lean();
     res.set("Cache-Control", "no-store");
     res.json(out);
   } catch (err) {
@@ -1076,6 +1116,577 @@ router.post(
   },
 );
 
+// Re-run escalation for a submission (e.g. created before escalation existed)
+router.post(
+  "/submissions/:id/escalate",
+  requireRole("admin", "superadmin"),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ error: "invalid submission id" });
+      const sub = await InspectionSubmission.findOne({
+        _id: new mongoose.Types.ObjectId(id),
+        ...orgFilterFromReq(InspectionSubmission, req),
+        isDeleted: { $ne: true },
+      }).lean();
+      if (!sub) return res.status(404).json({ error: "Not found" });
+
+      const actions = await escalateSubmission(sub, { actor: req.user });
+      res.json({ ok: true, correctiveActions: actions });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+/* ========================= CORRECTIVE ACTIONS ========================= */
+/**
+ * Raised automatically from critical fails (services/inspectionEscalation.js).
+ *
+ *   GET   /corrective-actions                 queue (filters below)
+ *   GET   /corrective-actions/:id
+ *   PATCH /corrective-actions/:id             owner / due date / status (PM+)
+ *   POST  /corrective-actions/:id/close-out   owner or PM+ submits evidence -> awaiting-signoff
+ *   POST  /corrective-actions/:id/signoff     PM+ approves (closed) or rejects (in-progress)
+ */
+const CA_MANAGER_ROLES = ["project-manager", "manager", "admin", "superadmin"];
+const CA_EDITABLE_STATUS = ["open", "in-progress", "cancelled"];
+
+const caUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 },
+});
+
+function isCaManager(reqUser) {
+  return userRoles(reqUser).some((r) => CA_MANAGER_ROLES.includes(r));
+}
+
+function isCaOwner(reqUser, ca) {
+  return !!ca?.ownerUserId && String(ca.ownerUserId) === String(reqUser?._id || "");
+}
+
+function pushHistory(ca, req, action, extra = {}) {
+  if (!Array.isArray(ca.history)) ca.history = [];
+  ca.history.push({ at: new Date(), by: actorFrom(req.user), action, ...extra });
+}
+
+// Overdue is derived (dueAt passed and not yet finished)
+function decorateCa(ca) {
+  if (!ca) return ca;
+  const done = ["closed", "cancelled"].includes(ca.status);
+  ca.overdue = !done && !!ca.dueAt && new Date(ca.dueAt) < new Date();
+  return ca;
+}
+
+async function loadCa(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: "invalid corrective action id" });
+    return null;
+  }
+  const ca = await CorrectiveAction.findOne({
+    _id: new mongoose.Types.ObjectId(id),
+    ...orgFilterFromReq(CorrectiveAction, req),
+  });
+  if (!ca) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  return ca;
+}
+
+async function uploadCaFiles(req, ca) {
+  const files = Array.isArray(req.files) ? req.files : [];
+  if (!files.length) return [];
+  const bucket = getCorrectiveActionsBucket();
+  if (!bucket) throw Object.assign(new Error("MongoDB not ready"), { status: 503 });
+
+  const out = [];
+  for (const f of files) {
+    const fileId = await new Promise((resolve, reject) => {
+      const up = bucket.openUploadStream(f.originalname || "evidence", {
+        contentType: f.mimetype || "application/octet-stream",
+        metadata: {
+          orgId: String(ca.orgId || ""),
+          correctiveActionId: String(ca._id),
+          uploadedBy: String(req.user?._id || ""),
+        },
+      });
+      up.on("error", reject);
+      up.on("finish", () => resolve(up.id));
+      up.end(f.buffer);
+    });
+    out.push({
+      fileId: String(fileId),
+      filename: f.originalname || "evidence",
+      url: `/files/corrective-actions/${fileId}`,
+      mime: f.mimetype,
+      size: f.size,
+      uploadedBy: actorFrom(req.user),
+      uploadedAt: new Date(),
+    });
+  }
+  return out;
+}
+
+router.get("/corrective-actions", async (req, res, next) => {
+  try {
+    const where = { ...orgFilterFromReq(CorrectiveAction, req) };
+    const {
+      status,
+      ownerUserId,
+      projectId,
+      taskId,
+      subjectType,
+      subjectId,
+      submissionId,
+      overdue,
+      mine,
+      limit,
+    } = req.query || {};
+
+    if (status) {
+      const list = String(status)
+        .split(",")
+        .map((s) => s.trim())
+        .filter((s) => CorrectiveAction.STATUS.includes(s));
+      if (list.length) where.status = { $in: list };
+    }
+    if (String(mine || "").toLowerCase() === "true" && asOid(req.user?._id)) {
+      where.ownerUserId = asOid(req.user._id);
+    } else if (ownerUserId === "none") {
+      where.ownerUserId = null;
+    } else if (asOid(ownerUserId)) {
+      where.ownerUserId = asOid(ownerUserId);
+    }
+    if (asOid(projectId)) where["links.projectId"] = asOid(projectId);
+    if (asOid(taskId)) where["links.taskId"] = asOid(taskId);
+    if (asOid(submissionId)) where.submissionId = asOid(submissionId);
+    if (subjectType) where["subject.type"] = String(subjectType).toLowerCase();
+    if (subjectId) where["subject.id"] = { $in: [String(subjectId), asOid(subjectId)].filter(Boolean) };
+    if (String(overdue || "").toLowerCase() === "true") {
+      where.dueAt = { $lt: new Date() };
+      if (!where.status) where.status = { $nin: ["closed", "cancelled"] };
+    }
+
+    const lim = Math.min(parseInt(limit || "200", 10) || 200, 1000);
+    const rows = await CorrectiveAction.find(where)
+      .select("-history")
+      .sort({ dueAt: 1, createdAt: -1 })
+      .limit(lim)
+      .populate({ path: "ownerUserId", select: "name email" })
+      .lean();
+
+    res.set("Cache-Control", "no-store");
+    res.json(rows.map(decorateCa));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/corrective-actions/:id", async (req, res, next) => {
+  try {
+    const ca = await loadCa(req, res);
+    if (!ca) return;
+    await ca.populate({ path: "ownerUserId", select: "name email" });
+    res.set("Cache-Control", "no-store");
+    res.json(decorateCa(ca.toObject({ versionKey: false })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch("/corrective-actions/:id", async (req, res, next) => {
+  try {
+    const ca = await loadCa(req, res);
+    if (!ca) return;
+
+    const manager = isCaManager(req.user);
+    const owner = isCaOwner(req.user, ca);
+    if (!manager && !owner) return res.status(403).json({ error: "Forbidden" });
+    if (["closed", "cancelled"].includes(ca.status))
+      return res.status(409).json({ error: `Corrective action is ${ca.status}` });
+
+    const b = req.body || {};
+
+    // Managers: reassign, re-date, edit text, cancel
+    if (manager) {
+      if (b.ownerUserId !== undefined) {
+        const nextOwner = b.ownerUserId ? asOid(b.ownerUserId) : null;
+        if (b.ownerUserId && !nextOwner)
+          return res.status(400).json({ error: "invalid ownerUserId" });
+        if (nextOwner) {
+          const u = await User.findOne({ _id: nextOwner, ...orgFilterFromReq(User, req) })
+            .select({ _id: 1 })
+            .lean();
+          if (!u) return res.status(400).json({ error: "owner not found in org" });
+        }
+        if (String(nextOwner || "") !== String(ca.ownerUserId || "")) {
+          pushHistory(ca, req, "assigned", {
+            from: ca.ownerUserId ? String(ca.ownerUserId) : "",
+            to: nextOwner ? String(nextOwner) : "",
+          });
+          ca.ownerUserId = nextOwner;
+        }
+      }
+      if (b.dueAt !== undefined) {
+        const d = b.dueAt ? new Date(b.dueAt) : null;
+        if (d && Number.isNaN(d.getTime()))
+          return res.status(400).json({ error: "invalid dueAt" });
+        pushHistory(ca, req, "due", {
+          from: ca.dueAt ? ca.dueAt.toISOString() : "",
+          to: d ? d.toISOString() : "",
+        });
+        ca.dueAt = d || undefined;
+      }
+      if (typeof b.title === "string" && b.title.trim()) ca.title = b.title.trim();
+      if (typeof b.description === "string") ca.description = b.description;
+    }
+
+    if (b.status !== undefined) {
+      const nextStatus = String(b.status || "").toLowerCase();
+      if (!CA_EDITABLE_STATUS.includes(nextStatus))
+        return res.status(400).json({ error: `status must be one of ${CA_EDITABLE_STATUS.join(", ")}` });
+      if (nextStatus === "cancelled" && !manager)
+        return res.status(403).json({ error: "Only managers can cancel" });
+      if (nextStatus !== ca.status) {
+        pushHistory(ca, req, "status", { from: ca.status, to: nextStatus, note: String(b.note || "") });
+        ca.status = nextStatus;
+      }
+    } else if (typeof b.note === "string" && b.note.trim()) {
+      pushHistory(ca, req, "comment", { note: b.note.trim() });
+    }
+
+    await ca.save();
+    res.json(decorateCa(ca.toObject({ versionKey: false })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  "/corrective-actions/:id/close-out",
+  caUpload.array("files"),
+  async (req, res, next) => {
+    try {
+      const ca = await loadCa(req, res);
+      if (!ca) return;
+
+      if (!isCaManager(req.user) && !isCaOwner(req.user, ca))
+        return res.status(403).json({ error: "Forbidden" });
+      if (!["open", "in-progress"].includes(ca.status))
+        return res.status(409).json({ error: `Cannot close out when ${ca.status}` });
+
+      const b = req.body || {};
+      const note = String(b.note || "").trim();
+
+      // Evidence: uploaded files and/or JSON [{ url, filename, mime, size, note }]
+      const linked = (
+        Array.isArray(b.evidence)
+          ? b.evidence
+          : typeof b.evidence === "string"
+            ? (() => {
+                try {
+                  return JSON.parse(b.evidence);
+                } catch {
+                  return [];
+                }
+              })()
+            : []
+      )
+        .filter((e) => e && typeof e.url === "string" && e.url.trim())
+        .map((e) => ({
+          url: e.url.trim(),
+          filename: e.filename || "",
+          mime: e.mime || "",
+          size: Number.isFinite(+e.size) ? +e.size : undefined,
+          note: e.note || "",
+          uploadedBy: actorFrom(req.user),
+          uploadedAt: new Date(),
+        }));
+      const uploaded = await uploadCaFiles(req, ca);
+      const evidence = [...uploaded, ...linked];
+
+      if (!note && !evidence.length)
+        return res.status(400).json({ error: "close-out note or evidence is required" });
+
+      ca.closeOut = {
+        note,
+        evidence: [...(ca.closeOut?.evidence || []), ...evidence],
+        at: new Date(),
+        by: actorFrom(req.user),
+      };
+      pushHistory(ca, req, "closeout", { from: ca.status, to: "awaiting-signoff", note });
+      ca.status = "awaiting-signoff";
+
+      await ca.save();
+      res.json(decorateCa(ca.toObject({ versionKey: false })));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.post(
+  "/corrective-actions/:id/signoff",
+  requireRole(...CA_MANAGER_ROLES),
+  async (req, res, next) => {
+    try {
+      const ca = await loadCa(req, res);
+      if (!ca) return;
+      if (ca.status !== "awaiting-signoff")
+        return res.status(409).json({ error: "Corrective action is not awaiting sign-off" });
+
+      const approved = req.body?.approved === true || req.body?.approved === "true";
+      const note = String(req.body?.note || "").trim();
+      if (!approved && !note)
+        return res.status(400).json({ error: "a note is required when rejecting" });
+
+      const now = new Date();
+      ca.signoff = { approved, note, at: now, by: actorFrom(req.user) };
+      const nextStatus = approved ? "closed" : "in-progress";
+      pushHistory(ca, req, approved ? "signoff" : "reject", { from: ca.status, to: nextStatus, note });
+      ca.status = nextStatus;
+      ca.closedAt = approved ? now : undefined;
+
+      await ca.save();
+      res.json(decorateCa(ca.toObject({ versionKey: false })));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+/* ========================= SCHEDULES ========================= */
+/**
+ * Recurring inspections (services/inspectionSchedules.js generates the due instances).
+ *
+ *   GET    /schedules                   list
+ *   POST   /schedules                   create (PM+)
+ *   PUT    /schedules/:id               update (PM+)
+ *   DELETE /schedules/:id               soft delete + cancel open instances (PM+)
+ *   POST   /schedules/:id/generate      create instances for the current period now (PM+)
+ *   GET    /due                         due / overdue instances (?mine, status, projectId, scheduleId)
+ *   GET    /compliance                  completed vs overdue per schedule (?projectId, from, to)
+ */
+const SCHEDULE_MANAGER_ROLES = ["project-manager", "manager", "admin", "superadmin"];
+
+function pickSchedulePayload(b = {}) {
+  const out = {};
+  if (typeof b.name === "string") out.name = b.name.trim();
+  if (b.formId !== undefined) out.formId = asOid(b.formId);
+  if (b.cadence !== undefined) out.cadence = String(b.cadence || "").toLowerCase();
+  if (b.interval !== undefined) out.interval = Math.max(1, parseInt(b.interval, 10) || 1);
+  if (b.startAt !== undefined) out.startAt = b.startAt ? new Date(b.startAt) : undefined;
+  if (b.endAt !== undefined) out.endAt = b.endAt ? new Date(b.endAt) : undefined;
+  if (b.projectId !== undefined) out.projectId = asOid(b.projectId) || undefined;
+  if (b.taskId !== undefined) out.taskId = asOid(b.taskId) || undefined;
+  if (b.subjectMode !== undefined)
+    out.subjectMode = b.subjectMode === "selected" ? "selected" : "each";
+  if (b.subjectIds !== undefined)
+    out.subjectIds = (Array.isArray(b.subjectIds) ? b.subjectIds : [])
+      .map((x) => String(x || "").trim())
+      .filter(Boolean);
+  if (b.assigneeUserIds !== undefined)
+    out.assigneeUserIds = (Array.isArray(b.assigneeUserIds) ? b.assigneeUserIds : [])
+      .map(asOid)
+      .filter(Boolean);
+  if (b.active !== undefined) out.active = !!b.active;
+  return out;
+}
+
+function decorateDue(d, now = new Date()) {
+  if (!d) return d;
+  d.overdue = d.status === "open" && !!d.dueAt && new Date(d.dueAt) < now;
+  return d;
+}
+
+router.get("/schedules", async (req, res, next) => {
+  try {
+    const where = { ...orgFilterFromReq(InspectionSchedule, req), isDeleted: { $ne: true } };
+    if (asOid(req.query.projectId)) where.projectId = asOid(req.query.projectId);
+    if (asOid(req.query.formId)) where.formId = asOid(req.query.formId);
+    const rows = await InspectionSchedule.find(where)
+      .sort({ name: 1 })
+      .populate({ path: "formId", select: "title subject scope" })
+      .lean();
+    res.set("Cache-Control", "no-store");
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  "/schedules",
+  requireRole(...SCHEDULE_MANAGER_ROLES),
+  async (req, res, next) => {
+    try {
+      const data = pickSchedulePayload(req.body || {});
+      if (!data.name) return res.status(400).json({ error: "name is required" });
+      if (!data.formId) return res.status(400).json({ error: "formId is required" });
+      if (!data.startAt || Number.isNaN(data.startAt.getTime()))
+        return res.status(400).json({ error: "valid startAt is required" });
+      if (data.cadence && !InspectionSchedule.CADENCES.includes(data.cadence))
+        return res.status(400).json({ error: "cadence must be daily, weekly or monthly" });
+
+      const form = await InspectionForm.findOne({
+        _id: data.formId,
+        ...orgFilterFromReq(InspectionForm, req),
+        isDeleted: { $ne: true },
+      })
+        .select({ _id: 1 })
+        .lean();
+      if (!form) return res.status(400).json({ error: "form not found" });
+
+      const doc = new InspectionSchedule({
+        ...data,
+        createdBy: asOid(req.user?._id) || undefined,
+        updatedBy: asOid(req.user?._id) || undefined,
+      });
+      if (!ensureOrgOnDoc(InspectionSchedule, doc, req))
+        return res.status(400).json({ error: "orgId missing/invalid" });
+      await doc.save();
+
+      // Materialise the current period straight away so it shows up on devices
+      await generateForSchedule(doc.toObject());
+
+      res.status(201).json(await InspectionSchedule.findById(doc._id).lean());
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.put(
+  "/schedules/:id",
+  requireRole(...SCHEDULE_MANAGER_ROLES),
+  async (req, res, next) => {
+    try {
+      if (!asOid(req.params.id)) return res.status(400).json({ error: "invalid schedule id" });
+      const doc = await InspectionSchedule.findOne({
+        _id: asOid(req.params.id),
+        ...orgFilterFromReq(InspectionSchedule, req),
+        isDeleted: { $ne: true },
+      });
+      if (!doc) return res.status(404).json({ error: "Not found" });
+
+      const data = pickSchedulePayload(req.body || {});
+      if (data.cadence && !InspectionSchedule.CADENCES.includes(data.cadence))
+        return res.status(400).json({ error: "cadence must be daily, weekly or monthly" });
+      if (data.startAt !== undefined && (!data.startAt || Number.isNaN(data.startAt.getTime())))
+        return res.status(400).json({ error: "valid startAt is required" });
+      // Changing the form or recurrence starts a fresh series from the current period
+      const reset = ["formId", "cadence", "interval", "startAt"].some(
+        (k) => data[k] !== undefined && String(data[k]) !== String(doc[k]),
+      );
+      Object.assign(doc, data, { updatedBy: asOid(req.user?._id) || undefined });
+      if (reset) doc.generatedThrough = undefined;
+      await doc.save();
+
+      if (reset) {
+        await InspectionDue.updateMany(
+          { scheduleId: doc._id, status: "open", dueAt: { $gte: new Date() } },
+          { $set: { status: "cancelled" } },
+        );
+      }
+      if (doc.active) await generateForSchedule(doc.toObject());
+
+      res.json(doc.toObject({ versionKey: false }));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.delete(
+  "/schedules/:id",
+  requireRole(...SCHEDULE_MANAGER_ROLES),
+  async (req, res, next) => {
+    try {
+      if (!asOid(req.params.id)) return res.status(400).json({ error: "invalid schedule id" });
+      const doc = await InspectionSchedule.findOneAndUpdate(
+        { _id: asOid(req.params.id), ...orgFilterFromReq(InspectionSchedule, req) },
+        { $set: { isDeleted: true, active: false, updatedBy: asOid(req.user?._id) || undefined } },
+        { new: true },
+      ).lean();
+      if (!doc) return res.status(404).json({ error: "Not found" });
+
+      await InspectionDue.updateMany(
+        { scheduleId: doc._id, status: "open" },
+        { $set: { status: "cancelled" } },
+      );
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.post(
+  "/schedules/:id/generate",
+  requireRole(...SCHEDULE_MANAGER_ROLES),
+  async (req, res, next) => {
+    try {
+      if (!asOid(req.params.id)) return res.status(400).json({ error: "invalid schedule id" });
+      const doc = await InspectionSchedule.findOne({
+        _id: asOid(req.params.id),
+        ...orgFilterFromReq(InspectionSchedule, req),
+        isDeleted: { $ne: true },
+      }).lean();
+      if (!doc) return res.status(404).json({ error: "Not found" });
+      const created = await generateForSchedule(doc);
+      res.json({ ok: true, created });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get("/due", async (req, res, next) => {
+  try {
+    const now = new Date();
+    const where = {
+      ...orgFilterFromReq(InspectionDue, req),
+      periodStart: { $lte: now },
+    };
+    const status = String(req.query.status || "open").toLowerCase();
+    if (status === "overdue") {
+      where.status = "open";
+      where.dueAt = { $lt: now };
+    } else if (status !== "all") {
+      where.status = status;
+    }
+    if (String(req.query.mine || "").toLowerCase() === "true" && asOid(req.user?._id)) {
+      where.assignedUserIds = asOid(req.user._id);
+    }
+    if (asOid(req.query.projectId)) where.projectId = asOid(req.query.projectId);
+    if (asOid(req.query.scheduleId)) where.scheduleId = asOid(req.query.scheduleId);
+    if (asOid(req.query.formId)) where.formId = asOid(req.query.formId);
+
+    const lim = Math.min(parseInt(req.query.limit || "500", 10) || 500, 2000);
+    const rows = await InspectionDue.find(where).sort({ dueAt: 1 }).limit(lim).lean();
+    res.set("Cache-Control", "no-store");
+    res.json(rows.map((d) => decorateDue(d, now)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/compliance", async (req, res, next) => {
+  try {
+    const match = { ...orgFilterFromReq(InspectionDue, req) };
+    if (asOid(req.query.projectId)) match.projectId = asOid(req.query.projectId);
+    if (asOid(req.query.scheduleId)) match.scheduleId = asOid(req.query.scheduleId);
+    const out = await compliance(match, { from: req.query.from, to: req.query.to });
+    res.set("Cache-Control", "no-store");
+    res.json(out);
+  } catch (err) {
+    next(err);
+  }
+});
+
 /* ====================== Assessed-user candidates (GL+) ====================== */
 /**
  * GET /inspections/candidates/assessed-users?minRole=group-leader&limit=500&q=jo
@@ -0,0 +1,84 @@
+// core-backend/routes/labels.js
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+const {
+  KINDS,
+  LAYOUTS,
+  DEFAULT_LAYOUT,
+  loadSubjects,
+  qrDataUrl,
+  loadBranding,
+  writeSheet,
+} = require("../services/qrLabels");
+
+const router = express.Router();
+
+/* ------------------------------- helpers ------------------------------- */
+
+const orgIdOf = (req) => req.orgObjectId || req.orgId || req.user?.orgId;
+
+// Body -> { kind, ids } or a 400 message
+function selection(body = {}) {
+  const kind = String(body.kind || "").toLowerCase();
+  if (!KINDS.includes(kind)) return { error: `kind must be one of ${KINDS.join(", ")}` };
+  const ids = Array.isArray(body.ids) ? body.ids.filter(Boolean).map(String) : [];
+  if (!ids.length) return { error: "Choose at least one item to label" };
+  if (ids.length > 1000) return { error: "At most 1000 labels per request" };
+  return { kind, ids };
+}
+
+router.use(requireRole("manager"));
+
+/* -------------------------------- routes ------------------------------- */
+
+// GET /labels/layouts -> [{ id, name, perSheet }]
+router.get("/layouts", (_req, res) => {
+  res.json({
+    default: DEFAULT_LAYOUT,
+    layouts: Object.entries(LAYOUTS).map(([id, L]) => ({ id, name: L.name, perSheet: L.cols * L.rows })),
+  });
+});
+
+// POST /labels/payloads { kind, ids, images? } -> signed payloads (and QR images)
+router.post("/payloads", async (req, res, next) => {
+  try {
+    const sel = selection(req.body);
+    if (sel.error) return res.status(400).json({ error: sel.error });
+
+    const subjects = await loadSubjects({ orgId: orgIdOf(req), kind: sel.kind, ids: sel.ids });
+    if (req.body?.images) {
+      for (const s of subjects) s.qrDataUrl = await qrDataUrl(s.payload);
+    }
+    res.json(subjects);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    next(e);
+  }
+});
+
+// POST /labels/sheet { kind, ids, layout?, startAt?, copies? } -> PDF
+router.post("/sheet", async (req, res, next) => {
+  try {
+    const sel = selection(req.body);
+    if (sel.error) return res.status(400).json({ error: sel.error });
+    const layout = LAYOUTS[req.body?.layout] ? req.body.layout : DEFAULT_LAYOUT;
+
+    const orgId = orgIdOf(req);
+    const subjects = await loadSubjects({ orgId, kind: sel.kind, ids: sel.ids });
+    if (!subjects.length) return res.status(404).json({ error: "Nothing found to label" });
+    const branding = await loadBranding(orgId);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${sel.kind}-labels-${layout}.pdf"`);
+    await writeSheet(
+      { subjects, layout, branding, startAt: req.body?.startAt, copies: req.body?.copies },
+      res,
+    );
+  } catch (e) {
+    if (res.headersSent) return next(e);
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    next(e);
+  }
+});
+
+module.exports = router;
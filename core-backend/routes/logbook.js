@@ -51,6 +51,19 @@ function cleanTags(tags) {
   return [];
 }
 
+// First reading that does not fit the vehicle's odometer timeline, as a message (or null)
+async function odometerProblem({ orgId, vehicleId, at, values, excludeRefId }) {
+  const { checkNewReading } = require("../services/odometerTimeline");
+  const seen = new Set();
+  for (const odo of values) {
+    if (!Number.isFinite(odo) || seen.has(odo)) continue;
+    seen.add(odo);
+    const check = await checkNewReading({ orgId, vehicleId, odo, at, excludeRefId });
+    if (!check.ok) return check.message;
+  }
+  return null;
+}
+
 /* ----------------------------- core ops ----------------------------- */
 async function listLogs(req, res) {
   const { vehicleId, q, tag, from, to, minKm, maxKm, limit } = req.query;
@@ -149,6 +162,17 @@ async function createLog(req, res) {
   const orgFilter = buildOrgFilter(req);
   if (orgFilter.orgId != null) doc.orgId = orgFilter.orgId;
 
+  // offline entries already happened; the timeline flags them instead
+  if (!doc.sourceOfflineEventId) {
+    const problem = await odometerProblem({
+      orgId: getOrgId(req),
+      vehicleId: vid,
+      at: doc.ts,
+      values: [doc.odometerStart, doc.odometerEnd],
+    });
+    if (problem) return res.status(422).json({ error: problem });
+  }
+
   const row = await VehicleLog.create(doc);
   res.status(201).json(row);
 }
@@ -226,6 +250,21 @@ async function updateLog(req, res) {
 
   row.distance = computeDistance(row.odometerStart, row.odometerEnd);
 
+  if (
+    row.isModified("odometerStart") ||
+    row.isModified("odometerEnd") ||
+    row.isModified("ts")
+  ) {
+    const problem = await odometerProblem({
+      orgId: getOrgId(req),
+      vehicleId: row.vehicleId,
+      at: row.ts,
+      values: [row.odometerStart, row.odometerEnd],
+      excludeRefId: row._id,
+    });
+    if (problem) return res.status(422).json({ error: problem });
+  }
+
   if (Array.isArray(body.attachments)) {
     row.attachments = body.attachments;
   }
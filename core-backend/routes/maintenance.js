@@ -0,0 +1,373 @@
+// core-backend/routes/maintenance.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const Asset = require("../models/Asset");
+const MaintenancePlan = require("../models/MaintenancePlan");
+const WorkOrder = require("../models/WorkOrder");
+const pm = require("../services/preventiveMaintenance");
+
+const router = express.Router();
+
+/**
+ * Preventive maintenance plans and work orders (services/preventiveMaintenance.js
+ * decides what is due; the background sweep in index.js raises work orders).
+ *
+ *   GET    /plans                          list
+ *   POST   /plans                          create (manager+)
+ *   PUT    /plans/:id                      update (manager+)
+ *   DELETE /plans/:id                      soft delete + cancel open work orders (manager+)
+ *   POST   /plans/:id/generate             raise due work orders now (manager+)
+ *
+ *   GET    /due?status=&assetId=           plan x asset due state, worst first
+ *   GET    /summary                        counts for dashboards
+ *
+ *   GET    /work-orders?status=&assetId=&planId=&q=
+ *   POST   /work-orders                    manual work order (manager+)
+ *   GET    /work-orders/:id
+ *   PATCH  /work-orders/:id                checklist, parts, labour, notes, assignee
+ *   POST   /work-orders/:id/complete       close into the asset maintenance log
+ *   POST   /work-orders/:id/cancel         (manager+)
+ */
+
+/* ------------------------------- helpers ------------------------------- */
+
+function asOid(x) {
+  const s = String(x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+function orgFilter(req) {
+  const oid = asOid(req.orgObjectId || req.orgId || req.user?.orgId);
+  return oid ? { orgId: oid } : {};
+}
+
+function actorOf(req) {
+  return {
+    _id: req.user?._id || req.user?.sub,
+    name: (req.user && (req.user.name || req.user.email)) || "",
+  };
+}
+
+const sendError = (res, e, label) => {
+  if (e?.name === "ValidationError") {
+    return res.status(400).json({ error: Object.values(e.errors).map((x) => x.message).join("; ") });
+  }
+  if (!e.status) console.error(`${label} error:`, e);
+  return res.status(e.status || 500).json({ error: e.status ? e.message : "Server error" });
+};
+
+const numOrUndef = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? undefined : Number(v));
+const dateOrNull = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : null;
+};
+
+function checklistFrom(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((c) => (typeof c === "string" ? { label: c } : c || {}))
+    .filter((c) => String(c.label || "").trim())
+    .map((c) => ({ label: String(c.label).trim(), required: c.required !== false }));
+}
+
+// Body -> plan fields; only keys present in the body are returned
+function planFieldsFrom(body = {}) {
+  const out = {};
+  for (const k of ["name", "description", "assetType", "trigger", "meterKey"]) {
+    if (body[k] !== undefined) out[k] = String(body[k] || "").trim();
+  }
+  for (const k of ["intervalDays", "intervalUsage", "leadDays", "leadUsage", "estimatedMinutes"]) {
+    if (body[k] !== undefined) out[k] = numOrUndef(body[k]);
+  }
+  if (body.startAt !== undefined) out.startAt = dateOrNull(body.startAt) || undefined;
+  if (body.assetIds !== undefined) out.assetIds = (Array.isArray(body.assetIds) ? body.assetIds : []).map(asOid).filter(Boolean);
+  if (body.checklist !== undefined) out.checklist = checklistFrom(body.checklist);
+  if (body.active !== undefined) out.active = !!body.active;
+  return out;
+}
+
+async function findWorkOrder(req) {
+  const id = asOid(req.params.id);
+  if (!id) throw Object.assign(new Error("Invalid id"), { status: 400 });
+  const wo = await WorkOrder.findOne({ _id: id, ...orgFilter(req) });
+  if (!wo) throw Object.assign(new Error("Work order not found"), { status: 404 });
+  return wo;
+}
+
+async function withAssets(rows) {
+  const ids = [...new Set(rows.map((r) => String(r.assetId)))].map(asOid).filter(Boolean);
+  const assets = ids.length ? await Asset.find({ _id: { $in: ids } }).select("name code type status").lean() : [];
+  const byId = new Map(assets.map((a) => [String(a._id), a]));
+  return rows.map((r) => ({ ...pm.toOut(r), asset: byId.get(String(r.assetId)) || null }));
+}
+
+/* --------------------------------- plans -------------------------------- */
+
+router.get("/plans", async (req, res) => {
+  try {
+    const rows = await MaintenancePlan.find({ ...orgFilter(req), isDeleted: { $ne: true } })
+      .sort({ name: 1 })
+      .lean();
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, "GET /maintenance/plans");
+  }
+});
+
+router.post("/plans", requireRole("manager"), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.create({
+      ...planFieldsFrom(req.body),
+      ...orgFilter(req),
+      createdBy: asOid(req.user?._id || req.user?.sub),
+    });
+    res.status(201).json(plan);
+  } catch (e) {
+    sendError(res, e, "POST /maintenance/plans");
+  }
+});
+
+router.put("/plans/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findOne({ _id: asOid(req.params.id), ...orgFilter(req), isDeleted: { $ne: true } });
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+    plan.set(planFieldsFrom(req.body));
+    plan.updatedBy = asOid(req.user?._id || req.user?.sub);
+    await plan.save();
+    res.json(plan);
+  } catch (e) {
+    sendError(res, e, "PUT /maintenance/plans/:id");
+  }
+});
+
+router.delete("/plans/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findOne({ _id: asOid(req.params.id), ...orgFilter(req), isDeleted: { $ne: true } });
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+    plan.isDeleted = true;
+    plan.active = false;
+    await plan.save();
+    const r = await WorkOrder.updateMany(
+      { planId: plan._id, status: { $in: pm.OPEN } },
+      { $set: { status: "cancelled", cancelledAt: new Date(), cancelReason: "Plan deleted" } },
+    );
+    res.json({ ok: true, cancelled: r.modifiedCount || 0 });
+  } catch (e) {
+    sendError(res, e, "DELETE /maintenance/plans/:id");
+  }
+});
+
+router.post("/plans/:id/generate", requireRole("manager"), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findOne({ _id: asOid(req.params.id), ...orgFilter(req), isDeleted: { $ne: true } }).lean();
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+    const created = await pm.generateForPlan(plan, { actor: actorOf(req) });
+    res.json({ created: created.length, workOrders: await withAssets(created.map((w) => w.toObject())) });
+  } catch (e) {
+    sendError(res, e, "POST /maintenance/plans/:id/generate");
+  }
+});
+
+/* ---------------------------------- due --------------------------------- */
+
+// GET /maintenance/due?status=overdue,due-soon&assetId=
+router.get("/due", async (req, res) => {
+  try {
+    const statuses = String(req.query.status || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const rows = await pm.listDue({
+      orgId: orgFilter(req).orgId,
+      assetId: asOid(req.query.assetId) || undefined,
+      statuses,
+    });
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, "GET /maintenance/due");
+  }
+});
+
+// GET /maintenance/summary -> { overdue, dueSoon, noReading, openWorkOrders, overdueWorkOrders, overdueAssetIds }
+router.get("/summary", async (req, res) => {
+  try {
+    const org = orgFilter(req);
+    const rows = await pm.listDue({ orgId: org.orgId, statuses: ["overdue", "due-soon", "no-reading"] });
+    const now = new Date();
+    const [openWorkOrders, overdueWorkOrders] = await Promise.all([
+      WorkOrder.countDocuments({ ...org, status: { $in: pm.OPEN } }),
+      WorkOrder.countDocuments({ ...org, status: { $in: pm.OPEN }, dueAt: { $ne: null, $lt: now } }),
+    ]);
+    const overdue = rows.filter((r) => r.status === "overdue");
+    res.json({
+      overdue: overdue.length,
+      dueSoon: rows.filter((r) => r.status === "due-soon").length,
+      noReading: rows.filter((r) => r.status === "no-reading").length,
+      openWorkOrders,
+      overdueWorkOrders,
+      overdueAssetIds: [...new Set(overdue.map((r) => String(r.asset._id)))],
+    });
+  } catch (e) {
+    sendError(res, e, "GET /maintenance/summary");
+  }
+});
+
+/* ------------------------------ work orders ----------------------------- */
+
+// GET /maintenance/work-orders?status=open,in-progress&assetId=&planId=&q=
+router.get("/work-orders", async (req, res) => {
+  try {
+    const where = { ...orgFilter(req) };
+    const statuses = String(req.query.status || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter((s) => WorkOrder.STATUS.includes(s));
+    if (statuses.length) where.status = { $in: statuses };
+    if (asOid(req.query.assetId)) where.assetId = asOid(req.query.assetId);
+    if (asOid(req.query.planId)) where.planId = asOid(req.query.planId);
+    if (req.query.q && String(req.query.q).trim()) {
+      where.title = new RegExp(String(req.query.q).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    }
+    const limit = Math.min(parseInt(req.query.limit || "500", 10) || 500, 2000);
+    const rows = await WorkOrder.find(where).sort({ dueAt: 1, createdAt: -1 }).limit(limit).lean();
+    res.json(await withAssets(rows));
+  } catch (e) {
+    sendError(res, e, "GET /maintenance/work-orders");
+  }
+});
+
+// POST /maintenance/work-orders { assetId, title, notes?, dueAt?, checklist?, assignedTo? }
+router.post("/work-orders", requireRole("manager"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const asset = await Asset.findOne({ _id: asOid(b.assetId), ...orgFilter(req) }).select("orgId name").lean();
+    if (!asset) return res.status(400).json({ error: "Choose the asset to work on" });
+    const wo = await WorkOrder.create({
+      orgId: asset.orgId,
+      assetId: asset._id,
+      source: "manual",
+      title: String(b.title || "").trim() || `Maintenance — ${asset.name}`,
+      notes: String(b.notes || ""),
+      dueAt: dateOrNull(b.dueAt),
+      checklist: checklistFrom(b.checklist),
+      assignedTo: asOid(b.assignedTo),
+      openedBy: actorOf(req),
+    });
+    const [out] = await withAssets([wo.toObject()]);
+    res.status(201).json(out);
+  } catch (e) {
+    sendError(res, e, "POST /maintenance/work-orders");
+  }
+});
+
+router.get("/work-orders/:id", async (req, res) => {
+  try {
+    const wo = await findWorkOrder(req);
+    const [out] = await withAssets([wo.toObject()]);
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "GET /maintenance/work-orders/:id");
+  }
+});
+
+/**
+ * PATCH /maintenance/work-orders/:id
+ * { notes?, assignedTo?, dueAt?, checklist?: [{ _id, done?, note? }], parts?: [...], labour?: [...] }
+ * parts / labour replace the lists; checklist items are ticked by _id.
+ */
+router.patch("/work-orders/:id", async (req, res) => {
+  try {
+    const wo = await findWorkOrder(req);
+    if (!pm.OPEN.includes(wo.status)) return res.status(409).json({ error: `Work order is ${wo.status}` });
+    const b = req.body || {};
+    const actor = actorOf(req);
+
+    if (b.notes !== undefined) wo.notes = String(b.notes || "");
+    if (b.assignedTo !== undefined) wo.assignedTo = asOid(b.assignedTo);
+    if (b.dueAt !== undefined) wo.dueAt = dateOrNull(b.dueAt);
+
+    if (Array.isArray(b.checklist)) {
+      for (const patch of b.checklist) {
+        const item = wo.checklist.id(patch?._id);
+        if (!item) continue;
+        if (patch.note !== undefined) item.note = String(patch.note || "");
+        if (patch.done !== undefined && !!patch.done !== item.done) {
+          item.done = !!patch.done;
+          item.doneAt = item.done ? new Date() : undefined;
+          item.doneBy = item.done ? { _id: asOid(actor._id) || undefined, name: actor.name } : undefined;
+        }
+      }
+    }
+    if (Array.isArray(b.parts)) {
+      wo.parts = b.parts
+        .filter((p) => String(p?.name || "").trim())
+        .map((p) => ({
+          name: String(p.name).trim(),
+          partNo: String(p.partNo || "").trim(),
+          qty: numOrUndef(p.qty) ?? 1,
+          unitCost: numOrUndef(p.unitCost),
+        }));
+    }
+    if (Array.isArray(b.labour)) {
+      wo.labour = b.labour
+        .filter((l) => numOrUndef(l?.minutes) > 0)
+        .map((l) => ({
+          userId: asOid(l.userId),
+          name: String(l.name || "").trim(),
+          minutes: numOrUndef(l.minutes),
+          at: dateOrNull(l.at) || new Date(),
+          note: String(l.note || ""),
+        }));
+    }
+
+    if (wo.status === "open" && (wo.checklist.some((c) => c.done) || wo.parts.length || wo.labour.length)) {
+      wo.status = "in-progress";
+      wo.startedAt = wo.startedAt || new Date();
+    }
+    await wo.save();
+    const [out] = await withAssets([wo.toObject()]);
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "PATCH /maintenance/work-orders/:id");
+  }
+});
+
+// POST /maintenance/work-orders/:id/complete { usage?, note?, at?, returnToService? }
+router.post("/work-orders/:id/complete", async (req, res) => {
+  try {
+    const wo = await findWorkOrder(req);
+    const asset = await Asset.findOne({ _id: wo.assetId, ...orgFilter(req) });
+    if (!asset) return res.status(404).json({ error: "Asset not found" });
+    const b = req.body || {};
+    const result = await pm.completeWorkOrder({
+      wo,
+      asset,
+      actor: actorOf(req),
+      at: b.at,
+      usage: b.usage,
+      note: b.note,
+      returnToService: !!b.returnToService,
+    });
+    const [out] = await withAssets([result.workOrder.toObject()]);
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "POST /maintenance/work-orders/:id/complete");
+  }
+});
+
+router.post("/work-orders/:id/cancel", requireRole("manager"), async (req, res) => {
+  try {
+    const wo = await findWorkOrder(req);
+    if (!pm.OPEN.includes(wo.status)) return res.status(409).json({ error: `Work order is ${wo.status}` });
+    wo.status = "cancelled";
+    wo.cancelledAt = new Date();
+    wo.cancelReason = String(req.body?.reason || "");
+    await wo.save();
+    const [out] = await withAssets([wo.toObject()]);
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "POST /maintenance/work-orders/:id/cancel");
+  }
+});
+
+module.exports = router;
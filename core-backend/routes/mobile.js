@@ -929,6 +929,46 @@ function extractLatLngClockBatch(payload) {
   };
 }
 
+/**
+ * Clocking.capture for one person of a clock batch.
+ * Kiosk batches (biometric gate device) carry batch.kiosk = { deviceId, operatorUserId, ... };
+ * face punches carry the match confidence per person.
+ * The operator is the authenticated user that submitted the batch (`operator`, from
+ * req.user); the device's own operatorUserId is kept only as claimedOperatorUserId.
+ */
+function clockCaptureFrom(person, batch, operator) {
+  const k = batch?.kiosk && typeof batch.kiosk === "object" ? batch.kiosk : null;
+  const method = String(person?.method || "").trim();
+  const num = (v) => {
+    if (v === null || v === undefined || v === "") return undefined;
+    return Number.isFinite(Number(v)) ? Number(v) : undefined;
+  };
+  const confidence = num(person?.confidence);
+
+  if (!k && confidence === undefined) return method ? { method } : undefined;
+
+  const operatorUserId = String(operator?._id || "").trim();
+  const claimed = String(k?.operatorUserId || "").trim();
+  return {
+    method: method || undefined,
+    confidence,
+    margin: num(person?.margin),
+    templateVersion: person?.templateVersion ? String(person.templateVersion) : undefined,
+    kiosk: !!k,
+    ...(k
+      ? {
+          deviceId: k.deviceId ? String(k.deviceId).slice(0, 120) : undefined,
+          deviceName: k.deviceName ? String(k.deviceName).slice(0, 120) : undefined,
+          operatorUserId: mongoose.isValidObjectId(operatorUserId)
+            ? new mongoose.Types.ObjectId(operatorUserId)
+            : undefined,
+          operatorName: operator?.name ? String(operator.name).slice(0, 120) : undefined,
+          claimedOperatorUserId: claimed && claimed !== operatorUserId ? claimed.slice(0, 64) : undefined,
+        }
+      : {}),
+  };
+}
+
 /**
  * ✅ “Single source of truth” activity log adapter
  * We try to write into a canonical ActivityLog-style model (if present),
@@ -1227,6 +1267,7 @@ router.get("/lists", requireOrg, async (req, res) => {
     let Document = null;
     let Group = null;
     let Vendor = null;
+    let InspectionDue = null;
 
     try {
       Project = require("../models/Project");
@@ -1261,6 +1302,9 @@ router.get("/lists", requireOrg, async (req, res) => {
     try {
       Vendor = require("../models/Vendor");
     } catch {}
+    try {
+      InspectionDue = require("../models/InspectionDue");
+    } catch {}
 
     const orgIdStr = String(orgId || "").trim();
     const orgIdObj = mongoose.isValidObjectId(orgIdStr)
@@ -1323,6 +1367,15 @@ router.get("/lists", requireOrg, async (req, res) => {
             groupId: 1,
             assignedGroupIds: 1,
             updatedAt: 1,
+
+            // fences + flags for background fence triggers (taskFences.js)
+            triggerOnEnterFence: 1,
+            pauseOnExitFence: 1,
+            enforceQRScan: 1,
+            geoMode: 1,
+            locationGeoFence: 1,
+            geoPolygon: 1,
+            geoJSON: 1,
           })
           .lean()
       : [];
@@ -1430,6 +1483,47 @@ router.get("/lists", requireOrg, async (req, res) => {
       inspectionForms.length,
     );
 
+    // Scheduled inspections due for this user: assigned to them, or unassigned on a
+    // form they are allowed to run. Only periods that have started.
+    const myUserOid = mongoose.isValidObjectId(String(req.user?._id || ""))
+      ? new mongoose.Types.ObjectId(String(req.user._id))
+      : null;
+    const runnableFormIds = inspectionForms.map((f) => f._id).filter(Boolean);
+    const now = new Date();
+    const inspectionsDue = InspectionDue?.find
+      ? (
+          await InspectionDue.find({
+            ...makeOrgFilter(),
+            status: "open",
+            periodStart: { $lte: now },
+            $or: [
+              ...(myUserOid ? [{ assignedUserIds: myUserOid }] : []),
+              {
+                assignedUserIds: { $size: 0 },
+                formId: { $in: runnableFormIds },
+              },
+            ],
+          })
+            .select({
+              _id: 1,
+              scheduleId: 1,
+              scheduleName: 1,
+              formId: 1,
+              formTitle: 1,
+              periodStart: 1,
+              dueAt: 1,
+              subject: 1,
+              projectId: 1,
+              taskId: 1,
+            })
+            .sort({ dueAt: 1 })
+            .limit(500)
+            .lean()
+        ).map((d) => ({ ...d, overdue: new Date(d.dueAt) < now }))
+      : [];
+
+    console.log("[mobile/lists] inspectionsDue count", inspectionsDue.length);
+
     const vehicles = Vehicle?.find
       ? await Vehicle.find(makeOrgFilter())
           .select({
@@ -1529,6 +1623,7 @@ router.get("/lists", requireOrg, async (req, res) => {
       milestones: milestones.length,
       users: users.length,
       inspectionForms: inspectionForms.length,
+      inspectionsDue: inspectionsDue.length,
       vehicles: vehiclesForMobile.length,
       assets: assets.length,
       documents: documents.length,
@@ -1549,6 +1644,7 @@ router.get("/lists", requireOrg, async (req, res) => {
       groups,
       vendors,
       inspectionForms,
+      inspectionsDue,
     });
   } catch (e) {
     console.error("[mobile/lists] error", e);
@@ -1698,6 +1794,57 @@ router.get("/vehicles/:reg/reminders/next", requireOrg, async (req, res) => {
   }
 });
 
+// Licence / PrDP check for the signed-in driver before a trip starts.
+// The app asks when online; unknown vehicles (created on first sync) are "ok".
+router.get("/vehicles/:reg/driver-check", requireOrg, async (req, res) => {
+  try {
+    const Vehicle = require("../models/Vehicle");
+    const { checkDriver } = require("../services/driverCompliance");
+
+    const orgId = req.orgObjectId || req.user?.orgId;
+    const reg = normReg(req.params.reg || "");
+
+    if (!reg) {
+      return res.status(400).json({ error: "Registration required" });
+    }
+
+    const orgIdStr = String(orgId || "").trim();
+    const orgIdObj = mongoose.isValidObjectId(orgIdStr)
+      ? new mongoose.Types.ObjectId(orgIdStr)
+      : null;
+
+    const orgFilter = orgIdObj
+      ? { $or: [{ orgId: orgIdObj }, { orgId: orgIdStr }] }
+      : orgIdStr
+        ? { orgId: orgIdStr }
+        : {};
+
+    const vehicle = await Vehicle.findOne({ ...orgFilter, reg })
+      .select({ _id: 1, reg: 1, vehicleType: 1, driverId: 1 })
+      .lean();
+
+    if (!vehicle) {
+      return res.json({ ok: true, status: "ok", issues: [], known: false });
+    }
+
+    const result = await checkDriver({
+      orgId,
+      driverId: req.user?._id,
+      vehicle,
+    });
+
+    return res.json({
+      ok: true,
+      known: true,
+      vehicleId: String(vehicle._id),
+      ...result,
+    });
+  } catch (e) {
+    console.error("[mobile/vehicles/:reg/driver-check] error", e);
+    return res.status(500).json({ error: "Failed to check driver" });
+  }
+});
+
 /* -----------------------------
    OFFLINE EVENTS INGESTION (ORG REQUIRED)
    ✅ Accepts JSON OR multipart/form-data (files[])
@@ -2142,6 +2289,44 @@ router.post(
                   appliedTo.inspectionSubmissionId = String(submission._id);
                   appliedTo.formId = String(form._id);
                   appliedTo.inspectionStatus = "created";
+
+                  // Critical fails -> corrective actions (best-effort)
+                  try {
+                    const {
+                      escalateSubmission,
+                    } = require("../services/inspectionEscalation");
+                    const actions = await escalateSubmission(submission, {
+                      actor: req.user,
+                    });
+                    if (actions.length) {
+                      appliedTo.correctiveActionIds = actions.map((a) =>
+                        String(a._id),
+                      );
+                    }
+                  } catch (eEscalate) {
+                    console.error(
+                      "[inspection-run] escalation failed",
+                      eEscalate?.message || eEscalate,
+                    );
+                  }
+
+                  // Close the scheduled due item this run satisfies (if any)
+                  try {
+                    const {
+                      completeFromSubmission,
+                    } = require("../services/inspectionSchedules");
+                    const due = await completeFromSubmission(submission, {
+                      instanceId: payload?.scheduleInstanceId,
+                    });
+                    if (due?._id) {
+                      appliedTo.scheduleInstanceId = String(due._id);
+                    }
+                  } catch (eSchedule) {
+                    console.error(
+                      "[inspection-run] schedule completion failed",
+                      eSchedule?.message || eSchedule,
+                    );
+                  }
                 }
               }
             }
@@ -2405,10 +2590,23 @@ router.post(
           const { hasCoords, nLat, nLng, nAcc } =
             extractLatLngClockBatch(payload);
 
+          // Offline punches that land in a locked payroll period are not applied
+          const { findLockedPeriod } = require("../services/timesheets");
+          const lockedPeriod = await findLockedPeriod(orgIdStr, [at]);
+
+          // One location per batch, so one geofence verdict for every person in it
+          const { evaluateClocking } = require("../services/clockingFence");
+          const fenceResult = await evaluateClocking({
+            orgId: orgIdStr,
+            projectId: pid,
+            type: clockTypeRaw,
+            location: hasCoords ? { lat: nLat, lng: nLng } : null,
+          });
+
           let upserts = 0;
           let created = 0;
 
-          for (const person of people) {
+          for (const person of lockedPeriod || fenceResult.reject ? [] : people) {
             const uidStr = String(person?.userId || "").trim();
             if (!mongoose.isValidObjectId(uidStr)) continue;
 
@@ -2445,6 +2643,13 @@ router.post(
                 ...(nAcc != null ? { acc: nAcc } : {}),
               };
             }
+            if (fenceResult.fence) setOnInsert.fence = fenceResult.fence;
+
+            const capture = clockCaptureFrom(person, batch, {
+              _id: req.user?._id,
+              name: req.user?.name || req.user?.email,
+            });
+            if (capture) setOnInsert.capture = capture;
 
             const existing = await Clocking.findOne(query)
               .select({ _id: 1 })
@@ -2467,6 +2672,12 @@ router.post(
           appliedTo.clockType = clockTypeRaw;
           appliedTo.projectId = pid ? String(pid) : null;
           appliedTo.hasCoords = !!hasCoords;
+          if (lockedPeriod) appliedTo.clockingLockedPeriodId = String(lockedPeriod._id);
+          if (fenceResult.fence) {
+            appliedTo.fenceStatus = fenceResult.fence.status;
+            appliedTo.fenceDistanceM = fenceResult.fence.distanceM;
+            appliedTo.fenceRejected = !!fenceResult.reject;
+          }
 
           console.log("[clock-batch] applied", {
             upserts,
@@ -2738,6 +2949,26 @@ router.post(
             const odoStart = toFiniteNumberOrNull(payload?.odometerStart);
             const odoEnd = toFiniteNumberOrNull(payload?.odometerEnd);
 
+            // Licence check at the time the trip was driven. The trip has already
+            // happened offline, so a "block" result is recorded on the trip for
+            // review instead of refusing it (the app checks first when online).
+            const driverCheckFor = async (at) => {
+              const { checkDriver, tripDriverCheck } = require("../services/driverCompliance");
+              const result = await checkDriver({
+                orgId: orgId2,
+                driverId: driverUserId,
+                vehicle,
+                at,
+              }).catch((eCheck) => {
+                console.error("[vehicle-trip] driver check failed", eCheck);
+                return null;
+              });
+              if (result?.status && result.status !== "ok") {
+                appliedTo.driverCheckStatus = result.status;
+              }
+              return tripDriverCheck(result);
+            };
+
             if (!driverUserId) {
               console.warn("[vehicle-trip] missing req.user._id for driver", {
                 offlineEventId: String(doc?._id || ""),
@@ -2790,17 +3021,18 @@ router.post(
                     },
                   );
                 } else {
+                  const startedAt = parseDateTimeLoose(
+                    payload?.startedAt || payload?.createdAt || createdAtClient,
+                    new Date(),
+                  );
+                  const driverCheck = await driverCheckFor(startedAt);
                   const trip = await VehicleTrip.create({
                     orgId: orgId2,
                     vehicleId: vehicle._id,
                     driverUserId,
                     status: "open",
-                    startedAt: parseDateTimeLoose(
-                      payload?.startedAt ||
-                        payload?.createdAt ||
-                        createdAtClient,
-                      new Date(),
-                    ),
+                    startedAt,
+                    ...(driverCheck ? { driverCheck } : {}),
                     odoStart,
                     projectId,
                     taskId,
@@ -2835,17 +3067,18 @@ router.post(
                     },
                   );
                 } else {
+                  const startedAt = parseDateTimeLoose(
+                    payload?.startedAt || payload?.createdAt || createdAtClient,
+                    new Date(),
+                  );
+                  const driverCheck = await driverCheckFor(startedAt);
                   trip = new VehicleTrip({
                     orgId: orgId2,
                     vehicleId: vehicle._id,
                     driverUserId,
                     status: "closed",
-                    startedAt: parseDateTimeLoose(
-                      payload?.startedAt ||
-                        payload?.createdAt ||
-                        createdAtClient,
-                      new Date(),
-                    ),
+                    startedAt,
+                    ...(driverCheck ? { driverCheck } : {}),
                     endedAt: parseDateTimeLoose(
                       payload?.endedAt ||
                         payload?.updatedAt ||
@@ -2911,6 +3144,19 @@ router.post(
                 appliedTo.vehicleTripId = String(trip._id);
                 appliedTo.vehicleTripStatus = "closed-existing-open";
               }
+
+              // GPS breadcrumb recorded while the trip was open
+              if (trip?._id && payload?.track) {
+                const { saveTripTrack } = require("../services/tripTrack");
+                const gpsCheck = await saveTripTrack(trip, payload.track).catch((eTrack) => {
+                  console.error("[vehicle-trip] track not saved", eTrack);
+                  return null;
+                });
+                if (gpsCheck) {
+                  appliedTo.tripGpsPoints = gpsCheck.pointCount;
+                  appliedTo.tripGpsStatus = gpsCheck.status;
+                }
+              }
             } else {
               console.warn("[vehicle-trip] unhandled payload.kind", {
                 kind: payload?.kind,
@@ -3000,6 +3246,19 @@ router.post(
 
             const cost = toFiniteNumberOrNull(payload?.cost) ?? 0;
 
+            // fuel fills: litres / odometer / full-tank drive consumption analytics
+            const litres = toFiniteNumberOrNull(payload?.litres);
+            const fillOdometer = toFiniteNumberOrNull(payload?.odometer);
+            const fuelFields = {
+              ...(litres != null && litres > 0 ? { litres } : {}),
+              ...(fillOdometer != null && fillOdometer >= 0
+                ? { odometer: fillOdometer }
+                : {}),
+              ...(typeof payload?.fullTank === "boolean"
+                ? { fullTank: payload.fullTank }
+                : {}),
+            };
+
             // idempotency: one purchase per offline event
             const existingPurchase = await Purchase.findOne({
               orgId: orgIdStr,
@@ -3027,6 +3286,7 @@ router.post(
                   .trim()
                   .toLowerCase(),
                 notes: String(payload?.notes || "").trim(),
+                ...fuelFields,
                 docUrls,
                 sourceOfflineEventId: doc._id,
                 orgId: orgIdStr || undefined,
@@ -3300,6 +3560,127 @@ router.post(
         }
       }
 
+      // ✅ APPLY ASSET CUSTODY (scan-driven check-out / check-in)
+      if (eventType === "asset-custody") {
+        try {
+          const Asset = require("../models/Asset");
+          const custody = require("../services/assetCustody");
+
+          const orgId2 = req.orgObjectId || req.user?.orgId;
+          const orgIdStr = String(orgId2 || "").trim();
+          const orgIdObj = mongoose.isValidObjectId(orgIdStr)
+            ? new mongoose.Types.ObjectId(orgIdStr)
+            : null;
+
+          const assetCode = normAssetCode(
+            payload?.assetCode || payload?.code || entityRef || "",
+          );
+          const asset = assetCode
+            ? await Asset.findOne({
+                ...(orgIdObj
+                  ? { $or: [{ orgId: orgIdObj }, { orgId: orgIdStr }] }
+                  : orgIdStr
+                    ? { orgId: orgIdStr }
+                    : {}),
+                code: assetCode,
+              })
+            : null;
+
+          if (!asset) {
+            console.warn("[asset-custody] asset not found", {
+              assetCode,
+              offlineEventId: String(doc?._id || ""),
+            });
+            appliedTo.custodyStatus = "asset-not-found";
+          } else {
+            const uploaded = Array.isArray(doc?.uploadedFiles)
+              ? doc.uploadedFiles
+              : [];
+            const att = uploaded.length
+              ? buildAssetOfflineAttachment(uploaded[0])
+              : null;
+            const photo = att
+              ? {
+                  fileId: att.fileId,
+                  bucket: att.bucket,
+                  url: att.url,
+                  filename: att.filename,
+                  mime: att.mime,
+                }
+              : undefined;
+
+            const common = {
+              asset,
+              at: parseDateTimeLoose(
+                payload?.dateTime || payload?.createdAt || createdAtClient,
+                new Date(),
+              ),
+              note: payload?.note,
+              photo,
+              geo: payload?.location || {},
+              scanned: payload?.source === "scan",
+              actor: {
+                _id: req.user?._id,
+                name: req.user?.name || req.user?.email || "",
+              },
+              sourceOfflineEventId: doc._id,
+            };
+
+            const action = String(payload?.action || "").toLowerCase();
+            let result = null;
+            if (action === "check-out") {
+              // nobody named on the device: the person who scanned takes it
+              const holderInput =
+                payload?.holderType ||
+                payload?.holderUserId ||
+                payload?.projectId ||
+                payload?.taskId
+                  ? payload
+                  : { holderType: "user", holderUserId: req.user?._id };
+              const holder = await custody.resolveHolder({
+                orgId: orgId2,
+                holderType: holderInput.holderType,
+                holderUserId: holderInput.holderUserId,
+                projectId: holderInput.projectId,
+                taskId: holderInput.taskId,
+                holderLabel: holderInput.holderLabel,
+              });
+              // already happened in the field: hand over from whoever had it
+              result = await custody.checkOut({
+                ...common,
+                holder,
+                dueAt: payload?.dueAt,
+                handover: true,
+              });
+            } else if (action === "check-in") {
+              result = await custody.checkIn({
+                ...common,
+                condition: payload?.condition,
+                force: true,
+              });
+            } else {
+              console.warn("[asset-custody] unknown action", {
+                action,
+                offlineEventId: String(doc?._id || ""),
+              });
+            }
+
+            if (result) {
+              appliedTo.assetId = String(asset._id);
+              appliedTo.assetCode = String(asset.code || assetCode);
+              appliedTo.custodyEntryId = String(result.entry?._id || "");
+              appliedTo.custodyStatus = result.duplicate
+                ? "already-applied"
+                : String(result.asset?.custody?.status || "");
+            }
+          }
+        } catch (eCustody) {
+          console.error("[asset-custody] failed to apply", eCustody);
+          appliedTo.custodyStatus = "failed";
+          appliedTo.custodyError = eCustody?.message || String(eCustody);
+        }
+      }
+
       // ✅ APPLY TASK UPDATES (Task.status + ManagerNote + TaskMilestone.status)
       if (eventType === "task-update") {
         // (unchanged from your pasted version)
@@ -3424,7 +3805,47 @@ router.post(
             payload?.status,
           );
 
-          if (!newTaskStatus) {
+          // geofence crossing queued by the app (taskFences.js): logged as a
+          // "fence" entry; the service decides whether it starts/pauses the task
+          const isFence = String(payload?.trigger || "") === "fence";
+          let noteStatus = newTaskStatus; // the task's own status if a start is rejected
+
+          if (isFence) {
+            const { applyFenceEvent } = require("../services/fenceTrigger");
+            let taskDoc = await Task.findOne({ _id: taskObjectId, $or: orgOr });
+            if (!taskDoc) taskDoc = await Task.findById(taskObjectId);
+
+            if (!taskDoc) {
+              console.warn("[task-update] task not found", { taskIdStr });
+            } else {
+              const result = await applyFenceEvent(taskDoc, {
+                fence: payload?.fence,
+                at,
+                lat: payload?.lat,
+                lng: payload?.lng,
+                accuracy: payload?.accuracy,
+                actor: {
+                  _id: req.user?._id,
+                  name: req.user?.name,
+                  email: req.user?.email,
+                  sub: req.user?.sub || req.user?.id,
+                },
+                sourceOfflineEventId: doc._id,
+              });
+              if (result.logged) {
+                if (result.fenceAction) {
+                  taskDoc.updatedBy = req.user?._id || undefined;
+                }
+                await taskDoc.save();
+              }
+              console.log("[task-update] fence event", {
+                taskId: String(taskDoc._id),
+                ...result,
+              });
+              appliedTo.taskId = String(taskDoc._id);
+              appliedTo.fence = result;
+            }
+          } else if (!newTaskStatus) {
             console.warn("[task-update] unrecognized task status", {
               raw: payload?.status,
             });
@@ -3432,8 +3853,38 @@ router.post(
             let taskDoc = await Task.findOne({ _id: taskObjectId, $or: orgOr });
             if (!taskDoc) taskDoc = await Task.findById(taskObjectId);
 
+            // starting / resuming goes through the same QR check as the web
+            // start route; a rejected start leaves the task as it was
+            let qrError = "";
+            if (
+              taskDoc &&
+              newTaskStatus === "in-progress" &&
+              taskDoc.status !== "in-progress"
+            ) {
+              const qrToken = payload?.qrToken;
+              if (taskDoc.enforceQRScan && !qrToken) {
+                qrError = "QR required";
+              } else if (qrToken) {
+                const { verifyTaskScan } = require("../services/qrLabels");
+                const check = verifyTaskScan(qrToken, taskDoc, {
+                  orgId: taskDoc.orgId || orgIdStr,
+                });
+                if (check.ok) appliedTo.qrKind = check.kind;
+                else qrError = check.reason;
+              }
+            }
+
             if (!taskDoc) {
               console.warn("[task-update] task not found", { taskIdStr });
+            } else if (qrError) {
+              console.warn("[task-update] start rejected", {
+                taskId: String(taskDoc._id),
+                reason: qrError,
+              });
+              appliedTo.taskId = String(taskDoc._id);
+              appliedTo.taskStatus = "rejected";
+              appliedTo.taskError = qrError;
+              noteStatus = taskDoc.status;
             } else {
               taskDoc.status = newTaskStatus;
               taskDoc.updatedAt = new Date();
@@ -3512,6 +3963,7 @@ router.post(
             : undefined;
 
           // ✅ idempotent ManagerNote: don't create duplicates on resync
+          // (fence crossings only go to the task's duration log)
           const existingNote = await ManagerNote.findOne({
             taskId: taskObjectId,
             orgId: orgIdObj || undefined,
@@ -3520,14 +3972,13 @@ router.post(
             .lean()
             .catch(() => null);
 
-          if (!existingNote?._id) {
+          if (!isFence && !existingNote?._id) {
             const noteDoc = await ManagerNote.create({
               taskId: taskObjectId,
               projectId: projectObjectId,
               orgId: orgIdObj || undefined,
               at,
-              status:
-                newTaskStatus || String(payload?.status || "pending").trim(),
+              status: noteStatus || String(payload?.status || "pending").trim(),
               note: noteText || "",
               author: {
                 id: actorUserId,
@@ -4023,7 +4474,71 @@ router.get("/biometric-requests/:requestId", requireOrg, async (req, res) => {
   }
 });
 
+function requestPhotoFileIds(requestDoc) {
+  const uploadedFiles = Array.isArray(requestDoc?.uploadedFiles)
+    ? requestDoc.uploadedFiles
+    : [];
+  return uploadedFiles
+    .map((f) => String(f?.fileId || "").trim())
+    .filter((s) => mongoose.isValidObjectId(s))
+    .map((s) => new mongoose.Types.ObjectId(s));
+}
+
+// Liveness + duplicate-identity screening for a request; stored on the request
+async function screenBiometricRequest(requestDoc, orgId) {
+  const bucket = getMobileOfflineBucket();
+  if (!bucket) {
+    requestDoc.screening = { verdict: "unavailable", error: "Database not ready", checkedAt: new Date() };
+    return requestDoc.screening;
+  }
+  const { screenEnrollmentPhotos } = require("../services/biometricScreening");
+  const screening = await screenEnrollmentPhotos({
+    orgId,
+    targetUserId: requestDoc.targetUserId,
+    photoFileIds: requestPhotoFileIds(requestDoc),
+    bucket,
+  });
+  requestDoc.screening = screening;
+  await requestDoc.save();
+  return screening;
+}
+
+// SCREEN (preview the checks without approving)
+router.post(
+  "/biometric-requests/:requestId/screen",
+  requireOrg,
+  async (req, res) => {
+    try {
+      if (!canApproveBiometrics(req.user)) {
+        return res.status(403).json({ error: "Not allowed" });
+      }
+
+      const orgId = req.orgObjectId || req.user?.orgId;
+      const requestIdStr = String(req.params.requestId || "").trim();
+      if (!mongoose.isValidObjectId(requestIdStr)) {
+        return res.status(400).json({ error: "Invalid requestId" });
+      }
+
+      const BiometricEnrollmentRequest = require("../models/BiometricEnrollmentRequest");
+      const requestDoc = await BiometricEnrollmentRequest.findOne({
+        _id: new mongoose.Types.ObjectId(requestIdStr),
+        orgId,
+      });
+      if (!requestDoc)
+        return res.status(404).json({ error: "Request not found" });
+
+      const screening = await screenBiometricRequest(requestDoc, orgId);
+      return res.json({ ok: true, requestId: requestDoc._id, screening });
+    } catch (e) {
+      console.error("[biometrics] screen request error", e);
+      return res.status(500).json({ error: e?.message || "Screening failed" });
+    }
+  },
+);
+
 // APPROVE
+// A "review" (liveness), "duplicate" or "unavailable" (checks could not run) screening
+// verdict blocks with 409 unless the approver sends { override: true, overrideReason }.
 router.post(
   "/biometric-requests/:requestId/approve",
   requireOrg,
@@ -4064,10 +4579,32 @@ router.post(
         ? requestDoc.uploadedFiles
         : [];
 
-      const photoFileIds = uploadedFiles
-        .map((f) => String(f?.fileId || "").trim())
-        .filter((s) => mongoose.isValidObjectId(s))
-        .map((s) => new mongoose.Types.ObjectId(s));
+      const photoFileIds = requestPhotoFileIds(requestDoc);
+
+      const screening = await screenBiometricRequest(requestDoc, orgId);
+      const flagged = ["review", "duplicate", "unavailable"].includes(screening.verdict);
+      const overrideReason = String(req.body?.overrideReason || "").trim();
+
+      if (flagged && !(boolish(req.body?.override) && overrideReason)) {
+        return res.status(409).json({
+          ok: false,
+          error:
+            screening.verdict === "duplicate"
+              ? "This face matches a user who is already enrolled"
+              : screening.verdict === "unavailable"
+                ? "Liveness and duplicate checks could not run for this request"
+                : "Liveness checks failed for this request",
+          needsOverride: true,
+          screening,
+        });
+      }
+      if (flagged) {
+        requestDoc.screening.override = {
+          by: approverUserId,
+          at: new Date(),
+          reason: overrideReason,
+        };
+      }
 
       const enrollment = await BiometricEnrollment.findOneAndUpdate(
         { orgId, userId: requestDoc.targetUserId },
@@ -4078,6 +4615,9 @@ router.post(
             sourceRequestId: requestDoc._id,
             approvedBy: approverUserId,
             approvedAt: new Date(),
+            ...(screening.livenessScore != null
+              ? { livenessScore: screening.livenessScore }
+              : {}),
           },
         },
         { new: true, upsert: true },
@@ -4096,6 +4636,9 @@ router.post(
           "biometric.status": "pending",
           "biometric.lastUpdatedAt": new Date(),
         };
+        if (screening.livenessScore != null) {
+          setPatch["biometric.lastLivenessScore"] = screening.livenessScore;
+        }
 
         if (firstPhotoFileId) {
           setPatch["photo.fileId"] = firstPhotoFileId;
@@ -4126,6 +4669,7 @@ router.post(
         enrollmentId: enrollment._id,
         enrollmentStatus: enrollment.status,
         photosCount: photoFileIds.length,
+        screening: requestDoc.screening,
       });
     } catch (e) {
       console.error("[biometrics] approve request error", e);
@@ -4228,45 +4772,10 @@ router.get(
 //   - groupId (optional)
 // -----------------------------
 
-function bufferToFloat32BufferStub(buf) {
-  const hash = crypto.createHash("sha256").update(buf).digest(); // 32 bytes
-  const out = new Float32Array(128);
-  for (let i = 0; i < out.length; i++) {
-    const b = hash[i % hash.length];
-    out[i] = (b / 255) * 2 - 1;
-  }
-  return Buffer.from(out.buffer);
-}
-
-function bufferToFloat32Array(buf) {
-  if (!buf) return null;
-  const b = Buffer.isBuffer(buf) ? buf : Buffer.from(buf);
-  if (b.length < 4) return null;
-  const usable = b.slice(0, Math.floor(b.length / 4) * 4);
-  return new Float32Array(usable.buffer, usable.byteOffset, usable.length / 4);
-}
-
-function cosineSimilarity(a, b) {
-  if (!a || !b) return -1;
-  const n = Math.min(a.length, b.length);
-  if (n <= 0) return -1;
-
-  let dot = 0;
-  let na = 0;
-  let nb = 0;
-
-  for (let i = 0; i < n; i++) {
-    const x = a[i];
-    const y = b[i];
-    dot += x * y;
-    na += x * x;
-    nb += y * y;
-  }
-
-  const denom = Math.sqrt(na) * Math.sqrt(nb);
-  if (!denom) return -1;
-  return dot / denom;
-}
+// Embedding lives in services/faceEmbedding.js (pluggable provider), the 1:N
+// comparison in services/biometricMatching.js. Only templates from the ACTIVE
+// templateVersion are compared; older ones are re-generated by the biometric
+// worker and reported as staleTemplates meanwhile.
 
 router.post(
   "/biometric-identify",
@@ -4299,8 +4808,24 @@ router.post(
         });
       }
 
-      const probeBuf = bufferToFloat32BufferStub(req.file.buffer);
-      const probe = bufferToFloat32Array(probeBuf);
+      const { getEmbeddingProvider, loadMatchPolicy } = require("../services/faceEmbedding");
+
+      let provider;
+      try {
+        provider = getEmbeddingProvider();
+      } catch (eProv) {
+        console.error("[mobile/biometric-identify] provider unavailable", eProv);
+        return res.status(503).json({
+          ok: false,
+          error: "Face matching is not available on this server",
+        });
+      }
+
+      const probe = await provider.embed([req.file.buffer]);
+      if (!probe) {
+        return res.status(400).json({ ok: false, error: "Could not read a face from the photo" });
+      }
+      const policy = await loadMatchPolicy(orgId, provider);
 
       const groupIdStr = String(req.body?.groupId || "").trim();
       let memberUserIds = null;
@@ -4326,65 +4851,67 @@ router.post(
         } catch {}
       }
 
-      const BiometricEnrollment = require("../models/BiometricEnrollment");
-
-      const find = {
+      const { rankEnrolledMatches } = require("../services/biometricMatching");
+      const { ranked, compared, staleTemplates, undecryptable } = await rankEnrolledMatches({
         orgId,
-        status: "enrolled",
-        embedding: { $exists: true, $ne: null },
-      };
-      if (memberUserIds?.length) find.userId = { $in: memberUserIds };
+        probe,
+        provider,
+        userIds: memberUserIds,
+        logPrefix: "[mobile/biometric-identify]",
+      });
 
-      const enrolled = await BiometricEnrollment.find(find)
-        .select({ userId: 1, templateVersion: 1 })
-        .select("+embedding")
-        .limit(2000)
-        .lean();
+      const meta = {
+        templateVersion: provider.templateVersion,
+        threshold: policy.matchThreshold,
+        staleTemplates,
+        ...(undecryptable ? { undecryptableTemplates: undecryptable } : {}),
+      };
 
-      if (!enrolled.length) {
+      if (!compared) {
         return res.json({
           ok: true,
           matchedUserId: null,
           score: null,
-          reason: "no_enrolled_users",
-          templateVersion: null,
+          reason: staleTemplates ? "templates_migrating" : "no_enrolled_users",
+          ...meta,
         });
       }
 
-      let best = { userId: null, score: -1, templateVersion: null };
+      const bestUserId = ranked[0]?.userId;
+      const bestScore = ranked[0]?.score ?? -1;
+      const runnerUp = ranked[1]?.score;
+      const margin = runnerUp != null ? bestScore - runnerUp : null;
 
-      for (const e of enrolled) {
-        const embArr = bufferToFloat32Array(e.embedding);
-        if (!embArr) continue;
+      const round = (n) => (n != null && n >= -1 ? Number(n.toFixed(4)) : null);
 
-        const score = cosineSimilarity(probe, embArr);
-        if (score > best.score) {
-          best = {
-            userId: e.userId ? String(e.userId) : null,
-            score,
-            templateVersion: e.templateVersion || null,
-          };
-        }
+      if (!bestUserId || bestScore < policy.matchThreshold) {
+        return res.json({
+          ok: true,
+          matchedUserId: null,
+          score: round(bestScore),
+          reason: "no_match",
+          ...meta,
+        });
       }
 
-      const THRESHOLD = 0.78;
-
-      if (!best.userId || best.score < THRESHOLD) {
+      if (margin != null && margin < policy.minMargin) {
         return res.json({
           ok: true,
           matchedUserId: null,
-          score: best.score >= 0 ? Number(best.score.toFixed(4)) : null,
-          reason: "no_match",
-          templateVersion: best.templateVersion,
+          score: round(bestScore),
+          margin: round(margin),
+          reason: "ambiguous",
+          ...meta,
         });
       }
 
       return res.json({
         ok: true,
-        matchedUserId: best.userId,
-        score: Number(best.score.toFixed(4)),
+        matchedUserId: bestUserId,
+        score: round(bestScore),
+        margin: round(margin),
         reason: "matched",
-        templateVersion: best.templateVersion,
+        ...meta,
       });
     } catch (e) {
       console.error("[mobile/biometric-identify] error", e);
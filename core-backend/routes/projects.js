@@ -7,6 +7,12 @@ const { requireAuth } = require("../middleware/auth");
 const Project = require("../models/Project");
 const Task = require("../models/Task");
 const TaskMilestone = require("../models/TaskMilestone");
+const ProjectBaseline = require("../models/ProjectBaseline");
+const User = require("../models/User");
+const criticalPath = require("../services/criticalPath");
+const baselines = require("../services/baselines");
+const planImport = require("../services/planImport");
+const planExport = require("../services/planExport");
 
 const router = express.Router();
 
@@ -216,10 +222,28 @@ function safePlanningItem(raw = {}) {
 
   const parentPlanningId = raw.parentPlanningId ? toObjectId(raw.parentPlanningId) : null;
 
-  const dependsOnPlanningIds = Array.isArray(raw.dependsOnPlanningIds || raw.dependsOn || raw.requires)
+  const explicitDeps = Array.isArray(raw.dependsOnPlanningIds || raw.dependsOn || raw.requires);
+  let dependsOnPlanningIds = explicitDeps
     ? (raw.dependsOnPlanningIds || raw.dependsOn || raw.requires).filter(isId).map(toObjectId)
     : [];
 
+  // typed links with lag (imports); a plain dependsOnPlanningIds edit wins over stale links
+  let dependencyLinks = Array.isArray(raw.dependencyLinks)
+    ? raw.dependencyLinks
+        .filter((l) => l && isId(l.planningId))
+        .map((l) => ({
+          planningId: toObjectId(l.planningId),
+          type: ["FS", "SS", "FF", "SF"].includes(l.type) ? l.type : "FS",
+          lagDays: Number.isFinite(Number(l.lagDays)) ? Number(l.lagDays) : 0,
+        }))
+    : undefined;
+  if (dependencyLinks && explicitDeps) {
+    const keep = new Set(dependsOnPlanningIds.map(String));
+    dependencyLinks = dependencyLinks.filter((l) => keep.has(String(l.planningId)));
+  } else if (dependencyLinks) {
+    dependsOnPlanningIds = dependencyLinks.map((l) => l.planningId);
+  }
+
   const assigneeUserId =
     raw.assigneeUserId || raw.assignee || raw.assigneeId ? readNullableId(raw.assigneeUserId ?? raw.assignee ?? raw.assigneeId) : null;
 
@@ -248,6 +272,16 @@ function safePlanningItem(raw = {}) {
     status: okStatus,
     wbsCode: raw.wbsCode != null ? String(raw.wbsCode) : "",
     costEstimate: raw.costEstimate != null ? Number(raw.costEstimate) : undefined,
+    dependencyLinks,
+    externalId: raw.externalId != null ? String(raw.externalId) : "",
+    wbsPath: raw.wbsPath != null ? String(raw.wbsPath) : "",
+    workstreamName: raw.workstreamName != null ? String(raw.workstreamName).trim() : "",
+    durationDays:
+      raw.durationDays != null && raw.durationDays !== "" && Number.isFinite(Number(raw.durationDays))
+        ? Number(raw.durationDays)
+        : undefined,
+    calendarName: raw.calendarName != null ? String(raw.calendarName) : "",
+    resourceNames: Array.isArray(raw.resourceNames) ? raw.resourceNames.map(String).filter(Boolean) : undefined,
   };
 }
 
@@ -434,6 +468,8 @@ router.post("/:id/planning/generate", requireAuth, allowRoles("manager", "admin"
 
         title: it.title,
         description: it.description || "",
+        wbs: it.wbsCode || "",
+        workstreamName: it.workstreamName || "",
 
         startDate: it.startPlanned,
         dueAt: it.endPlanned,
@@ -499,6 +535,8 @@ router.post("/:id/planning/generate", requireAuth, allowRoles("manager", "admin"
     // - Deliverable dependencies -> TaskMilestone.requires (only if dependency is a deliverable in SAME parent task)
     for (const it of taskItems) {
       const deps = [];
+      const typed = []; // imported typed links -> Task.dependsOn for the CPM (lag stays on the plan)
+      const linkType = new Map((it.dependencyLinks || []).map((l) => [String(l.planningId), l.type || "FS"]));
       for (const depPlanId of it.dependsOnPlanningIds || []) {
         const dep = byId.get(String(depPlanId));
         if (!dep) continue;
@@ -506,6 +544,8 @@ router.post("/:id/planning/generate", requireAuth, allowRoles("manager", "admin"
         if (dep.type === "task") {
           const depTaskId = taskMap[String(dep._id)];
           if (depTaskId) deps.push(depTaskId);
+          const type = linkType.get(String(dep._id));
+          if (depTaskId && type) typed.push({ kind: "task", id: depTaskId, type });
         } else {
           // deliverable dependency: we cannot enforce milestone gating in Task model,
           // so best-effort: depend on the deliverable's parent task.
@@ -518,7 +558,12 @@ router.post("/:id/planning/generate", requireAuth, allowRoles("manager", "admin"
       if (taskId && deps.length) {
         await Task.updateOne(
           { _id: taskId },
-          { $set: { dependentTaskIds: Array.from(new Set(deps.map(String))).map((id) => new mongoose.Types.ObjectId(id)) } },
+          {
+            $set: {
+              dependentTaskIds: Array.from(new Set(deps.map(String))).map((id) => new mongoose.Types.ObjectId(id)),
+              ...(typed.length ? { dependsOn: typed } : {}),
+            },
+          },
           { session: session || undefined }
         );
       }
@@ -603,6 +648,312 @@ router.post("/:id/planning/generate", requireAuth, allowRoles("manager", "admin"
   }
 });
 
+/* ------------------------------ PLANNING IMPORT / EXPORT ------------------------------ */
+/**
+ * POST /api/projects/:id/planning/import   multipart "file": MS Project XML (MSPDI) or Primavera .xer
+ * Query:
+ *   commit=1       save the merged plan (default: preview only)
+ *   keepMissing=1  keep current items that are not in the file
+ *   project=CODE   XER project (proj_short_name) when the file holds several
+ * -> { format, projectName, summary, rows, warnings, calendars } (+ planning when committed)
+ */
+router.post(
+  "/:id/planning/import",
+  requireAuth,
+  allowRoles("manager", "admin", "superadmin"),
+  memUpload.single("file"),
+  async (req, res) => {
+    try {
+      const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) });
+      if (!p) return res.status(404).json({ error: "Not found" });
+      if (!req.file) return res.status(400).json({ error: "file required" });
+
+      const format = planImport.detectFormat(req.file.buffer, req.file.originalname);
+      if (!format) return res.status(400).json({ error: "unsupported file type (use MS Project .xml or Primavera .xer)" });
+
+      const text = planImport.bufferText(req.file.buffer);
+      const schedule =
+        format === "xer" ? planImport.parseXer(text, { projectCode: req.query.project }) : planImport.parseMspdi(text);
+
+      const users = await User.find({ ...orgScope(p.orgId), isDeleted: { $ne: true } })
+        .select("name email")
+        .lean();
+      const imported = planImport.toPlanningItems(schedule, { users });
+      if (!imported.items.length) return res.status(400).json({ error: "no activities found in file", warnings: imported.warnings });
+
+      const current = Array.isArray(p.planning?.items) ? p.planning.items : [];
+      const diff = planImport.diffPlan(current, imported.items);
+      const out = {
+        format,
+        fileName: req.file.originalname,
+        projectName: schedule.projectName,
+        summary: diff.summary,
+        rows: diff.rows,
+        warnings: imported.warnings,
+        calendars: imported.calendars,
+        generatedAt: p.planning?.generatedAt || null,
+      };
+      if (!["1", "true"].includes(String(req.query.commit || ""))) return res.json(out);
+
+      const keepMissing = ["1", "true"].includes(String(req.query.keepMissing || ""));
+      const items = planImport.mergePlan(current, imported.items, { keepMissing }).map(safePlanningItem);
+      const errs = validatePlanningItems(items);
+      if (errs.length) return res.status(400).json({ error: "Planning validation failed", details: errs });
+
+      if (!p.planning) p.planning = {};
+      p.planning.items = items;
+      p.planning.calendars = imported.calendars;
+      p.planning.importedFrom = {
+        format,
+        fileName: req.file.originalname,
+        projectName: schedule.projectName,
+        importedAt: new Date(),
+        importedBy: userIdFromReq(req),
+      };
+      p.planning.lastEditedAt = new Date();
+      p.planning.lastEditedBy = userIdFromReq(req);
+
+      await p.save();
+      res.json({ ...out, saved: true, planning: p.planning });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error("POST /projects/:id/planning/import error:", e);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/projects/:id/planning/export?format=mspdi
+// MS Project XML of the plan with progress from the generated tasks
+router.get("/:id/planning/export", requireAuth, async (req, res) => {
+  try {
+    const format = String(req.query.format || "mspdi").toLowerCase();
+    if (format !== "mspdi") return res.status(400).json({ error: "unsupported format (use mspdi)" });
+
+    const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) }).lean();
+    if (!p) return res.status(404).json({ error: "Not found" });
+    if (!p.planning?.items?.length) return res.status(400).json({ error: "No planning items to export" });
+
+    const xml = await planExport.exportMspdi(p);
+    const base = String(p.name || "project").replace(/[^\w.-]+/g, "_");
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${base}.xml"`);
+    res.send(xml);
+  } catch (e) {
+    console.error("GET /projects/:id/planning/export error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ SCHEDULE (CPM) ------------------------------ */
+// Query/body options shared by the schedule endpoints (see services/criticalPath.js)
+function scheduleOpts(src = {}) {
+  const out = {};
+  if (src.statusDate) {
+    const d = new Date(src.statusDate);
+    if (!Number.isNaN(d.getTime())) out.statusDate = d;
+  }
+  if (["1", "true", true].includes(src.ignoreProgress)) out.ignoreProgress = true;
+  if (src.nearCriticalDays !== undefined && src.nearCriticalDays !== "") {
+    const n = Number(src.nearCriticalDays);
+    if (Number.isFinite(n) && n >= 0) out.nearCriticalDays = n;
+  }
+  return out;
+}
+
+/**
+ * GET /api/projects/:id/schedule?statusDate=&ignoreProgress=1&nearCriticalDays=
+ * Early/late dates, floats, critical path and the planned dates that would move
+ * because a predecessor slipped (preview only).
+ */
+router.get("/:id/schedule", requireAuth, async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) }).lean();
+    if (!p) return res.status(404).json({ error: "Not found" });
+
+    res.json(await criticalPath.projectSchedule({ project: p, orgId: req.user?.orgId, ...scheduleOpts(req.query) }));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("GET /projects/:id/schedule error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/projects/:id/schedule/apply
+ * Body: { keys?: ["task:<id>", "milestone:<id>"], statusDate?, ignoreProgress? }
+ * Recomputes and writes the pushed-out planned dates (all moved items, or just `keys`).
+ */
+router.post("/:id/schedule/apply", requireAuth, allowRoles("manager", "admin", "superadmin"), async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) }).lean();
+    if (!p) return res.status(404).json({ error: "Not found" });
+
+    const body = req.body || {};
+    res.json(
+      await criticalPath.applySchedule({
+        project: p,
+        orgId: req.user?.orgId,
+        keys: Array.isArray(body.keys) ? body.keys : undefined,
+        ...scheduleOpts(body),
+      })
+    );
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e?.name === "ValidationError") return res.status(400).json({ error: e.message });
+    console.error("POST /projects/:id/schedule/apply error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ BASELINES + VARIANCE ------------------------------ */
+async function findBaseline(req, projectId) {
+  const bid = req.params.baselineId || req.query.baselineId;
+  const where = { projectId, isDeleted: { $ne: true }, ...orgScope(req.user?.orgId) };
+  if (bid) {
+    if (!isId(bid)) return null;
+    return ProjectBaseline.findOne({ ...where, _id: bid });
+  }
+  // default: the primary baseline, else the newest
+  return (
+    (await ProjectBaseline.findOne({ ...where, primary: true })) ||
+    ProjectBaseline.findOne(where).sort({ createdAt: -1 })
+  );
+}
+
+// GET /api/projects/:id/baselines  (newest first, without items)
+router.get("/:id/baselines", requireAuth, async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) }).select("_id").lean();
+    if (!p) return res.status(404).json({ error: "Not found" });
+
+    const rows = await ProjectBaseline.find({ projectId: p._id, isDeleted: { $ne: true }, ...orgScope(req.user?.orgId) })
+      .select("-items")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(rows);
+  } catch (e) {
+    console.error("GET /projects/:id/baselines error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/projects/:id/baselines
+ * Body: { name, note?, primary? }  -> snapshot of every live task + milestone
+ */
+router.post("/:id/baselines", requireAuth, allowRoles("manager", "admin", "superadmin"), async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) }).lean();
+    if (!p) return res.status(404).json({ error: "Not found" });
+
+    const { name, note, primary } = req.body || {};
+    const doc = await baselines.captureBaseline({
+      project: p,
+      orgId: req.user?.orgId,
+      name,
+      note,
+      primary: !!primary,
+      actor: { _id: userIdFromReq(req), name: req.user?.name || req.user?.email || "" },
+    });
+    res.status(201).json(baselines.toMeta(doc));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e?.name === "ValidationError") return res.status(400).json({ error: e.message });
+    console.error("POST /projects/:id/baselines error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/projects/:id/baselines/:baselineId  (with items)
+router.get("/:id/baselines/:baselineId", requireAuth, async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const b = await findBaseline(req, new mongoose.Types.ObjectId(req.params.id));
+    if (!b) return res.status(404).json({ error: "Not found" });
+    res.json(b);
+  } catch (e) {
+    console.error("GET /projects/:id/baselines/:baselineId error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PATCH /api/projects/:id/baselines/:baselineId  { name?, note?, primary: true? }
+router.patch("/:id/baselines/:baselineId", requireAuth, allowRoles("manager", "admin", "superadmin"), async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const b = await findBaseline(req, new mongoose.Types.ObjectId(req.params.id));
+    if (!b) return res.status(404).json({ error: "Not found" });
+
+    const body = req.body || {};
+    if (typeof body.name === "string") {
+      if (!body.name.trim()) return res.status(400).json({ error: "name is required" });
+      b.name = body.name;
+    }
+    if (typeof body.note === "string") b.note = body.note;
+    if (body.primary === true) await baselines.setPrimary(b);
+    else await b.save();
+    res.json(baselines.toMeta(b));
+  } catch (e) {
+    if (e?.name === "ValidationError") return res.status(400).json({ error: e.message });
+    console.error("PATCH /projects/:id/baselines/:baselineId error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/projects/:id/baselines/:baselineId  (soft; the newest remaining one becomes primary)
+router.delete("/:id/baselines/:baselineId", requireAuth, allowRoles("manager", "admin", "superadmin"), async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const b = await findBaseline(req, new mongoose.Types.ObjectId(req.params.id));
+    if (!b) return res.status(404).json({ error: "Not found" });
+
+    const wasPrimary = b.primary;
+    b.isDeleted = true;
+    b.primary = false;
+    await b.save();
+    if (wasPrimary) {
+      const next = await ProjectBaseline.findOne({ projectId: b.projectId, isDeleted: { $ne: true } }).sort({ createdAt: -1 });
+      if (next) await baselines.setPrimary(next);
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("DELETE /projects/:id/baselines/:baselineId error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/projects/:id/variance?baselineId=&format=json|csv
+ * Start/finish slip and duration growth against a baseline (default: primary),
+ * summarised for the project, per workstream and per discipline.
+ */
+router.get("/:id/variance", requireAuth, async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ error: "bad id" });
+    const p = await Project.findOne({ _id: req.params.id, ...orgScope(req.user?.orgId) }).lean();
+    if (!p) return res.status(404).json({ error: "Not found" });
+    const b = await findBaseline(req, p._id);
+    if (!b) return res.status(404).json({ error: "No baseline for this project" });
+
+    const report = await baselines.variance({ project: p, orgId: req.user?.orgId, baseline: b });
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${baselines.fileBaseName(report)}.csv"`);
+      return res.send(baselines.toCsv(report));
+    }
+    res.json(report);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("GET /projects/:id/variance error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /* ------------------------------ READ ------------------------------ */
 // GET /api/projects/:id
 router.get("/:id", requireAuth, async (req, res) => {
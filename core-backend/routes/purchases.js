@@ -25,6 +25,24 @@ function buildOrgFilter(model, orgId) {
 function isValidId(v) { return !!v && mongoose.Types.ObjectId.isValid(String(v)); }
 const asId = (v) => new mongoose.Types.ObjectId(String(v));
 
+// Fuel-fill fields; only keys present in the body are returned ('' / null clears)
+function fuelFieldsFrom(body = {}) {
+  const out = {};
+  const num = (v) => {
+    if (v === '' || v === null) return undefined;
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+  };
+  if (body.litres !== undefined) out.litres = num(body.litres);
+  if (body.pricePerLitre !== undefined) out.pricePerLitre = num(body.pricePerLitre);
+  if (body.odometer !== undefined) out.odometer = num(body.odometer);
+  if (body.fullTank !== undefined) {
+    const f = body.fullTank;
+    out.fullTank = f === null || f === '' ? undefined : f === true || f === 'true' || f === 1 || f === '1';
+  }
+  return out;
+}
+
 function ensureDir(p) {
   try { fs.mkdirSync(p, { recursive: true }); } catch {}
 }
@@ -124,6 +142,20 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+// Reject an odometer reading that does not fit the vehicle's timeline (trips, logbook, other fills)
+async function odometerProblem(purchase, orgId) {
+  if (purchase.odometer == null || !purchase.vehicleId) return null;
+  const { checkNewReading } = require('../services/odometerTimeline');
+  const check = await checkNewReading({
+    orgId,
+    vehicleId: purchase.vehicleId,
+    odo: purchase.odometer,
+    at: purchase.date,
+    excludeRefId: purchase.isNew ? null : purchase._id,
+  });
+  return check.ok ? null : check.message;
+}
+
 /* ------------------------------- create -------------------------------- */
 // POST /purchases
 router.post('/', requireAuth, async (req, res) => {
@@ -160,9 +192,13 @@ router.post('/', requireAuth, async (req, res) => {
       docUrls: docUrlArr,
       // new structured field used by UI
       receiptPhoto: chosenReceiptUrl ? { url: chosenReceiptUrl } : undefined,
+      ...fuelFieldsFrom(req.body || {}),
       orgId: String(req.user?.orgId || 'root'),
     });
 
+    const odoProblem = await odometerProblem(doc, req.user?.orgId);
+    if (odoProblem) return res.status(422).json({ error: odoProblem });
+
     await doc.save();
     const ret = await Purchase.findById(doc._id)
       .populate({ path: 'vendorId', select: 'name' })
@@ -213,6 +249,7 @@ router.put('/:id', requireAuth, async (req, res) => {
     if (type !== undefined) p.type = String(type || 'other').toLowerCase();
     if (notes !== undefined) p.notes = notes || '';
     if (docUrls !== undefined) p.docUrls = Array.isArray(docUrls) ? docUrls : p.docUrls;
+    for (const [k, val] of Object.entries(fuelFieldsFrom(req.body || {}))) p[k] = val;
 
     // Update structured receipt field (supports clearing by sending empty string/null)
     if (receiptPhotoUrl !== undefined || receiptUrl !== undefined) {
@@ -224,6 +261,11 @@ router.put('/:id', requireAuth, async (req, res) => {
       }
     }
 
+    if (p.isModified('odometer') || p.isModified('date')) {
+      const odoProblem = await odometerProblem(p, req.user?.orgId);
+      if (odoProblem) return res.status(422).json({ error: odoProblem });
+    }
+
     await p.save();
     const ret = await Purchase.findById(p._id)
       .populate({ path: 'vendorId', select: 'name' })
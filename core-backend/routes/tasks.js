@@ -15,6 +15,9 @@ const { requireAuth } = require("../middleware/auth");
 const Task = require("../models/Task");
 const Project = require("../models/Project");
 const TaskMilestone = require("../models/TaskMilestone");
+const { verifyTaskScan } = require("../services/qrLabels");
+const { dependencyBlockers } = require("../services/criticalPath");
+const { clockAction } = require("../services/fenceTrigger");
 
 const { getBucket } = require("../lib/gridfs");
 
@@ -185,10 +188,11 @@ function computeActualMinutes(log = []) {
   let startedAt = null;
   for (const e of entries) {
     const t = new Date(e.at).getTime();
-    if ((e.action === "start" || e.action === "resume") && startedAt == null) {
+    const action = clockAction(e);
+    if ((action === "start" || action === "resume") && startedAt == null) {
       startedAt = t;
     } else if (
-      (e.action === "pause" || e.action === "complete") &&
+      (action === "pause" || action === "complete") &&
       startedAt != null
     ) {
       totalMs += Math.max(0, t - startedAt);
@@ -210,20 +214,20 @@ function ensureLogIds(taskDoc) {
 }
 
 /**
- * ✅ Derived status from latest log entry (except photo/fence)
+ * ✅ Derived status from latest log entry (except photo, and fence crossings
+ * that did not start/pause the task)
  */
 function setStatusFromLog(taskDoc) {
   const log = [...(taskDoc.actualDurationLog || [])]
     .sort((a, b) => new Date(a.at) - new Date(b.at))
-    .filter((e) => e.action !== "photo" && e.action !== "fence");
+    .filter((e) => e.action !== "photo" && clockAction(e));
 
   if (!log.length) return;
 
-  const last = log[log.length - 1];
-  if (last.action === "start" || last.action === "resume")
-    taskDoc.status = "in-progress";
-  if (last.action === "pause") taskDoc.status = "paused";
-  if (last.action === "complete") taskDoc.status = "completed";
+  const last = clockAction(log[log.length - 1]);
+  if (last === "start" || last === "resume") taskDoc.status = "in-progress";
+  if (last === "pause") taskDoc.status = "paused";
+  if (last === "complete") taskDoc.status = "completed";
 }
 
 /* ---------------- normalize output ---------------- */
@@ -948,6 +952,8 @@ router.post(
         enforceQRScan: !!body.enforceQRScan,
         enforceLocationCheck: !!body.enforceLocationCheck,
         locationGeoFence: body.locationGeoFence || undefined,
+        triggerOnEnterFence: !!body.triggerOnEnterFence,
+        pauseOnExitFence: !!body.pauseOnExitFence,
 
         ...(Array.isArray(body.geoFences) ? { geoFences: body.geoFences } : {}),
 
@@ -1098,6 +1104,10 @@ router.put("/:id", requireAuth, async (req, res) => {
       t.enforceLocationCheck = !!b.enforceLocationCheck;
     if (b.locationGeoFence !== undefined)
       t.locationGeoFence = b.locationGeoFence || undefined;
+    if (b.triggerOnEnterFence !== undefined)
+      t.triggerOnEnterFence = !!b.triggerOnEnterFence;
+    if (b.pauseOnExitFence !== undefined)
+      t.pauseOnExitFence = !!b.pauseOnExitFence;
     if (b.geoFences !== undefined)
       t.geoFences = Array.isArray(b.geoFences) ? b.geoFences : [];
 
@@ -1167,10 +1177,26 @@ router.post("/:id/action", requireAuth, async (req, res) => {
       }
     }
 
+    // typed links: FS/SS gate start, FF/SF gate completion
+    if (!adminOverride) {
+      const blockers = await dependencyBlockers(t, action);
+      if (blockers.length) {
+        return res.status(400).json({ error: "dependencies not completed", blockers });
+      }
+    }
+
+    let qrKind;
     if ((action === "start" || action === "resume") && !adminOverride) {
       if (t.enforceQRScan) {
         if (!qrToken) return res.status(400).json({ error: "QR required" });
       }
+      // a scanned label must be signed for this org and name this task or its site
+      // (unsigned legacy codes pass during the QR_LEGACY_UNTIL window)
+      if (qrToken) {
+        const check = verifyTaskScan(qrToken, t, { orgId: t.orgId || req.user?.orgId });
+        if (!check.ok) return res.status(400).json({ error: check.reason });
+        qrKind = check.kind;
+      }
 
       if (t.enforceLocationCheck) {
         const nLat = Number(lat),
@@ -1215,6 +1241,7 @@ router.post("/:id/action", requireAuth, async (req, res) => {
       ...(Number.isFinite(nLat) && Number.isFinite(nLng)
         ? { lat: nLat, lng: nLng }
         : {}),
+      ...(qrKind ? { qrKind } : {}),
     });
 
     ensureLogIds(t);
@@ -0,0 +1,217 @@
+// core-backend/routes/tilePacks.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const TilePack = require("../models/TilePack");
+const Project = require("../models/Project");
+const packs = require("../services/tilePacks");
+
+const router = express.Router();
+
+/**
+ * Offline base-map tile packs (services/tilePacks.js builds them; the sweep in
+ * index.js expires them). The mobile app lists packs, fetches the manifest and
+ * then every tile, and serves them to the map from the device.
+ *
+ *   GET    /source                         tile source + limits
+ *   GET    /?projectId=                    packs + org storage usage
+ *   POST   /estimate                       { projectId, minZoom, maxZoom, paddingM } (manager+)
+ *   POST   /                               create + queue build (manager+)
+ *   GET    /:id
+ *   POST   /:id/rebuild                    (manager+)
+ *   DELETE /:id                            delete tiles + soft delete (manager+)
+ *   GET    /:id/manifest                   { pack, tiles: [[z, x, y, bytes]] }
+ *   GET    /:id/tiles/:z/:x/:y             one tile
+ *   GET    /:id/package                    zip: metadata.json + tiles/z/x/y.ext
+ */
+
+/* ------------------------------- helpers ------------------------------- */
+
+function asOid(x) {
+  const s = String(x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+function orgFilter(req) {
+  const oid = asOid(req.orgObjectId || req.orgId || req.user?.orgId);
+  return oid ? { orgId: oid } : {};
+}
+
+function actorOf(req) {
+  return {
+    _id: req.user?._id || req.user?.sub,
+    name: (req.user && (req.user.name || req.user.email)) || "",
+  };
+}
+
+const sendError = (res, e, label) => {
+  if (e?.name === "ValidationError") {
+    return res.status(400).json({ error: Object.values(e.errors).map((x) => x.message).join("; ") });
+  }
+  if (!e.status) console.error(`${label} error:`, e);
+  return res.status(e.status || 500).json({ error: e.status ? e.message : "Server error" });
+};
+
+async function findPack(req) {
+  const id = asOid(req.params.id);
+  if (!id) throw Object.assign(new Error("Invalid id"), { status: 400 });
+  const pack = await TilePack.findOne({ _id: id, ...orgFilter(req), isDeleted: { $ne: true } });
+  if (!pack) throw Object.assign(new Error("Tile pack not found"), { status: 404 });
+  return pack;
+}
+
+// Tiles are only handed out while the pack is ready and in date
+function assertServable(pack) {
+  if (pack.status === "expired" || (pack.expiresAt && pack.expiresAt <= new Date())) {
+    throw Object.assign(new Error("Tile pack has expired; rebuild it"), { status: 410 });
+  }
+  if (pack.status !== "ready") throw Object.assign(new Error(`Tile pack is ${pack.status}`), { status: 409 });
+}
+
+/* -------------------------------- source -------------------------------- */
+
+router.get("/source", async (req, res) => {
+  try {
+    const source = packs.tileSource();
+    const { maxTiles, maxZoom, quotaBytes, ttlDays } = packs.limits();
+    res.json({
+      configured: !!source,
+      kind: source?.kind || null,
+      label: source?.label || null,
+      format: source?.format || null,
+      attribution: source?.attribution || "",
+      limits: { maxTiles, maxZoom, quotaBytes, ttlDays },
+    });
+  } catch (e) {
+    sendError(res, e, "GET /tile-packs/source");
+  }
+});
+
+/* --------------------------------- list --------------------------------- */
+
+router.get("/", async (req, res) => {
+  try {
+    const where = { ...orgFilter(req), isDeleted: { $ne: true } };
+    if (req.query.projectId) where.projectId = asOid(req.query.projectId);
+    const rows = await TilePack.find(where).sort({ createdAt: -1 }).lean();
+
+    const pids = [...new Set(rows.map((r) => String(r.projectId)))].map(asOid).filter(Boolean);
+    const projects = pids.length ? await Project.find({ _id: { $in: pids } }).select("name").lean() : [];
+    const names = new Map(projects.map((p) => [String(p._id), p.name]));
+
+    res.json({
+      packs: rows.map((r) => ({ ...packs.toOut(r), projectName: names.get(String(r.projectId)) || "" })),
+      usage: await packs.orgUsage(orgFilter(req).orgId),
+    });
+  } catch (e) {
+    sendError(res, e, "GET /tile-packs");
+  }
+});
+
+router.post("/estimate", requireRole("manager"), async (req, res) => {
+  try {
+    const { projectId, minZoom, maxZoom, paddingM } = req.body || {};
+    res.json(await packs.estimate({ orgId: orgFilter(req).orgId, projectId, minZoom, maxZoom, paddingM }));
+  } catch (e) {
+    sendError(res, e, "POST /tile-packs/estimate");
+  }
+});
+
+router.post("/", requireRole("manager"), async (req, res) => {
+  try {
+    const { projectId, name, minZoom, maxZoom, paddingM, ttlDays } = req.body || {};
+    const pack = await packs.createPack({
+      orgId: orgFilter(req).orgId,
+      projectId,
+      name,
+      minZoom,
+      maxZoom,
+      paddingM,
+      ttlDays,
+      actor: actorOf(req),
+    });
+    res.status(201).json(packs.toOut(pack));
+  } catch (e) {
+    sendError(res, e, "POST /tile-packs");
+  }
+});
+
+/* --------------------------------- one ---------------------------------- */
+
+router.get("/:id", async (req, res) => {
+  try {
+    res.json(packs.toOut(await findPack(req)));
+  } catch (e) {
+    sendError(res, e, "GET /tile-packs/:id");
+  }
+});
+
+router.post("/:id/rebuild", requireRole("manager"), async (req, res) => {
+  try {
+    const pack = await findPack(req);
+    res.json(packs.toOut(await packs.rebuildPack(pack)));
+  } catch (e) {
+    sendError(res, e, "POST /tile-packs/:id/rebuild");
+  }
+});
+
+router.delete("/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const pack = await findPack(req);
+    if (pack.status === "building") return res.status(409).json({ error: "Pack is building; try again when it finishes" });
+    await packs.removePack(pack);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "DELETE /tile-packs/:id");
+  }
+});
+
+/* -------------------------------- tiles --------------------------------- */
+
+router.get("/:id/manifest", async (req, res) => {
+  try {
+    const pack = await findPack(req);
+    assertServable(pack);
+    res.json({ pack: packs.toOut(pack), tiles: await packs.listTiles(pack._id) });
+  } catch (e) {
+    sendError(res, e, "GET /tile-packs/:id/manifest");
+  }
+});
+
+router.get("/:id/tiles/:z/:x/:y", async (req, res) => {
+  try {
+    const [z, x, y] = [req.params.z, req.params.x, String(req.params.y).replace(/\.\w+$/, "")].map(Number);
+    if (![z, x, y].every(Number.isInteger)) return res.status(400).json({ error: "Invalid tile" });
+    const pack = await findPack(req);
+    assertServable(pack);
+
+    const tile = await packs.openTile(pack, z, x, y);
+    if (!tile) return res.status(404).json({ error: "Tile not in pack" });
+    res.setHeader("Content-Type", tile.contentType || "application/octet-stream");
+    res.setHeader("Content-Length", tile.length);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    tile.stream.on("error", () => res.end());
+    tile.stream.pipe(res);
+  } catch (e) {
+    sendError(res, e, "GET /tile-packs/:id/tiles");
+  }
+});
+
+router.get("/:id/package", async (req, res) => {
+  try {
+    const pack = await findPack(req);
+    assertServable(pack);
+    const fname = `${String(pack.name).replace(/[^\w.-]+/g, "_")}.tilepack.zip`;
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fname}"`);
+    await packs.writePackage(pack, res);
+  } catch (e) {
+    if (res.headersSent) {
+      console.error("GET /tile-packs/:id/package error:", e);
+      return res.end();
+    }
+    sendError(res, e, "GET /tile-packs/:id/package");
+  }
+});
+
+module.exports = router;
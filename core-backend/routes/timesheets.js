@@ -0,0 +1,470 @@
+// core-backend/routes/timesheets.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const TimesheetPeriod = require("../models/TimesheetPeriod");
+const Org = mongoose.models.Org || require("../models/Org");
+const Group = mongoose.models.Group || require("../models/Group");
+const {
+  DEFAULT_RULES,
+  normalizeRules,
+  loadRules,
+  daysBetween,
+  computeTimesheets,
+} = require("../services/timesheets");
+
+const router = express.Router();
+
+/* ------------------------------- helpers ------------------------------- */
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 62;
+
+function asOid(x) {
+  const s = String(x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+function isAdmin(req) {
+  const r = String(req.user?.role || "").toLowerCase();
+  return r === "admin" || r === "superadmin";
+}
+
+function actorOf(req) {
+  const u = req.user || {};
+  return {
+    _id: asOid(u._id || u.id || u.sub) || undefined,
+    name: u.name || u.email || "",
+  };
+}
+
+function orgIdOf(req) {
+  return String(req.orgId || req.user?.orgId || "");
+}
+
+function isRootOrg(req) {
+  return orgIdOf(req).toLowerCase() === "root";
+}
+
+function validRange(from, to) {
+  if (!DAY_RE.test(String(from || "")) || !DAY_RE.test(String(to || ""))) {
+    return "from and to must be YYYY-MM-DD";
+  }
+  if (from > to) return "from must be on or before to";
+  if (daysBetween(from, to).length > MAX_RANGE_DAYS) {
+    return `range may not exceed ${MAX_RANGE_DAYS} days`;
+  }
+  return null;
+}
+
+/**
+ * User ids the caller may see, optionally narrowed by ?userId / ?groupId.
+ * Returns undefined for "no restriction" (admins without filters).
+ */
+async function scopeUserIds(req) {
+  const { userId, groupId } = req.query || {};
+  let ids;
+
+  if (!isAdmin(req)) {
+    ids = (req.accessibleUserIds || []).map(String);
+    const self = String(req.user?._id || req.user?.id || req.user?.sub || "");
+    if (!ids.length && self) ids = [self];
+  }
+
+  if (userId) {
+    if (ids && !ids.includes(String(userId))) return [];
+    ids = [String(userId)];
+  }
+
+  const gid = asOid(groupId);
+  if (gid) {
+    const find = { _id: gid };
+    // Group.orgId is Mixed: match both the string and ObjectId forms
+    if (!isRootOrg(req)) find.orgId = { $in: [orgIdOf(req), asOid(orgIdOf(req))].filter(Boolean) };
+    const g = await Group.findOne(find).select({ memberUserIds: 1 }).lean();
+    const members = (g?.memberUserIds || []).map(String);
+    ids = ids ? ids.filter((id) => members.includes(id)) : members;
+  }
+
+  return ids;
+}
+
+function approvalMap(period) {
+  const m = new Map();
+  for (const a of period?.approvals || []) m.set(String(a.userId), a);
+  return m;
+}
+
+function withApprovals(rows, period) {
+  const m = approvalMap(period);
+  return (rows || []).map((r) => {
+    const a = m.get(String(r.userId));
+    return {
+      ...r,
+      approval: a ? { status: a.status, note: a.note, by: a.by, at: a.at } : null,
+    };
+  });
+}
+
+async function loadPeriod(req, res) {
+  const id = asOid(req.params.id);
+  if (!id) {
+    res.status(400).json({ error: "invalid id" });
+    return null;
+  }
+  const find = { _id: id };
+  if (!isRootOrg(req)) find.orgId = orgIdOf(req);
+  const period = await TimesheetPeriod.findOne(find);
+  if (!period) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  return period;
+}
+
+/** Live computation for an open period, the stored snapshot for a locked one */
+async function periodSheet(period, userIds) {
+  if (period.status === "locked" && period.snapshot?.rows) {
+    let rows = period.snapshot.rows;
+    if (Array.isArray(userIds)) {
+      const allow = new Set(userIds.map(String));
+      rows = rows.filter((r) => allow.has(String(r.userId)));
+    }
+    return {
+      from: period.periodStart,
+      to: period.periodEnd,
+      rules: period.snapshot.rules,
+      days: daysBetween(period.periodStart, period.periodEnd),
+      rows,
+      computedAt: period.snapshot.computedAt,
+    };
+  }
+  const sheet = await computeTimesheets({
+    orgId: period.orgId,
+    from: period.periodStart,
+    to: period.periodEnd,
+    userIds,
+  });
+  return { ...sheet, computedAt: new Date() };
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* -------------------------------- rules -------------------------------- */
+
+router.get("/rules", async (req, res) => {
+  try {
+    res.json({ rules: await loadRules(orgIdOf(req)), defaults: normalizeRules(DEFAULT_RULES) });
+  } catch (e) {
+    console.error("GET /timesheets/rules error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/rules", requireRole("admin", "superadmin"), async (req, res) => {
+  try {
+    const oid = asOid(orgIdOf(req));
+    if (!oid) return res.status(400).json({ error: "Rules are per organisation; select an org" });
+
+    const rules = normalizeRules(req.body?.rules || req.body || {});
+    await Org.updateOne({ _id: oid }, { $set: { "settings.timesheets": rules } });
+    res.json({ rules });
+  } catch (e) {
+    console.error("PUT /timesheets/rules error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ live sheet ------------------------------ */
+
+// GET /timesheets?from=YYYY-MM-DD&to=YYYY-MM-DD[&userId][&groupId]
+router.get("/", async (req, res) => {
+  try {
+    const { from, to } = req.query || {};
+    const bad = validRange(from, to);
+    if (bad) return res.status(400).json({ error: bad });
+
+    const userIds = await scopeUserIds(req);
+    if (Array.isArray(userIds) && !userIds.length) {
+      return res.json({ from, to, rules: await loadRules(orgIdOf(req)), days: daysBetween(from, to), rows: [] });
+    }
+
+    const sheet = await computeTimesheets({ orgId: orgIdOf(req), from, to, userIds });
+
+    // Attach the period (if any) that covers exactly this range
+    const period = isRootOrg(req)
+      ? null
+      : await TimesheetPeriod.findOne({ orgId: orgIdOf(req), periodStart: from, periodEnd: to })
+          .select({ approvals: 1, status: 1, label: 1 })
+          .lean();
+
+    res.json({
+      ...sheet,
+      rows: period ? withApprovals(sheet.rows, period) : sheet.rows,
+      period: period ? { _id: period._id, status: period.status, label: period.label } : null,
+    });
+  } catch (e) {
+    console.error("GET /timesheets error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* -------------------------------- periods ------------------------------- */
+
+router.get("/periods", async (req, res) => {
+  try {
+    const find = isRootOrg(req) ? {} : { orgId: orgIdOf(req) };
+    if (req.query.status) find.status = String(req.query.status);
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+
+    const rows = await TimesheetPeriod.find(find)
+      .select({ snapshot: 0, history: 0 })
+      .sort({ periodStart: -1 })
+      .limit(limit)
+      .lean();
+    res.json(rows);
+  } catch (e) {
+    console.error("GET /timesheets/periods error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/periods", requireRole("manager", "admin", "superadmin"), async (req, res) => {
+  try {
+    if (isRootOrg(req)) return res.status(400).json({ error: "Select an org to create periods" });
+
+    const { periodStart, periodEnd, label } = req.body || {};
+    const bad = validRange(periodStart, periodEnd);
+    if (bad) return res.status(400).json({ error: bad });
+
+    const overlap = await TimesheetPeriod.findOne({
+      orgId: orgIdOf(req),
+      periodStart: { $lte: periodEnd },
+      periodEnd: { $gte: periodStart },
+    })
+      .select({ label: 1, periodStart: 1, periodEnd: 1 })
+      .lean();
+    if (overlap) {
+      return res.status(409).json({
+        error: `Overlaps period ${overlap.label || `${overlap.periodStart} – ${overlap.periodEnd}`}`,
+      });
+    }
+
+    const by = actorOf(req);
+    const period = await TimesheetPeriod.create({
+      orgId: orgIdOf(req),
+      periodStart,
+      periodEnd,
+      label: String(label || "").trim() || `${periodStart} – ${periodEnd}`,
+      createdBy: by,
+      history: [{ by, action: "created" }],
+    });
+    res.status(201).json(period);
+  } catch (e) {
+    console.error("POST /timesheets/periods error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/periods/:id", async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+
+    const userIds = await scopeUserIds(req);
+    const sheet =
+      Array.isArray(userIds) && !userIds.length
+        ? { rows: [], days: daysBetween(period.periodStart, period.periodEnd) }
+        : await periodSheet(period, userIds);
+
+    const { snapshot, ...rest } = period.toObject();
+    res.json({
+      period: { ...rest, hasSnapshot: !!snapshot?.rows },
+      ...sheet,
+      rows: withApprovals(sheet.rows, period),
+    });
+  } catch (e) {
+    console.error("GET /timesheets/periods/:id error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// body: { userIds: [...], status: "approved" | "rejected", note }
+router.post(
+  "/periods/:id/approve",
+  requireRole("manager", "admin", "superadmin"),
+  async (req, res) => {
+    try {
+      const period = await loadPeriod(req, res);
+      if (!period) return;
+      if (period.status === "locked") {
+        return res.status(409).json({ error: "Period is locked" });
+      }
+
+      const status = req.body?.status === "rejected" ? "rejected" : "approved";
+      const note = String(req.body?.note || "").trim();
+      if (status === "rejected" && !note) {
+        return res.status(400).json({ error: "A note is required to reject" });
+      }
+
+      const raw = Array.isArray(req.body?.userIds) ? req.body.userIds : [req.body?.userId];
+      let ids = raw.map(asOid).filter(Boolean);
+      if (!isAdmin(req)) {
+        const allow = new Set((req.accessibleUserIds || []).map(String));
+        ids = ids.filter((id) => allow.has(String(id)));
+      }
+      if (!ids.length) return res.status(400).json({ error: "userIds required" });
+
+      const by = actorOf(req);
+      const at = new Date();
+      const touched = new Set(ids.map(String));
+      period.approvals = [
+        ...period.approvals.filter((a) => !touched.has(String(a.userId))),
+        ...ids.map((userId) => ({ userId, status, note, by, at })),
+      ];
+      for (const userId of ids) period.history.push({ by, at, action: status, note, userId });
+
+      await period.save();
+      res.json({ ok: true, approvals: period.approvals });
+    } catch (e) {
+      console.error("POST /timesheets/periods/:id/approve error:", e);
+      res.status(500).json({ error: "Server error" });
+    }
+  },
+);
+
+// body: { force?: boolean, note? } — snapshot + freeze clockings in the period
+router.post("/periods/:id/lock", requireRole("admin", "superadmin"), async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+    if (period.status === "locked") return res.status(409).json({ error: "Already locked" });
+
+    const sheet = await computeTimesheets({
+      orgId: period.orgId,
+      from: period.periodStart,
+      to: period.periodEnd,
+    });
+
+    const approvals = approvalMap(period);
+    const pending = sheet.rows
+      .filter((r) => approvals.get(String(r.userId))?.status !== "approved")
+      .map((r) => ({ userId: r.userId, name: r.name }));
+    if (pending.length && !req.body?.force) {
+      return res.status(409).json({
+        error: `${pending.length} timesheet(s) not approved`,
+        pending,
+      });
+    }
+
+    const by = actorOf(req);
+    period.status = "locked";
+    period.lockedAt = new Date();
+    period.lockedBy = by;
+    period.snapshot = { computedAt: period.lockedAt, rules: sheet.rules, rows: sheet.rows };
+    period.history.push({
+      by,
+      action: "locked",
+      note: pending.length ? `forced with ${pending.length} unapproved` : String(req.body?.note || ""),
+    });
+    await period.save();
+
+    res.json({ ok: true, status: period.status, lockedAt: period.lockedAt, rows: sheet.rows.length });
+  } catch (e) {
+    console.error("POST /timesheets/periods/:id/lock error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/periods/:id/unlock", requireRole("admin", "superadmin"), async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+    if (period.status !== "locked") return res.status(409).json({ error: "Period is not locked" });
+
+    const note = String(req.body?.note || "").trim();
+    if (!note) return res.status(400).json({ error: "A note is required to unlock" });
+
+    period.status = "open";
+    period.lockedAt = undefined;
+    period.lockedBy = undefined;
+    period.snapshot = undefined;
+    period.history.push({ by: actorOf(req), action: "unlocked", note });
+    await period.save();
+
+    res.json({ ok: true, status: period.status });
+  } catch (e) {
+    console.error("POST /timesheets/periods/:id/unlock error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Payroll export: one line per employee with bucketed hours
+router.get("/periods/:id/export.csv", requireRole("manager", "admin", "superadmin"), async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+
+    const sheet = await periodSheet(period, await scopeUserIds(req));
+    const approvals = approvalMap(period);
+
+    const header = [
+      "Staff #",
+      "Name",
+      "Days worked",
+      "Normal",
+      "Overtime",
+      "Saturday",
+      "Sunday",
+      "Public holiday",
+      "Leave hours",
+      "Training days",
+      "Sick days",
+      "Leave days",
+      "IOD days",
+      "Weighted hours",
+      "Flags",
+      "Approval",
+    ];
+    const lines = [header.join(",")];
+    for (const r of sheet.rows) {
+      const t = r.totals || {};
+      const ld = t.leaveDays || {};
+      lines.push(
+        [
+          r.staffNumber,
+          r.name,
+          t.daysWorked,
+          t.normalHours,
+          t.overtimeHours,
+          t.saturdayHours,
+          t.sundayHours,
+          t.holidayHours,
+          t.leaveHours,
+          ld.training,
+          ld.sick,
+          ld.leave,
+          ld.iod,
+          t.weightedHours,
+          t.flags,
+          approvals.get(String(r.userId))?.status || "pending",
+        ]
+          .map(csvCell)
+          .join(","),
+      );
+    }
+
+    const fname = `timesheet_${period.periodStart}_${period.periodEnd}${period.status === "locked" ? "" : "_draft"}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fname}"`);
+    res.send(lines.join("\n"));
+  } catch (e) {
+    console.error("GET /timesheets/periods/:id/export.csv error:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const router = express.Router();
 
 const User = require("../models/User");
 const BiometricEnrollment = require("../models/BiometricEnrollment");
+const { encryptEmbedding } = require("../services/biometricCrypto");
 const Group = require("../models/Group");
 const {
   requireAuth,
@@ -597,12 +598,18 @@ router.post("/:id/biometric/submit", async (req, res) => {
     const user = await User.findOne(whereUser);
     if (!user) return res.status(404).json({ error: "Not found" });
 
+    const sealed = await encryptEmbedding(
+      user.orgId,
+      Buffer.from(String(embedding), "base64"),
+    );
+
     const enr = new BiometricEnrollment({
       orgId: user.orgId,
       userId: user._id,
       status: "pending",
       templateVersion: String(templateVersion),
-      embedding: Buffer.from(String(embedding), "base64"),
+      embedding: sealed.embedding,
+      embeddingKeyVersion: sealed.embeddingKeyVersion,
       livenessScore:
         typeof livenessScore === "number" ? livenessScore : undefined,
       captureMeta: {
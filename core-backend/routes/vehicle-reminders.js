@@ -91,7 +91,10 @@ router.put('/:id/reminders/:rid', requireAuth, async (req, res) => {
     if (dueOdometer != null) r.dueOdometer = Number(dueOdometer);
     if (notes != null) r.notes = notes;
     if (active != null) r.active = !!active;
-    if (lastNotifiedAt != null) r.lastNotifiedAt = lastNotifiedAt ? new Date(lastNotifiedAt) : undefined;
+    if (lastNotifiedAt != null) {
+      r.lastNotifiedAt = lastNotifiedAt ? new Date(lastNotifiedAt) : undefined;
+      if (!lastNotifiedAt) r.lastNotifiedStage = undefined;
+    }
 
     await v.save();
     const nextDue = computeNextDue(v.reminders || []);
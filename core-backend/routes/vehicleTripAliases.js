@@ -146,6 +146,27 @@ async function updateTripById(req, id, body, vehicleIdConstraint) {
     }
   }
 
+  // ...and edited readings must fit the odometer timeline (this trip's own readings excluded)
+  const { checkNewReading } = require("../services/odometerTimeline");
+  for (const [field, at] of [
+    ["odoStart", patch.startedAt || trip.startedAt],
+    ["odoEnd", patch.endedAt || trip.endedAt || trip.startedAt],
+  ]) {
+    if (patch[field] == null || patch[field] === trip[field]) continue;
+    const odoCheck = await checkNewReading({
+      orgId: trip.orgId,
+      vehicleId: trip.vehicleId,
+      odo: patch[field],
+      at: at || new Date(),
+      excludeRefId: trip._id,
+    });
+    if (!odoCheck.ok) {
+      const err = new Error(odoCheck.message);
+      err.status = 422;
+      throw err;
+    }
+  }
+
   // mirror driverId for older clients (safe even if schema doesn't have it)
   if (patch.driverUserId && !patch.driverId) patch.driverId = patch.driverUserId;
 
@@ -13,6 +13,10 @@ const { GridFSBucket } = require("mongodb");
 
 const Vehicle = require("../models/Vehicle");
 const VehicleTrip = require("../models/VehicleTrip");
+const VehicleTripTrack = require("../models/VehicleTripTrack");
+const { refreshGpsCheck } = require("../services/tripTrack");
+const { checkNewReading } = require("../services/odometerTimeline");
+const { checkDriver, tripDriverCheck } = require("../services/driverCompliance");
 
 const router = express.Router();
 
@@ -199,12 +203,74 @@ router.get("/vehicle-trips/:id", async (req, res, next) => {
   }
 });
 
+// GET /vehicle-trips/:id/track  (GPS breadcrumb for route replay; 404 when none was recorded)
+router.get("/vehicle-trips/:id/track", async (req, res, next) => {
+  try {
+    const tId = toObjectId(req.params.id);
+    if (!tId) return res.status(400).json({ error: "Invalid id" });
+
+    const q = { tripId: tId };
+    const orgId = getOrgId(req);
+    if (orgId) q.orgId = orgId;
+
+    const track = await VehicleTripTrack.findOne(q).lean();
+    if (!track) return res.status(404).json({ error: "No GPS track for this trip" });
+
+    res.json(track);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Alias: GET /vehicleTrips/:id  → rewrite to /vehicle-trips/:id
 router.get("/vehicleTrips/:id", (req, _res, next) => {
   req.url = req.url.replace(/^\/vehicleTrips\//, "/vehicle-trips/");
   next();
 }, router);
 
+/* --------------------------- travel logbook ---------------------------- */
+// GET /vehicles/:vehicleId/travel-logbook?taxYear=2026&driverId=&format=json|xlsx|pdf
+// Tax-year (SARS) logbook: opening/closing odometer, business vs total km, gaps flagged.
+router.get("/vehicles/:vehicleId/travel-logbook", async (req, res, next) => {
+  try {
+    const vId = toObjectId(req.params.vehicleId);
+    if (!vId) return res.status(400).json({ error: "Invalid vehicle id" });
+
+    const { buildTravelLogbook, fileBaseName, toXlsxBuffer, writePdf } = require("../services/travelLogbook");
+
+    const driverId = req.query.driverId ? toObjectId(req.query.driverId) : null;
+    if (req.query.driverId && !driverId) return res.status(400).json({ error: "Invalid driver id" });
+
+    let book;
+    try {
+      book = await buildTravelLogbook({
+        orgId: getOrgId(req),
+        vehicleId: vId,
+        driverUserId: driverId,
+        taxYear: req.query.taxYear || undefined, // default: current tax year in the org's timezone
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+
+    const format = String(req.query.format || "json").toLowerCase();
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileBaseName(book)}.xlsx"`);
+      return res.send(toXlsxBuffer(book));
+    }
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileBaseName(book)}.pdf"`);
+      return writePdf(book, res);
+    }
+    res.json(book);
+  } catch (err) {
+    next(err);
+  }
+});
+
 /* ----------------------- create / close trip --------------------------- */
 // POST /vehicles/:vehicleId/trips/start
 router.post("/vehicles/:vehicleId/trips/start", async (req, res, next) => {
@@ -248,6 +314,15 @@ router.post("/vehicles/:vehicleId/trips/start", async (req, res, next) => {
     const driverUserId = body.driverUserId || body.driverId || vehicle.driverId || req.user?._id;
     if (!driverUserId) return res.status(422).json({ error: "driverUserId is required (missing driver)." });
 
+    // Licence / PrDP for this vehicle type (org policy decides warn vs block)
+    const driverCheck = await checkDriver({ orgId, driverId: driverUserId, vehicle });
+    if (driverCheck.status === "block") {
+      return res.status(422).json({
+        error: driverCheck.issues.map((i) => i.message).join(" "),
+        driverCheck,
+      });
+    }
+
     // OdoStart (required by your schema)
     let odoStart = toNum(body.odoStart);
     if (odoStart == null && Number.isFinite(vehicle?.odometer)) odoStart = Number(vehicle.odometer);
@@ -272,6 +347,10 @@ router.post("/vehicles/:vehicleId/trips/start", async (req, res, next) => {
       });
     }
 
+    // ...and must fit the odometer timeline (logbook entries, fuel fills, offline trips)
+    const odoCheck = await checkNewReading({ orgId, vehicleId: vId, odo: odoStart, at: new Date() });
+    if (!odoCheck.ok) return res.status(422).json({ error: odoCheck.message, odometerCheck: odoCheck });
+
     const trip = new VehicleTrip(
       stripUndef({
         orgId,
@@ -287,6 +366,7 @@ router.post("/vehicles/:vehicleId/trips/start", async (req, res, next) => {
         purpose: body.purpose === "Private" || body.purpose === "Business" ? body.purpose : "Business",
         startGeo,
         startLocation,
+        driverCheck: tripDriverCheck(driverCheck),
 
         // Keep compatibility: if frontend sends a URL already, store it.
         startPhoto: body.startPhotoUrl ? { url: body.startPhotoUrl } : undefined,
@@ -297,7 +377,8 @@ router.post("/vehicles/:vehicleId/trips/start", async (req, res, next) => {
     );
 
     await trip.save();
-    res.json(trip.toObject());
+    // warnings ride along so the UI can show them; the trip is already open
+    res.json({ ...trip.toObject(), ...(driverCheck.issues.length ? { driverWarnings: driverCheck.issues } : {}) });
   } catch (err) {
     next(err);
   }
@@ -333,6 +414,8 @@ router.post("/vehicles/:vehicleId/trips/:tripId/end", async (req, res, next) =>
           error: `Odometer end (${incomingEnd}) cannot be less than trip start (${trip.odoStart}).`,
         });
       }
+      const odoCheck = await checkNewReading({ orgId, vehicleId: vId, odo: incomingEnd, at: new Date() });
+      if (!odoCheck.ok) return res.status(422).json({ error: odoCheck.message, odometerCheck: odoCheck });
       trip.odoEnd = incomingEnd;
     }
 
@@ -366,6 +449,7 @@ router.post("/vehicles/:vehicleId/trips/:tripId/end", async (req, res, next) =>
     trip.endedAt = new Date();
     trip.status = "closed";
     trip.distance = computeDistance(trip.odoStart, trip.odoEnd);
+    await refreshGpsCheck(trip);
 
     trip.updatedBy = req.user?.email || req.user?.username || trip.updatedBy;
     trip.lastEditedAt = new Date();
@@ -394,6 +478,28 @@ async function applyTripPatch(trip, patch) {
     status: patch.status, // allow if caller uses open/closed/cancelled
   });
 
+  // Edited readings must still fit the odometer timeline (this trip's own readings excluded)
+  const odoFields = [
+    ["odoStart", clean.startedAt || trip.startedAt],
+    ["odoEnd", clean.endedAt || trip.endedAt || clean.startedAt || trip.startedAt],
+  ];
+  for (const [field, at] of odoFields) {
+    if (clean[field] == null || clean[field] === trip[field]) continue;
+    const odoCheck = await checkNewReading({
+      orgId: trip.orgId,
+      vehicleId: trip.vehicleId,
+      odo: clean[field],
+      at: at || new Date(),
+      excludeRefId: trip._id,
+    });
+    if (!odoCheck.ok) throw Object.assign(new Error(odoCheck.message), { status: 422 });
+  }
+  const start = clean.odoStart ?? trip.odoStart;
+  const end = clean.odoEnd ?? trip.odoEnd;
+  if (start != null && end != null && Number(end) < Number(start)) {
+    throw Object.assign(new Error(`Odometer end (${end}) cannot be less than trip start (${start}).`), { status: 422 });
+  }
+
   Object.assign(trip, clean);
 
   if (patch.startGeo) {
@@ -419,6 +525,7 @@ async function applyTripPatch(trip, patch) {
   if (trip.odoStart != null && trip.odoEnd != null) {
     trip.distance = Math.max(0, Number(trip.odoEnd) - Number(trip.odoStart));
   }
+  if (clean.odoStart != null || clean.odoEnd != null) await refreshGpsCheck(trip);
 
   // keep status consistent with endedAt if someone patches endedAt
   if (trip.endedAt && trip.status === "open") trip.status = "closed";
@@ -178,6 +178,133 @@ router.get('/', async (req, res) => {
   }
 });
 
+/* ---------------------------- FUEL ANALYTICS ---------------------------- */
+// GET /vehicles/fuel-ranking?from=&to=&status=
+// Fleet-wide consumption / cost-per-km ranking (worst L/100km first)
+router.get('/fuel-ranking', async (req, res) => {
+  try {
+    const { fleetFuelRanking } = require('../services/fuelAnalytics');
+
+    const find = { ...buildOrgFilter(Vehicle, req) };
+    if (req.query.status) find.status = String(req.query.status);
+    if (!isAdmin(req)) {
+      const ids = (req.accessibleUserIds || []).map((x) =>
+        isValidId(x) ? new mongoose.Types.ObjectId(String(x)) : x
+      );
+      find.$or = [{ driverId: { $in: ids } }, { driverId: { $exists: false } }, { driverId: null }];
+    }
+
+    const vehicles = await Vehicle.find(find)
+      .select({ reg: 1, make: 1, model: 1, vehicleType: 1, status: 1 })
+      .limit(1000)
+      .lean();
+
+    const out = await fleetFuelRanking({
+      orgId: req.orgObjectId || req.orgId || req.user?.orgId,
+      vehicles,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json(out);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('GET /vehicles/fuel-ranking error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /vehicles/:id/fuel-analytics?from=&to=
+// L/100km between full fills, cost per km (fuel + maintenance), monthly trend, outliers
+router.get('/:id/fuel-analytics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(404).json({ error: 'Not found' });
+
+    const row = await Vehicle.findOne({ _id: id, ...buildOrgFilter(Vehicle, req) }).lean();
+    if (!row) return res.status(404).json({ error: 'Not found' });
+    if (!visibleToReq(req, row)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { vehicleFuelAnalytics } = require('../services/fuelAnalytics');
+    const out = await vehicleFuelAnalytics({
+      orgId: req.orgObjectId || req.orgId || req.user?.orgId,
+      vehicle: row,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json(out);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('GET /vehicles/:id/fuel-analytics error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* --------------------------- ODOMETER TIMELINE --------------------------- */
+// GET /vehicles/:id/odometer
+// All readings (trips, logbook, fuel fills) in time order, each classified
+// ok / backwards / jump, plus the trusted current odometer.
+router.get('/:id/odometer', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(404).json({ error: 'Not found' });
+
+    const row = await Vehicle.findOne({ _id: id, ...buildOrgFilter(Vehicle, req) }).lean();
+    if (!row) return res.status(404).json({ error: 'Not found' });
+    if (!visibleToReq(req, row)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { getOdometerTimeline } = require('../services/odometerTimeline');
+    const out = await getOdometerTimeline({
+      orgId: req.orgObjectId || req.orgId || req.user?.orgId,
+      vehicleId: row._id,
+    });
+    res.json(out);
+  } catch (e) {
+    console.error('GET /vehicles/:id/odometer error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* --------------------------- DRIVER ASSIGNMENTS --------------------------- */
+// GET /vehicles/:id/assignments
+// Driver history, newest first ({ driverId, driverName, from, to, note, assignedBy })
+router.get('/:id/assignments', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(404).json({ error: 'Not found' });
+
+    const row = await Vehicle.findOne({ _id: id, ...buildOrgFilter(Vehicle, req) }).lean();
+    if (!row) return res.status(404).json({ error: 'Not found' });
+    if (!visibleToReq(req, row)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { listAssignments } = require('../services/vehicleAssignments');
+    res.json(await listAssignments({ orgId: row.orgId, vehicleId: row._id }));
+  } catch (e) {
+    console.error('GET /vehicles/:id/assignments error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /vehicles/:id/driver-check?driverId=
+// Licence / PrDP check for a driver (default: caller) before starting a trip.
+router.get('/:id/driver-check', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(404).json({ error: 'Not found' });
+
+    const row = await Vehicle.findOne({ _id: id, ...buildOrgFilter(Vehicle, req) }).lean();
+    if (!row) return res.status(404).json({ error: 'Not found' });
+
+    const driverId = req.query.driverId || req.user?._id || req.user?.sub;
+    if (!isValidId(driverId)) return res.status(400).json({ error: 'driverId required' });
+
+    const { checkDriver } = require('../services/driverCompliance');
+    res.json(await checkDriver({ orgId: row.orgId, driverId, vehicle: row }));
+  } catch (e) {
+    console.error('GET /vehicles/:id/driver-check error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* -------------------------------- READ --------------------------------- */
 // GET /vehicles/:id
 router.get('/:id', async (req, res) => {
@@ -248,6 +375,16 @@ router.post('/', async (req, res) => {
 
     await doc.save();
 
+    if (doc.driverId) {
+      const { recordAssignment } = require('../services/vehicleAssignments');
+      await recordAssignment({
+        orgId: doc.orgId,
+        vehicleId: doc._id,
+        driverId: doc.driverId,
+        actor: { _id: req.user?._id, name: req.user?.name || req.user?.email },
+      });
+    }
+
     const ret = await Vehicle.findById(doc._id)
       .populate({ path: 'driverId', select: 'name email' })
       .populate({ path: 'taskId',   select: 'title' })
@@ -286,6 +423,7 @@ router.put('/:id', async (req, res) => {
       reg, make, model, year, status,
       projectId, driverId, taskId,
       vin, vehicleType,
+      driverFrom, driverNote,
     } = req.body || {};
 
     if (reg != null)   v.reg = String(reg).trim();
@@ -304,8 +442,27 @@ router.put('/:id', async (req, res) => {
     if (driverId  !== undefined) v.driverId  = isValidId(driverId)  ? asObjectId(driverId)  : undefined;
     if (taskId    !== undefined) v.taskId    = isValidId(taskId)    ? asObjectId(taskId)    : undefined;
 
+    // driver changes go into the assignment history (optionally backdated via driverFrom)
+    const driverChanged = v.isModified('driverId');
+    const from = driverFrom ? new Date(driverFrom) : new Date();
+    if (driverChanged && (Number.isNaN(from.getTime()) || from > new Date())) {
+      return res.status(400).json({ error: 'driverFrom must be a date that is not in the future' });
+    }
+
     await v.save();
 
+    if (driverChanged) {
+      const { recordAssignment } = require('../services/vehicleAssignments');
+      await recordAssignment({
+        orgId: v.orgId,
+        vehicleId: v._id,
+        driverId: v.driverId,
+        from,
+        note: driverNote,
+        actor: { _id: req.user?._id, name: req.user?.name || req.user?.email },
+      });
+    }
+
     const ret = await Vehicle.findById(v._id)
       .populate({ path: 'driverId', select: 'name email' })
       .populate({ path: 'taskId',   select: 'title' })
@@ -417,6 +574,12 @@ router.put('/:id/reminders/:rid', async (req, res) => {
     if (r.kind === 'date' && dueDate !== undefined) r.dueDate = dueDate ? new Date(dueDate) : undefined;
     if (r.kind === 'odometer' && dueOdometer !== undefined) r.dueOdometer = dueOdometer != null ? Number(dueOdometer) : undefined;
 
+    // New due point -> re-arm the notification sweep (services/vehicleReminders.js)
+    if ((r.kind === 'date' && dueDate !== undefined) || (r.kind === 'odometer' && dueOdometer !== undefined)) {
+      r.lastNotifiedAt = undefined;
+      r.lastNotifiedStage = undefined;
+    }
+
     await v.save();
 
     const vv = v.toObject();
@@ -0,0 +1,164 @@
+// core-backend/routes/workstreams.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("../middleware/auth");
+const Workstream = require("../models/Workstream");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const ws = require("../services/workstreams");
+
+const router = express.Router();
+
+/**
+ * Project workstreams (lanes). Tasks and milestones link by workstreamId; the
+ * list and single reads carry a progress roll-up from those tasks.
+ *
+ *   GET    /?projectId=              ordered list + rollup + owner
+ *   POST   /                         { projectId, name, code?, description?, ownerUserId?, color?, budget?, status? } (manager+)
+ *   POST   /reorder                  { projectId, ids: [...] } (manager+)
+ *   POST   /adopt                    { projectId } create from legacy workstreamName strings (manager+)
+ *   GET    /:id
+ *   PATCH  /:id                      rename is copied to tasks + milestones (manager+)
+ *   DELETE /:id                      soft delete, detaches tasks + milestones (manager+)
+ */
+
+/* ------------------------------- helpers ------------------------------- */
+
+function asOid(x) {
+  const s = String(x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+function orgFilter(req) {
+  const oid = asOid(req.orgObjectId || req.orgId || req.user?.orgId);
+  return oid ? { orgId: oid } : {};
+}
+
+function actorOf(req) {
+  return {
+    _id: req.user?._id || req.user?.sub,
+    name: (req.user && (req.user.name || req.user.email)) || "",
+  };
+}
+
+const sendError = (res, e, label) => {
+  if (e?.name === "ValidationError") {
+    return res.status(400).json({ error: Object.values(e.errors).map((x) => x.message).join("; ") });
+  }
+  if (!e.status) console.error(`${label} error:`, e);
+  return res.status(e.status || 500).json({ error: e.status ? e.message : "Server error" });
+};
+
+async function findProject(req, projectId) {
+  const pid = asOid(projectId);
+  if (!pid) throw Object.assign(new Error("projectId is required"), { status: 400 });
+  const p = await Project.findOne({ _id: pid, ...orgFilter(req) }).select("_id name").lean();
+  if (!p) throw Object.assign(new Error("Project not found"), { status: 404 });
+  return p;
+}
+
+async function findWorkstream(req) {
+  const id = asOid(req.params.id);
+  if (!id) throw Object.assign(new Error("Invalid id"), { status: 400 });
+  const doc = await Workstream.findOne({ _id: id, ...orgFilter(req), isDeleted: { $ne: true } });
+  if (!doc) throw Object.assign(new Error("Workstream not found"), { status: 404 });
+  return doc;
+}
+
+// rollup + owner name on each row
+async function decorate(req, rows) {
+  const list = rows.map((r) => (typeof r.toObject === "function" ? r.toObject() : r));
+  const [progress, owners] = await Promise.all([
+    ws.rollup(list, orgFilter(req).orgId),
+    (async () => {
+      const ids = [...new Set(list.map((r) => String(r.ownerUserId || "")).filter(Boolean))].map(asOid);
+      if (!ids.length) return new Map();
+      const users = await User.find({ _id: { $in: ids } }).select("name email").lean();
+      return new Map(users.map((u) => [String(u._id), u.name || u.email || ""]));
+    })(),
+  ]);
+  return list.map((r) => ({
+    ...r,
+    ownerName: r.ownerUserId ? owners.get(String(r.ownerUserId)) || "" : "",
+    progress: progress.get(String(r._id)) || ws.emptyRollup(),
+  }));
+}
+
+/* --------------------------------- list --------------------------------- */
+
+router.get("/", async (req, res) => {
+  try {
+    const p = await findProject(req, req.query.projectId);
+    const rows = await Workstream.find({ projectId: p._id, ...orgFilter(req), isDeleted: { $ne: true } })
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+    res.json(await decorate(req, rows));
+  } catch (e) {
+    sendError(res, e, "GET /workstreams");
+  }
+});
+
+router.post("/", requireRole("manager"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const p = await findProject(req, body.projectId);
+    const doc = await ws.createWorkstream({ ...body, orgId: orgFilter(req).orgId, projectId: p._id, actor: actorOf(req) });
+    const [out] = await decorate(req, [doc]);
+    res.status(201).json(out);
+  } catch (e) {
+    sendError(res, e, "POST /workstreams");
+  }
+});
+
+router.post("/reorder", requireRole("manager"), async (req, res) => {
+  try {
+    const { projectId, ids } = req.body || {};
+    const p = await findProject(req, projectId);
+    await ws.reorder(p._id, ids, orgFilter(req));
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "POST /workstreams/reorder");
+  }
+});
+
+router.post("/adopt", requireRole("manager"), async (req, res) => {
+  try {
+    const p = await findProject(req, req.body?.projectId);
+    res.json(await ws.adoptNames({ orgId: orgFilter(req).orgId, projectId: p._id, actor: actorOf(req) }));
+  } catch (e) {
+    sendError(res, e, "POST /workstreams/adopt");
+  }
+});
+
+/* --------------------------------- one ---------------------------------- */
+
+router.get("/:id", async (req, res) => {
+  try {
+    const [out] = await decorate(req, [await findWorkstream(req)]);
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "GET /workstreams/:id");
+  }
+});
+
+router.patch("/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const doc = await findWorkstream(req);
+    const { workstream, renamed } = await ws.updateWorkstream(doc, req.body || {});
+    const [out] = await decorate(req, [workstream]);
+    res.json({ ...out, renamed });
+  } catch (e) {
+    sendError(res, e, "PATCH /workstreams/:id");
+  }
+});
+
+router.delete("/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const doc = await findWorkstream(req);
+    res.json({ ok: true, detached: await ws.removeWorkstream(doc) });
+  } catch (e) {
+    sendError(res, e, "DELETE /workstreams/:id");
+  }
+});
+
+module.exports = router;
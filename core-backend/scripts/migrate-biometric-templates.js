@@ -0,0 +1,81 @@
+// scripts/migrate-biometric-templates.js
+// Re-generates enrolled face templates that were built with an older embedding
+// model (templateVersion != active provider) from their stored enrollment photos.
+// The running biometric worker does the same slowly in the background; this is
+// for doing it in one go after a model change, and it also retries records the
+// worker gave up on after repeated failures (templateMigrationAttempts). Usage:
+//   node scripts/migrate-biometric-templates.js [--dry-run] [--org <orgId>] [--limit <n>]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { GridFSBucket } = require('mongodb');
+const { getEmbeddingProvider } = require('../services/faceEmbedding');
+const { embedEnrollment } = require('../services/biometricWorker');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  const orgId = argValue('--org');
+  const limit = Number(argValue('--limit')) || 0;
+
+  const provider = getEmbeddingProvider();
+  console.log(`[biometrics] provider ${provider.name} -> ${provider.templateVersion}`);
+
+  const uri = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/smartops';
+  await mongoose.connect(uri);
+  console.log('[db] connected');
+
+  const BiometricEnrollment = require('../models/BiometricEnrollment');
+  const bucket = new GridFSBucket(mongoose.connection.db, { bucketName: 'mobileOffline' });
+
+  const q = {
+    status: 'enrolled',
+    templateVersion: { $ne: provider.templateVersion },
+    photoFileIds: { $exists: true, $not: { $size: 0 } },
+  };
+  if (orgId) q.orgId = mongoose.isValidObjectId(orgId) ? new mongoose.Types.ObjectId(orgId) : orgId;
+
+  let cursor = BiometricEnrollment.find(q)
+    .sort({ updatedAt: 1 })
+    .select({ _id: 1, orgId: 1, userId: 1, photoFileIds: 1, status: 1, templateVersion: 1 })
+    .lean();
+  if (limit) cursor = cursor.limit(limit);
+  const stale = await cursor;
+
+  const byVersion = {};
+  for (const e of stale) {
+    const v = e.templateVersion || '(none)';
+    byVersion[v] = (byVersion[v] || 0) + 1;
+  }
+  console.log(`[biometrics] ${stale.length} stale template(s)`, byVersion);
+
+  if (dryRun) {
+    await mongoose.disconnect();
+    console.log('[biometrics] dry run, nothing changed');
+    return;
+  }
+
+  let migrated = 0;
+  let failed = 0;
+  for (const e of stale) {
+    try {
+      const ok = await embedEnrollment(e, { bucket, provider, logPrefix: '[biometrics]' });
+      if (ok) migrated += 1;
+      else failed += 1;
+    } catch (err) {
+      failed += 1;
+      console.error('[biometrics] failed', String(e._id), err.message);
+    }
+  }
+
+  await mongoose.disconnect();
+  console.log(`[biometrics] done: ${migrated} migrated, ${failed} failed`);
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+// scripts/preview-emails.js
+// Renders every transactional email template with sample data into the
+// local outbox (no SMTP). Usage:
+//   node scripts/preview-emails.js [--org <orgId>]   (org branding needs MONGO_URI)
+process.env.MAIL_OUTBOX = process.env.MAIL_OUTBOX || 'disk';
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { TEMPLATE_NAMES, sendTemplatedEmail } = require('../lib/mailer');
+
+const now = Date.now();
+const day = 24 * 60 * 60 * 1000;
+const appUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+
+const SAMPLES = {
+  passwordReset: { resetUrl: `${appUrl}/reset-password?token=sample` },
+  invitation: {
+    name: 'Thandi',
+    invitedByName: 'Wayne',
+    role: 'project-manager',
+    acceptUrl: `${appUrl}/accept-invite?token=sample`,
+    expiresAt: new Date(now + 7 * day),
+  },
+  taskOverdue: {
+    name: 'Sipho',
+    appUrl: `${appUrl}/tasks`,
+    tasks: [
+      { title: 'Install fencing – block C', projectName: 'Farm North', dueAt: new Date(now - 2 * day) },
+      { title: 'Pour foundations', projectName: 'Plant upgrade', dueAt: new Date(now - 5 * day) },
+    ],
+  },
+  inspectionFailed: {
+    formTitle: 'Daily pre-use check',
+    subjectLabel: 'Vehicle CA 123-456',
+    inspectorName: 'Johan',
+    submittedAt: new Date(now),
+    projectName: 'Farm North',
+    critical: true,
+    failedItems: [
+      { label: 'Brakes', note: 'Soft pedal', critical: true },
+      { label: 'Reverse hooter', note: 'Not working' },
+    ],
+    viewUrl: `${appUrl}/inspections/submissions/sample`,
+  },
+  biometricResult: { name: 'Lerato', status: 'rejected', reason: 'Photos too dark' },
+  invoiceDue: {
+    name: 'Finance',
+    number: 'INV-1042',
+    vendorName: 'Acme Hire',
+    amount: 12850,
+    currency: 'ZAR',
+    dueDate: new Date(now + 3 * day),
+    projectName: 'Plant upgrade',
+    viewUrl: `${appUrl}/invoices`,
+  },
+  vehicleReminderDigest: {
+    name: 'Fleet admin',
+    appUrl: `${appUrl}/vehicles`,
+    vehicles: [
+      {
+        reg: 'CA 123-456',
+        label: 'CA 123-456 Toyota Hilux',
+        items: [{ title: 'Licence disc renewal', detail: 'due 2026-01-15' }],
+      },
+    ],
+  },
+};
+
+(async () => {
+  const i = process.argv.indexOf('--org');
+  const orgId = i > -1 ? process.argv[i + 1] : undefined;
+  if (orgId) {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/smartops');
+  }
+
+  for (const name of TEMPLATE_NAMES) {
+    await sendTemplatedEmail({
+      to: 'preview@example.com',
+      template: name,
+      data: SAMPLES[name] || {},
+      org: orgId,
+    });
+  }
+
+  if (orgId) await mongoose.disconnect();
+  process.exit(0);
+})().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// scripts/rotate-biometric-keys.js
+// Rotates the envelope keys that protect stored face templates.
+//
+//   default   per org: new data key version, every enrollment re-encrypted under it
+//             (legacy plaintext templates get encrypted too), old versions destroyed
+//   --rewrap  only re-wrap existing data keys with the current BIOMETRIC_MASTER_KEY
+//             (after changing the master key; keep the old one in
+//             BIOMETRIC_MASTER_KEYS_PREVIOUS until this has run)
+//
+// Usage:
+//   node scripts/rotate-biometric-keys.js [--rewrap] [--org <orgId>] [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  encryptionEnabled,
+  rotateOrgDataKey,
+  reencryptEnrollment,
+  rewrapOrgDataKeys,
+  destroyUnusedDataKeys,
+} = require('../services/biometricCrypto');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  const rewrapOnly = process.argv.includes('--rewrap');
+  const onlyOrg = argValue('--org');
+
+  if (!encryptionEnabled()) throw new Error('BIOMETRIC_MASTER_KEY is not set');
+
+  const uri = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/smartops';
+  await mongoose.connect(uri);
+  console.log('[db] connected');
+
+  const BiometricEnrollment = require('../models/BiometricEnrollment');
+  const BiometricDataKey = require('../models/BiometricDataKey');
+
+  const withEmbedding = { embedding: { $exists: true, $ne: null } };
+  let orgIds = onlyOrg
+    ? [new mongoose.Types.ObjectId(onlyOrg)]
+    : [
+        ...new Set(
+          [
+            ...(await BiometricEnrollment.distinct('orgId', withEmbedding)),
+            ...(await BiometricDataKey.distinct('orgId')),
+          ].map(String),
+        ),
+      ].map((id) => new mongoose.Types.ObjectId(id));
+
+  console.log(`[keys] ${orgIds.length} org(s), mode ${rewrapOnly ? 'rewrap' : 'rotate'}`);
+
+  for (const orgId of orgIds) {
+    const count = await BiometricEnrollment.countDocuments({ orgId, ...withEmbedding });
+    if (dryRun) {
+      console.log(`[keys] org ${orgId}: ${count} template(s) would be ${rewrapOnly ? 'untouched' : 're-encrypted'}`);
+      continue;
+    }
+
+    if (rewrapOnly) {
+      const n = await rewrapOrgDataKeys(orgId);
+      console.log(`[keys] org ${orgId}: re-wrapped ${n} data key(s)`);
+      continue;
+    }
+
+    const { version } = await rotateOrgDataKey(orgId);
+    let done = 0;
+    let failed = 0;
+    const cursor = BiometricEnrollment.find({ orgId, ...withEmbedding })
+      .select({ _id: 1, orgId: 1 })
+      .select('+embedding')
+      .lean()
+      .cursor();
+    for await (const e of cursor) {
+      try {
+        await reencryptEnrollment(e);
+        done += 1;
+      } catch (err) {
+        failed += 1;
+        console.error(`[keys] enrollment ${e._id} failed:`, err.message);
+      }
+    }
+    await rewrapOrgDataKeys(orgId);
+    const destroyed = await destroyUnusedDataKeys(orgId);
+    console.log(
+      `[keys] org ${orgId}: data key v${version}, ${done} re-encrypted, ${failed} failed, ${destroyed} old key(s) destroyed`,
+    );
+  }
+
+  await mongoose.disconnect();
+  console.log('[keys] done');
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,277 @@
+// core-backend/services/assetCustody.js
+const mongoose = require("mongoose");
+
+/**
+ * Asset custody: check-out to a user / project / task, check-in with the
+ * condition it came back in. Every movement is a row in AssetCustody; the asset
+ * carries a summary of the open check-out (Asset.custody) for lists and scans.
+ *
+ * Web requests are strict (409 when checking out an asset that is already out,
+ * or checking in one that is not). Offline scans from the mobile app describe
+ * something that already happened in the field, so they pass `handover`
+ * (close the previous holder's check-out first) and `force` (record a check-in
+ * even when no check-out is open) instead of being refused.
+ *
+ * Errors carry `.status` so routes can hand them to the error handler.
+ */
+
+const DAMAGED = new Set(["damaged", "unusable"]);
+
+function models() {
+  return {
+    Asset: mongoose.models.Asset || require("../models/Asset"),
+    AssetCustody: mongoose.models.AssetCustody || require("../models/AssetCustody"),
+    User: mongoose.models.User || require("../models/User"),
+    Project: mongoose.models.Project || require("../models/Project"),
+    Task: mongoose.models.Task || require("../models/Task"),
+  };
+}
+
+const asOid = (v) => (mongoose.isValidObjectId(String(v || "")) ? new mongoose.Types.ObjectId(String(v)) : null);
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+function dateOr(v, fallback) {
+  if (v == null || v === "") return fallback;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? fallback : d;
+}
+
+function geoFrom(src = {}) {
+  const out = {};
+  for (const k of ["lat", "lng", "acc"]) {
+    const n = Number(src?.[k]);
+    if (src?.[k] != null && src[k] !== "" && Number.isFinite(n)) out[k] = n;
+  }
+  return out;
+}
+
+function isOverdue(custody, at = new Date()) {
+  return custody?.status === "checked-out" && !!custody.dueAt && new Date(custody.dueAt) < new Date(at);
+}
+
+/**
+ * Work out who the asset goes to. holderType may be omitted when exactly the
+ * matching id is given; a task also sets its project. Labels are looked up so
+ * the ledger still reads well after users / projects are renamed or removed.
+ */
+async function resolveHolder({ orgId, holderType, holderUserId, projectId, taskId, holderLabel } = {}) {
+  const { User, Project, Task } = models();
+  const type =
+    String(holderType || "").toLowerCase() ||
+    (asOid(taskId) ? "task" : asOid(projectId) ? "project" : asOid(holderUserId) ? "user" : "");
+  const org = asOid(orgId);
+  const inOrg = (q) => (org ? { ...q, orgId: org } : q);
+
+  const out = { holderType: type, holderUserId: null, projectId: null, taskId: null, holderLabel: "" };
+
+  if (type === "user") {
+    const u = asOid(holderUserId) && (await User.findOne(inOrg({ _id: asOid(holderUserId) })).select("name email").lean());
+    if (!u) throw fail(400, "Choose the person taking the asset");
+    out.holderUserId = u._id;
+    out.holderLabel = u.name || u.email || "";
+  } else if (type === "project") {
+    const p = asOid(projectId) && (await Project.findOne(inOrg({ _id: asOid(projectId) })).select("name").lean());
+    if (!p) throw fail(400, "Choose the project taking the asset");
+    out.projectId = p._id;
+    out.holderLabel = p.name || "";
+  } else if (type === "task") {
+    // Task.orgId is Mixed: older tasks store it as a string
+    const taskOrg = org ? { orgId: { $in: [org, String(org)] } } : {};
+    const t = asOid(taskId) && (await Task.findOne({ _id: asOid(taskId), ...taskOrg }).select("title projectId").lean());
+    if (!t) throw fail(400, "Choose the task taking the asset");
+    out.taskId = t._id;
+    out.projectId = t.projectId || null;
+    out.holderLabel = t.title || "";
+  } else {
+    throw fail(400, "holderType must be user, project or task");
+  }
+
+  // a person can sign for an asset going to a project or task
+  if (type !== "user" && asOid(holderUserId)) out.holderUserId = asOid(holderUserId);
+  if (holderLabel && String(holderLabel).trim()) out.holderLabel = String(holderLabel).trim();
+  return out;
+}
+
+async function existingEntry(sourceOfflineEventId) {
+  const { AssetCustody } = models();
+  const src = asOid(sourceOfflineEventId);
+  return src ? AssetCustody.findOne({ sourceOfflineEventId: src }).lean() : null;
+}
+
+function entryBase(asset, { at, note, photo, geo, scanned, actor, sourceOfflineEventId }) {
+  return {
+    orgId: asset.orgId,
+    assetId: asset._id,
+    at,
+    note: String(note || "").trim(),
+    ...(photo?.url ? { photo } : {}),
+    ...geoFrom(geo),
+    scanned: !!scanned,
+    by: { _id: asOid(actor?._id) || undefined, name: actor?.name || "" },
+    sourceOfflineEventId: asOid(sourceOfflineEventId),
+  };
+}
+
+/**
+ * Check `asset` (a hydrated Asset document) out to `holder`
+ * (see resolveHolder). Returns { entry, asset, duplicate }.
+ */
+async function checkOut({ asset, holder, at, dueAt, note, photo, geo, scanned, actor, sourceOfflineEventId, handover = false }) {
+  const { AssetCustody } = models();
+  const dup = await existingEntry(sourceOfflineEventId);
+  if (dup) return { entry: dup, asset, duplicate: true };
+
+  const when = dateOr(at, new Date());
+  const due = dateOr(dueAt, null);
+  if (due && due <= when) throw fail(400, "Return date must be after the check-out time");
+  if (["retired", "lost", "stolen"].includes(asset.status)) {
+    throw fail(409, `Asset is ${asset.status} and cannot be checked out`);
+  }
+
+  if (asset.custody?.status === "checked-out") {
+    if (!handover) throw fail(409, `Asset is already checked out to ${asset.custody.holderLabel || "someone"}`);
+    await closeOpen(asset, {
+      at: when,
+      note: `Handed over to ${holder.holderLabel || holder.holderType}`,
+      actor,
+    });
+  }
+
+  const entry = await AssetCustody.create({
+    ...entryBase(asset, { at: when, note, photo, geo, scanned, actor, sourceOfflineEventId }),
+    action: "check-out",
+    ...holder,
+    dueAt: due,
+  });
+
+  asset.custody = {
+    status: "checked-out",
+    checkoutId: entry._id,
+    holderType: holder.holderType,
+    holderUserId: holder.holderUserId,
+    projectId: holder.projectId,
+    taskId: holder.taskId,
+    holderLabel: holder.holderLabel,
+    checkedOutAt: when,
+    dueAt: due,
+  };
+  await asset.save();
+  return { entry: entry.toObject(), asset, duplicate: false };
+}
+
+// Check-in row for the open check-out; leaves saving the asset to the caller
+async function closeOpen(asset, { at, condition, note, photo, geo, scanned, actor, sourceOfflineEventId }) {
+  const { AssetCustody } = models();
+  const open = asset.custody?.status === "checked-out" ? asset.custody : null;
+  const entry = await AssetCustody.create({
+    ...entryBase(asset, { at, note, photo, geo, scanned, actor, sourceOfflineEventId }),
+    action: "check-in",
+    holderType: open?.holderType,
+    holderUserId: open?.holderUserId || null,
+    projectId: open?.projectId || null,
+    taskId: open?.taskId || null,
+    holderLabel: open?.holderLabel || "",
+    checkoutId: open?.checkoutId || null,
+    condition: condition || "good",
+  });
+  asset.custody = { status: "available" };
+  return entry;
+}
+
+/**
+ * Check `asset` back in. Damaged / unusable returns move an active asset into
+ * maintenance. Returns { entry, asset, duplicate }.
+ */
+async function checkIn({ asset, at, condition, note, photo, geo, scanned, actor, sourceOfflineEventId, force = false }) {
+  const { AssetCustody } = models();
+  const dup = await existingEntry(sourceOfflineEventId);
+  if (dup) return { entry: dup, asset, duplicate: true };
+
+  const cond = String(condition || "good").toLowerCase();
+  if (!AssetCustody.CONDITIONS.includes(cond)) {
+    throw fail(400, `condition must be one of ${AssetCustody.CONDITIONS.join(", ")}`);
+  }
+  const isOut = asset.custody?.status === "checked-out";
+  if (!isOut && !force) throw fail(409, "Asset is not checked out");
+
+  let when = dateOr(at, new Date());
+  const outAt = isOut && asset.custody.checkedOutAt ? new Date(asset.custody.checkedOutAt) : null;
+  if (outAt && when < outAt) {
+    if (!force) throw fail(400, "Check-in cannot be before the check-out");
+    when = outAt;
+  }
+
+  const entry = await closeOpen(asset, {
+    at: when,
+    condition: cond,
+    note,
+    photo,
+    geo,
+    scanned,
+    actor,
+    sourceOfflineEventId,
+  });
+  if (DAMAGED.has(cond) && asset.status === "active") asset.status = "maintenance";
+  await asset.save();
+  return { entry: entry.toObject(), asset, duplicate: false };
+}
+
+function toOut(row, openId, now = new Date()) {
+  const user = row.holderUserId && typeof row.holderUserId === "object" && row.holderUserId._id ? row.holderUserId : null;
+  const isOpen = row.action === "check-out" && openId && String(row._id) === openId;
+  return {
+    ...row,
+    _id: String(row._id),
+    holderUserId: user ? String(user._id) : row.holderUserId ? String(row.holderUserId) : null,
+    holderUserName: user ? user.name || user.email || "" : "",
+    byName: row.by?.name || "",
+    open: !!isOpen,
+    overdue: !!(isOpen && row.dueAt && new Date(row.dueAt) < now),
+  };
+}
+
+/**
+ * Ledger for one asset (assetId) or the whole org, newest first.
+ * Filters: action, holderUserId, from / to, and q (holder, note, condition, by).
+ */
+async function listLedger({ orgId, assetId, action, holderUserId, from, to, q, limit = 500 }) {
+  const { Asset, AssetCustody } = models();
+  const where = {};
+  if (asOid(orgId)) where.orgId = asOid(orgId);
+  if (assetId) where.assetId = asOid(assetId);
+  if (["check-out", "check-in"].includes(action)) where.action = action;
+  if (asOid(holderUserId)) where.holderUserId = asOid(holderUserId);
+  const fromD = dateOr(from, null);
+  const toD = dateOr(to, null);
+  if (fromD || toD) where.at = { ...(fromD ? { $gte: fromD } : {}), ...(toD ? { $lte: toD } : {}) };
+  if (q && String(q).trim()) {
+    const rx = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    where.$or = [{ holderLabel: rx }, { note: rx }, { condition: rx }, { "by.name": rx }];
+  }
+
+  const rows = await AssetCustody.find(where)
+    .sort({ at: -1, createdAt: -1 })
+    .limit(Math.min(Number(limit) || 500, 2000))
+    .populate({ path: "holderUserId", select: "name email" })
+    .lean();
+
+  // which check-outs are still open
+  const assetIds = [...new Set(rows.map((r) => String(r.assetId)))].map(asOid);
+  const assets = assetIds.length
+    ? await Asset.find({ _id: { $in: assetIds } }).select({ "custody.checkoutId": 1 }).lean()
+    : [];
+  const openIds = new Map(assets.map((a) => [String(a._id), a.custody?.checkoutId ? String(a.custody.checkoutId) : null]));
+
+  const now = new Date();
+  return rows.map((r) => toOut(r, openIds.get(String(r.assetId)), now));
+}
+
+/** Assets checked out past their return date, most overdue first */
+async function listOverdue({ orgId, at = new Date() }) {
+  const { Asset } = models();
+  const where = { "custody.status": "checked-out", "custody.dueAt": { $ne: null, $lt: new Date(at) } };
+  if (asOid(orgId)) where.orgId = asOid(orgId);
+  return Asset.find(where).select({ name: 1, code: 1, type: 1, status: 1, custody: 1 }).sort({ "custody.dueAt": 1 }).lean();
+}
+
+module.exports = { resolveHolder, checkOut, checkIn, listLedger, listOverdue, isOverdue };
@@ -0,0 +1,448 @@
+// core-backend/services/assetDepreciation.js
+const mongoose = require("mongoose");
+
+/**
+ * Fixed-asset register: depreciation schedules, book values and disposals.
+ *
+ * Conventions (monthly, full-month):
+ * - the acquisition month is charged in full; a month's charge is recognised on
+ *   its last day, so a book value "as at" the 15th includes last month-end only
+ * - straight-line: (cost − residual) ÷ useful life per month
+ * - reducing balance: opening book value × annual rate ÷ 12, where the rate
+ *   defaults to double the straight-line rate (200% ÷ life in years); the last
+ *   month of the useful life writes down to the residual value
+ * - nothing is charged for the disposal month or after it; gain/loss on disposal
+ *   is proceeds − book value at the disposal date
+ *
+ * Maintenance cost per asset comes from its maintenance log: the entry's own
+ * `cost`, else (entries written by a work order before costs were recorded) the
+ * work order's parts cost. Entries with neither are counted as uncosted.
+ *
+ * Dates are handled in UTC. Errors carry `.status`.
+ */
+
+function models() {
+  return {
+    Asset: mongoose.models.Asset || require("../models/Asset"),
+    Vendor: mongoose.models.Vendor || require("../models/Vendor"),
+    WorkOrder: mongoose.models.WorkOrder || require("../models/WorkOrder"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function dateOr(v, fallback) {
+  if (v == null || v === "") return fallback;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? fallback : d;
+}
+
+// "2025-06-30" means the whole of that day, so June's month-end charge is included
+function asAtDate(v) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(v || ""))) return new Date(`${v}T23:59:59.999Z`);
+  return dateOr(v, new Date());
+}
+
+// Last instant of the month `offset` months after d's month
+function monthEnd(d, offset = 0) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset + 1, 1) - 1);
+}
+
+const monthKey = (d) => d.toISOString().slice(0, 7);
+
+/* ------------------------------- schedule ------------------------------- */
+
+// Finance fields usable for depreciation, or the reason they are not
+function basis(finance) {
+  const f = finance || {};
+  const cost = Number(f.purchaseCost);
+  const acquiredAt = dateOr(f.acquiredAt, null);
+  const life = Math.round(Number(f.usefulLifeMonths));
+  if (!Number.isFinite(cost) || cost <= 0) return { reason: "No purchase cost" };
+  if (!acquiredAt) return { reason: "No acquisition date" };
+  if (!Number.isFinite(life) || life < 1) return { reason: "No useful life" };
+  const residual = Math.min(cost, Math.max(0, Number(f.residualValue) || 0));
+  const method = f.method === "reducing-balance" ? "reducing-balance" : "straight-line";
+  const ratePct = Number(f.ratePct) > 0 ? Number(f.ratePct) : Math.min(100, 200 / (life / 12));
+  return {
+    cost,
+    acquiredAt,
+    life,
+    residual,
+    method,
+    ratePct: method === "reducing-balance" ? round2(ratePct) : null,
+    disposedAt: dateOr(f.disposal?.disposedAt, null),
+  };
+}
+
+/**
+ * Month-by-month schedule over the useful life (cut short by a disposal):
+ * [{ month: "2025-03", periodEnd, opening, depreciation, closing, accumulated }]
+ */
+function schedule(finance) {
+  const b = basis(finance);
+  if (b.reason) return [];
+
+  const rows = [];
+  const straight = (b.cost - b.residual) / b.life;
+  let book = b.cost;
+  for (let m = 0; m < b.life; m++) {
+    const periodEnd = monthEnd(b.acquiredAt, m);
+    if (b.disposedAt && periodEnd >= monthEnd(b.disposedAt)) break;
+
+    let charge = b.method === "straight-line" ? straight : (book * b.ratePct) / 100 / 12;
+    if (m === b.life - 1 || book - charge < b.residual) charge = book - b.residual;
+    charge = round2(Math.max(0, charge));
+
+    const opening = round2(book);
+    book = round2(book - charge);
+    rows.push({
+      month: monthKey(periodEnd),
+      periodEnd,
+      opening,
+      depreciation: charge,
+      closing: book,
+      accumulated: round2(b.cost - book),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Where an asset stands on a date:
+ * { status, cost, residual, accumulated, bookValue, monthsCharged, remainingMonths,
+ *   disposal: { disposedAt, proceeds, bookValue, gainLoss } | null, reason? }
+ * status: "not-set-up" | "not-acquired" | "in-service" | "fully-depreciated" | "disposed"
+ */
+function valuationAt(finance, asAt = new Date(), rows = schedule(finance)) {
+  const b = basis(finance);
+  if (b.reason) return { status: "not-set-up", reason: b.reason, cost: Number(finance?.purchaseCost) || 0 };
+
+  const when = dateOr(asAt, new Date());
+  if (when < b.acquiredAt) {
+    return { status: "not-acquired", cost: b.cost, residual: b.residual, accumulated: 0, bookValue: 0, monthsCharged: 0 };
+  }
+
+  const charged = rows.filter((r) => r.periodEnd <= when);
+  const last = charged[charged.length - 1];
+  const bookValue = last ? last.closing : b.cost;
+
+  let disposal = null;
+  if (b.disposedAt) {
+    const atDisposal = rows.filter((r) => r.periodEnd <= b.disposedAt);
+    const bvDisposed = atDisposal.length ? atDisposal[atDisposal.length - 1].closing : b.cost;
+    const proceeds = round2(finance.disposal.proceeds);
+    disposal = {
+      disposedAt: b.disposedAt,
+      method: finance.disposal.method,
+      proceeds,
+      bookValue: bvDisposed,
+      gainLoss: round2(proceeds - bvDisposed),
+    };
+  }
+  const disposed = !!(disposal && disposal.disposedAt <= when);
+
+  return {
+    status: disposed ? "disposed" : charged.length >= b.life ? "fully-depreciated" : "in-service",
+    method: b.method,
+    ratePct: b.ratePct,
+    cost: b.cost,
+    residual: b.residual,
+    accumulated: disposed ? 0 : round2(b.cost - bookValue),
+    bookValue: disposed ? 0 : bookValue,
+    monthsCharged: charged.length,
+    remainingMonths: disposed ? 0 : Math.max(0, b.life - charged.length),
+    disposal,
+  };
+}
+
+// Depreciation charged with periodEnd in [from, to]
+function chargedBetween(rows, from, to) {
+  return round2(rows.filter((r) => r.periodEnd >= from && r.periodEnd <= to).reduce((a, r) => a + r.depreciation, 0));
+}
+
+/* ------------------------------ maintenance ----------------------------- */
+
+/**
+ * Maintenance cost from an asset's log, up to `to` (and within [from, to]):
+ * { toDate, period, entries, uncosted }
+ */
+function maintenanceCost(asset, { from, to, workOrderCost = new Map() } = {}) {
+  let toDate = 0;
+  let period = 0;
+  let entries = 0;
+  let uncosted = 0;
+  for (const m of asset.maintenance || []) {
+    const at = dateOr(m.date || m.createdAt, null);
+    if (!at || (to && at > to)) continue;
+    const cost = Number.isFinite(Number(m.cost)) && m.cost != null ? Number(m.cost) : workOrderCost.get(String(m.workOrderId || ""));
+    entries += 1;
+    if (cost == null) {
+      uncosted += 1;
+      continue;
+    }
+    toDate += cost;
+    if (!from || at >= from) period += cost;
+  }
+  return { toDate: round2(toDate), period: round2(period), entries, uncosted };
+}
+
+/* ------------------------------- register ------------------------------- */
+
+/**
+ * The fixed-asset register as at a date. Assets without a purchase cost are left
+ * out unless `includeUnset`. Period columns cover [from, asAt]; `from` defaults
+ * to 1 January of the asAt year.
+ *
+ * -> { org, asAt, from, rows: [...], totals }
+ */
+async function register({ orgId, asAt, from, includeUnset = false, assetIds } = {}) {
+  const { Asset, Vendor, WorkOrder, Org } = models();
+  const when = asAtDate(asAt);
+  const start = dateOr(from, new Date(Date.UTC(when.getUTCFullYear(), 0, 1)));
+  if (start > when) throw fail(400, "'from' must be on or before 'asAt'");
+
+  const where = { orgId };
+  if (!includeUnset) where["finance.purchaseCost"] = { $gt: 0 };
+  if (assetIds?.length) where._id = { $in: assetIds };
+  const assets = await Asset.find(where)
+    .select("name code type status finance maintenance createdAt")
+    .sort({ code: 1, name: 1 })
+    .lean();
+
+  const vendorIds = [...new Set(assets.map((a) => a.finance?.vendorId).filter(Boolean).map(String))];
+  const vendors = vendorIds.length ? await Vendor.find({ _id: { $in: vendorIds } }).select("name").lean() : [];
+  const vendorName = new Map(vendors.map((v) => [String(v._id), v.name]));
+
+  // work orders behind log entries that carry no cost of their own
+  const woIds = assets.flatMap((a) => (a.maintenance || []).filter((m) => m.cost == null && m.workOrderId).map((m) => m.workOrderId));
+  const workOrders = woIds.length ? await WorkOrder.find({ _id: { $in: woIds } }).select("parts").lean() : [];
+  const workOrderCost = new Map(
+    workOrders.map((w) => [String(w._id), round2((w.parts || []).reduce((a, p) => a + (Number(p.qty) || 0) * (Number(p.unitCost) || 0), 0))]),
+  );
+
+  const rows = assets.map((a) => {
+    const f = a.finance || {};
+    const sched = schedule(f);
+    const v = valuationAt(f, when, sched);
+    const mc = maintenanceCost(a, { from: start, to: when, workOrderCost });
+    return {
+      assetId: a._id,
+      code: a.code || "",
+      name: a.name,
+      type: a.type || "",
+      assetStatus: a.status,
+      vendor: (f.vendorId && vendorName.get(String(f.vendorId))) || f.vendorName || "",
+      invoiceRef: f.invoiceRef || "",
+      acquiredAt: f.acquiredAt || null,
+      method: f.method || null,
+      ratePct: v.ratePct ?? null,
+      usefulLifeMonths: f.usefulLifeMonths || null,
+      cost: v.cost || 0,
+      residual: v.residual || 0,
+      depreciationPeriod: chargedBetween(sched, start, when),
+      accumulated: v.accumulated || 0,
+      bookValue: v.bookValue || 0,
+      remainingMonths: v.remainingMonths ?? null,
+      status: v.status,
+      reason: v.reason || null,
+      disposedAt: v.disposal?.disposedAt || null,
+      disposalMethod: v.disposal?.method || null,
+      proceeds: v.disposal ? v.disposal.proceeds : null,
+      gainLoss: v.status === "disposed" ? v.disposal.gainLoss : null,
+      maintenanceToDate: mc.toDate,
+      maintenancePeriod: mc.period,
+      maintenanceEntries: mc.entries,
+      maintenanceUncosted: mc.uncosted,
+    };
+  });
+
+  const sum = (k) => round2(rows.reduce((a, r) => a + (Number(r[k]) || 0), 0));
+  const inBook = rows.filter((r) => r.status !== "disposed" && r.status !== "not-acquired");
+  const org = await Org.findById(orgId).select("name currency").lean().catch(() => null);
+
+  return {
+    org: { name: org?.name || "", currency: org?.currency || "ZAR" },
+    asAt: when,
+    from: start,
+    rows,
+    totals: {
+      assets: rows.length,
+      cost: round2(inBook.reduce((a, r) => a + r.cost, 0)),
+      accumulated: sum("accumulated"),
+      bookValue: sum("bookValue"),
+      depreciationPeriod: sum("depreciationPeriod"),
+      disposals: rows.filter((r) => r.gainLoss != null && r.disposedAt >= start).length,
+      gainLoss: round2(rows.filter((r) => r.gainLoss != null && r.disposedAt >= start).reduce((a, r) => a + r.gainLoss, 0)),
+      maintenanceToDate: sum("maintenanceToDate"),
+      maintenancePeriod: sum("maintenancePeriod"),
+      maintenanceUncosted: sum("maintenanceUncosted"),
+    },
+  };
+}
+
+/* -------------------------------- export -------------------------------- */
+
+const fmtDate = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+const COLUMNS = [
+  ["Code", (r) => r.code],
+  ["Asset", (r) => r.name],
+  ["Type", (r) => r.type],
+  ["Supplier", (r) => r.vendor],
+  ["Invoice", (r) => r.invoiceRef],
+  ["Acquired", (r) => fmtDate(r.acquiredAt)],
+  ["Method", (r) => r.method || ""],
+  ["Rate %", (r) => r.ratePct ?? ""],
+  ["Life (months)", (r) => r.usefulLifeMonths ?? ""],
+  ["Cost", (r) => r.cost],
+  ["Residual", (r) => r.residual],
+  ["Depreciation (period)", (r) => r.depreciationPeriod],
+  ["Accumulated depreciation", (r) => r.accumulated],
+  ["Book value", (r) => r.bookValue],
+  ["Status", (r) => r.reason || r.status],
+  ["Disposed", (r) => fmtDate(r.disposedAt)],
+  ["Disposal method", (r) => r.disposalMethod || ""],
+  ["Proceeds", (r) => r.proceeds ?? ""],
+  ["Gain / (loss)", (r) => r.gainLoss ?? ""],
+  ["Maintenance (period)", (r) => r.maintenancePeriod],
+  ["Maintenance (to date)", (r) => r.maintenanceToDate],
+  ["Uncosted log entries", (r) => r.maintenanceUncosted],
+];
+
+function fileBaseName(reg) {
+  return `asset-register_${fmtDate(reg.asAt)}`;
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(reg) {
+  const lines = [COLUMNS.map(([h]) => h).map(csvCell).join(",")];
+  for (const r of reg.rows) lines.push(COLUMNS.map(([, get]) => csvCell(get(r))).join(","));
+  return lines.join("\n");
+}
+
+function toXlsxBuffer(reg) {
+  const XLSX = require("xlsx");
+  const t = reg.totals;
+
+  const summary = [
+    ["Fixed-asset register", ""],
+    ["Organisation", reg.org.name],
+    ["Currency", reg.org.currency],
+    ["As at", fmtDate(reg.asAt)],
+    ["Period", `${fmtDate(reg.from)} to ${fmtDate(reg.asAt)}`],
+    [],
+    ["Assets", t.assets],
+    ["Cost (held)", t.cost],
+    ["Accumulated depreciation", t.accumulated],
+    ["Book value", t.bookValue],
+    ["Depreciation for the period", t.depreciationPeriod],
+    ["Disposals in the period", t.disposals],
+    ["Gain / (loss) on disposals", t.gainLoss],
+    ["Maintenance cost for the period", t.maintenancePeriod],
+    ["Maintenance cost to date", t.maintenanceToDate],
+    ["Uncosted maintenance log entries", t.maintenanceUncosted],
+  ];
+  const detail = [COLUMNS.map(([h]) => h), ...reg.rows.map((r) => COLUMNS.map(([, get]) => get(r)))];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summary), "Summary");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(detail), "Register");
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+/* ------------------------------- mutations ------------------------------ */
+
+const numOrNull = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+/**
+ * Apply a finance patch to a hydrated asset. `vendorId` must be a vendor of the
+ * org; its name is copied so the register survives the vendor being deleted.
+ */
+async function applyFinance(asset, body = {}, { orgId } = {}) {
+  const { Vendor } = models();
+  const f = asset.finance ? asset.finance.toObject?.() || { ...asset.finance } : {};
+
+  if ("purchaseCost" in body) f.purchaseCost = numOrNull(body.purchaseCost);
+  if ("acquiredAt" in body) f.acquiredAt = dateOr(body.acquiredAt, null);
+  if ("usefulLifeMonths" in body) f.usefulLifeMonths = numOrNull(body.usefulLifeMonths);
+  if ("residualValue" in body) f.residualValue = numOrNull(body.residualValue) ?? 0;
+  if ("method" in body) f.method = body.method || "straight-line";
+  if ("ratePct" in body) f.ratePct = numOrNull(body.ratePct);
+  if ("invoiceRef" in body) f.invoiceRef = String(body.invoiceRef || "").trim();
+  if ("vendorName" in body) f.vendorName = String(body.vendorName || "").trim();
+  if ("vendorId" in body) {
+    if (!body.vendorId) {
+      f.vendorId = null;
+    } else {
+      if (!mongoose.isValidObjectId(String(body.vendorId))) throw fail(400, "Invalid vendorId");
+      const vendor = await Vendor.findOne({ _id: body.vendorId, ...(orgId ? { orgId: String(orgId) } : {}) }).lean();
+      if (!vendor) throw fail(400, "Vendor not found");
+      f.vendorId = vendor._id;
+      f.vendorName = vendor.name;
+    }
+  }
+
+  for (const k of Object.keys(f)) if (f[k] === null && k !== "vendorId") delete f[k];
+  asset.finance = f;
+  asset.markModified("finance");
+  return asset;
+}
+
+/**
+ * Record a disposal: the asset stops depreciating from the disposal month and
+ * is retired. Undo with reverseDisposal().
+ */
+function dispose(asset, { disposedAt, method, proceeds, buyer, reference, note } = {}, actor = {}) {
+  const b = basis(asset.finance);
+  if (b.reason) throw fail(400, `Set up the asset's finance details first (${b.reason.toLowerCase()})`);
+  if (asset.finance.disposal?.disposedAt) throw fail(409, "Asset is already disposed");
+  const when = dateOr(disposedAt, new Date());
+  if (when < b.acquiredAt) throw fail(400, "Disposal date is before the acquisition date");
+  const amount = numOrNull(proceeds) ?? 0;
+  if (amount < 0) throw fail(400, "Proceeds cannot be negative");
+
+  asset.finance.disposal = {
+    disposedAt: when,
+    method: method || "sale",
+    proceeds: amount,
+    buyer: buyer ? String(buyer).trim() : undefined,
+    reference: reference ? String(reference).trim() : undefined,
+    note: note ? String(note).trim() : undefined,
+    previousStatus: asset.status,
+    recordedBy: actor.name || "",
+    recordedAt: new Date(),
+  };
+  asset.status = "retired";
+  asset.markModified("finance");
+  return asset;
+}
+
+function reverseDisposal(asset) {
+  const d = asset.finance?.disposal;
+  if (!d?.disposedAt) throw fail(409, "Asset is not disposed");
+  if (asset.status === "retired" && d.previousStatus) asset.status = d.previousStatus;
+  asset.finance.disposal = undefined;
+  asset.markModified("finance");
+  return asset;
+}
+
+module.exports = {
+  asAtDate,
+  schedule,
+  valuationAt,
+  maintenanceCost,
+  register,
+  toCsv,
+  toXlsxBuffer,
+  fileBaseName,
+  applyFinance,
+  dispose,
+  reverseDisposal,
+};
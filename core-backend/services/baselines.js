@@ -0,0 +1,328 @@
+// core-backend/services/baselines.js
+const mongoose = require("mongoose");
+
+/**
+ * Project baselines and schedule variance.
+ *
+ *   snapshotItems(projectId, orgId)   live tasks + milestones as baseline items
+ *   captureBaseline(opts)             new named baseline (the first one becomes primary)
+ *   setPrimary(baseline)              make one baseline the project's default
+ *   variance(opts)                    per-item slip + summaries by project / workstream / discipline
+ *   toCsv(report), fileBaseName(report)
+ *
+ * Variance compares the baseline with the live forecast: actual dates where the work
+ * has them, planned dates otherwise. Slips are calendar days, positive = later.
+ * Milestones take their discipline (and, if unset, workstream) from their task.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function models() {
+  return {
+    Task: mongoose.models.Task || require("../models/Task"),
+    TaskMilestone: mongoose.models.TaskMilestone || require("../models/TaskMilestone"),
+    ProjectBaseline: mongoose.models.ProjectBaseline || require("../models/ProjectBaseline"),
+  };
+}
+
+function asOid(x) {
+  const s = String(x?._id || x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+const fail = (status, msg) => Object.assign(new Error(msg), { status });
+
+const ms = (d) => {
+  if (!d) return null;
+  const t = new Date(d).getTime();
+  return Number.isFinite(t) ? t : null;
+};
+const days = (t) => (t == null ? null : Math.round((t / DAY) * 100) / 100);
+const fmtDate = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+// Task.orgId / TaskMilestone.orgId are Mixed: match both shapes
+function orgMatch(orgId) {
+  const oid = asOid(orgId);
+  return oid ? { orgId: { $in: [oid, String(oid)] } } : {};
+}
+
+const isDone = (kind, status) =>
+  kind === "task" ? String(status) === "completed" : String(status) === "finished";
+
+/* ------------------------------- snapshot ------------------------------- */
+
+function duration(start, finish) {
+  return start && finish ? days(Math.max(0, ms(finish) - ms(start))) : null;
+}
+
+async function snapshotItems(projectId, orgId) {
+  const { Task, TaskMilestone } = models();
+  const pid = asOid(projectId);
+  if (!pid) throw fail(400, "Invalid project id");
+
+  const live = { isDeleted: { $ne: true }, ...orgMatch(orgId) };
+  const [tasks, milestones] = await Promise.all([
+    Task.find({ projectId: pid, ...live })
+      .select("title status plannedStartAt plannedEndAt startDate dueAt dueDate actualStartAt actualEndAt workstreamId workstreamName discipline")
+      .lean(),
+    TaskMilestone.find({ projectId: { $in: [pid, String(pid)] }, ...live })
+      .select("name status taskId startPlanned endPlanned actualEndAt completedAt workstreamId workstreamName")
+      .lean(),
+  ]);
+  const byTask = new Map(tasks.map((t) => [String(t._id), t]));
+
+  const items = tasks.map((t) => {
+    const start = t.plannedStartAt || t.startDate || null;
+    const finish = t.plannedEndAt || t.dueAt || t.dueDate || null;
+    return {
+      kind: "task",
+      refId: t._id,
+      name: t.title || "",
+      workstreamId: t.workstreamId || null,
+      workstreamName: t.workstreamName || "",
+      discipline: t.discipline || "",
+      status: t.status || "",
+      plannedStart: start,
+      plannedFinish: finish,
+      durationDays: duration(start, finish),
+      actualStart: t.actualStartAt || null,
+      actualFinish: t.actualEndAt || null,
+    };
+  });
+
+  for (const m of milestones) {
+    const parent = m.taskId ? byTask.get(String(m.taskId)) : null;
+    items.push({
+      kind: "milestone",
+      refId: m._id,
+      taskId: m.taskId || undefined,
+      name: m.name || "",
+      workstreamId: m.workstreamId || parent?.workstreamId || null,
+      workstreamName: m.workstreamName || (m.workstreamId ? "" : parent?.workstreamName || ""),
+      discipline: parent?.discipline || "",
+      status: m.status || "",
+      plannedStart: m.startPlanned || null,
+      plannedFinish: m.endPlanned || null,
+      durationDays: duration(m.startPlanned, m.endPlanned),
+      actualStart: null,
+      actualFinish: m.actualEndAt || m.completedAt || null,
+    });
+  }
+  return items;
+}
+
+/* ------------------------------- baselines ------------------------------- */
+
+/**
+ * opts: { project, orgId, name, note, primary, actor }
+ * project is the (org-checked) Project document or lean object.
+ */
+async function captureBaseline({ project, orgId, name, note, primary, actor }) {
+  const { ProjectBaseline } = models();
+  const label = String(name || "").trim();
+  if (!label) throw fail(400, "name is required");
+
+  const items = await snapshotItems(project._id, orgId);
+  if (!items.length) throw fail(400, "The project has no tasks or milestones to baseline");
+
+  const where = { projectId: project._id, isDeleted: { $ne: true } };
+  const first = !(await ProjectBaseline.exists(where));
+
+  const doc = await ProjectBaseline.create({
+    orgId: asOid(orgId) || undefined,
+    projectId: project._id,
+    name: label,
+    note: String(note || "").trim(),
+    primary: first || !!primary,
+    projectStart: project.startDate || undefined,
+    projectEnd: project.endDate || undefined,
+    items,
+    createdBy: actor?._id ? { _id: actor._id, name: actor.name || "" } : undefined,
+  });
+  if (doc.primary && !first) {
+    await ProjectBaseline.updateMany({ ...where, _id: { $ne: doc._id } }, { $set: { primary: false } });
+  }
+  return doc;
+}
+
+async function setPrimary(baseline) {
+  const { ProjectBaseline } = models();
+  await ProjectBaseline.updateMany(
+    { projectId: baseline.projectId, isDeleted: { $ne: true }, _id: { $ne: baseline._id } },
+    { $set: { primary: false } },
+  );
+  baseline.primary = true;
+  await baseline.save();
+  return baseline;
+}
+
+// Summary fields for GET /baselines (no items)
+function toMeta(b) {
+  const o = typeof b.toObject === "function" ? b.toObject() : b;
+  const { items, ...rest } = o;
+  return { ...rest, itemCount: o.itemCount ?? (items || []).length };
+}
+
+/* -------------------------------- variance -------------------------------- */
+
+function forecast(kind, src) {
+  const done = isDone(kind, src.status);
+  const start = ms(src.actualStart) ?? ms(src.plannedStart);
+  const finish = done ? ms(src.actualFinish) ?? ms(src.plannedFinish) : ms(src.plannedFinish);
+  return { start, finish };
+}
+
+function summarize(rows) {
+  const compared = rows.filter((r) => r.change === "same");
+  const avg = (get) => {
+    const vals = compared.map(get).filter((v) => v != null);
+    return vals.length ? days((vals.reduce((a, v) => a + v, 0) / vals.length) * DAY) : null;
+  };
+  const finishSlips = compared.map((r) => r.finishSlipDays).filter((v) => v != null);
+  const baseFinish = Math.max(...rows.filter((r) => r.change !== "added").map((r) => ms(r.baseline.finish) ?? -Infinity), -Infinity);
+  const curFinish = Math.max(...rows.filter((r) => r.change !== "removed").map((r) => ms(r.current.finish) ?? -Infinity), -Infinity);
+
+  return {
+    items: rows.length,
+    compared: compared.length,
+    added: rows.filter((r) => r.change === "added").length,
+    removed: rows.filter((r) => r.change === "removed").length,
+    late: finishSlips.filter((v) => v > 0).length,
+    early: finishSlips.filter((v) => v < 0).length,
+    onTime: finishSlips.filter((v) => v === 0).length,
+    avgStartSlipDays: avg((r) => r.startSlipDays),
+    avgFinishSlipDays: avg((r) => r.finishSlipDays),
+    maxFinishSlipDays: finishSlips.length ? Math.max(...finishSlips) : null,
+    durationGrowthDays: days(compared.reduce((a, r) => a + (r.durationGrowthDays || 0), 0) * DAY),
+    baselineFinish: Number.isFinite(baseFinish) ? new Date(baseFinish) : null,
+    forecastFinish: Number.isFinite(curFinish) ? new Date(curFinish) : null,
+    finishSlipDays: Number.isFinite(baseFinish) && Number.isFinite(curFinish) ? days(curFinish - baseFinish) : null,
+  };
+}
+
+function groupBy(rows, keyOf, labelOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = keyOf(r);
+    if (!groups.has(k)) groups.set(k, { key: k, label: labelOf(r), rows: [] });
+    groups.get(k).rows.push(r);
+  }
+  return [...groups.values()]
+    .map((g) => ({ key: g.key, label: g.label, ...summarize(g.rows) }))
+    .sort((a, b) => (b.maxFinishSlipDays ?? -Infinity) - (a.maxFinishSlipDays ?? -Infinity));
+}
+
+/**
+ * opts: { project, orgId, baseline } -> { baseline, asAt, rows, summary, byWorkstream, byDiscipline }
+ * Rows cover the union of baselined and live items; change is same | added | removed.
+ */
+async function variance({ project, orgId, baseline }) {
+  const live = await snapshotItems(project._id, orgId);
+  const liveByKey = new Map(live.map((i) => [`${i.kind}:${i.refId}`, i]));
+  const baseByKey = new Map((baseline.items || []).map((i) => [`${i.kind}:${i.refId}`, i]));
+
+  const rows = [];
+  for (const key of new Set([...baseByKey.keys(), ...liveByKey.keys()])) {
+    const b = baseByKey.get(key);
+    const c = liveByKey.get(key);
+    const src = c || b;
+    const bStart = b ? ms(b.plannedStart) : null;
+    const bFinish = b ? ms(b.plannedFinish) : null;
+    const cur = c ? forecast(c.kind, c) : { start: null, finish: null };
+    const bDur = bStart != null && bFinish != null ? bFinish - bStart : null;
+    const cDur = cur.start != null && cur.finish != null ? cur.finish - cur.start : null;
+
+    rows.push({
+      key,
+      kind: src.kind,
+      id: String(src.refId),
+      taskId: src.taskId ? String(src.taskId) : null,
+      name: src.name,
+      workstreamId: src.workstreamId ? String(src.workstreamId) : null,
+      workstreamName: src.workstreamName || "",
+      discipline: src.discipline || "",
+      status: c ? c.status : b.status,
+      change: b && c ? "same" : b ? "removed" : "added",
+      baseline: {
+        start: bStart != null ? new Date(bStart) : null,
+        finish: bFinish != null ? new Date(bFinish) : null,
+        durationDays: days(bDur),
+      },
+      current: {
+        start: cur.start != null ? new Date(cur.start) : null,
+        finish: cur.finish != null ? new Date(cur.finish) : null,
+        durationDays: days(cDur),
+        actual: !!(c && (c.actualStart || c.actualFinish)),
+      },
+      startSlipDays: bStart != null && cur.start != null ? days(cur.start - bStart) : null,
+      finishSlipDays: bFinish != null && cur.finish != null ? days(cur.finish - bFinish) : null,
+      durationGrowthDays: bDur != null && cDur != null ? days(cDur - bDur) : null,
+    });
+  }
+  rows.sort((a, b) => (b.finishSlipDays ?? -Infinity) - (a.finishSlipDays ?? -Infinity) || a.name.localeCompare(b.name));
+
+  return {
+    projectId: String(project._id),
+    projectName: project.name || "",
+    baseline: toMeta(baseline),
+    asAt: new Date(),
+    summary: summarize(rows),
+    byWorkstream: groupBy(
+      rows,
+      (r) => r.workstreamId || `name:${r.workstreamName}`,
+      (r) => r.workstreamName || (r.workstreamId ? "Workstream" : "No workstream"),
+    ),
+    byDiscipline: groupBy(
+      rows,
+      (r) => r.discipline.toLowerCase(),
+      (r) => r.discipline || "No discipline",
+    ),
+    rows,
+  };
+}
+
+/* --------------------------------- export --------------------------------- */
+
+const COLUMNS = [
+  ["Type", (r) => r.kind],
+  ["Name", (r) => r.name],
+  ["Workstream", (r) => r.workstreamName],
+  ["Discipline", (r) => r.discipline],
+  ["Status", (r) => r.status],
+  ["Change", (r) => r.change],
+  ["Baseline start", (r) => fmtDate(r.baseline.start)],
+  ["Baseline finish", (r) => fmtDate(r.baseline.finish)],
+  ["Baseline days", (r) => r.baseline.durationDays],
+  ["Current start", (r) => fmtDate(r.current.start)],
+  ["Current finish", (r) => fmtDate(r.current.finish)],
+  ["Current days", (r) => r.current.durationDays],
+  ["Start slip (days)", (r) => r.startSlipDays],
+  ["Finish slip (days)", (r) => r.finishSlipDays],
+  ["Duration growth (days)", (r) => r.durationGrowthDays],
+];
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(report) {
+  const lines = [COLUMNS.map(([h]) => h).map(csvCell).join(",")];
+  for (const r of report.rows) lines.push(COLUMNS.map(([, get]) => csvCell(get(r))).join(","));
+  return lines.join("\n");
+}
+
+function fileBaseName(report) {
+  const slug = (s) => String(s || "").replace(/[^\w.-]+/g, "_");
+  return `variance_${slug(report.projectName) || "project"}_${slug(report.baseline.name)}_${fmtDate(report.asAt)}`;
+}
+
+module.exports = {
+  snapshotItems,
+  captureBaseline,
+  setPrimary,
+  toMeta,
+  variance,
+  toCsv,
+  fileBaseName,
+};
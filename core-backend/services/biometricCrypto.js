@@ -0,0 +1,308 @@
+// core-backend/services/biometricCrypto.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+/**
+ * Envelope encryption for stored face templates (BiometricEnrollment.embedding).
+ *
+ *   master key (env)  --wraps-->  per-org data key (BiometricDataKey)
+ *   data key          --AES-256-GCM-->  embedding
+ *
+ * Stored embedding layout:
+ *   "BEK1" | keyVersion (uint32 BE) | iv (12) | tag (16) | ciphertext
+ * The org id is bound in as additional authenticated data, so a template copied
+ * to another org's record fails to decrypt.
+ *
+ * Env:
+ *   BIOMETRIC_MASTER_KEY           32 bytes, base64 or hex (required in production)
+ *   BIOMETRIC_MASTER_KEY_ID        label stored with wrapped keys (default "mk1")
+ *   BIOMETRIC_MASTER_KEYS_PREVIOUS "id:key,id:key" — old master keys, only needed
+ *                                  until `npm run biometric:rotate-keys -- --rewrap`
+ *                                  has re-wrapped every data key
+ *   BIOMETRIC_ALLOW_PLAINTEXT      "0" to refuse un-encrypted legacy templates at identify
+ *
+ * Decrypting is deliberately limited to the 1:N matcher (services/biometricMatching.js,
+ * used by identify and enrollment screening) and the rotation command.
+ */
+
+const MAGIC = Buffer.from("BEK1");
+const HEADER_LEN = MAGIC.length + 4 + 12 + 16;
+const KEY_CACHE_MS = 10 * 60 * 1000;
+
+function models() {
+  return {
+    BiometricDataKey: mongoose.models.BiometricDataKey || require("../models/BiometricDataKey"),
+    BiometricEnrollment:
+      mongoose.models.BiometricEnrollment || require("../models/BiometricEnrollment"),
+  };
+}
+
+/* ------------------------------ master keys ------------------------------ */
+
+function parseKey(raw, name) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const buf = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  if (buf.length !== 32) throw new Error(`${name} must be 32 bytes (base64 or hex)`);
+  return buf;
+}
+
+let _master = null;
+
+/** { current: { id, key } | null, byId: Map<id, key> } from env (parsed once) */
+function masterKeys() {
+  if (_master) return _master;
+  const byId = new Map();
+  for (const part of String(process.env.BIOMETRIC_MASTER_KEYS_PREVIOUS || "").split(",")) {
+    const i = part.indexOf(":");
+    if (i < 1) continue;
+    byId.set(part.slice(0, i).trim(), parseKey(part.slice(i + 1), "BIOMETRIC_MASTER_KEYS_PREVIOUS"));
+  }
+  const key = parseKey(process.env.BIOMETRIC_MASTER_KEY, "BIOMETRIC_MASTER_KEY");
+  const id = String(process.env.BIOMETRIC_MASTER_KEY_ID || "mk1").trim();
+  if (key) byId.set(id, key);
+  _master = { current: key ? { id, key } : null, byId };
+  return _master;
+}
+
+function encryptionEnabled() {
+  return !!masterKeys().current;
+}
+
+/* ------------------------------- AES-GCM ------------------------------- */
+
+function seal(key, plain, aad) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv("aes-256-gcm", key, iv);
+  c.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([c.update(plain), c.final()]);
+  return { iv, tag: c.getAuthTag(), ct };
+}
+
+function open(key, { iv, tag, ct }, aad) {
+  const d = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  d.setAAD(Buffer.from(aad));
+  d.setAuthTag(tag);
+  return Buffer.concat([d.update(ct), d.final()]);
+}
+
+const wrapAad = (orgId, version) => `biometric-dek:${orgId}:${version}`;
+const embeddingAad = (orgId) => `biometric-embedding:${orgId}`;
+
+function wrapDataKey(dataKey, orgId, version, master = masterKeys().current) {
+  const { iv, tag, ct } = seal(master.key, dataKey, wrapAad(orgId, version));
+  return Buffer.concat([iv, tag, ct]);
+}
+
+function unwrapDataKey(doc) {
+  const master = masterKeys().byId.get(doc.masterKeyId);
+  if (!master) {
+    throw new Error(`Master key "${doc.masterKeyId}" is not configured (BIOMETRIC_MASTER_KEYS_PREVIOUS?)`);
+  }
+  const w = toBuffer(doc.wrappedKey);
+  return open(
+    master,
+    { iv: w.subarray(0, 12), tag: w.subarray(12, 28), ct: w.subarray(28) },
+    wrapAad(String(doc.orgId), doc.version),
+  );
+}
+
+/* ------------------------------ data keys ------------------------------ */
+
+const _keyCache = new Map(); // "orgId:version" -> { at, key }
+
+function cacheKey(orgId, version) {
+  return `${orgId}:${version}`;
+}
+
+function clearKeyCache() {
+  _keyCache.clear();
+}
+
+async function createDataKey(orgId, version) {
+  const { BiometricDataKey } = models();
+  const master = masterKeys().current;
+  const key = crypto.randomBytes(32);
+  await BiometricDataKey.create({
+    orgId,
+    version,
+    status: "active",
+    masterKeyId: master.id,
+    wrappedKey: wrapDataKey(key, String(orgId), version, master),
+  });
+  _keyCache.set(cacheKey(orgId, version), { at: Date.now(), key });
+  return { version, key };
+}
+
+/** The org's active data key, created on first use */
+async function activeDataKey(orgId) {
+  const { BiometricDataKey } = models();
+  const doc = await BiometricDataKey.findOne({ orgId, status: "active" })
+    .sort({ version: -1 })
+    .select("+wrappedKey")
+    .lean();
+  if (doc) return { version: doc.version, key: await dataKeyFor(orgId, doc.version, doc) };
+
+  try {
+    return await createDataKey(orgId, 1);
+  } catch (e) {
+    // another process created it first
+    if (e?.code !== 11000) throw e;
+    return activeDataKey(orgId);
+  }
+}
+
+async function dataKeyFor(orgId, version, doc = null) {
+  const ck = cacheKey(orgId, version);
+  const hit = _keyCache.get(ck);
+  if (hit && Date.now() - hit.at < KEY_CACHE_MS) return hit.key;
+
+  let d = doc;
+  if (!d) {
+    const { BiometricDataKey } = models();
+    d = await BiometricDataKey.findOne({ orgId, version }).select("+wrappedKey").lean();
+  }
+  if (!d?.wrappedKey) throw new Error(`Biometric data key v${version} is not available for org ${orgId}`);
+  const key = unwrapDataKey(d);
+  _keyCache.set(ck, { at: Date.now(), key });
+  return key;
+}
+
+/* ------------------------------ embeddings ------------------------------ */
+
+function isEncryptedEmbedding(buf) {
+  return Buffer.isBuffer(buf) && buf.length > HEADER_LEN && buf.subarray(0, 4).equals(MAGIC);
+}
+
+function toBuffer(v) {
+  if (!v) return null;
+  if (Buffer.isBuffer(v)) return v;
+  if (v._bsontype === "Binary") return Buffer.from(v.buffer.subarray(0, v.position)); // .lean()
+  if (v.buffer) return Buffer.from(v.buffer);
+  return Buffer.from(v);
+}
+
+let _plainWarned = false;
+
+/**
+ * Encrypt a raw template for storage. Returns { embedding, embeddingKeyVersion }.
+ * Without a master key this only works outside production (stored as plaintext).
+ */
+async function encryptEmbedding(orgId, plain) {
+  if (!encryptionEnabled()) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("BIOMETRIC_MASTER_KEY is not configured; refusing to store a plaintext template");
+    }
+    if (!_plainWarned) console.warn("[biometricCrypto] BIOMETRIC_MASTER_KEY not set — templates stored unencrypted");
+    _plainWarned = true;
+    return { embedding: plain, embeddingKeyVersion: null };
+  }
+
+  const { version, key } = await activeDataKey(orgId);
+  const { iv, tag, ct } = seal(key, plain, embeddingAad(String(orgId)));
+  const head = Buffer.alloc(4);
+  head.writeUInt32BE(version, 0);
+  return { embedding: Buffer.concat([MAGIC, head, iv, tag, ct]), embeddingKeyVersion: version };
+}
+
+/**
+ * Decrypt a stored template. Legacy plaintext templates are returned as-is unless
+ * BIOMETRIC_ALLOW_PLAINTEXT=0 (then null). Throws when authentication fails.
+ */
+async function decryptEmbedding(orgId, stored) {
+  const buf = toBuffer(stored);
+  if (!buf) return null;
+  if (!isEncryptedEmbedding(buf)) {
+    return String(process.env.BIOMETRIC_ALLOW_PLAINTEXT || "1") === "0" ? null : buf;
+  }
+  const version = buf.readUInt32BE(4);
+  const key = await dataKeyFor(String(orgId), version);
+  return open(
+    key,
+    { iv: buf.subarray(8, 20), tag: buf.subarray(20, 36), ct: buf.subarray(HEADER_LEN) },
+    embeddingAad(String(orgId)),
+  );
+}
+
+/* ------------------------------- rotation ------------------------------ */
+
+/** Start a new active data key version for an org; the previous one is retired */
+async function rotateOrgDataKey(orgId) {
+  const { BiometricDataKey } = models();
+  if (!encryptionEnabled()) throw new Error("BIOMETRIC_MASTER_KEY is not configured");
+  const last = await BiometricDataKey.findOne({ orgId }).sort({ version: -1 }).lean();
+  const version = (last?.version || 0) + 1;
+  await BiometricDataKey.updateMany(
+    { orgId, status: "active" },
+    { $set: { status: "retired", retiredAt: new Date() } },
+  );
+  return createDataKey(orgId, version);
+}
+
+/** Re-encrypt one enrollment's template under the org's active key */
+async function reencryptEnrollment(enrollment) {
+  const { BiometricEnrollment } = models();
+  const orgId = String(enrollment.orgId);
+  const buf = toBuffer(enrollment.embedding);
+  const plain = isEncryptedEmbedding(buf) ? await decryptEmbedding(orgId, buf) : buf;
+  const sealed = await encryptEmbedding(orgId, plain);
+  await BiometricEnrollment.updateOne({ _id: enrollment._id }, { $set: sealed });
+  return sealed.embeddingKeyVersion;
+}
+
+/** Re-wrap every data key of an org with the current master key */
+async function rewrapOrgDataKeys(orgId) {
+  const { BiometricDataKey } = models();
+  const master = masterKeys().current;
+  if (!master) throw new Error("BIOMETRIC_MASTER_KEY is not configured");
+  const docs = await BiometricDataKey.find({ orgId, status: { $ne: "destroyed" } })
+    .select("+wrappedKey")
+    .lean();
+  let n = 0;
+  for (const d of docs) {
+    if (d.masterKeyId === master.id) continue;
+    const key = unwrapDataKey(d);
+    await BiometricDataKey.updateOne(
+      { _id: d._id },
+      {
+        $set: {
+          masterKeyId: master.id,
+          wrappedKey: wrapDataKey(key, String(d.orgId), d.version, master),
+          rewrappedAt: new Date(),
+        },
+      },
+    );
+    n += 1;
+  }
+  return n;
+}
+
+/** Drop the key material of retired versions no enrollment references any more */
+async function destroyUnusedDataKeys(orgId) {
+  const { BiometricDataKey, BiometricEnrollment } = models();
+  const retired = await BiometricDataKey.find({ orgId, status: "retired" }).lean();
+  let n = 0;
+  for (const d of retired) {
+    const inUse = await BiometricEnrollment.exists({ orgId, embeddingKeyVersion: d.version });
+    if (inUse) continue;
+    await BiometricDataKey.updateOne(
+      { _id: d._id },
+      { $set: { status: "destroyed", destroyedAt: new Date() }, $unset: { wrappedKey: 1 } },
+    );
+    _keyCache.delete(cacheKey(String(orgId), d.version));
+    n += 1;
+  }
+  return n;
+}
+
+module.exports = {
+  encryptionEnabled,
+  isEncryptedEmbedding,
+  encryptEmbedding,
+  decryptEmbedding,
+  rotateOrgDataKey,
+  reencryptEnrollment,
+  rewrapOrgDataKeys,
+  destroyUnusedDataKeys,
+  clearKeyCache,
+};
@@ -0,0 +1,77 @@
+// core-backend/services/biometricMatching.js
+const mongoose = require("mongoose");
+const { bufferToFloat32Array, cosineSimilarity } = require("./faceEmbedding");
+const { decryptEmbedding } = require("./biometricCrypto");
+
+/**
+ * 1:N search of a probe embedding against an org's enrolled templates.
+ *
+ * This is the single place stored templates are decrypted (besides key rotation);
+ * it backs both kiosk identify and duplicate-identity screening at enrollment.
+ * Only templates of the provider's active templateVersion are comparable — others
+ * are counted as `staleTemplates` until the worker has migrated them.
+ */
+async function rankEnrolledMatches({
+  orgId,
+  probe,
+  provider,
+  userIds = null,
+  excludeUserIds = [],
+  limit = 2000,
+  logPrefix = "[biometricMatching]",
+}) {
+  const BiometricEnrollment =
+    mongoose.models.BiometricEnrollment || require("../models/BiometricEnrollment");
+
+  const find = {
+    orgId,
+    status: "enrolled",
+    embedding: { $exists: true, $ne: null },
+  };
+  if (userIds?.length) find.userId = { $in: userIds };
+  if (excludeUserIds?.length) {
+    find.userId = { ...(find.userId || {}), $nin: excludeUserIds };
+  }
+
+  const [enrolled, staleTemplates] = await Promise.all([
+    BiometricEnrollment.find({ ...find, templateVersion: provider.templateVersion })
+      .select({ userId: 1, templateVersion: 1 })
+      .select("+embedding")
+      .limit(limit)
+      .lean(),
+    BiometricEnrollment.countDocuments({
+      ...find,
+      templateVersion: { $ne: provider.templateVersion },
+    }),
+  ]);
+
+  let undecryptable = 0;
+
+  // Best score per user (a user may have more than one active enrollment)
+  const byUser = new Map();
+  for (const e of enrolled) {
+    let plain = null;
+    try {
+      plain = await decryptEmbedding(orgId, e.embedding);
+    } catch (eDec) {
+      undecryptable += 1;
+      if (undecryptable === 1) console.error(logPrefix, "template decrypt failed", String(e._id), eDec.message);
+    }
+    const embArr = bufferToFloat32Array(plain);
+    if (!embArr || !e.userId) continue;
+
+    const score = cosineSimilarity(probe, embArr);
+    const uid = String(e.userId);
+    const prev = byUser.get(uid);
+    if (!prev || score > prev.score) byUser.set(uid, { userId: uid, enrollmentId: String(e._id), score });
+  }
+
+  return {
+    ranked: [...byUser.values()].sort((a, b) => b.score - a.score),
+    compared: enrolled.length,
+    staleTemplates,
+    undecryptable,
+  };
+}
+
+module.exports = { rankEnrolledMatches };
@@ -0,0 +1,163 @@
+// core-backend/services/biometricScreening.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const {
+  getEmbeddingProvider,
+  loadMatchPolicy,
+  cosineSimilarity,
+} = require("./faceEmbedding");
+const { rankEnrolledMatches } = require("./biometricMatching");
+
+/**
+ * Enrollment screening, run when a biometric request is approved.
+ *
+ * Passive liveness from the multi-photo capture (the mobile app takes 3-4 shots):
+ *   photoCount   at least MIN_PHOTOS photos
+ *   distinct     no byte-identical photos (the same image uploaded several times)
+ *   consistency  every pair of photos matches above the org threshold (one person)
+ *   variation    no pair is near-identical (a printed / on-screen photo re-shot
+ *                gives almost the same embedding every time)
+ * livenessScore is the fraction of checks that passed.
+ *
+ * Duplicate identity: the template the photos would produce is searched against every
+ * enrolled user in the org (except the target); any score above the org match
+ * threshold is a duplicate — the same face already enrolled under another user.
+ *
+ * verdict: "clear" | "review" (liveness) | "duplicate" | "unavailable" (no provider)
+ */
+
+const MIN_PHOTOS = 2;
+const MAX_PHOTOS = 6;
+const NEAR_IDENTICAL = 0.995;
+const CLOSEST_LIMIT = 3;
+const DUPLICATE_LIMIT = 10;
+
+const round = (n) => (Number.isFinite(n) ? Number(n.toFixed(4)) : null);
+
+function downloadFile(bucket, fileId) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = bucket.openDownloadStream(fileId);
+    stream.on("data", (d) => chunks.push(d));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function pairwise(vectors) {
+  const scores = [];
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) scores.push(cosineSimilarity(vectors[i], vectors[j]));
+  }
+  return scores;
+}
+
+async function screenEnrollmentPhotos({ orgId, targetUserId, photoFileIds, bucket }) {
+  let provider;
+  try {
+    provider = getEmbeddingProvider();
+  } catch (e) {
+    return { verdict: "unavailable", error: e.message, checkedAt: new Date() };
+  }
+  const policy = await loadMatchPolicy(orgId, provider);
+
+  const buffers = [];
+  for (const fid of (photoFileIds || []).slice(0, MAX_PHOTOS)) {
+    try {
+      buffers.push(await downloadFile(bucket, fid));
+    } catch {
+      // missing file: counted as not usable
+    }
+  }
+
+  // One embedding per photo (providers average multiple buffers, so embed singly)
+  const vectors = [];
+  for (const b of buffers) {
+    const v = await provider.embed([b]).catch(() => null);
+    if (v) vectors.push(v);
+  }
+
+  const hashes = new Set(buffers.map((b) => crypto.createHash("sha256").update(b).digest("hex")));
+  const scores = pairwise(vectors);
+  const minPair = scores.length ? Math.min(...scores) : null;
+  const maxPair = scores.length ? Math.max(...scores) : null;
+  // The stub provider only matches byte-identical images, so similarity checks mean nothing
+  const comparable = provider.name !== "stub" && vectors.length >= 2;
+
+  const checks = [
+    {
+      key: "photoCount",
+      result: vectors.length >= MIN_PHOTOS ? "pass" : "fail",
+      detail: `${vectors.length} usable of ${(photoFileIds || []).length} photo(s)`,
+    },
+    {
+      key: "distinct",
+      result: buffers.length < 2 ? "skipped" : hashes.size === buffers.length ? "pass" : "fail",
+      detail: `${hashes.size} distinct image(s)`,
+    },
+    {
+      key: "consistency",
+      result: !comparable ? "skipped" : minPair >= policy.matchThreshold ? "pass" : "fail",
+      detail: comparable ? `lowest photo-to-photo score ${round(minPair)}` : "not available for this model",
+    },
+    {
+      key: "variation",
+      result: !comparable ? "skipped" : maxPair < NEAR_IDENTICAL ? "pass" : "fail",
+      detail: comparable ? `highest photo-to-photo score ${round(maxPair)}` : "not available for this model",
+    },
+  ];
+  const scored = checks.filter((c) => c.result !== "skipped");
+  const livenessScore = scored.length
+    ? round(scored.filter((c) => c.result === "pass").length / scored.length)
+    : null;
+
+  let duplicates = [];
+  let closest = [];
+  let staleTemplates = 0;
+  // Built the same way the worker builds the stored template
+  const probe = buffers.length ? await provider.embed(buffers).catch(() => null) : null;
+  if (probe) {
+    const exclude = mongoose.isValidObjectId(String(targetUserId || ""))
+      ? [new mongoose.Types.ObjectId(String(targetUserId))]
+      : [];
+    const found = await rankEnrolledMatches({
+      orgId,
+      probe,
+      provider,
+      excludeUserIds: exclude,
+      logPrefix: "[biometricScreening]",
+    });
+    staleTemplates = found.staleTemplates;
+
+    const User = mongoose.models.User || require("../models/User");
+    const top = found.ranked.slice(0, DUPLICATE_LIMIT);
+    const users = await User.find({ _id: { $in: top.map((r) => r.userId) } })
+      .select({ name: 1, email: 1, username: 1 })
+      .lean();
+    const byId = new Map(users.map((u) => [String(u._id), u]));
+    const describe = (r) => ({
+      userId: r.userId,
+      enrollmentId: r.enrollmentId,
+      name: byId.get(r.userId)?.name || byId.get(r.userId)?.email || byId.get(r.userId)?.username || "",
+      score: round(r.score),
+    });
+
+    duplicates = top.filter((r) => r.score >= policy.matchThreshold).map(describe);
+    closest = top.slice(0, CLOSEST_LIMIT).map(describe);
+  }
+
+  const livenessFailed = checks.some((c) => c.result === "fail");
+  return {
+    verdict: duplicates.length ? "duplicate" : livenessFailed ? "review" : "clear",
+    livenessScore,
+    checks,
+    duplicates,
+    closest,
+    threshold: policy.matchThreshold,
+    templateVersion: provider.templateVersion,
+    staleTemplates,
+    checkedAt: new Date(),
+  };
+}
+
+module.exports = { screenEnrollmentPhotos, MIN_PHOTOS };
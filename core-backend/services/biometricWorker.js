@@ -1,32 +1,35 @@
 // core-backend/services/biometricWorker.js
 const mongoose = require("mongoose");
-const crypto = require("crypto");
+const {
+  STUB_VERSION,
+  getEmbeddingProvider,
+  registerEmbeddingProvider,
+  float32ToBuffer,
+  stubEmbedding,
+} = require("./faceEmbedding");
 
 /**
  * MVP WORKER (Render-friendly)
  * - Polls Mongo for pending enrollments that have photoFileIds but no embedding
- * - Generates an embedding (stubbed) and marks user/enrollment as enrolled
- *
- * IMPORTANT:
- * - This is a STUB embedding generator (hash-based) so the pipeline works now.
- * - Swap generateEmbeddingFromImages() with a real face model later.
+ * - Generates an embedding with the active provider (services/faceEmbedding.js)
+ *   and marks user/enrollment as enrolled
+ * - Template migration: enrolled records whose templateVersion differs from the
+ *   active provider are re-generated from their stored photos
+ *   (BIOMETRIC_TEMPLATE_MIGRATION=off disables it; see scripts/migrate-biometric-templates.js).
+ *   A record that fails is retried after MIGRATION_RETRY_MS, at most
+ *   MIGRATION_MAX_ATTEMPTS times, so unusable photos don't hold up the rest.
  */
 
+const MIGRATION_MAX_ATTEMPTS = 5;
+const MIGRATION_RETRY_MS = 6 * 60 * 60 * 1000;
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Kept for callers of the old stub helper; the stub provider produces the same bytes
 function bufferToFloat32Buffer(buf) {
-  // buf -> deterministic Float32 vector (stub)
-  // Make 128 floats from sha256 chunks
-  const hash = crypto.createHash("sha256").update(buf).digest(); // 32 bytes
-  const out = new Float32Array(128);
-  for (let i = 0; i < out.length; i++) {
-    const b = hash[i % hash.length];
-    // map 0..255 => -1..1
-    out[i] = (b / 255) * 2 - 1;
-  }
-  return Buffer.from(out.buffer);
+  return float32ToBuffer(stubEmbedding(buf));
 }
 
 async function downloadGridFsFileBytes({ bucket, fileId }) {
@@ -40,24 +43,100 @@ async function downloadGridFsFileBytes({ bucket, fileId }) {
 }
 
 /**
- * STUB embedding generator:
- * - concatenates image bytes
- * - hashes them deterministically into Float32Array(128) -> Buffer
- * Replace this with real embedding model output later.
+ * Download the enrollment photos (mobile captures ~3-4) and turn them into one
+ * template with the active provider. Returns { embedding: Buffer, templateVersion } or null.
  */
-async function generateEmbeddingFromImages({ bucket, photoFileIds }) {
-  const take = (photoFileIds || []).slice(0, 1); // you capture ~3-4
-  const bytes = [];
-  for (const fid of take) {
+async function generateEmbeddingFromImages({ bucket, photoFileIds, provider }) {
+  const p = provider || getEmbeddingProvider();
+  const buffers = [];
+  for (const fid of (photoFileIds || []).slice(0, 6)) {
     try {
-      const b = await downloadGridFsFileBytes({ bucket, fileId: fid });
-      bytes.push(b);
+      buffers.push(await downloadGridFsFileBytes({ bucket, fileId: fid }));
     } catch {
       // ignore missing file
     }
   }
-  if (!bytes.length) return null;
-  return bufferToFloat32Buffer(Buffer.concat(bytes));
+  if (!buffers.length) return null;
+  const vec = await p.embed(buffers);
+  if (!vec) return null;
+  return { embedding: float32ToBuffer(vec), templateVersion: p.templateVersion };
+}
+
+/**
+ * (Re)generate one enrollment's template and sync the user's biometric summary.
+ * `status` is set to enrolled for pending records; enrolled ones keep their status.
+ */
+async function embedEnrollment(enrollment, { bucket, provider, logPrefix = "[biometricWorker]" } = {}) {
+  const BiometricEnrollment = require("../models/BiometricEnrollment");
+  const User = require("../models/User");
+
+  const now = new Date();
+  const migrating = enrollment.status === "enrolled";
+
+  // a failed migration is recorded so the worker moves on to other records
+  const recordFailure = (reason) =>
+    migrating
+      ? BiometricEnrollment.updateOne(
+          { _id: enrollment._id },
+          {
+            $inc: { templateMigrationAttempts: 1 },
+            $set: { templateMigrationAttemptAt: now, templateMigrationError: reason },
+          },
+          { timestamps: false },
+        )
+      : null;
+
+  let result;
+  try {
+    result = await generateEmbeddingFromImages({
+      bucket,
+      photoFileIds: enrollment.photoFileIds || [],
+      provider,
+    });
+  } catch (e) {
+    await recordFailure(String(e?.message || e).slice(0, 500));
+    throw e;
+  }
+  if (!result) {
+    console.warn(logPrefix, "No usable photos for enrollment", String(enrollment._id));
+    await recordFailure("No usable photos");
+    return false;
+  }
+
+  const { encryptEmbedding } = require("./biometricCrypto");
+  const sealed = await encryptEmbedding(enrollment.orgId, result.embedding);
+
+  await BiometricEnrollment.updateOne(
+    { _id: enrollment._id },
+    {
+      $set: {
+        status: "enrolled",
+        templateVersion: result.templateVersion,
+        embedding: sealed.embedding,
+        embeddingKeyVersion: sealed.embeddingKeyVersion,
+        updatedAt: now,
+        ...(migrating
+          ? {
+              previousTemplateVersion: enrollment.templateVersion || null,
+              templateMigratedAt: now,
+            }
+          : {}),
+      },
+      $unset: { templateMigrationAttempts: 1, templateMigrationAttemptAt: 1, templateMigrationError: 1 },
+    },
+  );
+
+  await User.updateOne(
+    { _id: enrollment.userId, orgId: enrollment.orgId },
+    {
+      $set: {
+        "biometric.status": "enrolled",
+        "biometric.templateVersion": result.templateVersion,
+        "biometric.lastUpdatedAt": now,
+      },
+    },
+  );
+  return true;
 }
 
 let started = false;
@@ -71,15 +150,28 @@ function startBiometricWorker({
   started = true;
 
   const inflight = new Set();
+  const migrate =
+    String(process.env.BIOMETRIC_TEMPLATE_MIGRATION || "auto").toLowerCase() !== "off";
+  let providerError = null;
 
   async function tick() {
     try {
       const db = mongoose.connection?.db;
       if (!db) return;
 
+      let provider;
+      try {
+        provider = getEmbeddingProvider();
+        providerError = null;
+      } catch (e) {
+        // log once per distinct failure instead of every poll
+        if (providerError !== e.message) console.error(logPrefix, "embedding provider unavailable:", e.message);
+        providerError = e.message;
+        return;
+      }
+
       // Lazy require (avoids circular init problems)
       const BiometricEnrollment = require("../models/BiometricEnrollment");
-      const User = require("../models/User");
 
       const { GridFSBucket } = require("mongodb");
       const bucket = new GridFSBucket(db, { bucketName: "mobileOffline" });
@@ -95,9 +187,29 @@ function startBiometricWorker({
       const candidates = await BiometricEnrollment.find(q)
         .sort({ updatedAt: -1 })
         .limit(maxPerTick * 3)
-        .select({ _id: 1, orgId: 1, userId: 1, photoFileIds: 1 })
+        .select({ _id: 1, orgId: 1, userId: 1, photoFileIds: 1, status: 1 })
         .lean();
 
+      // Then stale templates from an older model (never tried first, then the
+      // longest-ago failure), if there is room
+      if (migrate && candidates.length < maxPerTick) {
+        const stale = await BiometricEnrollment.find({
+          status: "enrolled",
+          templateVersion: { $ne: provider.templateVersion },
+          photoFileIds: { $exists: true, $not: { $size: 0 } },
+          templateMigrationAttempts: { $not: { $gte: MIGRATION_MAX_ATTEMPTS } },
+          $or: [
+            { templateMigrationAttemptAt: null },
+            { templateMigrationAttemptAt: { $lt: new Date(Date.now() - MIGRATION_RETRY_MS) } },
+          ],
+        })
+          .sort({ templateMigrationAttemptAt: 1, updatedAt: 1 })
+          .limit(maxPerTick)
+          .select({ _id: 1, orgId: 1, userId: 1, photoFileIds: 1, status: 1, templateVersion: 1 })
+          .lean();
+        candidates.push(...stale);
+      }
+
       let processed = 0;
 
       for (const c of candidates) {
@@ -111,47 +223,16 @@ function startBiometricWorker({
 
         (async () => {
           try {
-            const embedBuf = await generateEmbeddingFromImages({
-              bucket,
-              photoFileIds: c.photoFileIds || [],
-            });
-
-            if (!embedBuf) {
-              console.warn(logPrefix, "No photos found for enrollment", key);
-              return;
-            }
-
-            // Write embedding + mark enrolled
-            await BiometricEnrollment.updateOne(
-              { _id: c._id },
-              {
-                $set: {
-                  status: "enrolled",
-                  templateVersion: "face-emb-v0-stub", // change later
-                  embedding: embedBuf,
-                  updatedAt: new Date(),
-                },
-              },
-            );
-
-            // Update user biometric summary
-            await User.updateOne(
-              { _id: c.userId, orgId: c.orgId },
-              {
-                $set: {
-                  "biometric.status": "enrolled",
-                  "biometric.templateVersion": "face-emb-v0-stub",
-                  "biometric.lastUpdatedAt": new Date(),
-                },
-              },
-            );
+            const ok = await embedEnrollment(c, { bucket, provider, logPrefix });
+            if (!ok) return;
 
             console.log(
               logPrefix,
-              "Enrolled user",
+              c.status === "enrolled" ? "Migrated template for user" : "Enrolled user",
               String(c.userId),
               "enrollment",
               key,
+              provider.templateVersion,
             );
           } catch (e) {
             console.error(logPrefix, "Failed processing enrollment", key, e);
@@ -167,7 +248,7 @@ function startBiometricWorker({
 
   // main loop
   (async () => {
-    console.log(logPrefix, "started", { pollMs, maxPerTick });
+    console.log(logPrefix, "started", { pollMs, maxPerTick, migrate });
     while (true) {
       await tick();
       await sleep(pollMs);
@@ -177,5 +258,9 @@ function startBiometricWorker({
 
 module.exports = {
   startBiometricWorker,
+  generateEmbeddingFromImages,
+  embedEnrollment,
+  registerEmbeddingProvider,
   bufferToFloat32Buffer,
+  STUB_VERSION,
 };
@@ -0,0 +1,268 @@
+// core-backend/services/clockingFence.js
+const mongoose = require("mongoose");
+
+/**
+ * Geofence evaluation for clockings at ingest (web + mobile clock batches).
+ *
+ * Every attendance punch with a projectId is checked against that project's fences
+ * (locationGeoFence circle, legacy geoPolygon, canonical geoJSON, UI geoFences[]).
+ * The result is stored on Clocking.fence:
+ *
+ *   { status: "inside" | "outside" | "no-location" | "no-fence",
+ *     distanceM,   // 0 when inside, metres to the nearest fence edge when outside
+ *     exception, // true when the exceptions report should list it
+ *     policy, checkedAt, fenceCount }
+ *
+ * Per-org policy (Org.settings.clockings):
+ *   fencePolicy:     "allow" | "flag" | "reject"   (default "flag")
+ *   toleranceMeters: slack added to every fence    (default 0)
+ *
+ * "allow" stores the result but never reports it as an exception, "flag" keeps the
+ * punch and lists it in the exceptions report, "reject" refuses outside punches.
+ */
+
+const FENCE_POLICIES = ["allow", "flag", "reject"];
+const FENCED_TYPES = ["present", "in", "out", "overtime"];
+const DEFAULT_POLICY = Object.freeze({ fencePolicy: "flag", toleranceMeters: 0 });
+
+function models() {
+  return {
+    Project: mongoose.models.Project || require("../models/Project"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+/* ------------------------------ geometry ------------------------------ */
+
+const R = 6371000;
+const toRad = (d) => (d * Math.PI) / 180;
+
+function haversineMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// ring: [[lng,lat], ...]
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0],
+      yi = ring[i][1];
+    const xj = ring[j][0],
+      yj = ring[j][1];
+    const intersect =
+      yi > point.lat !== yj > point.lat &&
+      point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+/** Metres from point to the nearest edge of a ring (local equirectangular projection) */
+function distanceToRingMeters(point, ring) {
+  const kx = Math.cos(toRad(point.lat)) * R;
+  const project = ([lng, lat]) => ({
+    x: toRad(lng - point.lng) * kx,
+    y: toRad(lat - point.lat) * R,
+  });
+  let best = Infinity;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = project(ring[j]);
+    const b = project(ring[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / len2)) : 0;
+    const px = a.x + t * dx;
+    const py = a.y + t * dy;
+    best = Math.min(best, Math.sqrt(px * px + py * py));
+  }
+  return best;
+}
+
+const validRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 3 &&
+  ring.every((p) => Array.isArray(p) && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1])));
+
+const numRing = (ring) => ring.map((p) => [Number(p[0]), Number(p[1])]);
+
+/**
+ * Normalise every fence representation on a project into
+ *   { type: "circle", center, radius } | { type: "polygon", ring, holes }
+ */
+function collectProjectFences(project) {
+  const src = project || {};
+  const fences = [];
+
+  const c = src.locationGeoFence;
+  if (c?.lat != null && c?.lng != null) {
+    fences.push({
+      type: "circle",
+      center: { lat: Number(c.lat), lng: Number(c.lng) },
+      radius: Number(c.radius || 50),
+    });
+  }
+
+  if (Array.isArray(src.geoPolygon) && src.geoPolygon.length >= 3) {
+    const ring = src.geoPolygon.map((p) => [Number(p.lng), Number(p.lat)]);
+    if (validRing(ring)) fences.push({ type: "polygon", ring, holes: [] });
+  }
+
+  const gj = src.geoJSON;
+  if (gj?.type === "Polygon" && Array.isArray(gj.coordinates)) {
+    const [outer, ...holes] = gj.coordinates;
+    if (validRing(outer)) {
+      fences.push({ type: "polygon", ring: numRing(outer), holes: holes.filter(validRing).map(numRing) });
+    }
+  } else if (gj?.type === "MultiPolygon" && Array.isArray(gj.coordinates)) {
+    for (const poly of gj.coordinates) {
+      const [outer, ...holes] = Array.isArray(poly) ? poly : [];
+      if (validRing(outer)) {
+        fences.push({ type: "polygon", ring: numRing(outer), holes: holes.filter(validRing).map(numRing) });
+      }
+    }
+  }
+
+  if (Array.isArray(src.geoFences)) {
+    for (const f of src.geoFences) {
+      if (f?.type === "circle" && f.center && f.radius != null) {
+        fences.push({
+          type: "circle",
+          center: { lat: Number(f.center.lat), lng: Number(f.center.lng) },
+          radius: Number(f.radius),
+        });
+      } else if (f?.type === "polygon" && validRing(f.polygon)) {
+        fences.push({ type: "polygon", ring: numRing(f.polygon), holes: [] });
+      }
+    }
+  }
+
+  return fences;
+}
+
+/**
+ * { inside, distanceM } for a point against a set of fences.
+ * distanceM is 0 when inside, else the smallest distance to any fence edge.
+ */
+function evaluatePoint(point, fences, { toleranceMeters = 0 } = {}) {
+  let best = Infinity;
+  for (const f of fences) {
+    let d;
+    if (f.type === "circle") {
+      d = Math.max(0, haversineMeters(f.center, point) - (f.radius || 0));
+    } else {
+      const inOuter = pointInRing(point, f.ring);
+      const inHole = inOuter && f.holes.some((h) => pointInRing(point, h));
+      if (inOuter && !inHole) d = 0;
+      else if (inHole) d = Math.min(...f.holes.map((h) => distanceToRingMeters(point, h)));
+      else d = distanceToRingMeters(point, f.ring);
+    }
+    best = Math.min(best, d);
+    if (best === 0) break;
+  }
+  const distanceM = Number.isFinite(best) ? Math.round(best * 10) / 10 : null;
+  return { inside: distanceM != null && distanceM <= toleranceMeters, distanceM };
+}
+
+/* -------------------------------- policy ------------------------------- */
+
+function normalizePolicy(raw = {}) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const fencePolicy = FENCE_POLICIES.includes(r.fencePolicy) ? r.fencePolicy : DEFAULT_POLICY.fencePolicy;
+  const tol = Number(r.toleranceMeters);
+  return {
+    fencePolicy,
+    toleranceMeters: Number.isFinite(tol) && tol >= 0 ? tol : DEFAULT_POLICY.toleranceMeters,
+  };
+}
+
+async function loadFencePolicy(orgId) {
+  try {
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return normalizePolicy();
+    const { Org } = models();
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    return normalizePolicy(org?.settings?.clockings);
+  } catch {
+    return normalizePolicy();
+  }
+}
+
+/* ------------------------------ evaluation ----------------------------- */
+
+const _projectCache = new Map(); // projectId -> { at, fences }
+const PROJECT_CACHE_MS = 60 * 1000;
+
+async function fencesForProject(projectId) {
+  const key = String(projectId || "");
+  if (!mongoose.isValidObjectId(key)) return [];
+  const hit = _projectCache.get(key);
+  if (hit && Date.now() - hit.at < PROJECT_CACHE_MS) return hit.fences;
+
+  const { Project } = models();
+  const p = await Project.findById(key)
+    .select({ locationGeoFence: 1, geoPolygon: 1, geoJSON: 1, geoFences: 1 })
+    .lean();
+  const fences = collectProjectFences(p);
+  _projectCache.set(key, { at: Date.now(), fences });
+  return fences;
+}
+
+/**
+ * Evaluate one punch. Returns
+ *   { fence, exception, reject }
+ * where `fence` is the value to store on Clocking.fence (undefined when the
+ * punch type isn't fenced or there is no project), `exception` marks it for the
+ * report and `reject` means the org policy refuses it.
+ */
+async function evaluateClocking({ orgId, projectId, type, location }, { policy } = {}) {
+  const t = String(type || "present").toLowerCase();
+  if (!projectId || !FENCED_TYPES.includes(t)) return { fence: undefined, exception: false, reject: false };
+
+  const pol = policy || (await loadFencePolicy(orgId));
+  const fences = await fencesForProject(projectId);
+  const base = { policy: pol.fencePolicy, checkedAt: new Date(), fenceCount: fences.length };
+
+  if (!fences.length) {
+    return {
+      fence: { ...base, status: "no-fence", distanceM: null, exception: false },
+      exception: false,
+      reject: false,
+    };
+  }
+
+  const lat = Number(location?.lat);
+  const lng = Number(location?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    const exception = pol.fencePolicy !== "allow";
+    return {
+      fence: { ...base, status: "no-location", distanceM: null, exception },
+      exception,
+      reject: false,
+    };
+  }
+
+  const { inside, distanceM } = evaluatePoint({ lat, lng }, fences, pol);
+  const exception = !inside && pol.fencePolicy !== "allow";
+  return {
+    fence: { ...base, status: inside ? "inside" : "outside", distanceM: inside ? 0 : distanceM, exception },
+    exception,
+    reject: !inside && pol.fencePolicy === "reject",
+  };
+}
+
+module.exports = {
+  FENCE_POLICIES,
+  FENCED_TYPES,
+  DEFAULT_POLICY,
+  haversineMeters,
+  collectProjectFences,
+  evaluatePoint,
+  normalizePolicy,
+  loadFencePolicy,
+  evaluateClocking,
+};
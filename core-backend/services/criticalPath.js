@@ -0,0 +1,477 @@
+// core-backend/services/criticalPath.js
+const mongoose = require("mongoose");
+
+/**
+ * Critical path (CPM) over one project's tasks and task milestones.
+ *
+ * Links come from Task.dependsOn ({ kind: task|milestone|deliverable, id, type: FS|SS|FF|SF },
+ * no lag) and from TaskMilestone.requires / blockedBy (finish-to-start). A milestone also
+ * cannot start before its own task starts (start-to-start).
+ *
+ * Planned dates are "start no earlier than" dates, so a schedule only ever pushes work
+ * out, never pulls it in. Progress is respected: finished items sit at their actual
+ * dates, started items at their actual start, and (unless ignoreProgress) nothing
+ * unfinished can start or finish before the status date.
+ *
+ *   computeSchedule(nodes, opts)   pure forward/backward pass -> { items, criticalPath, ... }
+ *   projectSchedule(opts)          load the project's network + computeSchedule
+ *   applySchedule(opts)            write the proposed (pushed-out) planned dates
+ *   dependencyBlockers(task, act)  typed-link check for POST /tasks/:id/action
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const EPS = 60 * 1000; // floats under a minute count as zero
+const DEFAULT_NEAR_DAYS = 2;
+const LINK_TYPES = ["FS", "SS", "FF", "SF"];
+
+function models() {
+  return {
+    Task: mongoose.models.Task || require("../models/Task"),
+    TaskMilestone: mongoose.models.TaskMilestone || require("../models/TaskMilestone"),
+  };
+}
+
+function asOid(x) {
+  const s = String(x?._id || x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+const fail = (status, msg) => Object.assign(new Error(msg), { status });
+
+const ms = (d) => {
+  if (!d) return null;
+  const t = new Date(d).getTime();
+  return Number.isFinite(t) ? t : null;
+};
+const iso = (t) => (t == null ? null : new Date(t).toISOString());
+const days = (t) => (t == null ? null : Math.round((t / DAY) * 100) / 100);
+
+// Task.orgId / TaskMilestone.orgId are Mixed: match both shapes
+function orgMatch(orgId) {
+  const oid = asOid(orgId);
+  return oid ? { orgId: { $in: [oid, String(oid)] } } : {};
+}
+
+/* ------------------------------- status ------------------------------- */
+
+function taskState(status) {
+  const s = String(status || "").toLowerCase();
+  if (s === "completed") return "finished";
+  if (["in-progress", "paused", "paused-problem"].includes(s)) return "started";
+  return "pending";
+}
+
+function milestoneState(status) {
+  const s = String(status || "").toLowerCase();
+  if (s === "finished") return "finished";
+  if (["started", "paused", "paused - problem"].includes(s)) return "started";
+  return "pending";
+}
+
+/* ------------------------------- network ------------------------------- */
+
+const keyOf = (kind, id) => `${kind === "task" ? "task" : "milestone"}:${String(id)}`;
+
+function taskNode(t, external = false) {
+  const start = ms(t.plannedStartAt || t.startDate);
+  const finish = ms(t.plannedEndAt || t.dueAt || t.dueDate);
+  return {
+    key: keyOf("task", t._id),
+    kind: "task",
+    id: String(t._id),
+    name: t.title || "",
+    status: t.status || "pending",
+    state: taskState(t.status),
+    plannedStart: start ?? finish,
+    plannedFinish: finish ?? start,
+    actualStart: ms(t.actualStartAt),
+    actualFinish: ms(t.actualEndAt),
+    external,
+    preds: (Array.isArray(t.dependsOn) ? t.dependsOn : [])
+      .filter((d) => d && d.id)
+      .map((d) => ({
+        key: keyOf(d.kind || "task", d.id),
+        type: LINK_TYPES.includes(d.type) ? d.type : "FS",
+      })),
+  };
+}
+
+function milestoneNode(m, external = false) {
+  const start = ms(m.startPlanned);
+  const finish = ms(m.endPlanned);
+  const links = [...(m.requires || []), ...(m.blockedBy || [])].map(String);
+  const preds = [...new Set(links)].map((id) => ({ key: keyOf("milestone", id), type: "FS" }));
+  if (m.taskId) preds.push({ key: keyOf("task", m.taskId), type: "SS", parent: true });
+  return {
+    key: keyOf("milestone", m._id),
+    kind: "milestone",
+    id: String(m._id),
+    taskId: m.taskId ? String(m.taskId) : null,
+    name: m.name || "",
+    milestoneKind: m.kind || "milestone",
+    status: m.status || "pending",
+    state: milestoneState(m.status),
+    plannedStart: start ?? finish,
+    plannedFinish: finish ?? start,
+    actualStart: null,
+    actualFinish: ms(m.actualEndAt || m.completedAt),
+    external,
+    preds,
+  };
+}
+
+/* -------------------------------- passes -------------------------------- */
+
+// Kahn's algorithm; whatever is left over sits on (or behind) a cycle
+function topoOrder(nodes, byKey) {
+  const indeg = new Map(nodes.map((n) => [n.key, 0]));
+  const succs = new Map(nodes.map((n) => [n.key, []]));
+  for (const n of nodes) {
+    for (const p of n.preds) {
+      if (!byKey.has(p.key)) continue;
+      indeg.set(n.key, indeg.get(n.key) + 1);
+      succs.get(p.key).push({ key: n.key, type: p.type });
+    }
+  }
+  const queue = nodes.filter((n) => indeg.get(n.key) === 0).map((n) => n.key);
+  const order = [];
+  while (queue.length) {
+    const k = queue.shift();
+    order.push(k);
+    for (const s of succs.get(k)) {
+      indeg.set(s.key, indeg.get(s.key) - 1);
+      if (indeg.get(s.key) === 0) queue.push(s.key);
+    }
+  }
+  const stuck = nodes.filter((n) => indeg.get(n.key) > 0).map((n) => n.key);
+  return { order, succs, stuck };
+}
+
+/**
+ * Forward + backward pass over plain nodes (see taskNode / milestoneNode).
+ * opts: { statusDate (Date|ms, default now), ignoreProgress, nearCriticalDays, finishBy }
+ * External nodes (predecessors in other projects) constrain the network but never move.
+ */
+function computeSchedule(nodes, opts = {}) {
+  const statusDate = opts.ignoreProgress ? null : ms(opts.statusDate) ?? Date.now();
+  const nearMs = (Number.isFinite(Number(opts.nearCriticalDays)) ? Number(opts.nearCriticalDays) : DEFAULT_NEAR_DAYS) * DAY;
+  const warnings = [];
+
+  const scheduled = [];
+  for (const n of nodes) {
+    if (n.plannedStart == null) {
+      if (!n.external) warnings.push({ code: "unscheduled", key: n.key, message: `"${n.name}" has no planned dates` });
+      continue;
+    }
+    scheduled.push(n);
+  }
+  const byKey = new Map(scheduled.map((n) => [n.key, n]));
+
+  for (const n of scheduled) {
+    if (n.external) continue;
+    for (const p of n.preds) {
+      if (!byKey.has(p.key) && !p.parent) {
+        warnings.push({ code: "missing-link", key: n.key, message: `"${n.name}" depends on an item that is missing or unscheduled` });
+      }
+    }
+  }
+
+  const { order, succs, stuck } = topoOrder(scheduled, byKey);
+  if (stuck.length) {
+    warnings.push({
+      code: "cycle",
+      keys: stuck,
+      message: `Circular dependencies: ${stuck.map((k) => `"${byKey.get(k).name}"`).join(", ")}`,
+    });
+  }
+
+  // forward pass
+  const es = new Map();
+  const ef = new Map();
+  const dur = new Map();
+  for (const k of order) {
+    const n = byKey.get(k);
+    const plannedDur = Math.max(0, n.plannedFinish - n.plannedStart);
+
+    if (n.external || n.state === "finished") {
+      const finish = n.actualFinish ?? n.plannedFinish;
+      const start = Math.min(n.actualStart ?? finish - plannedDur, finish);
+      es.set(k, start);
+      ef.set(k, finish);
+      dur.set(k, finish - start);
+      continue;
+    }
+
+    let startLo = n.plannedStart;
+    let finishLo = -Infinity;
+    for (const p of n.preds) {
+      if (!byKey.has(p.key) || !es.has(p.key)) continue;
+      if (p.type === "FS") startLo = Math.max(startLo, ef.get(p.key));
+      else if (p.type === "SS") startLo = Math.max(startLo, es.get(p.key));
+      else if (p.type === "FF") finishLo = Math.max(finishLo, ef.get(p.key));
+      else if (p.type === "SF") finishLo = Math.max(finishLo, es.get(p.key));
+    }
+
+    let start;
+    let finish;
+    if (n.state === "started") {
+      // already running: the start is a fact, the finish stretches
+      start = n.actualStart ?? n.plannedStart;
+      finish = Math.max(start + plannedDur, finishLo);
+      if (statusDate != null) finish = Math.max(finish, statusDate);
+    } else {
+      if (statusDate != null) startLo = Math.max(startLo, statusDate);
+      start = Math.max(startLo, finishLo - plannedDur);
+      finish = start + plannedDur;
+    }
+    es.set(k, start);
+    ef.set(k, finish);
+    dur.set(k, finish - start);
+  }
+
+  const inNetwork = order.map((k) => byKey.get(k)).filter((n) => !n.external);
+  const computedFinish = inNetwork.reduce((a, n) => Math.max(a, ef.get(n.key)), -Infinity);
+  const projectFinish = Number.isFinite(computedFinish) ? computedFinish : null;
+  const finishBy = ms(opts.finishBy);
+
+  // backward pass: late dates against the computed finish, so the longest chain has zero float
+  const ls = new Map();
+  const lf = new Map();
+  for (const k of [...order].reverse()) {
+    const n = byKey.get(k);
+    let late = projectFinish ?? ef.get(k);
+    for (const s of succs.get(k)) {
+      if (!ls.has(s.key)) continue;
+      if (s.type === "FS") late = Math.min(late, ls.get(s.key));
+      else if (s.type === "SS") late = Math.min(late, ls.get(s.key) + dur.get(k));
+      else if (s.type === "FF") late = Math.min(late, lf.get(s.key));
+      else if (s.type === "SF") late = Math.min(late, lf.get(s.key) + dur.get(k));
+    }
+    if (n.external || n.state === "finished") late = ef.get(k);
+    lf.set(k, late);
+    ls.set(k, late - dur.get(k));
+  }
+
+  function freeFloat(k) {
+    let free = projectFinish != null ? projectFinish - ef.get(k) : 0;
+    for (const s of succs.get(k)) {
+      if (!es.has(s.key)) continue;
+      if (s.type === "FS") free = Math.min(free, es.get(s.key) - ef.get(k));
+      else if (s.type === "SS") free = Math.min(free, es.get(s.key) - es.get(k));
+      else if (s.type === "FF") free = Math.min(free, ef.get(s.key) - ef.get(k));
+      else if (s.type === "SF") free = Math.min(free, ef.get(s.key) - es.get(k));
+    }
+    return Math.max(0, free);
+  }
+
+  const items = [];
+  const cycle = new Set(stuck);
+  for (const n of nodes) {
+    if (n.external) continue;
+    const k = n.key;
+    const base = {
+      key: k,
+      kind: n.kind,
+      id: n.id,
+      ...(n.kind === "milestone" ? { taskId: n.taskId, milestoneKind: n.milestoneKind } : {}),
+      name: n.name,
+      status: n.status,
+      done: n.state === "finished",
+      planned: { start: iso(n.plannedStart), finish: iso(n.plannedFinish) },
+      preds: n.preds.filter((p) => !p.parent).map((p) => ({ key: p.key, type: p.type })),
+    };
+    if (!es.has(k)) {
+      items.push({ ...base, inCycle: cycle.has(k), scheduled: false });
+      continue;
+    }
+
+    const total = base.done ? null : ls.get(k) - es.get(k);
+    const critical = total != null && total <= EPS;
+    const startShift = n.state === "pending" ? es.get(k) - n.plannedStart : 0;
+    const finishShift = base.done ? 0 : ef.get(k) - n.plannedFinish;
+    const moved = startShift > EPS || finishShift > EPS;
+
+    items.push({
+      ...base,
+      scheduled: true,
+      early: { start: iso(es.get(k)), finish: iso(ef.get(k)) },
+      late: { start: iso(ls.get(k)), finish: iso(lf.get(k)) },
+      totalFloatDays: total == null ? null : days(Math.max(0, total)),
+      freeFloatDays: base.done ? null : days(freeFloat(k)),
+      critical,
+      nearCritical: !critical && total != null && total <= nearMs,
+      slipDays: days(Math.max(0, finishShift)),
+      moved,
+      ...(moved
+        ? {
+            proposed: {
+              start: iso(n.state === "pending" ? es.get(k) : n.plannedStart),
+              finish: iso(ef.get(k)),
+            },
+          }
+        : {}),
+    });
+  }
+
+  // a milestone pushed past the end of its own task
+  const byId = new Map(items.map((i) => [i.key, i]));
+  for (const i of items) {
+    if (i.kind !== "milestone" || !i.taskId || !i.early) continue;
+    const parent = byId.get(keyOf("task", i.taskId));
+    if (parent?.early && ms(i.early.finish) > ms(parent.early.finish) + EPS) {
+      warnings.push({
+        code: "milestone-after-task",
+        key: i.key,
+        message: `"${i.name}" would finish after its task "${parent.name}"`,
+      });
+    }
+  }
+
+  const criticalPath = items
+    .filter((i) => i.critical)
+    .sort((a, b) => ms(a.early.start) - ms(b.early.start) || ms(a.early.finish) - ms(b.early.finish))
+    .map((i) => i.key);
+
+  return {
+    statusDate: iso(statusDate),
+    nearCriticalDays: nearMs / DAY,
+    finish: iso(projectFinish),
+    finishBy: iso(finishBy),
+    slipDays: finishBy != null && projectFinish != null ? days(Math.max(0, projectFinish - finishBy)) : null,
+    criticalPath,
+    moved: items.filter((i) => i.moved).length,
+    items,
+    warnings,
+  };
+}
+
+/* ------------------------------- loading ------------------------------- */
+
+async function loadNetwork(projectId, orgId) {
+  const { Task, TaskMilestone } = models();
+  const pid = asOid(projectId);
+  if (!pid) throw fail(400, "Invalid project id");
+
+  const live = { isDeleted: { $ne: true }, ...orgMatch(orgId) };
+  const [tasks, milestones] = await Promise.all([
+    Task.find({ projectId: pid, ...live }).lean(),
+    TaskMilestone.find({ projectId: { $in: [pid, String(pid)] }, ...live }).lean(),
+  ]);
+  const nodes = [...tasks.map((t) => taskNode(t)), ...milestones.map((m) => milestoneNode(m))];
+
+  // predecessors in other projects constrain this one but are not rescheduled by it
+  const have = new Set(nodes.map((n) => n.key));
+  const missing = { task: new Set(), milestone: new Set() };
+  for (const n of nodes) {
+    for (const p of n.preds) {
+      if (have.has(p.key)) continue;
+      const [kind, id] = p.key.split(":");
+      missing[kind].add(id);
+    }
+  }
+  const [extTasks, extMilestones] = await Promise.all([
+    missing.task.size
+      ? Task.find({ _id: { $in: [...missing.task].map(asOid).filter(Boolean) }, ...live }).lean()
+      : [],
+    missing.milestone.size
+      ? TaskMilestone.find({ _id: { $in: [...missing.milestone].map(asOid).filter(Boolean) }, ...live }).lean()
+      : [],
+  ]);
+  nodes.push(...extTasks.map((t) => taskNode(t, true)), ...extMilestones.map((m) => milestoneNode(m, true)));
+
+  return nodes;
+}
+
+/**
+ * opts: { project, orgId, statusDate, ignoreProgress, nearCriticalDays }
+ * project is the (org-checked) Project document or lean object.
+ */
+async function projectSchedule({ project, orgId, ...opts }) {
+  const nodes = await loadNetwork(project._id, orgId);
+  return {
+    projectId: String(project._id),
+    ...computeSchedule(nodes, { ...opts, finishBy: project.endDate }),
+  };
+}
+
+/**
+ * Recompute, then write the proposed planned dates for moved items (all of them, or
+ * only `keys`). Finished items never move. -> { updated, schedule }
+ */
+async function applySchedule({ project, orgId, keys, ...opts }) {
+  const { Task, TaskMilestone } = models();
+  const before = await projectSchedule({ project, orgId, ...opts });
+  const only = Array.isArray(keys) && keys.length ? new Set(keys.map(String)) : null;
+  const todo = before.items.filter((i) => i.moved && (!only || only.has(i.key)));
+  if (before.warnings.some((w) => w.code === "cycle") && todo.length) {
+    throw fail(409, "Resolve the circular dependencies before applying the schedule");
+  }
+
+  let updated = 0;
+  for (const item of todo) {
+    const Model = item.kind === "task" ? Task : TaskMilestone;
+    const doc = await Model.findOne({ _id: item.id, ...orgMatch(orgId) });
+    if (!doc) continue;
+    if (item.kind === "task") {
+      doc.plannedStartAt = new Date(item.proposed.start);
+      doc.plannedEndAt = new Date(item.proposed.finish);
+    } else {
+      doc.startPlanned = new Date(item.proposed.start);
+      doc.endPlanned = new Date(item.proposed.finish);
+    }
+    await doc.save();
+    updated += 1;
+  }
+
+  const schedule = updated ? await projectSchedule({ project, orgId, ...opts }) : before;
+  return { updated, schedule };
+}
+
+/* ------------------------------ enforcement ------------------------------ */
+
+/**
+ * Typed links that stop a task action:
+ *   start/resume: FS predecessors finished, SS predecessors started
+ *   complete:     FF predecessors finished, SF predecessors started
+ * -> [{ kind, id, name, type, status }]
+ */
+async function dependencyBlockers(task, action) {
+  const { Task, TaskMilestone } = models();
+  const links = (Array.isArray(task?.dependsOn) ? task.dependsOn : []).filter((d) => d && d.id);
+  const starting = action === "start" || action === "resume";
+  const wanted = links.filter((d) =>
+    starting ? ["FS", "SS"].includes(d.type || "FS") : action === "complete" && ["FF", "SF"].includes(d.type),
+  );
+  if (!wanted.length) return [];
+
+  const taskIds = wanted.filter((d) => (d.kind || "task") === "task").map((d) => d.id);
+  const msIds = wanted.filter((d) => (d.kind || "task") !== "task").map((d) => d.id);
+  const [tasks, milestones] = await Promise.all([
+    taskIds.length ? Task.find({ _id: { $in: taskIds } }).select("title status").lean() : [],
+    msIds.length ? TaskMilestone.find({ _id: { $in: msIds } }).select("name status").lean() : [],
+  ]);
+  const found = new Map([
+    ...tasks.map((t) => [keyOf("task", t._id), { name: t.title, status: t.status, state: taskState(t.status) }]),
+    ...milestones.map((m) => [keyOf("milestone", m._id), { name: m.name, status: m.status, state: milestoneState(m.status) }]),
+  ]);
+
+  const blockers = [];
+  for (const d of wanted) {
+    const type = d.type || "FS";
+    const pred = found.get(keyOf(d.kind || "task", d.id));
+    if (!pred) continue; // deleted predecessors don't block
+    const needFinished = type === "FS" || type === "FF";
+    const ok = needFinished ? pred.state === "finished" : pred.state !== "pending";
+    if (!ok) blockers.push({ kind: d.kind || "task", id: String(d.id), name: pred.name || "", type, status: pred.status });
+  }
+  return blockers;
+}
+
+module.exports = {
+  LINK_TYPES,
+  computeSchedule,
+  loadNetwork,
+  projectSchedule,
+  applySchedule,
+  dependencyBlockers,
+};
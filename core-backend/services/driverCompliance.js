@@ -0,0 +1,235 @@
+// core-backend/services/driverCompliance.js
+const mongoose = require("mongoose");
+const { driverAt } = require("./vehicleAssignments");
+
+/**
+ * Driver licence / competency check for starting a trip.
+ *
+ * A vehicle's `vehicleType` (free text) maps to the licence codes that may drive
+ * it and whether a PrDP is needed. Codes follow the South African card, where a
+ * higher code includes the lower ones (EC drives C, C1, EB and B).
+ *
+ * Per-org policy (Org.settings.vehicles):
+ *   driverLicenceCheck  "off" | "warn" | "block"               (default "warn")
+ *   licenceCodes        { "<vehicle type>": "C1, PrDP", ... }   per type, case-insensitive;
+ *                       types not listed fall back to DEFAULT_RULES, then code B
+ *
+ * checkDriver() returns { mode, status: "ok" | "warn" | "block", required, licence, issues };
+ * `status` is "block" only when the mode is block and a blocking issue was found
+ * (no licence, expired, wrong code, PrDP missing / expired). Licences expiring soon
+ * and driving someone else's vehicle only ever warn. The assigned driver is the
+ * one on the assignment history at `at` (so backdated trips check against who
+ * had the vehicle then), or Vehicle.driverId when there is no history.
+ */
+
+const MODES = ["off", "warn", "block"];
+const EXPIRY_WARN_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// code on the card -> codes it entitles the holder to drive
+const CODE_COVERS = Object.freeze({
+  A1: ["A1"],
+  A: ["A", "A1"],
+  B: ["B"],
+  EB: ["EB", "B"],
+  C1: ["C1", "B"],
+  C: ["C", "C1", "B"],
+  EC1: ["EC1", "C1", "EB", "B"],
+  EC: ["EC", "C", "EC1", "C1", "EB", "B"],
+});
+
+// pre-1998 numeric codes still printed on older cards
+const LEGACY_CODES = Object.freeze({ 1: "A1", 2: "A", 3: "A", 8: "B", 10: "C1", 11: "C", 13: "EB", 14: "EC" });
+
+// fallback when the org has not mapped a vehicle type
+const DEFAULT_RULES = [
+  { test: /motor\s*(cycle|bike)|scooter|quad/i, codes: ["A"], prdp: false },
+  { test: /\b(mini)?bus\b|taxi/i, codes: ["C1"], prdp: true },
+  { test: /artic|horse|semi|interlink/i, codes: ["EC"], prdp: true },
+  { test: /truck|lorry|tipper|rigid|tanker/i, codes: ["C1"], prdp: true },
+];
+
+const BLOCKING = new Set(["no-licence", "expired", "wrong-code", "prdp-missing", "prdp-expired"]);
+
+function models() {
+  return {
+    DriverLicence: mongoose.models.DriverLicence || require("../models/DriverLicence"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+function normalizeCode(c) {
+  const s = String(c || "")
+    .trim()
+    .toUpperCase()
+    .replace(/^CODE\s*/, "");
+  if (/^\d+$/.test(s)) return LEGACY_CODES[Number(s)] || null;
+  return CODE_COVERS[s] ? s : null;
+}
+
+/** "C1, PrDP" -> { codes: ["C1"], prdp: true } */
+function parseRequirement(raw) {
+  const tokens = String(raw || "")
+    .split(/[,\s/+]+/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const prdp = tokens.some((t) => /^prdp$/i.test(t));
+  const codes = tokens.map(normalizeCode).filter(Boolean);
+  return { codes: [...new Set(codes)], prdp };
+}
+
+function normalizeDriverPolicy(raw = {}) {
+  const mode = String(raw?.driverLicenceCheck || "").toLowerCase();
+  const map = {};
+  const src = raw?.licenceCodes && typeof raw.licenceCodes === "object" ? raw.licenceCodes : {};
+  for (const [type, req] of Object.entries(src)) {
+    const key = String(type).trim().toLowerCase();
+    const parsed = parseRequirement(req);
+    if (key && (parsed.codes.length || parsed.prdp)) map[key] = parsed;
+  }
+  return { driverLicenceCheck: MODES.includes(mode) ? mode : "warn", licenceCodes: map };
+}
+
+async function loadDriverPolicy(orgId) {
+  try {
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return normalizeDriverPolicy();
+    const { Org } = models();
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    return normalizeDriverPolicy(org?.settings?.vehicles);
+  } catch {
+    return normalizeDriverPolicy();
+  }
+}
+
+/** Codes (any one of which suffices) and PrDP needed for a vehicle type */
+function requirementFor(vehicleType, policy = normalizeDriverPolicy()) {
+  const type = String(vehicleType || "").trim();
+  const mapped = policy.licenceCodes[type.toLowerCase()];
+  if (mapped) return { codes: mapped.codes.length ? mapped.codes : ["B"], prdp: mapped.prdp, source: "org" };
+  const rule = DEFAULT_RULES.find((r) => r.test.test(type));
+  if (rule) return { codes: rule.codes, prdp: rule.prdp, source: "default" };
+  return { codes: ["B"], prdp: false, source: "default" };
+}
+
+/** Every code a licence entitles its holder to drive */
+function entitledCodes(codes = []) {
+  const out = new Set();
+  for (const c of codes) {
+    const code = normalizeCode(c);
+    if (code) CODE_COVERS[code].forEach((x) => out.add(x));
+  }
+  return out;
+}
+
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+/**
+ * Pure check of one licence (or none) against a requirement at a point in time.
+ * Returns the list of issues [{ kind, message }].
+ */
+function evaluateLicence(licence, required, at = new Date()) {
+  const issues = [];
+  const when = new Date(at);
+  if (!licence) {
+    issues.push({ kind: "no-licence", message: "No driver licence on record." });
+    return issues;
+  }
+
+  if (licence.expiresAt && new Date(licence.expiresAt) < when) {
+    issues.push({ kind: "expired", message: `Driver licence expired on ${day(licence.expiresAt)}.` });
+  } else if (licence.expiresAt && new Date(licence.expiresAt) - when < EXPIRY_WARN_DAYS * DAY_MS) {
+    issues.push({ kind: "expiring", message: `Driver licence expires on ${day(licence.expiresAt)}.` });
+  }
+
+  const held = entitledCodes(licence.codes);
+  if (required.codes.length && !required.codes.some((c) => held.has(c))) {
+    const have = (licence.codes || []).join(", ") || "none";
+    issues.push({
+      kind: "wrong-code",
+      message: `Vehicle needs licence code ${required.codes.join(" or ")}; driver holds ${have}.`,
+    });
+  }
+
+  if (required.prdp) {
+    const prdp = licence.prdp;
+    if (!prdp || !(prdp.number || prdp.expiresAt)) {
+      issues.push({ kind: "prdp-missing", message: "Vehicle needs a Professional Driving Permit (PrDP)." });
+    } else if (prdp.expiresAt && new Date(prdp.expiresAt) < when) {
+      issues.push({ kind: "prdp-expired", message: `PrDP expired on ${day(prdp.expiresAt)}.` });
+    } else if (prdp.expiresAt && new Date(prdp.expiresAt) - when < EXPIRY_WARN_DAYS * DAY_MS) {
+      issues.push({ kind: "expiring", message: `PrDP expires on ${day(prdp.expiresAt)}.` });
+    }
+  }
+  return issues;
+}
+
+/** Licence in force for a user: the newest non-deleted one (by expiry) */
+async function currentLicence({ orgId, userId }) {
+  const { DriverLicence } = models();
+  if (!mongoose.isValidObjectId(String(userId || ""))) return null;
+  const q = { userId: new mongoose.Types.ObjectId(String(userId)), isDeleted: { $ne: true } };
+  if (mongoose.isValidObjectId(String(orgId || ""))) q.orgId = new mongoose.Types.ObjectId(String(orgId));
+  return DriverLicence.findOne(q).sort({ expiresAt: -1, createdAt: -1 }).lean();
+}
+
+/**
+ * Can `driverId` take `vehicle` out at `at`? See module comment for the result.
+ */
+async function checkDriver({ orgId, driverId, vehicle, at = new Date() }) {
+  const policy = await loadDriverPolicy(orgId);
+  const mode = policy.driverLicenceCheck;
+  const required = requirementFor(vehicle?.vehicleType, policy);
+  if (mode === "off") return { mode, status: "ok", required, licence: null, issues: [] };
+
+  const licence = await currentLicence({ orgId, userId: driverId });
+  const issues = evaluateLicence(licence, required, at);
+
+  const current = vehicle?.driverId ? String(vehicle.driverId._id || vehicle.driverId) : null;
+  const assigned = vehicle?._id ? (await driverAt({ orgId, vehicleId: vehicle._id, at })) || current : current;
+  if (assigned && driverId && assigned !== String(driverId)) {
+    issues.push({ kind: "not-assigned", message: "Driver is not the vehicle's assigned driver." });
+  }
+
+  const blocking = issues.some((i) => BLOCKING.has(i.kind));
+  const status = !issues.length ? "ok" : blocking && mode === "block" ? "block" : "warn";
+  return {
+    mode,
+    status,
+    required,
+    licence: licence
+      ? {
+          _id: String(licence._id),
+          licenceNumber: licence.licenceNumber,
+          codes: licence.codes,
+          expiresAt: licence.expiresAt,
+          prdp: licence.prdp || null,
+        }
+      : null,
+    issues,
+  };
+}
+
+/** Compact copy stored on VehicleTrip.driverCheck */
+function tripDriverCheck(result) {
+  if (!result || result.mode === "off") return undefined;
+  return {
+    status: result.status,
+    issues: result.issues.map((i) => i.kind),
+    message: result.issues.map((i) => i.message).join(" "),
+    checkedAt: new Date(),
+  };
+}
+
+module.exports = {
+  CODE_COVERS,
+  normalizeCode,
+  parseRequirement,
+  normalizeDriverPolicy,
+  loadDriverPolicy,
+  requirementFor,
+  entitledCodes,
+  evaluateLicence,
+  currentLicence,
+  checkDriver,
+  tripDriverCheck,
+};
@@ -0,0 +1,288 @@
+// core-backend/services/faceEmbedding.js
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+/**
+ * Pluggable face-embedding providers.
+ *
+ * A provider is { name, templateVersion, dims, defaultThreshold, embed(buffers) }
+ * where embed() takes one or more image Buffers of the SAME person and resolves to a
+ * single L2-comparable Float32Array. Embeddings are only comparable within one
+ * templateVersion, so that string changes whenever the model (or its preprocessing)
+ * changes — the biometric worker re-generates stored templates when it does.
+ *
+ * Built-in providers (FACE_EMBEDDING_PROVIDER):
+ *   stub  deterministic sha256-of-bytes vector. Identical photos match, nothing else
+ *         does. Kept for tests and local dev; templateVersion "face-emb-v0-stub".
+ *   onnx  CPU ONNX face-embedding model (ArcFace / MobileFaceNet style) via
+ *         onnxruntime-node, images decoded with sharp (both optional dependencies).
+ *
+ * Default: "onnx" when FACE_EMBEDDING_MODEL_PATH is set, otherwise "stub".
+ *
+ * ONNX settings (env):
+ *   FACE_EMBEDDING_MODEL_PATH        path to the .onnx file
+ *   FACE_EMBEDDING_MODEL_VERSION     templateVersion (default "onnx-<file name>")
+ *   FACE_EMBEDDING_INPUT_SIZE        square input edge in px (default 112)
+ *   FACE_EMBEDDING_LAYOUT            "nchw" (default) | "nhwc"
+ *   FACE_EMBEDDING_MEAN / _STD       pixel normalisation (default 127.5 / 128)
+ *   FACE_EMBEDDING_CROP              centre-crop fraction of the short edge (default 0.8);
+ *                                    the mobile capture frames the face in the centre
+ *   FACE_EMBEDDING_THRESHOLD         default cosine match threshold (default 0.45)
+ *
+ * Org overrides live in Org.settings.biometrics: { matchThreshold, minMargin }.
+ */
+
+/* ------------------------------ vectors ------------------------------ */
+
+function l2normalize(vec) {
+  let sum = 0;
+  for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+  const n = Math.sqrt(sum);
+  if (!n) return vec;
+  const out = new Float32Array(vec.length);
+  for (let i = 0; i < vec.length; i++) out[i] = vec[i] / n;
+  return out;
+}
+
+/** Average several embeddings of one person into a single template */
+function meanEmbedding(vectors) {
+  const list = (vectors || []).filter((v) => v && v.length);
+  if (!list.length) return null;
+  const dims = list[0].length;
+  const acc = new Float32Array(dims);
+  for (const v of list) {
+    const nv = l2normalize(v);
+    for (let i = 0; i < dims; i++) acc[i] += nv[i];
+  }
+  return l2normalize(acc);
+}
+
+function float32ToBuffer(vec) {
+  const f = vec instanceof Float32Array ? vec : Float32Array.from(vec || []);
+  return Buffer.from(f.buffer, f.byteOffset, f.byteLength);
+}
+
+function bufferToFloat32Array(buf) {
+  if (!buf) return null;
+  const b = Buffer.isBuffer(buf) ? buf : Buffer.from(buf.buffer || buf);
+  if (b.length < 4) return null;
+  // copy so the view is always 4-byte aligned
+  const usable = Buffer.from(b.subarray(0, Math.floor(b.length / 4) * 4));
+  return new Float32Array(usable.buffer, usable.byteOffset, usable.length / 4);
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b) return -1;
+  const n = Math.min(a.length, b.length);
+  if (n <= 0) return -1;
+
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  const denom = Math.sqrt(na) * Math.sqrt(nb);
+  if (!denom) return -1;
+  return dot / denom;
+}
+
+/* ------------------------------ providers ------------------------------ */
+
+const STUB_VERSION = "face-emb-v0-stub";
+
+function stubEmbedding(buf) {
+  // buf -> deterministic Float32Array(128) from sha256 chunks, mapped 0..255 => -1..1
+  const hash = crypto.createHash("sha256").update(buf).digest();
+  const out = new Float32Array(128);
+  for (let i = 0; i < out.length; i++) out[i] = (hash[i % hash.length] / 255) * 2 - 1;
+  return out;
+}
+
+function createStubProvider() {
+  return {
+    name: "stub",
+    templateVersion: STUB_VERSION,
+    dims: 128,
+    defaultThreshold: 0.78,
+    // Only the first photo is used so enrollment == identify for the same image
+    async embed(buffers) {
+      const first = (buffers || []).find((b) => b && b.length);
+      return first ? stubEmbedding(first) : null;
+    },
+  };
+}
+
+function envNum(name, dflt) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && process.env[name] !== "" ? n : dflt;
+}
+
+function createOnnxProvider() {
+  const modelPath = process.env.FACE_EMBEDDING_MODEL_PATH;
+  if (!modelPath) throw new Error("FACE_EMBEDDING_MODEL_PATH is not set");
+
+  let ort;
+  let sharp;
+  try {
+    ort = require("onnxruntime-node");
+    sharp = require("sharp");
+  } catch (e) {
+    throw new Error(
+      `onnx face embedding needs the optional packages onnxruntime-node and sharp (${e.message})`,
+    );
+  }
+
+  const size = envNum("FACE_EMBEDDING_INPUT_SIZE", 112);
+  const layout = String(process.env.FACE_EMBEDDING_LAYOUT || "nchw").toLowerCase();
+  const mean = envNum("FACE_EMBEDDING_MEAN", 127.5);
+  const std = envNum("FACE_EMBEDDING_STD", 128);
+  const crop = Math.min(1, Math.max(0.3, envNum("FACE_EMBEDDING_CROP", 0.8)));
+
+  let sessionPromise = null;
+  const session = () => {
+    if (!sessionPromise) {
+      sessionPromise = ort.InferenceSession.create(path.resolve(modelPath), {
+        executionProviders: ["cpu"],
+        intraOpNumThreads: envNum("FACE_EMBEDDING_THREADS", 1),
+      });
+    }
+    return sessionPromise;
+  };
+
+  async function toTensor(buf) {
+    // Apply EXIF orientation first so the crop box uses the upright dimensions
+    const upright = await sharp(buf).rotate().toBuffer({ resolveWithObject: true });
+    const w = upright.info.width || 0;
+    const h = upright.info.height || 0;
+    if (!w || !h) throw new Error("Unreadable image");
+
+    const side = Math.max(1, Math.round(Math.min(w, h) * crop));
+    const { data } = await sharp(upright.data)
+      .extract({
+        left: Math.max(0, Math.round((w - side) / 2)),
+        top: Math.max(0, Math.round((h - side) / 2)),
+        width: side,
+        height: side,
+      })
+      .resize(size, size)
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const px = size * size;
+    const f = new Float32Array(3 * px);
+    for (let i = 0; i < px; i++) {
+      for (let c = 0; c < 3; c++) {
+        const v = (data[i * 3 + c] - mean) / std;
+        if (layout === "nhwc") f[i * 3 + c] = v;
+        else f[c * px + i] = v;
+      }
+    }
+    const dims = layout === "nhwc" ? [1, size, size, 3] : [1, 3, size, size];
+    return new ort.Tensor("float32", f, dims);
+  }
+
+  async function embedOne(buf) {
+    const s = await session();
+    const out = await s.run({ [s.inputNames[0]]: await toTensor(buf) });
+    const t = out[s.outputNames[0]];
+    return l2normalize(Float32Array.from(t.data));
+  }
+
+  return {
+    name: "onnx",
+    templateVersion:
+      process.env.FACE_EMBEDDING_MODEL_VERSION ||
+      `onnx-${path.basename(modelPath).replace(/\.onnx$/i, "")}`,
+    dims: null, // known after the first run
+    defaultThreshold: envNum("FACE_EMBEDDING_THRESHOLD", 0.45),
+    async embed(buffers) {
+      const vecs = [];
+      for (const b of buffers || []) {
+        if (!b || !b.length) continue;
+        try {
+          vecs.push(await embedOne(b));
+        } catch (e) {
+          console.warn("[faceEmbedding] skipped unreadable photo:", e.message);
+        }
+      }
+      const v = meanEmbedding(vecs);
+      if (v) this.dims = v.length;
+      return v;
+    },
+  };
+}
+
+const factories = new Map([
+  ["stub", createStubProvider],
+  ["onnx", createOnnxProvider],
+]);
+
+/** Register a custom provider factory (e.g. a remote embedding service) */
+function registerEmbeddingProvider(name, factory) {
+  factories.set(String(name).toLowerCase(), factory);
+  _provider = null;
+}
+
+let _provider = null;
+
+function providerName() {
+  const explicit = String(process.env.FACE_EMBEDDING_PROVIDER || "").trim().toLowerCase();
+  if (explicit) return explicit;
+  return process.env.FACE_EMBEDDING_MODEL_PATH ? "onnx" : "stub";
+}
+
+/** The active provider (created once; throws if it can't be loaded) */
+function getEmbeddingProvider() {
+  if (_provider) return _provider;
+  const name = providerName();
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown FACE_EMBEDDING_PROVIDER "${name}"`);
+  _provider = factory();
+  return _provider;
+}
+
+/* ------------------------------ org policy ------------------------------ */
+
+/**
+ * { matchThreshold, minMargin } for an org.
+ * minMargin: required gap between the best and second-best candidate, so two
+ * look-alike templates don't produce a confident wrong match.
+ */
+async function loadMatchPolicy(orgId, provider = getEmbeddingProvider()) {
+  const dflt = {
+    matchThreshold: envNum("BIOMETRIC_MATCH_THRESHOLD", provider.defaultThreshold),
+    minMargin: envNum("BIOMETRIC_MATCH_MIN_MARGIN", 0),
+  };
+  try {
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return dflt;
+    const Org = mongoose.models.Org || require("../models/Org");
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    const b = org?.settings?.biometrics || {};
+    const t = Number(b.matchThreshold);
+    const m = Number(b.minMargin);
+    return {
+      matchThreshold: Number.isFinite(t) && t > 0 && t <= 1 ? t : dflt.matchThreshold,
+      minMargin: Number.isFinite(m) && m >= 0 && m < 1 ? m : dflt.minMargin,
+    };
+  } catch {
+    return dflt;
+  }
+}
+
+module.exports = {
+  STUB_VERSION,
+  stubEmbedding,
+  getEmbeddingProvider,
+  registerEmbeddingProvider,
+  loadMatchPolicy,
+  l2normalize,
+  meanEmbedding,
+  float32ToBuffer,
+  bufferToFloat32Array,
+  cosineSimilarity,
+};
@@ -0,0 +1,106 @@
+// core-backend/services/fenceTrigger.js
+const mongoose = require("mongoose");
+const { dependencyBlockers } = require("./criticalPath");
+
+/**
+ * Geofence triggers for tasks flagged triggerOnEnterFence. The mobile app monitors the
+ * fences of the user's assigned tasks and queues a task-update with trigger "fence";
+ * routes/mobile.js hands those events here.
+ *
+ *   applyFenceEvent(task, event)   log the crossing; entry starts/resumes, exit pauses
+ *   clockAction(entry)             the start/resume/pause a duration-log entry stands for
+ *
+ * Every crossing is logged in actualDurationLog as action "fence" with the device
+ * coordinates. `fenceAction` is only set when the crossing changed the task status,
+ * so duration and status derivation treat it like a manual start or pause.
+ * Entry never bypasses a QR requirement or unfinished predecessors, and never
+ * resumes a task paused with a problem.
+ */
+
+const FENCE_EVENTS = ["enter", "exit"];
+
+function asOid(x) {
+  const s = String(x?._id || x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : undefined;
+}
+
+const num = (v) => (v == null || v === "" ? NaN : Number(v));
+
+function clockAction(entry) {
+  if (!entry) return null;
+  return entry.action === "fence" ? entry.fenceAction || null : entry.action;
+}
+
+async function legacyDependenciesDone(task) {
+  const ids = Array.isArray(task.dependentTaskIds) ? task.dependentTaskIds : [];
+  if (!ids.length) return true;
+  const Task = mongoose.models.Task || require("../models/Task");
+  const done = await Task.countDocuments({ _id: { $in: ids }, status: "completed" });
+  return done === ids.length;
+}
+
+// -> { fenceAction } when the crossing changes the status, else { skipped: reason }
+async function decide(task, fence) {
+  const status = task.status || "pending";
+  if (!task.triggerOnEnterFence) return { skipped: "fence trigger off" };
+
+  if (fence === "exit") {
+    if (!task.pauseOnExitFence) return { skipped: "pause on exit off" };
+    if (status !== "in-progress") return { skipped: `task ${status}` };
+    return { fenceAction: "pause" };
+  }
+
+  if (status !== "pending" && status !== "paused") return { skipped: `task ${status}` };
+  const action = status === "paused" ? "resume" : "start";
+  if (task.enforceQRScan) return { skipped: "QR scan required" };
+  if (!(await legacyDependenciesDone(task)) || (await dependencyBlockers(task, action)).length) {
+    return { skipped: "dependencies not completed" };
+  }
+  return { fenceAction: action };
+}
+
+/**
+ * event: { fence: "enter"|"exit", at, lat, lng, accuracy, actor, sourceOfflineEventId }
+ * Mutates `task` (log entry + status); the caller saves it.
+ * -> { fence, fenceAction, skipped, status, logged } (logged false: unknown event or resync)
+ */
+async function applyFenceEvent(task, event = {}) {
+  const fence = String(event.fence || "").toLowerCase();
+  if (!FENCE_EVENTS.includes(fence)) return { fence, fenceAction: null, skipped: "unknown fence event", logged: false };
+
+  task.actualDurationLog = Array.isArray(task.actualDurationLog) ? task.actualDurationLog : [];
+  const src = event.sourceOfflineEventId ? String(event.sourceOfflineEventId) : "";
+  if (src && task.actualDurationLog.some((l) => String(l?.sourceOfflineEventId || "") === src)) {
+    return { fence, fenceAction: null, skipped: "already logged", status: task.status, logged: false };
+  }
+
+  const { fenceAction = null, skipped = "" } = await decide(task, fence);
+  const lat = num(event.lat);
+  const lng = num(event.lng);
+  const accuracy = num(event.accuracy);
+  const actor = event.actor || {};
+
+  task.actualDurationLog.push({
+    action: "fence",
+    fence,
+    ...(fenceAction ? { fenceAction } : {}),
+    at: event.at || new Date(),
+    userId: asOid(actor._id),
+    actorName: actor.name,
+    actorEmail: actor.email,
+    actorSub: actor.sub,
+    note: `${fence === "enter" ? "Entered" : "Left"} task fence${fenceAction ? ` (auto ${fenceAction})` : skipped ? ` (${skipped})` : ""}`,
+    ...(Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : {}),
+    ...(Number.isFinite(accuracy) ? { accuracy } : {}),
+    ...(src ? { sourceOfflineEventId: asOid(src) } : {}),
+  });
+  if (fenceAction) task.status = fenceAction === "pause" ? "paused" : "in-progress";
+
+  return { fence, fenceAction, skipped, status: task.status, logged: true };
+}
+
+module.exports = {
+  FENCE_EVENTS,
+  clockAction,
+  applyFenceEvent,
+};
@@ -0,0 +1,441 @@
+// core-backend/services/fuelAnalytics.js
+const mongoose = require("mongoose");
+const { buildTimeline, loadOdometerPolicy, readingsFrom } = require("./odometerTimeline");
+
+/**
+ * Fuel consumption and running cost per vehicle.
+ *
+ * Fuel fills are Purchase rows of type "fuel" carrying litres, odometer and
+ * fullTank. Consumption is measured full-to-full: a segment runs from one
+ * full-tank fill to the next, its litres are every fill after the opening one up
+ * to and including the closing one, its distance the odometer difference.
+ * Partial fills only add litres. A fill without litres or an odometer reading
+ * breaks the chain; the next full fill starts a fresh segment.
+ *
+ * Cost per km = fuel + maintenance (VehicleLog costs and service / repair / tyres /
+ * parts purchases) + other purchases, over the distance the odometer advanced in
+ * the period (trusted readings of the odometer timeline, see odometerTimeline.js).
+ *
+ * Outliers worth a look (fuel theft, leaks, mis-keyed slips):
+ *   high-consumption    segment L/100km above the vehicle median by more than fuelOutlierPct
+ *   odometer-backwards  fill odometer below the previous fill's
+ *   price-mismatch      slip cost differs from litres x price per litre by more than 5%
+ *
+ * Per-org policy (Org.settings.vehicles):
+ *   fuelOutlierPct  % above median consumption before a segment is flagged (default 25)
+ */
+
+const DEFAULT_POLICY = Object.freeze({ fuelOutlierPct: 25 });
+const MIN_SEGMENTS_FOR_MEDIAN = 3;
+const PRICE_MISMATCH_PCT = 5;
+const LOOKBACK_DAYS = 120; // fills before the period so the first segment can open
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FUEL_TYPE_RX = /fuel|diesel|petrol/i;
+const MAINTENANCE_TYPES = new Set(["service", "repair", "tyres", "parts", "maintenance"]);
+
+function models() {
+  return {
+    Purchase: mongoose.models.Purchase || require("../models/Purchase"),
+    VehicleLog: mongoose.models.VehicleLog || require("../models/VehicleLog"),
+    VehicleTrip: mongoose.models.VehicleTrip || require("../models/VehicleTrip"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const round = (n, dp = 2) => (Number.isFinite(n) ? Number(n.toFixed(dp)) : null);
+const num = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+const monthKey = (d) => new Date(d).toISOString().slice(0, 7);
+const isFuelType = (type) => FUEL_TYPE_RX.test(String(type || ""));
+
+function normalizePolicy(raw = {}) {
+  const v = num(raw?.fuelOutlierPct);
+  return { fuelOutlierPct: v != null && v >= 0 ? v : DEFAULT_POLICY.fuelOutlierPct };
+}
+
+async function loadFuelPolicy(orgId) {
+  try {
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return normalizePolicy();
+    const { Org } = models();
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    return normalizePolicy(org?.settings?.vehicles);
+  } catch {
+    return normalizePolicy();
+  }
+}
+
+/**
+ * { from, to } query strings -> Dates. Default: the last 12 whole months
+ * including the current one.
+ */
+function resolvePeriod({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  if (Number.isNaN(end.getTime())) throw Object.assign(new Error("Invalid 'to' date"), { status: 400 });
+  let start;
+  if (from) {
+    start = new Date(from);
+    if (Number.isNaN(start.getTime())) throw Object.assign(new Error("Invalid 'from' date"), { status: 400 });
+  } else {
+    start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 11, 1));
+  }
+  if (start > end) throw Object.assign(new Error("'from' is after 'to'"), { status: 400 });
+  return { from: start, to: end };
+}
+
+function median(values) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+/* ------------------------------ consumption ------------------------------ */
+
+/**
+ * Full-to-full segments and per-fill outliers from fills sorted by date.
+ * High-consumption flags are added by flagHighConsumption() once the median is known.
+ */
+function consumptionSegments(fills) {
+  const segments = [];
+  const outliers = [];
+  let open = null;
+  let prevOdo = null;
+
+  for (const f of fills) {
+    const litres = num(f.litres);
+    const odo = num(f.odometer);
+    const cost = num(f.cost) || 0;
+    const ppl = num(f.pricePerLitre);
+
+    if (litres > 0 && cost > 0 && ppl > 0) {
+      const expected = litres * ppl;
+      const diffPct = (Math.abs(cost - expected) / expected) * 100;
+      if (diffPct > PRICE_MISMATCH_PCT) {
+        outliers.push({
+          kind: "price-mismatch",
+          purchaseId: String(f._id),
+          date: f.date,
+          value: round(cost),
+          expected: round(expected),
+          message: `Slip total ${round(cost)} vs ${round(litres)} L × ${round(ppl, 3)} = ${round(expected)}`,
+        });
+      }
+    }
+
+    if (odo != null && prevOdo != null && odo < prevOdo) {
+      outliers.push({
+        kind: "odometer-backwards",
+        purchaseId: String(f._id),
+        date: f.date,
+        value: odo,
+        expected: prevOdo,
+        message: `Odometer ${odo} km is below the previous fill (${prevOdo} km)`,
+      });
+      open = null;
+    }
+
+    if (!(litres > 0) || odo == null) {
+      open = null;
+      if (odo != null) prevOdo = odo;
+      continue;
+    }
+
+    if (open) {
+      open.litres += litres;
+      open.cost += cost;
+      if (f.fullTank) {
+        const km = odo - open.startOdo;
+        if (km > 0) {
+          segments.push({
+            fromPurchaseId: String(open.fill._id),
+            toPurchaseId: String(f._id),
+            fromDate: open.fill.date,
+            toDate: f.date,
+            startOdo: open.startOdo,
+            endOdo: odo,
+            km: round(km, 1),
+            litres: round(open.litres),
+            cost: round(open.cost),
+            lPer100: round((open.litres / km) * 100),
+            outlier: false,
+          });
+        }
+        open = null;
+      }
+    }
+    if (f.fullTank) open = { fill: f, startOdo: odo, litres: 0, cost: 0 };
+    prevOdo = odo;
+  }
+
+  return { segments, outliers };
+}
+
+function flagHighConsumption(segments, policy) {
+  const med = segments.length >= MIN_SEGMENTS_FOR_MEDIAN ? median(segments.map((s) => s.lPer100)) : null;
+  const outliers = [];
+  if (med == null) return { medianLPer100: null, outliers };
+
+  const limit = med * (1 + policy.fuelOutlierPct / 100);
+  for (const s of segments) {
+    if (s.lPer100 > limit) {
+      s.outlier = true;
+      outliers.push({
+        kind: "high-consumption",
+        purchaseId: s.toPurchaseId,
+        date: s.toDate,
+        value: s.lPer100,
+        expected: round(med),
+        message: `${s.lPer100} L/100km over ${s.km} km (median ${round(med)})`,
+      });
+    }
+  }
+  return { medianLPer100: round(med), outliers };
+}
+
+/* ------------------------------- distance ------------------------------- */
+
+/**
+ * Distance the odometer advanced between two instants, from trusted timeline
+ * readings. Uses the highest reading seen so far so distance never goes negative;
+ * when there is no reading before `start`, the first reading inside the window is the base.
+ */
+function kmBetween(readings, start, end) {
+  let before = null;
+  let firstInside = null;
+  let maxToEnd = null;
+  for (const r of readings) {
+    if (r.at > end) break;
+    maxToEnd = maxToEnd == null ? r.odo : Math.max(maxToEnd, r.odo);
+    if (r.at < start) before = before == null ? r.odo : Math.max(before, r.odo);
+    else if (firstInside == null) firstInside = r.odo;
+  }
+  const base = before ?? firstInside;
+  if (base == null || maxToEnd == null) return 0;
+  return Math.max(0, maxToEnd - base);
+}
+
+/* -------------------------------- summary -------------------------------- */
+
+function costBuckets(purchases, logs, inRange) {
+  const b = { litres: 0, fuelCost: 0, maintenanceCost: 0, otherCost: 0, fills: 0 };
+  for (const p of purchases) {
+    if (!inRange(p.date)) continue;
+    const cost = num(p.cost) || 0;
+    if (isFuelType(p.type)) {
+      b.fills += 1;
+      b.litres += num(p.litres) || 0;
+      b.fuelCost += cost;
+    } else if (MAINTENANCE_TYPES.has(String(p.type || "").toLowerCase())) {
+      b.maintenanceCost += cost;
+    } else {
+      b.otherCost += cost;
+    }
+  }
+  for (const l of logs) {
+    if (!inRange(l.ts)) continue;
+    b.maintenanceCost += num(l.cost) || 0;
+  }
+  return b;
+}
+
+function perKm(cost, km) {
+  return km > 0 ? round(cost / km, 2) : null;
+}
+
+/**
+ * Pure summary for one vehicle from already-loaded rows.
+ * `purchases` may include fills from before the period (LOOKBACK_DAYS).
+ */
+function summariseVehicle(
+  { purchases = [], logs = [], trips = [] },
+  period,
+  policy,
+  { withMonthly = true, odometerPolicy } = {},
+) {
+  const { from, to } = period;
+  const inPeriod = (d) => d && new Date(d) >= from && new Date(d) <= to;
+
+  const fills = purchases
+    .filter((p) => isFuelType(p.type))
+    .sort((a, b) => new Date(a.date) - new Date(b.date) || (num(a.odometer) || 0) - (num(b.odometer) || 0));
+
+  const { segments: allSegments, outliers: fillOutliers } = consumptionSegments(fills);
+  const segments = allSegments.filter((s) => inPeriod(s.toDate));
+  const { medianLPer100, outliers: segOutliers } = flagHighConsumption(segments, policy);
+  const outliers = [...fillOutliers.filter((o) => inPeriod(o.date)), ...segOutliers].sort(
+    (a, b) => new Date(a.date) - new Date(b.date),
+  );
+
+  const readings = buildTimeline(readingsFrom({ trips, logs, purchases }), odometerPolicy).readings.filter(
+    (r) => r.accepted,
+  );
+  const km = round(kmBetween(readings, from, to), 1);
+  const c = costBuckets(purchases, logs, inPeriod);
+  const totalCost = c.fuelCost + c.maintenanceCost + c.otherCost;
+
+  const segKm = segments.reduce((a, s) => a + s.km, 0);
+  const segLitres = segments.reduce((a, s) => a + s.litres, 0);
+
+  const totals = {
+    fills: c.fills,
+    litres: round(c.litres),
+    fuelCost: round(c.fuelCost),
+    maintenanceCost: round(c.maintenanceCost),
+    otherCost: round(c.otherCost),
+    totalCost: round(totalCost),
+    km,
+    avgLPer100: segKm > 0 ? round((segLitres / segKm) * 100) : null,
+    medianLPer100,
+    fuelCostPerKm: perKm(c.fuelCost, km),
+    costPerKm: perKm(totalCost, km),
+    outliers: outliers.length,
+  };
+
+  if (!withMonthly) return { totals, segments, outliers };
+
+  const monthly = [];
+  let cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to) {
+    const next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+    const mStart = cursor < from ? from : cursor;
+    const mEnd = next > to ? to : new Date(next.getTime() - 1);
+    const inMonth = (d) => d && new Date(d) >= mStart && new Date(d) <= mEnd;
+
+    const mc = costBuckets(purchases, logs, inMonth);
+    const mKm = round(kmBetween(readings, mStart, mEnd), 1);
+    const mSegs = segments.filter((s) => inMonth(s.toDate));
+    const mSegKm = mSegs.reduce((a, s) => a + s.km, 0);
+    const mTotal = mc.fuelCost + mc.maintenanceCost + mc.otherCost;
+
+    monthly.push({
+      month: monthKey(cursor),
+      litres: round(mc.litres),
+      fuelCost: round(mc.fuelCost),
+      maintenanceCost: round(mc.maintenanceCost),
+      otherCost: round(mc.otherCost),
+      km: mKm,
+      lPer100: mSegKm > 0 ? round((mSegs.reduce((a, s) => a + s.litres, 0) / mSegKm) * 100) : null,
+      costPerKm: perKm(mTotal, mKm),
+    });
+    cursor = next;
+  }
+
+  return { totals, segments, outliers, monthly };
+}
+
+/* -------------------------------- loaders -------------------------------- */
+
+async function loadRows(vehicleIds, period) {
+  const { Purchase, VehicleLog, VehicleTrip } = models();
+  const ids = vehicleIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const lookback = new Date(period.from.getTime() - LOOKBACK_DAYS * DAY_MS);
+
+  const [purchases, logs, trips] = await Promise.all([
+    Purchase.find({ vehicleId: { $in: ids }, date: { $gte: lookback, $lte: period.to } })
+      .select({ vehicleId: 1, date: 1, type: 1, cost: 1, litres: 1, pricePerLitre: 1, odometer: 1, fullTank: 1, vendorName: 1 })
+      .lean(),
+    VehicleLog.find({ vehicleId: { $in: ids }, ts: { $gte: lookback, $lte: period.to } })
+      .select({ vehicleId: 1, ts: 1, type: 1, cost: 1, odometer: 1, odometerStart: 1, odometerEnd: 1, sourceOfflineEventId: 1 })
+      .lean(),
+    VehicleTrip.find({ vehicleId: { $in: ids }, isDeleted: { $ne: true }, startedAt: { $gte: lookback, $lte: period.to } })
+      .select({ vehicleId: 1, startedAt: 1, endedAt: 1, odoStart: 1, odoEnd: 1 })
+      .lean(),
+  ]);
+
+  const byVehicle = new Map(ids.map((id) => [String(id), { purchases: [], logs: [], trips: [] }]));
+  const push = (key, row) => byVehicle.get(String(row.vehicleId))?.[key].push(row);
+  purchases.forEach((r) => push("purchases", r));
+  logs.forEach((r) => push("logs", r));
+  trips.forEach((r) => push("trips", r));
+  return byVehicle;
+}
+
+/**
+ * Consumption, cost per km, monthly trend and outliers for one vehicle.
+ * `vehicle` is the (already access-checked) Vehicle document.
+ */
+async function vehicleFuelAnalytics({ orgId, vehicle, from, to }) {
+  const period = resolvePeriod({ from, to });
+  const [policy, odometerPolicy, rows] = await Promise.all([
+    loadFuelPolicy(orgId || vehicle?.orgId),
+    loadOdometerPolicy(orgId || vehicle?.orgId),
+    loadRows([vehicle._id], period),
+  ]);
+  const result = summariseVehicle(rows.get(String(vehicle._id)), period, policy, { odometerPolicy });
+
+  return {
+    vehicle: { _id: String(vehicle._id), reg: vehicle.reg || "", make: vehicle.make || "", model: vehicle.model || "" },
+    period,
+    policy,
+    ...result,
+  };
+}
+
+/**
+ * Fleet ranking: one row per vehicle, worst average consumption first.
+ * Vehicles without a measurable segment sort last.
+ */
+async function fleetFuelRanking({ orgId, vehicles, from, to }) {
+  const period = resolvePeriod({ from, to });
+  const [policy, odometerPolicy, rows] = await Promise.all([
+    loadFuelPolicy(orgId),
+    loadOdometerPolicy(orgId),
+    vehicles.length ? loadRows(vehicles.map((v) => v._id), period) : new Map(),
+  ]);
+
+  const ranking = vehicles.map((v) => {
+    const { totals } = summariseVehicle(rows.get(String(v._id)), period, policy, {
+      withMonthly: false,
+      odometerPolicy,
+    });
+    return {
+      vehicleId: String(v._id),
+      reg: v.reg || "",
+      make: v.make || "",
+      model: v.model || "",
+      vehicleType: v.vehicleType || "",
+      status: v.status || "",
+      ...totals,
+    };
+  });
+
+  ranking.sort((a, b) => {
+    if (a.avgLPer100 == null && b.avgLPer100 == null) return (b.costPerKm ?? -1) - (a.costPerKm ?? -1);
+    if (a.avgLPer100 == null) return 1;
+    if (b.avgLPer100 == null) return -1;
+    return b.avgLPer100 - a.avgLPer100;
+  });
+  ranking.forEach((r, i) => (r.rank = i + 1));
+
+  const measured = ranking.filter((r) => r.avgLPer100 != null);
+  return {
+    period,
+    policy,
+    fleet: {
+      vehicles: ranking.length,
+      measured: measured.length,
+      medianLPer100: round(median(measured.map((r) => r.avgLPer100))),
+      medianCostPerKm: round(median(ranking.map((r) => r.costPerKm).filter((n) => n != null))),
+      litres: round(ranking.reduce((a, r) => a + (r.litres || 0), 0)),
+      totalCost: round(ranking.reduce((a, r) => a + (r.totalCost || 0), 0)),
+      km: round(ranking.reduce((a, r) => a + (r.km || 0), 0), 1),
+      outliers: ranking.reduce((a, r) => a + (r.outliers || 0), 0),
+    },
+    ranking,
+  };
+}
+
+module.exports = {
+  isFuelType,
+  loadFuelPolicy,
+  resolvePeriod,
+  consumptionSegments,
+  kmBetween,
+  summariseVehicle,
+  vehicleFuelAnalytics,
+  fleetFuelRanking,
+};
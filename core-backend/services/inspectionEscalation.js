@@ -0,0 +1,238 @@
+// core-backend/services/inspectionEscalation.js
+const mongoose = require("mongoose");
+
+/**
+ * Critical inspection fail -> tracked corrective action(s).
+ *
+ * Called after an InspectionSubmission is saved (web run + mobile inspection-run).
+ * For every item with criticalTriggered=true we upsert ONE CorrectiveAction
+ * (unique on orgId+submissionId+itemId), so re-running escalation is safe.
+ *
+ * Owner resolution (first hit wins):
+ *   vehicle subject -> Vehicle.driverId
+ *   linked task     -> Task.assignee / assignedTo[0]
+ *   linked project  -> Project.manager
+ *   otherwise       -> unassigned (shows in the queue for admins to assign)
+ *
+ * Due date: Org.settings.inspections.correctiveActionDueDays (default 7 days).
+ */
+
+const DEFAULT_DUE_DAYS = 7;
+const ALERT_ROLES = ["admin", "superadmin"];
+
+function model(name, path) {
+  return mongoose.models[name] || require(path);
+}
+
+const asOid = (v) => {
+  const s = String(v || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+};
+
+function actorFrom(user) {
+  if (!user) return undefined;
+  return {
+    _id: asOid(user._id || user.id) || undefined,
+    name: user.name || user.email || "",
+    email: user.email || "",
+  };
+}
+
+async function resolveOwner(sub) {
+  try {
+    const subj = sub.subjectAtRun || {};
+    if (subj.type === "vehicle" && asOid(subj.id)) {
+      const Vehicle = model("Vehicle", "../models/Vehicle");
+      const v = await Vehicle.findById(asOid(subj.id)).select({ driverId: 1 }).lean();
+      if (v?.driverId) return v.driverId;
+    }
+
+    if (asOid(sub.links?.taskId)) {
+      const Task = model("Task", "../models/Task");
+      const t = await Task.findById(asOid(sub.links.taskId))
+        .select({ assignee: 1, assignedTo: 1, projectId: 1 })
+        .lean();
+      const a = t?.assignee || (Array.isArray(t?.assignedTo) ? t.assignedTo[0] : null);
+      if (asOid(a)) return asOid(a);
+    }
+
+    if (asOid(sub.links?.projectId)) {
+      const Project = model("Project", "../models/Project");
+      const p = await Project.findById(asOid(sub.links.projectId)).select({ manager: 1 }).lean();
+      if (p?.manager) return p.manager;
+    }
+  } catch (e) {
+    console.warn("[inspectionEscalation] owner lookup failed:", e?.message || e);
+  }
+  return null;
+}
+
+async function dueDaysForOrg(orgId) {
+  try {
+    const Org = model("Org", "../models/Org");
+    const org = await Org.findById(orgId).select({ settings: 1 }).lean();
+    const n = Number(org?.settings?.inspections?.correctiveActionDueDays);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_DUE_DAYS;
+  } catch {
+    return DEFAULT_DUE_DAYS;
+  }
+}
+
+/**
+ * Email owner, project manager and org admins about the critical fail.
+ * Never throws — escalation records are the source of truth, mail is best-effort.
+ */
+async function notifyCriticalFail(sub, actions) {
+  try {
+    const mailer = require("../lib/mailer");
+    if (typeof mailer?.sendTemplatedEmail !== "function") return false;
+
+    const User = model("User", "../models/User");
+    const Project = model("Project", "../models/Project");
+
+    const project = asOid(sub.links?.projectId)
+      ? await Project.findById(asOid(sub.links.projectId)).select({ name: 1, manager: 1 }).lean()
+      : null;
+
+    const ids = new Set(actions.map((a) => a.ownerUserId).filter(Boolean).map(String));
+    if (project?.manager) ids.add(String(project.manager));
+
+    const base = { active: { $ne: false }, isDeleted: { $ne: true } };
+    const [direct, admins] = await Promise.all([
+      ids.size ? User.find({ ...base, _id: { $in: [...ids] } }).select({ email: 1 }).lean() : [],
+      User.find({ ...base, orgId: sub.orgId, role: { $in: ALERT_ROLES } }).select({ email: 1 }).lean(),
+    ]);
+
+    const to = [
+      ...new Set(
+        [...direct, ...admins]
+          .map((u) => String(u.email || "").trim().toLowerCase())
+          .filter(Boolean),
+      ),
+    ];
+    if (!to.length) return false;
+
+    const appUrl = String(process.env.FRONTEND_BASE_URL || "").replace(/\/+$/, "");
+    const data = {
+      formTitle: sub.formTitle,
+      subjectLabel: sub.subjectAtRun?.label || "",
+      inspectorName: sub.runBy?.name || "",
+      submittedAt: sub.createdAt,
+      projectName: project?.name || "",
+      critical: true,
+      failedItems: (sub.items || [])
+        .filter((it) => it.result === "fail")
+        .map((it) => ({
+          label: it.label,
+          note: it.correctiveAction || it.evidence?.note || "",
+          critical: !!it.criticalTriggered,
+        })),
+      viewUrl: appUrl ? `${appUrl}/admin/inspections/corrective-actions` : "",
+    };
+
+    // one message each so recipients don't see each other's addresses
+    let sent = 0;
+    for (const addr of to) {
+      try {
+        await mailer.sendTemplatedEmail({ to: addr, template: "inspectionFailed", org: sub.orgId, data });
+        sent += 1;
+      } catch (e) {
+        console.error("[inspectionEscalation] notify failed for", addr, e?.message || e);
+      }
+    }
+    return sent > 0;
+  } catch (e) {
+    console.error("[inspectionEscalation] notify failed:", e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * Create corrective actions for a saved submission's critical fails.
+ * Returns the CorrectiveAction docs (lean) for this submission.
+ */
+async function escalateSubmission(submission, { actor, notify = true } = {}) {
+  const sub =
+    submission && typeof submission.toObject === "function"
+      ? submission.toObject()
+      : submission;
+  if (!sub?._id) return [];
+
+  const critical = (sub.items || []).filter(
+    (it) => it?.criticalTriggered === true && String(it.result) === "fail",
+  );
+  if (!critical.length) return [];
+
+  const CorrectiveAction = model("CorrectiveAction", "../models/CorrectiveAction");
+
+  const [ownerUserId, dueDays] = await Promise.all([
+    resolveOwner(sub),
+    dueDaysForOrg(sub.orgId),
+  ]);
+  const base = sub.createdAt ? new Date(sub.createdAt) : new Date();
+  const dueAt = new Date(base.getTime() + dueDays * 24 * 60 * 60 * 1000);
+  const by = actorFrom(actor) || {
+    _id: sub.runBy?._id,
+    name: sub.runBy?.name || "",
+    email: sub.runBy?.email || "",
+  };
+
+  let created = 0;
+  for (const it of critical) {
+    const r = await CorrectiveAction.updateOne(
+      { orgId: sub.orgId, submissionId: sub._id, itemId: it.itemId },
+      {
+        $setOnInsert: {
+          orgId: sub.orgId,
+          submissionId: sub._id,
+          formId: sub.formId,
+          formTitle: sub.formTitle,
+          itemId: it.itemId,
+          itemLabel: it.label,
+          title: it.label || "Critical item failed",
+          description: it.correctiveAction || it.evidence?.note || "",
+          severity: "critical",
+          links: {
+            projectId: sub.links?.projectId || undefined,
+            taskId: sub.links?.taskId || undefined,
+            milestoneId: sub.links?.milestoneId || undefined,
+          },
+          subject: {
+            type: sub.subjectAtRun?.type || "none",
+            id: sub.subjectAtRun?.id || undefined,
+            label: sub.subjectAtRun?.label || "",
+          },
+          ownerUserId,
+          dueAt,
+          status: "open",
+          createdBy: by,
+          history: [{ at: new Date(), by, action: "created", to: "open" }],
+        },
+      },
+      { upsert: true },
+    );
+    created += r?.upsertedCount || 0;
+  }
+
+  const actions = await CorrectiveAction.find({
+    orgId: sub.orgId,
+    submissionId: sub._id,
+  }).lean();
+
+  if (notify && created > 0) {
+    const sent = await notifyCriticalFail(sub, actions);
+    if (sent) {
+      await CorrectiveAction.updateMany(
+        { _id: { $in: actions.map((a) => a._id) }, notifiedAt: { $in: [null] } },
+        { $set: { notifiedAt: new Date() } },
+      );
+    }
+  }
+
+  return actions;
+}
+
+module.exports = {
+  escalateSubmission,
+  actorFrom,
+};
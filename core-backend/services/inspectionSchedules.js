@@ -0,0 +1,378 @@
+// core-backend/services/inspectionSchedules.js
+const mongoose = require("mongoose");
+
+/**
+ * Recurring inspections
+ * - periodsBetween(): period starts for a schedule (daily/weekly/monthly x interval, aligned to startAt)
+ * - generateForSchedule(): upserts one InspectionDue per (period, subject); never backfills
+ *   further than the period that was current when the schedule was first generated
+ * - completeFromSubmission(): called after an InspectionSubmission is saved; closes the
+ *   matching open instance (explicit scheduleInstanceId wins, else form + subject)
+ * - compliance(): completed / (completed + overdue) per schedule
+ *
+ * An instance is due for the whole period and becomes overdue at the end of it (dueAt).
+ */
+
+const MAX_PERIODS_PER_RUN = 62; // guard against runaway catch-up after long downtime
+const INACTIVE_VEHICLE = ["retired", "stolen"];
+const INACTIVE_ASSET = ["retired", "lost", "stolen"];
+
+function models() {
+  return {
+    InspectionSchedule:
+      mongoose.models.InspectionSchedule || require("../models/InspectionSchedule"),
+    InspectionDue: mongoose.models.InspectionDue || require("../models/InspectionDue"),
+    InspectionForm: mongoose.models.InspectionForm || require("../models/InspectionForm"),
+    Vehicle: mongoose.models.Vehicle || require("../models/Vehicle"),
+    Asset: mongoose.models.Asset || require("../models/Asset"),
+  };
+}
+
+const asOid = (v) => {
+  const s = String(v || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+};
+
+/* ------------------------------ period math ------------------------------ */
+
+function addPeriods(date, cadence, n) {
+  const d = new Date(date);
+  if (cadence === "monthly") {
+    // Clamp to the last day of the target month (Jan 31 + 1 month -> Feb 28/29)
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + n);
+    const last = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    d.setDate(Math.min(day, last));
+  } else {
+    const days = cadence === "weekly" ? 7 * n : n;
+    d.setDate(d.getDate() + days);
+  }
+  return d;
+}
+
+function periodLength(schedule) {
+  return Math.max(1, parseInt(schedule.interval, 10) || 1);
+}
+
+// Start of period k (always computed from startAt so monthly clamping never drifts)
+function startOfPeriod(schedule, k) {
+  return addPeriods(schedule.startAt, schedule.cadence, k * periodLength(schedule));
+}
+
+/** Index of the period containing `at` (-1 before startAt). */
+function periodIndexFor(schedule, at) {
+  const start = new Date(schedule.startAt);
+  const t = new Date(at);
+  if (Number.isNaN(start.getTime()) || t < start) return -1;
+
+  const step = periodLength(schedule);
+  let k;
+  if (schedule.cadence === "monthly") {
+    const months =
+      (t.getFullYear() - start.getFullYear()) * 12 + (t.getMonth() - start.getMonth());
+    k = Math.floor(months / step);
+  } else {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const len = (schedule.cadence === "weekly" ? 7 : 1) * step * dayMs;
+    k = Math.floor((t.getTime() - start.getTime()) / len);
+  }
+  // Month-end clamping / DST shifts can put the computed start a little past `t`
+  if (k > 0 && startOfPeriod(schedule, k) > t) k -= 1;
+  return Math.max(0, k);
+}
+
+/** Start of the period containing `at` (or null if before startAt / after endAt). */
+function periodStartFor(schedule, at = new Date()) {
+  if (schedule.endAt && new Date(at) >= new Date(schedule.endAt)) return null;
+  const k = periodIndexFor(schedule, at);
+  return k < 0 ? null : startOfPeriod(schedule, k);
+}
+
+function periodEnd(schedule, periodStart) {
+  return startOfPeriod(schedule, periodIndexFor(schedule, periodStart) + 1);
+}
+
+/** Period starts in (afterStart, current], oldest first. */
+function periodsBetween(schedule, afterStart, now = new Date()) {
+  const current = periodStartFor(schedule, now);
+  if (!current) return [];
+  if (!afterStart) return [current];
+
+  const last = periodIndexFor(schedule, current);
+  const first = Math.max(last - MAX_PERIODS_PER_RUN + 1, periodIndexFor(schedule, afterStart) + 1);
+  const out = [];
+  for (let k = first; k <= last; k++) out.push(startOfPeriod(schedule, k));
+  return out;
+}
+
+/* ------------------------------- subjects ------------------------------- */
+
+/** [{ type, id, label, assignedUserIds }] the schedule should produce per period. */
+async function resolveSubjects(schedule, form, m = models()) {
+  const type = String(form?.subject?.type || "none");
+  const fixed = (schedule.assigneeUserIds || []).map(asOid).filter(Boolean);
+  const projectId = asOid(schedule.projectId) || asOid(form?.scope?.projectId);
+
+  if (form?.subject?.lockToId) {
+    return [
+      {
+        type,
+        id: String(form.subject.lockToId),
+        label: form.subject.lockLabel || "",
+        assignedUserIds: fixed,
+      },
+    ];
+  }
+
+  if (type === "vehicle" || type === "asset") {
+    const Model = type === "vehicle" ? m.Vehicle : m.Asset;
+    const where = {
+      orgId: schedule.orgId,
+      status: { $nin: type === "vehicle" ? INACTIVE_VEHICLE : INACTIVE_ASSET },
+    };
+    if (type === "asset") where.isDeleted = { $ne: true };
+    if (schedule.subjectMode === "selected") {
+      const ids = (schedule.subjectIds || []).map(asOid).filter(Boolean);
+      if (!ids.length) return [];
+      where._id = { $in: ids };
+    } else if (projectId) {
+      where.projectId = projectId;
+    }
+
+    const rows = await Model.find(where)
+      .select(
+        type === "vehicle"
+          ? { reg: 1, make: 1, model: 1, driverId: 1 }
+          : { code: 1, name: 1 },
+      )
+      .lean();
+
+    return rows.map((r) => ({
+      type,
+      id: String(r._id),
+      label:
+        type === "vehicle"
+          ? [r.reg, r.make, r.model].filter(Boolean).join(" ")
+          : [r.code, r.name].filter(Boolean).join(" – "),
+      assignedUserIds: fixed.length
+        ? fixed
+        : type === "vehicle" && r.driverId
+          ? [r.driverId]
+          : [],
+    }));
+  }
+
+  // none / performance: one instance per period
+  return [{ type, id: "", label: "", assignedUserIds: fixed }];
+}
+
+/* ------------------------------ generation ------------------------------ */
+
+async function generateForSchedule(schedule, { now = new Date() } = {}, m = models()) {
+  if (!schedule?._id || schedule.active === false || schedule.isDeleted) return 0;
+
+  const periods = periodsBetween(schedule, schedule.generatedThrough, now);
+  if (!periods.length) return 0;
+
+  const form = await m.InspectionForm.findOne({
+    _id: schedule.formId,
+    isDeleted: { $ne: true },
+  })
+    .select({ title: 1, subject: 1, scope: 1 })
+    .lean();
+  if (!form) return 0;
+
+  const subjects = await resolveSubjects(schedule, form, m);
+  const projectId = asOid(schedule.projectId) || asOid(form?.scope?.projectId) || undefined;
+  const taskId = asOid(schedule.taskId) || asOid(form?.scope?.taskId) || undefined;
+
+  let created = 0;
+  for (const periodStart of periods) {
+    const dueAt = periodEnd(schedule, periodStart);
+    if (!subjects.length) continue;
+
+    const ops = subjects.map((s) => ({
+      updateOne: {
+        filter: { scheduleId: schedule._id, periodStart, "subject.id": s.id },
+        update: {
+          $setOnInsert: {
+            orgId: schedule.orgId,
+            scheduleId: schedule._id,
+            scheduleName: schedule.name,
+            formId: form._id,
+            formTitle: form.title,
+            periodStart,
+            dueAt,
+            subject: { type: s.type, id: s.id, label: s.label },
+            projectId,
+            taskId,
+            assignedUserIds: s.assignedUserIds,
+            status: "open",
+          },
+        },
+        upsert: true,
+      },
+    }));
+    const r = await m.InspectionDue.bulkWrite(ops, { ordered: false });
+    created += r?.upsertedCount || 0;
+  }
+
+  await m.InspectionSchedule.updateOne(
+    { _id: schedule._id },
+    { $set: { generatedThrough: periods[periods.length - 1] } },
+  );
+  return created;
+}
+
+async function runInspectionScheduleSweepOnce({ now = new Date() } = {}) {
+  const m = models();
+  const schedules = await m.InspectionSchedule.find({
+    active: true,
+    isDeleted: { $ne: true },
+    startAt: { $lte: now },
+  }).lean();
+
+  let created = 0;
+  for (const s of schedules) {
+    try {
+      created += await generateForSchedule(s, { now }, m);
+    } catch (e) {
+      console.error("[inspectionSchedules] generate failed:", String(s._id), e?.message || e);
+    }
+  }
+  if (created > 0)
+    console.log(`[inspectionSchedules] Created ${created} due inspection(s)`);
+  return { schedules: schedules.length, created };
+}
+
+/* ------------------------------ completion ------------------------------ */
+
+/**
+ * Close the open instance a submission satisfies.
+ * Prefers `instanceId` (sent by clients that started from a due item); otherwise the most
+ * recent open instance for the same form + subject whose period has started.
+ */
+async function completeFromSubmission(submission, { instanceId } = {}) {
+  const sub =
+    submission && typeof submission.toObject === "function"
+      ? submission.toObject()
+      : submission;
+  if (!sub?._id || !sub.formId) return null;
+
+  const { InspectionDue } = models();
+  const at = sub.createdAt ? new Date(sub.createdAt) : new Date();
+
+  const where = {
+    orgId: sub.orgId,
+    formId: sub.formId,
+    status: "open",
+    periodStart: { $lte: at },
+  };
+  const subjId = sub.subjectAtRun?.id != null ? String(sub.subjectAtRun.id) : "";
+
+  let target = null;
+  if (asOid(instanceId)) {
+    target = await InspectionDue.findOne({ ...where, _id: asOid(instanceId) }).lean();
+  }
+  if (!target) {
+    target = await InspectionDue.findOne({ ...where, "subject.id": subjId })
+      .sort({ periodStart: -1 })
+      .lean();
+  }
+  if (!target) return null;
+
+  const r = await InspectionDue.findOneAndUpdate(
+    { _id: target._id, status: "open" },
+    {
+      $set: {
+        status: "completed",
+        submissionId: sub._id,
+        completedAt: at,
+        completedBy: {
+          _id: asOid(sub.runBy?._id || sub.runBy?.userId) || undefined,
+          name: sub.runBy?.name || "",
+        },
+        onTime: at <= new Date(target.dueAt),
+      },
+    },
+    { new: true },
+  ).lean();
+  return r;
+}
+
+/* ------------------------------ compliance ------------------------------ */
+
+/**
+ * Compliance per schedule for instances whose period started in [from, to].
+ * Only instances that are completed or already overdue count towards the total;
+ * still-open current periods are reported separately as "due".
+ */
+async function compliance(match, { from, to, now = new Date() } = {}) {
+  const { InspectionDue } = models();
+  const where = { ...match, status: { $ne: "cancelled" } };
+  if (from || to) {
+    where.periodStart = {};
+    if (from) where.periodStart.$gte = new Date(from);
+    if (to) where.periodStart.$lte = new Date(to);
+  }
+
+  const rows = await InspectionDue.aggregate([
+    { $match: where },
+    {
+      $group: {
+        _id: "$scheduleId",
+        scheduleName: { $last: "$scheduleName" },
+        formTitle: { $last: "$formTitle" },
+        completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+        onTime: { $sum: { $cond: [{ $eq: ["$onTime", true] }, 1, 0] } },
+        overdue: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ["$status", "open"] }, { $lt: ["$dueAt", now] }] }, 1, 0],
+          },
+        },
+        due: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ["$status", "open"] }, { $gte: ["$dueAt", now] }] }, 1, 0],
+          },
+        },
+      },
+    },
+    { $sort: { scheduleName: 1 } },
+  ]);
+
+  const pct = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 10 : null);
+  const schedules = rows.map((r) => ({
+    scheduleId: r._id,
+    scheduleName: r.scheduleName,
+    formTitle: r.formTitle,
+    completed: r.completed,
+    onTime: r.onTime,
+    overdue: r.overdue,
+    due: r.due,
+    compliancePercent: pct(r.completed, r.completed + r.overdue),
+    onTimePercent: pct(r.onTime, r.completed + r.overdue),
+  }));
+
+  const sum = (k) => schedules.reduce((a, s) => a + s[k], 0);
+  const totals = {
+    completed: sum("completed"),
+    onTime: sum("onTime"),
+    overdue: sum("overdue"),
+    due: sum("due"),
+  };
+  totals.compliancePercent = pct(totals.completed, totals.completed + totals.overdue);
+  totals.onTimePercent = pct(totals.onTime, totals.completed + totals.overdue);
+
+  return { totals, schedules };
+}
+
+module.exports = {
+  periodStartFor,
+  periodEnd,
+  periodsBetween,
+  generateForSchedule,
+  runInspectionScheduleSweepOnce,
+  completeFromSubmission,
+  compliance,
+};
@@ -0,0 +1,273 @@
+// core-backend/services/odometerTimeline.js
+const mongoose = require("mongoose");
+
+/**
+ * Per-vehicle odometer timeline.
+ *
+ * Readings arrive from trips (odoStart / odoEnd), logbook entries (odometer,
+ * odometerStart, odometerEnd) and fuel purchases (odometer), typed on the web or
+ * applied from mobile offline events. None of those paths can see the others, so
+ * this module merges them in time order and checks each reading against the last
+ * trusted one:
+ *
+ *   ok         continues the timeline
+ *   backwards  lower than the last trusted reading (beyond odoBackTolKm)
+ *   jump       more than odoJumpMinKm ahead at an implied average speed above
+ *              odoMaxKmPerHour. Kept out of the timeline unless the next reading
+ *              carries on from it (a real, unlogged stretch rather than a typo).
+ *
+ * Flagged readings are never deleted; they are reported for review and left out
+ * of `current`, the odometer reminders and reports rely on. Web writes reject a
+ * reading that does not fit between its trusted neighbours (checkNewReading);
+ * offline events have already happened, so they are only flagged.
+ *
+ * Per-org policy (Org.settings.vehicles):
+ *   odoBackTolKm      slack for rounding between sources, km   (default 1)
+ *   odoJumpMinKm      jumps below this are never flagged, km    (default 50)
+ *   odoMaxKmPerHour   highest plausible average speed, km/h     (default 150)
+ */
+
+const DEFAULT_POLICY = Object.freeze({ odoBackTolKm: 1, odoJumpMinKm: 50, odoMaxKmPerHour: 150 });
+const HOUR_MS = 60 * 60 * 1000;
+
+function models() {
+  return {
+    VehicleTrip: mongoose.models.VehicleTrip || require("../models/VehicleTrip"),
+    VehicleLog: mongoose.models.VehicleLog || require("../models/VehicleLog"),
+    Purchase: mongoose.models.Purchase || require("../models/Purchase"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const num = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+function normalizeOdometerPolicy(raw = {}) {
+  const pick = (v, fallback) => {
+    const n = num(v);
+    return n != null && n >= 0 ? n : fallback;
+  };
+  return {
+    odoBackTolKm: pick(raw?.odoBackTolKm, DEFAULT_POLICY.odoBackTolKm),
+    odoJumpMinKm: pick(raw?.odoJumpMinKm, DEFAULT_POLICY.odoJumpMinKm),
+    odoMaxKmPerHour: pick(raw?.odoMaxKmPerHour, DEFAULT_POLICY.odoMaxKmPerHour),
+  };
+}
+
+async function loadOdometerPolicy(orgId) {
+  try {
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return normalizeOdometerPolicy();
+    const { Org } = models();
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    return normalizeOdometerPolicy(org?.settings?.vehicles);
+  } catch {
+    return normalizeOdometerPolicy();
+  }
+}
+
+/* ------------------------------- readings ------------------------------- */
+
+/**
+ * Flatten source rows into [{ at, odo, source, field, refId, offline }] sorted by
+ * time (equal times: lower reading first, so start/end pairs never look backwards).
+ */
+function readingsFrom({ trips = [], logs = [], purchases = [] } = {}) {
+  const out = [];
+  const add = (row, source, field, at, value) => {
+    const odo = num(value);
+    const t = at ? new Date(at) : null;
+    if (odo == null || odo <= 0 || !t || Number.isNaN(t.getTime())) return;
+    out.push({
+      at: t,
+      odo,
+      source,
+      field,
+      refId: String(row._id),
+      offline: !!row.sourceOfflineEventId,
+    });
+  };
+
+  for (const t of trips) {
+    if (t.isDeleted) continue;
+    add(t, "trip", "odoStart", t.startedAt, t.odoStart);
+    add(t, "trip", "odoEnd", t.endedAt || t.startedAt, t.odoEnd);
+  }
+  for (const l of logs) {
+    // a single-reading entry mirrors odometer into start/end; keep one copy
+    const same = num(l.odometerStart) === num(l.odometer) && num(l.odometerEnd) === num(l.odometer);
+    if (same) add(l, "log", "odometer", l.ts, l.odometer);
+    else {
+      add(l, "log", "odometerStart", l.ts, l.odometerStart ?? l.odometer);
+      add(l, "log", "odometerEnd", l.ts, l.odometerEnd);
+    }
+  }
+  for (const p of purchases) add(p, "purchase", "odometer", p.date, p.odometer);
+
+  return out.sort((a, b) => a.at - b.at || a.odo - b.odo);
+}
+
+function impliedKmh(from, to) {
+  const hours = (to.at - from.at) / HOUR_MS;
+  const km = to.odo - from.odo;
+  return hours > 0 ? km / hours : Infinity;
+}
+
+function classify(prev, r, policy) {
+  if (!prev) return "ok";
+  if (r.odo < prev.odo - policy.odoBackTolKm) return "backwards";
+  const km = r.odo - prev.odo;
+  if (km > policy.odoJumpMinKm && impliedKmh(prev, r) > policy.odoMaxKmPerHour) return "jump";
+  return "ok";
+}
+
+/**
+ * Walk readings in order and mark each one. Returns the readings with
+ * { status, accepted, deltaKm, message } and the trusted `current` reading.
+ */
+function buildTimeline(readings, policy = normalizeOdometerPolicy()) {
+  const out = [];
+  let trusted = null;
+
+  for (let i = 0; i < readings.length; i++) {
+    const r = { ...readings[i] };
+    const status = classify(trusted, r, policy);
+    r.status = status;
+    r.deltaKm = trusted ? Number((r.odo - trusted.odo).toFixed(1)) : null;
+
+    if (status === "ok") {
+      r.accepted = true;
+    } else if (status === "jump") {
+      // corroborated when the next reading carries on from this one
+      const next = readings[i + 1];
+      r.accepted = !!next && classify(r, next, policy) === "ok" && classify(trusted, next, policy) !== "ok";
+      r.message = `${r.deltaKm} km in ${((r.at - trusted.at) / HOUR_MS).toFixed(1)} h after ${trusted.odo} km${
+        r.accepted ? " (confirmed by the next reading)" : ""
+      }`;
+    } else {
+      r.accepted = false;
+      r.message = `${r.odo} km is below the previous reading of ${trusted.odo} km`;
+    }
+
+    if (r.accepted) trusted = r;
+    out.push(r);
+  }
+
+  const flagged = out.filter((r) => r.status !== "ok");
+  return {
+    readings: out,
+    current: trusted ? { odo: trusted.odo, at: trusted.at, source: trusted.source, refId: trusted.refId } : null,
+    flagged: flagged.length,
+    backwards: flagged.filter((r) => r.status === "backwards").length,
+    jumps: flagged.filter((r) => r.status === "jump").length,
+  };
+}
+
+async function loadVehicleReadings(vehicleId) {
+  const { VehicleTrip, VehicleLog, Purchase } = models();
+  const vId = new mongoose.Types.ObjectId(String(vehicleId));
+  const [trips, logs, purchases] = await Promise.all([
+    VehicleTrip.find({ vehicleId: vId, isDeleted: { $ne: true } })
+      .select({ startedAt: 1, endedAt: 1, odoStart: 1, odoEnd: 1, sourceOfflineEventId: 1 })
+      .lean(),
+    VehicleLog.find({
+      vehicleId: vId,
+      $or: [{ odometer: { $ne: null } }, { odometerStart: { $ne: null } }, { odometerEnd: { $ne: null } }],
+    })
+      .select({ ts: 1, odometer: 1, odometerStart: 1, odometerEnd: 1, sourceOfflineEventId: 1 })
+      .lean(),
+    Purchase.find({ vehicleId: vId, odometer: { $ne: null } })
+      .select({ date: 1, odometer: 1, sourceOfflineEventId: 1 })
+      .lean(),
+  ]);
+  return readingsFrom({ trips, logs, purchases });
+}
+
+/* ---------------------------------- API ---------------------------------- */
+
+/** Full timeline for a vehicle (all sources, each reading classified) */
+async function getOdometerTimeline({ orgId, vehicleId }) {
+  const [policy, readings] = await Promise.all([loadOdometerPolicy(orgId), loadVehicleReadings(vehicleId)]);
+  return { vehicleId: String(vehicleId), policy, ...buildTimeline(readings, policy) };
+}
+
+/** Last trusted reading { odo, at, source, refId } or null */
+async function getCurrentOdometer(vehicleId, { orgId } = {}) {
+  const { current } = await getOdometerTimeline({ orgId, vehicleId });
+  return current;
+}
+
+/**
+ * Would a new (or edited) reading fit the timeline? Compares against the trusted
+ * readings either side of `at`; readings of the row being edited are skipped via
+ * `excludeRefId`. Returns { ok, status, prev, next, message }.
+ *   backwards  below the trusted reading before it
+ *   ahead      above a trusted reading recorded after it
+ *   jump       implausible distance for the time since the previous reading (allowed, flagged)
+ */
+async function checkNewReading({ orgId, vehicleId, odo, at = new Date(), excludeRefId = null }) {
+  const value = num(odo);
+  if (value == null) return { ok: true, status: "ok" };
+
+  const [policy, readings] = await Promise.all([loadOdometerPolicy(orgId), loadVehicleReadings(vehicleId)]);
+  const own = excludeRefId ? String(excludeRefId) : null;
+  const { readings: classified } = buildTimeline(
+    readings.filter((r) => r.refId !== own),
+    policy,
+  );
+  const trusted = classified.filter((r) => r.accepted);
+  const when = new Date(at);
+
+  let prev = null;
+  let next = null;
+  for (const r of trusted) {
+    if (r.at <= when) prev = r;
+    else {
+      next = r;
+      break;
+    }
+  }
+  const brief = (r) => (r ? { odo: r.odo, at: r.at, source: r.source } : null);
+  const candidate = { at: when, odo: value };
+
+  if (prev && value < prev.odo - policy.odoBackTolKm) {
+    return {
+      ok: false,
+      status: "backwards",
+      prev: brief(prev),
+      next: brief(next),
+      message: `Odometer ${value} km is below the ${prev.odo} km already recorded on ${prev.at.toISOString().slice(0, 10)}.`,
+    };
+  }
+  if (next && value > next.odo + policy.odoBackTolKm) {
+    return {
+      ok: false,
+      status: "ahead",
+      prev: brief(prev),
+      next: brief(next),
+      message: `Odometer ${value} km is above the ${next.odo} km recorded later, on ${next.at.toISOString().slice(0, 10)}.`,
+    };
+  }
+  const status = classify(prev, candidate, policy);
+  return {
+    ok: true,
+    status,
+    prev: brief(prev),
+    next: brief(next),
+    ...(status === "jump"
+      ? { message: `Odometer ${value} km is ${value - prev.odo} km on from ${prev.odo} km; it will be flagged for review.` }
+      : {}),
+  };
+}
+
+module.exports = {
+  normalizeOdometerPolicy,
+  loadOdometerPolicy,
+  readingsFrom,
+  buildTimeline,
+  getOdometerTimeline,
+  getCurrentOdometer,
+  checkNewReading,
+};
@@ -0,0 +1,333 @@
+// core-backend/services/planExport.js
+const mongoose = require("mongoose");
+const { clockAction } = require("./fenceTrigger");
+
+/**
+ * Project.planning -> MS Project XML (MSPDI) for progress reporting.
+ *
+ *   loadProgress(planning)               planningId -> { actualStart, actualFinish, percent }
+ *                                        from the tasks/milestones generated off the plan
+ *   toMspdi({ project, planning, progress, assignees })   XML string
+ *   exportMspdi(project)                 both of the above, plus assignee names
+ *
+ * wbsPath segments become summary tasks, deliverables become milestones next to their
+ * parent task, and dependency links keep type and lag. Items imported from MSPDI keep
+ * their UID so a re-import matches them. Leaf tasks carry a start-no-earlier-than
+ * constraint so Project keeps the planned dates when it recalculates.
+ *
+ * Percent complete: 100 once completed; while running, the share of finished
+ * deliverables, or elapsed time against the planned finish (capped at 95) when the
+ * task has none.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const LINK_CODES = { FF: 0, FS: 1, SF: 2, SS: 3 };
+const STANDARD = { name: "Standard", hoursPerDay: 8, workDays: [1, 2, 3, 4, 5] };
+
+function models() {
+  return {
+    Task: mongoose.models.Task || require("../models/Task"),
+    TaskMilestone: mongoose.models.TaskMilestone || require("../models/TaskMilestone"),
+    User: mongoose.models.User || require("../models/User"),
+  };
+}
+
+function asOid(x) {
+  const s = String(x?._id || x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// wall-clock UTC, as the importer reads it
+const xmlDate = (d) => (d ? new Date(d).toISOString().slice(0, 19) : "");
+
+function xmlDuration(hours) {
+  const mins = Math.max(0, Math.round(hours * 60));
+  return `PT${Math.floor(mins / 60)}H${mins % 60}M0S`;
+}
+
+const tag = (name, value) => (value === "" || value == null ? "" : `<${name}>${esc(value)}</${name}>`);
+
+/* -------------------------------- progress -------------------------------- */
+
+async function loadProgress(planning) {
+  const { Task, TaskMilestone } = models();
+  const out = new Map();
+  const raw = planning?.lastGeneratedMap || {};
+  const map = raw instanceof Map ? Object.fromEntries(raw) : raw;
+  const items = Array.isArray(planning?.items) ? planning.items : [];
+  const itemById = new Map(items.map((it) => [String(it._id), it]));
+
+  const taskIds = Object.values(map).map((m) => asOid(m?.taskId)).filter(Boolean);
+  const msIds = Object.values(map).map((m) => asOid(m?.milestoneId)).filter(Boolean);
+  if (!taskIds.length && !msIds.length) return out;
+
+  const [tasks, milestones] = await Promise.all([
+    Task.find({ _id: { $in: taskIds } }).select("status actualStartAt actualEndAt actualDurationLog").lean(),
+    TaskMilestone.find({ taskId: { $in: taskIds }, isDeleted: { $ne: true } })
+      .select("taskId status actualEndAt completedAt")
+      .lean(),
+  ]);
+  const taskById = new Map(tasks.map((t) => [String(t._id), t]));
+  const msById = new Map(milestones.map((m) => [String(m._id), m]));
+  const msByTask = new Map();
+  for (const m of milestones) {
+    const k = String(m.taskId);
+    if (!msByTask.has(k)) msByTask.set(k, []);
+    msByTask.get(k).push(m);
+  }
+
+  for (const [planningId, ref] of Object.entries(map)) {
+    const it = itemById.get(planningId);
+    if (!it) continue;
+
+    if (ref?.milestoneId) {
+      const m = msById.get(String(ref.milestoneId));
+      if (m?.status === "finished") {
+        const at = m.actualEndAt || m.completedAt || it.endPlanned;
+        out.set(planningId, { actualStart: at, actualFinish: at, percent: 100 });
+      }
+      continue;
+    }
+
+    const t = ref?.taskId && taskById.get(String(ref.taskId));
+    if (!t) continue;
+    const log = (t.actualDurationLog || []).filter((l) => l && l.at).sort((a, b) => +new Date(a.at) - +new Date(b.at));
+    const firstStart = log.find((l) => ["start", "resume"].includes(clockAction(l)))?.at;
+    const actualStart = t.actualStartAt || firstStart || null;
+
+    if (t.status === "completed") {
+      const lastComplete = [...log].reverse().find((l) => clockAction(l) === "complete")?.at;
+      const actualFinish = t.actualEndAt || lastComplete || it.endPlanned;
+      out.set(planningId, { actualStart: actualStart || actualFinish, actualFinish, percent: 100 });
+      continue;
+    }
+    if (!actualStart) continue;
+
+    const ms = msByTask.get(String(t._id)) || [];
+    let percent;
+    if (ms.length) {
+      percent = Math.min(99, Math.round((ms.filter((m) => m.status === "finished").length / ms.length) * 100));
+    } else {
+      const span = +new Date(it.endPlanned) - +new Date(actualStart);
+      const gone = Date.now() - +new Date(actualStart);
+      percent = span > 0 ? Math.min(95, Math.round((gone / span) * 100)) : 95;
+    }
+    out.set(planningId, { actualStart, actualFinish: null, percent: Math.max(1, percent) });
+  }
+  return out;
+}
+
+/* ---------------------------------- xml ---------------------------------- */
+
+function workingDays(start, end, workDays) {
+  const a = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const b = Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate());
+  let n = 0;
+  for (let d = a; d <= b; d += DAY) if (workDays.includes(new Date(d).getUTCDay())) n++;
+  return Math.max(1, n);
+}
+
+function calendarXml(c, uid) {
+  const from = 8 * 60;
+  const to = Math.min(from + Math.round((c.hoursPerDay || 8) * 60), 24 * 60 - 1);
+  const hhmm = (m) => `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}:00`;
+  const days = [0, 1, 2, 3, 4, 5, 6]
+    .map((d) => {
+      const on = (c.workDays || STANDARD.workDays).includes(d);
+      const times = on
+        ? `<WorkingTimes><WorkingTime><FromTime>${hhmm(from)}</FromTime><ToTime>${hhmm(to)}</ToTime></WorkingTime></WorkingTimes>`
+        : "";
+      return `<WeekDay><DayType>${d + 1}</DayType><DayWorking>${on ? 1 : 0}</DayWorking>${times}</WeekDay>`;
+    })
+    .join("");
+  return `<Calendar><UID>${uid}</UID>${tag("Name", c.name)}<IsBaseCalendar>1</IsBaseCalendar><BaseCalendarUID>-1</BaseCalendarUID><WeekDays>${days}</WeekDays></Calendar>`;
+}
+
+/**
+ * assignees: Map userId -> name, used as the resource when an item has no resourceNames
+ */
+function toMspdi({ project = {}, planning = {}, progress = new Map(), assignees = new Map() } = {}) {
+  const items = (Array.isArray(planning.items) ? planning.items : [])
+    .filter((it) => it && it.startPlanned && it.endPlanned)
+    .sort((a, b) => (a.order || 0) - (b.order || 0) || +new Date(a.startPlanned) - +new Date(b.startPlanned));
+
+  const calendars = planning.calendars?.length ? planning.calendars : [STANDARD];
+  const calUid = new Map(calendars.map((c, i) => [c.name, i + 1]));
+  const calOf = (it) => calendars[(calUid.get(it.calendarName) || 1) - 1];
+  const defaultCal = calendars[0];
+
+  // UIDs: keep MSPDI ones, number the rest above them
+  const used = new Set(
+    items.map((it) => /^mspdi:(\d+)$/.exec(it.externalId || "")?.[1]).filter(Boolean).map(Number),
+  );
+  let next = 1;
+  const nextUid = () => {
+    while (used.has(next)) next++;
+    used.add(next);
+    return next;
+  };
+  const uidOf = new Map();
+  for (const it of items) {
+    const keep = /^mspdi:(\d+)$/.exec(it.externalId || "")?.[1];
+    if (keep) uidOf.set(String(it._id), Number(keep));
+  }
+  for (const it of items) if (!uidOf.has(String(it._id))) uidOf.set(String(it._id), nextUid());
+
+  // outline: wbsPath segments -> summary nodes; deliverables follow their parent task
+  const root = { children: [], byName: new Map() };
+  const delivsOf = new Map();
+  const placed = new Set();
+  for (const it of items) {
+    if (it.type !== "deliverable" || !it.parentPlanningId) continue;
+    const k = String(it.parentPlanningId);
+    if (!delivsOf.has(k)) delivsOf.set(k, []);
+    delivsOf.get(k).push(it);
+  }
+  const place = (it) => {
+    if (placed.has(String(it._id))) return;
+    placed.add(String(it._id));
+    let node = root;
+    for (const seg of String(it.wbsPath || "").split(" / ").map((s) => s.trim()).filter(Boolean)) {
+      if (!node.byName.has(seg)) {
+        const n = { name: seg, children: [], byName: new Map() };
+        node.byName.set(seg, n);
+        node.children.push(n);
+      }
+      node = node.byName.get(seg);
+    }
+    node.children.push({ item: it });
+    for (const d of delivsOf.get(String(it._id)) || []) {
+      placed.add(String(d._id));
+      node.children.push({ item: d });
+    }
+  };
+  items.filter((it) => it.type !== "deliverable").forEach(place);
+  items.forEach(place); // deliverables whose parent is missing
+
+  const span = (node) => {
+    if (node.item) return [new Date(node.item.startPlanned), new Date(node.item.endPlanned)];
+    const spans = node.children.map(span);
+    return [new Date(Math.min(...spans.map((s) => +s[0]))), new Date(Math.max(...spans.map((s) => +s[1])))];
+  };
+
+  const resourceNames = [];
+  const resourcesOf = (it) => {
+    const names = (it.resourceNames || []).filter(Boolean);
+    if (names.length) return names;
+    const a = it.assigneeUserId && assignees.get(String(it.assigneeUserId));
+    return a ? [a] : [];
+  };
+  for (const it of items) for (const n of resourcesOf(it)) if (!resourceNames.includes(n)) resourceNames.push(n);
+
+  const taskXml = [];
+  const assignmentXml = [];
+  const [projStart, projFinish] = items.length ? span(root) : [new Date(), new Date()];
+  taskXml.push(
+    `<Task><UID>0</UID><ID>0</ID>${tag("Name", project.name)}<Type>1</Type><IsNull>0</IsNull><WBS>0</WBS><OutlineNumber>0</OutlineNumber><OutlineLevel>0</OutlineLevel><Start>${xmlDate(projStart)}</Start><Finish>${xmlDate(projFinish)}</Finish><Summary>1</Summary></Task>`,
+  );
+
+  let rowId = 1;
+  const emit = (node, outline, level) => {
+    const [start, finish] = span(node);
+    if (!node.item) {
+      const days = workingDays(start, finish, defaultCal.workDays || STANDARD.workDays);
+      taskXml.push(
+        `<Task><UID>${nextUid()}</UID><ID>${rowId++}</ID>${tag("Name", node.name)}<Type>1</Type><IsNull>0</IsNull><WBS>${outline}</WBS><OutlineNumber>${outline}</OutlineNumber><OutlineLevel>${level}</OutlineLevel><Start>${xmlDate(start)}</Start><Finish>${xmlDate(finish)}</Finish><Duration>${xmlDuration(days * (defaultCal.hoursPerDay || 8))}</Duration><DurationFormat>7</DurationFormat><Summary>1</Summary><Milestone>0</Milestone></Task>`,
+      );
+      node.children.forEach((c, i) => emit(c, `${outline}.${i + 1}`, level + 1));
+      return;
+    }
+
+    const it = node.item;
+    const cal = calOf(it);
+    const uid = uidOf.get(String(it._id));
+    const milestone = it.type === "deliverable" || it.durationDays === 0;
+    const days = it.durationDays != null && it.durationDays > 0 ? it.durationDays : workingDays(start, finish, cal.workDays || STANDARD.workDays);
+    const prog = progress.get(String(it._id));
+
+    const links = (
+      it.dependencyLinks?.length
+        ? it.dependencyLinks
+        : (it.dependsOnPlanningIds || []).map((id) => ({ planningId: id, type: "FS", lagDays: 0 }))
+    )
+      .filter((l) => uidOf.has(String(l.planningId)))
+      .map(
+        (l) =>
+          `<PredecessorLink><PredecessorUID>${uidOf.get(String(l.planningId))}</PredecessorUID><Type>${LINK_CODES[l.type] ?? 1}</Type><CrossProject>0</CrossProject><LinkLag>${Math.round((l.lagDays || 0) * (cal.hoursPerDay || 8) * 600)}</LinkLag><LagFormat>7</LagFormat></PredecessorLink>`,
+      )
+      .join("");
+
+    taskXml.push(
+      [
+        `<Task><UID>${uid}</UID><ID>${rowId++}</ID>`,
+        tag("Name", it.title),
+        "<Type>0</Type><IsNull>0</IsNull>",
+        tag("WBS", it.wbsCode || outline),
+        `<OutlineNumber>${outline}</OutlineNumber><OutlineLevel>${level}</OutlineLevel>`,
+        tag("Priority", { low: 300, medium: 500, high: 700, urgent: 900 }[it.priority] || 500),
+        `<Start>${xmlDate(start)}</Start><Finish>${xmlDate(milestone ? start : finish)}</Finish>`,
+        `<Duration>${xmlDuration(milestone ? 0 : days * (cal.hoursPerDay || 8))}</Duration><DurationFormat>7</DurationFormat>`,
+        `<Milestone>${milestone ? 1 : 0}</Milestone><Summary>0</Summary>`,
+        `<PercentComplete>${prog?.percent || 0}</PercentComplete>`,
+        prog?.actualStart ? tag("ActualStart", xmlDate(prog.actualStart)) : "",
+        prog?.actualFinish ? tag("ActualFinish", xmlDate(prog.actualFinish)) : "",
+        `<ConstraintType>4</ConstraintType><ConstraintDate>${xmlDate(start)}</ConstraintDate>`,
+        `<CalendarUID>${calUid.get(cal.name) || 1}</CalendarUID>`,
+        tag("Notes", it.description),
+        links,
+        "</Task>",
+      ].join(""),
+    );
+
+    for (const n of resourcesOf(it)) {
+      assignmentXml.push(
+        `<Assignment><UID>${assignmentXml.length + 1}</UID><TaskUID>${uid}</TaskUID><ResourceUID>${resourceNames.indexOf(n) + 1}</ResourceUID><Units>1</Units></Assignment>`,
+      );
+    }
+  };
+  root.children.forEach((c, i) => emit(c, String(i + 1), 1));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Project xmlns="http://schemas.microsoft.com/project">',
+    "<SaveVersion>14</SaveVersion>",
+    tag("Name", `${project.name || "Project"}.xml`),
+    tag("Title", project.name),
+    "<ScheduleFromStart>1</ScheduleFromStart>",
+    `<StartDate>${xmlDate(projStart)}</StartDate><FinishDate>${xmlDate(projFinish)}</FinishDate>`,
+    `<CalendarUID>1</CalendarUID><MinutesPerDay>${Math.round((defaultCal.hoursPerDay || 8) * 60)}</MinutesPerDay>`,
+    `<StatusDate>${xmlDate(new Date())}</StatusDate>`,
+    `<Calendars>${calendars.map((c, i) => calendarXml(c, i + 1)).join("")}</Calendars>`,
+    `<Tasks>${taskXml.join("")}</Tasks>`,
+    `<Resources>${resourceNames.map((n, i) => `<Resource><UID>${i + 1}</UID><ID>${i + 1}</ID>${tag("Name", n)}<Type>1</Type></Resource>`).join("")}</Resources>`,
+    `<Assignments>${assignmentXml.join("")}</Assignments>`,
+    "</Project>",
+  ].join("\n");
+}
+
+async function exportMspdi(project) {
+  const { User } = models();
+  const planning = project?.planning || {};
+  const ids = [...new Set((planning.items || []).map((it) => String(it.assigneeUserId || "")).filter(Boolean))]
+    .map(asOid)
+    .filter(Boolean);
+  const [progress, users] = await Promise.all([
+    loadProgress(planning),
+    ids.length ? User.find({ _id: { $in: ids } }).select("name email").lean() : [],
+  ]);
+  const assignees = new Map(users.map((u) => [String(u._id), u.name || u.email || ""]));
+  return toMspdi({ project, planning, progress, assignees });
+}
+
+module.exports = {
+  loadProgress,
+  toMspdi,
+  exportMspdi,
+};
@@ -0,0 +1,677 @@
+// core-backend/services/planImport.js
+const mongoose = require("mongoose");
+const { DOMParser } = require("xmldom");
+
+/**
+ * MS Project (MSPDI XML) and Primavera P6 (XER) import onto Project.planning items.
+ *
+ *   detectFormat(buffer, fileName)     "mspdi" | "xer" | null
+ *   parseMspdi(text) / parseXer(text)  -> neutral schedule { activities, calendars, resources, ... }
+ *   toPlanningItems(schedule, opts)    -> { items, calendars, warnings } in PlanningItemSchema shape
+ *   diffPlan(current, imported)        -> { rows, summary } preview of what an import changes
+ *   mergePlan(current, imported, opt)  -> items to save; matched items keep their _id
+ *
+ * Mapping:
+ *  - summary tasks (MSPDI) / WBS nodes (XER) are not items: their names become wbsPath,
+ *    and the top level becomes workstreamName
+ *  - milestones become deliverables under a predecessor task in the same WBS branch
+ *    (or the task before them); with no task to sit under they stay zero-length tasks
+ *  - predecessor links keep type and lag (dependencyLinks, lag in working days); links
+ *    to a summary fan out to its leaf activities
+ *  - durations are converted with the activity's calendar (hours per day)
+ *  - resources are kept by name and matched to org users by email, then name
+ *  - file dates are wall-clock times and are read as UTC
+ *
+ * Re-imports match existing items by externalId ("mspdi:<UID>" / "xer:<task_id>"),
+ * then WBS code, then title.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const LINK_TYPES = ["FS", "SS", "FF", "SF"];
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+const fail = (status, msg) => Object.assign(new Error(msg), { status });
+const round2 = (n) => Math.round(n * 100) / 100;
+const newId = () => new mongoose.Types.ObjectId();
+// blank or missing column -> null (Number("") is 0, Number(undefined) is NaN)
+const numOrNull = (v) => (v !== "" && v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+
+// "2024-01-15T08:00:00" / "2024-01-15 08:00" -> Date (UTC wall clock)
+function wallDate(s) {
+  const v = String(s || "").trim();
+  if (!v) return null;
+  const iso = v.replace(" ", "T");
+  const d = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso.length === 16 ? `${iso}:00` : iso}Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/* ------------------------------- detection ------------------------------- */
+
+function bufferText(buffer) {
+  const utf8 = buffer.toString("utf8");
+  // P6 writes XER in the Windows code page
+  return utf8.includes("\uFFFD") ? buffer.toString("latin1") : utf8;
+}
+
+function detectFormat(buffer, fileName = "") {
+  const ext = String(fileName).split(".").pop().toLowerCase();
+  const head = buffer.slice(0, 2048).toString("utf8").replace(/^\uFEFF/, "");
+  if (ext === "xer" || head.startsWith("ERMHDR")) return "xer";
+  if (ext === "xml" || head.trimStart().startsWith("<")) {
+    return /<Project[\s>]/.test(head) || /schemas\.microsoft\.com\/project/.test(head) ? "mspdi" : null;
+  }
+  return null;
+}
+
+/* --------------------------------- MSPDI --------------------------------- */
+
+function child(el, name) {
+  for (let n = el && el.firstChild; n; n = n.nextSibling) {
+    if (n.nodeType === 1 && (n.localName || n.nodeName) === name) return n;
+  }
+  return null;
+}
+
+function children(el, name) {
+  const out = [];
+  for (let n = el && el.firstChild; n; n = n.nextSibling) {
+    if (n.nodeType === 1 && (n.localName || n.nodeName) === name) out.push(n);
+  }
+  return out;
+}
+
+const text = (el, name) => {
+  const c = child(el, name);
+  return c ? String(c.textContent || "").trim() : "";
+};
+
+// "PT16H0M0S" / "P2DT4H0M0S" -> hours (D counts 24h)
+function isoHours(s) {
+  const m = /^-?P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+    String(s || "").trim(),
+  );
+  if (!m) return null;
+  const [, d, h, min, sec] = m.map((x) => Number(x) || 0);
+  return d * 24 + h + min / 60 + sec / 3600;
+}
+
+function mspdiCalendar(el) {
+  const uid = text(el, "UID");
+  const days = children(child(el, "WeekDays"), "WeekDay").filter((d) => {
+    const t = Number(text(d, "DayType"));
+    return t >= 1 && t <= 7;
+  });
+  let workDays = null;
+  let hoursPerDay = null;
+  if (days.length) {
+    workDays = [];
+    const hours = [];
+    for (const d of days) {
+      if (text(d, "DayWorking") !== "1") continue;
+      workDays.push(Number(text(d, "DayType")) - 1);
+      const span = children(child(d, "WorkingTimes"), "WorkingTime").reduce((a, w) => {
+        const from = wallDate(`1970-01-01T${text(w, "FromTime")}`);
+        const to = wallDate(`1970-01-01T${text(w, "ToTime")}`);
+        if (!from || !to) return a;
+        return a + ((to > from ? to - from : to - from + DAY) / 3600000);
+      }, 0);
+      if (span) hours.push(span);
+    }
+    if (hours.length) hoursPerDay = round2(hours.reduce((a, h) => a + h, 0) / hours.length);
+  }
+  return {
+    id: uid,
+    name: text(el, "Name") || `Calendar ${uid}`,
+    baseId: text(el, "BaseCalendarUID"),
+    isBase: text(el, "IsBaseCalendar") === "1",
+    workDays,
+    hoursPerDay,
+  };
+}
+
+const MSPDI_LINK = { 0: "FF", 1: "FS", 2: "SF", 3: "SS" };
+const ELAPSED_LAG = new Set([4, 6, 8, 10, 12, 36, 38, 40, 42, 44]);
+const PERCENT_LAG = new Set([19, 20, 51, 52]);
+
+function parseMspdi(textIn) {
+  const warnings = [];
+  const doc = new DOMParser({
+    errorHandler: { warning: () => {}, error: () => {}, fatalError: () => {} },
+  }).parseFromString(String(textIn), "text/xml");
+  const root = doc && doc.documentElement;
+  if (!root || (root.localName || root.nodeName) !== "Project") throw fail(400, "Not an MS Project XML (MSPDI) file");
+
+  const minutesPerDay = Number(text(root, "MinutesPerDay")) || 480;
+
+  // calendars, with week days inherited from the base calendar
+  const calById = new Map();
+  for (const el of children(child(root, "Calendars"), "Calendar")) {
+    const c = mspdiCalendar(el);
+    calById.set(c.id, c);
+  }
+  const resolveCal = (c, depth = 0) => {
+    if (!c || depth > 5) return null;
+    if (c.workDays && c.hoursPerDay) return c;
+    const base = resolveCal(calById.get(c.baseId), depth + 1);
+    return {
+      ...c,
+      workDays: c.workDays || base?.workDays || DEFAULT_WORK_DAYS,
+      hoursPerDay: c.hoursPerDay || base?.hoursPerDay || minutesPerDay / 60,
+    };
+  };
+  const calendars = [...calById.values()].map((c) => {
+    const r = resolveCal(c);
+    return { id: c.id, name: c.name, workDays: r.workDays, hoursPerDay: r.hoursPerDay };
+  });
+
+  const resources = new Map();
+  for (const el of children(child(root, "Resources"), "Resource")) {
+    const uid = text(el, "UID");
+    const name = text(el, "Name");
+    if (!uid || uid === "0" || !name) continue;
+    resources.set(uid, { name, email: text(el, "EmailAddress") });
+  }
+
+  const assignments = new Map(); // task uid -> [resource uid]
+  for (const el of children(child(root, "Assignments"), "Assignment")) {
+    const t = text(el, "TaskUID");
+    const r = text(el, "ResourceUID");
+    if (!resources.has(r)) continue;
+    if (!assignments.has(t)) assignments.set(t, []);
+    assignments.get(t).push(r);
+  }
+
+  const activities = [];
+  const outline = []; // names of open summary tasks by outline level
+  for (const el of children(child(root, "Tasks"), "Task")) {
+    const uid = text(el, "UID");
+    if (!uid || uid === "0" || text(el, "IsNull") === "1") continue;
+
+    const level = Number(text(el, "OutlineLevel")) || 1;
+    const name = text(el, "Name") || `Task ${uid}`;
+    outline.length = level - 1;
+    const path = outline.filter(Boolean);
+    const summary = text(el, "Summary") === "1";
+    if (summary) outline[level - 1] = name;
+
+    const preds = [];
+    for (const l of children(el, "PredecessorLink")) {
+      const fmt = Number(text(l, "LagFormat")) || 7;
+      const raw = Number(text(l, "LinkLag")) || 0; // tenths of a minute
+      if (raw && PERCENT_LAG.has(fmt)) warnings.push(`"${name}": percentage lag ignored`);
+      preds.push({
+        uid: text(l, "PredecessorUID"),
+        type: MSPDI_LINK[Number(text(l, "Type"))] || "FS",
+        lagHours: PERCENT_LAG.has(fmt) ? 0 : raw / 600,
+        elapsed: ELAPSED_LAG.has(fmt),
+      });
+    }
+
+    activities.push({
+      uid,
+      name,
+      code: text(el, "WBS") || text(el, "OutlineNumber"),
+      path,
+      summary,
+      milestone: text(el, "Milestone") === "1",
+      start: wallDate(text(el, "Start")),
+      finish: wallDate(text(el, "Finish")),
+      durationHours: isoHours(text(el, "Duration")),
+      calendarId: text(el, "CalendarUID") && text(el, "CalendarUID") !== "-1" ? text(el, "CalendarUID") : "",
+      notes: text(el, "Notes"),
+      percentComplete: Number(text(el, "PercentComplete")) || 0,
+      priority: Number(text(el, "Priority")) || 500,
+      resourceIds: assignments.get(uid) || [],
+      preds,
+    });
+  }
+
+  return {
+    format: "mspdi",
+    projectName: text(root, "Title") || text(root, "Name"),
+    defaultCalendarId: text(root, "CalendarUID"),
+    defaultHoursPerDay: minutesPerDay / 60,
+    calendars,
+    resources,
+    activities,
+    warnings,
+  };
+}
+
+/* ---------------------------------- XER ---------------------------------- */
+
+// -> { TABLE: [ { field: value } ] }
+function xerTables(textIn) {
+  const tables = {};
+  let current = null;
+  let fields = [];
+  for (const line of String(textIn).split(/\r?\n/)) {
+    const cells = line.split("\t");
+    if (cells[0] === "%T") {
+      current = cells[1];
+      tables[current] = tables[current] || [];
+    } else if (cells[0] === "%F") {
+      fields = cells.slice(1);
+    } else if (cells[0] === "%R" && current) {
+      const row = {};
+      fields.forEach((f, i) => {
+        row[f] = cells[i + 1] != null ? cells[i + 1] : "";
+      });
+      tables[current].push(row);
+    }
+  }
+  return tables;
+}
+
+// clndr_data: "(0||DaysOfWeek()( (0||1()()) (0||2()( (0||0(s|08:00|f|16:00)()) )) ... )"
+function xerWorkDays(data) {
+  const s = String(data || "");
+  const at = s.indexOf("DaysOfWeek");
+  if (at < 0) return null;
+  const end = s.indexOf("Exceptions", at);
+  const block = s.slice(at, end < 0 ? undefined : end);
+  const parts = block.split(/\(0\|\|([1-7])\(\)/);
+  const days = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    if (/s\|\d{1,2}:\d\d/.test(parts[i + 1] || "")) days.push(Number(parts[i]) - 1);
+  }
+  return days.length ? days : null;
+}
+
+const XER_LINK = { PR_FS: "FS", PR_SS: "SS", PR_FF: "FF", PR_SF: "SF" };
+const XER_PRIORITY = { PT_Top: 1000, PT_High: 750, PT_Normal: 500, PT_Low: 250, PT_Lowest: 0 };
+
+function parseXer(textIn, { projectCode } = {}) {
+  const warnings = [];
+  const t = xerTables(textIn);
+  if (!t.TASK) throw fail(400, "Not a Primavera XER file (no TASK table)");
+
+  const projects = t.PROJECT || [];
+  const counts = new Map();
+  for (const row of t.TASK) counts.set(row.proj_id, (counts.get(row.proj_id) || 0) + 1);
+  let project =
+    (projectCode && projects.find((p) => p.proj_short_name === projectCode || p.proj_id === projectCode)) ||
+    [...projects].sort((a, b) => (counts.get(b.proj_id) || 0) - (counts.get(a.proj_id) || 0))[0];
+  if (projectCode && !project) throw fail(400, `Project ${projectCode} not found in the XER file`);
+  if (!project) project = { proj_id: t.TASK[0].proj_id, proj_short_name: "" };
+  if (projects.length > 1) {
+    warnings.push(`File holds ${projects.length} projects; imported ${project.proj_short_name || project.proj_id}`);
+  }
+  const pid = project.proj_id;
+
+  const calendars = (t.CALENDAR || []).map((c) => ({
+    id: c.clndr_id,
+    name: c.clndr_name || `Calendar ${c.clndr_id}`,
+    hoursPerDay: Number(c.day_hr_cnt) || 8,
+    workDays: xerWorkDays(c.clndr_data) || DEFAULT_WORK_DAYS,
+  }));
+  const defaultCal =
+    project.clndr_id || (t.CALENDAR || []).find((c) => c.default_flag === "Y")?.clndr_id || calendars[0]?.id || "";
+
+  // WBS names from the project node down (the project node itself is left out)
+  const wbs = new Map((t.PROJWBS || []).filter((w) => w.proj_id === pid).map((w) => [w.wbs_id, w]));
+  const wbsPath = (id) => {
+    const names = [];
+    const codes = [];
+    for (let w = wbs.get(id), guard = 0; w && guard < 50; w = wbs.get(w.parent_wbs_id), guard++) {
+      if (w.proj_node_flag === "Y") break;
+      names.unshift(w.wbs_name || w.wbs_short_name);
+      codes.unshift(w.wbs_short_name);
+    }
+    return { names, codes };
+  };
+
+  const resources = new Map(
+    (t.RSRC || []).map((r) => [r.rsrc_id, { name: r.rsrc_name || r.rsrc_short_name, email: r.email_addr || "" }]),
+  );
+  const assignments = new Map();
+  for (const a of t.TASKRSRC || []) {
+    if (a.proj_id && a.proj_id !== pid) continue;
+    if (!assignments.has(a.task_id)) assignments.set(a.task_id, []);
+    assignments.get(a.task_id).push(a.rsrc_id);
+  }
+
+  const preds = new Map();
+  for (const p of t.TASKPRED || []) {
+    if (p.proj_id && p.proj_id !== pid) continue;
+    if (!preds.has(p.task_id)) preds.set(p.task_id, []);
+    preds.get(p.task_id).push({
+      uid: p.pred_task_id,
+      type: XER_LINK[p.pred_type] || "FS",
+      lagHours: Number(p.lag_hr_cnt) || 0,
+      elapsed: false,
+    });
+  }
+
+  const activities = [];
+  for (const row of t.TASK) {
+    if (row.proj_id !== pid) continue;
+    const { names, codes } = wbsPath(row.wbs_id);
+    const done = row.status_code === "TK_Complete";
+    activities.push({
+      uid: row.task_id,
+      name: row.task_name || row.task_code,
+      code: row.task_code || [...codes].join("."),
+      path: names,
+      // WBS summary activities span their WBS node; the node is already the path
+      summary: row.task_type === "TT_WBS",
+      milestone: row.task_type === "TT_Mile" || row.task_type === "TT_FinMile",
+      start: wallDate(row.target_start_date) || wallDate(row.early_start_date) || wallDate(row.act_start_date),
+      finish: wallDate(row.target_end_date) || wallDate(row.early_end_date) || wallDate(row.act_end_date),
+      durationHours: numOrNull(row.target_drtn_hr_cnt),
+      calendarId: row.clndr_id || "",
+      notes: "",
+      percentComplete: done ? 100 : Number(row.phys_complete_pct) || (row.status_code === "TK_Active" ? 1 : 0),
+      priority: XER_PRIORITY[row.priority_type] ?? 500,
+      resourceIds: assignments.get(row.task_id) || [],
+      preds: preds.get(row.task_id) || [],
+    });
+  }
+
+  return {
+    format: "xer",
+    projectName: project.proj_short_name || "",
+    defaultCalendarId: defaultCal,
+    defaultHoursPerDay: calendars.find((c) => c.id === defaultCal)?.hoursPerDay || 8,
+    calendars,
+    resources,
+    activities,
+    warnings,
+  };
+}
+
+/* ------------------------- schedule -> planning items ------------------------- */
+
+function priorityOf(n) {
+  if (n >= 900) return "urgent";
+  if (n >= 700) return "high";
+  if (n <= 300) return "low";
+  return "medium";
+}
+
+/**
+ * opts.users: [{ _id, name, email }] for resource -> assignee matching
+ * -> { items, calendars: [{ name, hoursPerDay, workDays }], warnings }
+ */
+function toPlanningItems(schedule, { users = [] } = {}) {
+  const warnings = [...(schedule.warnings || [])];
+  const calById = new Map(schedule.calendars.map((c) => [c.id, c]));
+  const calOf = (a) => calById.get(a.calendarId) || calById.get(schedule.defaultCalendarId) || null;
+  const hoursOf = (a) => calOf(a)?.hoursPerDay || schedule.defaultHoursPerDay || 8;
+
+  const byEmail = new Map(users.filter((u) => u.email).map((u) => [String(u.email).toLowerCase(), u]));
+  const byName = new Map(users.filter((u) => u.name).map((u) => [String(u.name).trim().toLowerCase(), u]));
+  const matchUser = (r) =>
+    (r.email && byEmail.get(r.email.toLowerCase())) || byName.get(String(r.name).trim().toLowerCase()) || null;
+
+  const byUid = new Map(schedule.activities.map((a) => [a.uid, a]));
+  const leaves = schedule.activities.filter((a) => !a.summary);
+
+  // summary uid -> leaf activities under it (outline path prefix match)
+  const pathKey = (p) => p.join("\u0001");
+  const leavesUnder = (summary) => {
+    const prefix = pathKey([...summary.path, summary.name]);
+    return leaves.filter((l) => pathKey(l.path) === prefix || pathKey(l.path).startsWith(`${prefix}\u0001`));
+  };
+
+  const ids = new Map(leaves.map((a) => [a.uid, newId()]));
+  const items = [];
+  const usedCalendars = new Set();
+
+  leaves.forEach((a, index) => {
+    if (!a.start && !a.finish) {
+      warnings.push(`"${a.name}" has no dates and was skipped`);
+      ids.delete(a.uid);
+      return;
+    }
+    const start = a.start || a.finish;
+    const finish = a.finish && a.finish >= start ? a.finish : start;
+    const cal = calOf(a);
+    if (cal) usedCalendars.add(cal.id);
+
+    const resourceNames = a.resourceIds.map((id) => schedule.resources.get(id)?.name).filter(Boolean);
+    const assignee = a.resourceIds.map((id) => matchUser(schedule.resources.get(id) || {})).find(Boolean);
+
+    items.push({
+      _id: ids.get(a.uid),
+      source: a,
+      type: "task",
+      title: a.name,
+      description: a.notes || "",
+      startPlanned: start,
+      endPlanned: finish,
+      parentPlanningId: null,
+      dependsOnPlanningIds: [],
+      dependencyLinks: [],
+      assigneeUserId: assignee?._id || null,
+      tags: [],
+      priority: priorityOf(a.priority),
+      order: index,
+      status: a.percentComplete >= 100 ? "done" : a.percentComplete > 0 ? "active" : "planned",
+      wbsCode: a.code || "",
+      externalId: `${schedule.format}:${a.uid}`,
+      wbsPath: a.path.join(" / "),
+      workstreamName: a.path[0] || "",
+      durationDays: a.milestone ? 0 : a.durationHours != null ? round2(a.durationHours / hoursOf(a)) : undefined,
+      calendarName: cal?.name || "",
+      resourceNames,
+    });
+  });
+
+  const itemByUid = new Map(items.map((it) => [it.source.uid, it]));
+
+  // links (summary predecessors fan out to their leaves)
+  for (const it of items) {
+    const a = it.source;
+    const seen = new Set();
+    for (const p of a.preds) {
+      const pred = byUid.get(p.uid);
+      if (!pred) {
+        warnings.push(`"${a.name}": predecessor ${p.uid} not in file`);
+        continue;
+      }
+      const targets = pred.summary ? leavesUnder(pred) : [pred];
+      const lagDays = p.elapsed
+        ? round2((p.lagHours / 24) * ((calOf(a)?.workDays || DEFAULT_WORK_DAYS).length / 7))
+        : round2(p.lagHours / hoursOf(a));
+      for (const tgt of targets) {
+        const dep = itemByUid.get(tgt.uid);
+        if (!dep || dep === it || seen.has(String(dep._id))) continue;
+        seen.add(String(dep._id));
+        it.dependencyLinks.push({ planningId: dep._id, type: LINK_TYPES.includes(p.type) ? p.type : "FS", lagDays });
+        it.dependsOnPlanningIds.push(dep._id);
+      }
+    }
+  }
+
+  // milestones -> deliverables under a task
+  items.forEach((it, i) => {
+    if (!it.source.milestone) return;
+    const samePath = (o) => o.wbsPath === it.wbsPath && o.type === "task" && !o.source.milestone;
+    const fromLink = it.dependencyLinks
+      .map((l) => items.find((o) => String(o._id) === String(l.planningId)))
+      .find((o) => o && samePath(o));
+    const before = items
+      .slice(0, i)
+      .reverse()
+      .find((o) => samePath(o));
+    const parent = fromLink || before;
+    if (!parent) {
+      warnings.push(`Milestone "${it.title}" has no task in its WBS branch; imported as a task`);
+      return;
+    }
+    it.type = "deliverable";
+    it.parentPlanningId = parent._id;
+  });
+
+  const calendars = schedule.calendars
+    .filter((c) => usedCalendars.has(c.id))
+    .map((c) => ({ name: c.name, hoursPerDay: c.hoursPerDay, workDays: c.workDays }));
+
+  return {
+    items: items.map(({ source, ...rest }) => rest),
+    calendars,
+    warnings,
+  };
+}
+
+/* --------------------------------- diff / merge --------------------------------- */
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+const dayOf = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+// imported index -> current item (externalId, then wbsCode, then title; one-to-one)
+function matchItems(current, imported) {
+  const taken = new Set();
+  const out = new Map();
+  const passes = [
+    (c, n) => c.externalId && c.externalId === n.externalId,
+    (c, n) => c.wbsCode && norm(c.wbsCode) === norm(n.wbsCode) && c.type === n.type,
+    (c, n) => norm(c.title) === norm(n.title) && c.type === n.type,
+  ];
+  for (const same of passes) {
+    imported.forEach((n, i) => {
+      if (out.has(i)) return;
+      const c = current.find((x) => !taken.has(String(x._id)) && same(x, n));
+      if (!c) return;
+      taken.add(String(c._id));
+      out.set(i, c);
+    });
+  }
+  return out;
+}
+
+function snapshot(it, titleOf) {
+  if (!it) return null;
+  const deps = (it.dependencyLinks?.length
+    ? it.dependencyLinks.map((l) => ({ id: l.planningId, type: l.type || "FS", lag: l.lagDays || 0 }))
+    : (it.dependsOnPlanningIds || []).map((id) => ({ id, type: "FS", lag: 0 }))
+  )
+    .map((d) => `${titleOf(d.id)} ${d.type}${d.lag ? `${d.lag > 0 ? "+" : ""}${d.lag}d` : ""}`)
+    .sort();
+  return {
+    type: it.type,
+    title: it.title,
+    wbsCode: it.wbsCode || "",
+    start: dayOf(it.startPlanned),
+    finish: dayOf(it.endPlanned),
+    durationDays: it.durationDays ?? null,
+    parent: it.parentPlanningId ? titleOf(it.parentPlanningId) : "",
+    dependsOn: deps,
+    resources: [...(it.resourceNames || [])].sort(),
+    calendar: it.calendarName || "",
+    wbsPath: it.wbsPath || "",
+  };
+}
+
+const DIFF_FIELDS = ["type", "title", "wbsCode", "start", "finish", "durationDays", "parent", "dependsOn", "resources", "calendar", "wbsPath"];
+
+/**
+ * -> { rows: [{ change, title, wbsCode, before, after, fields }], summary }
+ * change: added | changed | removed | same
+ */
+function diffPlan(current = [], imported = []) {
+  const curTitle = new Map(current.map((c) => [String(c._id), c.title]));
+  const impTitle = new Map(imported.map((n) => [String(n._id), n.title]));
+  const matched = matchItems(current, imported);
+  const rows = [];
+
+  imported.forEach((n, i) => {
+    const c = matched.get(i);
+    const after = snapshot(n, (id) => impTitle.get(String(id)) || "?");
+    if (!c) {
+      rows.push({ change: "added", title: n.title, wbsCode: n.wbsCode || "", before: null, after, fields: [] });
+      return;
+    }
+    const before = snapshot(c, (id) => curTitle.get(String(id)) || "?");
+    const fields = DIFF_FIELDS.filter((f) => JSON.stringify(before[f]) !== JSON.stringify(after[f]));
+    rows.push({
+      change: fields.length ? "changed" : "same",
+      id: String(c._id),
+      title: n.title,
+      wbsCode: n.wbsCode || "",
+      before,
+      after,
+      fields,
+    });
+  });
+
+  const kept = new Set([...matched.values()].map((c) => String(c._id)));
+  for (const c of current) {
+    if (kept.has(String(c._id))) continue;
+    rows.push({
+      change: "removed",
+      id: String(c._id),
+      title: c.title,
+      wbsCode: c.wbsCode || "",
+      before: snapshot(c, (id) => curTitle.get(String(id)) || "?"),
+      after: null,
+      fields: [],
+    });
+  }
+
+  const count = (k) => rows.filter((r) => r.change === k).length;
+  return {
+    rows,
+    summary: {
+      current: current.length,
+      imported: imported.length,
+      added: count("added"),
+      changed: count("changed"),
+      removed: count("removed"),
+      same: count("same"),
+    },
+  };
+}
+
+/**
+ * Matched items keep their _id (so generated-task mapping survives) and the plan-only
+ * fields the file does not carry (group, tags, assignee when the file has none).
+ * opts.keepMissing keeps current items that are not in the file.
+ */
+function mergePlan(current = [], imported = [], { keepMissing = false } = {}) {
+  const matched = matchItems(current, imported);
+  const remap = new Map();
+  imported.forEach((n, i) => {
+    const c = matched.get(i);
+    remap.set(String(n._id), c ? c._id : n._id);
+  });
+  const idOf = (id) => (id ? remap.get(String(id)) || id : id);
+
+  const out = imported.map((n, i) => {
+    const c = matched.get(i);
+    const plain = c && typeof c.toObject === "function" ? c.toObject() : c || {};
+    return {
+      ...n,
+      _id: idOf(n._id),
+      parentPlanningId: idOf(n.parentPlanningId) || null,
+      dependsOnPlanningIds: (n.dependsOnPlanningIds || []).map(idOf),
+      dependencyLinks: (n.dependencyLinks || []).map((l) => ({ ...l, planningId: idOf(l.planningId) })),
+      assigneeUserId: n.assigneeUserId || plain.assigneeUserId || null,
+      groupId: plain.groupId || null,
+      tags: plain.tags || n.tags || [],
+    };
+  });
+
+  if (keepMissing) {
+    const kept = new Set([...matched.values()].map((c) => String(c._id)));
+    const order = out.length;
+    current
+      .filter((c) => !kept.has(String(c._id)))
+      .forEach((c, i) => {
+        const plain = typeof c.toObject === "function" ? c.toObject() : c;
+        out.push({ ...plain, order: order + i });
+      });
+  }
+  return out;
+}
+
+module.exports = {
+  detectFormat,
+  bufferText,
+  parseMspdi,
+  parseXer,
+  toPlanningItems,
+  diffPlan,
+  mergePlan,
+};
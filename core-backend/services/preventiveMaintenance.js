@@ -0,0 +1,320 @@
+// core-backend/services/preventiveMaintenance.js
+const mongoose = require("mongoose");
+
+/**
+ * Preventive maintenance
+ * - dueState(): where an asset stands against a plan (ok / due-soon / overdue),
+ *   from the last service under that plan (Asset.pm) and the asset's meters
+ * - listDue(): dueState for every (active plan, matching asset) in an org
+ * - generateForPlan() / runMaintenanceSweepOnce(): raise one WorkOrder per
+ *   (plan, asset) once it is due soon; never a second while one is still open
+ * - completeWorkOrder(): close it into Asset.maintenance and reset the plan clock
+ *
+ * Calendar plans run from the last service, else plan.startAt, else when the
+ * asset was created. Usage plans run from the meter reading at the last service
+ * (0 when never serviced) and need a reading on the asset to be evaluated.
+ *
+ * Errors carry `.status` so routes can hand them to the error handler.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INACTIVE_ASSET = ["retired", "lost", "stolen"];
+const OPEN = ["open", "in-progress"];
+
+function models() {
+  return {
+    Asset: mongoose.models.Asset || require("../models/Asset"),
+    MaintenancePlan: mongoose.models.MaintenancePlan || require("../models/MaintenancePlan"),
+    WorkOrder: mongoose.models.WorkOrder || require("../models/WorkOrder"),
+  };
+}
+
+const asOid = (v) => (mongoose.isValidObjectId(String(v || "")) ? new mongoose.Types.ObjectId(String(v)) : null);
+const fail = (status, message) => Object.assign(new Error(message), { status });
+const escapeRx = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function numOr(v, fallback) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+function dateOr(v, fallback) {
+  if (v == null || v === "") return fallback;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? fallback : d;
+}
+
+function meterOf(asset, key) {
+  const k = String(key || "").toLowerCase();
+  return (asset?.meters || []).find((m) => m.key === k) || null;
+}
+
+/* ------------------------------- targeting ------------------------------ */
+
+// Assets a plan applies to (explicit list wins over type)
+function planAssetsWhere(plan) {
+  const where = { orgId: plan.orgId, status: { $nin: INACTIVE_ASSET } };
+  if ((plan.assetIds || []).length) where._id = { $in: plan.assetIds };
+  else where.type = new RegExp(`^${escapeRx(String(plan.assetType || "").trim())}$`, "i");
+  return where;
+}
+
+/* ------------------------------- due state ------------------------------ */
+
+/**
+ * { planId, planName, trigger, status, nextDueAt, nextDueUsage, meterKey,
+ *   currentUsage, lastDoneAt, lastDoneUsage }
+ * status: "ok" | "due-soon" | "overdue" | "no-reading" (usage plan, no meter yet)
+ */
+function dueState(plan, asset, now = new Date()) {
+  const state = (asset.pm || []).find((s) => String(s.planId) === String(plan._id)) || {};
+  const out = {
+    planId: plan._id,
+    planName: plan.name,
+    trigger: plan.trigger,
+    lastDoneAt: state.lastDoneAt || null,
+    lastDoneUsage: state.lastDoneUsage ?? null,
+    nextDueAt: null,
+    nextDueUsage: null,
+    meterKey: null,
+    currentUsage: null,
+    status: "ok",
+  };
+
+  if (plan.trigger === "usage") {
+    const meter = meterOf(asset, plan.meterKey);
+    out.meterKey = plan.meterKey;
+    out.nextDueUsage = (Number(state.lastDoneUsage) || 0) + Number(plan.intervalUsage);
+    if (!meter) {
+      out.status = "no-reading";
+      return out;
+    }
+    out.currentUsage = meter.value;
+    // no explicit lead: warn in the last 10% of the interval
+    const lead = plan.leadUsage > 0 ? plan.leadUsage : Number(plan.intervalUsage) * 0.1;
+    if (meter.value >= out.nextDueUsage) out.status = "overdue";
+    else if (meter.value >= out.nextDueUsage - lead) out.status = "due-soon";
+    return out;
+  }
+
+  const anchor = state.lastDoneAt || plan.startAt || asset.createdAt || plan.createdAt || now;
+  out.nextDueAt = new Date(new Date(anchor).getTime() + Number(plan.intervalDays) * DAY_MS);
+  const leadMs = (Number(plan.leadDays) || 0) * DAY_MS;
+  if (now >= out.nextDueAt) out.status = "overdue";
+  else if (now.getTime() >= out.nextDueAt.getTime() - leadMs) out.status = "due-soon";
+  return out;
+}
+
+const isDue = (s) => s.status === "overdue" || s.status === "due-soon";
+
+/**
+ * dueState for every active plan x matching asset in the org, worst first.
+ * `statuses` narrows the result (e.g. ["overdue"]); `assetId` limits it to one asset.
+ */
+async function listDue({ orgId, assetId, statuses, now = new Date() } = {}) {
+  const { Asset, MaintenancePlan, WorkOrder } = models();
+  const org = asOid(orgId);
+  const plans = await MaintenancePlan.find({ ...(org ? { orgId: org } : {}), active: true, isDeleted: { $ne: true } }).lean();
+
+  const rows = [];
+  for (const plan of plans) {
+    const base = planAssetsWhere(plan);
+    const where = assetId ? { $and: [base, { _id: asOid(assetId) }] } : base;
+    const assets = await Asset.find(where).select("name code type status projectId meters pm createdAt").lean();
+    for (const a of assets) {
+      const s = dueState(plan, a, now);
+      if (statuses?.length && !statuses.includes(s.status)) continue;
+      rows.push({
+        ...s,
+        asset: { _id: a._id, name: a.name, code: a.code, type: a.type, status: a.status, projectId: a.projectId },
+      });
+    }
+  }
+
+  // open work orders per (asset, plan)
+  if (rows.length) {
+    const open = await WorkOrder.find({
+      ...(org ? { orgId: org } : {}),
+      status: { $in: OPEN },
+      planId: { $in: [...new Set(rows.map((r) => String(r.planId)))].map(asOid) },
+    })
+      .select("assetId planId status")
+      .lean();
+    const byKey = new Map(open.map((w) => [`${w.assetId}|${w.planId}`, w]));
+    for (const r of rows) {
+      const w = byKey.get(`${r.asset._id}|${r.planId}`);
+      r.openWorkOrderId = w ? w._id : null;
+    }
+  }
+
+  const rank = { overdue: 0, "due-soon": 1, "no-reading": 2, ok: 3 };
+  rows.sort((a, b) => rank[a.status] - rank[b.status] || String(a.asset.name).localeCompare(String(b.asset.name)));
+  return rows;
+}
+
+/* ------------------------------ work orders ----------------------------- */
+
+function planTitle(plan, asset) {
+  return `${plan.name} — ${asset.name}${asset.code ? ` (${asset.code})` : ""}`;
+}
+
+/**
+ * Raise work orders for assets that are due (or due soon) under `plan` and
+ * have none open. Returns the created work orders.
+ */
+async function generateForPlan(plan, { now = new Date(), actor } = {}) {
+  const { Asset, WorkOrder } = models();
+  if (!plan.active || plan.isDeleted) return [];
+
+  const assets = await Asset.find(planAssetsWhere(plan)).select("orgId name code meters pm createdAt").lean();
+  const due = assets.map((a) => ({ a, s: dueState(plan, a, now) })).filter(({ s }) => isDue(s));
+  if (!due.length) return [];
+
+  const open = await WorkOrder.find({ planId: plan._id, status: { $in: OPEN } }).select("assetId").lean();
+  const hasOpen = new Set(open.map((w) => String(w.assetId)));
+
+  const created = [];
+  for (const { a, s } of due) {
+    if (hasOpen.has(String(a._id))) continue;
+    const wo = await WorkOrder.create({
+      orgId: plan.orgId,
+      assetId: a._id,
+      planId: plan._id,
+      source: "plan",
+      title: planTitle(plan, a),
+      notes: plan.description || "",
+      dueAt: s.nextDueAt,
+      meterKey: s.meterKey || undefined,
+      dueUsage: s.nextDueUsage ?? undefined,
+      checklist: (plan.checklist || []).map((c) => ({ label: c.label, required: c.required !== false })),
+      openedBy: actor ? { _id: asOid(actor._id) || undefined, name: actor.name || "" } : { name: "Scheduler" },
+    }).catch((e) => {
+      // another run raised it since the lookup above (unique open index)
+      if (e?.code === 11000) return null;
+      throw e;
+    });
+    if (wo) created.push(wo);
+  }
+  return created;
+}
+
+/** Background sweep across every org's active plans */
+async function runMaintenanceSweepOnce({ now = new Date() } = {}) {
+  const { MaintenancePlan } = models();
+  const plans = await MaintenancePlan.find({ active: true, isDeleted: { $ne: true } }).lean();
+  let created = 0;
+  for (const plan of plans) {
+    try {
+      created += (await generateForPlan(plan, { now })).length;
+    } catch (e) {
+      console.error(`[maintenance] plan ${plan._id} generation failed:`, e);
+    }
+  }
+  if (created) console.log(`[maintenance] raised ${created} work order(s)`);
+  return { plans: plans.length, created };
+}
+
+/**
+ * Record a meter reading on `asset` (hydrated). Readings only go up unless
+ * `replaced` (meter swapped or reset). Leaves saving to the caller.
+ */
+function setMeter(asset, { key, value, unit, at, by, replaced = false }) {
+  const k = String(key || "").trim().toLowerCase();
+  const v = Number(value);
+  if (!k) throw fail(400, "Meter key is required (e.g. hours)");
+  if (!Number.isFinite(v) || v < 0) throw fail(400, "Meter reading must be a number ≥ 0");
+  const cur = meterOf(asset, k);
+  if (cur && v < cur.value && !replaced) {
+    throw fail(400, `Reading ${v} is below the current ${k} reading (${cur.value})`);
+  }
+  const next = { key: k, unit: unit || cur?.unit || "", value: v, readAt: dateOr(at, new Date()), by: by || "" };
+  asset.meters = [...(asset.meters || []).filter((m) => m.key !== k), next];
+  return next;
+}
+
+function summaryNote(wo, note) {
+  const done = (wo.checklist || []).filter((c) => c.done).length;
+  const parts = (wo.parts || []).map((p) => `${p.qty ?? 1}× ${p.name}`).join(", ");
+  const minutes = (wo.labour || []).reduce((a, l) => a + (Number(l.minutes) || 0), 0);
+  return [
+    `Work order: ${wo.title}`,
+    wo.checklist?.length ? `checklist ${done}/${wo.checklist.length}` : "",
+    parts ? `parts: ${parts}` : "",
+    minutes ? `labour: ${Math.round((minutes / 60) * 10) / 10} h` : "",
+    note ? String(note).trim() : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * Close `wo` (hydrated) on `asset` (hydrated): every required checklist item
+ * must be done. Writes the Asset.maintenance entry, resets the plan clock and,
+ * with `returnToService`, moves an asset in maintenance back to active.
+ */
+async function completeWorkOrder({ wo, asset, actor, at, usage, note, returnToService = false }) {
+  if (!OPEN.includes(wo.status)) throw fail(409, `Work order is ${wo.status}`);
+  const missing = (wo.checklist || []).filter((c) => c.required && !c.done);
+  if (missing.length) {
+    throw fail(400, `Complete the required checklist items first: ${missing.map((c) => c.label).join(", ")}`);
+  }
+
+  const when = dateOr(at, new Date());
+  const who = actor?.name || "";
+
+  // meter reading taken at the service
+  let usageAt = numOr(usage, undefined);
+  if (usageAt !== undefined && wo.meterKey) setMeter(asset, { key: wo.meterKey, value: usageAt, at: when, by: who });
+  if (usageAt === undefined && wo.meterKey) usageAt = meterOf(asset, wo.meterKey)?.value;
+
+  asset.maintenance = asset.maintenance || [];
+  const partsCost = (wo.parts || []).reduce((a, p) => a + (Number(p.qty) || 0) * (Number(p.unitCost) || 0), 0);
+  asset.maintenance.push({
+    date: when,
+    note: summaryNote(wo, note),
+    by: who,
+    workOrderId: wo._id,
+    cost: partsCost > 0 ? Math.round(partsCost * 100) / 100 : undefined,
+  });
+  const entry = asset.maintenance[asset.maintenance.length - 1];
+
+  if (wo.planId) {
+    const state = { planId: wo.planId, lastDoneAt: when, lastDoneUsage: usageAt, lastWorkOrderId: wo._id };
+    asset.pm = [...(asset.pm || []).filter((s) => String(s.planId) !== String(wo.planId)), state];
+  }
+  if (returnToService && asset.status === "maintenance") asset.status = "active";
+  await asset.save();
+
+  wo.status = "completed";
+  wo.completedAt = when;
+  wo.completedBy = { _id: asOid(actor?._id) || undefined, name: who };
+  if (usageAt !== undefined) wo.usageAtCompletion = usageAt;
+  if (note) wo.notes = [wo.notes, String(note).trim()].filter(Boolean).join("\n");
+  wo.maintenanceEntryId = entry?._id || null;
+  await wo.save();
+  return { workOrder: wo, asset };
+}
+
+// Lean / hydrated work order -> API shape with totals
+function toOut(wo) {
+  const w = typeof wo?.toObject === "function" ? wo.toObject() : wo;
+  return {
+    ...w,
+    labourMinutes: (w.labour || []).reduce((a, l) => a + (Number(l.minutes) || 0), 0),
+    partsCost: (w.parts || []).reduce((a, p) => a + (Number(p.qty) || 0) * (Number(p.unitCost) || 0), 0),
+    overdue: OPEN.includes(w.status) && !!w.dueAt && new Date(w.dueAt) < new Date(),
+  };
+}
+
+module.exports = {
+  INACTIVE_ASSET,
+  OPEN,
+  planAssetsWhere,
+  dueState,
+  listDue,
+  generateForPlan,
+  runMaintenanceSweepOnce,
+  setMeter,
+  completeWorkOrder,
+  toOut,
+};
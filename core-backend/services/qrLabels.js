@@ -0,0 +1,336 @@
+// core-backend/services/qrLabels.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+/**
+ * Signed QR payloads and printable label sheets for assets, vehicles, tasks and
+ * project sites.
+ *
+ * A payload is compact JSON so the mobile scanners that already read plain JSON
+ * keep working (assets read `code`, the logbook reads `reg`):
+ *
+ *   {"v":1,"t":"asset","code":"PUMP-004","o":"<orgId>","s":"<sig>"}
+ *   {"v":1,"t":"vehicle","reg":"CA123456","o":"<orgId>","s":"<sig>"}
+ *   {"v":1,"t":"task","id":"<taskId>","o":"<orgId>","s":"<sig>"}
+ *   {"v":1,"t":"site","id":"<projectId>","o":"<orgId>","s":"<sig>"}
+ *
+ * `s` is an HMAC-SHA256 of "v|t|ref|o", base64url, first 22 chars (128 bits).
+ *
+ * Env:
+ *   QR_SIGNING_SECRET  signing key (falls back to JWT_SECRET). Changing it
+ *                      invalidates every printed label.
+ *   QR_LEGACY_UNTIL    YYYY-MM-DD after which task starts stop accepting unsigned
+ *                      codes printed before signed labels (unset = still accepted).
+ *                      Reprint from the QR labels page before setting it.
+ */
+
+const VERSION = 1;
+const SIG_LEN = 22;
+const KINDS = ["asset", "vehicle", "task", "site"];
+const REF_FIELD = { asset: "code", vehicle: "reg", task: "id", site: "id" };
+
+const MM = 72 / 25.4; // pdf points per mm
+
+// Avery A4 sheets: label size, grid and offsets in mm
+const LAYOUTS = Object.freeze({
+  L7160: { name: "Avery L7160 (21 per sheet, 63.5 × 38.1 mm)", cols: 3, rows: 7, w: 63.5, h: 38.1, left: 7.21, top: 15.15, hPitch: 66.04, vPitch: 38.1 },
+  L7163: { name: "Avery L7163 (14 per sheet, 99.1 × 38.1 mm)", cols: 2, rows: 7, w: 99.1, h: 38.1, left: 4.65, top: 15.15, hPitch: 101.6, vPitch: 38.1 },
+  L7165: { name: "Avery L7165 (8 per sheet, 99.1 × 67.7 mm)", cols: 2, rows: 4, w: 99.1, h: 67.7, left: 4.65, top: 13.1, hPitch: 101.6, vPitch: 67.7 },
+  L7651: { name: "Avery L7651 (65 per sheet, 38.1 × 21.2 mm)", cols: 5, rows: 13, w: 38.1, h: 21.2, left: 4.75, top: 10.7, hPitch: 40.64, vPitch: 21.2 },
+});
+const DEFAULT_LAYOUT = "L7160";
+
+function models() {
+  return {
+    Asset: mongoose.models.Asset || require("../models/Asset"),
+    Vehicle: mongoose.models.Vehicle || require("../models/Vehicle"),
+    Task: mongoose.models.Task || require("../models/Task"),
+    Project: mongoose.models.Project || require("../models/Project"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const asOid = (v) => (mongoose.isValidObjectId(String(v || "")) ? new mongoose.Types.ObjectId(String(v)) : null);
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+/* ------------------------------- signing ------------------------------- */
+
+function secret() {
+  const s = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!s) throw fail(500, "QR signing is not configured (QR_SIGNING_SECRET)");
+  return s;
+}
+
+function signature(kind, ref, orgId) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(`${VERSION}|${kind}|${ref}|${orgId || ""}`)
+    .digest("base64url")
+    .slice(0, SIG_LEN);
+}
+
+/** Signed payload string for one subject */
+function payloadFor(kind, ref, orgId) {
+  if (!KINDS.includes(kind)) throw fail(400, `kind must be one of ${KINDS.join(", ")}`);
+  const r = String(ref || "").trim();
+  if (!r) throw fail(400, `${kind} has no ${REF_FIELD[kind]} to encode`);
+  const o = orgId ? String(orgId) : "";
+  return JSON.stringify({ v: VERSION, t: kind, [REF_FIELD[kind]]: r, o, s: signature(kind, r, o) });
+}
+
+/**
+ * Check a scanned token. `expect` lists the acceptable { kind, ref } pairs;
+ * the token's org must match `orgId`. Returns { ok, kind, ref, reason }.
+ */
+function verifyToken(raw, { orgId, expect = [] } = {}) {
+  let obj = raw;
+  if (typeof raw === "string") {
+    try {
+      obj = JSON.parse(raw);
+    } catch {
+      return { ok: false, reason: "QR code is not a signed label" };
+    }
+  }
+  if (!obj || typeof obj !== "object" || obj.v !== VERSION || !KINDS.includes(obj.t) || !obj.s) {
+    return { ok: false, reason: "QR code is not a signed label" };
+  }
+
+  const kind = obj.t;
+  const ref = String(obj[REF_FIELD[kind]] || "");
+  const o = String(obj.o || "");
+  const want = Buffer.from(signature(kind, ref, o));
+  const got = Buffer.from(String(obj.s));
+  if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) {
+    return { ok: false, kind, ref, reason: "QR signature is invalid" };
+  }
+  if (orgId && o !== String(orgId)) return { ok: false, kind, ref, reason: "QR code belongs to another organisation" };
+  if (expect.length && !expect.some((e) => e.kind === kind && String(e.ref) === ref)) {
+    return { ok: false, kind, ref, reason: `QR code is for a different ${kind}` };
+  }
+  return { ok: true, kind, ref };
+}
+
+function legacyAccepted(now = new Date()) {
+  const until = String(process.env.QR_LEGACY_UNTIL || "").trim();
+  if (!until) return true;
+  const end = Date.parse(`${until.slice(0, 10)}T23:59:59Z`);
+  return Number.isNaN(end) || now.getTime() <= end;
+}
+
+/**
+ * Check a scan presented to start/resume `task` (web and mobile). A signed label
+ * must be for this org and name the task or its site. An unsigned code that
+ * contains the task or project id (the labels printed before signing) passes as
+ * kind "legacy" while QR_LEGACY_UNTIL allows it. -> { ok, kind, ref, reason }
+ */
+function verifyTaskScan(raw, task, { orgId, now = new Date() } = {}) {
+  const expect = [
+    { kind: "task", ref: String(task?._id || "") },
+    ...(task?.projectId ? [{ kind: "site", ref: String(task.projectId) }] : []),
+  ];
+  const check = verifyToken(raw, { orgId, expect });
+  if (check.ok || check.kind) return check; // a signed payload stands or falls on its signature
+
+  const text = typeof raw === "string" ? raw : JSON.stringify(raw || "");
+  const ids = (text.match(/[a-f0-9]{24}/gi) || []).map((x) => x.toLowerCase());
+  const hit = expect.find((e) => ids.includes(e.ref.toLowerCase()));
+  if (!hit) return check;
+  if (!legacyAccepted(now)) {
+    return { ok: false, ref: hit.ref, reason: "Unsigned QR labels are no longer accepted; reprint the label" };
+  }
+  return { ok: true, kind: "legacy", ref: hit.ref };
+}
+
+/* ------------------------------- subjects ------------------------------ */
+
+// Tasks and sites have no code of their own: print the id tail, e.g. "T-4F09A1"
+const shortCode = (prefix, id) => `${prefix}-${String(id).slice(-6).toUpperCase()}`;
+
+/**
+ * Load what to print: [{ kind, id, ref, code, title, subtitle, payload }] in the
+ * order of `ids`; `code` is the human-readable text under the QR. Records
+ * outside the org (or missing) are skipped.
+ */
+async function loadSubjects({ orgId, kind, ids = [] }) {
+  const { Asset, Vehicle, Task, Project } = models();
+  const oids = [...new Set(ids.map(String))].map(asOid).filter(Boolean);
+  if (!oids.length) return [];
+  const org = asOid(orgId);
+  const inOrg = org ? { orgId: org } : {};
+
+  let rows = [];
+  if (kind === "asset") {
+    rows = (await Asset.find({ _id: { $in: oids }, ...inOrg }).select("name code type").lean()).map((a) => ({
+      id: String(a._id),
+      ref: a.code,
+      code: a.code,
+      title: a.name || a.code,
+      subtitle: a.type || "",
+    }));
+  } else if (kind === "vehicle") {
+    rows = (await Vehicle.find({ _id: { $in: oids }, ...inOrg }).select("reg make model").lean()).map((v) => ({
+      id: String(v._id),
+      ref: v.reg,
+      code: v.reg,
+      title: v.reg,
+      subtitle: [v.make, v.model].filter(Boolean).join(" "),
+    }));
+  } else if (kind === "task") {
+    // Task.orgId is Mixed: older tasks store it as a string
+    const taskOrg = org ? { orgId: { $in: [org, String(org)] } } : {};
+    const tasks = await Task.find({ _id: { $in: oids }, ...taskOrg }).select("title projectId").lean();
+    const projIds = [...new Set(tasks.map((t) => String(t.projectId || "")).filter(Boolean))].map(asOid);
+    const projects = projIds.length ? await Project.find({ _id: { $in: projIds } }).select("name").lean() : [];
+    const projName = new Map(projects.map((p) => [String(p._id), p.name]));
+    rows = tasks.map((t) => ({
+      id: String(t._id),
+      ref: String(t._id),
+      code: shortCode("T", t._id),
+      title: t.title,
+      subtitle: projName.get(String(t.projectId || "")) || "",
+    }));
+  } else if (kind === "site") {
+    rows = (await Project.find({ _id: { $in: oids }, ...inOrg }).select("name").lean()).map((p) => ({
+      id: String(p._id),
+      ref: String(p._id),
+      code: shortCode("S", p._id),
+      title: p.name,
+      subtitle: "Project site",
+    }));
+  } else {
+    throw fail(400, `kind must be one of ${KINDS.join(", ")}`);
+  }
+
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return oids
+    .map((id) => byId.get(String(id)))
+    .filter((r) => r && r.ref)
+    .map((r) => ({ kind, ...r, payload: payloadFor(kind, r.ref, orgId) }));
+}
+
+/* -------------------------------- images ------------------------------- */
+
+function qrPng(payload, width = 300) {
+  const QRCode = require("qrcode");
+  return QRCode.toBuffer(payload, { errorCorrectionLevel: "M", margin: 1, width });
+}
+
+async function qrDataUrl(payload, width = 300) {
+  const QRCode = require("qrcode");
+  return QRCode.toDataURL(payload, { errorCorrectionLevel: "M", margin: 1, width });
+}
+
+/** Org name and logo (PNG / JPEG buffer from the "org" GridFS bucket, if any) */
+async function loadBranding(orgId) {
+  const { Org } = models();
+  const org = asOid(orgId) ? await Org.findById(asOid(orgId)).select("name logoFileId logoFileType").lean() : null;
+  let logo = null;
+  if (org?.logoFileId && /png|jpe?g/i.test(org.logoFileType || "") && mongoose.connection?.db) {
+    try {
+      const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: "org" });
+      const chunks = [];
+      await new Promise((resolve, reject) => {
+        bucket
+          .openDownloadStream(org.logoFileId)
+          .on("data", (c) => chunks.push(c))
+          .on("error", reject)
+          .on("end", resolve);
+      });
+      logo = Buffer.concat(chunks);
+    } catch {
+      logo = null; // a missing logo should not stop the labels
+    }
+  }
+  return { name: org?.name || "", logo };
+}
+
+/* --------------------------------- PDF --------------------------------- */
+
+/**
+ * Streams an A4 label sheet into `out`. Each label: QR on the left, logo, title
+ * and the human-readable code on the right. `startAt` (1-based) skips labels
+ * already used on a partly printed sheet; `copies` repeats each subject.
+ */
+async function writeSheet({ subjects, layout = DEFAULT_LAYOUT, branding = {}, startAt = 1, copies = 1 }, out) {
+  const PDFDocument = require("pdfkit");
+  const L = LAYOUTS[layout] || LAYOUTS[DEFAULT_LAYOUT];
+  const perPage = L.cols * L.rows;
+  const labels = subjects.flatMap((s) => Array.from({ length: Math.max(1, Math.min(Number(copies) || 1, 100)) }, () => s));
+  const skip = Math.max(0, Math.min((Number(startAt) || 1) - 1, perPage - 1));
+
+  // QR images first so the PDF stream is written in one go
+  const images = new Map();
+  for (const s of subjects) images.set(s.payload, await qrPng(s.payload, 360));
+
+  const doc = new PDFDocument({ size: "A4", margin: 0, autoFirstPage: false });
+  doc.pipe(out);
+
+  const w = L.w * MM;
+  const h = L.h * MM;
+  const pad = Math.min(w, h) * 0.08;
+  const qr = h - pad * 2;
+  const small = L.h < 30;
+
+  labels.forEach((s, i) => {
+    const slot = i + skip;
+    if (slot % perPage === 0 || i === 0) doc.addPage();
+    const n = slot % perPage;
+    const x = (L.left + (n % L.cols) * L.hPitch) * MM;
+    const y = (L.top + Math.floor(n / L.cols) * L.vPitch) * MM;
+
+    doc.image(images.get(s.payload), x + pad, y + pad, { width: qr, height: qr });
+
+    const tx = x + pad * 2 + qr;
+    const tw = w - (tx - x) - pad;
+    let ty = y + pad;
+    if (branding.logo && !small) {
+      try {
+        doc.image(branding.logo, tx, ty, { fit: [tw, h * 0.18] });
+        ty += h * 0.2;
+      } catch {
+        // unsupported image: fall back to the org name
+        branding = { ...branding, logo: null };
+      }
+    }
+    if (!branding.logo && branding.name && !small) {
+      doc.font("Helvetica").fontSize(6).fillColor("#555555").text(branding.name, tx, ty, { width: tw, height: 8, ellipsis: true });
+      ty += 9;
+    }
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(small ? 6 : 9)
+      .fillColor("#000000")
+      .text(s.title || s.ref, tx, ty, { width: tw, height: small ? 16 : 22, ellipsis: true });
+    ty = doc.y + 1;
+    if (s.subtitle && !small) {
+      doc.font("Helvetica").fontSize(7).fillColor("#333333").text(s.subtitle, tx, ty, { width: tw, height: 18, ellipsis: true });
+    }
+    // human-readable code along the bottom
+    doc
+      .font("Courier-Bold")
+      .fontSize(small ? 6 : 9)
+      .fillColor("#000000")
+      .text(s.code || s.ref, tx, y + h - pad - (small ? 6 : 10), {
+        width: tw,
+        lineBreak: false,
+        ellipsis: true,
+      });
+  });
+
+  if (!labels.length) doc.addPage().font("Helvetica").fontSize(12).text("Nothing to print.", 72, 72);
+  doc.end();
+}
+
+module.exports = {
+  KINDS,
+  LAYOUTS,
+  DEFAULT_LAYOUT,
+  payloadFor,
+  verifyToken,
+  verifyTaskScan,
+  loadSubjects,
+  qrPng,
+  qrDataUrl,
+  loadBranding,
+  writeSheet,
+};
@@ -0,0 +1,546 @@
+// core-backend/services/tilePacks.js
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { collectProjectFences } = require("./clockingFence");
+
+/**
+ * Offline tile packs (models/TilePack.js)
+ * - projectBounds(): extent of a project's fences and its tasks' fences, padded
+ * - estimate() / createPack(): tile count and size before anything is fetched;
+ *   refused over TILEPACK_MAX_TILES or the org's storage quota
+ * - drainQueue(): builds queued packs one at a time, copying each XYZ tile from
+ *   the tile source into the GridFS bucket "tilepacks" as "<packId>/<z>/<x>/<y>"
+ * - runTilePackSweepOnce(): expires old packs (tiles deleted) and resumes builds
+ *   interrupted by a restart
+ * - writePackage(): the pack as a zip laid out like an exploded MBTiles file
+ *   (metadata.json + tiles/z/x/y.ext, XYZ scheme)
+ *
+ * The tile source is configured per deployment, never a public tile server:
+ *   TILEPACK_SOURCE_DIR   directory of z/x/y.<format> tiles (e.g. rendered with a local tool)
+ *   TILEPACK_SOURCE_URL   local tile server template, e.g. http://tiles:8080/data/base/{z}/{x}/{y}.png
+ *   TILEPACK_SOURCE_FORMAT png | jpg | webp (default: from the URL, else png)
+ *   TILEPACK_ATTRIBUTION  attribution shown on the map
+ * Limits: TILEPACK_MAX_TILES (5000), TILEPACK_MAX_ZOOM (18), TILEPACK_ORG_QUOTA_MB (500),
+ *         TILEPACK_TTL_DAYS (90), TILEPACK_AVG_TILE_BYTES (15000, used for estimates).
+ *
+ * Errors carry `.status`.
+ */
+
+const BUCKET = "tilepacks";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_BUILD_MS = 60 * 60 * 1000;
+const PROGRESS_EVERY = 100;
+const MIME = { png: "image/png", jpg: "image/jpeg", webp: "image/webp" };
+
+function models() {
+  return {
+    TilePack: mongoose.models.TilePack || require("../models/TilePack"),
+    Project: mongoose.models.Project || require("../models/Project"),
+    Task: mongoose.models.Task || require("../models/Task"),
+  };
+}
+
+const asOid = (v) => (mongoose.isValidObjectId(String(v || "")) ? new mongoose.Types.ObjectId(String(v)) : null);
+const fail = (status, message) => Object.assign(new Error(message), { status });
+const envNum = (k, d) => (Number(process.env[k]) > 0 ? Number(process.env[k]) : d);
+
+function limits() {
+  return {
+    maxTiles: envNum("TILEPACK_MAX_TILES", 5000),
+    maxZoom: Math.min(22, envNum("TILEPACK_MAX_ZOOM", 18)),
+    quotaBytes: envNum("TILEPACK_ORG_QUOTA_MB", 500) * 1024 * 1024,
+    ttlDays: envNum("TILEPACK_TTL_DAYS", 90),
+    avgTileBytes: envNum("TILEPACK_AVG_TILE_BYTES", 15000),
+  };
+}
+
+function getBucket() {
+  const db = mongoose.connection?.db;
+  if (!db) throw new Error("MongoDB connection not ready (mongoose.connection.db missing).");
+  return new mongoose.mongo.GridFSBucket(db, { bucketName: BUCKET });
+}
+
+/* ------------------------------ tile source ----------------------------- */
+
+/**
+ * { kind: "dir" | "url", label, format, attribution, fetchTile(z, x, y) -> Buffer | null }
+ * or null when no source is configured.
+ */
+function tileSource() {
+  const dir = String(process.env.TILEPACK_SOURCE_DIR || "").trim();
+  const url = String(process.env.TILEPACK_SOURCE_URL || "").trim();
+  const attribution = String(process.env.TILEPACK_ATTRIBUTION || "").trim();
+  const fromUrl = (url.match(/\.(png|jpe?g|webp)(\?|$)/i) || [])[1];
+  const format = String(process.env.TILEPACK_SOURCE_FORMAT || fromUrl || "png")
+    .toLowerCase()
+    .replace("jpeg", "jpg");
+  if (!MIME[format]) return null;
+
+  if (dir) {
+    return {
+      kind: "dir",
+      label: `dir:${path.basename(dir)}`,
+      format,
+      attribution,
+      async fetchTile(z, x, y) {
+        try {
+          return await fs.promises.readFile(path.join(dir, String(z), String(x), `${y}.${format}`));
+        } catch (e) {
+          if (e.code === "ENOENT") return null;
+          throw e;
+        }
+      },
+    };
+  }
+
+  if (url) {
+    return {
+      kind: "url",
+      label: url.replace(/^(https?:\/\/[^/]+).*$/i, "$1"),
+      format,
+      attribution,
+      async fetchTile(z, x, y) {
+        const u = url.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+        const res = await fetch(u, { signal: AbortSignal.timeout(15000) });
+        if (res.status === 404 || res.status === 204) return null;
+        if (!res.ok) throw new Error(`Tile source returned ${res.status} for ${z}/${x}/${y}`);
+        return Buffer.from(await res.arrayBuffer());
+      },
+    };
+  }
+
+  return null;
+}
+
+/* --------------------------------- math --------------------------------- */
+
+const MAX_LAT = 85.05112878;
+const clampLat = (lat) => Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+
+function lngToTileX(lng, z) {
+  return Math.floor(((lng + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+  const r = (clampLat(lat) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * 2 ** z);
+}
+
+// Inclusive tile ranges per zoom covering the bounds
+function tileRanges(bounds, minZoom, maxZoom) {
+  const out = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const n = 2 ** z;
+    const xMin = Math.max(0, lngToTileX(bounds.west, z));
+    const xMax = Math.min(n - 1, lngToTileX(bounds.east, z));
+    const yMin = Math.max(0, latToTileY(bounds.north, z));
+    const yMax = Math.min(n - 1, latToTileY(bounds.south, z));
+    out.push({ z, xMin, xMax, yMin, yMax, count: (xMax - xMin + 1) * (yMax - yMin + 1) });
+  }
+  return out;
+}
+
+const countTiles = (bounds, minZoom, maxZoom) => tileRanges(bounds, minZoom, maxZoom).reduce((a, r) => a + r.count, 0);
+
+function* eachTile(bounds, minZoom, maxZoom) {
+  for (const r of tileRanges(bounds, minZoom, maxZoom)) {
+    for (let x = r.xMin; x <= r.xMax; x++) for (let y = r.yMin; y <= r.yMax; y++) yield [r.z, x, y];
+  }
+}
+
+// Grow bounds by metres on every side
+function padBounds(b, metres) {
+  const dLat = metres / 111320;
+  const midLat = (b.south + b.north) / 2;
+  const dLng = metres / (111320 * Math.max(0.01, Math.cos((midLat * Math.PI) / 180)));
+  return {
+    west: Math.max(-180, b.west - dLng),
+    south: Math.max(-MAX_LAT, b.south - dLat),
+    east: Math.min(180, b.east + dLng),
+    north: Math.min(MAX_LAT, b.north + dLat),
+  };
+}
+
+function fenceBounds(fences) {
+  let b = null;
+  const add = (lng, lat) => {
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) return;
+    b = b
+      ? { west: Math.min(b.west, lng), south: Math.min(b.south, lat), east: Math.max(b.east, lng), north: Math.max(b.north, lat) }
+      : { west: lng, south: lat, east: lng, north: lat };
+  };
+  for (const f of fences) {
+    if (f.type === "circle") {
+      const c = padBounds({ west: f.center.lng, south: f.center.lat, east: f.center.lng, north: f.center.lat }, f.radius || 0);
+      add(c.west, c.south);
+      add(c.east, c.north);
+    } else {
+      for (const [lng, lat] of f.ring) add(lng, lat);
+    }
+  }
+  return b;
+}
+
+/* ------------------------------- extent --------------------------------- */
+
+/**
+ * Extent of a project's fences plus the fences of its tasks, padded by paddingM.
+ * -> { project, bounds, fenceCount }
+ */
+async function projectBounds({ orgId, projectId, paddingM = 250 }) {
+  const { Project, Task } = models();
+  const pid = asOid(projectId);
+  if (!pid) throw fail(400, "projectId is required");
+  const project = await Project.findOne({ _id: pid, ...(orgId ? { orgId } : {}) }).lean();
+  if (!project) throw fail(404, "Project not found");
+
+  const oid = asOid(orgId);
+  const tasks = await Task.find({
+    projectId: pid,
+    isDeleted: { $ne: true },
+    ...(oid ? { orgId: { $in: [oid, String(oid)] } } : {}),
+  })
+    .select("locationGeoFence geoPolygon geoJSON geoFences")
+    .lean();
+
+  const fences = [project, ...tasks].flatMap((x) => collectProjectFences(x));
+  const raw = fenceBounds(fences);
+  if (!raw) throw fail(400, "Project has no fences to take the pack extent from");
+  return { project, bounds: padBounds(raw, Math.max(0, Number(paddingM) || 0)), fenceCount: fences.length };
+}
+
+/* --------------------------- size accounting ---------------------------- */
+
+// Bytes held by an org's packs (ready + in progress)
+async function orgUsage(orgId) {
+  const { TilePack } = models();
+  const [row] = await TilePack.aggregate([
+    { $match: { orgId: asOid(orgId), isDeleted: { $ne: true }, status: { $in: ["queued", "building", "ready"] } } },
+    { $group: { _id: null, bytes: { $sum: "$bytes" }, estimated: { $sum: { $cond: [{ $eq: ["$status", "ready"] }, 0, "$estimatedBytes"] } } } },
+  ]);
+  return { usedBytes: row?.bytes || 0, pendingBytes: row?.estimated || 0, quotaBytes: limits().quotaBytes };
+}
+
+function checkZooms(minZoom, maxZoom) {
+  const lim = limits();
+  const lo = Math.round(Number(minZoom));
+  const hi = Math.round(Number(maxZoom));
+  if (!Number.isFinite(lo) || !Number.isFinite(hi) || lo < 0 || hi < lo) throw fail(400, "Invalid zoom range");
+  if (hi > lim.maxZoom) throw fail(400, `maxZoom cannot exceed ${lim.maxZoom}`);
+  return { minZoom: lo, maxZoom: hi };
+}
+
+/**
+ * -> { project: { _id, name }, bounds, fenceCount, minZoom, maxZoom, tileCount, estimatedBytes,
+ *      perZoom, limits, usage }
+ */
+async function estimate({ orgId, projectId, minZoom = 12, maxZoom = 17, paddingM = 250 }) {
+  const z = checkZooms(minZoom, maxZoom);
+  const { project, bounds, fenceCount } = await projectBounds({ orgId, projectId, paddingM });
+  const perZoom = tileRanges(bounds, z.minZoom, z.maxZoom).map((r) => ({ z: r.z, tiles: r.count }));
+  const tileCount = perZoom.reduce((a, r) => a + r.tiles, 0);
+  const lim = limits();
+  return {
+    project: { _id: project._id, name: project.name || "" },
+    bounds,
+    fenceCount,
+    ...z,
+    tileCount,
+    estimatedBytes: tileCount * lim.avgTileBytes,
+    perZoom,
+    limits: { maxTiles: lim.maxTiles, maxZoom: lim.maxZoom, quotaBytes: lim.quotaBytes, ttlDays: lim.ttlDays },
+    usage: await orgUsage(orgId),
+  };
+}
+
+function assertFits(est) {
+  if (est.tileCount > est.limits.maxTiles) {
+    throw fail(413, `Pack needs ${est.tileCount} tiles; the limit is ${est.limits.maxTiles}. Lower maxZoom or the padding.`);
+  }
+  const { usedBytes, pendingBytes, quotaBytes } = est.usage;
+  if (usedBytes + pendingBytes + est.estimatedBytes > quotaBytes) {
+    throw fail(413, "Pack would exceed the organisation's tile storage quota. Delete an old pack first.");
+  }
+}
+
+/* ------------------------------- lifecycle ------------------------------ */
+
+async function createPack({ orgId, projectId, name, minZoom, maxZoom, paddingM = 250, ttlDays, actor = {} }) {
+  const { TilePack } = models();
+  const source = tileSource();
+  if (!source) throw fail(503, "No tile source configured (TILEPACK_SOURCE_DIR or TILEPACK_SOURCE_URL)");
+
+  const est = await estimate({ orgId, projectId, minZoom, maxZoom, paddingM });
+  assertFits(est);
+  const { project } = est;
+
+  const pack = await TilePack.create({
+    orgId: asOid(orgId),
+    projectId: project._id,
+    name: String(name || "").trim() || `${project.name || "Project"} z${est.minZoom}-${est.maxZoom}`,
+    bounds: est.bounds,
+    paddingM: Math.max(0, Number(paddingM) || 0),
+    minZoom: est.minZoom,
+    maxZoom: est.maxZoom,
+    format: source.format,
+    source: source.label,
+    attribution: source.attribution,
+    estimatedTiles: est.tileCount,
+    estimatedBytes: est.estimatedBytes,
+    progress: { done: 0, total: est.tileCount },
+    ttlDays: Number(ttlDays) > 0 ? Math.round(Number(ttlDays)) : limits().ttlDays,
+    createdBy: { _id: asOid(actor._id) || undefined, name: actor.name || "" },
+  });
+  setImmediate(() => drainQueue().catch((e) => console.error("[tilePacks] build error:", e)));
+  return pack;
+}
+
+// Re-fetch every tile (source updated, pack expired or failed); expiry restarts on completion
+async function rebuildPack(pack) {
+  if (pack.status === "building") throw fail(409, "Pack is already building");
+  const est = await estimate({ orgId: pack.orgId, projectId: pack.projectId, minZoom: pack.minZoom, maxZoom: pack.maxZoom, paddingM: pack.paddingM });
+  // this pack's own tiles are about to be replaced, so don't count them twice
+  est.usage.usedBytes = Math.max(0, est.usage.usedBytes - (pack.bytes || 0));
+  assertFits(est);
+
+  Object.assign(pack, {
+    bounds: est.bounds,
+    status: "queued",
+    error: undefined,
+    estimatedTiles: est.tileCount,
+    estimatedBytes: est.estimatedBytes,
+    progress: { done: 0, total: est.tileCount },
+  });
+  await pack.save();
+  setImmediate(() => drainQueue().catch((e) => console.error("[tilePacks] build error:", e)));
+  return pack;
+}
+
+async function deletePackTiles(packId) {
+  const bucket = getBucket();
+  const files = await bucket.find({ "metadata.packId": String(packId) }, { projection: { _id: 1 } }).toArray();
+  for (const f of files) {
+    try {
+      await bucket.delete(f._id);
+    } catch {
+      // already gone
+    }
+  }
+  return files.length;
+}
+
+async function removePack(pack) {
+  await deletePackTiles(pack._id);
+  pack.isDeleted = true;
+  pack.bytes = 0;
+  pack.tileCount = 0;
+  await pack.save();
+  return pack;
+}
+
+function putTile(bucket, pack, z, x, y, buf) {
+  return new Promise((resolve, reject) => {
+    const stream = bucket.openUploadStream(`${pack._id}/${z}/${x}/${y}`, {
+      contentType: MIME[pack.format] || "application/octet-stream",
+      metadata: { packId: String(pack._id), orgId: String(pack.orgId || ""), z, x, y },
+    });
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    stream.end(buf);
+  });
+}
+
+async function buildPack(pack) {
+  const { TilePack } = models();
+  const source = tileSource();
+  if (!source) throw fail(503, "No tile source configured");
+
+  const bucket = getBucket();
+  await deletePackTiles(pack._id);
+  const { quotaBytes } = limits();
+  const others = await orgUsage(pack.orgId);
+  const headroom = quotaBytes - (others.usedBytes - (pack.bytes || 0));
+
+  let done = 0;
+  let stored = 0;
+  let missing = 0;
+  let bytes = 0;
+  const total = countTiles(pack.bounds, pack.minZoom, pack.maxZoom);
+
+  for (const [z, x, y] of eachTile(pack.bounds, pack.minZoom, pack.maxZoom)) {
+    const buf = await source.fetchTile(z, x, y);
+    if (buf && buf.length) {
+      await putTile(bucket, pack, z, x, y, buf);
+      stored += 1;
+      bytes += buf.length;
+      if (bytes > headroom) throw fail(413, "Tile storage quota reached while building");
+    } else {
+      missing += 1;
+    }
+    done += 1;
+    if (done % PROGRESS_EVERY === 0) {
+      await TilePack.updateOne({ _id: pack._id }, { $set: { progress: { done, total }, bytes, tileCount: stored } });
+    }
+  }
+
+  const now = new Date();
+  await TilePack.updateOne(
+    { _id: pack._id },
+    {
+      $set: {
+        status: "ready",
+        progress: { done, total },
+        tileCount: stored,
+        missingTiles: missing,
+        bytes,
+        format: source.format,
+        source: source.label,
+        attribution: source.attribution,
+        builtAt: now,
+        expiresAt: new Date(now.getTime() + (pack.ttlDays || limits().ttlDays) * DAY_MS),
+      },
+      $unset: { error: 1 },
+    },
+  );
+}
+
+let draining = false;
+
+// Build queued packs one at a time (one process builds; a second call is a no-op)
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  const { TilePack } = models();
+  try {
+    for (;;) {
+      const pack = await TilePack.findOneAndUpdate(
+        { status: "queued", isDeleted: { $ne: true } },
+        { $set: { status: "building" } },
+        { sort: { createdAt: 1 }, new: true },
+      );
+      if (!pack) break;
+      try {
+        await buildPack(pack);
+      } catch (e) {
+        console.error(`[tilePacks] pack ${pack._id} failed:`, e.message || e);
+        await deletePackTiles(pack._id).catch(() => {});
+        await TilePack.updateOne(
+          { _id: pack._id },
+          { $set: { status: "failed", error: e.message || String(e), bytes: 0, tileCount: 0 } },
+        );
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+async function runTilePackSweepOnce(now = new Date()) {
+  const { TilePack } = models();
+
+  const expired = await TilePack.find({ status: "ready", expiresAt: { $lte: now }, isDeleted: { $ne: true } });
+  for (const pack of expired) {
+    await deletePackTiles(pack._id);
+    pack.status = "expired";
+    pack.bytes = 0;
+    pack.tileCount = 0;
+    await pack.save();
+  }
+
+  // a build cut off by a restart never finishes; start it again
+  if (!draining) {
+    await TilePack.updateMany(
+      { status: "building", updatedAt: { $lt: new Date(now.getTime() - STALE_BUILD_MS) } },
+      { $set: { status: "queued" } },
+    );
+  }
+  await drainQueue();
+  return { expired: expired.length };
+}
+
+/* --------------------------------- read --------------------------------- */
+
+// [[z, x, y, bytes], ...] in zoom order
+async function listTiles(packId) {
+  const files = await getBucket()
+    .find({ "metadata.packId": String(packId) }, { projection: { metadata: 1, length: 1 } })
+    .toArray();
+  return files
+    .map((f) => [f.metadata.z, f.metadata.x, f.metadata.y, f.length])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+}
+
+// Readable stream for one tile, or null
+async function openTile(pack, z, x, y) {
+  const bucket = getBucket();
+  const [file] = await bucket.find({ filename: `${pack._id}/${z}/${x}/${y}` }, { limit: 1 }).toArray();
+  if (!file) return null;
+  return { stream: bucket.openDownloadStream(file._id), length: file.length, contentType: MIME[pack.format] };
+}
+
+function packMetadata(pack) {
+  const b = pack.bounds;
+  const zc = Math.round((pack.minZoom + pack.maxZoom) / 2);
+  return {
+    name: pack.name,
+    format: pack.format,
+    bounds: [b.west, b.south, b.east, b.north].join(","),
+    center: [(b.west + b.east) / 2, (b.south + b.north) / 2, zc].join(","),
+    minzoom: pack.minZoom,
+    maxzoom: pack.maxZoom,
+    attribution: pack.attribution || "",
+    type: "baselayer",
+    scheme: "xyz",
+    version: String(pack.builtAt ? new Date(pack.builtAt).getTime() : 0),
+    tiles: pack.tileCount,
+    bytes: pack.bytes,
+    expires: pack.expiresAt ? new Date(pack.expiresAt).toISOString() : null,
+  };
+}
+
+/** Stream the pack as a zip: metadata.json + tiles/z/x/y.ext */
+async function writePackage(pack, out) {
+  const archiver = require("archiver");
+  const bucket = getBucket();
+  const archive = archiver("zip", { zlib: { level: 0 } }); // tiles are already compressed
+  archive.pipe(out);
+  archive.append(JSON.stringify(packMetadata(pack), null, 2), { name: "metadata.json" });
+
+  const cursor = bucket.find({ "metadata.packId": String(pack._id) });
+  for await (const f of cursor) {
+    const { z, x, y } = f.metadata;
+    archive.append(bucket.openDownloadStream(f._id), { name: `tiles/${z}/${x}/${y}.${pack.format}` });
+  }
+  await archive.finalize();
+}
+
+function toOut(pack) {
+  const p = typeof pack?.toObject === "function" ? pack.toObject() : pack;
+  return {
+    ...p,
+    expired: p.status === "expired" || (!!p.expiresAt && new Date(p.expiresAt) <= new Date()),
+    metadata: p.status === "ready" ? packMetadata(p) : null,
+  };
+}
+
+module.exports = {
+  BUCKET,
+  limits,
+  tileSource,
+  tileRanges,
+  countTiles,
+  padBounds,
+  projectBounds,
+  orgUsage,
+  estimate,
+  createPack,
+  rebuildPack,
+  removePack,
+  drainQueue,
+  runTilePackSweepOnce,
+  listTiles,
+  openTile,
+  writePackage,
+  toOut,
+};
@@ -0,0 +1,551 @@
+// core-backend/services/timesheets.js
+const mongoose = require("mongoose");
+
+/**
+ * Payroll timesheet engine — the ONE place hours are computed from Clocking records.
+ *
+ *  1. Pair punches per user: in/present/overtime opens a shift, out closes it.
+ *     Shifts belong to the local day they START on (night shifts don't split).
+ *  2. Per day: worked hours, unpaid break deduction (org rule, minus any explicit
+ *     out/in gap already taken), then split into normal / overtime / saturday /
+ *     sunday / public-holiday buckets.
+ *  3. Leave types (sick, leave, iod, training) credit leaveHoursPerDay on working days.
+ *  4. Flags: unpaired-in, unpaired-out, duplicate, long-shift, short-shift,
+ *     open-shift (still clocked in), leave-and-work.
+ *
+ * Rules live in Org.settings.timesheets and are merged over DEFAULT_RULES.
+ * Days are bucketed in rules.timezone (IANA), so a 06:00 SAST punch stays on its own date.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEAVE_TYPES = ["training", "sick", "leave", "iod"]; // priority order when several on a day
+const LEAVE_CODES = { training: "T", sick: "S", leave: "L", iod: "I" };
+const START_TYPES = ["in", "present", "overtime"];
+
+const DEFAULT_RULES = Object.freeze({
+  timezone: process.env.TIMESHEET_TZ || "UTC",
+  dailyNormalHours: 9,
+  weeklyNormalHours: 45,
+  // Unpaid meal interval: the largest rule whose afterHours is exceeded applies
+  breaks: [{ afterHours: 5, minutes: 60 }],
+  multipliers: { overtime: 1.5, saturday: 1.5, sunday: 2, publicHoliday: 2 },
+  leaveHoursPerDay: null, // null -> dailyNormalHours
+  publicHolidays: [], // ["YYYY-MM-DD", ...]
+  maxShiftHours: 16,
+  minShiftMinutes: 5,
+  duplicateWindowMinutes: 2,
+});
+
+function models() {
+  return {
+    Clocking: mongoose.models.Clocking || require("../models/Clocking"),
+    User: mongoose.models.User || require("../models/User"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+// null / undefined / "" = not set (Number() would make them 0)
+const num = (v, d) => {
+  const n = v === null || v === undefined || v === "" ? NaN : Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/* ------------------------------- rules ------------------------------- */
+
+function normalizeRules(raw = {}) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const m = r.multipliers && typeof r.multipliers === "object" ? r.multipliers : {};
+  const d = DEFAULT_RULES;
+
+  let timezone = String(r.timezone || d.timezone);
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone: timezone });
+  } catch {
+    timezone = d.timezone;
+  }
+
+  return {
+    timezone,
+    dailyNormalHours: num(r.dailyNormalHours, d.dailyNormalHours),
+    weeklyNormalHours: num(r.weeklyNormalHours, d.weeklyNormalHours),
+    breaks: (Array.isArray(r.breaks) ? r.breaks : d.breaks)
+      .map((b) => ({ afterHours: num(b?.afterHours, 0), minutes: num(b?.minutes, 0) }))
+      .filter((b) => b.minutes > 0),
+    multipliers: {
+      overtime: num(m.overtime, d.multipliers.overtime),
+      saturday: num(m.saturday, d.multipliers.saturday),
+      sunday: num(m.sunday, d.multipliers.sunday),
+      publicHoliday: num(m.publicHoliday, d.multipliers.publicHoliday),
+    },
+    leaveHoursPerDay: num(r.leaveHoursPerDay, null), // null -> dailyNormalHours
+    publicHolidays: (Array.isArray(r.publicHolidays) ? r.publicHolidays : [])
+      .map((s) => String(s || "").slice(0, 10))
+      .filter((s) => /^\d{4}-\d{2}-\d{2}$/.test(s)),
+    maxShiftHours: num(r.maxShiftHours, d.maxShiftHours),
+    minShiftMinutes: num(r.minShiftMinutes, d.minShiftMinutes),
+    duplicateWindowMinutes: num(r.duplicateWindowMinutes, d.duplicateWindowMinutes),
+  };
+}
+
+async function loadRules(orgId) {
+  try {
+    const { Org } = models();
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return normalizeRules();
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    return normalizeRules(org?.settings?.timesheets);
+  } catch {
+    return normalizeRules();
+  }
+}
+
+/* ------------------------------ day keys ------------------------------ */
+
+const _fmtCache = new Map();
+function dayFormatter(tz) {
+  if (!_fmtCache.has(tz)) {
+    _fmtCache.set(
+      tz,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone: tz,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      }),
+    );
+  }
+  return _fmtCache.get(tz);
+}
+
+/** "YYYY-MM-DD" of `date` in `tz` */
+function dayKey(date, tz) {
+  return dayFormatter(tz).format(new Date(date));
+}
+
+/** 0=Sun..6=Sat for a "YYYY-MM-DD" key (calendar date, no tz involved) */
+function weekdayOf(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/** Monday of the key's week, used to accumulate weekly normal hours */
+function weekKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  const back = (dt.getUTCDay() + 6) % 7;
+  return new Date(dt.getTime() - back * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Inclusive list of keys between two "YYYY-MM-DD" strings */
+function daysBetween(fromKey, toKey) {
+  const [fy, fm, fd] = fromKey.split("-").map(Number);
+  const [ty, tm, td] = toKey.split("-").map(Number);
+  const out = [];
+  let t = Date.UTC(fy, fm - 1, fd);
+  const end = Date.UTC(ty, tm - 1, td);
+  while (t <= end && out.length < 370) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+    t += DAY_MS;
+  }
+  return out;
+}
+
+function dayTypeOf(key, holidays) {
+  if (holidays.has(key)) return "holiday";
+  const wd = weekdayOf(key);
+  if (wd === 0) return "sunday";
+  if (wd === 6) return "saturday";
+  return "weekday";
+}
+
+/* ------------------------------ pairing ------------------------------ */
+
+/**
+ * Pair one user's clockings (any order) into shifts + leave marks + flags.
+ * Exported for unit use; `now` decides whether a trailing "in" is still open.
+ */
+function pairPunches(clockings, rules, { now = new Date() } = {}) {
+  const sorted = [...(clockings || [])]
+    .filter((c) => c && c.at && !Number.isNaN(new Date(c.at).getTime()))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  const maxShiftMs = rules.maxShiftHours * 60 * 60 * 1000;
+  const dupMs = rules.duplicateWindowMinutes * 60 * 1000;
+  const minShiftMs = rules.minShiftMinutes * 60 * 1000;
+
+  const shifts = [];
+  const leave = []; // { key, type, clockingId }
+  const present = []; // attendance marks without times
+  const flags = []; // { key, type, at, clockingId, note }
+
+  const flag = (ev, type, note = "") =>
+    flags.push({
+      key: dayKey(ev.at, rules.timezone),
+      type,
+      at: new Date(ev.at),
+      clockingId: ev._id,
+      note,
+    });
+
+  let open = null;
+  let lastOut = null;
+
+  for (const ev of sorted) {
+    const type = String(ev.type || "").toLowerCase();
+    const at = new Date(ev.at);
+
+    if (LEAVE_TYPES.includes(type)) {
+      leave.push({ key: dayKey(at, rules.timezone), type, clockingId: ev._id });
+      continue;
+    }
+
+    if (type === "out") {
+      if (!open) {
+        if (lastOut && at - new Date(lastOut.at) <= dupMs) flag(ev, "duplicate", "repeated out");
+        else flag(ev, "unpaired-out", "out without a matching in");
+        continue;
+      }
+      const ms = at - new Date(open.at);
+      if (ms > maxShiftMs) {
+        flag(open, "long-shift", `${round2(ms / 3600000)}h exceeds ${rules.maxShiftHours}h – not counted`);
+      } else {
+        if (ms < minShiftMs) flag(open, "short-shift", `${Math.round(ms / 60000)} min`);
+        shifts.push({
+          key: dayKey(open.at, rules.timezone),
+          start: new Date(open.at),
+          end: at,
+          hours: ms / 3600000,
+          startType: String(open.type || "in").toLowerCase(),
+          projectId: open.projectId || ev.projectId || null,
+          inId: open._id,
+          outId: ev._id,
+        });
+      }
+      open = null;
+      lastOut = ev;
+      continue;
+    }
+
+    if (START_TYPES.includes(type)) {
+      if (open) {
+        if (at - new Date(open.at) <= dupMs) {
+          flag(ev, "duplicate", `repeated ${type}`);
+          continue; // keep the earliest punch
+        }
+        if (String(open.type).toLowerCase() === "present") present.push(open);
+        else flag(open, "unpaired-in", "in without a matching out");
+      }
+      open = ev;
+    }
+  }
+
+  if (open) {
+    const age = now - new Date(open.at);
+    if (String(open.type).toLowerCase() === "present") present.push(open);
+    else if (age <= maxShiftMs) flag(open, "open-shift", "still clocked in");
+    else flag(open, "unpaired-in", "in without a matching out");
+  }
+
+  return {
+    shifts,
+    leave,
+    present: present.map((p) => ({ key: dayKey(p.at, rules.timezone), clockingId: p._id })),
+    flags,
+  };
+}
+
+/* ------------------------------ per day ------------------------------ */
+
+function breakMinutesFor(workedHours, rules) {
+  let mins = 0;
+  for (const b of rules.breaks) if (workedHours > b.afterHours) mins = Math.max(mins, b.minutes);
+  return mins;
+}
+
+/**
+ * Build one user's day rows for `keys` from paired data.
+ * Weekly normal hours accumulate over `keys` only, so start them on a Monday.
+ */
+function buildDays(keys, paired, rules) {
+  const holidays = new Set(rules.publicHolidays);
+  const m = rules.multipliers;
+
+  const shiftsByDay = new Map();
+  for (const s of paired.shifts) {
+    if (!shiftsByDay.has(s.key)) shiftsByDay.set(s.key, []);
+    shiftsByDay.get(s.key).push(s);
+  }
+  const leaveByDay = new Map();
+  for (const l of paired.leave) {
+    if (!leaveByDay.has(l.key)) leaveByDay.set(l.key, new Set());
+    leaveByDay.get(l.key).add(l.type);
+  }
+  const presentDays = new Set(paired.present.map((p) => p.key));
+  const flagsByDay = new Map();
+  for (const f of paired.flags) {
+    if (!flagsByDay.has(f.key)) flagsByDay.set(f.key, []);
+    flagsByDay.get(f.key).push(f);
+  }
+
+  const weeklyUsed = new Map();
+  const days = [];
+
+  for (const key of keys) {
+    const dayType = dayTypeOf(key, holidays);
+    const shifts = (shiftsByDay.get(key) || []).sort((a, b) => a.start - b.start);
+    const flags = [...(flagsByDay.get(key) || [])];
+
+    const worked = shifts.reduce((a, s) => a + s.hours, 0);
+
+    // Gaps between shifts on the same day already count as break time
+    let gapMin = 0;
+    for (let i = 1; i < shifts.length; i++) {
+      gapMin += Math.max(0, (shifts[i].start - shifts[i - 1].end) / 60000);
+    }
+    const breakHours = Math.min(
+      worked,
+      Math.max(0, breakMinutesFor(worked, rules) - gapMin) / 60,
+    );
+    const paid = Math.max(0, worked - breakHours);
+
+    const row = {
+      date: key,
+      dayType,
+      code: "",
+      workedHours: round2(worked),
+      breakHours: round2(breakHours),
+      paidHours: round2(paid),
+      normalHours: 0,
+      overtimeHours: 0,
+      saturdayHours: 0,
+      sundayHours: 0,
+      holidayHours: 0,
+      leaveType: null,
+      leaveHours: 0,
+      weightedHours: 0,
+      shifts: shifts.map((s) => ({
+        start: s.start,
+        end: s.end,
+        hours: round2(s.hours),
+        projectId: s.projectId,
+        inId: s.inId,
+        outId: s.outId,
+      })),
+      flags: flags.map(({ type, at, clockingId, note }) => ({ type, at, clockingId, note })),
+    };
+
+    if (dayType === "holiday") row.holidayHours = paid;
+    else if (dayType === "sunday") row.sundayHours = paid;
+    else if (dayType === "saturday") row.saturdayHours = paid;
+    else {
+      const wk = weekKey(key);
+      const used = weeklyUsed.get(wk) || 0;
+      const explicitOt = shifts
+        .filter((s) => s.startType === "overtime")
+        .reduce((a, s) => a + s.hours, 0);
+      const regular = Math.max(0, paid - explicitOt);
+      const normal = Math.max(
+        0,
+        Math.min(regular, rules.dailyNormalHours, rules.weeklyNormalHours - used),
+      );
+      row.normalHours = normal;
+      row.overtimeHours = paid - normal;
+      weeklyUsed.set(wk, used + normal);
+    }
+
+    const leaveTypes = leaveByDay.get(key);
+    if (leaveTypes?.size) {
+      row.leaveType = LEAVE_TYPES.find((t) => leaveTypes.has(t));
+      row.code = LEAVE_CODES[row.leaveType];
+      if (dayType === "weekday") row.leaveHours = rules.leaveHoursPerDay ?? rules.dailyNormalHours;
+      if (worked > 0) {
+        row.flags.push({ type: "leave-and-work", note: `${row.leaveType} recorded on a worked day` });
+      }
+    } else if (worked > 0 || presentDays.has(key)) {
+      row.code = "P";
+    }
+
+    row.weightedHours =
+      row.normalHours +
+      row.overtimeHours * m.overtime +
+      row.saturdayHours * m.saturday +
+      row.sundayHours * m.sunday +
+      row.holidayHours * m.publicHoliday +
+      row.leaveHours;
+
+    for (const k of [
+      "normalHours",
+      "overtimeHours",
+      "saturdayHours",
+      "sundayHours",
+      "holidayHours",
+      "leaveHours",
+      "weightedHours",
+    ]) {
+      row[k] = round2(row[k]);
+    }
+    days.push(row);
+  }
+  return days;
+}
+
+function totalsOf(days) {
+  const t = {
+    daysWorked: 0,
+    workedHours: 0,
+    breakHours: 0,
+    paidHours: 0,
+    normalHours: 0,
+    overtimeHours: 0,
+    saturdayHours: 0,
+    sundayHours: 0,
+    holidayHours: 0,
+    leaveHours: 0,
+    leaveDays: { training: 0, sick: 0, leave: 0, iod: 0 },
+    weightedHours: 0,
+    flags: 0,
+  };
+  for (const d of days) {
+    if (d.code === "P") t.daysWorked += 1;
+    if (d.leaveType) t.leaveDays[d.leaveType] += 1;
+    t.flags += d.flags.length;
+    for (const k of [
+      "workedHours",
+      "breakHours",
+      "paidHours",
+      "normalHours",
+      "overtimeHours",
+      "saturdayHours",
+      "sundayHours",
+      "holidayHours",
+      "leaveHours",
+      "weightedHours",
+    ]) {
+      t[k] += d[k];
+    }
+  }
+  for (const k of Object.keys(t)) if (typeof t[k] === "number") t[k] = round2(t[k]);
+  return t;
+}
+
+/* ------------------------------ periods ------------------------------ */
+
+/**
+ * The locked TimesheetPeriod (if any) covering any of `dates` for this org.
+ * Used to freeze clockings once payroll has been run.
+ */
+async function findLockedPeriod(orgId, dates = []) {
+  const TimesheetPeriod =
+    mongoose.models.TimesheetPeriod || require("../models/TimesheetPeriod");
+  const s = String(orgId || "");
+  if (!s || s.toLowerCase() === "root") return null;
+
+  const rules = await loadRules(s);
+  const keys = dates
+    .filter((d) => d && !Number.isNaN(new Date(d).getTime()))
+    .map((d) => dayKey(d, rules.timezone));
+  if (!keys.length) return null;
+
+  return TimesheetPeriod.findOne({
+    orgId: s,
+    status: "locked",
+    $or: keys.map((k) => ({ periodStart: { $lte: k }, periodEnd: { $gte: k } })),
+  })
+    .select({ label: 1, periodStart: 1, periodEnd: 1 })
+    .lean();
+}
+
+/* ------------------------------ compute ------------------------------ */
+
+/**
+ * Compute timesheets for an org and inclusive local date range.
+ *   computeTimesheets({ orgId, from: "2026-03-01", to: "2026-03-31", userIds? })
+ * Returns { from, to, rules, days: [keys], rows: [{ userId, name, staffNumber, days, totals }] }
+ */
+async function computeTimesheets({ orgId, from, to, userIds, rules, now = new Date() }) {
+  const { Clocking, User } = models();
+  const r = rules || (await loadRules(orgId));
+  const keys = daysBetween(from, to);
+  if (!keys.length) return { from, to, rules: r, days: [], rows: [] };
+
+  // Weekly normal hours count from the Monday of `from`'s week, so a range starting
+  // mid-week gets the same overtime split as the full week. Those lead-in days are
+  // computed and then dropped.
+  const weekStart = weekKey(keys[0]);
+  const buildKeys = weekStart < keys[0] ? [...daysBetween(weekStart, keys[0]).slice(0, -1), ...keys] : keys;
+
+  // Pad the UTC query window by a day either side; exact bucketing is by local key.
+  // The extra day after `to` lets a night shift that started on `to` find its out punch.
+  const qFrom = new Date(Date.parse(`${weekStart}T00:00:00Z`) - DAY_MS);
+  const qTo = new Date(Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS);
+
+  const find = { at: { $gte: qFrom, $lt: qTo } };
+  // "root" (superadmin) reads cross-org, same as the clockings list
+  if (orgId && String(orgId).toLowerCase() !== "root") find.orgId = String(orgId);
+  if (Array.isArray(userIds)) {
+    find.userId = {
+      $in: userIds
+        .map((id) => String(id || ""))
+        .filter((id) => mongoose.isValidObjectId(id))
+        .map((id) => new mongoose.Types.ObjectId(id)),
+    };
+  }
+
+  const clockings = await Clocking.find(find)
+    .select({ userId: 1, type: 1, at: 1, projectId: 1 })
+    .sort({ at: 1 })
+    .lean();
+
+  const byUser = new Map();
+  for (const c of clockings) {
+    if (!c.userId) continue;
+    const k = String(c.userId);
+    if (!byUser.has(k)) byUser.set(k, []);
+    byUser.get(k).push(c);
+  }
+
+  const users = byUser.size
+    ? await User.find({ _id: { $in: [...byUser.keys()] } })
+        .select({ name: 1, email: 1, staffNumber: 1 })
+        .lean()
+    : [];
+  const userById = new Map(users.map((u) => [String(u._id), u]));
+
+  const inRange = new Set(keys);
+  const rows = [];
+  for (const [uid, list] of byUser) {
+    const paired = pairPunches(list, r, { now });
+    const days = buildDays(buildKeys, paired, r).filter((d) => inRange.has(d.date));
+    // Drop users with nothing inside the requested range (padding-only punches)
+    if (!days.some((d) => d.code || d.flags.length) && !paired.flags.some((f) => inRange.has(f.key))) {
+      continue;
+    }
+    const u = userById.get(uid) || {};
+    rows.push({
+      userId: uid,
+      name: u.name || u.email || uid,
+      email: u.email || "",
+      staffNumber: u.staffNumber || "",
+      days,
+      totals: totalsOf(days),
+    });
+  }
+  rows.sort((a, b) => a.name.localeCompare(b.name));
+
+  return { from, to, rules: r, days: keys, rows };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  LEAVE_TYPES,
+  normalizeRules,
+  loadRules,
+  dayKey,
+  daysBetween,
+  pairPunches,
+  buildDays,
+  totalsOf,
+  computeTimesheets,
+  findLockedPeriod,
+};
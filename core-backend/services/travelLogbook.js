@@ -0,0 +1,497 @@
+// core-backend/services/travelLogbook.js
+const mongoose = require("mongoose");
+
+/**
+ * Tax-year travel logbook (SARS) from VehicleTrip data.
+ *
+ * The South African tax year runs 1 March – end of February; taxYear 2026 is
+ * 1 Mar 2025 – 28 Feb 2026. For one vehicle (optionally one driver) the logbook has:
+ *   opening / closing odometer, total km (closing − opening), business km,
+ *   private km, business-use % (business ÷ total), every trip in odometer order.
+ *
+ * Odometer continuity is checked across ALL trips of the vehicle (not only the
+ * selected driver's): when a trip's odoStart is not the previous trip's odoEnd the
+ * row gets a gap (km the logbook does not account for) or an overlap (readings go
+ * backwards). Gap km count towards total km but not business km, as SARS expects.
+ *
+ * The year boundaries and every printed date/time are in the org's timezone
+ * (Org.settings.timesheets.timezone, else TIMESHEET_TZ, else Africa/Johannesburg),
+ * so a trip at 01:00 SAST on 1 March falls in the new tax year.
+ */
+
+const GAP_TOLERANCE_KM = 1;
+const DEFAULT_TZ = "Africa/Johannesburg";
+
+function models() {
+  return {
+    VehicleTrip: mongoose.models.VehicleTrip || require("../models/VehicleTrip"),
+    Vehicle: mongoose.models.Vehicle || require("../models/Vehicle"),
+    User: mongoose.models.User || require("../models/User"),
+    Project: mongoose.models.Project || require("../models/Project"),
+    Task: mongoose.models.Task || require("../models/Task"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const round1 = (n) => (Number.isFinite(n) ? Math.round(n * 10) / 10 : null);
+const num = (v) => (v === null || v === undefined || v === "" ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+
+const validTz = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+async function orgTimezone(orgId) {
+  const { Org } = models();
+  const org = mongoose.isValidObjectId(String(orgId || ""))
+    ? await Org.findById(String(orgId)).select({ "settings.timesheets.timezone": 1 }).lean()
+    : null;
+  return [org?.settings?.timesheets?.timezone, process.env.TIMESHEET_TZ, DEFAULT_TZ].find((tz) => tz && validTz(tz));
+}
+
+/** Wall-clock fields of `date` in `tz` -> { y, m (0-based), d, hh, mm } */
+function zonedParts(date, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(date))
+      .map((p) => [p.type, Number(p.value)]),
+  );
+  return { y: parts.year, m: parts.month - 1, d: parts.day, hh: parts.hour, mm: parts.minute, ss: parts.second };
+}
+
+/** UTC instant of local midnight on y-m-d in `tz` */
+function zonedMidnight(y, m, d, tz) {
+  const guess = Date.UTC(y, m, d);
+  const p = zonedParts(guess, tz);
+  const offset = Date.UTC(p.y, p.m, p.d, p.hh, p.mm, p.ss) - guess;
+  return new Date(guess - offset);
+}
+
+/** { taxYear, from, to } — `to` is exclusive (1 March of the year ending the tax year, local midnight) */
+function taxYearRange(taxYear, tz = DEFAULT_TZ) {
+  const y = Number(taxYear);
+  if (!Number.isInteger(y) || y < 2000 || y > 2100) return null;
+  return {
+    taxYear: y,
+    from: zonedMidnight(y - 1, 2, 1, tz),
+    to: zonedMidnight(y, 2, 1, tz),
+  };
+}
+
+/** Tax year that contains a date (default: today) in `tz` */
+function currentTaxYear(d = new Date(), tz = DEFAULT_TZ) {
+  const p = zonedParts(d, tz);
+  return p.m >= 2 ? p.y + 1 : p.y;
+}
+
+const tripOdoEnd = (t) => num(t.odoEnd) ?? num(t.odoStart);
+
+async function buildTravelLogbook({ orgId, vehicleId, driverUserId = null, taxYear }) {
+  const { VehicleTrip, Vehicle, User, Project, Task, Org } = models();
+  const timezone = await orgTimezone(orgId);
+  const range = taxYearRange(taxYear ?? currentTaxYear(new Date(), timezone), timezone);
+  if (!range) throw Object.assign(new Error("Invalid tax year"), { status: 400 });
+
+  const vq = { _id: vehicleId };
+  if (orgId) vq.orgId = orgId;
+  const vehicle = await Vehicle.findOne(vq).lean();
+  if (!vehicle) throw Object.assign(new Error("Vehicle not found"), { status: 404 });
+
+  const tq = {
+    vehicleId: vehicle._id,
+    isDeleted: { $ne: true },
+    status: { $ne: "cancelled" },
+    startedAt: { $gte: range.from, $lt: range.to },
+  };
+  if (orgId) tq.orgId = orgId;
+  const all = await VehicleTrip.find(tq).sort({ odoStart: 1, startedAt: 1 }).lean();
+
+  // Last reading before the tax year, so a gap into the first trip is visible too
+  const before = await VehicleTrip.findOne({
+    ...tq,
+    startedAt: { $lt: range.from },
+  })
+    .sort({ startedAt: -1 })
+    .select({ odoStart: 1, odoEnd: 1 })
+    .lean();
+
+  // Continuity across the whole vehicle
+  let prevEnd = before ? tripOdoEnd(before) : null;
+  const rows = all.map((t) => {
+    const odoStart = num(t.odoStart);
+    const odoEnd = num(t.odoEnd);
+    const distance = odoStart != null && odoEnd != null ? Math.max(0, odoEnd - odoStart) : null;
+    let gapKm = null;
+    let gap = null;
+    if (prevEnd != null && odoStart != null) {
+      const d = odoStart - prevEnd;
+      if (d > GAP_TOLERANCE_KM) gap = "gap";
+      else if (d < -GAP_TOLERANCE_KM) gap = "overlap";
+      if (gap) gapKm = round1(d);
+    }
+    const end = tripOdoEnd(t);
+    if (end != null) prevEnd = Math.max(prevEnd ?? end, end);
+
+    return {
+      tripId: String(t._id),
+      driverUserId: t.driverUserId ? String(t.driverUserId) : null,
+      startedAt: t.startedAt,
+      endedAt: t.endedAt || null,
+      status: t.status,
+      odoStart,
+      odoEnd,
+      distance,
+      purpose: t.purpose === "Private" ? "Private" : "Business",
+      projectId: t.projectId ? String(t.projectId) : null,
+      taskId: t.taskId ? String(t.taskId) : null,
+      notes: t.notes || "",
+      gap,
+      gapKm,
+      gpsFlagged: t.gpsCheck?.status === "flagged",
+    };
+  });
+
+  const driverFilter = driverUserId ? String(driverUserId) : null;
+  const selected = driverFilter ? rows.filter((r) => r.driverUserId === driverFilter) : rows;
+
+  // Labels
+  const ids = (key) => [...new Set(selected.map((r) => r[key]).filter(Boolean))];
+  const [users, projects, tasks, org] = await Promise.all([
+    User.find({ _id: { $in: ids("driverUserId") } }).select({ name: 1, email: 1, username: 1 }).lean(),
+    Project.find({ _id: { $in: ids("projectId") } }).select({ name: 1 }).lean(),
+    Task.find({ _id: { $in: ids("taskId") } }).select({ title: 1 }).lean(),
+    orgId ? Org.findById(orgId).select({ name: 1 }).lean() : null,
+  ]);
+  const label = (list, field) => new Map(list.map((x) => [String(x._id), x[field] || x.email || x.username || ""]));
+  const userNames = label(users, "name");
+  const projectNames = label(projects, "name");
+  const taskNames = label(tasks, "title");
+  for (const r of selected) {
+    r.driver = userNames.get(r.driverUserId) || "";
+    r.project = projectNames.get(r.projectId) || "";
+    r.task = taskNames.get(r.taskId) || "";
+  }
+
+  // Totals
+  const sum = (list) => round1(list.reduce((a, r) => a + (r.distance || 0), 0));
+  const openingOdo = selected.length ? selected[0].odoStart : null;
+  const closingOdo = selected.length ? Math.max(...selected.map((r) => tripOdoEnd(r) ?? 0)) : null;
+  const businessKm = sum(selected.filter((r) => r.purpose === "Business"));
+  const privateKm = sum(selected.filter((r) => r.purpose === "Private"));
+  const gapRows = selected.filter((r) => r.gap);
+  const unaccountedKm = round1(gapRows.filter((r) => r.gap === "gap").reduce((a, r) => a + r.gapKm, 0));
+  // One driver's trips are not contiguous, so their total is what they drove
+  const totalKm = driverFilter
+    ? round1(businessKm + privateKm)
+    : openingOdo != null && closingOdo != null
+      ? round1(closingOdo - openingOdo)
+      : 0;
+
+  const perDriver = new Map();
+  for (const r of selected) {
+    const k = r.driverUserId || "";
+    const d = perDriver.get(k) || { driverUserId: r.driverUserId, driver: r.driver, trips: 0, businessKm: 0, privateKm: 0 };
+    d.trips += 1;
+    if (r.purpose === "Business") d.businessKm += r.distance || 0;
+    else d.privateKm += r.distance || 0;
+    perDriver.set(k, d);
+  }
+
+  return {
+    org: { name: org?.name || "" },
+    vehicle: {
+      _id: String(vehicle._id),
+      reg: vehicle.reg,
+      make: vehicle.make || "",
+      model: vehicle.model || "",
+      year: vehicle.year || null,
+      vin: vehicle.vin || "",
+    },
+    driver: driverFilter ? { _id: driverFilter, name: userNames.get(driverFilter) || "" } : null,
+    taxYear: range.taxYear,
+    timezone,
+    period: { from: range.from, to: new Date(range.to.getTime() - 1) },
+    totals: {
+      trips: selected.length,
+      openTrips: selected.filter((r) => r.status === "open").length,
+      openingOdo,
+      closingOdo,
+      totalKm,
+      businessKm,
+      privateKm,
+      unaccountedKm,
+      businessPct: totalKm > 0 ? round1((businessKm / totalKm) * 100) : null,
+      gaps: gapRows.filter((r) => r.gap === "gap").length,
+      overlaps: gapRows.filter((r) => r.gap === "overlap").length,
+      gpsFlagged: selected.filter((r) => r.gpsFlagged).length,
+    },
+    perDriver: [...perDriver.values()].map((d) => ({
+      ...d,
+      businessKm: round1(d.businessKm),
+      privateKm: round1(d.privateKm),
+    })),
+    rows: selected,
+  };
+}
+
+/* ------------------------------ renderers ------------------------------ */
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const fmtDate = (d, tz = DEFAULT_TZ) => {
+  if (!d) return "";
+  const p = zonedParts(d, tz);
+  return `${p.y}-${pad2(p.m + 1)}-${pad2(p.d)}`;
+};
+const fmtTime = (d, tz = DEFAULT_TZ) => {
+  if (!d) return "";
+  const p = zonedParts(d, tz);
+  return `${pad2(p.hh)}:${pad2(p.mm)}`;
+};
+
+const periodText = (book) => `${fmtDate(book.period.from, book.timezone)} to ${fmtDate(book.period.to, book.timezone)}`;
+
+// Safe for a Content-Disposition filename
+const fileSafe = (s) => String(s || "").replace(/[^\w.-]+/g, "_");
+
+function fileBaseName(book) {
+  const who = book.driver?.name ? `_${fileSafe(book.driver.name)}` : "";
+  return `travel-logbook_${fileSafe(book.vehicle.reg)}_${book.taxYear}${who}`;
+}
+
+function gapText(r) {
+  if (r.gap === "gap") return `${r.gapKm} km not logged before this trip`;
+  if (r.gap === "overlap") return `odometer overlaps previous trip by ${-r.gapKm} km`;
+  return "";
+}
+
+function toXlsxBuffer(book) {
+  const XLSX = require("xlsx");
+  const t = book.totals;
+
+  const summary = [
+    ["Travel logbook", ""],
+    ["Organisation", book.org.name],
+    ["Vehicle", `${book.vehicle.reg} ${book.vehicle.make} ${book.vehicle.model}`.trim()],
+    ["VIN", book.vehicle.vin],
+    ["Driver", book.driver ? book.driver.name : "All drivers"],
+    ["Tax year", `${book.taxYear} (${fmtDate(book.period.from, book.timezone)} to ${fmtDate(book.period.to, book.timezone)})`],
+    [],
+    ["Opening odometer (km)", t.openingOdo],
+    ["Closing odometer (km)", t.closingOdo],
+    ["Total km", t.totalKm],
+    ["Business km", t.businessKm],
+    ["Private km", t.privateKm],
+    ["Unlogged km (gaps)", t.unaccountedKm],
+    ["Business use %", t.businessPct],
+    ["Trips", t.trips],
+    ["Odometer gaps", t.gaps],
+    ["Odometer overlaps", t.overlaps],
+    [],
+    ["Driver", "Trips", "Business km", "Private km"],
+    ...book.perDriver.map((d) => [d.driver, d.trips, d.businessKm, d.privateKm]),
+  ];
+
+  const header = [
+    "Date",
+    "Start",
+    "End",
+    "Driver",
+    "Odometer start",
+    "Odometer end",
+    "Km",
+    "Purpose",
+    "Project",
+    "Task",
+    "Notes",
+    "Odometer check",
+  ];
+  const trips = [
+    header,
+    ...book.rows.map((r) => [
+      fmtDate(r.startedAt, book.timezone),
+      fmtTime(r.startedAt, book.timezone),
+      r.endedAt ? fmtTime(r.endedAt, book.timezone) : "open",
+      r.driver,
+      r.odoStart,
+      r.odoEnd,
+      r.distance,
+      r.purpose,
+      r.project,
+      r.task,
+      r.notes,
+      gapText(r),
+    ]),
+  ];
+
+  const wb = XLSX.utils.book_new();
+  const ws1 = XLSX.utils.aoa_to_sheet(summary);
+  ws1["!cols"] = [{ wch: 24 }, { wch: 40 }, { wch: 14 }, { wch: 14 }];
+  const ws2 = XLSX.utils.aoa_to_sheet(trips);
+  ws2["!cols"] = [10, 6, 6, 22, 14, 14, 8, 9, 24, 24, 30, 36].map((wch) => ({ wch }));
+  XLSX.utils.book_append_sheet(wb, ws1, "Summary");
+  XLSX.utils.book_append_sheet(wb, ws2, "Trips");
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+/** Streams the PDF into `out` (an http response or any writable) */
+function writePdf(book, out) {
+  const PDFDocument = require("pdfkit");
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36, bufferPages: true });
+  doc.pipe(out);
+  const t = book.totals;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font("Helvetica-Bold").fontSize(16).text("Travel logbook", left, 36);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(
+    [
+      book.org.name,
+      `Vehicle: ${book.vehicle.reg} ${book.vehicle.make} ${book.vehicle.model}`.trim() +
+        (book.vehicle.vin ? `  VIN ${book.vehicle.vin}` : ""),
+      `Driver: ${book.driver ? book.driver.name : "All drivers"}`,
+      `Tax year ${book.taxYear}: ${fmtDate(book.period.from, book.timezone)} to ${fmtDate(book.period.to, book.timezone)}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  );
+  doc.moveDown(0.5);
+
+  const facts = [
+    ["Opening odometer", t.openingOdo ?? "—"],
+    ["Closing odometer", t.closingOdo ?? "—"],
+    ["Total km", t.totalKm],
+    ["Business km", t.businessKm],
+    ["Private km", t.privateKm],
+    ["Unlogged km", t.unaccountedKm],
+    ["Business use", t.businessPct != null ? `${t.businessPct}%` : "—"],
+  ];
+  const boxY = doc.y;
+  const cellW = width / facts.length;
+  facts.forEach(([k, v], i) => {
+    const x = left + i * cellW;
+    doc.rect(x, boxY, cellW, 34).stroke("#cccccc");
+    doc.fillColor("#555555").fontSize(8).text(k, x + 4, boxY + 4, { width: cellW - 8 });
+    doc.fillColor("#000000").font("Helvetica-Bold").fontSize(11).text(String(v), x + 4, boxY + 16, { width: cellW - 8 });
+    doc.font("Helvetica");
+  });
+  doc.y = boxY + 42;
+  if (t.gaps || t.overlaps) {
+    doc
+      .fillColor("#b91c1c")
+      .fontSize(9)
+      .text(`${t.gaps} odometer gap(s) and ${t.overlaps} overlap(s) are marked in the trip list.`, left);
+    doc.fillColor("#000000");
+  }
+  doc.moveDown(0.5);
+
+  const cols = [
+    ["Date", 58],
+    ["Time", 58],
+    ["Driver", 96],
+    ["Odo start", 56],
+    ["Odo end", 56],
+    ["Km", 40],
+    ["Purpose", 50],
+    ["Project / task", 150],
+    ["Notes", 0], // rest
+  ];
+  const fixed = cols.reduce((a, [, w]) => a + w, 0);
+  cols[cols.length - 1][1] = width - fixed;
+
+  const drawHeader = () => {
+    let x = left;
+    const y = doc.y;
+    doc.rect(left, y, width, 14).fill("#eeeeee");
+    doc.fillColor("#000000").font("Helvetica-Bold").fontSize(8);
+    for (const [h, w] of cols) {
+      doc.text(h, x + 2, y + 3, { width: w - 4, lineBreak: false });
+      x += w;
+    }
+    doc.font("Helvetica");
+    doc.y = y + 16;
+  };
+
+  const bottom = doc.page.height - doc.page.margins.bottom - 30;
+  drawHeader();
+  for (const r of book.rows) {
+    if (r.gap) {
+      if (doc.y + 12 > bottom) {
+        doc.addPage();
+        drawHeader();
+      }
+      doc.fillColor("#b91c1c").fontSize(8).text(`! ${gapText(r)}`, left + 2, doc.y, { width });
+      doc.fillColor("#000000");
+    }
+    const cells = [
+      fmtDate(r.startedAt, book.timezone),
+      `${fmtTime(r.startedAt, book.timezone)}–${r.endedAt ? fmtTime(r.endedAt, book.timezone) : "open"}`,
+      r.driver,
+      r.odoStart ?? "",
+      r.odoEnd ?? "",
+      r.distance ?? "",
+      r.purpose,
+      [r.project, r.task].filter(Boolean).join(" / "),
+      r.notes,
+    ].map(String);
+    doc.fontSize(8);
+    const h = Math.max(12, ...cells.map((c, i) => doc.heightOfString(c, { width: cols[i][1] - 4 }) + 3));
+    if (doc.y + h > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    let x = left;
+    cells.forEach((c, i) => {
+      doc.text(c, x + 2, y + 1, { width: cols[i][1] - 4 });
+      x += cols[i][1];
+    });
+    doc.moveTo(left, y + h).lineTo(left + width, y + h).stroke("#e5e5e5");
+    doc.y = y + h + 1;
+  }
+
+  // Declaration + page numbers
+  if (doc.y + 60 > bottom) doc.addPage();
+  doc.moveDown(2).fontSize(9).fillColor("#000000");
+  doc.text("I declare that the information in this logbook is true and correct.", left);
+  doc.moveDown(1.5);
+  doc.text("Signature: ______________________________        Date: ________________", left);
+
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc
+      .fontSize(7)
+      .fillColor("#777777")
+      .text(
+        `${book.vehicle.reg} · tax year ${book.taxYear} · page ${i + 1} of ${range.count}`,
+        left,
+        doc.page.height - doc.page.margins.bottom - 10,
+        { width, align: "right", lineBreak: false },
+      );
+  }
+  doc.end();
+}
+
+module.exports = {
+  GAP_TOLERANCE_KM,
+  taxYearRange,
+  currentTaxYear,
+  buildTravelLogbook,
+  fileBaseName,
+  toXlsxBuffer,
+  writePdf,
+};
@@ -0,0 +1,256 @@
+// core-backend/services/tripTrack.js
+const mongoose = require("mongoose");
+const { haversineMeters } = require("./clockingFence");
+
+/**
+ * GPS breadcrumbs for vehicle trips.
+ *
+ * The mobile logbook records a throttled track while a trip is open and sends it
+ * with the trip-end event. Points are cleaned on ingest (poor accuracy, impossible
+ * speed jumps), merged into VehicleTripTrack (re-sent events are idempotent by
+ * timestamp) and the trip gets a summary on VehicleTrip.gpsCheck:
+ *
+ *   { pointCount, gpsDistanceKm, odoDistance, diffKm, diffPct,
+ *     status: "ok" | "flagged" | "insufficient", reason, computedAt }
+ *
+ * A straight line between throttled points always under-reads a little, so a
+ * trip is flagged only when odometer and GPS disagree by more than both
+ * tolerances. Per-org policy (Org.settings.vehicles):
+ *   gpsToleranceKm   absolute slack in km        (default 5)
+ *   gpsTolerancePct  relative slack, % of odo    (default 20)
+ */
+
+const DEFAULT_POLICY = Object.freeze({ gpsToleranceKm: 5, gpsTolerancePct: 20 });
+const MAX_ACCURACY_M = 150;
+const MAX_SPEED_KMH = 220;
+const MIN_POINTS = 5;
+const MAX_POINTS = 20000;
+
+function models() {
+  return {
+    VehicleTripTrack: mongoose.models.VehicleTripTrack || require("../models/VehicleTripTrack"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const round = (n, dp = 2) => (Number.isFinite(n) ? Number(n.toFixed(dp)) : null);
+
+function normalizePolicy(raw = {}) {
+  // null / "" = org has not set it
+  const pick = (v, fallback) => {
+    const n = v === null || v === undefined || v === "" ? NaN : Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    gpsToleranceKm: pick(raw?.gpsToleranceKm, DEFAULT_POLICY.gpsToleranceKm),
+    gpsTolerancePct: pick(raw?.gpsTolerancePct, DEFAULT_POLICY.gpsTolerancePct),
+  };
+}
+
+async function loadTrackPolicy(orgId) {
+  try {
+    if (!mongoose.isValidObjectId(String(orgId || ""))) return normalizePolicy();
+    const { Org } = models();
+    const org = await Org.findById(String(orgId)).select({ settings: 1 }).lean();
+    return normalizePolicy(org?.settings?.vehicles);
+  } catch {
+    return normalizePolicy();
+  }
+}
+
+/* ------------------------------ points ------------------------------ */
+
+/**
+ * Accepts the mobile shape { coordinates: [[lng,lat],...], times: [...], acc: [...] }
+ * or a plain array of { lat, lng, t|at|capturedAt, acc }.
+ * Returns [{ lng, lat, at: Date, acc }] sorted by time, duplicates removed.
+ */
+function readPoints(track) {
+  if (!track) return [];
+  let raw = [];
+  if (Array.isArray(track)) {
+    raw = track.map((p) => ({
+      lng: Number(p?.lng ?? p?.longitude),
+      lat: Number(p?.lat ?? p?.latitude),
+      at: p?.t ?? p?.at ?? p?.capturedAt,
+      acc: p?.acc ?? p?.accuracy,
+    }));
+  } else if (Array.isArray(track.coordinates)) {
+    const times = Array.isArray(track.times) ? track.times : [];
+    const acc = Array.isArray(track.acc) ? track.acc : [];
+    raw = track.coordinates.map((c, i) => ({
+      lng: Number(c?.[0]),
+      lat: Number(c?.[1]),
+      at: times[i],
+      acc: acc[i],
+    }));
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const p of raw) {
+    const at = new Date(typeof p.at === "number" ? p.at : String(p.at || ""));
+    if (!Number.isFinite(p.lat) || !Number.isFinite(p.lng) || Number.isNaN(at.getTime())) continue;
+    if (Math.abs(p.lat) > 90 || Math.abs(p.lng) > 180) continue;
+    if (Math.abs(p.lat) < 0.000001 && Math.abs(p.lng) < 0.000001) continue;
+    if (seen.has(at.getTime())) continue;
+    seen.add(at.getTime());
+    const a = Number(p.acc);
+    out.push({ lng: p.lng, lat: p.lat, at, acc: Number.isFinite(a) ? a : null });
+  }
+  return out.sort((a, b) => a.at - b.at);
+}
+
+/** Drops inaccurate fixes and points that imply an impossible speed from the last kept one */
+function cleanPoints(points) {
+  const kept = [];
+  let dropped = 0;
+  for (const p of points) {
+    if (p.acc != null && p.acc > MAX_ACCURACY_M) {
+      dropped += 1;
+      continue;
+    }
+    const prev = kept[kept.length - 1];
+    if (prev) {
+      const hours = (p.at - prev.at) / 3600000;
+      const km = haversineMeters(prev, p) / 1000;
+      if (hours > 0 && km / hours > MAX_SPEED_KMH) {
+        dropped += 1;
+        continue;
+      }
+    }
+    kept.push(p);
+  }
+  return { points: kept, dropped };
+}
+
+function pathDistanceKm(points) {
+  let m = 0;
+  for (let i = 1; i < points.length; i++) m += haversineMeters(points[i - 1], points[i]);
+  return m / 1000;
+}
+
+/* ------------------------------ comparison ------------------------------ */
+
+function compareWithOdometer({ gpsDistanceKm, pointCount, odoDistance }, policy = DEFAULT_POLICY) {
+  const base = {
+    pointCount,
+    gpsDistanceKm: round(gpsDistanceKm),
+    odoDistance: Number.isFinite(odoDistance) ? odoDistance : null,
+    computedAt: new Date(),
+  };
+  if (pointCount < MIN_POINTS) {
+    return { ...base, status: "insufficient", reason: `only ${pointCount} GPS point(s)` };
+  }
+  if (!Number.isFinite(odoDistance)) {
+    return { ...base, status: "insufficient", reason: "no odometer distance" };
+  }
+
+  const diffKm = odoDistance - gpsDistanceKm;
+  const diffPct = odoDistance > 0 ? (diffKm / odoDistance) * 100 : null;
+  const slack = Math.max(policy.gpsToleranceKm, (odoDistance * policy.gpsTolerancePct) / 100);
+  const flagged = Math.abs(diffKm) > slack;
+
+  return {
+    ...base,
+    diffKm: round(diffKm),
+    diffPct: round(diffPct, 1),
+    status: flagged ? "flagged" : "ok",
+    reason: flagged
+      ? diffKm > 0
+        ? `odometer ${round(diffKm)} km more than GPS`
+        : `GPS ${round(-diffKm)} km more than odometer`
+      : undefined,
+  };
+}
+
+function odoDistanceOf(trip) {
+  const a = Number(trip?.odoStart);
+  const b = Number(trip?.odoEnd);
+  return Number.isFinite(a) && Number.isFinite(b) && trip?.odoEnd != null ? Math.max(0, b - a) : NaN;
+}
+
+/* ------------------------------ persistence ------------------------------ */
+
+/**
+ * Merge uploaded points into the trip's track and refresh trip.gpsCheck.
+ * `trip` is a VehicleTrip document (it is saved here).
+ */
+async function saveTripTrack(trip, track, { source = "mobile" } = {}) {
+  const { VehicleTripTrack } = models();
+  const incoming = readPoints(track);
+  if (!trip?._id || !incoming.length) return null;
+
+  const existing = await VehicleTripTrack.findOne({ tripId: trip._id }).lean();
+  const previous = existing
+    ? readPoints({
+        coordinates: existing.path?.coordinates,
+        times: (existing.times || []).map((d) => new Date(d).toISOString()),
+        acc: existing.acc,
+      })
+    : [];
+
+  // Merge by timestamp; the stored points have been cleaned already
+  const merged = readPoints([...previous, ...incoming].map((p) => ({ ...p, t: p.at.toISOString() })));
+  const { points, dropped } = cleanPoints(merged);
+  const capped = points.slice(0, MAX_POINTS);
+  const distanceKm = pathDistanceKm(capped);
+
+  await VehicleTripTrack.updateOne(
+    { tripId: trip._id },
+    {
+      $set: {
+        orgId: trip.orgId,
+        vehicleId: trip.vehicleId,
+        path: { type: "LineString", coordinates: capped.map((p) => [p.lng, p.lat]) },
+        times: capped.map((p) => p.at),
+        acc: capped.map((p) => p.acc),
+        pointCount: capped.length,
+        distanceKm: round(distanceKm, 3),
+        source,
+        droppedPoints: dropped,
+        lastUploadAt: new Date(),
+      },
+    },
+    { upsert: true },
+  );
+
+  const policy = await loadTrackPolicy(trip.orgId);
+  trip.gpsCheck = compareWithOdometer(
+    { gpsDistanceKm: distanceKm, pointCount: capped.length, odoDistance: odoDistanceOf(trip) },
+    policy,
+  );
+  await trip.save();
+  return trip.gpsCheck;
+}
+
+/**
+ * Recompute trip.gpsCheck after an odometer edit. Sets it on the document without
+ * saving (callers save). No-op for trips without a track.
+ */
+async function refreshGpsCheck(trip) {
+  if (!trip?._id) return null;
+  const { VehicleTripTrack } = models();
+  const t = await VehicleTripTrack.findOne({ tripId: trip._id })
+    .select({ pointCount: 1, distanceKm: 1 })
+    .lean();
+  if (!t) return null;
+  const policy = await loadTrackPolicy(trip.orgId);
+  trip.gpsCheck = compareWithOdometer(
+    { gpsDistanceKm: Number(t.distanceKm) || 0, pointCount: t.pointCount || 0, odoDistance: odoDistanceOf(trip) },
+    policy,
+  );
+  return trip.gpsCheck;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  loadTrackPolicy,
+  readPoints,
+  cleanPoints,
+  pathDistanceKm,
+  compareWithOdometer,
+  saveTripTrack,
+  refreshGpsCheck,
+};
@@ -0,0 +1,78 @@
+// core-backend/services/vehicleAssignments.js
+const mongoose = require("mongoose");
+
+/**
+ * Driver assignment history. Each change of Vehicle.driverId closes the open
+ * VehicleAssignment row and opens a new one from the effective date. Backdated
+ * changes trim (or drop) rows that started after the new effective date.
+ */
+
+function models() {
+  return {
+    VehicleAssignment: mongoose.models.VehicleAssignment || require("../models/VehicleAssignment"),
+  };
+}
+
+const asOid = (v) => (mongoose.isValidObjectId(String(v || "")) ? new mongoose.Types.ObjectId(String(v)) : null);
+
+/**
+ * Record `driverId` (null = unassigned) as the vehicle's driver from `from`.
+ * Returns the new open row, or null when the vehicle was unassigned.
+ */
+async function recordAssignment({ orgId, vehicleId, driverId, from = new Date(), actor = {}, note = "" }) {
+  const { VehicleAssignment } = models();
+  const vId = asOid(vehicleId);
+  const when = new Date(from);
+  const base = { vehicleId: vId, ...(asOid(orgId) ? { orgId: asOid(orgId) } : {}) };
+
+  // rows starting at/after the effective date are superseded
+  await VehicleAssignment.deleteMany({ ...base, from: { $gte: when } });
+  // whatever was open (or overlapped) at that time ends there
+  await VehicleAssignment.updateMany(
+    { ...base, from: { $lt: when }, $or: [{ to: null }, { to: { $gt: when } }] },
+    { $set: { to: when } },
+  );
+
+  const dId = asOid(driverId);
+  if (!dId) return null;
+  return VehicleAssignment.create({
+    ...base,
+    driverId: dId,
+    from: when,
+    to: null,
+    note: String(note || ""),
+    assignedBy: { _id: asOid(actor._id) || undefined, name: actor.name || "" },
+  });
+}
+
+/** History for a vehicle, newest first, with driver names */
+async function listAssignments({ orgId, vehicleId }) {
+  const { VehicleAssignment } = models();
+  const q = { vehicleId: asOid(vehicleId) };
+  if (asOid(orgId)) q.orgId = asOid(orgId);
+  const rows = await VehicleAssignment.find(q)
+    .sort({ from: -1 })
+    .populate({ path: "driverId", select: "name email" })
+    .lean();
+  return rows.map((r) => ({
+    _id: String(r._id),
+    driverId: r.driverId?._id ? String(r.driverId._id) : r.driverId ? String(r.driverId) : null,
+    driverName: r.driverId?.name || r.driverId?.email || "",
+    from: r.from,
+    to: r.to,
+    note: r.note,
+    assignedBy: r.assignedBy?.name || "",
+  }));
+}
+
+/** Driver assigned to the vehicle at `at` (ObjectId string) or null */
+async function driverAt({ orgId, vehicleId, at = new Date() }) {
+  const { VehicleAssignment } = models();
+  const when = new Date(at);
+  const q = { vehicleId: asOid(vehicleId), from: { $lte: when }, $or: [{ to: null }, { to: { $gt: when } }] };
+  if (asOid(orgId)) q.orgId = asOid(orgId);
+  const row = await VehicleAssignment.findOne(q).sort({ from: -1 }).lean();
+  return row ? String(row.driverId) : null;
+}
+
+module.exports = { recordAssignment, listAssignments, driverAt };
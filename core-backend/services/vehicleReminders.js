@@ -0,0 +1,258 @@
+// core-backend/services/vehicleReminders.js
+const mongoose = require("mongoose");
+
+/**
+ * Vehicle reminder sweep
+ * - Finds active date/odometer reminders that are due (or inside the lead window)
+ * - Resolves the current odometer from the odometer timeline (services/odometerTimeline.js)
+ * - Sends ONE digest per recipient (driver, project manager, org admins)
+ * - Stamps reminder.lastNotifiedAt + lastNotifiedStage ("due-soon" | "overdue") so
+ *   the same notice is never sent twice; a reminder first notified inside the lead
+ *   window gets one more notice once it becomes overdue
+ *
+ * Editing a reminder's due date / due odometer clears both
+ * (see routes/vehicles.js), which re-arms it for the next cycle.
+ */
+
+const LEAD_DAYS = Number(process.env.VEHICLE_REMINDER_LEAD_DAYS || 14);
+const LEAD_KM = Number(process.env.VEHICLE_REMINDER_LEAD_KM || 500);
+const FLEET_ADMIN_ROLES = ["admin", "superadmin"];
+
+function models() {
+  return {
+    Vehicle: mongoose.models.Vehicle || require("../models/Vehicle"),
+    Project: mongoose.models.Project || require("../models/Project"),
+    User: mongoose.models.User || require("../models/User"),
+    Org: mongoose.models.Org || require("../models/Org"),
+  };
+}
+
+const num = (v) => (v == null || v === "" ? undefined : Number(v));
+const fin = (v) => Number.isFinite(num(v));
+
+function fmtDate(d) {
+  try {
+    return new Date(d).toISOString().slice(0, 10);
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Current odometer for a vehicle: the last trusted reading of the odometer timeline
+ * (trips, logbook entries and fuel fills; backwards / implausible readings ignored).
+ * Returns undefined when nothing has been recorded yet.
+ */
+async function getLatestOdometer(vehicleId, { orgId } = {}) {
+  const { getCurrentOdometer } = require("./odometerTimeline");
+  const current = await getCurrentOdometer(vehicleId, { orgId });
+  return current ? current.odo : undefined;
+}
+
+// Already told about this stage? (notices from before stages were tracked count as due-soon)
+function notifiedFor(r, stage) {
+  if (!r.lastNotifiedAt) return false;
+  const last = r.lastNotifiedStage || "due-soon";
+  return last === "overdue" || last === stage;
+}
+
+/**
+ * Which of a vehicle's reminders should go out now?
+ * Returns [{ reminder, stage, title, detail }]
+ */
+function pickDueReminders(reminders = [], { now = new Date(), odometer } = {}) {
+  const horizon = new Date(now.getTime() + LEAD_DAYS * 24 * 60 * 60 * 1000);
+  const out = [];
+
+  for (const r of reminders || []) {
+    if (!r || r.active === false) continue;
+
+    if (r.kind === "date" && r.dueDate) {
+      const due = new Date(r.dueDate);
+      if (Number.isNaN(due.getTime()) || due > horizon) continue;
+      const overdue = due < now;
+      const stage = overdue ? "overdue" : "due-soon";
+      if (notifiedFor(r, stage)) continue;
+      out.push({
+        reminder: r,
+        stage,
+        title: r.notes || "Date reminder",
+        detail: `${overdue ? "overdue since" : "due"} ${fmtDate(due)}`,
+      });
+    }
+
+    if (r.kind === "odometer" && fin(r.dueOdometer) && fin(odometer)) {
+      const dueKm = Number(r.dueOdometer);
+      const remaining = dueKm - Number(odometer);
+      if (remaining > LEAD_KM) continue;
+      const stage = remaining <= 0 ? "overdue" : "due-soon";
+      if (notifiedFor(r, stage)) continue;
+      out.push({
+        reminder: r,
+        stage,
+        title: r.notes || "Odometer reminder",
+        detail:
+          remaining <= 0
+            ? `due at ${dueKm} km – now ${odometer} km`
+            : `due at ${dueKm} km – ${remaining} km to go`,
+      });
+    }
+  }
+
+  return out;
+}
+
+async function runVehicleReminderSweepOnce({ now = new Date() } = {}) {
+  let mailer;
+  try {
+    mailer = require("../lib/mailer");
+  } catch (e) {
+    console.warn("[vehicleReminders] mailer not available:", e?.message || e);
+    return { sent: 0, reminders: 0 };
+  }
+  if (typeof mailer?.sendVehicleReminderDigest !== "function") {
+    return { sent: 0, reminders: 0 };
+  }
+
+  const m = models();
+  const { Vehicle, Project, User, Org } = m;
+
+  const vehicles = await Vehicle.find({
+    status: { $nin: ["retired", "stolen"] },
+    reminders: {
+      $elemMatch: {
+        active: { $ne: false },
+        $or: [{ lastNotifiedAt: { $in: [null] } }, { lastNotifiedStage: { $ne: "overdue" } }],
+      },
+    },
+  })
+    .select({ orgId: 1, reg: 1, make: 1, model: 1, driverId: 1, projectId: 1, reminders: 1 })
+    .lean();
+
+  if (!vehicles.length) return { sent: 0, reminders: 0 };
+
+  // Group candidate vehicles by org so each recipient gets one digest per org
+  const byOrg = new Map();
+  for (const v of vehicles) {
+    const key = String(v.orgId || "");
+    if (!byOrg.has(key)) byOrg.set(key, []);
+    byOrg.get(key).push(v);
+  }
+
+  let sent = 0;
+  let notified = 0;
+
+  for (const [orgKey, list] of byOrg) {
+    try {
+      const org = orgKey ? await Org.findById(orgKey).select({ name: 1 }).lean() : null;
+
+      // vehicle -> due items
+      const dueByVehicle = [];
+      for (const v of list) {
+        const hasOdo = (v.reminders || []).some((r) => r?.kind === "odometer");
+        const odometer = hasOdo ? await getLatestOdometer(v._id, { orgId: v.orgId }) : undefined;
+        const items = pickDueReminders(v.reminders, { now, odometer });
+        if (items.length) dueByVehicle.push({ vehicle: v, items });
+      }
+      if (!dueByVehicle.length) continue;
+
+      // Resolve recipients
+      const projectIds = [
+        ...new Set(dueByVehicle.map((d) => d.vehicle.projectId).filter(Boolean).map(String)),
+      ];
+      const projects = projectIds.length
+        ? await Project.find({ _id: { $in: projectIds } }).select({ manager: 1 }).lean()
+        : [];
+      const managerByProject = new Map(projects.map((p) => [String(p._id), p.manager]));
+
+      const userIds = new Set();
+      for (const d of dueByVehicle) {
+        if (d.vehicle.driverId) userIds.add(String(d.vehicle.driverId));
+        const mgr = managerByProject.get(String(d.vehicle.projectId || ""));
+        if (mgr) userIds.add(String(mgr));
+      }
+
+      const userFilter = { active: { $ne: false }, isDeleted: { $ne: true } };
+      const [people, admins] = await Promise.all([
+        userIds.size
+          ? User.find({ ...userFilter, _id: { $in: [...userIds] } }).select({ name: 1, email: 1 }).lean()
+          : [],
+        orgKey
+          ? User.find({ ...userFilter, orgId: orgKey, role: { $in: FLEET_ADMIN_ROLES } })
+              .select({ name: 1, email: 1 })
+              .lean()
+          : [],
+      ]);
+      const userById = new Map(people.map((u) => [String(u._id), u]));
+
+      // recipient email -> { name, vehicles: Map(vehicleId -> entry) }
+      const digests = new Map();
+      const addTo = (u, d) => {
+        const email = String(u?.email || "").trim().toLowerCase();
+        if (!email) return;
+        if (!digests.has(email)) digests.set(email, { name: u.name, vehicles: new Map() });
+        digests.get(email).vehicles.set(String(d.vehicle._id), d);
+      };
+
+      for (const d of dueByVehicle) {
+        addTo(userById.get(String(d.vehicle.driverId || "")), d);
+        addTo(userById.get(String(managerByProject.get(String(d.vehicle.projectId || "")) || "")), d);
+        admins.forEach((a) => addTo(a, d));
+      }
+
+      const delivered = new Set(); // vehicleId:reminderId
+      const appUrl = process.env.FRONTEND_BASE_URL || "";
+
+      for (const [to, dg] of digests) {
+        const payload = [...dg.vehicles.values()].map((d) => ({
+          reg: d.vehicle.reg,
+          label: [d.vehicle.reg, d.vehicle.make, d.vehicle.model].filter(Boolean).join(" "),
+          items: d.items.map(({ title, detail }) => ({ title, detail })),
+        }));
+        try {
+          await mailer.sendVehicleReminderDigest({
+            to,
+            name: dg.name,
+            orgName: org?.name,
+            orgId: orgKey || undefined,
+            vehicles: payload,
+            appUrl,
+          });
+          sent += 1;
+          for (const d of dg.vehicles.values()) {
+            d.items.forEach((it) => delivered.add(`${d.vehicle._id}:${it.reminder._id}`));
+          }
+        } catch (e) {
+          console.error("[vehicleReminders] send failed:", to, e?.message || e);
+        }
+      }
+
+      // Stamp only what actually went out, so failures retry on the next sweep
+      for (const d of dueByVehicle) {
+        const items = d.items.filter((it) => delivered.has(`${d.vehicle._id}:${it.reminder._id}`));
+        for (const stage of ["due-soon", "overdue"]) {
+          const ids = items.filter((it) => it.stage === stage).map((it) => it.reminder._id);
+          if (!ids.length) continue;
+          await Vehicle.updateOne(
+            { _id: d.vehicle._id },
+            { $set: { "reminders.$[r].lastNotifiedAt": now, "reminders.$[r].lastNotifiedStage": stage } },
+            { arrayFilters: [{ "r._id": { $in: ids } }] },
+          );
+          notified += ids.length;
+        }
+      }
+    } catch (e) {
+      console.error("[vehicleReminders] org sweep error:", orgKey, e);
+    }
+  }
+
+  if (sent > 0)
+    console.log(`[vehicleReminders] Sent ${sent} digest(s) covering ${notified} reminder(s)`);
+  return { sent, reminders: notified };
+}
+
+module.exports = {
+  runVehicleReminderSweepOnce,
+  getLatestOdometer,
+  pickDueReminders,
+};
@@ -0,0 +1,279 @@
+// core-backend/services/workstreams.js
+const mongoose = require("mongoose");
+
+/**
+ * Workstreams: CRUD helpers that keep tasks and milestones in step, plus the
+ * progress roll-up.
+ *
+ *   rollup(workstreams, orgId)        progress per workstream from its tasks + milestones
+ *   createWorkstream(opts)            appended after the project's last workstream
+ *   updateWorkstream(ws, patch)       a rename is copied to Task/TaskMilestone.workstreamName
+ *   removeWorkstream(ws)              soft delete; tasks + milestones are detached
+ *   reorder(projectId, ids, where)    order = position in `ids`
+ *   adoptNames(opts)                  create workstreams from legacy workstreamName strings
+ *
+ * Progress is weighted by planned duration (tasks without dates count one day);
+ * `percent` is the weighted share of completed tasks.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const EDITABLE = ["name", "code", "description", "ownerUserId", "color", "order", "budget", "status"];
+
+function models() {
+  return {
+    Workstream: mongoose.models.Workstream || require("../models/Workstream"),
+    Task: mongoose.models.Task || require("../models/Task"),
+    TaskMilestone: mongoose.models.TaskMilestone || require("../models/TaskMilestone"),
+  };
+}
+
+function asOid(x) {
+  const s = String(x?._id || x || "");
+  return mongoose.Types.ObjectId.isValid(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+const fail = (status, msg) => Object.assign(new Error(msg), { status });
+
+// Task.orgId / TaskMilestone.orgId are Mixed: match both shapes
+function orgMatch(orgId) {
+  const oid = asOid(orgId);
+  return oid ? { orgId: { $in: [oid, String(oid)] } } : {};
+}
+
+const escapeRx = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+async function assertUniqueName(ws) {
+  const { Workstream } = models();
+  const clash = await Workstream.exists({
+    projectId: ws.projectId,
+    isDeleted: { $ne: true },
+    _id: { $ne: ws._id },
+    name: new RegExp(`^${escapeRx(ws.name)}$`, "i"),
+  });
+  if (clash) throw fail(409, `A workstream called "${ws.name}" already exists in this project`);
+}
+
+/* -------------------------------- roll-up -------------------------------- */
+
+function emptyRollup() {
+  return {
+    tasks: 0,
+    completed: 0,
+    inProgress: 0,
+    overdue: 0,
+    milestones: 0,
+    milestonesDone: 0,
+    percent: 0,
+    plannedStart: null,
+    plannedEnd: null,
+    actualStart: null,
+    actualEnd: null,
+  };
+}
+
+/**
+ * -> Map(workstreamId -> rollup). Workstreams must share one project (or pass
+ * several; the task query is by workstreamId).
+ */
+async function rollup(workstreams, orgId) {
+  const { Task, TaskMilestone } = models();
+  const ids = workstreams.map((w) => w._id);
+  const out = new Map(ids.map((id) => [String(id), { ...emptyRollup(), weight: 0, doneWeight: 0, allDone: true }]));
+  if (!ids.length) return out;
+
+  const live = { workstreamId: { $in: ids }, isDeleted: { $ne: true }, ...orgMatch(orgId) };
+  const [tasks, milestones] = await Promise.all([
+    Task.find(live)
+      .select("workstreamId status plannedStartAt plannedEndAt startDate dueAt dueDate actualStartAt actualEndAt")
+      .lean(),
+    TaskMilestone.find(live).select("workstreamId status").lean(),
+  ]);
+
+  const now = Date.now();
+  const min = (a, b) => (!a || (b && b < a) ? b || a : a);
+  const max = (a, b) => (!a || (b && b > a) ? b || a : a);
+
+  for (const t of tasks) {
+    const r = out.get(String(t.workstreamId));
+    if (!r) continue;
+    const start = t.plannedStartAt || t.startDate || null;
+    const end = t.plannedEndAt || t.dueAt || t.dueDate || null;
+    const weight = start && end ? Math.max(DAY, new Date(end) - new Date(start)) : DAY;
+    const done = t.status === "completed";
+
+    r.tasks += 1;
+    r.weight += weight;
+    if (done) {
+      r.completed += 1;
+      r.doneWeight += weight;
+    } else {
+      r.allDone = false;
+      if (["in-progress", "paused", "paused-problem"].includes(t.status)) r.inProgress += 1;
+      if (end && new Date(end).getTime() < now) r.overdue += 1;
+    }
+    r.plannedStart = min(r.plannedStart, start && new Date(start));
+    r.plannedEnd = max(r.plannedEnd, end && new Date(end));
+    r.actualStart = min(r.actualStart, t.actualStartAt && new Date(t.actualStartAt));
+    r.actualEnd = max(r.actualEnd, t.actualEndAt && new Date(t.actualEndAt));
+  }
+  for (const m of milestones) {
+    const r = out.get(String(m.workstreamId));
+    if (!r) continue;
+    r.milestones += 1;
+    if (m.status === "finished") r.milestonesDone += 1;
+  }
+
+  for (const [id, r] of out) {
+    const { weight, doneWeight, allDone, ...rest } = r;
+    out.set(id, {
+      ...rest,
+      percent: weight ? Math.round((doneWeight / weight) * 1000) / 10 : 0,
+      actualEnd: allDone && rest.tasks ? rest.actualEnd : null,
+    });
+  }
+  return out;
+}
+
+/* --------------------------------- CRUD --------------------------------- */
+
+function applyPatch(ws, patch = {}) {
+  for (const k of EDITABLE) {
+    if (!(k in patch)) continue;
+    if (k === "ownerUserId") ws.ownerUserId = patch.ownerUserId ? asOid(patch.ownerUserId) : null;
+    else if (k === "budget") {
+      const b = patch.budget || {};
+      ws.budget = {
+        amount: b.amount === "" || b.amount == null ? undefined : Number(b.amount),
+        currency: String(b.currency || ""),
+      };
+    } else if (k === "order") ws.order = Number(patch.order) || 0;
+    else ws[k] = patch[k];
+  }
+}
+
+/**
+ * opts: { orgId, projectId, actor, ...fields }
+ */
+async function createWorkstream({ orgId, projectId, actor, ...fields }) {
+  const { Workstream } = models();
+  const pid = asOid(projectId);
+  if (!pid) throw fail(400, "projectId is required");
+
+  const ws = new Workstream({
+    orgId: asOid(orgId) || undefined,
+    projectId: pid,
+    createdBy: actor?._id ? { _id: asOid(actor._id), name: actor.name || "" } : undefined,
+  });
+  applyPatch(ws, fields);
+  if (!("order" in fields)) {
+    const last = await Workstream.findOne({ projectId: pid, isDeleted: { $ne: true } })
+      .sort({ order: -1 })
+      .select("order")
+      .lean();
+    ws.order = last ? (last.order || 0) + 1 : 0;
+  }
+  await assertUniqueName(ws);
+  await ws.save();
+  return ws;
+}
+
+/**
+ * -> { workstream, renamed: { tasks, milestones } | null }
+ */
+async function updateWorkstream(ws, patch) {
+  const { Task, TaskMilestone } = models();
+  const oldName = ws.name;
+  applyPatch(ws, patch);
+  if (ws.isModified("name")) await assertUniqueName(ws);
+  await ws.save();
+
+  let renamed = null;
+  if (ws.name !== oldName) {
+    const [t, m] = await Promise.all([
+      Task.updateMany({ workstreamId: ws._id }, { $set: { workstreamName: ws.name } }),
+      TaskMilestone.updateMany({ workstreamId: ws._id }, { $set: { workstreamName: ws.name } }),
+    ]);
+    renamed = { tasks: t.modifiedCount || 0, milestones: m.modifiedCount || 0 };
+  }
+  return { workstream: ws, renamed };
+}
+
+// -> { tasks, milestones } detached
+async function removeWorkstream(ws) {
+  const { Task, TaskMilestone } = models();
+  ws.isDeleted = true;
+  await ws.save();
+  const clear = { $set: { workstreamId: null, workstreamName: "" } };
+  const [t, m] = await Promise.all([
+    Task.updateMany({ workstreamId: ws._id }, clear),
+    TaskMilestone.updateMany({ workstreamId: ws._id }, clear),
+  ]);
+  return { tasks: t.modifiedCount || 0, milestones: m.modifiedCount || 0 };
+}
+
+async function reorder(projectId, ids, where = {}) {
+  const { Workstream } = models();
+  const oids = (Array.isArray(ids) ? ids : []).map(asOid).filter(Boolean);
+  if (!oids.length) throw fail(400, "ids is required");
+  await Workstream.bulkWrite(
+    oids.map((_id, i) => ({
+      updateOne: { filter: { _id, projectId: asOid(projectId), ...where }, update: { $set: { order: i } } },
+    })),
+  );
+}
+
+/**
+ * Create a workstream for every distinct legacy workstreamName in the project that
+ * has no workstreamId yet, and link those tasks + milestones to it.
+ * -> { created, linked: { tasks, milestones } }
+ */
+async function adoptNames({ orgId, projectId, actor }) {
+  const { Workstream, Task, TaskMilestone } = models();
+  const pid = asOid(projectId);
+  if (!pid) throw fail(400, "projectId is required");
+
+  const unlinked = {
+    workstreamId: null,
+    workstreamName: { $nin: [null, ""] },
+    isDeleted: { $ne: true },
+    ...orgMatch(orgId),
+  };
+  const [taskNames, msNames] = await Promise.all([
+    Task.distinct("workstreamName", { projectId: pid, ...unlinked }),
+    TaskMilestone.distinct("workstreamName", { projectId: { $in: [pid, String(pid)] }, ...unlinked }),
+  ]);
+
+  const existing = await Workstream.find({ projectId: pid, isDeleted: { $ne: true } }).lean();
+  const byName = new Map(existing.map((w) => [w.name.toLowerCase(), w]));
+
+  let created = 0;
+  const linked = { tasks: 0, milestones: 0 };
+  const names = [...new Set([...taskNames, ...msNames].map((n) => String(n).trim()).filter(Boolean))];
+  for (const name of names) {
+    let ws = byName.get(name.toLowerCase());
+    if (!ws) {
+      ws = await createWorkstream({ orgId, projectId: pid, actor, name, status: "active" });
+      byName.set(name.toLowerCase(), ws);
+      created += 1;
+    }
+    const rx = new RegExp(`^\\s*${escapeRx(name)}\\s*$`, "i");
+    const set = { $set: { workstreamId: ws._id, workstreamName: ws.name } };
+    const [t, m] = await Promise.all([
+      Task.updateMany({ projectId: pid, ...unlinked, workstreamName: rx }, set),
+      TaskMilestone.updateMany({ projectId: { $in: [pid, String(pid)] }, ...unlinked, workstreamName: rx }, set),
+    ]);
+    linked.tasks += t.modifiedCount || 0;
+    linked.milestones += m.modifiedCount || 0;
+  }
+  return { created, linked };
+}
+
+module.exports = {
+  rollup,
+  emptyRollup,
+  createWorkstream,
+  updateWorkstream,
+  removeWorkstream,
+  reorder,
+  adoptNames,
+};
@@ -25,6 +25,8 @@ import Groups from "./pages/Groups.jsx";
 import Clockings from "./pages/Clockings.jsx";
 import Assets from "./pages/Assets.jsx";
 import AssetDetail from "./pages/AssetDetail.jsx";
+import Maintenance from "./pages/Maintenance.jsx";
+import AssetRegister from "./pages/AssetRegister.jsx";
 import Vehicles from "./pages/Vehicles.jsx";
 import VehicleDetail from "./pages/VehicleDetail.jsx";
 import Invoices from "./pages/Invoices.jsx";
@@ -37,6 +39,9 @@ import Tasks from "./pages/Tasks.jsx";
 import TaskDetail from "./pages/TaskDetail.jsx";
 import AdminGroups from "./pages/AdminGroups.jsx";
 import Trips from "./pages/Trips";
+import TravelLogbook from "./pages/TravelLogbook.jsx";
+import FleetFuel from "./pages/FleetFuel.jsx";
+import DriverLicences from "./pages/DriverLicences.jsx";
 import OrgBilling from "./pages/OrgBilling";
 import Timesheet from "./pages/Timesheet";
 import ForgotPassword from "./pages/ForgotPassword";
@@ -49,6 +54,9 @@ import Inspections from "./pages/Inspections.jsx";
 import InspectionRun from "./pages/InspectionRun.jsx";
 import InspectionSubmissionView from "./pages/InspectionSubmissionView.jsx";
 import AdminInspectionSubmissions from "./pages/AdminInspectionSubmissions.jsx";
+import AdminCorrectiveActions from "./pages/AdminCorrectiveActions.jsx";
+import AdminInspectionSchedules from "./pages/AdminInspectionSchedules.jsx";
+import AdminClockingExceptions from "./pages/AdminClockingExceptions.jsx";
 
 // Global cockpit
 import SuperAdminDashboard from "./pages/SuperAdminDashboard.jsx";
@@ -286,6 +294,17 @@ export default function App() {
             }
           />
 
+          <Route
+            path="/admin/clockings/exceptions"
+            element={
+              <ProtectedRoute roles={["group-leader", "project-manager", "manager", "admin", "superadmin"]}>
+                <FeatureGate feature="clockings">
+                  <AdminClockingExceptions />
+                </FeatureGate>
+              </ProtectedRoute>
+            }
+          />
+
           <Route 
             path="/timesheet"
             element={
@@ -320,6 +339,22 @@ export default function App() {
               </FeatureGate>
             }
           />
+          <Route
+            path="/assets/register"
+            element={
+              <FeatureGate feature="assets">
+                <AssetRegister />
+              </FeatureGate>
+            }
+          />
+          <Route
+            path="/maintenance"
+            element={
+              <FeatureGate feature="assets">
+                <Maintenance />
+              </FeatureGate>
+            }
+          />
 
           {/* Vehicles */}
           <Route
@@ -346,6 +381,30 @@ export default function App() {
               </FeatureGate>
             }
           />
+          <Route
+            path="/travel-logbook"
+            element={
+              <FeatureGate feature="vehicles">
+                <TravelLogbook />
+              </FeatureGate>
+            }
+          />
+          <Route
+            path="/fleet-fuel"
+            element={
+              <FeatureGate feature="vehicles">
+                <FleetFuel />
+              </FeatureGate>
+            }
+          />
+          <Route
+            path="/driver-licences"
+            element={
+              <FeatureGate feature="vehicles">
+                <DriverLicences />
+              </FeatureGate>
+            }
+          />
 
           {/* Invoices */}
           <Route
@@ -415,6 +474,22 @@ export default function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin/inspections/corrective-actions"
+            element={
+              <ProtectedRoute roles={["project-manager", "manager", "admin", "superadmin"]}>
+                <AdminCorrectiveActions />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/inspections/schedules"
+            element={
+              <ProtectedRoute roles={["project-manager", "manager", "admin", "superadmin"]}>
+                <AdminInspectionSchedules />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Vault */}
           <Route
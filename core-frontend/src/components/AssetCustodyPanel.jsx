@@ -0,0 +1,355 @@
+// src/components/AssetCustodyPanel.jsx
+import { useEffect, useState } from "react";
+import { api, fileUrl } from "../lib/api";
+import { checkInAsset, checkOutAsset, getAssetCustody } from "../lib/assets";
+
+const CONDITIONS = ["good", "fair", "damaged", "missing-parts", "unusable"];
+const HOLDER_TYPES = [
+  { id: "user", label: "Person" },
+  { id: "project", label: "Project" },
+  { id: "task", label: "Task" },
+];
+
+const when = (d) => (d ? new Date(d).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "—");
+const errText = (e) => e?.response?.data?.error || String(e);
+
+/**
+ * Who holds the asset, check-out / check-in forms and the searchable custody
+ * ledger. Check-outs and check-ins return the updated asset, which is handed to
+ * `onAssetChange` so the page stays in sync.
+ */
+export default function AssetCustodyPanel({ asset, projects = [], ambientPos, scanned, onAssetChange }) {
+  const assetId = asset?._id;
+  const custody = asset?.custody || { status: "available" };
+  const isOut = custody.status === "checked-out";
+  const overdue = isOut && custody.dueAt && new Date(custody.dueAt) < new Date();
+
+  const [users, setUsers] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [out, setOut] = useState({ holderType: "user", holderUserId: "", projectId: "", taskId: "", dueAt: "", note: "" });
+  const [back, setBack] = useState({ condition: "good", note: "" });
+  const [photo, setPhoto] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const [rows, setRows] = useState([]);
+  const [q, setQ] = useState("");
+  const [action, setAction] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    api
+      .get("/users", { params: { limit: 1000 } })
+      .then(({ data }) => alive && setUsers(Array.isArray(data) ? data : []))
+      .catch(() => alive && setUsers([]));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // tasks for the chosen project (task holder)
+  useEffect(() => {
+    let alive = true;
+    if (out.holderType !== "task" || !out.projectId) {
+      setTasks([]);
+      return undefined;
+    }
+    api
+      .get("/tasks", { params: { projectId: out.projectId, limit: 1000 } })
+      .then(({ data }) => alive && setTasks(Array.isArray(data) ? data : []))
+      .catch(() => alive && setTasks([]));
+    return () => {
+      alive = false;
+    };
+  }, [out.holderType, out.projectId]);
+
+  useEffect(() => {
+    if (!assetId) return undefined;
+    let alive = true;
+    setLoading(true);
+    const t = setTimeout(() => {
+      getAssetCustody(assetId, { q: q.trim() || undefined, action: action || undefined })
+        .then((d) => alive && setRows(d))
+        .catch((e) => alive && setErr(errText(e)))
+        .finally(() => alive && setLoading(false));
+    }, 250);
+    return () => {
+      alive = false;
+      clearTimeout(t);
+    };
+  }, [assetId, q, action, reloadKey]);
+
+  function geoFields() {
+    const g = {};
+    if (ambientPos?.lat != null && ambientPos?.lng != null) {
+      g.lat = ambientPos.lat;
+      g.lng = ambientPos.lng;
+      if (ambientPos.acc != null) g.acc = ambientPos.acc;
+    }
+    if (scanned) g.scanned = true;
+    return g;
+  }
+
+  async function submit(e, run) {
+    e.preventDefault();
+    setErr("");
+    setBusy(true);
+    try {
+      const data = await run();
+      onAssetChange?.(data.asset);
+      setPhoto(null);
+      setReloadKey((k) => k + 1);
+      return true;
+    } catch (e2) {
+      setErr(errText(e2));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const checkOut = (e) =>
+    submit(e, () =>
+      checkOutAsset(
+        assetId,
+        {
+          holderType: out.holderType,
+          holderUserId: out.holderUserId || undefined,
+          projectId: out.holderType === "user" ? undefined : out.projectId || undefined,
+          taskId: out.holderType === "task" ? out.taskId || undefined : undefined,
+          dueAt: out.dueAt ? new Date(out.dueAt).toISOString() : undefined,
+          note: out.note,
+          ...geoFields(),
+        },
+        photo,
+      ),
+    ).then((ok) => ok && setOut((f) => ({ ...f, dueAt: "", note: "" })));
+
+  const checkIn = (e) =>
+    submit(e, () => checkInAsset(assetId, { ...back, ...geoFields() }, photo)).then(
+      (ok) => ok && setBack({ condition: "good", note: "" }),
+    );
+
+  const setO = (k) => (e) => setOut((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <div className="space-y-3">
+      {err && <div className="text-red-600 text-sm">{err}</div>}
+
+      <div className="text-sm">
+        {isOut ? (
+          <>
+            <span className={`px-2 py-0.5 rounded ${overdue ? "bg-red-100 text-red-800" : "bg-amber-100 text-amber-800"}`}>
+              {overdue ? "Overdue" : "Checked out"}
+            </span>{" "}
+            to <b>{custody.holderLabel || "—"}</b>
+            {custody.holderType !== "user" ? ` (${custody.holderType})` : ""} since {when(custody.checkedOutAt)}
+            {custody.dueAt ? ` · due back ${when(custody.dueAt)}` : " · no return date"}
+          </>
+        ) : (
+          <span className="px-2 py-0.5 rounded bg-green-100 text-green-800">Available</span>
+        )}
+      </div>
+
+      {isOut ? (
+        <form onSubmit={checkIn} className="grid md:grid-cols-4 gap-3 items-end">
+          <label className="text-sm">
+            Condition
+            <select
+              className="mt-1 border p-2 w-full rounded"
+              value={back.condition}
+              onChange={(e) => setBack((f) => ({ ...f, condition: e.target.value }))}
+            >
+              {CONDITIONS.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm md:col-span-2">
+            Condition notes
+            <input
+              className="mt-1 border p-2 w-full rounded"
+              value={back.note}
+              onChange={(e) => setBack((f) => ({ ...f, note: e.target.value }))}
+              placeholder="e.g. Blade chipped, case missing"
+            />
+          </label>
+          <label className="text-sm">
+            Photo
+            <input
+              className="mt-1 border p-2 w-full rounded"
+              type="file"
+              accept="image/*"
+              onChange={(e) => setPhoto(e.target.files?.[0] || null)}
+            />
+          </label>
+          <div className="md:col-span-4">
+            <button className="px-3 py-2 bg-black text-white rounded" disabled={busy}>
+              {busy ? "Saving…" : "Check in"}
+            </button>
+            {(back.condition === "damaged" || back.condition === "unusable") && asset.status === "active" && (
+              <span className="ml-2 text-xs text-gray-600">The asset will be moved to maintenance.</span>
+            )}
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={checkOut} className="grid md:grid-cols-4 gap-3 items-end">
+          <label className="text-sm">
+            Check out to
+            <select className="mt-1 border p-2 w-full rounded" value={out.holderType} onChange={setO("holderType")}>
+              {HOLDER_TYPES.map((h) => (
+                <option key={h.id} value={h.id}>
+                  {h.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {out.holderType !== "user" && (
+            <label className="text-sm">
+              Project
+              <select className="mt-1 border p-2 w-full rounded" value={out.projectId} onChange={setO("projectId")}>
+                <option value="">— choose —</option>
+                {projects.map((p) => (
+                  <option key={p._id} value={p._id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {out.holderType === "task" && (
+            <label className="text-sm">
+              Task
+              <select className="mt-1 border p-2 w-full rounded" value={out.taskId} onChange={setO("taskId")}>
+                <option value="">— choose —</option>
+                {tasks.map((t) => (
+                  <option key={t._id} value={t._id}>
+                    {t.title}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="text-sm">
+            {out.holderType === "user" ? "Person" : "Signed for by (optional)"}
+            <select className="mt-1 border p-2 w-full rounded" value={out.holderUserId} onChange={setO("holderUserId")}>
+              <option value="">— choose —</option>
+              {users.map((u) => (
+                <option key={u._id} value={u._id}>
+                  {u.name || u.email || u.username}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            Due back
+            <input
+              className="mt-1 border p-2 w-full rounded"
+              type="datetime-local"
+              value={out.dueAt}
+              onChange={setO("dueAt")}
+            />
+          </label>
+          <label className="text-sm md:col-span-2">
+            Note
+            <input className="mt-1 border p-2 w-full rounded" value={out.note} onChange={setO("note")} />
+          </label>
+          <label className="text-sm">
+            Photo
+            <input
+              className="mt-1 border p-2 w-full rounded"
+              type="file"
+              accept="image/*"
+              onChange={(e) => setPhoto(e.target.files?.[0] || null)}
+            />
+          </label>
+          <div className="md:col-span-4">
+            <button className="px-3 py-2 bg-black text-white rounded" disabled={busy}>
+              {busy ? "Saving…" : "Check out"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 pt-2 border-t">
+        <div className="font-medium text-sm mr-auto">Custody ledger</div>
+        <input
+          className="border p-2 text-sm rounded"
+          placeholder="Search holder, note, condition…"
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+        />
+        <select className="border p-2 text-sm rounded" value={action} onChange={(e) => setAction(e.target.value)}>
+          <option value="">All movements</option>
+          <option value="check-out">Check-outs</option>
+          <option value="check-in">Check-ins</option>
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              {["When", "Movement", "Holder", "Due / condition", "Note", "By", "Photo"].map((h) => (
+                <th key={h} className="p-2">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length ? (
+              rows.map((r) => (
+                <tr key={r._id} className="border-b align-top">
+                  <td className="p-2 whitespace-nowrap">{when(r.at)}</td>
+                  <td className="p-2 whitespace-nowrap">
+                    {r.action === "check-out" ? "Checked out" : "Checked in"}
+                    {r.scanned && (
+                      <span className="ml-1 px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-800 text-xs">Scanned</span>
+                    )}
+                    {r.sourceOfflineEventId && <span className="ml-1 text-xs text-gray-500">(offline)</span>}
+                  </td>
+                  <td className="p-2">
+                    {r.holderLabel || r.holderUserName || "—"}
+                    {r.holderType && r.holderType !== "user" ? ` (${r.holderType})` : ""}
+                  </td>
+                  <td className="p-2 whitespace-nowrap">
+                    {r.action === "check-out" ? (
+                      <>
+                        {r.dueAt ? when(r.dueAt) : "—"}
+                        {r.overdue && <span className="ml-1 px-1.5 py-0.5 rounded bg-red-100 text-red-800 text-xs">Overdue</span>}
+                      </>
+                    ) : (
+                      r.condition || "—"
+                    )}
+                  </td>
+                  <td className="p-2">{r.note || ""}</td>
+                  <td className="p-2">{r.byName || "—"}</td>
+                  <td className="p-2">
+                    {r.photo?.url ? (
+                      <a className="underline" href={fileUrl(r.photo.url)} target="_blank" rel="noopener noreferrer">
+                        View
+                      </a>
+                    ) : (
+                      ""
+                    )}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td className="p-2 text-gray-600" colSpan={7}>
+                  {loading ? "Loading…" : q || action ? "No matching movements." : "No check-outs yet."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,346 @@
+// src/components/AssetFinancePanel.jsx
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { disposeAsset, getAssetDepreciation, reverseAssetDisposal, updateAssetFinance } from "../lib/assets";
+import { listVendors } from "../lib/purchases";
+
+const errText = (e) => e?.response?.data?.error || String(e);
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+const dateInput = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+const money = (n) => (Number(n) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const today = () => new Date().toISOString().slice(0, 10);
+
+const DISPOSAL_METHODS = ["sale", "scrap", "trade-in", "write-off", "donation", "other"];
+
+function formFrom(f = {}) {
+  return {
+    purchaseCost: f.purchaseCost ?? "",
+    acquiredAt: dateInput(f.acquiredAt),
+    vendorId: f.vendorId || "",
+    vendorName: f.vendorName || "",
+    invoiceRef: f.invoiceRef || "",
+    usefulLifeMonths: f.usefulLifeMonths ?? "",
+    residualValue: f.residualValue ?? "",
+    method: f.method || "straight-line",
+    ratePct: f.ratePct ?? "",
+  };
+}
+
+/**
+ * Purchase details, depreciation to date and disposal for one asset. Managers
+ * can edit; everyone sees the book value. Saves return the updated asset, which
+ * is handed to `onAssetChange`.
+ */
+export default function AssetFinancePanel({ asset, canManage = false, onAssetChange }) {
+  const assetId = asset?._id;
+  const finance = asset?.finance;
+  const disposal = finance?.disposal;
+
+  const [dep, setDep] = useState(null);
+  const [vendors, setVendors] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(formFrom(finance));
+  const [disposing, setDisposing] = useState(false);
+  const [disp, setDisp] = useState({ disposedAt: today(), method: "sale", proceeds: "", buyer: "", reference: "", note: "" });
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!assetId) return undefined;
+    let alive = true;
+    getAssetDepreciation(assetId)
+      .then((d) => alive && setDep(d))
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [assetId, finance]);
+
+  useEffect(() => {
+    if (!editing || vendors.length) return;
+    listVendors()
+      .then((v) => setVendors(Array.isArray(v) ? v : []))
+      .catch(() => {});
+  }, [editing, vendors.length]);
+
+  async function run(fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      const next = await fn();
+      onAssetChange?.(next);
+      return true;
+    } catch (e) {
+      setErr(errText(e));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function startEdit() {
+    setForm(formFrom(finance));
+    setEditing(true);
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    const ok = await run(() =>
+      updateAssetFinance(assetId, {
+        ...form,
+        vendorId: form.vendorId || null,
+        acquiredAt: form.acquiredAt || null,
+        ratePct: form.method === "reducing-balance" ? form.ratePct : "",
+      }),
+    );
+    if (ok) setEditing(false);
+  }
+
+  async function recordDisposal(e) {
+    e.preventDefault();
+    const ok = await run(() => disposeAsset(assetId, { ...disp, proceeds: disp.proceeds === "" ? 0 : Number(disp.proceeds) }));
+    if (ok) setDisposing(false);
+  }
+
+  const reverse = () => {
+    if (!window.confirm("Reverse this disposal? Depreciation resumes and the asset returns to its previous status.")) return;
+    run(() => reverseAssetDisposal(assetId));
+  };
+
+  const v = dep?.valuation;
+  const schedule = dep?.schedule || [];
+  const set = (k) => (e) => setForm({ ...form, [k]: e.target.value });
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+
+      {!editing && (
+        <div className="grid md:grid-cols-4 gap-3">
+          <div>
+            <div className="text-xs text-gray-500">Purchase cost</div>
+            <div className="font-semibold">{finance?.purchaseCost != null ? money(finance.purchaseCost) : "—"}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Acquired</div>
+            <div>{showDate(finance?.acquiredAt)}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Supplier</div>
+            <div>
+              {finance?.vendorName || "—"}
+              {finance?.invoiceRef ? ` · ${finance.invoiceRef}` : ""}
+            </div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Method</div>
+            <div>
+              {finance?.method || "—"}
+              {finance?.usefulLifeMonths ? ` · ${finance.usefulLifeMonths} months` : ""}
+              {v?.ratePct ? ` · ${v.ratePct}% p.a.` : ""}
+            </div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Residual value</div>
+            <div>{finance?.residualValue != null ? money(finance.residualValue) : "—"}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Accumulated depreciation</div>
+            <div>{v?.accumulated != null ? money(v.accumulated) : "—"}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Book value today</div>
+            <div className="font-semibold">{v?.bookValue != null ? money(v.bookValue) : "—"}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Status</div>
+            <div>
+              {v?.reason || v?.status || "—"}
+              {v?.remainingMonths ? ` · ${v.remainingMonths} months left` : ""}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <form onSubmit={save} className="grid md:grid-cols-4 gap-3">
+          <label>
+            Purchase cost
+            <input className="block border p-1 rounded w-full" type="number" min={0} step="any" value={form.purchaseCost} onChange={set("purchaseCost")} />
+          </label>
+          <label>
+            Acquired
+            <input className="block border p-1 rounded w-full" type="date" value={form.acquiredAt} onChange={set("acquiredAt")} />
+          </label>
+          <label>
+            Supplier
+            <select className="block border p-1 rounded w-full" value={form.vendorId} onChange={set("vendorId")}>
+              <option value="">— other / none —</option>
+              {vendors.map((x) => (
+                <option key={x._id} value={x._id}>
+                  {x.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          {!form.vendorId ? (
+            <label>
+              Supplier name
+              <input className="block border p-1 rounded w-full" value={form.vendorName} onChange={set("vendorName")} />
+            </label>
+          ) : (
+            <div />
+          )}
+          <label>
+            Invoice ref
+            <input className="block border p-1 rounded w-full" value={form.invoiceRef} onChange={set("invoiceRef")} />
+          </label>
+          <label>
+            Useful life (months)
+            <input className="block border p-1 rounded w-full" type="number" min={1} value={form.usefulLifeMonths} onChange={set("usefulLifeMonths")} />
+          </label>
+          <label>
+            Residual value
+            <input className="block border p-1 rounded w-full" type="number" min={0} step="any" value={form.residualValue} onChange={set("residualValue")} />
+          </label>
+          <label>
+            Method
+            <select className="block border p-1 rounded w-full" value={form.method} onChange={set("method")}>
+              <option value="straight-line">Straight-line</option>
+              <option value="reducing-balance">Reducing balance</option>
+            </select>
+          </label>
+          {form.method === "reducing-balance" && (
+            <label>
+              Rate % p.a.
+              <input
+                className="block border p-1 rounded w-full"
+                type="number"
+                min={0}
+                max={100}
+                step="any"
+                placeholder="double straight-line"
+                value={form.ratePct}
+                onChange={set("ratePct")}
+              />
+            </label>
+          )}
+          <div className="md:col-span-4 flex gap-2">
+            <button className="btn btn-primary" disabled={busy}>
+              Save
+            </button>
+            <button type="button" className="btn" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {disposal?.disposedAt && (
+        <div className="border rounded p-2 bg-gray-50">
+          Disposed {showDate(disposal.disposedAt)} ({disposal.method}) for {money(disposal.proceeds)}
+          {disposal.buyer ? ` to ${disposal.buyer}` : ""}
+          {v?.disposal ? ` · book value ${money(v.disposal.bookValue)} · ${v.disposal.gainLoss >= 0 ? "gain" : "loss"} ${money(Math.abs(v.disposal.gainLoss))}` : ""}
+          {disposal.note ? <div className="text-gray-600">{disposal.note}</div> : null}
+        </div>
+      )}
+
+      {disposing && (
+        <form onSubmit={recordDisposal} className="flex flex-wrap gap-2 items-end border-t pt-3">
+          <label>
+            Disposed on
+            <input className="block border p-1 rounded" type="date" value={disp.disposedAt} onChange={(e) => setDisp({ ...disp, disposedAt: e.target.value })} />
+          </label>
+          <label>
+            How
+            <select className="block border p-1 rounded" value={disp.method} onChange={(e) => setDisp({ ...disp, method: e.target.value })}>
+              {DISPOSAL_METHODS.map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Proceeds
+            <input className="block border p-1 rounded w-28" type="number" min={0} step="any" value={disp.proceeds} onChange={(e) => setDisp({ ...disp, proceeds: e.target.value })} />
+          </label>
+          <label>
+            Buyer
+            <input className="block border p-1 rounded" value={disp.buyer} onChange={(e) => setDisp({ ...disp, buyer: e.target.value })} />
+          </label>
+          <label>
+            Reference
+            <input className="block border p-1 rounded w-28" value={disp.reference} onChange={(e) => setDisp({ ...disp, reference: e.target.value })} />
+          </label>
+          <label className="flex-1 min-w-[12rem]">
+            Note
+            <input className="block border p-1 rounded w-full" value={disp.note} onChange={(e) => setDisp({ ...disp, note: e.target.value })} />
+          </label>
+          <button className="btn btn-primary" disabled={busy}>
+            Record disposal
+          </button>
+          <button type="button" className="btn" onClick={() => setDisposing(false)}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {canManage && !editing && (
+          <button type="button" className="btn btn-sm" onClick={startEdit}>
+            Edit finance details
+          </button>
+        )}
+        {canManage && !disposal?.disposedAt && !disposing && v && v.status !== "not-set-up" && (
+          <button type="button" className="btn btn-sm" onClick={() => setDisposing(true)}>
+            Record disposal
+          </button>
+        )}
+        {canManage && disposal?.disposedAt && (
+          <button type="button" className="btn btn-sm" disabled={busy} onClick={reverse}>
+            Reverse disposal
+          </button>
+        )}
+        {schedule.length > 0 && (
+          <button type="button" className="btn btn-sm" onClick={() => setShowSchedule((s) => !s)}>
+            {showSchedule ? "Hide" : "Show"} depreciation schedule
+          </button>
+        )}
+        {canManage && (
+          <Link className="btn btn-sm" to="/assets/register">
+            Asset register
+          </Link>
+        )}
+      </div>
+
+      {showSchedule && (
+        <div className="max-h-80 overflow-auto border rounded">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left border-b">
+                {["Month", "Opening", "Depreciation", "Closing", "Accumulated"].map((h) => (
+                  <th key={h} className="p-1">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.map((r) => (
+                <tr key={r.month} className="border-b">
+                  <td className="p-1">{r.month}</td>
+                  <td className="p-1">{money(r.opening)}</td>
+                  <td className="p-1">{money(r.depreciation)}</td>
+                  <td className="p-1">{money(r.closing)}</td>
+                  <td className="p-1">{money(r.accumulated)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+// src/components/AssetMaintenancePanel.jsx
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { listMaintenanceDue, listWorkOrders, recordAssetMeter } from "../lib/maintenance";
+
+const errText = (e) => e?.response?.data?.error || String(e);
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+const DUE_STYLES = {
+  overdue: "bg-red-100 text-red-800",
+  "due-soon": "bg-amber-100 text-amber-800",
+  "no-reading": "bg-gray-100 text-gray-700",
+  ok: "bg-green-100 text-green-800",
+};
+
+/**
+ * Usage meters, where the asset stands against each maintenance plan, and its
+ * open work orders. Recording a reading returns the updated asset, which is
+ * handed to `onAssetChange`.
+ */
+export default function AssetMaintenancePanel({ asset, onAssetChange }) {
+  const assetId = asset?._id;
+  const [due, setDue] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [reading, setReading] = useState({ key: "hours", value: "", unit: "", replaced: false });
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!assetId) return undefined;
+    let alive = true;
+    Promise.all([
+      listMaintenanceDue({ assetId }),
+      listWorkOrders({ assetId, status: "open,in-progress" }),
+    ])
+      .then(([d, w]) => {
+        if (!alive) return;
+        setDue(d);
+        setOrders(w);
+      })
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [assetId, reloadKey]);
+
+  async function saveReading(e) {
+    e.preventDefault();
+    setErr("");
+    setBusy(true);
+    try {
+      const next = await recordAssetMeter(assetId, {
+        key: reading.key,
+        value: Number(reading.value),
+        unit: reading.unit || undefined,
+        replaced: reading.replaced,
+      });
+      onAssetChange?.(next);
+      setReading((r) => ({ ...r, value: "", replaced: false }));
+      setReloadKey((k) => k + 1);
+    } catch (e2) {
+      setErr(errText(e2));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const meters = asset?.meters || [];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+
+      <div className="flex flex-wrap gap-3">
+        {meters.length ? (
+          meters.map((m) => (
+            <div key={m.key} className="border rounded px-3 py-2">
+              <div className="text-xs text-gray-500">{m.key}</div>
+              <div className="font-semibold">
+                {m.value}
+                {m.unit ? ` ${m.unit}` : ""}
+              </div>
+              <div className="text-xs text-gray-500">{showDate(m.readAt)}</div>
+            </div>
+          ))
+        ) : (
+          <div className="text-gray-500">No meter readings yet.</div>
+        )}
+      </div>
+
+      <form onSubmit={saveReading} className="flex flex-wrap gap-2 items-end">
+        <label>
+          Meter
+          <input
+            className="block border p-1 rounded w-28"
+            list="asset-meter-keys"
+            value={reading.key}
+            onChange={(e) => setReading({ ...reading, key: e.target.value })}
+          />
+          <datalist id="asset-meter-keys">
+            {["hours", "km", "cycles", ...meters.map((m) => m.key)].map((k, i) => (
+              <option key={`${k}-${i}`} value={k} />
+            ))}
+          </datalist>
+        </label>
+        <label>
+          Reading
+          <input
+            className="block border p-1 rounded w-28"
+            type="number"
+            min={0}
+            step="any"
+            value={reading.value}
+            onChange={(e) => setReading({ ...reading, value: e.target.value })}
+          />
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={reading.replaced}
+            onChange={(e) => setReading({ ...reading, replaced: e.target.checked })}
+          />
+          Meter replaced / reset
+        </label>
+        <button className="px-3 py-1 border rounded" disabled={busy || reading.value === ""}>
+          Record reading
+        </button>
+      </form>
+
+      <div>
+        <div className="font-medium mb-1">Maintenance plans</div>
+        {due.length ? (
+          <table className="w-full">
+            <thead>
+              <tr className="text-left border-b">
+                {["Plan", "Last service", "Next due", "Status"].map((h) => (
+                  <th key={h} className="p-1">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {due.map((r) => (
+                <tr key={r.planId} className="border-b">
+                  <td className="p-1">{r.planName}</td>
+                  <td className="p-1">{r.lastDoneAt ? showDate(r.lastDoneAt) : "never"}</td>
+                  <td className="p-1">
+                    {r.trigger === "usage" ? `${r.nextDueUsage} ${r.meterKey}` : showDate(r.nextDueAt)}
+                  </td>
+                  <td className="p-1">
+                    <span className={"px-2 py-0.5 rounded text-xs " + (DUE_STYLES[r.status] || "")}>{r.status}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-gray-500">
+            No plan covers this asset.{" "}
+            <Link className="underline" to="/maintenance?tab=plans">
+              Maintenance plans
+            </Link>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="font-medium mb-1">Open work orders</div>
+        {orders.length ? (
+          <ul className="space-y-1">
+            {orders.map((w) => (
+              <li key={w._id}>
+                <Link className="underline" to={`/maintenance?wo=${w._id}`}>
+                  {w.title}
+                </Link>{" "}
+                <span className={`text-xs ${w.overdue ? "text-red-700" : "text-gray-500"}`}>
+                  {w.status}
+                  {w.dueAt ? ` · due ${showDate(w.dueAt)}` : ""}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-gray-500">None.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 // src/components/GanttPane.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { api } from "../lib/api";
+import { api, currentUserHasRole } from "../lib/api";
+import { applyProjectSchedule, getBaseline, getProjectSchedule, listBaselines } from "../lib/schedule";
+import { listWorkstreams } from "../lib/workstreams";
 
 /* ───────────────────────────────── optional open-detail bridge ───────────────────────────────── */
 function openDetail(kind, id) {
@@ -174,6 +176,83 @@ function withinRagProject(p, rag) {
   return true;
 }
 
+/* ─────────────────────────────── critical path highlight (embedded mode) ─────────────────────────────── */
+const CPM_COLORS = { critical: "#b91c1c", near: "#ea580c" };
+const cpmKeyOf = (type, id) => `${type === "task" ? "task" : "milestone"}:${id}`;
+
+function cpmOutline(c) {
+  if (!c) return {};
+  if (c.critical) return { outline: `2px solid ${CPM_COLORS.critical}`, outlineOffset: 1 };
+  if (c.nearCritical) return { outline: `2px dashed ${CPM_COLORS.near}`, outlineOffset: 1 };
+  return {};
+}
+
+function cpmTitle(c) {
+  if (!c || !c.scheduled) return "";
+  const parts = [];
+  if (c.critical) parts.push("critical");
+  else if (c.totalFloatDays != null) parts.push(`float ${c.totalFloatDays}d${c.nearCritical ? " (near-critical)" : ""}`);
+  if (c.moved) parts.push(`pushed to ${fmt(c.proposed.start)} → ${fmt(c.proposed.finish)}`);
+  return parts.length ? ` • ${parts.join(" • ")}` : "";
+}
+
+const BASELINE_COLOR = "#6b7280";
+
+function baselineTitle(b) {
+  if (!b) return "";
+  const slip = b.slipDays ? ` (${b.slipDays > 0 ? "+" : ""}${b.slipDays}d)` : "";
+  return ` • baseline ${fmt(b.plannedStart)} → ${fmt(b.plannedFinish)}${slip}`;
+}
+
+/* ─────────────────────────────── workstream swimlanes ─────────────────────────────── */
+const NO_LANE_COLOR = "#9ca3af";
+
+// Group a project's tasks into lanes: its workstreams in order, then lane names typed on
+// tasks without a workstream, then "No workstream". Empty real workstreams still show.
+function groupIntoLanes(tasks, workstreams) {
+  const lanes = (workstreams || []).map((w) => ({
+    key: String(w._id),
+    label: w.name,
+    color: w.color || NO_LANE_COLOR,
+    ws: w,
+    tasks: [],
+  }));
+  const byId = new Map(lanes.map((l) => [l.key, l]));
+  const byName = new Map(lanes.map((l) => [String(l.label).trim().toLowerCase(), l]));
+  const loose = new Map();
+  const none = { key: "none", label: "No workstream", color: NO_LANE_COLOR, ws: null, tasks: [] };
+
+  for (const t of tasks) {
+    const wid = String(t.workstreamId || "");
+    const wname = String(t.workstreamName || "").trim();
+    let lane = (wid && byId.get(wid)) || (wname && byName.get(wname.toLowerCase())) || null;
+    if (!lane && wname) {
+      const k = `name:${wname.toLowerCase()}`;
+      if (!loose.has(k)) loose.set(k, { key: k, label: wname, color: NO_LANE_COLOR, ws: null, tasks: [] });
+      lane = loose.get(k);
+    }
+    (lane || none).tasks.push(t);
+  }
+
+  const ordered = [
+    ...lanes,
+    ...[...loose.values()].sort((a, b) => a.label.localeCompare(b.label)),
+    ...(none.tasks.length ? [none] : []),
+  ];
+  for (const l of ordered) {
+    const starts = l.tasks.map((t) => floorLocal(t.startAt)).filter(Boolean);
+    const ends = l.tasks.map((t) => floorLocal(t.dueAt || t.startAt)).filter(Boolean);
+    l.start = starts.length ? new Date(Math.min(...starts)) : floorLocal(l.ws?.progress?.plannedStart);
+    l.end = ends.length ? new Date(Math.max(...ends)) : floorLocal(l.ws?.progress?.plannedEnd);
+    l.percent = l.ws?.progress
+      ? l.ws.progress.percent
+      : l.tasks.length
+      ? Math.round((l.tasks.filter((t) => isClosedLike(t.status)).length / l.tasks.length) * 100)
+      : 0;
+  }
+  return ordered;
+}
+
 /* ───────────────────────────────────────── layout constants ───────────────────────────────────────── */
 const CELL_W = 26;
 const ROW_H = 24;
@@ -286,19 +365,37 @@ export default function GanttPane({ projectId = null, embedded = false }) {
 
   const rag = useDashFilters ? dashFilters.rag : "";
   const dr = useDashFilters ? dashFilters.dr : {};
-  const projectIds = useDashFilters ? dashFilters.projectIds : [];
-  const groups = useDashFilters ? dashFilters.groups : [];
+  // keyed on the ids: the filter slice hands back fresh arrays every render
+  const projectKey = useDashFilters ? dashFilters.projectIds.join(",") : "";
+  const groupKey = useDashFilters ? dashFilters.groups.join(",") : "";
+  const projectIds = useMemo(() => (projectKey ? projectKey.split(",") : []), [projectKey]);
+  const groups = useMemo(() => (groupKey ? groupKey.split(",") : []), [groupKey]);
 
   const [projects, setProjects] = useState([]);
   const [tasksByProject, setTasksByProject] = useState(new Map());
   const [milesByTask, setMilesByTask] = useState(new Map());
 
   const [projectMilestones, setProjectMilestones] = useState(new Map()); // pid -> milestone[]
+  const [wsByProject, setWsByProject] = useState(new Map()); // pid -> workstream[]
+  const [lanesOn, setLanesOn] = useState(true);
   const [openProjects, setOpenProjects] = useState(new Set());
   const [openTasks, setOpenTasks] = useState(new Set());
   const [err, setErr] = useState("");
   const [loading, setLoading] = useState(false);
 
+  // critical path (single project only)
+  const [cpm, setCpm] = useState(null);
+  const [cpmOn, setCpmOn] = useState(true);
+  const [cpmErr, setCpmErr] = useState("");
+  const [cpmBusy, setCpmBusy] = useState(false);
+  const [cpmReload, setCpmReload] = useState(0);
+  const canReschedule = ["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r));
+
+  // baseline bars (single project only): "" = none
+  const [baselines, setBaselines] = useState([]);
+  const [baselineId, setBaselineId] = useState("");
+  const [baseline, setBaseline] = useState(null);
+
   const wrapRef = useRef(null);
   const scrollerRef = useRef(null);
 
@@ -338,11 +435,15 @@ export default function GanttPane({ projectId = null, embedded = false }) {
       const ids = Array.from(openProjects).filter((pid) => !tasksByProject.has(pid));
       for (const pid of ids) {
         try {
-          const { data } = await api.get("/tasks", {
-            params: { projectId: pid, limit: 2000, _ts: Date.now() },
-          });
+          const [{ data }, workstreams] = await Promise.all([
+            api.get("/tasks", {
+              params: { projectId: pid, limit: 2000, _ts: Date.now() },
+            }),
+            listWorkstreams(pid).catch(() => []),
+          ]);
           const rows = normalizeTasks(data);
           if (cancelled) return;
+          setWsByProject((prev) => new Map(prev).set(pid, workstreams));
           setTasksByProject((prev) => new Map(prev).set(pid, rows));
         } catch {
           if (cancelled) return;
@@ -420,6 +521,96 @@ export default function GanttPane({ projectId = null, embedded = false }) {
     };
   }, [openTasks, milesByTask]);
 
+  /* ───────────────────────────── critical path schedule (embedded) ───────────────────────────── */
+  useEffect(() => {
+    if (!projectId) return undefined;
+    let alive = true;
+    getProjectSchedule(projectId)
+      .then((r) => {
+        if (!alive) return;
+        setCpm(r);
+        setCpmErr("");
+      })
+      .catch((e) => alive && setCpmErr(e?.response?.data?.error || String(e)));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, cpmReload]);
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+    let alive = true;
+    listBaselines(projectId)
+      .then((rows) => {
+        if (!alive) return;
+        setBaselines(rows);
+        const primary = rows.find((b) => b.primary);
+        if (primary) setBaselineId(String(primary._id));
+      })
+      .catch(() => alive && setBaselines([]));
+    return () => {
+      alive = false;
+    };
+  }, [projectId]);
+
+  useEffect(() => {
+    if (!projectId || !baselineId) return undefined;
+    let alive = true;
+    getBaseline(projectId, baselineId)
+      .then((b) => alive && setBaseline(b))
+      .catch(() => alive && setBaseline(null));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, baselineId]);
+
+  const baselineByKey = useMemo(
+    () =>
+      new Map(
+        (baselineId && baseline?.items ? baseline.items : []).map((i) => [cpmKeyOf(i.kind, String(i.refId)), i])
+      ),
+    [baseline, baselineId]
+  );
+  // baseline item + finish slip against the current planned finish
+  const baselineFor = (type, id, currentFinish) => {
+    const b = baselineByKey.get(cpmKeyOf(type, id));
+    if (!b) return null;
+    const bf = floorLocal(b.plannedFinish);
+    const cf = floorLocal(currentFinish);
+    return { ...b, slipDays: bf && cf ? diffDays(bf, cf) : 0 };
+  };
+
+  const cpmByKey = useMemo(() => new Map((cpm?.items || []).map((i) => [i.key, i])), [cpm]);
+  const cpmFor = (type, id) => (cpmOn ? cpmByKey.get(cpmKeyOf(type, id)) : null);
+
+  const applySlips = async () => {
+    if (!projectId || !cpm?.moved) return;
+    if (!window.confirm(`Move the planned dates of ${cpm.moved} item(s) to follow their predecessors?`)) return;
+    setCpmBusy(true);
+    setCpmErr("");
+    try {
+      const r = await applyProjectSchedule(projectId);
+      setCpm(r.schedule);
+      // refetch bars with their new planned dates
+      const pid = String(projectId);
+      setTasksByProject((prev) => {
+        const next = new Map(prev);
+        next.delete(pid);
+        return next;
+      });
+      setProjectMilestones((prev) => {
+        const next = new Map(prev);
+        next.delete(pid);
+        return next;
+      });
+      setMilesByTask(new Map());
+    } catch (e) {
+      setCpmErr(e?.response?.data?.error || String(e));
+    } finally {
+      setCpmBusy(false);
+    }
+  };
+
   /* ───────────────────────────── filter projects by rag/date/groups/projectIds ───────────────────────────── */
   const filteredProjects = useMemo(() => {
     if (projectId) return projects;
@@ -531,27 +722,45 @@ export default function GanttPane({ projectId = null, embedded = false }) {
 
       if (openProjects.has(pid)) {
         const tasks = tasksByProject.get(pid) || [];
-        tasks.forEach((t) => {
-          const tid = toId(t);
-          out.push({ type: "task", id: tid, label: t.title || tid, parentId: pid, item: t });
-
-          if (openTasks.has(tid)) {
-            const ms = milesByTask.get(tid) || [];
-            ms.forEach((m) =>
-              out.push({
-                type: "milestone",
-                id: toId(m),
-                label: m.title || m.name || toId(m),
-                parentId: tid,
-                item: m,
-              })
-            );
+        const workstreams = wsByProject.get(pid) || [];
+        const useLanes = lanesOn && (workstreams.length > 0 || tasks.some((t) => t.workstreamName));
+        const lanes = useLanes
+          ? groupIntoLanes(tasks, workstreams)
+          : [{ key: "", color: null, tasks }];
+
+        lanes.forEach((lane) => {
+          if (useLanes) {
+            out.push({ type: "lane", id: `${pid}:${lane.key}`, label: lane.label, parentId: pid, item: lane });
           }
+          lane.tasks.forEach((t) => {
+            const tid = toId(t);
+            out.push({ type: "task", id: tid, label: t.title || tid, parentId: pid, item: t, laneColor: lane.color });
+
+            if (openTasks.has(tid)) {
+              const ms = milesByTask.get(tid) || [];
+              ms.forEach((m) =>
+                out.push({
+                  type: "milestone",
+                  id: toId(m),
+                  label: m.title || m.name || toId(m),
+                  parentId: tid,
+                  item: m,
+                })
+              );
+            }
+          });
         });
       }
     });
     return out;
-  }, [filteredProjects, openProjects, openTasks, tasksByProject, milesByTask]);
+  }, [filteredProjects, openProjects, openTasks, tasksByProject, milesByTask, wsByProject, lanesOn]);
+
+  const hasLanes = useMemo(
+    () =>
+      [...wsByProject.values()].some((l) => l.length > 0) ||
+      [...tasksByProject.values()].some((list) => list.some((t) => t.workstreamName)),
+    [wsByProject, tasksByProject]
+  );
 
   const headerRows = 3; // Month, Day, Date
   const svgHeight = rows.length * ROW_H + 24;
@@ -692,9 +901,85 @@ export default function GanttPane({ projectId = null, embedded = false }) {
               <span className="g-dot" style={{ background: COLORS.overdue }} />
               Overdue
             </span>
+            {baselineId && baseline && (
+              <span className="g-pill" title="Thin grey bar under each item">
+                <span style={{ display: "inline-block", width: 14, height: 4, background: BASELINE_COLOR, borderRadius: 2 }} />
+                Baseline
+              </span>
+            )}
+            {cpm && cpmOn && (
+              <>
+                <span className="g-pill" title="Zero total float: any slip delays the project finish">
+                  <span className="g-dot" style={{ background: "#fff", outline: `2px solid ${CPM_COLORS.critical}` }} />
+                  Critical
+                </span>
+                <span className="g-pill" title={`Total float of ${cpm.nearCriticalDays} day(s) or less`}>
+                  <span className="g-dot" style={{ background: "#fff", outline: `2px dashed ${CPM_COLORS.near}` }} />
+                  Near-critical
+                </span>
+              </>
+            )}
           </div>
 
           <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            {hasLanes && (
+              <button className="g-pill" onClick={() => setLanesOn((v) => !v)} title="Group tasks by workstream">
+                Swimlanes: {lanesOn ? "on" : "off"}
+              </button>
+            )}
+            {baselines.length > 0 && (
+              <select
+                className="g-pill"
+                value={baselineId}
+                onChange={(e) => setBaselineId(e.target.value)}
+                title="Draw a baseline behind the bars"
+              >
+                <option value="">No baseline</option>
+                {baselines.map((b) => (
+                  <option key={b._id} value={b._id}>
+                    Baseline: {b.name}
+                    {b.primary ? " (primary)" : ""}
+                  </option>
+                ))}
+              </select>
+            )}
+            {cpm && (
+              <button className="g-pill" onClick={() => setCpmOn((v) => !v)} title="Highlight the critical path">
+                Critical path: {cpmOn ? "on" : "off"}
+              </button>
+            )}
+            {cpm?.finish && (
+              <span
+                className="g-pill"
+                style={cpm.slipDays > 0 ? { color: CPM_COLORS.critical } : undefined}
+                title="Forecast finish from the critical path"
+              >
+                Finish {fmt(cpm.finish)}
+                {cpm.slipDays > 0 ? ` (${cpm.slipDays}d past project end)` : ""}
+              </span>
+            )}
+            {cpm && cpm.moved > 0 && (
+              <span
+                className="g-pill"
+                style={{ color: CPM_COLORS.near }}
+                title={cpm.items
+                  .filter((i) => i.moved)
+                  .map((i) => `${i.name}: ${fmt(i.proposed.start)} → ${fmt(i.proposed.finish)}`)
+                  .join("\n")}
+              >
+                {cpm.moved} item{cpm.moved === 1 ? "" : "s"} pushed by slipped predecessors
+              </span>
+            )}
+            {cpm && cpm.moved > 0 && canReschedule && (
+              <button className="g-pill" onClick={applySlips} disabled={cpmBusy} title="Write the pushed-out dates to the plan">
+                Apply new dates
+              </button>
+            )}
+            {projectId && (
+              <button className="g-pill" onClick={() => setCpmReload((k) => k + 1)} title="Recalculate the critical path">
+                Recalculate
+              </button>
+            )}
             <button className="g-pill" onClick={scrollToToday} title="Scroll to today">
               Today
             </button>
@@ -770,11 +1055,44 @@ export default function GanttPane({ projectId = null, embedded = false }) {
               );
             }
 
+            if (r.type === "lane") {
+              const lane = r.item;
+              return (
+                <div
+                  key={r.type + r.id}
+                  className="g-tree-line"
+                  style={{ top, paddingLeft: 10, background: zebra, fontWeight: 600 }}
+                >
+                  <span
+                    style={{ width: 10, height: 10, borderRadius: 2, background: lane.color, marginRight: 6, flex: "none" }}
+                  />
+                  <div
+                    className="g-lab"
+                    title={`${lane.label} • ${lane.tasks.length} task(s) • ${lane.percent}% done${
+                      lane.ws?.ownerName ? ` • owner ${lane.ws.ownerName}` : ""
+                    }`}
+                  >
+                    {lane.label}
+                    <span style={{ fontWeight: 400, color: "#6b7280", fontSize: 12 }}> · {lane.percent}%</span>
+                  </div>
+                </div>
+              );
+            }
+
             if (r.type === "task") {
               const tid = r.id;
               const open = openTasks.has(tid);
               return (
-                <div key={r.type + tid} className="g-tree-line" style={{ top, paddingLeft: 16, background: zebra }}>
+                <div
+                  key={r.type + tid}
+                  className="g-tree-line"
+                  style={{
+                    top,
+                    paddingLeft: 16,
+                    background: zebra,
+                    boxShadow: r.laneColor ? `inset 3px 0 0 ${r.laneColor}` : undefined,
+                  }}
+                >
                   <div className="g-arrow" title="Click arrow to expand/collapse" onClick={() => toggleTask(tid)}>
                     {open ? "▾" : "▸"}
                   </div>
@@ -977,6 +1295,32 @@ export default function GanttPane({ projectId = null, embedded = false }) {
                 );
               }
 
+              if (r.type === "lane") {
+                const lane = r.item;
+                if (!lane.start || !lane.end) return null;
+                const sIdx = Math.max(0, diffDays(cal.rangeStart, lane.start));
+                const eIdx = Math.min(cal.dayObjs.length - 1, diffDays(cal.rangeStart, lane.end));
+                if (eIdx < sIdx) return null;
+                const span = eIdx - sIdx + 1;
+                return (
+                  <div
+                    key={"l" + r.id}
+                    title={`${lane.label} • ${fmt(lane.start)} → ${fmt(lane.end)} • ${lane.percent}% done`}
+                    style={{
+                      gridColumn: `${sIdx + 1} / span ${span}`,
+                      gridRow: `${row} / ${row + 1}`,
+                      height: 8,
+                      alignSelf: "center",
+                      borderRadius: 4,
+                      background: `${lane.color}40`,
+                      overflow: "hidden",
+                    }}
+                  >
+                    <div style={{ width: `${lane.percent}%`, height: "100%", background: lane.color }} />
+                  </div>
+                );
+              }
+
               if (r.type === "task") {
                 const t = safeObj(r.item);
                 const s = floorLocal(t.startAt || t.startDate || t.createdAt);
@@ -996,10 +1340,51 @@ export default function GanttPane({ projectId = null, embedded = false }) {
                   : null;
                 const oSpan = overdue ? Math.max(1, oIdx - eIdx) : 0;
 
+                const c = cpmFor("task", r.id);
+                const bl = baselineFor("task", r.id, e);
+                const bs = bl ? floorLocal(bl.plannedStart) : null;
+                const be = bl ? floorLocal(bl.plannedFinish || bl.plannedStart) : null;
+                const bsIdx = bs ? Math.max(0, diffDays(cal.rangeStart, bs)) : 0;
+                const beIdx = be ? Math.min(cal.dayObjs.length - 1, diffDays(cal.rangeStart, be)) : -1;
+                const ps = c?.moved ? floorLocal(c.proposed.start) : null;
+                const pe = c?.moved ? floorLocal(c.proposed.finish) : null;
+                const psIdx = ps ? Math.max(0, diffDays(cal.rangeStart, ps)) : 0;
+                const peIdx = pe ? Math.min(cal.dayObjs.length - 1, diffDays(cal.rangeStart, pe)) : 0;
+
                 return (
                   <React.Fragment key={"t" + r.id}>
+                    {ps && pe && peIdx >= psIdx && (
+                      <div
+                        title={`${r.label} pushed to ${fmt(ps)} → ${fmt(pe)}`}
+                        style={{
+                          gridColumn: `${psIdx + 1} / span ${peIdx - psIdx + 1}`,
+                          gridRow: `${row} / ${row + 1}`,
+                          height: barH,
+                          alignSelf: "center",
+                          borderRadius: 3,
+                          border: `1px dashed ${CPM_COLORS.near}`,
+                          background: "#ea580c14",
+                          pointerEvents: "none",
+                        }}
+                      />
+                    )}
+                    {bs && be && beIdx >= bsIdx && (
+                      <div
+                        style={{
+                          gridColumn: `${bsIdx + 1} / span ${beIdx - bsIdx + 1}`,
+                          gridRow: `${row} / ${row + 1}`,
+                          height: 4,
+                          alignSelf: "end",
+                          marginBottom: 1,
+                          borderRadius: 2,
+                          background: BASELINE_COLOR,
+                          opacity: 0.8,
+                          pointerEvents: "none",
+                        }}
+                      />
+                    )}
                     <div
-                      title={`${r.label} (${canonStatus(t.status)}) • ${fmt(s)} → ${fmt(e)}`}
+                      title={`${r.label} (${canonStatus(t.status)}) • ${fmt(s)} → ${fmt(e)}${cpmTitle(c)}${baselineTitle(bl)}`}
                       onClick={() => openTaskDetail(t)}
                       style={{
                         gridColumn: `${sIdx + 1} / span ${span}`,
@@ -1010,6 +1395,7 @@ export default function GanttPane({ projectId = null, embedded = false }) {
                         borderRadius: 3,
                         opacity: 0.95,
                         cursor: "pointer",
+                        ...cpmOutline(c),
                       }}
                     />
                     {overdue && (
@@ -1054,6 +1440,30 @@ export default function GanttPane({ projectId = null, embedded = false }) {
               const col = baseStatusColor(m);
               const size = 12;
 
+              const c = cpmFor("milestone", r.id);
+              const bl = baselineFor("milestone", r.id, whenRaw);
+              const bAt = bl ? floorLocal(bl.plannedFinish || bl.plannedStart) : null;
+              const bIdx = bAt ? diffDays(cal.rangeStart, bAt) : -1;
+              const baselineMark =
+                bIdx >= 0 && bIdx < cal.dayObjs.length ? (
+                  <div
+                    key={"mb" + r.id}
+                    title={`Baseline ${fmt(bAt)}`}
+                    style={{
+                      gridColumn: `${bIdx + 1} / ${bIdx + 2}`,
+                      gridRow: `${row} / ${row + 1}`,
+                      justifySelf: "center",
+                      alignSelf: "center",
+                      width: 8,
+                      height: 8,
+                      transform: "rotate(45deg)",
+                      border: `2px solid ${BASELINE_COLOR}`,
+                      background: "transparent",
+                      zIndex: 3,
+                      pointerEvents: "none",
+                    }}
+                  />
+                ) : null;
               const kind = String(m.kind || "").toLowerCase();
               const markerStyleBase = {
                 gridColumn: `${xIdx + 1} / ${xIdx + 2}`,
@@ -1066,54 +1476,61 @@ export default function GanttPane({ projectId = null, embedded = false }) {
                 boxShadow: "0 0 0 1px rgba(17,24,39,0.15)",
                 zIndex: 4,
                 cursor: "pointer",
+                ...cpmOutline(c),
               };
 
               if (kind === "reporting" || kind === "report" || kind === "reporting-point") {
                 return (
-                  <div
-                    key={"m" + r.id}
-                    title={`${r.label} (${canonStatus(m.status)}) • ${fmt(at)} • reporting`}
-                    onClick={() => openMilestoneDetail(m)}
-                    style={{
-                      ...markerStyleBase,
-                      borderRadius: 999,
-                      border: m.isRoadblock ? "2px dashed #111" : "2px solid #fff",
-                    }}
-                  />
+                  <React.Fragment key={"m" + r.id}>
+                    {baselineMark}
+                    <div
+                      title={`${r.label} (${canonStatus(m.status)}) • ${fmt(at)} • reporting${cpmTitle(c)}${baselineTitle(bl)}`}
+                      onClick={() => openMilestoneDetail(m)}
+                      style={{
+                        ...markerStyleBase,
+                        borderRadius: 999,
+                        border: m.isRoadblock ? "2px dashed #111" : "2px solid #fff",
+                      }}
+                    />
+                  </React.Fragment>
                 );
               }
 
               if (kind === "feedback" || kind === "feedback-point") {
                 return (
+                  <React.Fragment key={"m" + r.id}>
+                    {baselineMark}
+                    <div
+                      title={`${r.label} (${canonStatus(m.status)}) • ${fmt(at)} • feedback${cpmTitle(c)}${baselineTitle(bl)}`}
+                      onClick={() => openMilestoneDetail(m)}
+                      style={{
+                        ...markerStyleBase,
+                        background: "transparent",
+                        width: 0,
+                        height: 0,
+                        borderLeft: `${size / 2}px solid transparent`,
+                        borderRight: `${size / 2}px solid transparent`,
+                        borderBottom: `${size}px solid ${col}`,
+                        boxShadow: "none",
+                      }}
+                    />
+                  </React.Fragment>
+                );
+              }
+
+              return (
+                <React.Fragment key={"m" + r.id}>
+                  {baselineMark}
                   <div
-                    key={"m" + r.id}
-                    title={`${r.label} (${canonStatus(m.status)}) • ${fmt(at)} • feedback`}
+                    title={`${r.label} (${canonStatus(m.status)}) • ${fmt(at)}${m.kind ? ` • ${String(m.kind)}` : ""}${cpmTitle(c)}${baselineTitle(bl)}`}
                     onClick={() => openMilestoneDetail(m)}
                     style={{
                       ...markerStyleBase,
-                      background: "transparent",
-                      width: 0,
-                      height: 0,
-                      borderLeft: `${size / 2}px solid transparent`,
-                      borderRight: `${size / 2}px solid transparent`,
-                      borderBottom: `${size}px solid ${col}`,
-                      boxShadow: "none",
+                      transform: "rotate(45deg)",
+                      border: m.isRoadblock ? "2px dashed #111" : "2px solid #fff",
                     }}
                   />
-                );
-              }
-
-              return (
-                <div
-                  key={"m" + r.id}
-                  title={`${r.label} (${canonStatus(m.status)}) • ${fmt(at)}${m.kind ? ` • ${String(m.kind)}` : ""}`}
-                  onClick={() => openMilestoneDetail(m)}
-                  style={{
-                    ...markerStyleBase,
-                    transform: "rotate(45deg)",
-                    border: m.isRoadblock ? "2px dashed #111" : "2px solid #fff",
-                  }}
-                />
+                </React.Fragment>
               );
             })}
 
@@ -1144,6 +1561,14 @@ export default function GanttPane({ projectId = null, embedded = false }) {
 
       {loading && <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>Loading…</div>}
       {err && <div style={{ marginTop: 6, fontSize: 12, color: "#b91c1c" }}>{err}</div>}
+      {cpmErr && <div style={{ marginTop: 6, fontSize: 12, color: "#b91c1c" }}>Critical path: {cpmErr}</div>}
+      {cpm?.warnings?.length > 0 && (
+        <div style={{ marginTop: 6, fontSize: 12, color: "#92400e" }}>
+          {cpm.warnings.map((w, i) => (
+            <div key={i}>{w.message}</div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
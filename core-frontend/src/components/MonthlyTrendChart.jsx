@@ -0,0 +1,132 @@
+// src/components/MonthlyTrendChart.jsx
+import { useState } from "react";
+
+const W = 640;
+const PAD = { top: 12, right: 12, bottom: 26, left: 44 };
+
+function niceMax(v) {
+  if (!(v > 0)) return 1;
+  const p = 10 ** Math.floor(Math.log10(v));
+  const n = v / p;
+  return (n <= 1 ? 1 : n <= 2 ? 2 : n <= 5 ? 5 : 10) * p;
+}
+
+function monthLabel(key) {
+  const [y, m] = String(key).split("-").map(Number);
+  if (!y || !m) return key;
+  return new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString(undefined, { month: "short", timeZone: "UTC" });
+}
+
+/**
+ * Small dependency-free SVG chart for monthly series.
+ * `series`: [{ key, label, color, type: "bar" | "line", stack? }] read from each row of `data`
+ * (rows need a `month` "YYYY-MM"). Bars sharing a `stack` name are stacked; nulls are gaps.
+ */
+export default function MonthlyTrendChart({ data = [], series = [], height = 180, format = (v) => v }) {
+  const [hover, setHover] = useState(null);
+  if (!data.length) return <div className="text-sm text-gray-500">No data for this period.</div>;
+
+  const innerW = W - PAD.left - PAD.right;
+  const innerH = height - PAD.top - PAD.bottom;
+  const bars = series.filter((s) => s.type !== "line");
+  const lines = series.filter((s) => s.type === "line");
+
+  // bar groups: one column per stack name (or per series when unstacked)
+  const groups = [];
+  for (const s of bars) {
+    const g = s.stack ? groups.find((x) => x.stack === s.stack) : null;
+    if (g) g.series.push(s);
+    else groups.push({ stack: s.stack, series: [s] });
+  }
+
+  const groupTotal = (row, g) => g.series.reduce((a, s) => a + (Number(row[s.key]) || 0), 0);
+  const max = niceMax(
+    Math.max(
+      0,
+      ...data.flatMap((row) => [
+        ...groups.map((g) => groupTotal(row, g)),
+        ...lines.map((s) => Number(row[s.key]) || 0),
+      ]),
+    ),
+  );
+
+  const step = innerW / data.length;
+  const barW = groups.length ? Math.max(2, (step * 0.7) / groups.length) : 0;
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+  const cx = (i) => PAD.left + step * i + step / 2;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * max);
+
+  return (
+    <div className="space-y-1">
+      <svg viewBox={`0 0 ${W} ${height}`} className="w-full" role="img" onMouseLeave={() => setHover(null)}>
+        {ticks.map((t) => (
+          <g key={t}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={y(t)} y2={y(t)} stroke="#e5e7eb" />
+            <text x={PAD.left - 4} y={y(t) + 3} fontSize="10" textAnchor="end" fill="#6b7280">
+              {format(Number(t.toPrecision(3)))}
+            </text>
+          </g>
+        ))}
+
+        {data.map((row, i) => {
+          const x0 = cx(i) - (barW * groups.length) / 2;
+          return (
+            <g key={row.month} onMouseEnter={() => setHover(i)}>
+              <rect x={PAD.left + step * i} y={PAD.top} width={step} height={innerH} fill={hover === i ? "#f3f4f6" : "transparent"} />
+              {groups.map((g, gi) => {
+                let base = 0;
+                return g.series.map((s) => {
+                  const v = Number(row[s.key]) || 0;
+                  const top = y(base + v);
+                  const h = y(base) - top;
+                  base += v;
+                  return v > 0 ? (
+                    <rect key={s.key} x={x0 + gi * barW} y={top} width={barW - 1} height={h} fill={s.color} />
+                  ) : null;
+                });
+              })}
+              <text x={cx(i)} y={height - 8} fontSize="10" textAnchor="middle" fill="#6b7280">
+                {monthLabel(row.month)}
+              </text>
+            </g>
+          );
+        })}
+
+        {lines.map((s) => {
+          const pts = data.map((row, i) => (row[s.key] == null ? null : [cx(i), y(Number(row[s.key]))]));
+          const runs = [];
+          let run = [];
+          for (const p of pts) {
+            if (p) run.push(p);
+            else if (run.length) {
+              runs.push(run);
+              run = [];
+            }
+          }
+          if (run.length) runs.push(run);
+          return (
+            <g key={s.key}>
+              {runs.map((r, ri) => (
+                <polyline key={ri} points={r.map((p) => p.join(",")).join(" ")} fill="none" stroke={s.color} strokeWidth="2" />
+              ))}
+              {pts.map((p, i) => (p ? <circle key={i} cx={p[0]} cy={p[1]} r="3" fill={s.color} /> : null))}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        {series.map((s) => (
+          <span key={s.key} className="inline-flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: s.color }} />
+            {s.label}
+            {hover != null && (
+              <b className="ml-0.5">{data[hover][s.key] == null ? "—" : format(data[hover][s.key])}</b>
+            )}
+          </span>
+        ))}
+        {hover != null && <span className="ml-auto">{data[hover].month}</span>}
+      </div>
+    </div>
+  );
+}
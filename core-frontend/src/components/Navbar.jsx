@@ -532,6 +532,9 @@ export default function Navbar() {
             <NavLink to="/admin/groups" style={subItem}>
               Groups
             </NavLink>
+            <NavLink to="/admin/clockings/exceptions" style={subItem}>
+              Clocking Exceptions
+            </NavLink>
             <div
               style={{
                 height: 1,
@@ -545,6 +548,12 @@ export default function Navbar() {
             <NavLink to="/admin/inspections/forms/new" style={subItem}>
               New Inspection Form
             </NavLink>
+            <NavLink to="/admin/inspections/schedules" style={subItem}>
+              Inspection Schedules
+            </NavLink>
+            <NavLink to="/admin/inspections/corrective-actions" style={subItem}>
+              Corrective Actions
+            </NavLink>
           </div>
         </details>
 
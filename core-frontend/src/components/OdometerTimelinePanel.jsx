@@ -0,0 +1,124 @@
+// src/components/OdometerTimelinePanel.jsx
+import { useState } from "react";
+
+const SOURCE_LABELS = { trip: "Trip", log: "Logbook", purchase: "Fuel fill" };
+const FIELD_LABELS = {
+  odoStart: "start",
+  odoEnd: "end",
+  odometer: "",
+  odometerStart: "start",
+  odometerEnd: "end",
+};
+const STATUS_LABELS = { backwards: "Backwards", jump: "Jump" };
+
+const fmt = (v) => (v == null ? "—" : Number(v).toLocaleString(undefined, { maximumFractionDigits: 1 }));
+const when = (d) => new Date(d).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+function sourceLabel(r) {
+  const field = FIELD_LABELS[r.field];
+  return `${SOURCE_LABELS[r.source] || r.source}${field ? ` ${field}` : ""}${r.offline ? " (offline)" : ""}`;
+}
+
+/**
+ * Current (trusted) odometer and the readings that did not fit the timeline.
+ * `timeline` is the GET /vehicles/:id/odometer payload, loaded by the page so the
+ * reminders can use the same current reading.
+ */
+export default function OdometerTimelinePanel({ timeline, loading, error }) {
+  const [showAll, setShowAll] = useState(false);
+
+  if (error) return <div className="rounded border border-red-200 bg-red-50 p-2 text-sm">{error}</div>;
+  if (!timeline) return loading ? <div className="text-sm text-gray-500">Loading…</div> : null;
+
+  const { current, readings = [], flagged, backwards, jumps, policy } = timeline;
+  const rows = showAll ? [...readings].reverse() : readings.filter((r) => r.status !== "ok").reverse();
+
+  return (
+    <div className="space-y-3">
+      <div className="grid gap-2 grid-cols-2 md:grid-cols-4">
+        <div className="rounded-lg border border-border p-2 bg-white">
+          <div className="text-xs text-gray-500">Current odometer</div>
+          <div className="text-lg font-semibold">{current ? `${fmt(current.odo)} km` : "—"}</div>
+          {current && (
+            <div className="text-xs text-gray-500">
+              {SOURCE_LABELS[current.source] || current.source} · {when(current.at)}
+            </div>
+          )}
+        </div>
+        <div className="rounded-lg border border-border p-2 bg-white">
+          <div className="text-xs text-gray-500">Readings</div>
+          <div className="text-lg font-semibold">{readings.length}</div>
+        </div>
+        <div
+          className="rounded-lg border border-border p-2 bg-white"
+          title={`More than ${policy?.odoBackTolKm ?? 1} km below the previous trusted reading`}
+        >
+          <div className="text-xs text-gray-500">Backwards</div>
+          <div className={"text-lg font-semibold " + (backwards ? "text-red-700" : "")}>{backwards}</div>
+        </div>
+        <div
+          className="rounded-lg border border-border p-2 bg-white"
+          title={`More than ${policy?.odoJumpMinKm ?? 50} km at over ${policy?.odoMaxKmPerHour ?? 150} km/h average`}
+        >
+          <div className="text-xs text-gray-500">Jumps</div>
+          <div className={"text-lg font-semibold " + (jumps ? "text-amber-700" : "")}>{jumps}</div>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3 text-sm">
+        <span className="text-gray-600">
+          {flagged
+            ? `${flagged} reading(s) did not fit the timeline and are left out of the current odometer unless confirmed.`
+            : "All readings fit the timeline."}
+        </span>
+        {readings.length > 0 && (
+          <button type="button" className="link ml-auto" onClick={() => setShowAll((s) => !s)}>
+            {showAll ? "Flagged only" : "All readings"}
+          </button>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="rounded-xl border border-border overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-thead">
+              <tr>
+                {["When", "Source", "Odometer", "Change", "Status"].map((h) => (
+                  <th key={h} className="p-2 text-left border-b border-border">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr
+                  key={`${r.refId}-${r.field}`}
+                  className={r.status === "backwards" ? "bg-red-50" : r.status === "jump" ? "bg-amber-50" : ""}
+                >
+                  <td className="border-b border-border p-2">{when(r.at)}</td>
+                  <td className="border-b border-border p-2">{sourceLabel(r)}</td>
+                  <td className="border-b border-border p-2">{fmt(r.odo)}</td>
+                  <td className="border-b border-border p-2">
+                    {r.deltaKm == null ? "—" : `${r.deltaKm > 0 ? "+" : ""}${fmt(r.deltaKm)}`}
+                  </td>
+                  <td className="border-b border-border p-2">
+                    {r.status === "ok" ? (
+                      "OK"
+                    ) : (
+                      <span title={r.message}>
+                        <b>{STATUS_LABELS[r.status] || r.status}</b>
+                        {r.accepted ? " · confirmed" : " · excluded"}
+                        <span className="text-xs text-gray-600"> — {r.message}</span>
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
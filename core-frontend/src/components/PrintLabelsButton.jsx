@@ -0,0 +1,120 @@
+// src/components/PrintLabelsButton.jsx
+import { useEffect, useState } from "react";
+import { downloadLabelSheet, getLabelLayouts } from "../lib/labels";
+
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * "Print labels" button with a small options panel: Avery sheet layout, the
+ * first free label on a partly used sheet, and copies per item. Downloads a PDF
+ * of signed QR labels for `ids` (assets, vehicles, tasks or project sites).
+ */
+export default function PrintLabelsButton({ kind, ids = [], label = "Print labels", className = "px-3 py-2 border rounded" }) {
+  const [open, setOpen] = useState(false);
+  const [layouts, setLayouts] = useState([]);
+  const [opts, setOpts] = useState({ layout: "", startAt: 1, copies: 1 });
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!open || layouts.length) return undefined;
+    let alive = true;
+    getLabelLayouts()
+      .then((d) => {
+        if (!alive) return;
+        setLayouts(d?.layouts || []);
+        setOpts((o) => ({ ...o, layout: o.layout || d?.default || "" }));
+      })
+      .catch((e) => alive && setErr(e?.response?.data?.error || String(e)));
+    return () => {
+      alive = false;
+    };
+  }, [open, layouts.length]);
+
+  const perSheet = layouts.find((l) => l.id === opts.layout)?.perSheet || 0;
+
+  async function download() {
+    setErr("");
+    setBusy(true);
+    try {
+      const blob = await downloadLabelSheet(kind, ids, {
+        layout: opts.layout || undefined,
+        startAt: Number(opts.startAt) || 1,
+        copies: Number(opts.copies) || 1,
+      });
+      triggerDownload(blob, `${kind}-labels.pdf`);
+      setOpen(false);
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const setO = (k) => (e) => setOpts((o) => ({ ...o, [k]: e.target.value }));
+
+  return (
+    <span className="relative inline-block">
+      <button type="button" className={className} disabled={!ids.length} onClick={() => setOpen((v) => !v)}>
+        {label}
+        {ids.length > 1 ? ` (${ids.length})` : ""}
+      </button>
+      {open && (
+        <div className="absolute z-20 mt-1 right-0 w-72 bg-white border rounded shadow p-3 space-y-2 text-sm">
+          {err && <div className="text-red-600">{err}</div>}
+          <label className="block">
+            Sheet
+            <select className="mt-1 border p-2 w-full rounded" value={opts.layout} onChange={setO("layout")}>
+              {layouts.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              Start at label
+              <input
+                className="mt-1 border p-2 w-full rounded"
+                type="number"
+                min={1}
+                max={perSheet || undefined}
+                value={opts.startAt}
+                onChange={setO("startAt")}
+              />
+            </label>
+            <label className="block">
+              Copies each
+              <input
+                className="mt-1 border p-2 w-full rounded"
+                type="number"
+                min={1}
+                max={100}
+                value={opts.copies}
+                onChange={setO("copies")}
+              />
+            </label>
+          </div>
+          <div className="flex gap-2 justify-end">
+            <button type="button" className="px-3 py-1 border rounded" onClick={() => setOpen(false)}>
+              Cancel
+            </button>
+            <button type="button" className="px-3 py-1 bg-black text-white rounded" disabled={busy} onClick={download}>
+              {busy ? "Preparing…" : "Download PDF"}
+            </button>
+          </div>
+        </div>
+      )}
+    </span>
+  );
+}
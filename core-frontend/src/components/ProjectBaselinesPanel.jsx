@@ -0,0 +1,345 @@
+// src/components/ProjectBaselinesPanel.jsx
+import { useEffect, useState } from "react";
+import {
+  createBaseline,
+  deleteBaseline,
+  downloadVarianceCsv,
+  getVariance,
+  listBaselines,
+  updateBaseline,
+} from "../lib/schedule";
+
+const errText = (e) => e?.response?.data?.error || String(e);
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// "+3d" / "-1.5d" / "0d"; later is red, earlier is green
+function Slip({ days }) {
+  if (days == null) return <span className="text-gray-400">—</span>;
+  const cls = days > 0 ? "text-red-700" : days < 0 ? "text-green-700" : "text-gray-600";
+  return <span className={cls}>{`${days > 0 ? "+" : ""}${days}d`}</span>;
+}
+
+const GROUPS = [
+  ["byWorkstream", "Workstream"],
+  ["byDiscipline", "Discipline"],
+];
+
+/**
+ * Named baselines for one project and the variance of the live schedule against
+ * one of them: start/finish slip and duration growth, rolled up per workstream or
+ * discipline. The primary baseline is also drawn behind the Gantt bars.
+ */
+export default function ProjectBaselinesPanel({ projectId, canManage = false, onChange }) {
+  const [baselines, setBaselines] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [report, setReport] = useState(null);
+  const [group, setGroup] = useState("byWorkstream");
+  const [showAll, setShowAll] = useState(false);
+  const [form, setForm] = useState({ name: "", note: "", primary: false });
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+    let alive = true;
+    listBaselines(projectId)
+      .then((rows) => alive && setBaselines(rows))
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, reloadKey]);
+
+  // variance for the selected baseline (default: primary)
+  useEffect(() => {
+    if (!projectId || !baselines.length) {
+      setReport(null);
+      return undefined;
+    }
+    let alive = true;
+    getVariance(projectId, selected ? { baselineId: selected } : {})
+      .then((r) => alive && setReport(r))
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, baselines, selected]);
+
+  async function run(fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      await fn();
+      setReloadKey((k) => k + 1);
+      onChange?.();
+    } catch (e) {
+      setErr(errText(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const capture = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createBaseline(projectId, form);
+      setForm({ name: "", note: "", primary: false });
+    });
+  };
+
+  const remove = (b) => {
+    if (!window.confirm(`Delete baseline "${b.name}"?`)) return;
+    if (selected === String(b._id)) setSelected("");
+    run(() => deleteBaseline(projectId, b._id));
+  };
+
+  const download = () =>
+    run(async () => {
+      const blob = await downloadVarianceCsv(projectId, selected ? { baselineId: selected } : {});
+      triggerDownload(blob, `variance_${String(report?.baseline?.name || "baseline").replace(/[^\w.-]+/g, "_")}.csv`);
+    });
+
+  const s = report?.summary;
+  const rows = report ? (showAll ? report.rows : report.rows.filter((r) => r.change !== "same" || r.finishSlipDays)) : [];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left border-b">
+            {["Baseline", "Captured", "By", "Items", ""].map((h) => (
+              <th key={h} className="p-1">
+                {h}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {baselines.map((b) => (
+            <tr key={b._id} className="border-b">
+              <td className="p-1">
+                {b.name}
+                {b.primary && <span className="ml-2 px-2 py-0.5 rounded text-xs bg-blue-100 text-blue-800">primary</span>}
+                {b.note && <div className="text-xs text-gray-500">{b.note}</div>}
+              </td>
+              <td className="p-1">{showDate(b.createdAt)}</td>
+              <td className="p-1">{b.createdBy?.name || "—"}</td>
+              <td className="p-1">{b.itemCount}</td>
+              <td className="p-1 text-right whitespace-nowrap">
+                {canManage && !b.primary && (
+                  <button
+                    type="button"
+                    className="btn btn-sm"
+                    disabled={busy}
+                    onClick={() => run(() => updateBaseline(projectId, b._id, { primary: true }))}
+                  >
+                    Make primary
+                  </button>
+                )}
+                {canManage && (
+                  <button type="button" className="btn btn-sm ml-1" disabled={busy} onClick={() => remove(b)}>
+                    Delete
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {!baselines.length && (
+            <tr>
+              <td className="p-1 text-gray-500" colSpan={5}>
+                No baselines yet. Capture one to track slip against today&apos;s plan.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {canManage && (
+        <form onSubmit={capture} className="flex flex-wrap gap-2 items-end border-t pt-3">
+          <label>
+            Name
+            <input
+              className="block border p-1 rounded"
+              placeholder="e.g. Contract award"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+            />
+          </label>
+          <label className="flex-1 min-w-[12rem]">
+            Note
+            <input
+              className="block border p-1 rounded w-full"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={form.primary} onChange={(e) => setForm({ ...form, primary: e.target.checked })} />
+            Primary
+          </label>
+          <button className="btn btn-primary" disabled={busy || !form.name.trim()}>
+            Capture baseline
+          </button>
+        </form>
+      )}
+
+      {report && (
+        <div className="space-y-3 border-t pt-3">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="font-medium">Variance against</span>
+            <select className="border p-1 rounded" value={selected} onChange={(e) => setSelected(e.target.value)}>
+              <option value="">{`Primary (${baselines.find((b) => b.primary)?.name || "—"})`}</option>
+              {baselines.map((b) => (
+                <option key={b._id} value={b._id}>
+                  {b.name}
+                </option>
+              ))}
+            </select>
+            <button type="button" className="btn btn-sm ml-auto" disabled={busy} onClick={download}>
+              Export CSV
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-4 text-gray-700">
+            <span>
+              Finish: {showDate(s.baselineFinish)} → {showDate(s.forecastFinish)} (<Slip days={s.finishSlipDays} />)
+            </span>
+            <span>
+              Late: {s.late} of {s.compared}
+            </span>
+            <span>
+              Avg start slip: <Slip days={s.avgStartSlipDays} />
+            </span>
+            <span>
+              Avg finish slip: <Slip days={s.avgFinishSlipDays} />
+            </span>
+            <span>
+              Duration growth: <Slip days={s.durationGrowthDays} />
+            </span>
+            {(s.added > 0 || s.removed > 0) && (
+              <span>
+                {s.added} added, {s.removed} removed since baseline
+              </span>
+            )}
+          </div>
+
+          <div>
+            <div className="flex gap-1 mb-1">
+              {GROUPS.map(([k, label]) => (
+                <button
+                  key={k}
+                  type="button"
+                  className={`btn btn-sm ${group === k ? "btn-primary" : ""}`}
+                  onClick={() => setGroup(k)}
+                >
+                  By {label.toLowerCase()}
+                </button>
+              ))}
+            </div>
+            <table className="w-full">
+              <thead>
+                <tr className="text-left border-b">
+                  {[GROUPS.find(([k]) => k === group)[1], "Items", "Late", "Avg start slip", "Avg finish slip", "Worst finish slip", "Duration growth"].map(
+                    (h) => (
+                      <th key={h} className="p-1">
+                        {h}
+                      </th>
+                    ),
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {report[group].map((g) => (
+                  <tr key={g.key} className="border-b">
+                    <td className="p-1">{g.label}</td>
+                    <td className="p-1">{g.items}</td>
+                    <td className="p-1">{g.late}</td>
+                    <td className="p-1">
+                      <Slip days={g.avgStartSlipDays} />
+                    </td>
+                    <td className="p-1">
+                      <Slip days={g.avgFinishSlipDays} />
+                    </td>
+                    <td className="p-1">
+                      <Slip days={g.maxFinishSlipDays} />
+                    </td>
+                    <td className="p-1">
+                      <Slip days={g.durationGrowthDays} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <label className="flex items-center gap-1 mb-1 text-gray-600">
+              <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+              Show items on plan too
+            </label>
+            <table className="w-full">
+              <thead>
+                <tr className="text-left border-b">
+                  {["Item", "Baseline", "Current", "Start slip", "Finish slip", "Duration growth"].map((h) => (
+                    <th key={h} className="p-1">
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.key} className="border-b">
+                    <td className="p-1">
+                      {r.kind === "milestone" ? "◆ " : ""}
+                      {r.name}
+                      {r.change !== "same" && <span className="ml-2 text-xs text-gray-500">({r.change})</span>}
+                    </td>
+                    <td className="p-1">
+                      {showDate(r.baseline.start)} → {showDate(r.baseline.finish)}
+                    </td>
+                    <td className="p-1">
+                      {showDate(r.current.start)} → {showDate(r.current.finish)}
+                      {r.current.actual && <span className="text-xs text-gray-500"> (actual)</span>}
+                    </td>
+                    <td className="p-1">
+                      <Slip days={r.startSlipDays} />
+                    </td>
+                    <td className="p-1">
+                      <Slip days={r.finishSlipDays} />
+                    </td>
+                    <td className="p-1">
+                      <Slip days={r.durationGrowthDays} />
+                    </td>
+                  </tr>
+                ))}
+                {!rows.length && (
+                  <tr>
+                    <td className="p-1 text-gray-500" colSpan={6}>
+                      Everything is on its baseline dates.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+// src/components/ProjectPlanImportPanel.jsx
+import { useEffect, useState } from "react";
+import { downloadPlanMspdi, generatePlan, getPlanning, importPlanFile } from "../lib/schedule";
+
+const errText = (e) => {
+  const d = e?.response?.data;
+  if (d?.details?.length) return `${d.error}: ${d.details.join("; ")}`;
+  return d?.error || String(e);
+};
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+const CHANGE_STYLES = {
+  added: "bg-green-100 text-green-800",
+  changed: "bg-amber-100 text-amber-800",
+  removed: "bg-red-100 text-red-700",
+  same: "bg-gray-100 text-gray-600",
+};
+
+const FIELD_LABELS = {
+  type: "type",
+  title: "name",
+  wbsCode: "WBS",
+  start: "start",
+  finish: "finish",
+  durationDays: "duration (d)",
+  parent: "parent",
+  dependsOn: "predecessors",
+  resources: "resources",
+  calendar: "calendar",
+  wbsPath: "WBS path",
+};
+
+const showValue = (v) => (Array.isArray(v) ? v.join(", ") || "—" : v === "" || v == null ? "—" : String(v));
+
+/**
+ * MS Project (MSPDI .xml) / Primavera (.xer) import onto the project plan: upload
+ * shows what the file would add, change and remove; applying saves the plan (items
+ * already generated keep their link to the generated tasks). Export writes the plan
+ * back to MSPDI with progress from the generated tasks.
+ */
+export default function ProjectPlanImportPanel({ projectId, projectName = "", canManage = false, onChange }) {
+  const [planning, setPlanning] = useState(null);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [keepMissing, setKeepMissing] = useState(false);
+  const [showSame, setShowSame] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+    let alive = true;
+    getPlanning(projectId)
+      .then((r) => alive && setPlanning(r))
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, reloadKey]);
+
+  async function run(fn) {
+    setErr("");
+    setInfo("");
+    setBusy(true);
+    try {
+      const msg = await fn();
+      if (typeof msg === "string") setInfo(msg);
+    } catch (e) {
+      setErr(errText(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const pick = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setPreview(null);
+  };
+
+  const check = () => run(async () => setPreview(await importPlanFile(projectId, file)));
+
+  const apply = () =>
+    run(async () => {
+      const r = await importPlanFile(projectId, file, { commit: 1, ...(keepMissing ? { keepMissing: 1 } : {}) });
+      setPreview(null);
+      setFile(null);
+      setReloadKey((k) => k + 1);
+      onChange?.();
+      const n = r.planning?.items?.length ?? r.summary.imported;
+      return r.generatedAt
+        ? `Plan saved with ${n} item(s). Tasks were generated before; regenerate or update them to pick up the changes.`
+        : `Plan saved with ${n} item(s).`;
+    });
+
+  const exportXml = () =>
+    run(async () => {
+      const blob = await downloadPlanMspdi(projectId);
+      triggerDownload(blob, `${String(projectName || "project").replace(/[^\w.-]+/g, "_")}.xml`);
+    });
+
+  const generate = () => {
+    const force = !!planning?.generatedAt;
+    if (force && !window.confirm("Tasks were already generated from this plan. Generate a new set anyway?")) return;
+    run(async () => {
+      const r = await generatePlan(projectId, { force });
+      setReloadKey((k) => k + 1);
+      onChange?.();
+      return `Created ${r.created.tasks} task(s) and ${r.created.milestones} milestone(s).`;
+    });
+  };
+
+  const items = planning?.items || [];
+  const from = planning?.importedFrom;
+  const s = preview?.summary;
+  const rows = preview ? (showSame ? preview.rows : preview.rows.filter((r) => r.change !== "same")) : [];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+      {info && <div className="text-green-700">{info}</div>}
+
+      <div className="flex flex-wrap gap-3 items-center">
+        <span>
+          {items.length} plan item(s)
+          {from?.format ? (
+            <span className="text-gray-500">
+              {" "}
+              · imported from {from.fileName || from.format.toUpperCase()} on {showDate(from.importedAt)}
+            </span>
+          ) : null}
+          {planning?.generatedAt ? <span className="text-gray-500"> · tasks generated {showDate(planning.generatedAt)}</span> : null}
+        </span>
+        <button type="button" className="btn btn-sm ml-auto" disabled={busy || !items.length} onClick={exportXml}>
+          Export MS Project XML
+        </button>
+        {canManage && (
+          <button type="button" className="btn btn-sm" disabled={busy || !items.length} onClick={generate}>
+            Generate tasks
+          </button>
+        )}
+      </div>
+
+      {canManage && (
+        <div className="flex flex-wrap gap-2 items-center border-t pt-3">
+          <input type="file" accept=".xml,.xer" onChange={pick} key={file ? "picked" : "empty"} />
+          <button type="button" className="btn btn-sm" disabled={busy || !file} onClick={check}>
+            Preview import
+          </button>
+          <span className="text-gray-500">MS Project XML (MSPDI) or Primavera .xer</span>
+        </div>
+      )}
+
+      {preview && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="font-medium">
+              {preview.projectName || preview.fileName} ({preview.format.toUpperCase()})
+            </span>
+            {["added", "changed", "removed", "same"].map((k) => (
+              <span key={k} className={"px-2 py-0.5 rounded text-xs " + CHANGE_STYLES[k]}>
+                {s[k]} {k}
+              </span>
+            ))}
+            {preview.calendars?.length ? (
+              <span className="text-gray-500">
+                Calendars: {preview.calendars.map((c) => `${c.name} (${c.hoursPerDay}h)`).join(", ")}
+              </span>
+            ) : null}
+          </div>
+
+          {preview.warnings?.length ? (
+            <ul className="text-amber-700 list-disc pl-5">
+              {preview.warnings.slice(0, 10).map((w, i) => (
+                <li key={i}>{w}</li>
+              ))}
+              {preview.warnings.length > 10 && <li>…and {preview.warnings.length - 10} more</li>}
+            </ul>
+          ) : null}
+
+          <table className="w-full">
+            <thead>
+              <tr className="text-left border-b">
+                {["", "WBS", "Item", "Start", "Finish", "Changes"].map((h, i) => (
+                  <th key={i} className="p-1">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => {
+                const v = r.after || r.before;
+                return (
+                  <tr key={i} className="border-b align-top">
+                    <td className="p-1">
+                      <span className={"px-2 py-0.5 rounded text-xs " + CHANGE_STYLES[r.change]}>{r.change}</span>
+                    </td>
+                    <td className="p-1 whitespace-nowrap">{r.wbsCode || "—"}</td>
+                    <td className="p-1">
+                      {r.title}
+                      {v.type === "deliverable" ? <span className="text-gray-500"> (deliverable of {v.parent})</span> : null}
+                      {v.wbsPath ? <div className="text-xs text-gray-500">{v.wbsPath}</div> : null}
+                    </td>
+                    <td className="p-1 whitespace-nowrap">{v.start}</td>
+                    <td className="p-1 whitespace-nowrap">{v.finish}</td>
+                    <td className="p-1 text-xs">
+                      {r.fields.map((f) => (
+                        <div key={f}>
+                          <span className="text-gray-500">{FIELD_LABELS[f] || f}:</span> {showValue(r.before[f])} →{" "}
+                          {showValue(r.after[f])}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+              {!rows.length && (
+                <tr>
+                  <td className="p-1 text-gray-500" colSpan={6}>
+                    Nothing changes.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap gap-3 items-center">
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={showSame} onChange={(e) => setShowSame(e.target.checked)} />
+              Show unchanged
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={keepMissing} onChange={(e) => setKeepMissing(e.target.checked)} />
+              Keep plan items that are not in the file
+            </label>
+            <button type="button" className="btn btn-primary ml-auto" disabled={busy} onClick={apply}>
+              Apply import
+            </button>
+            <button type="button" className="btn btn-sm" disabled={busy} onClick={() => setPreview(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
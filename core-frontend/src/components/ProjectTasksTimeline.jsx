@@ -74,6 +74,7 @@ const STATUS_COLORS = {
 };
 
 const OVERDUE_COLOR = "#ff0101a1";  // red tail after due date
+const BASELINE_COLOR = "#6b7280";   // thin bar under the plan
 const WEEKEND_BG    = "#51515245";  // weekend tint
 const ZEBRA_A       = "transparent";
 const ZEBRA_B       = "#0000000a";
@@ -92,6 +93,7 @@ export default function ProjectTasksTimeline({
   projectStart = null,
   projectEnd   = null,
   title = "Tasks timeline",
+  baseline = null,     // a project baseline (GET /projects/:id/baselines/:bid) or its items
 }) {
   const projStartF = floorLocal(projectStart);
   const projEndF   = floorLocal(projectEnd);
@@ -102,6 +104,19 @@ export default function ProjectTasksTimeline({
     [tasks, projStartF]
   );
 
+  // task id -> { start, end } as baselined
+  const baselineById = useMemo(() => {
+    const items = Array.isArray(baseline) ? baseline : baseline?.items || [];
+    const m = new Map();
+    items
+      .filter(i => i.kind === "task")
+      .forEach(i => m.set(String(i.refId), {
+        start: floorLocal(i.plannedStart),
+        end: floorLocal(i.plannedFinish || i.plannedStart),
+      }));
+    return m;
+  }, [baseline]);
+
   /* ---------------- Calendar window (LOCKED to project range if provided) ---------------- */
   const cal = useMemo(() => {
     const today = floorLocal(new Date());
@@ -329,6 +344,12 @@ export default function ProjectTasksTimeline({
             const overdueSpan   = overdue ? Math.max(1, overdueEndIdx - endIdx) : 0;
 
             const color = STATUS_COLORS[t.status] || "#111827c0";
+
+            // baseline bar + finish slip (days, + = later than baselined)
+            const bl = baselineById.get(t.id);
+            const blStartIdx = bl?.start ? Math.max(0, diffDays(cal.rangeStart, bl.start)) : null;
+            const blEndIdx   = bl?.end ? Math.min(cal.dayObjs.length - 1, diffDays(cal.rangeStart, bl.end)) : null;
+            const slip = bl?.end ? diffDays(bl.end, t.end) : 0;
             const barCommon = {
               gridRow: `${row} / ${row + 1}`,
               height: Math.max(16, ROW_H - 10),
@@ -350,9 +371,28 @@ export default function ProjectTasksTimeline({
                     border: "2px solid transparent",
                     opacity: 0.96,
                   }}
-                  title={`${t.name} (${t.status}) • ${fmt(t.start)} → ${fmt(t.end)}`}
+                  title={`${t.name} (${t.status}) • ${fmt(t.start)} → ${fmt(t.end)}${
+                    bl ? ` • baseline ${fmt(bl.start)} → ${fmt(bl.end)}${slip ? ` (${slip > 0 ? "+" : ""}${slip}d)` : ""}` : ""
+                  }`}
                 />
 
+                {/* baseline segment */}
+                {bl && blStartIdx != null && blEndIdx != null && blEndIdx >= blStartIdx && (
+                  <div
+                    style={{
+                      gridRow: `${row} / ${row + 1}`,
+                      gridColumn: `${blStartIdx + 2} / span ${blEndIdx - blStartIdx + 1}`,
+                      height: 4,
+                      alignSelf: "end",
+                      marginBottom: 1,
+                      borderRadius: 2,
+                      background: BASELINE_COLOR,
+                      zIndex: 2,
+                      pointerEvents: "none",
+                    }}
+                  />
+                )}
+
                 {/* overdue tail (due → today) */}
                 {overdue && (
                   <div
@@ -387,6 +427,9 @@ export default function ProjectTasksTimeline({
         <span><span style={{display:"inline-block", width:12, height:12, background:"#800d0d7e", borderRadius:2, marginRight:6}} />Paused – problem</span>
         <span><span style={{display:"inline-block", width:12, height:12, background:"#05743780", borderRadius:2, marginRight:6}} />Finished</span>
         <span><span style={{display:"inline-block", width:12, height:12, background:OVERDUE_COLOR, borderRadius:2, marginRight:6}} />Overdue</span>
+        {baselineById.size > 0 && (
+          <span><span style={{display:"inline-block", width:12, height:4, background:BASELINE_COLOR, borderRadius:2, marginRight:6, verticalAlign:"middle"}} />Baseline</span>
+        )}
         <span style={{marginLeft:8}}>Weekend shading + red “today” line</span>
       </div>
     </div>
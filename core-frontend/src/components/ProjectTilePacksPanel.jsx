@@ -0,0 +1,266 @@
+// src/components/ProjectTilePacksPanel.jsx
+import { useEffect, useState } from "react";
+import {
+  createTilePack,
+  deleteTilePack,
+  downloadTilePackage,
+  estimateTilePack,
+  getTileSource,
+  listTilePacks,
+  rebuildTilePack,
+} from "../lib/tilePacks";
+
+const errText = (e) => e?.response?.data?.error || String(e);
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+function fmtBytes(n) {
+  const b = Number(n) || 0;
+  if (b < 1024) return `${b} B`;
+  if (b < 1024 * 1024) return `${(b / 1024).toFixed(1)} KB`;
+  if (b < 1024 * 1024 * 1024) return `${(b / 1024 / 1024).toFixed(1)} MB`;
+  return `${(b / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+const STATUS_STYLES = {
+  queued: "bg-gray-100 text-gray-700",
+  building: "bg-amber-100 text-amber-800",
+  ready: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  expired: "bg-gray-200 text-gray-600",
+};
+
+/**
+ * Offline base-map packs for one project. The extent is the project's (and its
+ * tasks') fences plus padding; the mobile app downloads ready packs for use
+ * without signal. Packs still building are polled until they settle.
+ */
+export default function ProjectTilePacksPanel({ projectId, canManage = false }) {
+  const [source, setSource] = useState(null);
+  const [packs, setPacks] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [form, setForm] = useState({ name: "", minZoom: 12, maxZoom: 17, paddingM: 250, ttlDays: "" });
+  const [est, setEst] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    getTileSource()
+      .then(setSource)
+      .catch(() => setSource(null));
+  }, []);
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+    let alive = true;
+    listTilePacks({ projectId })
+      .then((r) => {
+        if (!alive) return;
+        setPacks(r.packs);
+        setUsage(r.usage);
+      })
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, reloadKey]);
+
+  // poll while anything is queued or building
+  const pending = packs.some((p) => p.status === "queued" || p.status === "building");
+  useEffect(() => {
+    if (!pending) return undefined;
+    const t = setTimeout(() => setReloadKey((k) => k + 1), 5000);
+    return () => clearTimeout(t);
+  }, [pending, packs]);
+
+  // estimate as the extent settings change
+  useEffect(() => {
+    if (!canManage || !projectId || !source?.configured) return undefined;
+    let alive = true;
+    const t = setTimeout(() => {
+      estimateTilePack({ projectId, minZoom: form.minZoom, maxZoom: form.maxZoom, paddingM: form.paddingM })
+        .then((r) => alive && setEst(r))
+        .catch((e) => alive && setEst({ error: errText(e) }));
+    }, 400);
+    return () => {
+      alive = false;
+      clearTimeout(t);
+    };
+  }, [canManage, projectId, source, form.minZoom, form.maxZoom, form.paddingM]);
+
+  async function run(fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      await fn();
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      setErr(errText(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const create = (e) => {
+    e.preventDefault();
+    run(() =>
+      createTilePack({
+        projectId,
+        name: form.name || undefined,
+        minZoom: Number(form.minZoom),
+        maxZoom: Number(form.maxZoom),
+        paddingM: Number(form.paddingM) || 0,
+        ttlDays: form.ttlDays === "" ? undefined : Number(form.ttlDays),
+      }),
+    );
+  };
+
+  const remove = (p) => {
+    if (!window.confirm(`Delete "${p.name}"? Devices keep their copy until it expires.`)) return;
+    run(() => deleteTilePack(p._id));
+  };
+
+  const download = (p) =>
+    run(async () => {
+      const blob = await downloadTilePackage(p._id);
+      triggerDownload(blob, `${String(p.name).replace(/[^\w.-]+/g, "_")}.tilepack.zip`);
+    });
+
+  const set = (k) => (e) => setForm({ ...form, [k]: e.target.value });
+  const overLimit = est && !est.error && est.tileCount > est.limits.maxTiles;
+  const overQuota =
+    est && !est.error && est.usage.usedBytes + est.usage.pendingBytes + est.estimatedBytes > est.usage.quotaBytes;
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+      {source && !source.configured && (
+        <div className="text-amber-700">
+          No tile source is configured on the server (TILEPACK_SOURCE_DIR or TILEPACK_SOURCE_URL), so packs cannot be built.
+        </div>
+      )}
+      {usage && (
+        <div className="text-gray-600">
+          Organisation storage: {fmtBytes(usage.usedBytes)} of {fmtBytes(usage.quotaBytes)}
+          {usage.pendingBytes ? ` (+ ~${fmtBytes(usage.pendingBytes)} building)` : ""}
+        </div>
+      )}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left border-b">
+            {["Pack", "Zoom", "Tiles", "Size", "Built", "Expires", "Status", ""].map((h) => (
+              <th key={h} className="p-1">
+                {h}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {packs.map((p) => (
+            <tr key={p._id} className="border-b">
+              <td className="p-1">{p.name}</td>
+              <td className="p-1">
+                {p.minZoom}–{p.maxZoom}
+              </td>
+              <td className="p-1">
+                {p.status === "building" ? `${p.progress?.done || 0} / ${p.progress?.total || 0}` : p.tileCount || p.estimatedTiles}
+                {p.missingTiles ? <span className="text-xs text-gray-500"> ({p.missingTiles} not in source)</span> : null}
+              </td>
+              <td className="p-1">{p.status === "ready" ? fmtBytes(p.bytes) : `~${fmtBytes(p.estimatedBytes)}`}</td>
+              <td className="p-1">{showDate(p.builtAt)}</td>
+              <td className="p-1">{showDate(p.expiresAt)}</td>
+              <td className="p-1">
+                <span className={"px-2 py-0.5 rounded text-xs " + (STATUS_STYLES[p.status] || "")} title={p.error || ""}>
+                  {p.status}
+                </span>
+              </td>
+              <td className="p-1 text-right whitespace-nowrap">
+                {p.status === "ready" && (
+                  <button type="button" className="btn btn-sm" disabled={busy} onClick={() => download(p)}>
+                    Download
+                  </button>
+                )}
+                {canManage && p.status !== "building" && p.status !== "queued" && (
+                  <button type="button" className="btn btn-sm ml-1" disabled={busy} onClick={() => run(() => rebuildTilePack(p._id))}>
+                    Rebuild
+                  </button>
+                )}
+                {canManage && p.status !== "building" && (
+                  <button type="button" className="btn btn-sm ml-1" disabled={busy} onClick={() => remove(p)}>
+                    Delete
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {!packs.length && (
+            <tr>
+              <td className="p-1 text-gray-500" colSpan={8}>
+                No offline map packs for this project.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {canManage && source?.configured && (
+        <form onSubmit={create} className="flex flex-wrap gap-2 items-end border-t pt-3">
+          <label>
+            Name
+            <input className="block border p-1 rounded" placeholder="optional" value={form.name} onChange={set("name")} />
+          </label>
+          <label>
+            Min zoom
+            <input className="block border p-1 rounded w-20" type="number" min={0} max={source.limits.maxZoom} value={form.minZoom} onChange={set("minZoom")} />
+          </label>
+          <label>
+            Max zoom
+            <input className="block border p-1 rounded w-20" type="number" min={0} max={source.limits.maxZoom} value={form.maxZoom} onChange={set("maxZoom")} />
+          </label>
+          <label>
+            Padding (m)
+            <input className="block border p-1 rounded w-24" type="number" min={0} value={form.paddingM} onChange={set("paddingM")} />
+          </label>
+          <label>
+            Expires after (days)
+            <input
+              className="block border p-1 rounded w-24"
+              type="number"
+              min={1}
+              placeholder={String(source.limits.ttlDays)}
+              value={form.ttlDays}
+              onChange={set("ttlDays")}
+            />
+          </label>
+          <button className="btn btn-primary" disabled={busy || !est || !!est.error || overLimit || overQuota}>
+            Build pack
+          </button>
+          <div className="basis-full text-gray-600">
+            {!est && "Estimating…"}
+            {est?.error && <span className="text-red-600">{est.error}</span>}
+            {est && !est.error && (
+              <>
+                Extent from {est.fenceCount} fence{est.fenceCount === 1 ? "" : "s"}: {est.tileCount} tiles, about{" "}
+                {fmtBytes(est.estimatedBytes)}.
+                {overLimit && <span className="text-red-600"> Over the {est.limits.maxTiles}-tile limit; lower the max zoom or padding.</span>}
+                {overQuota && <span className="text-red-600"> Would exceed the storage quota; delete an old pack first.</span>}
+              </>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
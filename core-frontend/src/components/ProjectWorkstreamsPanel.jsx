@@ -0,0 +1,309 @@
+// src/components/ProjectWorkstreamsPanel.jsx
+import { useEffect, useState } from "react";
+import {
+  adoptWorkstreamNames,
+  createWorkstream,
+  deleteWorkstream,
+  listWorkstreams,
+  reorderWorkstreams,
+  updateWorkstream,
+} from "../lib/workstreams";
+
+const errText = (e) => e?.response?.data?.error || String(e);
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+const STATUSES = ["planned", "active", "on-hold", "completed", "cancelled"];
+const STATUS_STYLES = {
+  planned: "bg-gray-100 text-gray-700",
+  active: "bg-blue-100 text-blue-800",
+  "on-hold": "bg-amber-100 text-amber-800",
+  completed: "bg-green-100 text-green-800",
+  cancelled: "bg-gray-200 text-gray-600",
+};
+
+const BLANK = { name: "", code: "", ownerUserId: "", color: "#64748b", status: "planned", amount: "", currency: "" };
+
+const toForm = (w) => ({
+  name: w.name || "",
+  code: w.code || "",
+  ownerUserId: w.ownerUserId ? String(w.ownerUserId) : "",
+  color: w.color || "#64748b",
+  status: w.status || "planned",
+  amount: w.budget?.amount ?? "",
+  currency: w.budget?.currency || "",
+});
+
+const toBody = (f) => ({
+  name: f.name,
+  code: f.code,
+  ownerUserId: f.ownerUserId || null,
+  color: f.color,
+  status: f.status,
+  budget: { amount: f.amount === "" ? null : Number(f.amount), currency: f.currency },
+});
+
+function fmtBudget(b) {
+  if (b?.amount == null) return "—";
+  return `${b.currency ? `${b.currency} ` : ""}${Number(b.amount).toLocaleString()}`;
+}
+
+/**
+ * Workstreams (lanes) of one project with progress rolled up from their tasks.
+ * A rename is copied onto the tasks and milestones; deleting detaches them.
+ * The Gantt groups tasks into swimlanes by these.
+ */
+export default function ProjectWorkstreamsPanel({ projectId, users = [], canManage = false, onChange }) {
+  const [rows, setRows] = useState([]);
+  const [form, setForm] = useState(BLANK);
+  const [editId, setEditId] = useState("");
+  const [edit, setEdit] = useState(BLANK);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+    let alive = true;
+    listWorkstreams(projectId)
+      .then((r) => alive && setRows(r))
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [projectId, reloadKey]);
+
+  async function run(fn) {
+    setErr("");
+    setInfo("");
+    setBusy(true);
+    try {
+      const msg = await fn();
+      if (typeof msg === "string") setInfo(msg);
+      setReloadKey((k) => k + 1);
+      onChange?.();
+    } catch (e) {
+      setErr(errText(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const create = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createWorkstream({ projectId, ...toBody(form) });
+      setForm(BLANK);
+    });
+  };
+
+  const save = (w) =>
+    run(async () => {
+      const r = await updateWorkstream(w._id, toBody(edit));
+      setEditId("");
+      if (r.renamed) return `Renamed on ${r.renamed.tasks} task(s) and ${r.renamed.milestones} milestone(s).`;
+      return undefined;
+    });
+
+  const remove = (w) => {
+    if (!window.confirm(`Delete workstream "${w.name}"? Its tasks and milestones stay, without a workstream.`)) return;
+    run(() => deleteWorkstream(w._id));
+  };
+
+  const move = (i, dir) => {
+    const ids = rows.map((w) => w._id);
+    const j = i + dir;
+    if (j < 0 || j >= ids.length) return;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+    run(() => reorderWorkstreams(projectId, ids));
+  };
+
+  const adopt = () =>
+    run(async () => {
+      const r = await adoptWorkstreamNames(projectId);
+      return `${r.created} workstream(s) created; linked ${r.linked.tasks} task(s) and ${r.linked.milestones} milestone(s).`;
+    });
+
+  const userName = (u) => u.name || u.email || u.username;
+  const fields = (f, setF) => (
+    <>
+      <input
+        className="border p-1 rounded w-40"
+        placeholder="Name"
+        value={f.name}
+        onChange={(e) => setF({ ...f, name: e.target.value })}
+        required
+      />
+      <input
+        className="border p-1 rounded w-20"
+        placeholder="Code"
+        value={f.code}
+        onChange={(e) => setF({ ...f, code: e.target.value })}
+      />
+      <select className="border p-1 rounded" value={f.ownerUserId} onChange={(e) => setF({ ...f, ownerUserId: e.target.value })}>
+        <option value="">— owner —</option>
+        {users.map((u) => (
+          <option key={u._id} value={String(u._id)}>
+            {userName(u)}
+          </option>
+        ))}
+      </select>
+      <input
+        type="color"
+        className="border rounded h-8 w-10"
+        value={f.color}
+        onChange={(e) => setF({ ...f, color: e.target.value })}
+        title="Colour"
+      />
+      <select className="border p-1 rounded" value={f.status} onChange={(e) => setF({ ...f, status: e.target.value })}>
+        {STATUSES.map((s) => (
+          <option key={s} value={s}>
+            {s}
+          </option>
+        ))}
+      </select>
+      <input
+        className="border p-1 rounded w-24"
+        type="number"
+        min={0}
+        placeholder="Budget"
+        value={f.amount}
+        onChange={(e) => setF({ ...f, amount: e.target.value })}
+      />
+      <input
+        className="border p-1 rounded w-16"
+        placeholder="CCY"
+        maxLength={3}
+        value={f.currency}
+        onChange={(e) => setF({ ...f, currency: e.target.value.toUpperCase() })}
+      />
+    </>
+  );
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+      {info && <div className="text-green-700">{info}</div>}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left border-b">
+            {["", "Workstream", "Owner", "Status", "Budget", "Progress", "Planned", ""].map((h, i) => (
+              <th key={i} className="p-1">
+                {h}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((w, i) =>
+            editId === w._id ? (
+              <tr key={w._id} className="border-b">
+                <td className="p-1" colSpan={7}>
+                  <div className="flex flex-wrap gap-2 items-center">{fields(edit, setEdit)}</div>
+                </td>
+                <td className="p-1 text-right whitespace-nowrap">
+                  <button type="button" className="btn btn-sm" disabled={busy || !edit.name.trim()} onClick={() => save(w)}>
+                    Save
+                  </button>
+                  <button type="button" className="btn btn-sm ml-1" onClick={() => setEditId("")}>
+                    Cancel
+                  </button>
+                </td>
+              </tr>
+            ) : (
+              <tr key={w._id} className="border-b">
+                <td className="p-1 whitespace-nowrap">
+                  {canManage && (
+                    <>
+                      <button type="button" className="px-1" disabled={busy || i === 0} onClick={() => move(i, -1)} title="Move up">
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="px-1"
+                        disabled={busy || i === rows.length - 1}
+                        onClick={() => move(i, 1)}
+                        title="Move down"
+                      >
+                        ↓
+                      </button>
+                    </>
+                  )}
+                </td>
+                <td className="p-1">
+                  <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ background: w.color }} />
+                  {w.code ? <span className="text-gray-500 mr-1">{w.code}</span> : null}
+                  {w.name}
+                </td>
+                <td className="p-1">{w.ownerName || "—"}</td>
+                <td className="p-1">
+                  <span className={"px-2 py-0.5 rounded text-xs " + (STATUS_STYLES[w.status] || "")}>{w.status}</span>
+                </td>
+                <td className="p-1">{fmtBudget(w.budget)}</td>
+                <td className="p-1 min-w-[10rem]">
+                  <div className="h-2 rounded bg-gray-100 overflow-hidden">
+                    <div className="h-2" style={{ width: `${w.progress.percent}%`, background: w.color }} />
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {w.progress.percent}% · {w.progress.completed}/{w.progress.tasks} tasks
+                    {w.progress.overdue ? <span className="text-red-600"> · {w.progress.overdue} overdue</span> : null}
+                    {w.progress.milestones ? ` · ${w.progress.milestonesDone}/${w.progress.milestones} milestones` : ""}
+                  </div>
+                </td>
+                <td className="p-1 whitespace-nowrap">
+                  {showDate(w.progress.plannedStart)} → {showDate(w.progress.plannedEnd)}
+                </td>
+                <td className="p-1 text-right whitespace-nowrap">
+                  {canManage && (
+                    <>
+                      <button
+                        type="button"
+                        className="btn btn-sm"
+                        disabled={busy}
+                        onClick={() => {
+                          setEditId(w._id);
+                          setEdit(toForm(w));
+                        }}
+                      >
+                        Edit
+                      </button>
+                      <button type="button" className="btn btn-sm ml-1" disabled={busy} onClick={() => remove(w)}>
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ),
+          )}
+          {!rows.length && (
+            <tr>
+              <td className="p-1 text-gray-500" colSpan={8}>
+                No workstreams for this project.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {canManage && (
+        <form onSubmit={create} className="flex flex-wrap gap-2 items-center border-t pt-3">
+          {fields(form, setForm)}
+          <button className="btn btn-primary" disabled={busy || !form.name.trim()}>
+            Add workstream
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm ml-auto"
+            disabled={busy}
+            onClick={adopt}
+            title="Create workstreams from lane names already typed on tasks and link them"
+          >
+            Link existing lane names
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
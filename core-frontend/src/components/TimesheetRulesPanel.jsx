@@ -0,0 +1,217 @@
+// src/components/TimesheetRulesPanel.jsx
+import React, { useEffect, useState } from "react";
+import { getTimesheetRules, updateTimesheetRules } from "../lib/timesheetApi";
+
+const MULTIPLIERS = [
+  ["overtime", "Overtime"],
+  ["saturday", "Saturday"],
+  ["sunday", "Sunday"],
+  ["publicHoliday", "Public holiday"],
+];
+
+const LIMITS = [
+  ["maxShiftHours", "Long shift after (h)"],
+  ["minShiftMinutes", "Short shift under (min)"],
+  ["duplicateWindowMinutes", "Duplicate punch window (min)"],
+];
+
+const blank = (v) => (v === null || v === undefined ? "" : String(v));
+
+// Server rules -> string form fields (blank leave hours = daily normal hours)
+function toForm(r) {
+  return {
+    timezone: r.timezone || "",
+    dailyNormalHours: blank(r.dailyNormalHours),
+    weeklyNormalHours: blank(r.weeklyNormalHours),
+    leaveHoursPerDay: blank(r.leaveHoursPerDay),
+    breaks: (r.breaks || []).map((b) => ({ afterHours: blank(b.afterHours), minutes: blank(b.minutes) })),
+    multipliers: Object.fromEntries(MULTIPLIERS.map(([k]) => [k, blank(r.multipliers?.[k])])),
+    publicHolidays: (r.publicHolidays || []).join("\n"),
+    maxShiftHours: blank(r.maxShiftHours),
+    minShiftMinutes: blank(r.minShiftMinutes),
+    duplicateWindowMinutes: blank(r.duplicateWindowMinutes),
+  };
+}
+
+// Blank fields go up as null so the server falls back to its default
+function toRules(f) {
+  const n = (v) => (String(v).trim() === "" ? null : Number(v));
+  return {
+    timezone: f.timezone.trim() || null,
+    dailyNormalHours: n(f.dailyNormalHours),
+    weeklyNormalHours: n(f.weeklyNormalHours),
+    leaveHoursPerDay: n(f.leaveHoursPerDay),
+    breaks: f.breaks
+      .filter((b) => String(b.minutes).trim() !== "")
+      .map((b) => ({ afterHours: Number(b.afterHours) || 0, minutes: Number(b.minutes) || 0 })),
+    multipliers: Object.fromEntries(MULTIPLIERS.map(([k]) => [k, n(f.multipliers[k])])),
+    publicHolidays: f.publicHolidays
+      .split(/[\s,]+/)
+      .map((s) => s.trim())
+      .filter(Boolean),
+    maxShiftHours: n(f.maxShiftHours),
+    minShiftMinutes: n(f.minShiftMinutes),
+    duplicateWindowMinutes: n(f.duplicateWindowMinutes),
+  };
+}
+
+/**
+ * Org timesheet rules (Org.settings.timesheets): normal hours, unpaid breaks,
+ * pay multipliers, public holidays and punch-flag limits. Blank = server default.
+ */
+export default function TimesheetRulesPanel({ onSaved }) {
+  const [form, setForm] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    getTimesheetRules()
+      .then((r) => {
+        if (!alive) return;
+        setForm(toForm(r.rules || {}));
+        setDefaults(r.defaults || null);
+      })
+      .catch((e) => alive && setErr(e?.response?.data?.error || String(e)));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  async function save(e) {
+    e.preventDefault();
+    setErr("");
+    setInfo("");
+    setBusy(true);
+    try {
+      const r = await updateTimesheetRules(toRules(form));
+      setForm(toForm(r.rules || {}));
+      setInfo("Rules saved. Re-run the report to apply them.");
+      onSaved?.(r.rules);
+    } catch (ex) {
+      setErr(ex?.response?.data?.error || String(ex));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!form) return err ? <div className="text-sm text-red-600">{err}</div> : null;
+
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const hint = (k) => (defaults && defaults[k] != null ? `default ${defaults[k]}` : "");
+  const field = (k, label, placeholder = hint(k)) => (
+    <label key={k} className="text-sm">
+      {label}
+      <input
+        type="number"
+        step="any"
+        min={0}
+        className="border rounded p-1 ml-2 w-24"
+        placeholder={placeholder}
+        value={form[k]}
+        onChange={(e) => set({ [k]: e.target.value })}
+      />
+    </label>
+  );
+
+  return (
+    <form onSubmit={save} className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+      {info && <div className="text-green-700">{info}</div>}
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm">
+          Timezone
+          <input
+            className="border rounded p-1 ml-2 w-44"
+            placeholder={defaults?.timezone || "Africa/Johannesburg"}
+            value={form.timezone}
+            onChange={(e) => set({ timezone: e.target.value })}
+          />
+        </label>
+        {field("dailyNormalHours", "Normal hours / day")}
+        {field("weeklyNormalHours", "Normal hours / week")}
+        {field("leaveHoursPerDay", "Leave hours / day", "= normal / day")}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        {MULTIPLIERS.map(([k, label]) => (
+          <label key={k} className="text-sm">
+            {label} ×
+            <input
+              type="number"
+              step="any"
+              min={0}
+              className="border rounded p-1 ml-2 w-20"
+              placeholder={defaults?.multipliers?.[k] != null ? String(defaults.multipliers[k]) : ""}
+              value={form.multipliers[k]}
+              onChange={(e) => set({ multipliers: { ...form.multipliers, [k]: e.target.value } })}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        <div className="font-medium">Unpaid breaks</div>
+        {form.breaks.map((b, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span>After</span>
+            <input
+              type="number"
+              step="any"
+              min={0}
+              className="border rounded p-1 w-20"
+              value={b.afterHours}
+              onChange={(e) =>
+                set({ breaks: form.breaks.map((x, j) => (j === i ? { ...x, afterHours: e.target.value } : x)) })
+              }
+            />
+            <span>h worked, deduct</span>
+            <input
+              type="number"
+              min={0}
+              className="border rounded p-1 w-20"
+              value={b.minutes}
+              onChange={(e) =>
+                set({ breaks: form.breaks.map((x, j) => (j === i ? { ...x, minutes: e.target.value } : x)) })
+              }
+            />
+            <span>min</span>
+            <button
+              type="button"
+              className="btn btn-sm"
+              onClick={() => set({ breaks: form.breaks.filter((_, j) => j !== i) })}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn btn-sm"
+          onClick={() => set({ breaks: [...form.breaks, { afterHours: "", minutes: "" }] })}
+        >
+          Add break rule
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-start gap-3">
+        <label className="text-sm">
+          Public holidays (YYYY-MM-DD, one per line)
+          <textarea
+            className="border rounded p-1 block w-48 h-24 font-mono"
+            value={form.publicHolidays}
+            onChange={(e) => set({ publicHolidays: e.target.value })}
+          />
+        </label>
+        <div className="flex flex-col gap-2">{LIMITS.map(([k, label]) => field(k, label))}</div>
+      </div>
+
+      <button className="btn btn-accent" disabled={busy}>
+        {busy ? "Saving…" : "Save rules"}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,140 @@
+// src/components/TripRouteReplay.jsx
+import { useEffect, useMemo, useState } from "react";
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip, useMap } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+
+const SPEEDS = [1, 4, 16];
+const TICK_MS = 200;
+
+function FitToPath({ positions }) {
+  const map = useMap();
+  useEffect(() => {
+    if (positions.length > 1) map.fitBounds(positions, { padding: [20, 20] });
+    else if (positions.length === 1) map.setView(positions[0], 15);
+  }, [map, positions]);
+  return null;
+}
+
+function kmBetween(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Replays a VehicleTripTrack: the whole route in grey, the driven part in blue and
+ * a marker at the current point. Play/pause steps through the captured points.
+ * Give it a `key` per trip so playback state resets when the track changes.
+ */
+export default function TripRouteReplay({ track, height = 420 }) {
+  const positions = useMemo(
+    () => (track?.path?.coordinates || []).map(([lng, lat]) => [lat, lng]),
+    [track],
+  );
+  const times = useMemo(() => (track?.times || []).map((t) => new Date(t)), [track]);
+  const cumulativeKm = useMemo(() => {
+    const out = [0];
+    for (let i = 1; i < positions.length; i++) out.push(out[i - 1] + kmBetween(positions[i - 1], positions[i]));
+    return out;
+  }, [positions]);
+
+  const [idx, setIdx] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[0]);
+  const last = Math.max(0, positions.length - 1);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const h = setInterval(() => {
+      setIdx((i) => {
+        const next = Math.min(last, i + speed);
+        if (next >= last) setPlaying(false);
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(h);
+  }, [playing, speed, last]);
+
+  if (!positions.length) {
+    return (
+      <div className="flex items-center justify-center border rounded-lg text-sm text-gray-500 bg-white" style={{ height }}>
+        No GPS points recorded for this trip.
+      </div>
+    );
+  }
+
+  const at = times[idx];
+  const prevAt = times[idx - 1];
+  const legKmh =
+    idx > 0 && at && prevAt && at - prevAt > 0
+      ? (kmBetween(positions[idx - 1], positions[idx]) / ((at - prevAt) / 3600000)).toFixed(0)
+      : null;
+
+  return (
+    <div className="space-y-2">
+      <div className="relative border rounded-lg overflow-hidden bg-white" style={{ height }}>
+        <MapContainer center={positions[0]} zoom={13} style={{ width: "100%", height: "100%" }}>
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a> contributors'
+          />
+          <FitToPath positions={positions} />
+          <Polyline positions={positions} pathOptions={{ color: "#9ca3af", weight: 4 }} />
+          <Polyline positions={positions.slice(0, idx + 1)} pathOptions={{ color: "#2563eb", weight: 5 }} />
+          <CircleMarker center={positions[0]} radius={6} pathOptions={{ color: "#16a34a", fillOpacity: 1 }}>
+            <Tooltip>Start</Tooltip>
+          </CircleMarker>
+          <CircleMarker center={positions[last]} radius={6} pathOptions={{ color: "#dc2626", fillOpacity: 1 }}>
+            <Tooltip>End</Tooltip>
+          </CircleMarker>
+          <CircleMarker center={positions[idx]} radius={8} pathOptions={{ color: "#1d4ed8", fillColor: "#fff", fillOpacity: 1 }} />
+        </MapContainer>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          type="button"
+          className="btn btn-sm"
+          onClick={() => {
+            if (idx >= last) setIdx(0);
+            setPlaying((p) => !p);
+          }}
+        >
+          {playing ? "Pause" : idx >= last ? "Replay" : "Play"}
+        </button>
+        <select
+          className="p-1 border border-border rounded"
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          title="Points per step"
+        >
+          {SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s}×
+            </option>
+          ))}
+        </select>
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={idx}
+          onChange={(e) => {
+            setPlaying(false);
+            setIdx(Number(e.target.value));
+          }}
+          className="flex-1 min-w-[160px]"
+        />
+      </div>
+      <div className="text-xs text-gray-600">
+        Point {idx + 1} of {positions.length}
+        {at && !Number.isNaN(at.getTime()) ? ` · ${at.toLocaleString()}` : ""}
+        {` · ${cumulativeKm[idx].toFixed(1)} km`}
+        {legKmh != null ? ` · ~${legKmh} km/h` : ""}
+        {track?.droppedPoints ? ` · ${track.droppedPoints} noisy point(s) dropped` : ""}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+// src/components/VehicleFuelPanel.jsx
+import { useEffect, useState } from "react";
+import { getFuelAnalytics } from "../lib/purchases";
+import MonthlyTrendChart from "./MonthlyTrendChart";
+
+const PERIODS = [6, 12, 24];
+
+const OUTLIER_LABELS = {
+  "high-consumption": "High consumption",
+  "odometer-backwards": "Odometer backwards",
+  "price-mismatch": "Slip total mismatch",
+};
+
+const fmt = (v, dp = 2) => (v == null ? "—" : Number(v).toLocaleString(undefined, { maximumFractionDigits: dp }));
+
+function periodStart(months) {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1)).toISOString().slice(0, 10);
+}
+
+function Fact({ label, value, hint }) {
+  return (
+    <div className="rounded-lg border border-border p-2 bg-white" title={hint}>
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+    </div>
+  );
+}
+
+/**
+ * Fuel consumption (full-to-full L/100km), running cost per km and outliers for a
+ * vehicle. `refreshKey` changes whenever purchases are added / edited so the
+ * figures follow the table above.
+ */
+export default function VehicleFuelPanel({ vehicleId, refreshKey }) {
+  const [months, setMonths] = useState(12);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!vehicleId) return undefined;
+    let alive = true;
+    setLoading(true);
+    setErr("");
+    getFuelAnalytics(vehicleId, { from: periodStart(months) })
+      .then((d) => alive && setData(d))
+      .catch((e) => alive && setErr(e?.response?.data?.error || String(e)))
+      .finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [vehicleId, months, refreshKey]);
+
+  const t = data?.totals;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-gray-600">Period</span>
+        <select
+          className="p-1 border border-border rounded"
+          value={months}
+          onChange={(e) => setMonths(Number(e.target.value))}
+        >
+          {PERIODS.map((m) => (
+            <option key={m} value={m}>
+              Last {m} months
+            </option>
+          ))}
+        </select>
+        {loading && <span className="text-gray-500">Loading…</span>}
+      </div>
+
+      {err && <div className="rounded border border-red-200 bg-red-50 p-2 text-sm">{err}</div>}
+
+      {t && (
+        <>
+          <div className="grid gap-2 grid-cols-2 md:grid-cols-4 lg:grid-cols-7">
+            <Fact label="Fuel fills" value={`${t.fills} · ${fmt(t.litres, 0)} L`} />
+            <Fact
+              label="Avg L/100km"
+              value={fmt(t.avgLPer100)}
+              hint="Full-to-full: litres between full-tank fills over the odometer distance"
+            />
+            <Fact label="Median L/100km" value={fmt(t.medianLPer100)} />
+            <Fact label="Distance" value={`${fmt(t.km, 0)} km`} />
+            <Fact label="Fuel cost / km" value={fmt(t.fuelCostPerKm)} />
+            <Fact
+              label="Total cost / km"
+              value={fmt(t.costPerKm)}
+              hint="Fuel + maintenance (logbook costs and service / repair / tyres / parts) + other purchases"
+            />
+            <Fact label="Total cost" value={fmt(t.totalCost, 0)} />
+          </div>
+
+          {!data.segments.length && (
+            <div className="text-sm text-gray-500">
+              No consumption yet: record fuel purchases with litres, odometer and the full-tank flag. Consumption is
+              measured between two full-tank fills.
+            </div>
+          )}
+
+          <div className="grid gap-3 lg:grid-cols-3">
+            <div className="rounded-lg border border-border bg-white p-2">
+              <div className="text-sm font-medium mb-1">Consumption (L/100km)</div>
+              <MonthlyTrendChart
+                data={data.monthly}
+                series={[{ key: "lPer100", label: "L/100km", color: "#2563eb", type: "line" }]}
+              />
+            </div>
+            <div className="rounded-lg border border-border bg-white p-2">
+              <div className="text-sm font-medium mb-1">Monthly cost</div>
+              <MonthlyTrendChart
+                data={data.monthly}
+                format={(v) => fmt(v, 0)}
+                series={[
+                  { key: "fuelCost", label: "Fuel", color: "#f59e0b", stack: "cost" },
+                  { key: "maintenanceCost", label: "Maintenance", color: "#6366f1", stack: "cost" },
+                  { key: "otherCost", label: "Other", color: "#9ca3af", stack: "cost" },
+                ]}
+              />
+            </div>
+            <div className="rounded-lg border border-border bg-white p-2">
+              <div className="text-sm font-medium mb-1">Cost per km</div>
+              <MonthlyTrendChart
+                data={data.monthly}
+                series={[{ key: "costPerKm", label: "Cost / km", color: "#059669", type: "line" }]}
+              />
+            </div>
+          </div>
+
+          {data.outliers.length > 0 && (
+            <div className="rounded-lg border border-red-200 bg-red-50 p-2 text-sm space-y-1">
+              <div className="font-medium text-red-800">
+                {data.outliers.length} fill(s) worth a look (possible theft, leaks or mis-keyed slips)
+              </div>
+              {data.outliers.map((o, i) => (
+                <div key={`${o.purchaseId}-${o.kind}-${i}`} className="text-red-800">
+                  {new Date(o.date).toLocaleDateString()} · <b>{OUTLIER_LABELS[o.kind] || o.kind}</b> — {o.message}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {data.segments.length > 0 && (
+            <details>
+              <summary className="cursor-pointer text-sm text-gray-700">
+                Full-to-full segments ({data.segments.length})
+              </summary>
+              <div className="mt-2 rounded-xl border border-border overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-thead">
+                    <tr>
+                      {["From", "To", "Odometer", "Km", "Litres", "L/100km", "Cost"].map((h) => (
+                        <th key={h} className="p-2 text-left border-b border-border">
+                          {h}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.segments.map((s) => (
+                      <tr key={s.toPurchaseId} className={s.outlier ? "bg-red-50" : ""}>
+                        <td className="border-b border-border p-2">{new Date(s.fromDate).toLocaleDateString()}</td>
+                        <td className="border-b border-border p-2">{new Date(s.toDate).toLocaleDateString()}</td>
+                        <td className="border-b border-border p-2">
+                          {fmt(s.startOdo, 0)} → {fmt(s.endOdo, 0)}
+                        </td>
+                        <td className="border-b border-border p-2">{fmt(s.km, 1)}</td>
+                        <td className="border-b border-border p-2">{fmt(s.litres)}</td>
+                        <td className={"border-b border-border p-2 " + (s.outlier ? "text-red-700 font-medium" : "")}>
+                          {fmt(s.lPer100)}
+                        </td>
+                        <td className="border-b border-border p-2">{fmt(s.cost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,294 @@
+// src/components/WorkOrderPanel.jsx
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { cancelWorkOrder, completeWorkOrder, updateWorkOrder } from "../lib/maintenance";
+
+const errText = (e) => e?.response?.data?.error || String(e);
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+const hours = (m) => Math.round(((Number(m) || 0) / 60) * 10) / 10;
+const money = (n) => (Number(n) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const EMPTY_PART = { name: "", partNo: "", qty: 1, unitCost: "" };
+const EMPTY_LABOUR = { name: "", minutes: "", note: "" };
+
+/**
+ * One work order: tick the checklist, record parts used and labour time, then
+ * complete it into the asset's maintenance log. Every save returns the updated
+ * work order, which is handed to `onChange`.
+ */
+export default function WorkOrderPanel({ workOrder, users = [], canManage = false, onChange }) {
+  const wo = workOrder;
+  const editable = wo.status === "open" || wo.status === "in-progress";
+
+  const [parts, setParts] = useState(wo.parts || []);
+  const [labour, setLabour] = useState(wo.labour || []);
+  const [part, setPart] = useState(EMPTY_PART);
+  const [work, setWork] = useState(EMPTY_LABOUR);
+  const [done, setDone] = useState({ usage: "", note: "", returnToService: wo.asset?.status === "maintenance" });
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    setParts(wo.parts || []);
+    setLabour(wo.labour || []);
+    setErr("");
+  }, [wo]);
+
+  async function run(fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      const next = await fn();
+      onChange?.(next);
+      return true;
+    } catch (e) {
+      setErr(errText(e));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const tick = (item, patch) => run(() => updateWorkOrder(wo._id, { checklist: [{ _id: item._id, ...patch }] }));
+
+  async function addPart(e) {
+    e.preventDefault();
+    if (!part.name.trim()) return;
+    const next = [...parts, { ...part, qty: Number(part.qty) || 1, unitCost: part.unitCost === "" ? undefined : Number(part.unitCost) }];
+    if (await run(() => updateWorkOrder(wo._id, { parts: next }))) setPart(EMPTY_PART);
+  }
+  const removePart = (i) => run(() => updateWorkOrder(wo._id, { parts: parts.filter((_, j) => j !== i) }));
+
+  async function addLabour(e) {
+    e.preventDefault();
+    if (!(Number(work.minutes) > 0)) return setErr("Enter the minutes worked.");
+    const who = users.find((u) => String(u._id) === String(work.userId));
+    const next = [
+      ...labour,
+      { ...work, minutes: Number(work.minutes), name: work.name || who?.name || who?.email || "" },
+    ];
+    if (await run(() => updateWorkOrder(wo._id, { labour: next }))) setWork(EMPTY_LABOUR);
+  }
+  const removeLabour = (i) => run(() => updateWorkOrder(wo._id, { labour: labour.filter((_, j) => j !== i) }));
+
+  const complete = (e) => {
+    e.preventDefault();
+    return run(() =>
+      completeWorkOrder(wo._id, {
+        usage: done.usage === "" ? undefined : Number(done.usage),
+        note: done.note,
+        returnToService: done.returnToService,
+      }),
+    );
+  };
+
+  const cancel = () => {
+    const reason = window.prompt("Why is this work order being cancelled?");
+    if (reason === null) return;
+    run(() => cancelWorkOrder(wo._id, reason));
+  };
+
+  const requiredLeft = (wo.checklist || []).filter((c) => c.required && !c.done).length;
+
+  return (
+    <div className="space-y-3 text-sm">
+      {err && <div className="text-red-600">{err}</div>}
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-gray-700">
+        <span>
+          Asset:{" "}
+          {wo.asset ? (
+            <Link className="link" to={`/assets/${wo.asset._id}`}>
+              {wo.asset.name}
+              {wo.asset.code ? ` (${wo.asset.code})` : ""}
+            </Link>
+          ) : (
+            "—"
+          )}
+        </span>
+        <span>Status: {wo.status}</span>
+        {wo.dueAt && <span className={wo.overdue ? "text-red-700" : ""}>Due {showDate(wo.dueAt)}</span>}
+        {wo.dueUsage != null && (
+          <span>
+            Due at {wo.dueUsage} {wo.meterKey}
+          </span>
+        )}
+        {wo.completedAt && (
+          <span>
+            Completed {showDate(wo.completedAt)} by {wo.completedBy?.name || "—"}
+          </span>
+        )}
+        {wo.cancelReason && <span>Cancelled: {wo.cancelReason}</span>}
+      </div>
+      {wo.notes && <div className="whitespace-pre-wrap text-gray-600">{wo.notes}</div>}
+
+      {/* Checklist */}
+      <div>
+        <div className="font-medium mb-1">Checklist</div>
+        {(wo.checklist || []).length ? (
+          <ul className="space-y-1">
+            {wo.checklist.map((c) => (
+              <li key={c._id} className="flex items-center gap-2">
+                <input type="checkbox" checked={!!c.done} disabled={!editable || busy} onChange={(e) => tick(c, { done: e.target.checked })} />
+                <span className={c.done ? "line-through text-gray-500" : ""}>{c.label}</span>
+                {c.required && <span className="text-xs text-gray-500">required</span>}
+                {c.done && c.doneBy?.name && <span className="text-xs text-gray-500">· {c.doneBy.name}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-gray-500">No checklist.</div>
+        )}
+      </div>
+
+      {/* Parts */}
+      <div>
+        <div className="font-medium mb-1">Parts used</div>
+        <table className="w-full">
+          <thead>
+            <tr className="text-left border-b">
+              {["Part", "Part no.", "Qty", "Unit cost", ""].map((h) => (
+                <th key={h} className="p-1">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {parts.map((p, i) => (
+              <tr key={p._id || i} className="border-b">
+                <td className="p-1">{p.name}</td>
+                <td className="p-1">{p.partNo || "—"}</td>
+                <td className="p-1">{p.qty}</td>
+                <td className="p-1">{p.unitCost != null ? money(p.unitCost) : "—"}</td>
+                <td className="p-1 text-right">
+                  {editable && (
+                    <button type="button" className="btn btn-sm" disabled={busy} onClick={() => removePart(i)}>
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!parts.length && (
+              <tr>
+                <td className="p-1 text-gray-500" colSpan={5}>
+                  None recorded.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {editable && (
+          <form onSubmit={addPart} className="flex flex-wrap gap-2 mt-2 items-end">
+            <input className="border p-1 rounded" placeholder="Part" value={part.name} onChange={(e) => setPart({ ...part, name: e.target.value })} />
+            <input className="border p-1 rounded w-28" placeholder="Part no." value={part.partNo} onChange={(e) => setPart({ ...part, partNo: e.target.value })} />
+            <input className="border p-1 rounded w-16" type="number" min={0} step="any" value={part.qty} onChange={(e) => setPart({ ...part, qty: e.target.value })} />
+            <input className="border p-1 rounded w-24" type="number" min={0} step="any" placeholder="Unit cost" value={part.unitCost} onChange={(e) => setPart({ ...part, unitCost: e.target.value })} />
+            <button className="btn btn-sm" disabled={busy}>
+              Add part
+            </button>
+          </form>
+        )}
+        {wo.partsCost > 0 && <div className="mt-1 text-gray-600">Parts cost: {money(wo.partsCost)}</div>}
+      </div>
+
+      {/* Labour */}
+      <div>
+        <div className="font-medium mb-1">Labour</div>
+        <table className="w-full">
+          <thead>
+            <tr className="text-left border-b">
+              {["Who", "When", "Minutes", "Note", ""].map((h) => (
+                <th key={h} className="p-1">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {labour.map((l, i) => (
+              <tr key={l._id || i} className="border-b">
+                <td className="p-1">{l.name || "—"}</td>
+                <td className="p-1">{showDate(l.at)}</td>
+                <td className="p-1">{l.minutes}</td>
+                <td className="p-1">{l.note || ""}</td>
+                <td className="p-1 text-right">
+                  {editable && (
+                    <button type="button" className="btn btn-sm" disabled={busy} onClick={() => removeLabour(i)}>
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!labour.length && (
+              <tr>
+                <td className="p-1 text-gray-500" colSpan={5}>
+                  None recorded.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {editable && (
+          <form onSubmit={addLabour} className="flex flex-wrap gap-2 mt-2 items-end">
+            <select className="border p-1 rounded" value={work.userId || ""} onChange={(e) => setWork({ ...work, userId: e.target.value })}>
+              <option value="">— technician —</option>
+              {users.map((u) => (
+                <option key={u._id} value={u._id}>
+                  {u.name || u.email || u.username}
+                </option>
+              ))}
+            </select>
+            <input className="border p-1 rounded w-24" type="number" min={1} placeholder="Minutes" value={work.minutes} onChange={(e) => setWork({ ...work, minutes: e.target.value })} />
+            <input className="border p-1 rounded" placeholder="Note" value={work.note} onChange={(e) => setWork({ ...work, note: e.target.value })} />
+            <button className="btn btn-sm" disabled={busy}>
+              Add labour
+            </button>
+          </form>
+        )}
+        {wo.labourMinutes > 0 && <div className="mt-1 text-gray-600">Labour: {hours(wo.labourMinutes)} h</div>}
+      </div>
+
+      {/* Close out */}
+      {editable && (
+        <form onSubmit={complete} className="flex flex-wrap gap-2 items-end border-t pt-3">
+          {wo.meterKey && (
+            <label>
+              {wo.meterKey} reading now
+              <input
+                className="block border p-1 rounded w-28"
+                type="number"
+                min={0}
+                step="any"
+                value={done.usage}
+                onChange={(e) => setDone({ ...done, usage: e.target.value })}
+              />
+            </label>
+          )}
+          <label className="flex-1 min-w-[12rem]">
+            Completion note
+            <input className="block border p-1 rounded w-full" value={done.note} onChange={(e) => setDone({ ...done, note: e.target.value })} />
+          </label>
+          <label className="inline-flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={done.returnToService}
+              onChange={(e) => setDone({ ...done, returnToService: e.target.checked })}
+            />
+            Return to service
+          </label>
+          <button className="btn btn-primary" disabled={busy || requiredLeft > 0} title={requiredLeft ? "Tick the required checklist items first" : ""}>
+            Complete
+          </button>
+          {canManage && (
+            <button type="button" className="btn" disabled={busy} onClick={cancel}>
+              Cancel work order
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+// src/lib/assets.js
+import { api } from "./api";
+
+/* --------------------------- custody --------------------------- */
+// params: { q?, action?: "check-out" | "check-in", holderUserId?, from?, to? }
+export const getAssetCustody = async (assetId, params = {}) => {
+  const { data } = await api.get(`/assets/${assetId}/custody`, { params });
+  return Array.isArray(data) ? data : [];
+};
+export const listOverdueAssets = async () => {
+  const { data } = await api.get("/assets/custody/overdue");
+  return Array.isArray(data) ? data : [];
+};
+
+// Optional `photo` (File) goes up as multipart with the rest of the fields
+function custodyBody(fields, photo) {
+  if (!photo) return fields;
+  const fd = new FormData();
+  Object.entries(fields).forEach(([k, v]) => {
+    if (v !== undefined && v !== null && v !== "") fd.append(k, v);
+  });
+  fd.append("photo", photo);
+  return fd;
+}
+
+// fields: { holderType, holderUserId?, projectId?, taskId?, dueAt?, note?, lat?, lng?, acc?, scanned? }
+// -> { asset, entry }
+export async function checkOutAsset(assetId, fields, photo) {
+  const { data } = await api.post(`/assets/${assetId}/checkout`, custodyBody(fields, photo));
+  return data;
+}
+// fields: { condition?, note?, lat?, lng?, acc?, scanned? } -> { asset, entry }
+export async function checkInAsset(assetId, fields, photo) {
+  const { data } = await api.post(`/assets/${assetId}/checkin`, custodyBody(fields, photo));
+  return data;
+}
+
+/* ---------------------- finance / register --------------------- */
+// -> { finance, valuation, schedule: [{ month, opening, depreciation, closing, accumulated }] }
+export const getAssetDepreciation = async (assetId, asAt) => {
+  const { data } = await api.get(`/assets/${assetId}/depreciation`, { params: asAt ? { asAt } : {} });
+  return data;
+};
+// patch: { purchaseCost, acquiredAt, vendorId?, vendorName?, invoiceRef?, usefulLifeMonths,
+//          residualValue, method: "straight-line" | "reducing-balance", ratePct? } -> asset
+export const updateAssetFinance = async (assetId, patch) => {
+  const { data } = await api.put(`/assets/${assetId}/finance`, patch);
+  return data;
+};
+// body: { disposedAt, method, proceeds, buyer?, reference?, note? } -> asset
+export const disposeAsset = async (assetId, body) => {
+  const { data } = await api.post(`/assets/${assetId}/disposal`, body);
+  return data;
+};
+export const reverseAssetDisposal = async (assetId) => {
+  const { data } = await api.delete(`/assets/${assetId}/disposal`);
+  return data;
+};
+
+// params: { asAt?, from?, includeUnset? } -> { org, asAt, from, rows, totals }
+export const getAssetRegister = async (params = {}) => {
+  const { data } = await api.get("/assets/register", { params });
+  return data;
+};
+// format: "csv" | "xlsx" -> Blob
+export async function downloadAssetRegister(params = {}, format = "xlsx") {
+  try {
+    const { data } = await api.get("/assets/register", { params: { ...params, format }, responseType: "blob" });
+    return data;
+  } catch (e) {
+    // errors come back as a JSON blob: surface the message like any other call
+    const body = e?.response?.data;
+    if (body instanceof Blob) {
+      try {
+        e.response.data = JSON.parse(await body.text());
+      } catch {
+        /* not JSON */
+      }
+    }
+    throw e;
+  }
+}
@@ -0,0 +1,51 @@
+// src/lib/drivers.js
+import { api } from "./api";
+
+/* ------------------------- driver licences ------------------------- */
+// params: { userId?, status?: "ok" | "expiring" | "expired" }
+export const listDriverLicences = async (params = {}) => {
+  const { data } = await api.get("/driver-licences", { params });
+  return data || [];
+};
+export const createDriverLicence = async (payload) => {
+  const { data } = await api.post("/driver-licences", payload);
+  return data;
+};
+export const updateDriverLicence = async (id, patch) => {
+  const { data } = await api.put(`/driver-licences/${id}`, patch);
+  return data;
+};
+export const deleteDriverLicence = async (id) => {
+  await api.delete(`/driver-licences/${id}`);
+};
+
+// Scanned copy: a vault document linked to the licence (and its holder)
+export async function uploadLicenceScan(licence, file) {
+  const { data: doc } = await api.post("/documents", {
+    title: `Driver licence – ${licence.userName || licence.licenceNumber || licence._id}`,
+    tags: ["driver-licence"],
+    links: [
+      { type: "driver-licence", refId: licence._id },
+      { type: "user", refId: licence.userId },
+    ],
+  });
+  const fd = new FormData();
+  fd.append("file", file);
+  const { data } = await api.post(`/documents/${doc._id}/upload`, fd, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return data;
+}
+
+/* ----------------------- vehicle assignments ----------------------- */
+export const getVehicleAssignments = async (vehicleId) => {
+  const { data } = await api.get(`/vehicles/${vehicleId}/assignments`);
+  return data || [];
+};
+// { mode, status: "ok" | "warn" | "block", required, licence, issues } — driverId defaults to the caller
+export const getDriverCheck = async (vehicleId, driverId) => {
+  const { data } = await api.get(`/vehicles/${vehicleId}/driver-check`, {
+    params: driverId ? { driverId } : {},
+  });
+  return data;
+};
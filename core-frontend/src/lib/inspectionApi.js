@@ -112,6 +112,72 @@ export async function restoreSubmission(id) {
   return requestWithFallback("post", `/submissions/${id}/restore`);
 }
 
+export async function escalateSubmission(id) {
+  return requestWithFallback("post", `/submissions/${id}/escalate`, {});
+}
+
+/* ---------------- CORRECTIVE ACTIONS ---------------- */
+export async function listCorrectiveActions(params = {}) {
+  // supports status (comma list), ownerUserId | "none", mine, overdue, projectId, subjectType, subjectId
+  return requestWithFallback("get", "/corrective-actions", { params });
+}
+
+export async function getCorrectiveAction(id) {
+  return requestWithFallback("get", `/corrective-actions/${id}`);
+}
+
+export async function updateCorrectiveAction(id, body) {
+  return requestWithFallback("patch", `/corrective-actions/${id}`, body);
+}
+
+/**
+ * Close-out with a note and evidence.
+ * `files` are uploaded to the server; `evidence` may hold existing links [{ url, filename, note }].
+ */
+export async function closeOutCorrectiveAction(id, { note = "", files = [], evidence = [] } = {}) {
+  const fd = new FormData();
+  fd.append("note", note);
+  if (evidence.length) fd.append("evidence", JSON.stringify(evidence));
+  for (const f of files) fd.append("files", f);
+  return requestWithFallback("post", `/corrective-actions/${id}/close-out`, fd, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+}
+
+export async function signoffCorrectiveAction(id, { approved, note = "" }) {
+  return requestWithFallback("post", `/corrective-actions/${id}/signoff`, { approved, note });
+}
+
+/* ---------------- SCHEDULES / DUE / COMPLIANCE ---------------- */
+export async function listSchedules(params = {}) {
+  return requestWithFallback("get", "/schedules", { params });
+}
+
+export async function createSchedule(body) {
+  return requestWithFallback("post", "/schedules", body);
+}
+
+export async function updateSchedule(id, body) {
+  return requestWithFallback("put", `/schedules/${id}`, body);
+}
+
+export async function deleteSchedule(id) {
+  return requestWithFallback("delete", `/schedules/${id}`);
+}
+
+export async function generateSchedule(id) {
+  return requestWithFallback("post", `/schedules/${id}/generate`, {});
+}
+
+export async function listDueInspections(params = {}) {
+  // status: open (default) | overdue | completed | all; mine=true for the current user
+  return requestWithFallback("get", "/due", { params });
+}
+
+export async function getInspectionCompliance(params = {}) {
+  return requestWithFallback("get", "/compliance", { params });
+}
+
 /* -------------------- default export -------------------- */
 const inspectionApi = {
   // forms
@@ -133,5 +199,20 @@ const inspectionApi = {
   softDeleteSubmission,
   hardDeleteSubmission,
   restoreSubmission,
+  escalateSubmission,
+  // corrective actions
+  listCorrectiveActions,
+  getCorrectiveAction,
+  updateCorrectiveAction,
+  closeOutCorrectiveAction,
+  signoffCorrectiveAction,
+  // schedules
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  generateSchedule,
+  listDueInspections,
+  getInspectionCompliance,
 };
 export default inspectionApi;
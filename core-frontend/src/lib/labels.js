@@ -0,0 +1,36 @@
+// src/lib/labels.js
+import { api } from "./api";
+
+// kind: "asset" | "vehicle" | "task" | "site" (a project)
+
+// -> { default, layouts: [{ id, name, perSheet }] }
+export async function getLabelLayouts() {
+  const { data } = await api.get("/labels/layouts");
+  return data;
+}
+
+// Signed QR payloads; images: true adds a PNG data URL per subject
+// -> [{ kind, id, ref, code, title, subtitle, payload, qrDataUrl? }]
+export async function getLabelPayloads(kind, ids, { images = false } = {}) {
+  const { data } = await api.post("/labels/payloads", { kind, ids, images });
+  return Array.isArray(data) ? data : [];
+}
+
+// opts: { layout?, startAt?, copies? } -> PDF Blob
+export async function downloadLabelSheet(kind, ids, opts = {}) {
+  try {
+    const { data } = await api.post("/labels/sheet", { kind, ids, ...opts }, { responseType: "blob" });
+    return data;
+  } catch (e) {
+    // errors come back as a JSON blob: surface the message like any other call
+    const body = e?.response?.data;
+    if (body instanceof Blob) {
+      try {
+        e.response.data = JSON.parse(await body.text());
+      } catch {
+        /* not JSON */
+      }
+    }
+    throw e;
+  }
+}
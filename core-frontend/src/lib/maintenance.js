@@ -0,0 +1,74 @@
+// src/lib/maintenance.js
+import { api } from "./api";
+
+/* ------------------------------ plans ------------------------------ */
+export const listMaintenancePlans = async () => {
+  const { data } = await api.get("/maintenance/plans");
+  return Array.isArray(data) ? data : [];
+};
+export const createMaintenancePlan = async (payload) => {
+  const { data } = await api.post("/maintenance/plans", payload);
+  return data;
+};
+export const updateMaintenancePlan = async (id, patch) => {
+  const { data } = await api.put(`/maintenance/plans/${id}`, patch);
+  return data;
+};
+export const deleteMaintenancePlan = async (id) => {
+  const { data } = await api.delete(`/maintenance/plans/${id}`);
+  return data;
+};
+// Raise work orders for whatever is due now -> { created, workOrders }
+export const generateMaintenancePlan = async (id) => {
+  const { data } = await api.post(`/maintenance/plans/${id}/generate`);
+  return data;
+};
+
+/* ------------------------------- due ------------------------------- */
+// params: { status?: "overdue,due-soon", assetId? }
+export const listMaintenanceDue = async (params = {}) => {
+  const { data } = await api.get("/maintenance/due", { params });
+  return Array.isArray(data) ? data : [];
+};
+// -> { overdue, dueSoon, noReading, openWorkOrders, overdueWorkOrders, overdueAssetIds }
+export const getMaintenanceSummary = async () => {
+  const { data } = await api.get("/maintenance/summary", { params: { _ts: Date.now() } });
+  return data;
+};
+
+/* --------------------------- work orders --------------------------- */
+// params: { status?: "open,in-progress", assetId?, planId?, q? }
+export const listWorkOrders = async (params = {}) => {
+  const { data } = await api.get("/maintenance/work-orders", { params });
+  return Array.isArray(data) ? data : [];
+};
+export const getWorkOrder = async (id) => {
+  const { data } = await api.get(`/maintenance/work-orders/${id}`);
+  return data;
+};
+// payload: { assetId, title?, notes?, dueAt?, checklist?, assignedTo? }
+export const createWorkOrder = async (payload) => {
+  const { data } = await api.post("/maintenance/work-orders", payload);
+  return data;
+};
+// patch: { notes?, assignedTo?, dueAt?, checklist?: [{ _id, done?, note? }], parts?, labour? }
+export const updateWorkOrder = async (id, patch) => {
+  const { data } = await api.patch(`/maintenance/work-orders/${id}`, patch);
+  return data;
+};
+// body: { usage?, note?, at?, returnToService? }
+export const completeWorkOrder = async (id, body = {}) => {
+  const { data } = await api.post(`/maintenance/work-orders/${id}/complete`, body);
+  return data;
+};
+export const cancelWorkOrder = async (id, reason = "") => {
+  const { data } = await api.post(`/maintenance/work-orders/${id}/cancel`, { reason });
+  return data;
+};
+
+/* ----------------------------- meters ------------------------------ */
+// body: { key: "hours", value, unit?, at?, replaced? } -> asset
+export const recordAssetMeter = async (assetId, body) => {
+  const { data } = await api.post(`/assets/${assetId}/meters`, body);
+  return data;
+};
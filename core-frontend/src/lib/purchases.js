@@ -17,3 +17,13 @@ export const listVendors = async (q='') => {
   const { data } = await api.get('/vendors', { params: { q, limit: 1000 } });
   return data || [];
 };
+
+// Fuel consumption / cost-per-km analytics (fuel purchases + maintenance logs)
+export const getFuelAnalytics = async (vehicleId, params = {}) => {
+  const { data } = await api.get(`/vehicles/${vehicleId}/fuel-analytics`, { params });
+  return data;
+};
+export const getFleetFuelRanking = async (params = {}) => {
+  const { data } = await api.get('/vehicles/fuel-ranking', { params });
+  return data;
+};
@@ -0,0 +1,103 @@
+// src/lib/schedule.js
+import { api } from "./api";
+
+// params: { statusDate?, ignoreProgress?, nearCriticalDays? }
+// -> { finish, finishBy, slipDays, criticalPath, moved, items: [{ key, kind, id, early, late,
+//      totalFloatDays, freeFloatDays, critical, nearCritical, moved, proposed }], warnings }
+export const getProjectSchedule = async (projectId, params = {}) => {
+  const { data } = await api.get(`/projects/${projectId}/schedule`, { params: { ...params, _ts: Date.now() } });
+  return data;
+};
+// body: { keys?: ["task:<id>", "milestone:<id>"], statusDate?, ignoreProgress? } -> { updated, schedule }
+export const applyProjectSchedule = async (projectId, body = {}) => {
+  const { data } = await api.post(`/projects/${projectId}/schedule/apply`, body);
+  return data;
+};
+
+/* ------------------------------- baselines ------------------------------- */
+
+export const listBaselines = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/baselines`, { params: { _ts: Date.now() } });
+  return Array.isArray(data) ? data : [];
+};
+// -> baseline with items: [{ kind, refId, taskId, name, plannedStart, plannedFinish, durationDays, ... }]
+export const getBaseline = async (projectId, baselineId) => {
+  const { data } = await api.get(`/projects/${projectId}/baselines/${baselineId}`);
+  return data;
+};
+// body: { name, note?, primary? }
+export const createBaseline = async (projectId, body) => {
+  const { data } = await api.post(`/projects/${projectId}/baselines`, body);
+  return data;
+};
+// body: { name?, note?, primary: true? }
+export const updateBaseline = async (projectId, baselineId, body) => {
+  const { data } = await api.patch(`/projects/${projectId}/baselines/${baselineId}`, body);
+  return data;
+};
+export const deleteBaseline = async (projectId, baselineId) => {
+  const { data } = await api.delete(`/projects/${projectId}/baselines/${baselineId}`);
+  return data;
+};
+// -> { baseline, summary, byWorkstream, byDiscipline, rows }
+export const getVariance = async (projectId, params = {}) => {
+  const { data } = await api.get(`/projects/${projectId}/variance`, { params: { ...params, _ts: Date.now() } });
+  return data;
+};
+export const downloadVarianceCsv = async (projectId, params = {}) => {
+  try {
+    const res = await api.get(`/projects/${projectId}/variance`, {
+      params: { ...params, format: "csv" },
+      responseType: "blob",
+    });
+    return res.data;
+  } catch (e) {
+    throw await unwrapBlobError(e);
+  }
+};
+
+// error bodies of blob requests arrive as blobs too
+async function unwrapBlobError(e) {
+  const blob = e?.response?.data;
+  if (blob instanceof Blob) {
+    try {
+      const j = JSON.parse(await blob.text());
+      if (j?.error) e.response.data = j;
+    } catch {
+      /* not JSON */
+    }
+  }
+  return e;
+}
+
+/* -------------------------------- planning -------------------------------- */
+
+// -> { items, generatedAt, lastGeneratedMap, calendars, importedFrom, ... }
+export const getPlanning = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/planning`, { params: { _ts: Date.now() } });
+  return data;
+};
+// MS Project XML (MSPDI) or Primavera .xer; params: { commit?, keepMissing?, project? }
+// -> { format, projectName, summary, rows: [{ change, title, wbsCode, before, after, fields }], warnings, calendars }
+export const importPlanFile = async (projectId, file, params = {}) => {
+  const fd = new FormData();
+  fd.append("file", file);
+  const { data } = await api.post(`/projects/${projectId}/planning/import`, fd, { params });
+  return data;
+};
+export const downloadPlanMspdi = async (projectId) => {
+  try {
+    const res = await api.get(`/projects/${projectId}/planning/export`, {
+      params: { format: "mspdi" },
+      responseType: "blob",
+    });
+    return res.data;
+  } catch (e) {
+    throw await unwrapBlobError(e);
+  }
+};
+// -> { ok, created: { tasks, milestones }, generatedAt, map }
+export const generatePlan = async (projectId, { force = false } = {}) => {
+  const { data } = await api.post(`/projects/${projectId}/planning/generate`, { force });
+  return data;
+};
@@ -0,0 +1,36 @@
+// src/lib/tilePacks.js
+import { api } from "./api";
+
+// -> { configured, kind, label, format, attribution, limits: { maxTiles, maxZoom, quotaBytes, ttlDays } }
+export const getTileSource = async () => {
+  const { data } = await api.get("/tile-packs/source");
+  return data;
+};
+// -> { packs, usage: { usedBytes, pendingBytes, quotaBytes } }
+export const listTilePacks = async (params = {}) => {
+  const { data } = await api.get("/tile-packs", { params: { ...params, _ts: Date.now() } });
+  return { packs: Array.isArray(data?.packs) ? data.packs : [], usage: data?.usage || null };
+};
+// body: { projectId, minZoom, maxZoom, paddingM } -> { bounds, tileCount, estimatedBytes, perZoom, limits, usage }
+export const estimateTilePack = async (body) => {
+  const { data } = await api.post("/tile-packs/estimate", body);
+  return data;
+};
+// body: { projectId, name?, minZoom, maxZoom, paddingM?, ttlDays? }
+export const createTilePack = async (body) => {
+  const { data } = await api.post("/tile-packs", body);
+  return data;
+};
+export const rebuildTilePack = async (id) => {
+  const { data } = await api.post(`/tile-packs/${id}/rebuild`);
+  return data;
+};
+export const deleteTilePack = async (id) => {
+  const { data } = await api.delete(`/tile-packs/${id}`);
+  return data;
+};
+// zip of metadata.json + tiles/z/x/y.ext -> Blob
+export const downloadTilePackage = async (id) => {
+  const { data } = await api.get(`/tile-packs/${id}/package`, { responseType: "blob" });
+  return data;
+};
@@ -0,0 +1,43 @@
+// src/lib/timesheetApi.js
+import { api } from "./api";
+
+/* ----------------------------- live sheet ----------------------------- */
+// params: { from: "YYYY-MM-DD", to: "YYYY-MM-DD", userId?, groupId? }
+export function getTimesheet(params = {}) {
+  return api.get("/timesheets", { params }).then((r) => r.data);
+}
+
+/* -------------------------------- rules ------------------------------- */
+export function getTimesheetRules() {
+  return api.get("/timesheets/rules").then((r) => r.data);
+}
+export function updateTimesheetRules(rules) {
+  return api.put("/timesheets/rules", { rules }).then((r) => r.data);
+}
+
+/* ------------------------------- periods ------------------------------ */
+export function listTimesheetPeriods(params = {}) {
+  return api.get("/timesheets/periods", { params }).then((r) => r.data);
+}
+export function createTimesheetPeriod(body) {
+  return api.post("/timesheets/periods", body).then((r) => r.data);
+}
+export function getTimesheetPeriod(id, params = {}) {
+  return api.get(`/timesheets/periods/${id}`, { params }).then((r) => r.data);
+}
+// body: { userIds: [], status: "approved" | "rejected", note? }
+export function approveTimesheets(periodId, body) {
+  return api.post(`/timesheets/periods/${periodId}/approve`, body).then((r) => r.data);
+}
+export function lockTimesheetPeriod(periodId, body = {}) {
+  return api.post(`/timesheets/periods/${periodId}/lock`, body).then((r) => r.data);
+}
+export function unlockTimesheetPeriod(periodId, note) {
+  return api.post(`/timesheets/periods/${periodId}/unlock`, { note }).then((r) => r.data);
+}
+export async function downloadTimesheetPeriodCsv(periodId) {
+  const { data } = await api.get(`/timesheets/periods/${periodId}/export.csv`, {
+    responseType: "blob",
+  });
+  return data;
+}
@@ -37,6 +37,35 @@ export function getTrip(id) {
 export function getTripAudit(id) {
   return api.get(`/vehicle-trips/${id}/audit`).then(r => r.data);
 }
+/** GPS breadcrumb recorded by the mobile logbook; null when the trip has none */
+export function getTripTrack(id) {
+  return api
+    .get(`/vehicle-trips/${id}/track`)
+    .then(r => r.data)
+    .catch(e => {
+      if (e?.response?.status === 404) return null;
+      throw e;
+    });
+}
+
+/* ------------------------ travel logbook ----------------------- */
+// params: { taxYear, driverId? } — SARS tax year ending in February of `taxYear`
+export function getTravelLogbook(vehicleId, params = {}) {
+  return api.get(`/vehicles/${vehicleId}/travel-logbook`, { params }).then(r => r.data);
+}
+export async function downloadTravelLogbook(vehicleId, params = {}, format = "xlsx") {
+  const { data } = await api.get(`/vehicles/${vehicleId}/travel-logbook`, {
+    params: { ...params, format },
+    responseType: "blob",
+  });
+  return data;
+}
+
+/* ------------------------ odometer timeline -------------------- */
+// Readings from trips, logbook entries and fuel fills; flagged ones are left out of `current`
+export function getOdometerTimeline(vehicleId) {
+  return api.get(`/vehicles/${vehicleId}/odometer`).then(r => r.data);
+}
 
 /* ----------------------- create / updates ---------------------- */
 export function startTrip(vehicleId, payload) {
@@ -0,0 +1,33 @@
+// src/lib/workstreams.js
+import { api } from "./api";
+
+// -> [{ _id, name, code, color, order, status, ownerUserId, ownerName, budget: { amount, currency },
+//      progress: { tasks, completed, inProgress, overdue, milestones, milestonesDone, percent, plannedStart, plannedEnd } }]
+export const listWorkstreams = async (projectId) => {
+  const { data } = await api.get("/workstreams", { params: { projectId, _ts: Date.now() } });
+  return Array.isArray(data) ? data : [];
+};
+// body: { projectId, name, code?, description?, ownerUserId?, color?, budget?, status? }
+export const createWorkstream = async (body) => {
+  const { data } = await api.post("/workstreams", body);
+  return data;
+};
+// -> workstream + renamed: { tasks, milestones } | null
+export const updateWorkstream = async (id, body) => {
+  const { data } = await api.patch(`/workstreams/${id}`, body);
+  return data;
+};
+// -> { ok, detached: { tasks, milestones } }
+export const deleteWorkstream = async (id) => {
+  const { data } = await api.delete(`/workstreams/${id}`);
+  return data;
+};
+export const reorderWorkstreams = async (projectId, ids) => {
+  const { data } = await api.post("/workstreams/reorder", { projectId, ids });
+  return data;
+};
+// -> { created, linked: { tasks, milestones } }
+export const adoptWorkstreamNames = async (projectId) => {
+  const { data } = await api.post("/workstreams/adopt", { projectId });
+  return data;
+};
@@ -0,0 +1,342 @@
+// core-frontend/src/pages/AdminClockingExceptions.jsx
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api, listProjects, currentUserHasRole } from "../lib/api";
+
+const POLICY_TEXT = {
+  allow: "Allow – record the distance, never report",
+  flag: "Flag – keep the punch, list it here",
+  reject: "Reject – refuse punches outside the fence",
+};
+
+function Chip({ children, tone = "muted" }) {
+  const cls =
+    tone === "ok"
+      ? "bg-green-50 border-green-200 text-green-700"
+      : tone === "bad"
+      ? "bg-red-50 border-red-200 text-red-700"
+      : "bg-gray-50 border-gray-200 text-gray-700";
+  return (
+    <span className={`inline-block text-xs px-2 py-0.5 rounded border ${cls}`}>
+      {children}
+    </span>
+  );
+}
+
+const idOf = (v) => (v && typeof v === "object" ? String(v._id || "") : String(v || ""));
+const daysAgo = (n) => new Date(Date.now() - n * 864e5).toISOString().slice(0, 10);
+
+function fmtDistance(m) {
+  const n = Number(m);
+  if (!Number.isFinite(n)) return "—";
+  return n >= 1000 ? `${(n / 1000).toFixed(2)} km` : `${Math.round(n)} m`;
+}
+
+export default function AdminClockingExceptions() {
+  const isAdmin = currentUserHasRole("admin") || currentUserHasRole("superadmin");
+
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [policy, setPolicy] = useState({ fencePolicy: "flag", toleranceMeters: 0 });
+  const [filters, setFilters] = useState({
+    from: daysAgo(30),
+    to: "",
+    projectId: "",
+    status: "",
+    reviewed: "0",
+  });
+  const [loading, setLoading] = useState(true);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+
+  const load = async (f = filters) => {
+    setErr("");
+    setLoading(true);
+    try {
+      const params = { reviewed: f.reviewed };
+      if (f.from) params.from = f.from;
+      if (f.to) params.to = `${f.to}T23:59:59`;
+      if (f.projectId) params.projectId = f.projectId;
+      if (f.status) params.status = f.status;
+      const { data } = await api.get("/clockings/exceptions", { params });
+      setRows(Array.isArray(data?.rows) ? data.rows : []);
+      setSummary(Array.isArray(data?.summary) ? data.summary : []);
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Failed to load exceptions");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    listProjects({ limit: 1000 }).then(setProjects).catch(() => setProjects([]));
+    api
+      .get("/clockings/fence-policy")
+      .then(({ data }) => data?.policy && setPolicy(data.policy))
+      .catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const setFilter = (k, v) => {
+    const next = { ...filters, [k]: v };
+    setFilters(next);
+    load(next);
+  };
+
+  async function savePolicy() {
+    setErr("");
+    setInfo("");
+    setSavingPolicy(true);
+    try {
+      const { data } = await api.put("/clockings/fence-policy", policy);
+      if (data?.policy) setPolicy(data.policy);
+      setInfo("Geofence policy saved.");
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Failed to save policy");
+    } finally {
+      setSavingPolicy(false);
+    }
+  }
+
+  async function review(row) {
+    const note = window.prompt("Review note (optional)") ?? null;
+    if (note === null) return;
+    try {
+      await api.post(`/clockings/${row._id}/fence-review`, { note });
+      await load();
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Failed to mark reviewed");
+    }
+  }
+
+  const mapsUrl = (loc) =>
+    loc?.lat != null && loc?.lng != null
+      ? `https://www.google.com/maps?q=${loc.lat},${loc.lng}`
+      : null;
+
+  return (
+    <div className="max-w-6xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h1 className="text-2xl font-semibold">Clocking Geofence Exceptions</h1>
+        <div className="flex items-center gap-2">
+          <Link className="btn btn-ghost btn-sm" to="/clockings">
+            Clockings
+          </Link>
+          <button className="btn btn-ghost btn-sm" onClick={() => load()}>
+            Reload
+          </button>
+        </div>
+      </div>
+
+      {err && <div className="text-red-600">{err}</div>}
+      {info && <div className="text-green-700">{info}</div>}
+
+      {/* Org policy */}
+      <div className="rounded-xl border p-3 flex flex-wrap items-end gap-3">
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">Out-of-fence policy</div>
+          <select
+            className="select select-bordered select-sm"
+            value={policy.fencePolicy}
+            disabled={!isAdmin}
+            onChange={(e) => setPolicy((p) => ({ ...p, fencePolicy: e.target.value }))}
+          >
+            {Object.entries(POLICY_TEXT).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">Tolerance (m)</div>
+          <input
+            type="number"
+            min="0"
+            className="input input-bordered input-sm w-24"
+            value={policy.toleranceMeters}
+            disabled={!isAdmin}
+            onChange={(e) => setPolicy((p) => ({ ...p, toleranceMeters: e.target.value }))}
+          />
+        </label>
+        {isAdmin && (
+          <button className="btn btn-sm" onClick={savePolicy} disabled={savingPolicy}>
+            {savingPolicy ? "Saving…" : "Save policy"}
+          </button>
+        )}
+        <div className="text-xs text-gray-500 ml-auto max-w-sm">
+          Punches with a project are checked against the project geofence when they are
+          recorded (web and mobile). Punches without a location on a fenced project are
+          listed as &quot;no location&quot;.
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">From</div>
+          <input
+            type="date"
+            className="input input-bordered input-sm"
+            value={filters.from}
+            onChange={(e) => setFilter("from", e.target.value)}
+          />
+        </label>
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">To</div>
+          <input
+            type="date"
+            className="input input-bordered input-sm"
+            value={filters.to}
+            onChange={(e) => setFilter("to", e.target.value)}
+          />
+        </label>
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">Project</div>
+          <select
+            className="select select-bordered select-sm"
+            value={filters.projectId}
+            onChange={(e) => setFilter("projectId", e.target.value)}
+          >
+            <option value="">All projects</option>
+            {projects.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">Type</div>
+          <select
+            className="select select-bordered select-sm"
+            value={filters.status}
+            onChange={(e) => setFilter("status", e.target.value)}
+          >
+            <option value="">Outside + no location</option>
+            <option value="outside">Outside fence</option>
+            <option value="no-location">No location</option>
+          </select>
+        </label>
+        <label className="text-sm">
+          <div className="text-xs text-gray-500">Review</div>
+          <select
+            className="select select-bordered select-sm"
+            value={filters.reviewed}
+            onChange={(e) => setFilter("reviewed", e.target.value)}
+          >
+            <option value="0">Open</option>
+            <option value="1">Reviewed</option>
+            <option value="all">All</option>
+          </select>
+        </label>
+      </div>
+
+      {/* Per-person summary */}
+      {summary.length > 0 && (
+        <div className="rounded-xl border p-3">
+          <div className="font-medium mb-2">By person</div>
+          <div className="flex flex-wrap gap-2">
+            {summary.map((s) => (
+              <div key={s.userId} className="border rounded-lg px-2 py-1 text-sm">
+                <b>{s.name}</b>{" "}
+                {s.outside > 0 && <Chip tone="bad">{s.outside} outside</Chip>}{" "}
+                {s.noLocation > 0 && <Chip>{s.noLocation} no location</Chip>}{" "}
+                {s.outside > 0 && (
+                  <span className="text-xs text-gray-500">max {fmtDistance(s.maxDistanceM)}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Exceptions */}
+      <div className="rounded-xl border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left bg-gray-50">
+              <th className="p-2">When</th>
+              <th className="p-2">Person</th>
+              <th className="p-2">Project</th>
+              <th className="p-2">Type</th>
+              <th className="p-2">Result</th>
+              <th className="p-2">Distance</th>
+              <th className="p-2">Location</th>
+              <th className="p-2">Review</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td className="p-4 text-center" colSpan={8}>
+                  Loading…
+                </td>
+              </tr>
+            ) : rows.length ? (
+              rows.map((r) => {
+                const url = mapsUrl(r.location);
+                return (
+                  <tr key={r._id} className="border-t">
+                    <td className="p-2">{r.at ? new Date(r.at).toLocaleString() : "—"}</td>
+                    <td className="p-2">
+                      {r.userId?.name || r.userId?.email || idOf(r.userId)}
+                    </td>
+                    <td className="p-2">{r.projectId?.name || idOf(r.projectId) || "—"}</td>
+                    <td className="p-2">{r.type}</td>
+                    <td className="p-2">
+                      {r.fence?.status === "outside" ? (
+                        <Chip tone="bad">Outside</Chip>
+                      ) : (
+                        <Chip>No location</Chip>
+                      )}
+                      {r.fence?.overriddenBy && (
+                        <span className="ml-1 text-xs text-gray-500">admin override</span>
+                      )}
+                    </td>
+                    <td className="p-2">{fmtDistance(r.fence?.distanceM)}</td>
+                    <td className="p-2">
+                      {url ? (
+                        <a className="underline" href={url} target="_blank" rel="noreferrer">
+                          {Number(r.location.lat).toFixed(5)}, {Number(r.location.lng).toFixed(5)}
+                        </a>
+                      ) : (
+                        "—"
+                      )}
+                      {r.location?.acc != null && (
+                        <span className="text-xs text-gray-500"> ±{r.location.acc}m</span>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {r.fence?.reviewedAt ? (
+                        <span title={r.fence.reviewNote || ""}>
+                          <Chip tone="ok">Reviewed</Chip>{" "}
+                          <span className="text-xs text-gray-500">
+                            {r.fence.reviewedBy?.name || ""}
+                          </span>
+                        </span>
+                      ) : (
+                        <button className="btn btn-xs" onClick={() => review(r)}>
+                          Mark reviewed
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td className="p-4 text-center text-gray-500" colSpan={8}>
+                  No geofence exceptions for this selection.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
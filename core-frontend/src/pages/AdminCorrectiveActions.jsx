@@ -0,0 +1,448 @@
+// core-frontend/src/pages/AdminCorrectiveActions.jsx
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { api, fileUrl } from "../lib/api";
+import {
+  listCorrectiveActions,
+  updateCorrectiveAction,
+  closeOutCorrectiveAction,
+  signoffCorrectiveAction,
+} from "../lib/inspectionApi.js";
+
+const STATUS_FILTERS = [
+  { key: "open,in-progress,awaiting-signoff", label: "Active" },
+  { key: "open", label: "Open" },
+  { key: "in-progress", label: "In progress" },
+  { key: "awaiting-signoff", label: "Awaiting sign-off" },
+  { key: "closed", label: "Closed" },
+  { key: "cancelled", label: "Cancelled" },
+  { key: "", label: "All" },
+];
+
+const SUBJECT_TYPES = [
+  { key: "", label: "All subjects" },
+  { key: "none", label: "General" },
+  { key: "vehicle", label: "Vehicle" },
+  { key: "asset", label: "Asset" },
+  { key: "performance", label: "Performance" },
+];
+
+function Chip({ children, tone = "muted" }) {
+  const cls =
+    tone === "ok"
+      ? "bg-green-50 border-green-200 text-green-700"
+      : tone === "bad"
+      ? "bg-red-50 border-red-200 text-red-700"
+      : tone === "warn"
+      ? "bg-amber-50 border-amber-200 text-amber-700"
+      : "bg-gray-50 border-gray-200 text-gray-700";
+  return (
+    <span className={`inline-block text-xs px-2 py-0.5 rounded border ${cls}`}>
+      {children}
+    </span>
+  );
+}
+
+const statusTone = (s) =>
+  s === "closed" ? "ok" : s === "awaiting-signoff" ? "warn" : s === "cancelled" ? "muted" : "bad";
+
+const toDateInput = (d) => {
+  if (!d) return "";
+  const x = new Date(d);
+  return Number.isNaN(x.getTime()) ? "" : x.toISOString().slice(0, 10);
+};
+
+const ownerName = (ca) =>
+  ca?.ownerUserId && typeof ca.ownerUserId === "object"
+    ? ca.ownerUserId.name || ca.ownerUserId.email || "—"
+    : ca?.ownerUserId
+    ? String(ca.ownerUserId)
+    : "Unassigned";
+
+const ownerId = (ca) =>
+  ca?.ownerUserId && typeof ca.ownerUserId === "object"
+    ? String(ca.ownerUserId._id || "")
+    : String(ca?.ownerUserId || "");
+
+function ActionRow({ ca, users, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [note, setNote] = useState("");
+  const [files, setFiles] = useState([]);
+  const [evidenceUrl, setEvidenceUrl] = useState("");
+
+  const run = async (fn) => {
+    setErr("");
+    setBusy(true);
+    try {
+      await fn();
+      setNote("");
+      setFiles([]);
+      setEvidenceUrl("");
+      await onChanged?.();
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Update failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const finished = ca.status === "closed" || ca.status === "cancelled";
+  const subj = ca.subject?.type && ca.subject.type !== "none"
+    ? `${ca.subject.type}: ${ca.subject.label || ca.subject.id || "-"}`
+    : "General";
+
+  return (
+    <div className={`p-3 ${ca.overdue ? "bg-red-50" : ""}`}>
+      <div className="grid gap-3 sm:grid-cols-6 items-start">
+        <div className="sm:col-span-3">
+          <div className="font-medium">{ca.title}</div>
+          <div className="text-xs text-gray-500">
+            {ca.formTitle || "Inspection"} • raised {ca.createdAt ? new Date(ca.createdAt).toLocaleString() : "-"}
+          </div>
+          <div className="mt-1 flex items-center gap-2 flex-wrap">
+            <Chip tone={statusTone(ca.status)}>{ca.status}</Chip>
+            <Chip tone="bad">{ca.severity || "critical"}</Chip>
+            <Chip>{subj}</Chip>
+            {ca.overdue && <Chip tone="bad">Overdue</Chip>}
+          </div>
+          {ca.description && (
+            <div className="text-sm text-gray-700 mt-1 whitespace-pre-wrap">{ca.description}</div>
+          )}
+        </div>
+
+        <div className="text-sm">
+          <div className="text-xs text-gray-500">Owner</div>
+          <div>{ownerName(ca)}</div>
+          <div className="text-xs text-gray-500 mt-1">Due</div>
+          <div className={ca.overdue ? "text-red-600 font-semibold" : ""}>
+            {ca.dueAt ? new Date(ca.dueAt).toLocaleDateString() : "—"}
+          </div>
+        </div>
+
+        <div className="text-xs text-gray-700">
+          <div>P: {ca.links?.projectId || "—"}</div>
+          <div>T: {ca.links?.taskId || "—"}</div>
+        </div>
+
+        <div className="flex justify-end items-start gap-2">
+          <Link className="btn btn-sm" to={`/inspections/submissions/${ca.submissionId}`}>
+            Submission
+          </Link>
+          <button className="btn btn-sm" onClick={() => setOpen((v) => !v)}>
+            {open ? "Hide" : "Manage"}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-3 rounded-lg border p-3 space-y-3 bg-white">
+          {err && <div className="text-red-600 text-sm">{err}</div>}
+
+          {/* Assignment */}
+          {!finished && (
+            <div className="grid gap-2 sm:grid-cols-4 items-end">
+              <label className="text-sm">
+                <div className="text-xs text-gray-500">Owner</div>
+                <select
+                  className="select select-bordered w-full"
+                  value={ownerId(ca)}
+                  disabled={busy}
+                  onChange={(e) =>
+                    run(() => updateCorrectiveAction(ca._id, { ownerUserId: e.target.value || null }))
+                  }
+                >
+                  <option value="">Unassigned</option>
+                  {users.map((u) => (
+                    <option key={u._id} value={u._id}>
+                      {u.name || u.email}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm">
+                <div className="text-xs text-gray-500">Due date</div>
+                <input
+                  type="date"
+                  className="input input-bordered w-full"
+                  value={toDateInput(ca.dueAt)}
+                  disabled={busy}
+                  onChange={(e) =>
+                    run(() => updateCorrectiveAction(ca._id, { dueAt: e.target.value || null }))
+                  }
+                />
+              </label>
+              <div className="flex gap-2 sm:col-span-2">
+                {ca.status === "open" && (
+                  <button
+                    className="btn btn-sm"
+                    disabled={busy}
+                    onClick={() => run(() => updateCorrectiveAction(ca._id, { status: "in-progress" }))}
+                  >
+                    Start
+                  </button>
+                )}
+                <button
+                  className="btn btn-sm btn-ghost"
+                  disabled={busy}
+                  onClick={() => {
+                    if (!window.confirm("Cancel this corrective action?")) return;
+                    run(() => updateCorrectiveAction(ca._id, { status: "cancelled" }));
+                  }}
+                >
+                  Cancel action
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Close-out */}
+          {(ca.status === "open" || ca.status === "in-progress") && (
+            <div className="space-y-2">
+              <div className="text-sm font-medium">Close-out</div>
+              <textarea
+                className="textarea textarea-bordered w-full"
+                rows={2}
+                placeholder="What was done?"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <div className="flex flex-wrap gap-2 items-center">
+                <input
+                  type="file"
+                  multiple
+                  onChange={(e) => setFiles(Array.from(e.target.files || []))}
+                />
+                <input
+                  className="input input-bordered flex-1"
+                  placeholder="…or evidence link (https://…)"
+                  value={evidenceUrl}
+                  onChange={(e) => setEvidenceUrl(e.target.value)}
+                />
+                <button
+                  className="btn btn-sm"
+                  disabled={busy || (!note.trim() && !files.length && !evidenceUrl.trim())}
+                  onClick={() =>
+                    run(() =>
+                      closeOutCorrectiveAction(ca._id, {
+                        note: note.trim(),
+                        files,
+                        evidence: evidenceUrl.trim() ? [{ url: evidenceUrl.trim() }] : [],
+                      })
+                    )
+                  }
+                >
+                  Submit for sign-off
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Evidence + sign-off */}
+          {ca.closeOut?.at && (
+            <div className="text-sm space-y-1">
+              <div className="font-medium">Close-out evidence</div>
+              <div className="text-xs text-gray-500">
+                {ca.closeOut.by?.name || "—"} • {new Date(ca.closeOut.at).toLocaleString()}
+              </div>
+              {ca.closeOut.note && <div className="whitespace-pre-wrap">{ca.closeOut.note}</div>}
+              <ul className="list-disc ml-5">
+                {(ca.closeOut.evidence || []).map((ev, i) => (
+                  <li key={ev.fileId || ev.url || i}>
+                    <a className="underline" href={fileUrl(ev.url)} target="_blank" rel="noreferrer">
+                      {ev.filename || ev.url}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {ca.status === "awaiting-signoff" && (
+            <div className="space-y-2">
+              <div className="text-sm font-medium">Sign-off</div>
+              <input
+                className="input input-bordered w-full"
+                placeholder="Sign-off note (required to reject)"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <div className="flex gap-2">
+                <button
+                  className="btn btn-sm"
+                  disabled={busy}
+                  onClick={() => run(() => signoffCorrectiveAction(ca._id, { approved: true, note }))}
+                >
+                  Approve &amp; close
+                </button>
+                <button
+                  className="btn btn-sm btn-ghost"
+                  disabled={busy || !note.trim()}
+                  onClick={() => run(() => signoffCorrectiveAction(ca._id, { approved: false, note }))}
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          )}
+
+          {ca.signoff?.at && (
+            <div className="text-xs text-gray-600">
+              {ca.signoff.approved ? "Signed off" : "Rejected"} by {ca.signoff.by?.name || "—"} on{" "}
+              {new Date(ca.signoff.at).toLocaleString()}
+              {ca.signoff.note ? ` — ${ca.signoff.note}` : ""}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function AdminCorrectiveActions() {
+  const [rows, setRows] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [q, setQ] = useState({
+    status: STATUS_FILTERS[0].key,
+    ownerUserId: "",
+    projectId: "",
+    subjectType: "",
+    subjectId: "",
+    overdue: false,
+  });
+  // filters in effect: edits to `q` only load once Apply is pressed
+  const [applied, setApplied] = useState(q);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+
+  const load = useCallback(async () => {
+    setErr("");
+    setLoading(true);
+    try {
+      const params = {};
+      if (applied.status) params.status = applied.status;
+      if (applied.ownerUserId) params.ownerUserId = applied.ownerUserId;
+      if (applied.projectId) params.projectId = applied.projectId.trim();
+      if (applied.subjectType) params.subjectType = applied.subjectType;
+      if (applied.subjectId) params.subjectId = applied.subjectId.trim();
+      if (applied.overdue) params.overdue = true;
+      const data = await listCorrectiveActions(params);
+      setRows(Array.isArray(data) ? data : []);
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Failed to load corrective actions");
+    } finally {
+      setLoading(false);
+    }
+  }, [applied]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    api
+      .get("/users", { params: { limit: 1000 } })
+      .then(({ data }) => setUsers(Array.isArray(data) ? data : []))
+      .catch(() => setUsers([]));
+  }, []);
+
+  const counts = useMemo(() => {
+    const overdue = rows.filter((r) => r.overdue).length;
+    const awaiting = rows.filter((r) => r.status === "awaiting-signoff").length;
+    return { total: rows.length, overdue, awaiting };
+  }, [rows]);
+
+  return (
+    <div className="max-w-6xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h1 className="text-2xl font-semibold">Corrective Actions</h1>
+        <div className="flex items-center gap-2">
+          <Link className="btn btn-ghost btn-sm" to="/admin/inspections/submissions">
+            Submissions
+          </Link>
+          <button className="btn btn-ghost btn-sm" onClick={load}>Reload</button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="rounded-xl border p-3 grid gap-2 sm:grid-cols-6">
+        <select
+          className="select select-bordered"
+          value={q.status}
+          onChange={(e) => setQ({ ...q, status: e.target.value })}
+        >
+          {STATUS_FILTERS.map((opt) => (
+            <option key={opt.label} value={opt.key}>{opt.label}</option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered"
+          value={q.ownerUserId}
+          onChange={(e) => setQ({ ...q, ownerUserId: e.target.value })}
+        >
+          <option value="">Any owner</option>
+          <option value="none">Unassigned</option>
+          {users.map((u) => (
+            <option key={u._id} value={u._id}>{u.name || u.email}</option>
+          ))}
+        </select>
+        <input
+          className="input input-bordered"
+          placeholder="Project ID"
+          value={q.projectId}
+          onChange={(e) => setQ({ ...q, projectId: e.target.value })}
+        />
+        <select
+          className="select select-bordered"
+          value={q.subjectType}
+          onChange={(e) => setQ({ ...q, subjectType: e.target.value })}
+        >
+          {SUBJECT_TYPES.map((opt) => (
+            <option key={opt.key} value={opt.key}>{opt.label}</option>
+          ))}
+        </select>
+        <input
+          className="input input-bordered"
+          placeholder={q.subjectType ? `${q.subjectType} id…` : "Subject ID…"}
+          value={q.subjectId}
+          onChange={(e) => setQ({ ...q, subjectId: e.target.value })}
+          disabled={!q.subjectType}
+        />
+        <div className="flex gap-2 items-center">
+          <label className="text-sm flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={q.overdue}
+              onChange={(e) => setQ({ ...q, overdue: e.target.checked })}
+            />
+            Overdue
+          </label>
+          <button className="btn" onClick={() => setApplied({ ...q })}>Apply</button>
+        </div>
+      </div>
+
+      {loading && <div>Loading…</div>}
+      {err && <div className="text-red-600">{err}</div>}
+
+      <div className="rounded-xl border">
+        <div className="p-3 font-medium flex items-center justify-between">
+          <span>Queue</span>
+          <span className="text-sm text-gray-600 flex gap-2">
+            <span>{counts.total} total</span>
+            {counts.overdue > 0 && <Chip tone="bad">{`${counts.overdue} overdue`}</Chip>}
+            {counts.awaiting > 0 && <Chip tone="warn">{`${counts.awaiting} awaiting sign-off`}</Chip>}
+          </span>
+        </div>
+        <div className="divide-y">
+          {rows.length === 0 && (
+            <div className="p-3 text-sm text-gray-500">No corrective actions found.</div>
+          )}
+          {rows.map((ca) => (
+            <ActionRow key={ca._id} ca={ca} users={users} onChanged={load} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
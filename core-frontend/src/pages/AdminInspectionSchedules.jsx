@@ -0,0 +1,503 @@
+// core-frontend/src/pages/AdminInspectionSchedules.jsx
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { api, listProjects } from "../lib/api";
+import {
+  listForms,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  generateSchedule,
+  listDueInspections,
+  getInspectionCompliance,
+} from "../lib/inspectionApi.js";
+
+const CADENCES = [
+  { key: "daily", label: "Day(s)" },
+  { key: "weekly", label: "Week(s)" },
+  { key: "monthly", label: "Month(s)" },
+];
+
+const EMPTY = {
+  name: "",
+  formId: "",
+  cadence: "daily",
+  interval: 1,
+  startAt: new Date().toISOString().slice(0, 10),
+  endAt: "",
+  projectId: "",
+  subjectMode: "each",
+  subjectIds: [],
+  assigneeUserIds: [],
+  active: true,
+};
+
+function Chip({ children, tone = "muted" }) {
+  const cls =
+    tone === "ok"
+      ? "bg-green-50 border-green-200 text-green-700"
+      : tone === "bad"
+      ? "bg-red-50 border-red-200 text-red-700"
+      : "bg-gray-50 border-gray-200 text-gray-700";
+  return (
+    <span className={`inline-block text-xs px-2 py-0.5 rounded border ${cls}`}>
+      {children}
+    </span>
+  );
+}
+
+const pctTone = (p) => (p == null ? "muted" : p >= 90 ? "ok" : p >= 70 ? "muted" : "bad");
+const idOf = (v) => (v && typeof v === "object" ? String(v._id || "") : String(v || ""));
+const toDateInput = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+function cadenceText(s) {
+  const n = Number(s.interval) || 1;
+  const unit = s.cadence === "monthly" ? "month" : s.cadence === "weekly" ? "week" : "day";
+  return n === 1 ? `Every ${unit}` : `Every ${n} ${unit}s`;
+}
+
+export default function AdminInspectionSchedules() {
+  const [schedules, setSchedules] = useState([]);
+  const [forms, setForms] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [subjects, setSubjects] = useState([]); // vehicles/assets for "selected" mode
+  const [due, setDue] = useState([]);
+  const [comp, setComp] = useState({ totals: {}, schedules: [] });
+  const [draft, setDraft] = useState(EMPTY);
+  const [editingId, setEditingId] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+
+  const load = async () => {
+    setErr("");
+    setLoading(true);
+    try {
+      const [s, d, c] = await Promise.all([
+        listSchedules(),
+        listDueInspections({ status: "open" }),
+        getInspectionCompliance(),
+      ]);
+      setSchedules(Array.isArray(s) ? s : []);
+      setDue(Array.isArray(d) ? d : []);
+      setComp(c && typeof c === "object" ? c : { totals: {}, schedules: [] });
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Failed to load schedules");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    listForms().then((f) => setForms(Array.isArray(f) ? f : [])).catch(() => setForms([]));
+    listProjects({ limit: 1000 }).then(setProjects).catch(() => setProjects([]));
+    api
+      .get("/users", { params: { limit: 1000 } })
+      .then(({ data }) => setUsers(Array.isArray(data) ? data : []))
+      .catch(() => setUsers([]));
+  }, []);
+
+  const selectedForm = useMemo(
+    () => forms.find((f) => String(f._id) === String(draft.formId)) || null,
+    [forms, draft.formId]
+  );
+  const subjectType = String(selectedForm?.subject?.type || "none");
+  const subjectLocked = !!selectedForm?.subject?.lockToId;
+
+  // Load the candidate vehicles/assets when the form inspects one of them
+  useEffect(() => {
+    if (subjectType !== "vehicle" && subjectType !== "asset") {
+      setSubjects([]);
+      return;
+    }
+    const path = subjectType === "vehicle" ? "/vehicles" : "/assets";
+    const params = { limit: 1000 };
+    if (draft.projectId) params.projectId = draft.projectId;
+    api
+      .get(path, { params })
+      .then(({ data }) => {
+        const rows = Array.isArray(data) ? data : [];
+        setSubjects(
+          rows.map((r) => ({
+            id: String(r._id),
+            label:
+              subjectType === "vehicle"
+                ? [r.reg, r.make, r.model].filter(Boolean).join(" ")
+                : [r.code, r.name].filter(Boolean).join(" – "),
+          }))
+        );
+      })
+      .catch(() => setSubjects([]));
+  }, [subjectType, draft.projectId]);
+
+  const compBySchedule = useMemo(() => {
+    const m = new Map();
+    for (const r of comp.schedules || []) m.set(String(r.scheduleId), r);
+    return m;
+  }, [comp]);
+
+  const startEdit = (s) => {
+    setEditingId(String(s._id));
+    setDraft({
+      name: s.name || "",
+      formId: idOf(s.formId),
+      cadence: s.cadence || "daily",
+      interval: s.interval || 1,
+      startAt: toDateInput(s.startAt),
+      endAt: toDateInput(s.endAt),
+      projectId: idOf(s.projectId),
+      subjectMode: s.subjectMode || "each",
+      subjectIds: Array.isArray(s.subjectIds) ? s.subjectIds.map(String) : [],
+      assigneeUserIds: Array.isArray(s.assigneeUserIds) ? s.assigneeUserIds.map(idOf) : [],
+      active: s.active !== false,
+    });
+  };
+
+  const resetDraft = () => {
+    setEditingId("");
+    setDraft(EMPTY);
+  };
+
+  const save = async () => {
+    setErr("");
+    if (!draft.name.trim() || !draft.formId) {
+      setErr("Name and form are required");
+      return;
+    }
+    setSaving(true);
+    try {
+      const body = {
+        ...draft,
+        interval: Number(draft.interval) || 1,
+        startAt: draft.startAt ? new Date(draft.startAt).toISOString() : null,
+        endAt: draft.endAt ? new Date(draft.endAt).toISOString() : null,
+        projectId: draft.projectId || null,
+      };
+      if (editingId) await updateSchedule(editingId, body);
+      else await createSchedule(body);
+      resetDraft();
+      await load();
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (s) => {
+    if (!window.confirm(`Delete schedule "${s.name}"? Open due items will be cancelled.`)) return;
+    try {
+      await deleteSchedule(s._id);
+      await load();
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Delete failed");
+    }
+  };
+
+  const generate = async (s) => {
+    try {
+      await generateSchedule(s._id);
+      await load();
+    } catch (e) {
+      setErr(e?.response?.data?.error || e?.message || "Generate failed");
+    }
+  };
+
+  const toggleIn = (key, value) =>
+    setDraft((d) => {
+      const list = d[key] || [];
+      return {
+        ...d,
+        [key]: list.includes(value) ? list.filter((x) => x !== value) : [...list, value],
+      };
+    });
+
+  const overdueCount = due.filter((d) => d.overdue).length;
+  const totals = comp.totals || {};
+
+  return (
+    <div className="max-w-6xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h1 className="text-2xl font-semibold">Inspection Schedules</h1>
+        <div className="flex items-center gap-2">
+          <Link className="btn btn-ghost btn-sm" to="/admin/inspections/submissions">
+            Submissions
+          </Link>
+          <button className="btn btn-ghost btn-sm" onClick={load}>Reload</button>
+        </div>
+      </div>
+
+      {loading && <div>Loading…</div>}
+      {err && <div className="text-red-600">{err}</div>}
+
+      {/* Compliance summary */}
+      <div className="rounded-xl border p-3 grid gap-3 sm:grid-cols-4">
+        <div>
+          <div className="text-xs text-gray-500">Compliance</div>
+          <div className="text-2xl font-semibold">
+            {totals.compliancePercent != null ? `${totals.compliancePercent}%` : "—"}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">On time</div>
+          <div className="text-2xl font-semibold">
+            {totals.onTimePercent != null ? `${totals.onTimePercent}%` : "—"}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Due now</div>
+          <div className="text-2xl font-semibold">{due.length - overdueCount}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Overdue</div>
+          <div className={`text-2xl font-semibold ${overdueCount ? "text-red-600" : ""}`}>
+            {overdueCount}
+          </div>
+        </div>
+      </div>
+
+      {/* Editor */}
+      <div className="rounded-xl border p-3 space-y-2">
+        <div className="font-medium">{editingId ? "Edit schedule" : "New schedule"}</div>
+        <div className="grid gap-2 sm:grid-cols-3">
+          <input
+            className="input input-bordered"
+            placeholder="Name, e.g. Daily pre-use check"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <select
+            className="select select-bordered"
+            value={draft.formId}
+            onChange={(e) => setDraft({ ...draft, formId: e.target.value, subjectIds: [] })}
+          >
+            <option value="">Select form…</option>
+            {forms.map((f) => (
+              <option key={f._id} value={f._id}>
+                {f.title}
+                {f?.subject?.type && f.subject.type !== "none" ? ` (${f.subject.type})` : ""}
+              </option>
+            ))}
+          </select>
+          <select
+            className="select select-bordered"
+            value={draft.projectId}
+            onChange={(e) => setDraft({ ...draft, projectId: e.target.value, subjectIds: [] })}
+          >
+            <option value="">
+              {selectedForm?.scope?.projectId ? "Form scope project" : "All projects"}
+            </option>
+            {projects.map((p) => (
+              <option key={p._id} value={p._id}>{p.name}</option>
+            ))}
+          </select>
+
+          <div className="flex gap-2 items-center">
+            <span className="text-sm">Every</span>
+            <input
+              type="number"
+              min={1}
+              className="input input-bordered w-20"
+              value={draft.interval}
+              onChange={(e) => setDraft({ ...draft, interval: e.target.value })}
+            />
+            <select
+              className="select select-bordered"
+              value={draft.cadence}
+              onChange={(e) => setDraft({ ...draft, cadence: e.target.value })}
+            >
+              {CADENCES.map((c) => (
+                <option key={c.key} value={c.key}>{c.label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="text-sm flex items-center gap-2">
+            Starts
+            <input
+              type="date"
+              className="input input-bordered flex-1"
+              value={draft.startAt}
+              onChange={(e) => setDraft({ ...draft, startAt: e.target.value })}
+            />
+          </label>
+          <label className="text-sm flex items-center gap-2">
+            Ends
+            <input
+              type="date"
+              className="input input-bordered flex-1"
+              value={draft.endAt}
+              onChange={(e) => setDraft({ ...draft, endAt: e.target.value })}
+            />
+          </label>
+        </div>
+
+        {(subjectType === "vehicle" || subjectType === "asset") && !subjectLocked && (
+          <div className="space-y-1">
+            <div className="flex gap-3 text-sm">
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={draft.subjectMode === "each"}
+                  onChange={() => setDraft({ ...draft, subjectMode: "each" })}
+                />
+                Every {subjectType} {draft.projectId ? "in the project" : "in the org"}
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={draft.subjectMode === "selected"}
+                  onChange={() => setDraft({ ...draft, subjectMode: "selected" })}
+                />
+                Selected {subjectType}s only
+              </label>
+            </div>
+            {draft.subjectMode === "selected" && (
+              <div className="flex flex-wrap gap-2 max-h-40 overflow-auto border rounded p-2">
+                {subjects.length === 0 && (
+                  <span className="text-sm text-gray-500">No {subjectType}s found.</span>
+                )}
+                {subjects.map((s) => (
+                  <label key={s.id} className="text-sm flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={draft.subjectIds.includes(s.id)}
+                      onChange={() => toggleIn("subjectIds", s.id)}
+                    />
+                    {s.label || s.id}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        {subjectLocked && (
+          <div className="text-sm text-gray-600">
+            Form is locked to {selectedForm?.subject?.lockLabel || selectedForm?.subject?.lockToId}.
+          </div>
+        )}
+
+        <div className="space-y-1">
+          <div className="text-sm">
+            Assignees{" "}
+            <span className="text-xs text-gray-500">
+              (empty = {subjectType === "vehicle" ? "vehicle driver, else " : ""}anyone who can run the form)
+            </span>
+          </div>
+          <div className="flex flex-wrap gap-2 max-h-32 overflow-auto border rounded p-2">
+            {users.map((u) => (
+              <label key={u._id} className="text-sm flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={draft.assigneeUserIds.includes(String(u._id))}
+                  onChange={() => toggleIn("assigneeUserIds", String(u._id))}
+                />
+                {u.name || u.email}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-2 items-center">
+          <label className="text-sm flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={draft.active}
+              onChange={(e) => setDraft({ ...draft, active: e.target.checked })}
+            />
+            Active
+          </label>
+          <button className="btn" disabled={saving} onClick={save}>
+            {editingId ? "Save" : "Create"}
+          </button>
+          {editingId && (
+            <button className="btn btn-ghost" onClick={resetDraft}>Cancel</button>
+          )}
+        </div>
+      </div>
+
+      {/* Schedules */}
+      <div className="rounded-xl border">
+        <div className="p-3 font-medium">Schedules</div>
+        <div className="divide-y">
+          {schedules.length === 0 && (
+            <div className="p-3 text-sm text-gray-500">No schedules yet.</div>
+          )}
+          {schedules.map((s) => {
+            const c = compBySchedule.get(String(s._id));
+            return (
+              <div key={s._id} className="p-3 grid gap-3 sm:grid-cols-6 items-start">
+                <div className="sm:col-span-3">
+                  <div className="font-medium">{s.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {s.formId?.title || "Form"} • {cadenceText(s)} from{" "}
+                    {s.startAt ? new Date(s.startAt).toLocaleDateString() : "—"}
+                  </div>
+                  <div className="mt-1 flex gap-2 flex-wrap">
+                    {s.active ? <Chip tone="ok">Active</Chip> : <Chip>Paused</Chip>}
+                    {s.formId?.subject?.type && s.formId.subject.type !== "none" && (
+                      <Chip>{s.subjectMode === "selected" ? `${s.subjectIds?.length || 0} selected` : `each ${s.formId.subject.type}`}</Chip>
+                    )}
+                  </div>
+                </div>
+                <div className="text-sm">
+                  <div className="text-xs text-gray-500">Compliance</div>
+                  <Chip tone={pctTone(c?.compliancePercent)}>
+                    {c?.compliancePercent != null ? `${c.compliancePercent}%` : "—"}
+                  </Chip>
+                </div>
+                <div className="text-xs text-gray-700">
+                  <div>Done: {c?.completed ?? 0}</div>
+                  <div className={c?.overdue ? "text-red-600" : ""}>Overdue: {c?.overdue ?? 0}</div>
+                  <div>Due: {c?.due ?? 0}</div>
+                </div>
+                <div className="flex justify-end gap-2 flex-wrap">
+                  <button className="btn btn-sm" onClick={() => startEdit(s)}>Edit</button>
+                  <button className="btn btn-sm" onClick={() => generate(s)}>Generate</button>
+                  <button className="btn btn-sm btn-ghost" onClick={() => remove(s)}>Delete</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Due now */}
+      <div className="rounded-xl border">
+        <div className="p-3 font-medium flex items-center justify-between">
+          <span>Due &amp; overdue</span>
+          <span className="text-sm text-gray-600">{due.length}</span>
+        </div>
+        <div className="divide-y">
+          {due.length === 0 && (
+            <div className="p-3 text-sm text-gray-500">Nothing outstanding.</div>
+          )}
+          {due.map((d) => (
+            <div key={d._id} className={`p-3 flex items-center justify-between gap-2 ${d.overdue ? "bg-red-50" : ""}`}>
+              <div>
+                <div className="font-medium">
+                  {d.formTitle}
+                  {d.subject?.label ? ` — ${d.subject.label}` : ""}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {d.scheduleName} • due {new Date(d.dueAt).toLocaleString()}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                {d.overdue ? <Chip tone="bad">Overdue</Chip> : <Chip>Due</Chip>}
+                <Link
+                  className="btn btn-sm"
+                  to={`/inspections/forms/${d.formId}/run?due=${d._id}${d.subject?.id ? `&subjectId=${encodeURIComponent(d.subject.id)}` : ""}`}
+                >
+                  Run
+                </Link>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
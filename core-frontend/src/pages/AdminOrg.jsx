@@ -48,6 +48,65 @@ function normalizeModules(input) {
   return ALL_MODULES.filter((k) => !!obj[k]);
 }
 
+// settings.biometrics <-> form strings ("" = server default)
+function biometricsFrom(org) {
+  const b = org?.settings?.biometrics || {};
+  return {
+    matchThreshold: b.matchThreshold != null ? String(b.matchThreshold) : "",
+    minMargin: b.minMargin != null ? String(b.minMargin) : "",
+  };
+}
+function biometricsToSave(form) {
+  const num = (v, max) => {
+    const n = Number(v);
+    return v !== "" && Number.isFinite(n) && n >= 0 && n <= max ? n : null;
+  };
+  return {
+    matchThreshold: num(form.matchThreshold, 1),
+    minMargin: num(form.minMargin, 1),
+  };
+}
+
+// settings.vehicles (GPS breadcrumb vs odometer tolerances, fuel outliers, odometer checks,
+// driver licence check) <-> form strings. licenceCodes is edited as "Vehicle type: codes" lines.
+function vehiclesFrom(org) {
+  const v = org?.settings?.vehicles || {};
+  return {
+    gpsToleranceKm: v.gpsToleranceKm != null ? String(v.gpsToleranceKm) : "",
+    gpsTolerancePct: v.gpsTolerancePct != null ? String(v.gpsTolerancePct) : "",
+    fuelOutlierPct: v.fuelOutlierPct != null ? String(v.fuelOutlierPct) : "",
+    odoBackTolKm: v.odoBackTolKm != null ? String(v.odoBackTolKm) : "",
+    odoJumpMinKm: v.odoJumpMinKm != null ? String(v.odoJumpMinKm) : "",
+    odoMaxKmPerHour: v.odoMaxKmPerHour != null ? String(v.odoMaxKmPerHour) : "",
+    driverLicenceCheck: v.driverLicenceCheck || "warn",
+    licenceCodes: Object.entries(v.licenceCodes || {})
+      .map(([type, codes]) => `${type}: ${codes}`)
+      .join("\n"),
+  };
+}
+function vehiclesToSave(form) {
+  const num = (v) => {
+    const n = Number(v);
+    return v !== "" && Number.isFinite(n) && n >= 0 ? n : null;
+  };
+  return {
+    gpsToleranceKm: num(form.gpsToleranceKm),
+    gpsTolerancePct: num(form.gpsTolerancePct),
+    fuelOutlierPct: num(form.fuelOutlierPct),
+    odoBackTolKm: num(form.odoBackTolKm),
+    odoJumpMinKm: num(form.odoJumpMinKm),
+    odoMaxKmPerHour: num(form.odoMaxKmPerHour),
+    driverLicenceCheck: form.driverLicenceCheck || "warn",
+    licenceCodes: Object.fromEntries(
+      String(form.licenceCodes || "")
+        .split("\n")
+        .map((line) => line.split(":"))
+        .filter((parts) => parts.length >= 2 && parts[0].trim() && parts[1].trim())
+        .map(([type, ...rest]) => [type.trim(), rest.join(":").trim()]),
+    ),
+  };
+}
+
 /* -------------------- Small A11y live announcer -------------------- */
 function useLiveAnnouncer() {
   const [msg, setMsg] = useState("");
@@ -203,6 +262,8 @@ export default function AdminOrg() {
   const [widgets, setWidgets] = useState(initialWidgets);
 
   const [presets, setPresets] = useState(Array.isArray(org?.taskPresets) ? org.taskPresets : []);
+  const [biometrics, setBiometrics] = useState(biometricsFrom(org));
+  const [vehicles, setVehicles] = useState(vehiclesFrom(org));
   const [logoFile, setLogoFile] = useState(null);
   const [logoPreview, setLogoPreview] = useState("");
   const [logoBroken, setLogoBroken] = useState(false);
@@ -276,6 +337,8 @@ export default function AdminOrg() {
     const serverW = normalizeWidgets((org?.dashboardWidgets || []).map(toCanon));
     if (serverW.length) setWidgets(serverW);
     setPresets(Array.isArray(org?.taskPresets) ? org.taskPresets : []);
+    setBiometrics(biometricsFrom(org));
+    setVehicles(vehiclesFrom(org));
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [org]);
 
@@ -356,6 +419,10 @@ export default function AdminOrg() {
         modules,
         dashboardWidgets: widgetsToSave,
         taskPresets: presets,
+        settings: {
+          biometrics: biometricsToSave(biometrics),
+          vehicles: vehiclesToSave(vehicles),
+        },
       };
 
       const updated = await apiUpdateOrg(payload);
@@ -377,6 +444,8 @@ export default function AdminOrg() {
       setAccentColor(updated?.accentColor || "#2a7fff");
       setName(updated?.name || "");
       setPresets(Array.isArray(updated?.taskPresets) ? updated.taskPresets : []);
+      setBiometrics(biometricsFrom(updated));
+      setVehicles(vehiclesFrom(updated));
       setInfo("Organisation updated.");
       setTimeout(() => setInfo(""), 1200);
     } catch (e2) {
@@ -762,6 +831,189 @@ export default function AdminOrg() {
           )}
         </div>
 
+        {/* ===== Biometric matching ===== */}
+        <div>
+          <div className="label-title">Face Matching</div>
+          <div className="mt-1 text-sm subtle">
+            Leave blank to use the server default for the active face model.
+          </div>
+          <div className="mt-2 grid gap-3 sm:grid-cols-2 max-w-xl">
+            <label className="block">
+              <div className="text-sm">Match threshold (0–1)</div>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.01"
+                className="input input-bordered h-9 w-full"
+                value={biometrics.matchThreshold}
+                onChange={(e) => setBiometrics((b) => ({ ...b, matchThreshold: e.target.value }))}
+                placeholder="default"
+              />
+              <div className="text-xs subtle mt-1">
+                Higher = fewer false matches, more &quot;not recognised&quot;.
+              </div>
+            </label>
+            <label className="block">
+              <div className="text-sm">Minimum margin over next-best person</div>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.01"
+                className="input input-bordered h-9 w-full"
+                value={biometrics.minMargin}
+                onChange={(e) => setBiometrics((b) => ({ ...b, minMargin: e.target.value }))}
+                placeholder="0"
+              />
+              <div className="text-xs subtle mt-1">
+                Refuses a match when two people score within this gap.
+              </div>
+            </label>
+          </div>
+        </div>
+
+        {/* ===== Vehicle GPS check ===== */}
+        <div>
+          <div className="label-title">Vehicle GPS Check</div>
+          <div className="mt-1 text-sm subtle">
+            Trips recorded with a GPS track are flagged when the odometer distance differs from
+            the GPS distance by more than both limits. Leave blank for the defaults (5 km, 20%).
+          </div>
+          <div className="mt-2 grid gap-3 sm:grid-cols-2 max-w-xl">
+            <label className="block">
+              <div className="text-sm">Tolerance (km)</div>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                className="input input-bordered h-9 w-full"
+                value={vehicles.gpsToleranceKm}
+                onChange={(e) => setVehicles((v) => ({ ...v, gpsToleranceKm: e.target.value }))}
+                placeholder="5"
+              />
+            </label>
+            <label className="block">
+              <div className="text-sm">Tolerance (% of odometer distance)</div>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="input input-bordered h-9 w-full"
+                value={vehicles.gpsTolerancePct}
+                onChange={(e) => setVehicles((v) => ({ ...v, gpsTolerancePct: e.target.value }))}
+                placeholder="20"
+              />
+            </label>
+          </div>
+        </div>
+
+        {/* ===== Fuel consumption ===== */}
+        <div>
+          <div className="label-title">Fuel Consumption</div>
+          <div className="mt-1 text-sm subtle">
+            A full-to-full fuel segment is listed as an outlier when its L/100km is above the
+            vehicle&apos;s median by more than this percentage. Leave blank for the default (25%).
+          </div>
+          <div className="mt-2 grid gap-3 sm:grid-cols-2 max-w-xl">
+            <label className="block">
+              <div className="text-sm">Outlier threshold (% above median)</div>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="input input-bordered h-9 w-full"
+                value={vehicles.fuelOutlierPct}
+                onChange={(e) => setVehicles((v) => ({ ...v, fuelOutlierPct: e.target.value }))}
+                placeholder="25"
+              />
+            </label>
+          </div>
+        </div>
+
+        {/* ===== Odometer checks ===== */}
+        <div>
+          <div className="label-title">Odometer Checks</div>
+          <div className="mt-1 text-sm subtle">
+            Readings from trips, logbook entries and fuel fills are checked against each other.
+            A reading below the previous one (beyond the slack) is rejected on the web and flagged
+            from mobile; a large jump at an implausible average speed is flagged for review. Leave
+            blank for the defaults (1 km, 50 km, 150 km/h).
+          </div>
+          <div className="mt-2 grid gap-3 sm:grid-cols-3 max-w-2xl">
+            <label className="block">
+              <div className="text-sm">Backwards slack (km)</div>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                className="input input-bordered h-9 w-full"
+                value={vehicles.odoBackTolKm}
+                onChange={(e) => setVehicles((v) => ({ ...v, odoBackTolKm: e.target.value }))}
+                placeholder="1"
+              />
+            </label>
+            <label className="block">
+              <div className="text-sm">Jumps checked above (km)</div>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                className="input input-bordered h-9 w-full"
+                value={vehicles.odoJumpMinKm}
+                onChange={(e) => setVehicles((v) => ({ ...v, odoJumpMinKm: e.target.value }))}
+                placeholder="50"
+              />
+            </label>
+            <label className="block">
+              <div className="text-sm">Max average speed (km/h)</div>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                className="input input-bordered h-9 w-full"
+                value={vehicles.odoMaxKmPerHour}
+                onChange={(e) => setVehicles((v) => ({ ...v, odoMaxKmPerHour: e.target.value }))}
+                placeholder="150"
+              />
+            </label>
+          </div>
+        </div>
+
+        {/* ===== Driver licence check ===== */}
+        <div>
+          <div className="label-title">Driver Licence Check</div>
+          <div className="mt-1 text-sm subtle">
+            When a trip starts, the driver&apos;s licence (expiry, code, PrDP) is checked against the
+            vehicle type. Types not listed use built-in defaults (motorcycle A; truck, bus C1 + PrDP;
+            articulated EC + PrDP; everything else B). Offline trips are never refused, only flagged.
+          </div>
+          <div className="mt-2 grid gap-3 sm:grid-cols-2 max-w-2xl">
+            <label className="block">
+              <div className="text-sm">On a problem</div>
+              <select
+                className="select select-bordered h-9 w-full"
+                value={vehicles.driverLicenceCheck}
+                onChange={(e) => setVehicles((v) => ({ ...v, driverLicenceCheck: e.target.value }))}
+              >
+                <option value="warn">Warn and allow the trip</option>
+                <option value="block">Block the trip</option>
+                <option value="off">Don&apos;t check</option>
+              </select>
+            </label>
+            <label className="block sm:col-span-2">
+              <div className="text-sm">Codes per vehicle type (one per line)</div>
+              <textarea
+                className="textarea textarea-bordered w-full"
+                rows={4}
+                value={vehicles.licenceCodes}
+                onChange={(e) => setVehicles((v) => ({ ...v, licenceCodes: e.target.value }))}
+                placeholder={"LDV: B\nCrane truck: C, PrDP\nStaff bus: C1, PrDP"}
+              />
+            </label>
+          </div>
+        </div>
+
         <div className="pt-2">
           <button className="btn btn-primary">Save settings</button>
         </div>
@@ -61,6 +61,83 @@ function Pill({ children, tone = "default" }) {
   );
 }
 
+/* ---------------- biometric request screening result ---------------- */
+const SCREENING_VERDICT = {
+  clear: { tone: "ok", label: "checks passed" },
+  review: { tone: "warn", label: "liveness: review" },
+  duplicate: { tone: "bad", label: "possible duplicate identity" },
+  unavailable: { tone: "default", label: "checks unavailable" },
+};
+const CHECK_LABEL = {
+  photoCount: "Enough photos",
+  distinct: "Distinct photos",
+  consistency: "Same person in every photo",
+  variation: "Natural variation (not a re-shot photo)",
+};
+
+function ScreeningSummary({ screening }) {
+  const v = SCREENING_VERDICT[screening.verdict] || SCREENING_VERDICT.unavailable;
+  const checks = Array.isArray(screening.checks) ? screening.checks : [];
+  const dupes = Array.isArray(screening.duplicates) ? screening.duplicates : [];
+  const closest = Array.isArray(screening.closest) ? screening.closest : [];
+  return (
+    <div className="mt-2 border rounded-lg bg-white p-2 text-xs space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <Pill tone={v.tone}>{v.label}</Pill>
+        {screening.livenessScore != null && (
+          <span>liveness {Math.round(screening.livenessScore * 100)}%</span>
+        )}
+        {screening.threshold != null && (
+          <span className="text-gray-500">match threshold {screening.threshold}</span>
+        )}
+        {screening.checkedAt && (
+          <span className="text-gray-500">
+            {new Date(screening.checkedAt).toLocaleString()}
+          </span>
+        )}
+      </div>
+      {screening.error && <div className="text-gray-600">{screening.error}</div>}
+      {checks.length > 0 && (
+        <ul className="space-y-0.5">
+          {checks.map((c) => (
+            <li key={c.key}>
+              <span
+                className={
+                  c.result === "pass"
+                    ? "text-green-700"
+                    : c.result === "fail"
+                      ? "text-red-700"
+                      : "text-gray-400"
+                }
+              >
+                {c.result === "pass" ? "✓" : c.result === "fail" ? "✕" : "–"}
+              </span>{" "}
+              {CHECK_LABEL[c.key] || c.key}{" "}
+              <span className="text-gray-500">({c.detail})</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {dupes.length > 0 ? (
+        <div className="text-red-700">
+          Already enrolled as:{" "}
+          {dupes.map((d) => `${d.name || idStr(d.userId)} (${d.score})`).join(", ")}
+        </div>
+      ) : (
+        closest.length > 0 && (
+          <div className="text-gray-500">
+            Closest enrolled:{" "}
+            {closest.map((d) => `${d.name || idStr(d.userId)} (${d.score})`).join(", ")}
+          </div>
+        )
+      )}
+      {screening.override?.reason && (
+        <div className="text-gray-600">Approved despite checks: {screening.override.reason}</div>
+      )}
+    </div>
+  );
+}
+
 /* ------------ id helpers (cope with {_id}, ObjectId, string) ------------ */
 const idStr = (v) => {
   if (!v) return "";
@@ -133,6 +210,7 @@ export default function AdminUsers() {
   // ✅ Biometric requests list (cache)
   const [bioReqs, setBioReqs] = useState([]);
   const [bioReqsLoading, setBioReqsLoading] = useState(false);
+  const [screeningId, setScreeningId] = useState("");
 
   useEffect(() => {
     const t = setTimeout(() => setQDeb(q.trim().toLowerCase()), 200);
@@ -629,9 +707,25 @@ John Dlamini,john@example.com,john,STA-1002,group-leader,Group A
     );
   }
 
-  async function approveRequestById(requestId) {
+  async function screenRequestById(requestId) {
     if (!requestId) return;
-    if (!confirm("Approve this biometric request?")) return;
+    try {
+      setErr("");
+      setScreeningId(requestId);
+      const { data } = await api.post(
+        `/mobile/biometric-requests/${requestId}/screen`,
+      );
+      optimisticUpdateRequest(requestId, { screening: data?.screening });
+    } catch (e2) {
+      setErr(e2?.response?.data?.error || String(e2));
+    } finally {
+      setScreeningId("");
+    }
+  }
+
+  async function approveRequestById(requestId, body = {}) {
+    if (!requestId) return;
+    if (!body.override && !confirm("Approve this biometric request?")) return;
     try {
       setErr("");
       setInfo("");
@@ -644,6 +738,7 @@ John Dlamini,john@example.com,john,STA-1002,group-leader,Group A
 
       const { data } = await api.post(
         `/mobile/biometric-requests/${requestId}/approve`,
+        body,
       );
 
       await load();
@@ -653,9 +748,31 @@ John Dlamini,john@example.com,john,STA-1002,group-leader,Group A
         `Approved request. Enrollment: ${data?.enrollmentId || "—"} (photos: ${data?.photosCount ?? 0}).`,
       );
     } catch (e2) {
-      setErr(e2?.response?.data?.error || String(e2));
+      const res = e2?.response;
       // if approve failed, revert back to pending
-      optimisticUpdateRequest(requestId, { status: "pending" });
+      optimisticUpdateRequest(requestId, {
+        status: "pending",
+        ...(res?.data?.screening ? { screening: res.data.screening } : {}),
+      });
+
+      // Screening flagged it: show the result and let the approver override with a reason
+      if (res?.status === 409 && res?.data?.needsOverride) {
+        const dupes = (res.data.screening?.duplicates || [])
+          .map((d) => `${d.name || d.userId} (${d.score})`)
+          .join(", ");
+        const reason = prompt(
+          `${res.data.error}${dupes ? `: ${dupes}` : ""}.\n\nTo approve anyway, enter a reason:`,
+        );
+        if (reason && reason.trim()) {
+          return approveRequestById(requestId, {
+            override: true,
+            overrideReason: reason.trim(),
+          });
+        }
+        setErr(res.data.error);
+        return;
+      }
+      setErr(res?.data?.error || String(e2));
     }
   }
 
@@ -1171,6 +1288,15 @@ John Dlamini,john@example.com,john,STA-1002,group-leader,Group A
                               </code>
                             </div>
                             <div className="ml-auto flex items-center gap-2">
+                              <button
+                                type="button"
+                                className="btn btn-sm"
+                                disabled={screeningId === rid}
+                                onClick={() => screenRequestById(rid)}
+                                title="Liveness and duplicate-identity checks"
+                              >
+                                {screeningId === rid ? "Checking…" : "Run checks"}
+                              </button>
                               <button
                                 type="button"
                                 className="btn btn-sm btn-success"
@@ -1216,6 +1342,10 @@ John Dlamini,john@example.com,john,STA-1002,group-leader,Group A
                               </div>
                             )}
                           </div>
+
+                          {r?.screening?.verdict && (
+                            <ScreeningSummary screening={r.screening} />
+                          )}
                         </div>
                       );
                     })}
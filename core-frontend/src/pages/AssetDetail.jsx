@@ -1,7 +1,12 @@
 // src/pages/AssetDetail.jsx
 import React, { useEffect, useMemo, useState } from "react";
 import { Link, useNavigate, useParams } from "react-router-dom";
-import { api, fileUrl } from "../lib/api";
+import { api, currentUserHasRole, fileUrl } from "../lib/api";
+import AssetCustodyPanel from "../components/AssetCustodyPanel";
+import AssetFinancePanel from "../components/AssetFinancePanel";
+import AssetMaintenancePanel from "../components/AssetMaintenancePanel";
+import PrintLabelsButton from "../components/PrintLabelsButton";
+import { getLabelPayloads } from "../lib/labels";
 
 /* ---------------- time helpers ---------------- */
 function toLocalDateTimeInput(date) {
@@ -292,9 +297,11 @@ export default function AssetDetail() {
   const [labelSize, setLabelSize] = useState("small");
   const [includeQR, setIncludeQR] = useState(true);
   const [includeBar, setIncludeBar] = useState(true);
+  const [signedQr, setSignedQr] = useState(""); // data URL of the signed label QR
 
   // maintenance
-  const [mForm, setMForm] = useState({ date: "", note: "" });
+  const [mForm, setMForm] = useState({ date: "", note: "", cost: "" });
+  const canManage = useMemo(() => ["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r)), []);
 
   // schedule
   const [schedule, setSchedule] = useState([]);
@@ -454,6 +461,18 @@ const attempts = [
     );
   }, []);
 
+  // signed QR (what the mobile scanners verify); managers only, so others keep the deep link
+  useEffect(() => {
+    if (!asset?._id || !asset?.code) return undefined;
+    let alive = true;
+    getLabelPayloads("asset", [asset._id], { images: true })
+      .then((rows) => alive && setSignedQr(rows[0]?.qrDataUrl || ""))
+      .catch(() => alive && setSignedQr(""));
+    return () => {
+      alive = false;
+    };
+  }, [asset?._id, asset?.code]);
+
   const projName = useMemo(() => {
     if (!asset?.projectId) return "—";
     const p = projects.find((x) => String(x._id) === String(asset.projectId));
@@ -559,6 +578,7 @@ const attempts = [
       const payload = {
         date: mForm.date ? fromLocalDateTimeInput(mForm.date) : undefined,
         note: (mForm.note || "").trim(),
+        cost: mForm.cost === "" ? undefined : Number(mForm.cost),
       };
       if (ambientPos.lat != null && ambientPos.lng != null) {
         payload.lat = ambientPos.lat;
@@ -569,7 +589,7 @@ const attempts = [
 
       const { data } = await api.post(`/assets/${id}/maintenance`, payload);
       setAsset(data);
-      setMForm({ date: "", note: "" });
+      setMForm({ date: "", note: "", cost: "" });
       setInfo("Maintenance entry added.");
       setTimeout(() => setInfo(""), 1000);
     } catch (e) {
@@ -631,13 +651,14 @@ const attempts = [
     const rows = (asset?.maintenance || [])
       .slice()
       .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
-    const header = ["date", "note", "by", "lat", "lng", "acc", "scanned", "createdAt"];
+    const header = ["date", "note", "by", "cost", "lat", "lng", "acc", "scanned", "createdAt"];
     const csv = [
       header,
       ...rows.map((m) => [
         m.date ? new Date(m.date).toISOString() : "",
         (m.note || "").replace(/\r?\n/g, " ").trim(),
         m.by || "",
+        m.cost ?? "",
         m.lat ?? "",
         m.lng ?? "",
         m.acc ?? "",
@@ -691,11 +712,12 @@ const attempts = [
   }
   const qrSize = labelSize === "small" ? 180 : 240;
   const barcodeScale = labelSize === "small" ? 3 : 4;
-  const qrImg = includeQR
-    ? `https://api.qrserver.com/v1/create-qr-code/?size=${qrSize}x${qrSize}&data=${encodeURIComponent(
+  const qrImg = !includeQR
+    ? null
+    : signedQr ||
+      `https://api.qrserver.com/v1/create-qr-code/?size=${qrSize}x${qrSize}&data=${encodeURIComponent(
         assetDeepLink()
-      )}`
-    : null;
+      )}`;
   const barcodeText = asset?.code || asset?._id || "";
   const barImg =
     includeBar && barcodeText
@@ -939,9 +961,21 @@ const attempts = [
           <button className="px-3 py-2 border rounded" onClick={printLabel}>
             Print Label
           </button>
+          <PrintLabelsButton kind="asset" ids={[asset._id]} label="Label sheet (PDF)" />
         </div>
       </Card>
 
+      {/* Custody */}
+      <Card title="Custody">
+        <AssetCustodyPanel
+          asset={asset}
+          projects={projects}
+          ambientPos={ambientPos}
+          scanned={scannedContext}
+          onAssetChange={(a) => a && setAsset(a)}
+        />
+      </Card>
+
       {/* Attachments */}
       <Card title="Attachments">
         {fileErr && <div className="text-red-600 text-sm mb-2">{fileErr}</div>}
@@ -1059,6 +1093,23 @@ const attempts = [
         </div>
       </Card>
 
+      {/* Finance */}
+      <Card title="Finance & depreciation">
+        <AssetFinancePanel asset={asset} canManage={canManage} onAssetChange={(a) => a && setAsset(a)} />
+      </Card>
+
+      {/* Preventive maintenance */}
+      <Card
+        title="Preventive maintenance"
+        right={
+          <Link className="px-2 py-1 border rounded text-sm" to="/maintenance">
+            All plans &amp; work orders
+          </Link>
+        }
+      >
+        <AssetMaintenancePanel asset={asset} onAssetChange={(a) => a && setAsset(a)} />
+      </Card>
+
       {/* Maintenance */}
       <Card
         title="Log"
@@ -1083,7 +1134,7 @@ const attempts = [
               onChange={(e) => setMForm((f) => ({ ...f, date: e.target.value }))}
             />
           </label>
-          <label className="text-sm md:col-span-2">
+          <label className="text-sm">
             Note
             <input
               className="mt-1 border p-2 w-full rounded"
@@ -1092,6 +1143,18 @@ const attempts = [
               placeholder="e.g. Replaced filter / annual service"
             />
           </label>
+          <label className="text-sm">
+            Cost
+            <input
+              className="mt-1 border p-2 w-full rounded"
+              type="number"
+              min={0}
+              step="any"
+              value={mForm.cost}
+              onChange={(e) => setMForm((f) => ({ ...f, cost: e.target.value }))}
+              placeholder="optional"
+            />
+          </label>
           <div className="md:col-span-3">
             <button className="px-3 py-2 bg-black text-white rounded">Add entry</button>
           </div>
@@ -1109,6 +1172,11 @@ const attempts = [
                   <div className="text-sm">
                     <div className="font-medium">
                       {m.note || "(no note)"}{" "}
+                      {m.workOrderId && (
+                        <Link className="ml-1 text-xs underline" to={`/maintenance?wo=${m.workOrderId}`}>
+                          work order
+                        </Link>
+                      )}
                       {m.scanned && (
                         <span className="ml-2 inline-block px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-800">
                           Scanned
@@ -1117,6 +1185,7 @@ const attempts = [
                     </div>
                     <div className="text-xs text-gray-600">
                       {m.date ? new Date(m.date).toLocaleString() : "—"} {m.by ? `• ${m.by}` : ""}
+                      {m.cost != null ? ` • cost ${Number(m.cost).toFixed(2)}` : ""}
                       {m.lat != null && m.lng != null && (
                         <>
                           {" "}
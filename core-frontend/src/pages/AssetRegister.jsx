@@ -0,0 +1,190 @@
+// src/pages/AssetRegister.jsx
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { downloadAssetRegister, getAssetRegister } from "../lib/assets";
+
+const ymd = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+const errText = (e) => e?.response?.data?.error || String(e);
+const money = (n) =>
+  n == null || n === "" ? "—" : (Number(n) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const STATUS_STYLES = {
+  "in-service": "bg-green-100 text-green-800",
+  "fully-depreciated": "bg-gray-100 text-gray-700",
+  disposed: "bg-red-100 text-red-800",
+  "not-acquired": "bg-blue-100 text-blue-800",
+  "not-set-up": "bg-amber-100 text-amber-800",
+};
+
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Fixed-asset register: cost, depreciation and book value per asset as at a
+ * date, with disposals and maintenance cost for the period. Manager+.
+ */
+export default function AssetRegister() {
+  const [asAt, setAsAt] = useState(ymd(new Date()));
+  const [from, setFrom] = useState(`${new Date().getFullYear()}-01-01`);
+  const [includeUnset, setIncludeUnset] = useState(false);
+  const [reg, setReg] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  const params = { asAt, from, includeUnset: includeUnset ? 1 : undefined };
+
+  useEffect(() => {
+    let alive = true;
+    setLoading(true);
+    setErr("");
+    getAssetRegister({ asAt, from, includeUnset: includeUnset ? 1 : undefined })
+      .then((r) => alive && setReg(r))
+      .catch((e) => alive && setErr(errText(e)))
+      .finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [asAt, from, includeUnset]);
+
+  async function download(format) {
+    setErr("");
+    try {
+      const blob = await downloadAssetRegister(params, format);
+      triggerDownload(blob, `asset-register_${asAt}.${format}`);
+    } catch (e) {
+      setErr(errText(e));
+    }
+  }
+
+  const rows = reg?.rows || [];
+  const t = reg?.totals;
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <h1 className="text-2xl font-semibold">Asset Register</h1>
+        <div className="flex items-center gap-2 text-sm">
+          <button type="button" className="btn btn-sm" disabled={!rows.length} onClick={() => download("xlsx")}>
+            Export Excel
+          </button>
+          <button type="button" className="btn btn-sm" disabled={!rows.length} onClick={() => download("csv")}>
+            Export CSV
+          </button>
+          <Link className="btn btn-sm" to="/assets">
+            Assets
+          </Link>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>
+          Period from
+          <input className="block p-1.5 border border-border rounded" type="date" value={from} max={asAt} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          Book values as at
+          <input className="block p-1.5 border border-border rounded" type="date" value={asAt} onChange={(e) => setAsAt(e.target.value)} />
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={includeUnset} onChange={(e) => setIncludeUnset(e.target.checked)} />
+          Include assets without a purchase cost
+        </label>
+        {loading && <span className="text-gray-500">Loading…</span>}
+      </div>
+
+      {err && <div className="text-sm text-red-600">{err}</div>}
+
+      {t && (
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+          {[
+            ["Cost held", t.cost],
+            ["Accumulated depreciation", t.accumulated],
+            ["Book value", t.bookValue],
+            ["Depreciation in period", t.depreciationPeriod],
+            [`Gain / (loss) on ${t.disposals} disposal${t.disposals === 1 ? "" : "s"}`, t.gainLoss],
+            ["Maintenance in period", t.maintenancePeriod],
+          ].map(([label, value]) => (
+            <div key={label} className="rounded-xl border border-border p-3">
+              <div className="text-xs text-gray-500">{label}</div>
+              <div className="font-semibold">{money(value)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      {t?.maintenanceUncosted > 0 && (
+        <div className="text-sm text-amber-700">
+          {t.maintenanceUncosted} maintenance log entr{t.maintenanceUncosted === 1 ? "y has" : "ies have"} no cost recorded; maintenance
+          totals are understated.
+        </div>
+      )}
+
+      <div className="rounded-xl border border-border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-thead">
+            <tr>
+              {["Asset", "Supplier", "Acquired", "Method", "Cost", "Depreciation (period)", "Accumulated", "Book value", "Status", "Maintenance (period / to date)"].map(
+                (h) => (
+                  <th key={h} className="p-2 text-left border-b border-border">
+                    {h}
+                  </th>
+                ),
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length ? (
+              rows.map((r) => (
+                <tr key={r.assetId}>
+                  <td className="border-b border-border p-2">
+                    <Link className="link" to={`/assets/${r.assetId}`}>
+                      {r.name}
+                    </Link>
+                    {r.code ? <span className="text-gray-500"> ({r.code})</span> : null}
+                  </td>
+                  <td className="border-b border-border p-2">{r.vendor || "—"}</td>
+                  <td className="border-b border-border p-2">{ymd(r.acquiredAt) || "—"}</td>
+                  <td className="border-b border-border p-2">
+                    {r.method || "—"}
+                    {r.usefulLifeMonths ? ` · ${r.usefulLifeMonths} m` : ""}
+                  </td>
+                  <td className="border-b border-border p-2">{money(r.cost)}</td>
+                  <td className="border-b border-border p-2">{money(r.depreciationPeriod)}</td>
+                  <td className="border-b border-border p-2">{money(r.accumulated)}</td>
+                  <td className="border-b border-border p-2 font-medium">{money(r.bookValue)}</td>
+                  <td className="border-b border-border p-2">
+                    <span className={"px-2 py-0.5 rounded text-xs " + (STATUS_STYLES[r.status] || "")} title={r.reason || ""}>
+                      {r.status}
+                    </span>
+                    {r.status === "disposed" && (
+                      <div className="text-xs text-gray-600">
+                        {ymd(r.disposedAt)} · {r.gainLoss >= 0 ? "gain" : "loss"} {money(Math.abs(r.gainLoss))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="border-b border-border p-2">
+                    {money(r.maintenancePeriod)} / {money(r.maintenanceToDate)}
+                    {r.maintenanceUncosted > 0 && <span className="text-xs text-amber-700"> · {r.maintenanceUncosted} uncosted</span>}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td className="p-3 text-gray-500" colSpan={10}>
+                  {loading ? "Loading…" : "No assets have a purchase cost yet. Add one on the asset's page."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
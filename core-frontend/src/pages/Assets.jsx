@@ -2,6 +2,8 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { Link, useSearchParams } from "react-router-dom";
 import { api, fileUrl } from "../lib/api";
+import PrintLabelsButton from "../components/PrintLabelsButton";
+import { getMaintenanceSummary } from "../lib/maintenance";
 
 /* --- Status chip --- */
 function StatusBadge({ value }) {
@@ -93,10 +95,12 @@ export default function Assets() {
   const [q, setQ] = useState(searchParams.get("q") || "");
   const [projectId, setProjectId] = useState(searchParams.get("projectId") || "");
   const [status, setStatus] = useState(searchParams.get("status") || "");
+  const [custody, setCustody] = useState(searchParams.get("custody") || "");
 
   // Data
   const [rows, setRows] = useState([]);
   const [projects, setProjects] = useState([]);
+  const [pmOverdue, setPmOverdue] = useState(() => new Set()); // asset ids with overdue preventive maintenance
 
   // UX
   const [err, setErr] = useState("");
@@ -128,9 +132,11 @@ export default function Assets() {
     const qv = next.q ?? q;
     const pv = next.projectId ?? projectId;
     const sv = next.status ?? status;
+    const cv = next.custody ?? custody;
     if (qv) u.set("q", qv);
     if (pv) u.set("projectId", pv);
     if (sv) u.set("status", sv);
+    if (cv) u.set("custody", cv);
     setSearchParams(u);
   }
 
@@ -141,6 +147,7 @@ export default function Assets() {
       if (q) params.q = q;
       if (projectId) params.projectId = projectId;
       if (status) params.status = status;
+      if (custody) params.custody = custody;
       const { data } = await api.get("/assets", { params });
       setRows(Array.isArray(data) ? data : []);
     } catch (e) {
@@ -158,6 +165,11 @@ export default function Assets() {
   }
 
   useEffect(() => { loadProjects(); }, []);
+  useEffect(() => {
+    getMaintenanceSummary()
+      .then((s) => setPmOverdue(new Set(s?.overdueAssetIds || [])))
+      .catch(() => setPmOverdue(new Set()));
+  }, []);
   useEffect(() => { load(); /* eslint-disable-next-line */ }, [searchParams]);
 
   // ---- Derived: filtered rows already done server-side via params; keep memo for consistency if needed later
@@ -252,6 +264,13 @@ export default function Assets() {
           >
             Export CSV
           </button>
+          <PrintLabelsButton kind="asset" ids={filtered.filter((r) => r.code).map((r) => r._id)} className="btn btn-sm" />
+          <Link className="btn btn-sm" to="/maintenance" title="Preventive maintenance plans and work orders">
+            Maintenance{pmOverdue.size ? ` (${pmOverdue.size} overdue)` : ""}
+          </Link>
+          <Link className="btn btn-sm" to="/assets/register" title="Fixed-asset register: cost, depreciation and book values">
+            Register
+          </Link>
           <button
             type="button"
             className="btn btn-sm"
@@ -281,6 +300,20 @@ export default function Assets() {
           </select>
         </label>
 
+        <label className="text-sm flex items-center gap-2">
+          <span className="text-gray-600">Custody</span>
+          <select
+            className="select select-bordered select-sm"
+            value={custody}
+            onChange={(e) => { setCustody(e.target.value); syncUrl({ custody: e.target.value }); }}
+          >
+            <option value="">Any</option>
+            <option value="out">Checked out</option>
+            <option value="overdue">Overdue returns</option>
+            <option value="available">Available</option>
+          </select>
+        </label>
+
         {/* Status tabs (borderless group, like Vehicles) */}
         <div className="flex items-center gap-1 ml-2">
           {statusTabs.map((s) => {
@@ -313,6 +346,7 @@ export default function Assets() {
               <th className="p-2 text-left">Type</th>
               <th className="p-2 text-left">Project</th>
               <th className="p-2 text-left">Status</th>
+              <th className="p-2 text-left">Held by</th>
               <th className="p-2 text-right">Actions</th>
             </tr>
           </thead>
@@ -374,6 +408,26 @@ export default function Assets() {
                         <option value="stolen">stolen</option>
                       </select>
                     </div>
+                    {pmOverdue.has(String(r._id)) && (
+                      <Link to="/maintenance?tab=due" className="text-xs text-red-700 font-medium">
+                        PM overdue
+                      </Link>
+                    )}
+                  </td>
+
+                  <td className="border-t p-2 align-top">
+                    {r.custody?.status === "checked-out" ? (
+                      <>
+                        <div>{r.custody.holderLabel || "—"}</div>
+                        {r.custody.dueAt && (
+                          <div className={`text-xs ${new Date(r.custody.dueAt) < new Date() ? "text-red-700 font-medium" : "text-gray-600"}`}>
+                            due {new Date(r.custody.dueAt).toLocaleDateString()}
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-gray-500">—</span>
+                    )}
                   </td>
 
                   <td className="border-t p-2 text-right align-top">
@@ -384,7 +438,7 @@ export default function Assets() {
             })}
             {!filtered.length && (
               <tr>
-                <td colSpan={6} className="p-4 text-center text-gray-600">No assets</td>
+                <td colSpan={7} className="p-4 text-center text-gray-600">No assets</td>
               </tr>
             )}
           </tbody>
@@ -1,7 +1,7 @@
 // src/pages/Clockings.jsx
 import React, { useEffect, useMemo, useState } from "react";
 import { Link } from "react-router-dom"; // ★ for Timesheet button
-import { api } from "../lib/api";
+import { api, currentUserHasRole } from "../lib/api";
 import ClockingEditForm from "../components/ClockingEditForm";
 import { useTheme } from "../ThemeContext";
 
@@ -417,6 +417,22 @@ export default function Clockings() {
     setSelectedUsers(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
   }
 
+  // Org policy may reject out-of-fence punches; admins can confirm and push through
+  async function postWithFenceOverride(body) {
+    try {
+      return await api.post("/clockings", body);
+    } catch (e) {
+      const data = e?.response?.data;
+      if (e?.response?.status !== 400 || data?.error !== "outside geofence") throw e;
+      const isAdminUser = currentUserHasRole("admin") || currentUserHasRole("superadmin");
+      const where = data.distanceM != null ? ` (${Math.round(data.distanceM)}m outside)` : "";
+      if (!isAdminUser || !confirm(`This location is outside the project geofence${where}. Record it anyway?`)) {
+        throw new Error(`Location is outside the project geofence${where}.`);
+      }
+      return api.post("/clockings", { ...body, fenceOverride: true });
+    }
+  }
+
   async function submitClocking(e) {
     e.preventDefault();
     setErr(""); setInfo("");
@@ -438,7 +454,7 @@ export default function Clockings() {
         const pool = type.toLowerCase() === "out" ? eligibleUsersByType : eligibleUsers; // ★ restrict on OUT
         const selected = selectedUsers.filter(id => pool.some(u => String(u._id) === String(id)));
         if (!selected.length) return setErr(type.toLowerCase() === "out" ? "Pick users who are clocked in." : "Select at least one user.");
-        await api.post("/clockings", { ...payloadBase, userIds: selected });
+        await postWithFenceOverride({ ...payloadBase, userIds: selected });
         setInfo(`Clocked ${selected.length} user(s).`);
         setSelectedUsers([]);
       } else {
@@ -446,7 +462,7 @@ export default function Clockings() {
         if (!singleUser || !pool.some(u => String(u._id) === String(singleUser))) {
           return setErr(type.toLowerCase() === "out" ? "Pick a user who is clocked in." : "Pick a user.");
         }
-        await api.post("/clockings", { ...payloadBase, userId: singleUser });
+        await postWithFenceOverride({ ...payloadBase, userId: singleUser });
         setInfo("Clocking saved."); setSingleUser("");
       }
       setNotes("");
@@ -454,7 +470,7 @@ export default function Clockings() {
       await load();
       setCreateOpen(false);
     } catch (e) {
-      setErr(e?.response?.data?.error || String(e));
+      setErr(e?.response?.data?.error || e?.message || String(e));
     }
   }
 
@@ -663,6 +679,13 @@ export default function Clockings() {
           <Link to="/timesheet" className="px-3 py-2 border rounded" title="Open Timesheet view">
             Timesheet
           </Link>
+          <Link
+            to="/admin/clockings/exceptions"
+            className="px-3 py-2 border rounded"
+            title="Punches recorded outside the project geofence"
+          >
+            Geofence exceptions
+          </Link>
         </div>
       </div>
 
@@ -741,12 +764,38 @@ export default function Clockings() {
                   <td className="border-top p-2">{r.user?.name || r.user?.email || userName(r.userId)}</td>
                   <td className="border-top p-2">{userGroupNames(r.userId) || "—"}</td> {/* ★ */}
                   <td className="border-top p-2">{r.project?.name || projectName(r.projectId)}</td>
-                  <td className="border-top p-2">{r.type || "—"}</td>
+                  <td className="border-top p-2">
+                    {r.type || "—"}
+                    {r.capture?.method === "face" && (
+                      <span
+                        className="ml-1 text-xs px-1.5 py-0.5 rounded border bg-blue-50 border-blue-200 text-blue-700"
+                        title={
+                          r.capture.kiosk
+                            ? `Kiosk ${r.capture.deviceName || r.capture.deviceId || ""} · operated by ${r.capture.operatorName || "—"}`
+                            : "Face match"
+                        }
+                      >
+                        face{r.capture.confidence != null ? ` ${Math.round(r.capture.confidence * 100)}%` : ""}
+                        {r.capture.kiosk ? " · kiosk" : ""}
+                      </span>
+                    )}
+                  </td>
                   <td className="border-top p-2">
                     {r.location && (r.location.lat != null && r.location.lng != null)
                       ? `${r.location.lat.toFixed?.(5) ?? r.location.lat}, ${r.location.lng.toFixed?.(5) ?? r.location.lng}` +
                         (r.location.acc != null ? ` (${r.location.acc}m)` : "")
                       : "—"}
+                    {r.fence?.status === "outside" && (
+                      <span
+                        className="ml-1 text-xs px-1.5 py-0.5 rounded border bg-red-50 border-red-200 text-red-700"
+                        title="Recorded outside the project geofence"
+                      >
+                        {Math.round(r.fence.distanceM || 0)}m outside
+                      </span>
+                    )}
+                    {r.fence?.status === "inside" && (
+                      <span className="ml-1 text-xs text-green-700" title="Inside the project geofence">✓ fence</span>
+                    )}
                   </td>
                   <td className="border-top p-2">{r.notes || "—"}</td>
                   <td className="border-top p-2">
@@ -0,0 +1,358 @@
+// src/pages/DriverLicences.jsx
+import { useEffect, useMemo, useState } from "react";
+import { api, fileUrl } from "../lib/api";
+import {
+  createDriverLicence,
+  deleteDriverLicence,
+  listDriverLicences,
+  updateDriverLicence,
+  uploadLicenceScan,
+} from "../lib/drivers";
+
+const CODES = ["A1", "A", "B", "EB", "C1", "C", "EC1", "EC"];
+const PRDP_CATEGORIES = ["G", "P", "D"];
+
+const EMPTY_FORM = {
+  _id: "",
+  userId: "",
+  licenceNumber: "",
+  codes: [],
+  issuedAt: "",
+  expiresAt: "",
+  restrictions: "",
+  prdpNumber: "",
+  prdpCategories: [],
+  prdpExpiresAt: "",
+  notes: "",
+};
+
+const STATUS_STYLES = {
+  ok: "bg-green-100 text-green-800",
+  expiring: "bg-amber-100 text-amber-800",
+  expired: "bg-red-100 text-red-800",
+};
+
+const ymd = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+function formFrom(l) {
+  return {
+    _id: l._id,
+    userId: l.userId,
+    licenceNumber: l.licenceNumber || "",
+    codes: l.codes || [],
+    issuedAt: ymd(l.issuedAt),
+    expiresAt: ymd(l.expiresAt),
+    restrictions: l.restrictions || "",
+    prdpNumber: l.prdp?.number || "",
+    prdpCategories: l.prdp?.categories || [],
+    prdpExpiresAt: ymd(l.prdp?.expiresAt),
+    notes: l.notes || "",
+  };
+}
+
+function payloadFrom(f) {
+  return {
+    userId: f.userId,
+    licenceNumber: f.licenceNumber,
+    codes: f.codes,
+    issuedAt: f.issuedAt || null,
+    expiresAt: f.expiresAt || null,
+    restrictions: f.restrictions,
+    prdp: { number: f.prdpNumber, categories: f.prdpCategories, expiresAt: f.prdpExpiresAt || null },
+    notes: f.notes,
+  };
+}
+
+function toggle(list, value) {
+  return list.includes(value) ? list.filter((x) => x !== value) : [...list, value];
+}
+
+export default function DriverLicences() {
+  const [rows, setRows] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [status, setStatus] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+  const [form, setForm] = useState(null);
+  const [scanFile, setScanFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    setLoading(true);
+    setErr("");
+    listDriverLicences(status ? { status } : {})
+      .then((d) => alive && setRows(d))
+      .catch((e) => alive && setErr(e?.response?.data?.error || String(e)))
+      .finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [status, reloadKey]);
+
+  useEffect(() => {
+    let alive = true;
+    api
+      .get("/users", { params: { limit: 1000 } })
+      .then(({ data }) => alive && setUsers(Array.isArray(data) ? data : []))
+      .catch(() => alive && setUsers([]));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  const counts = useMemo(() => {
+    const c = { ok: 0, expiring: 0, expired: 0 };
+    rows.forEach((r) => {
+      c[r.status] = (c[r.status] || 0) + 1;
+    });
+    return c;
+  }, [rows]);
+
+  async function save(e) {
+    e.preventDefault();
+    setErr("");
+    setInfo("");
+    if (!form.userId) return setErr("Choose the driver.");
+    if (!form.codes.length) return setErr("Tick at least one licence code.");
+    setSaving(true);
+    try {
+      const saved = form._id
+        ? await updateDriverLicence(form._id, payloadFrom(form))
+        : await createDriverLicence(payloadFrom(form));
+      if (scanFile) await uploadLicenceScan(saved, scanFile);
+      setForm(null);
+      setScanFile(null);
+      setInfo("Licence saved.");
+      setReloadKey((k) => k + 1);
+    } catch (e2) {
+      setErr(e2?.response?.data?.error || String(e2));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function remove(row) {
+    if (!window.confirm(`Remove the licence for ${row.userName || "this driver"}?`)) return;
+    try {
+      await deleteDriverLicence(row._id);
+      setRows((prev) => prev.filter((r) => r._id !== row._id));
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
+    }
+  }
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <h1 className="text-2xl font-semibold">Driver Licences</h1>
+        <div className="flex items-center gap-2 text-sm">
+          <select className="p-1.5 border border-border rounded" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All licences</option>
+            <option value="expiring">Expiring (30 days)</option>
+            <option value="expired">Expired</option>
+            <option value="ok">Valid</option>
+          </select>
+          <button
+            type="button"
+            className="btn btn-sm"
+            onClick={() => {
+              setForm({ ...EMPTY_FORM });
+              setScanFile(null);
+            }}
+          >
+            Add licence
+          </button>
+        </div>
+      </div>
+
+      {err && <div className="text-sm text-red-600">{err}</div>}
+      {info && <div className="text-sm text-green-700">{info}</div>}
+      {loading && <div className="text-sm text-gray-500">Loading…</div>}
+
+      {!status && rows.length > 0 && (
+        <div className="text-sm text-gray-600">
+          {counts.ok} valid · {counts.expiring} expiring · {counts.expired} expired
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={save} className="rounded-xl border border-border bg-panel p-3 space-y-3">
+          <div className="font-medium">{form._id ? "Edit licence" : "New licence"}</div>
+          <div className="grid gap-3 md:grid-cols-3">
+            <label className="text-sm">
+              Driver
+              <select className="w-full" value={form.userId} onChange={set("userId")} disabled={!!form._id}>
+                <option value="">— choose —</option>
+                {users.map((u) => (
+                  <option key={u._id} value={u._id}>
+                    {u.name || u.email || u.username}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm">
+              Licence number
+              <input className="w-full" value={form.licenceNumber} onChange={set("licenceNumber")} />
+            </label>
+            <label className="text-sm">
+              Restrictions
+              <input
+                className="w-full"
+                value={form.restrictions}
+                onChange={set("restrictions")}
+                placeholder="e.g. 1 (glasses)"
+              />
+            </label>
+            <label className="text-sm">
+              Issued
+              <input className="w-full" type="date" value={form.issuedAt} onChange={set("issuedAt")} />
+            </label>
+            <label className="text-sm">
+              Card expires
+              <input className="w-full" type="date" value={form.expiresAt} onChange={set("expiresAt")} />
+            </label>
+            <div className="text-sm">
+              Codes
+              <div className="flex flex-wrap gap-2 mt-1">
+                {CODES.map((c) => (
+                  <label key={c} className="inline-flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={form.codes.includes(c)}
+                      onChange={() => setForm((f) => ({ ...f, codes: toggle(f.codes, c) }))}
+                    />
+                    {c}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="text-sm">
+              PrDP number
+              <input className="w-full" value={form.prdpNumber} onChange={set("prdpNumber")} />
+            </label>
+            <label className="text-sm">
+              PrDP expires
+              <input className="w-full" type="date" value={form.prdpExpiresAt} onChange={set("prdpExpiresAt")} />
+            </label>
+            <div className="text-sm">
+              PrDP categories
+              <div className="flex flex-wrap gap-2 mt-1">
+                {PRDP_CATEGORIES.map((c) => (
+                  <label key={c} className="inline-flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={form.prdpCategories.includes(c)}
+                      onChange={() => setForm((f) => ({ ...f, prdpCategories: toggle(f.prdpCategories, c) }))}
+                    />
+                    {c}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="text-sm md:col-span-2">
+              Notes
+              <input className="w-full" value={form.notes} onChange={set("notes")} />
+            </label>
+            <label className="text-sm">
+              Scanned copy
+              <input
+                className="w-full"
+                type="file"
+                accept="image/*,application/pdf"
+                onChange={(e) => setScanFile(e.target.files?.[0] || null)}
+              />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button className="btn btn-primary" disabled={saving}>
+              {saving ? "Saving…" : "Save"}
+            </button>
+            <button type="button" className="btn" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="rounded-xl border border-border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-thead">
+            <tr>
+              {["Driver", "Licence", "Codes", "Expires", "PrDP", "Status", "Scan", ""].map((h) => (
+                <th key={h} className="p-2 text-left border-b border-border">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length ? (
+              rows.map((r) => (
+                <tr key={r._id}>
+                  <td className="border-b border-border p-2">{r.userName || r.userId}</td>
+                  <td className="border-b border-border p-2">{r.licenceNumber || "—"}</td>
+                  <td className="border-b border-border p-2">{(r.codes || []).join(", ") || "—"}</td>
+                  <td className="border-b border-border p-2">{showDate(r.expiresAt)}</td>
+                  <td className="border-b border-border p-2">
+                    {r.prdp
+                      ? `${(r.prdp.categories || []).join("") || "—"} · ${showDate(r.prdp.expiresAt)}`
+                      : "—"}
+                  </td>
+                  <td className="border-b border-border p-2">
+                    <span className={"px-2 py-0.5 rounded text-xs " + (STATUS_STYLES[r.status] || "")}>{r.status}</span>
+                  </td>
+                  <td className="border-b border-border p-2">
+                    {r.documents?.length
+                      ? r.documents.map((d) =>
+                          d.url ? (
+                            <a key={d._id} className="link mr-2" href={fileUrl(d.url)} target="_blank" rel="noreferrer">
+                              {d.filename || d.title}
+                            </a>
+                          ) : (
+                            <span key={d._id} className="mr-2">
+                              {d.title}
+                            </span>
+                          ),
+                        )
+                      : "—"}
+                  </td>
+                  <td className="border-b border-border p-2 whitespace-nowrap">
+                    <button
+                      type="button"
+                      className="btn btn-sm"
+                      onClick={() => {
+                        setForm(formFrom(r));
+                        setScanFile(null);
+                      }}
+                    >
+                      Edit
+                    </button>{" "}
+                    <button type="button" className="btn btn-sm" onClick={() => remove(r)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td className="p-3 text-center" colSpan={8}>
+                  {loading ? "Loading…" : "No licences"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500">
+        Trips check the driver&apos;s licence against the vehicle type when they start; the organisation setting decides
+        whether a problem only warns or blocks the trip.
+      </div>
+    </div>
+  );
+}
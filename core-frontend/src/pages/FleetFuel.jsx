@@ -0,0 +1,168 @@
+// src/pages/FleetFuel.jsx
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { getFleetFuelRanking } from "../lib/purchases";
+
+const PERIODS = [3, 6, 12, 24];
+
+const COLUMNS = [
+  { key: "rank", label: "#" },
+  { key: "reg", label: "Vehicle" },
+  { key: "avgLPer100", label: "Avg L/100km" },
+  { key: "km", label: "Km" },
+  { key: "litres", label: "Litres" },
+  { key: "fuelCostPerKm", label: "Fuel / km" },
+  { key: "costPerKm", label: "Total / km" },
+  { key: "totalCost", label: "Total cost" },
+  { key: "outliers", label: "Outliers" },
+];
+
+const fmt = (v, dp = 2) => (v == null ? "—" : Number(v).toLocaleString(undefined, { maximumFractionDigits: dp }));
+
+function periodStart(months) {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1)).toISOString().slice(0, 10);
+}
+
+export default function FleetFuel() {
+  const [months, setMonths] = useState(6);
+  const [status, setStatus] = useState("active");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+  const [sort, setSort] = useState({ key: "rank", dir: 1 });
+
+  useEffect(() => {
+    let alive = true;
+    setLoading(true);
+    setErr("");
+    getFleetFuelRanking({ from: periodStart(months), ...(status ? { status } : {}) })
+      .then((d) => alive && setData(d))
+      .catch((e) => alive && setErr(e?.response?.data?.error || String(e)))
+      .finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [months, status]);
+
+  const rows = useMemo(() => {
+    const list = [...(data?.ranking || [])];
+    const { key, dir } = sort;
+    return list.sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      if (x == null && y == null) return 0;
+      if (x == null) return 1; // blanks last either way
+      if (y == null) return -1;
+      return (typeof x === "string" ? x.localeCompare(y) : x - y) * dir;
+    });
+  }, [data, sort]);
+
+  const f = data?.fleet;
+  const med = f?.medianLPer100;
+  const outlierPct = data?.policy?.fuelOutlierPct ?? 25;
+
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: key === "reg" || key === "rank" ? 1 : -1 }));
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <h1 className="text-2xl font-semibold">Fleet Fuel Ranking</h1>
+        <div className="flex items-center gap-2 text-sm">
+          <select className="p-1.5 border border-border rounded" value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+            {PERIODS.map((m) => (
+              <option key={m} value={m}>
+                Last {m} months
+              </option>
+            ))}
+          </select>
+          <select className="p-1.5 border border-border rounded" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="active">Active vehicles</option>
+            <option value="">All vehicles</option>
+          </select>
+        </div>
+      </div>
+
+      {err && <div className="text-sm text-red-600">{err}</div>}
+      {loading && <div className="text-sm text-gray-500">Loading…</div>}
+
+      {f && (
+        <div className="grid gap-2 grid-cols-2 md:grid-cols-3 lg:grid-cols-6">
+          {[
+            ["Vehicles measured", `${f.measured} / ${f.vehicles}`],
+            ["Fleet median L/100km", fmt(f.medianLPer100)],
+            ["Median cost / km", fmt(f.medianCostPerKm)],
+            ["Distance", `${fmt(f.km, 0)} km`],
+            ["Fuel", `${fmt(f.litres, 0)} L`],
+            ["Outliers", f.outliers],
+          ].map(([label, value]) => (
+            <div key={label} className="rounded-lg border border-border p-2 bg-white">
+              <div className="text-xs text-gray-500">{label}</div>
+              <div className="text-lg font-semibold">{value}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {data && (
+        <div className="rounded-xl border border-border overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-thead">
+              <tr>
+                {COLUMNS.map((c) => (
+                  <th
+                    key={c.key}
+                    className="p-2 text-left border-b border-border cursor-pointer select-none"
+                    onClick={() => toggleSort(c.key)}
+                  >
+                    {c.label}
+                    {sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length ? (
+                rows.map((r) => {
+                  const high = med != null && r.avgLPer100 != null && r.avgLPer100 > med * (1 + outlierPct / 100);
+                  return (
+                    <tr key={r.vehicleId}>
+                      <td className="border-b border-border p-2">{r.rank}</td>
+                      <td className="border-b border-border p-2">
+                        <Link className="link" to={`/vehicles/${r.vehicleId}#fuel`}>
+                          {r.reg}
+                        </Link>
+                        <span className="text-xs text-gray-500 ml-1">{[r.make, r.model].filter(Boolean).join(" ")}</span>
+                      </td>
+                      <td className={"border-b border-border p-2 " + (high ? "text-red-700 font-medium" : "")}>
+                        {fmt(r.avgLPer100)}
+                      </td>
+                      <td className="border-b border-border p-2">{fmt(r.km, 0)}</td>
+                      <td className="border-b border-border p-2">{fmt(r.litres, 0)}</td>
+                      <td className="border-b border-border p-2">{fmt(r.fuelCostPerKm)}</td>
+                      <td className="border-b border-border p-2">{fmt(r.costPerKm)}</td>
+                      <td className="border-b border-border p-2">{fmt(r.totalCost, 0)}</td>
+                      <td className={"border-b border-border p-2 " + (r.outliers ? "text-red-700" : "")}>{r.outliers || "—"}</td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td className="p-3 text-center" colSpan={COLUMNS.length}>
+                    No vehicles
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="text-xs text-gray-500">
+        Consumption is measured between full-tank fills; vehicles without two full fills in the period show “—” and
+        sort last. Red consumption is more than {outlierPct}% above the fleet median.
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 // core-frontend/src/pages/InspectionRun.jsx
 import { useEffect, useMemo, useState } from "react";
-import { useNavigate, useParams } from "react-router-dom";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { api } from "../lib/api";
 import { getForm, runForm } from "../lib/inspectionApi.js";
 
@@ -58,6 +58,10 @@ export default function InspectionRun() {
   const { formId, id } = useParams();
   const realId = formId || id;
   const nav = useNavigate();
+  // Started from a scheduled due item: ?due=<instanceId>&subjectId=<id>
+  const [searchParams] = useSearchParams();
+  const dueInstanceId = searchParams.get("due") || "";
+  const dueSubjectId = searchParams.get("subjectId") || "";
   const me = (window.__CURRENT_USER__ || {});
 
   const [form, setForm] = useState(null);
@@ -127,7 +131,7 @@ export default function InspectionRun() {
           setSubjectLabel(f.subject.lockLabel || "");
         } else {
           setSubjectLocked({ id: undefined, label: "" });
-          setSubjectId("");
+          setSubjectId(st !== "none" ? dueSubjectId : "");
           setSubjectLabel("");
         }
 
@@ -382,6 +386,7 @@ export default function InspectionRun() {
           date: new Date().toISOString(),
           signatureDataUrl: signature || "",
         },
+        ...(dueInstanceId ? { scheduleInstanceId: dueInstanceId } : {}),
       };
 
       const sub = await runForm(realId, payload);
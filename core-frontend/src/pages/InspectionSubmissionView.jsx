@@ -927,6 +927,30 @@ export default function InspectionSubmissionView() {
         )}
       </div>
 
+      {Array.isArray(sub.correctiveActions) && sub.correctiveActions.length > 0 && (
+        <div className="card mt-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold">Corrective Actions</h2>
+            <Link className="btn btn-sm" to="/admin/inspections/corrective-actions">
+              Open queue
+            </Link>
+          </div>
+          <div className="mt-2 space-y-2">
+            {sub.correctiveActions.map((ca) => (
+              <div key={ca._id} className="flex items-center justify-between gap-2">
+                <div>
+                  <div>{ca.title}</div>
+                  <div className="muted text-xs">
+                    Due {ca.dueAt ? new Date(ca.dueAt).toLocaleDateString() : "—"}
+                  </div>
+                </div>
+                <span className="pill">{ca.status}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="card mt-3">
         <h2 className="text-lg font-semibold">Project Manager Comments</h2>
 
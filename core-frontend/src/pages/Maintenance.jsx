@@ -0,0 +1,652 @@
+// src/pages/Maintenance.jsx
+import { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { api, currentUserHasRole } from "../lib/api";
+import {
+  createMaintenancePlan,
+  createWorkOrder,
+  deleteMaintenancePlan,
+  generateMaintenancePlan,
+  getWorkOrder,
+  listMaintenanceDue,
+  listMaintenancePlans,
+  listWorkOrders,
+  updateMaintenancePlan,
+} from "../lib/maintenance";
+import WorkOrderPanel from "../components/WorkOrderPanel";
+
+const TABS = [
+  { id: "due", label: "Due" },
+  { id: "work-orders", label: "Work orders" },
+  { id: "plans", label: "Plans" },
+];
+
+const DUE_STYLES = {
+  overdue: "bg-red-100 text-red-800",
+  "due-soon": "bg-amber-100 text-amber-800",
+  "no-reading": "bg-gray-100 text-gray-700",
+  ok: "bg-green-100 text-green-800",
+};
+const WO_STYLES = {
+  open: "bg-blue-100 text-blue-800",
+  "in-progress": "bg-amber-100 text-amber-800",
+  completed: "bg-green-100 text-green-800",
+  cancelled: "bg-gray-100 text-gray-700",
+};
+
+const EMPTY_PLAN = {
+  _id: "",
+  name: "",
+  description: "",
+  assetType: "",
+  assetIds: [],
+  trigger: "calendar",
+  intervalDays: "",
+  meterKey: "hours",
+  intervalUsage: "",
+  leadDays: 7,
+  leadUsage: "",
+  startAt: "",
+  checklistText: "",
+  estimatedMinutes: "",
+  active: true,
+};
+
+const ymd = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+const showDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+const errText = (e) => e?.response?.data?.error || String(e);
+const canManage = () => ["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r));
+
+// One checklist item per line; "(optional)" at the end marks it not required
+const OPTIONAL = /\s*\(optional\)\s*$/i;
+function checklistFromText(text) {
+  return String(text || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((l) => ({ label: l.replace(OPTIONAL, ""), required: !OPTIONAL.test(l) }));
+}
+const checklistToText = (list = []) => list.map((c) => `${c.label}${c.required === false ? " (optional)" : ""}`).join("\n");
+
+function planForm(p) {
+  return {
+    ...EMPTY_PLAN,
+    ...p,
+    assetIds: (p.assetIds || []).map(String),
+    intervalDays: p.intervalDays ?? "",
+    intervalUsage: p.intervalUsage ?? "",
+    leadDays: p.leadDays ?? "",
+    leadUsage: p.leadUsage ?? "",
+    estimatedMinutes: p.estimatedMinutes ?? "",
+    startAt: ymd(p.startAt),
+    checklistText: checklistToText(p.checklist),
+  };
+}
+
+function planPayload(f) {
+  const num = (v) => (v === "" || v == null ? undefined : Number(v));
+  return {
+    name: f.name,
+    description: f.description,
+    assetType: f.assetType,
+    assetIds: f.assetIds,
+    trigger: f.trigger,
+    intervalDays: f.trigger === "calendar" ? num(f.intervalDays) : undefined,
+    meterKey: f.trigger === "usage" ? f.meterKey : undefined,
+    intervalUsage: f.trigger === "usage" ? num(f.intervalUsage) : undefined,
+    leadDays: num(f.leadDays),
+    leadUsage: num(f.leadUsage),
+    startAt: f.startAt || null,
+    checklist: checklistFromText(f.checklistText),
+    estimatedMinutes: num(f.estimatedMinutes),
+    active: !!f.active,
+  };
+}
+
+function dueText(r) {
+  if (r.trigger === "usage") {
+    const now = r.currentUsage != null ? `${r.currentUsage} / ` : "";
+    return `${now}${r.nextDueUsage} ${r.meterKey}`;
+  }
+  return showDate(r.nextDueAt);
+}
+
+export default function Maintenance() {
+  const [params, setParams] = useSearchParams();
+  const tab = params.get("tab") || (params.get("wo") ? "work-orders" : "due");
+  const woId = params.get("wo") || "";
+  const manager = useMemo(canManage, []);
+
+  const [assets, setAssets] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // due
+  const [due, setDue] = useState([]);
+  const [dueStatus, setDueStatus] = useState("overdue,due-soon");
+
+  // work orders
+  const [orders, setOrders] = useState([]);
+  const [woStatus, setWoStatus] = useState("open,in-progress");
+  const [current, setCurrent] = useState(null);
+  const [newWo, setNewWo] = useState(null);
+
+  // plans
+  const [plans, setPlans] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [loading, setLoading] = useState(false);
+
+  const go = (next) => {
+    const p = new URLSearchParams(params);
+    Object.entries(next).forEach(([k, v]) => (v ? p.set(k, v) : p.delete(k)));
+    setParams(p, { replace: true });
+  };
+
+  useEffect(() => {
+    let alive = true;
+    api
+      .get("/assets", { params: { limit: 2000 } })
+      .then(({ data }) => alive && setAssets(Array.isArray(data) ? data : []))
+      .catch(() => alive && setAssets([]));
+    api
+      .get("/users", { params: { limit: 1000 } })
+      .then(({ data }) => alive && setUsers(Array.isArray(data) ? data : []))
+      .catch(() => alive && setUsers([]));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    let alive = true;
+    setLoading(true);
+    setErr("");
+    const load =
+      tab === "due"
+        ? listMaintenanceDue(dueStatus ? { status: dueStatus } : {}).then((d) => alive && setDue(d))
+        : tab === "work-orders"
+          ? listWorkOrders(woStatus ? { status: woStatus } : {}).then((d) => alive && setOrders(d))
+          : listMaintenancePlans().then((d) => alive && setPlans(d));
+    load.catch((e) => alive && setErr(errText(e))).finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [tab, dueStatus, woStatus, reloadKey]);
+
+  useEffect(() => {
+    if (!woId) {
+      setCurrent(null);
+      return undefined;
+    }
+    let alive = true;
+    getWorkOrder(woId)
+      .then((d) => alive && setCurrent(d))
+      .catch((e) => alive && setErr(errText(e)));
+    return () => {
+      alive = false;
+    };
+  }, [woId]);
+
+  const assetTypes = useMemo(
+    () => [...new Set(assets.map((a) => String(a.type || "").trim()).filter(Boolean))].sort(),
+    [assets],
+  );
+
+  function onWorkOrderChange(next) {
+    setCurrent(next);
+    setOrders((prev) => prev.map((w) => (w._id === next._id ? next : w)));
+    if (next.status === "completed") setInfo("Work order completed and written to the asset's maintenance log.");
+  }
+
+  async function savePlan(e) {
+    e.preventDefault();
+    setErr("");
+    setInfo("");
+    setSaving(true);
+    try {
+      const body = planPayload(form);
+      if (form._id) await updateMaintenancePlan(form._id, body);
+      else await createMaintenancePlan(body);
+      setForm(null);
+      setInfo("Plan saved.");
+      setReloadKey((k) => k + 1);
+    } catch (e2) {
+      setErr(errText(e2));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function removePlan(p) {
+    if (!window.confirm(`Delete plan "${p.name}"? Its open work orders are cancelled.`)) return;
+    try {
+      const r = await deleteMaintenancePlan(p._id);
+      setInfo(r?.cancelled ? `Plan deleted; ${r.cancelled} open work order(s) cancelled.` : "Plan deleted.");
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      setErr(errText(e));
+    }
+  }
+
+  async function generate(p) {
+    setErr("");
+    try {
+      const r = await generateMaintenancePlan(p._id);
+      setInfo(r.created ? `Raised ${r.created} work order(s) for "${p.name}".` : `Nothing due for "${p.name}".`);
+    } catch (e) {
+      setErr(errText(e));
+    }
+  }
+
+  async function saveWorkOrder(e) {
+    e.preventDefault();
+    setErr("");
+    try {
+      const wo = await createWorkOrder({
+        assetId: newWo.assetId,
+        title: newWo.title,
+        notes: newWo.notes,
+        dueAt: newWo.dueAt || null,
+        checklist: checklistFromText(newWo.checklistText),
+      });
+      setNewWo(null);
+      setReloadKey((k) => k + 1);
+      go({ tab: "work-orders", wo: wo._id });
+    } catch (e2) {
+      setErr(errText(e2));
+    }
+  }
+
+  const setF = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const setW = (k) => (e) => setNewWo((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <h1 className="text-2xl font-semibold">Preventive Maintenance</h1>
+        <div className="flex items-center gap-2 text-sm">
+          {TABS.map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              className={`btn btn-sm ${tab === t.id ? "btn-primary" : ""}`}
+              onClick={() => go({ tab: t.id, wo: "" })}
+            >
+              {t.label}
+            </button>
+          ))}
+          <Link className="btn btn-sm" to="/assets">
+            Assets
+          </Link>
+        </div>
+      </div>
+
+      {err && <div className="text-sm text-red-600">{err}</div>}
+      {info && <div className="text-sm text-green-700">{info}</div>}
+
+      {/* ------------------------------ Due ------------------------------ */}
+      {tab === "due" && (
+        <>
+          <div className="flex items-center gap-2 text-sm">
+            <select className="p-1.5 border border-border rounded" value={dueStatus} onChange={(e) => setDueStatus(e.target.value)}>
+              <option value="overdue,due-soon">Overdue and due soon</option>
+              <option value="overdue">Overdue</option>
+              <option value="no-reading">Waiting for a meter reading</option>
+              <option value="">Everything</option>
+            </select>
+          </div>
+          <div className="rounded-xl border border-border overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-thead">
+                <tr>
+                  {["Asset", "Plan", "Last service", "Next due", "Status", "Work order"].map((h) => (
+                    <th key={h} className="p-2 text-left border-b border-border">
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {due.length ? (
+                  due.map((r) => (
+                    <tr key={`${r.asset._id}|${r.planId}`}>
+                      <td className="border-b border-border p-2">
+                        <Link className="link" to={`/assets/${r.asset._id}`}>
+                          {r.asset.name}
+                        </Link>
+                        {r.asset.code ? <span className="text-gray-500"> · {r.asset.code}</span> : null}
+                      </td>
+                      <td className="border-b border-border p-2">{r.planName}</td>
+                      <td className="border-b border-border p-2">
+                        {r.lastDoneAt ? showDate(r.lastDoneAt) : "never"}
+                        {r.lastDoneUsage != null ? ` · ${r.lastDoneUsage} ${r.meterKey || ""}` : ""}
+                      </td>
+                      <td className="border-b border-border p-2">{dueText(r)}</td>
+                      <td className="border-b border-border p-2">
+                        <span className={"px-2 py-0.5 rounded text-xs " + (DUE_STYLES[r.status] || "")}>{r.status}</span>
+                      </td>
+                      <td className="border-b border-border p-2">
+                        {r.openWorkOrderId ? (
+                          <button type="button" className="link" onClick={() => go({ tab: "work-orders", wo: r.openWorkOrderId })}>
+                            Open
+                          </button>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td className="p-3 text-center" colSpan={6}>
+                      {loading ? "Loading…" : "Nothing due."}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-gray-500">
+            Work orders are raised automatically once a plan falls due (within its lead time). Usage plans need a meter
+            reading on the asset.
+          </div>
+        </>
+      )}
+
+      {/* --------------------------- Work orders --------------------------- */}
+      {tab === "work-orders" && (
+        <>
+          <div className="flex items-center gap-2 text-sm">
+            <select className="p-1.5 border border-border rounded" value={woStatus} onChange={(e) => setWoStatus(e.target.value)}>
+              <option value="open,in-progress">Open</option>
+              <option value="completed">Completed</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="">All</option>
+            </select>
+            {manager && (
+              <button
+                type="button"
+                className="btn btn-sm"
+                onClick={() => setNewWo({ assetId: "", title: "", notes: "", dueAt: "", checklistText: "" })}
+              >
+                New work order
+              </button>
+            )}
+          </div>
+
+          {newWo && (
+            <form onSubmit={saveWorkOrder} className="rounded-xl border border-border bg-panel p-3 space-y-3">
+              <div className="font-medium">New work order</div>
+              <div className="grid gap-3 md:grid-cols-3">
+                <label className="text-sm">
+                  Asset
+                  <select className="w-full" value={newWo.assetId} onChange={setW("assetId")}>
+                    <option value="">— choose —</option>
+                    {assets.map((a) => (
+                      <option key={a._id} value={a._id}>
+                        {a.name}
+                        {a.code ? ` (${a.code})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm">
+                  Title
+                  <input className="w-full" value={newWo.title} onChange={setW("title")} placeholder="e.g. Replace hydraulic hose" />
+                </label>
+                <label className="text-sm">
+                  Due
+                  <input className="w-full" type="date" value={newWo.dueAt} onChange={setW("dueAt")} />
+                </label>
+                <label className="text-sm md:col-span-2">
+                  Checklist (one item per line, add &quot;(optional)&quot; for items that are not required)
+                  <textarea className="w-full" rows={3} value={newWo.checklistText} onChange={setW("checklistText")} />
+                </label>
+                <label className="text-sm">
+                  Notes
+                  <textarea className="w-full" rows={3} value={newWo.notes} onChange={setW("notes")} />
+                </label>
+              </div>
+              <div className="flex gap-2">
+                <button className="btn btn-primary">Create</button>
+                <button type="button" className="btn" onClick={() => setNewWo(null)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {current && (
+            <div className="rounded-xl border border-border bg-panel p-3 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="font-medium">{current.title}</div>
+                <button type="button" className="btn btn-sm" onClick={() => go({ wo: "" })}>
+                  Close
+                </button>
+              </div>
+              <WorkOrderPanel workOrder={current} users={users} canManage={manager} onChange={onWorkOrderChange} />
+            </div>
+          )}
+
+          <div className="rounded-xl border border-border overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-thead">
+                <tr>
+                  {["Work order", "Asset", "Due", "Checklist", "Labour", "Status"].map((h) => (
+                    <th key={h} className="p-2 text-left border-b border-border">
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {orders.length ? (
+                  orders.map((w) => (
+                    <tr key={w._id} className={w._id === woId ? "bg-thead" : ""}>
+                      <td className="border-b border-border p-2">
+                        <button type="button" className="link text-left" onClick={() => go({ wo: w._id })}>
+                          {w.title}
+                        </button>
+                        {w.source === "plan" && <span className="ml-1 text-xs text-gray-500">PM</span>}
+                      </td>
+                      <td className="border-b border-border p-2">{w.asset?.name || "—"}</td>
+                      <td className={"border-b border-border p-2 " + (w.overdue ? "text-red-700" : "")}>
+                        {w.dueAt ? showDate(w.dueAt) : w.dueUsage != null ? `${w.dueUsage} ${w.meterKey}` : "—"}
+                      </td>
+                      <td className="border-b border-border p-2">
+                        {(w.checklist || []).filter((c) => c.done).length}/{(w.checklist || []).length}
+                      </td>
+                      <td className="border-b border-border p-2">
+                        {w.labourMinutes ? `${Math.round((w.labourMinutes / 60) * 10) / 10} h` : "—"}
+                      </td>
+                      <td className="border-b border-border p-2">
+                        <span className={"px-2 py-0.5 rounded text-xs " + (WO_STYLES[w.status] || "")}>{w.status}</span>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td className="p-3 text-center" colSpan={6}>
+                      {loading ? "Loading…" : "No work orders"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {/* ------------------------------ Plans ------------------------------ */}
+      {tab === "plans" && (
+        <>
+          {manager && !form && (
+            <button type="button" className="btn btn-sm" onClick={() => setForm({ ...EMPTY_PLAN })}>
+              Add plan
+            </button>
+          )}
+
+          {form && (
+            <form onSubmit={savePlan} className="rounded-xl border border-border bg-panel p-3 space-y-3">
+              <div className="font-medium">{form._id ? "Edit plan" : "New plan"}</div>
+              <div className="grid gap-3 md:grid-cols-3">
+                <label className="text-sm">
+                  Name
+                  <input className="w-full" value={form.name} onChange={setF("name")} placeholder="e.g. 250-hour service" />
+                </label>
+                <label className="text-sm">
+                  Asset type
+                  <input className="w-full" list="pm-asset-types" value={form.assetType} onChange={setF("assetType")} />
+                  <datalist id="pm-asset-types">
+                    {assetTypes.map((t) => (
+                      <option key={t} value={t} />
+                    ))}
+                  </datalist>
+                </label>
+                <label className="text-sm">
+                  Only these assets (optional)
+                  <select
+                    className="w-full"
+                    multiple
+                    size={3}
+                    value={form.assetIds}
+                    onChange={(e) => setForm((f) => ({ ...f, assetIds: [...e.target.selectedOptions].map((o) => o.value) }))}
+                  >
+                    {assets.map((a) => (
+                      <option key={a._id} value={a._id}>
+                        {a.name}
+                        {a.code ? ` (${a.code})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm">
+                  Trigger
+                  <select className="w-full" value={form.trigger} onChange={setF("trigger")}>
+                    <option value="calendar">Calendar interval</option>
+                    <option value="usage">Usage (hours / counter)</option>
+                  </select>
+                </label>
+                {form.trigger === "calendar" ? (
+                  <>
+                    <label className="text-sm">
+                      Every (days)
+                      <input className="w-full" type="number" min={1} value={form.intervalDays} onChange={setF("intervalDays")} />
+                    </label>
+                    <label className="text-sm">
+                      Raise work order (days ahead)
+                      <input className="w-full" type="number" min={0} value={form.leadDays} onChange={setF("leadDays")} />
+                    </label>
+                    <label className="text-sm">
+                      First due from (assets never serviced)
+                      <input className="w-full" type="date" value={form.startAt} onChange={setF("startAt")} />
+                    </label>
+                  </>
+                ) : (
+                  <>
+                    <label className="text-sm">
+                      Meter
+                      <input className="w-full" value={form.meterKey} onChange={setF("meterKey")} placeholder="hours" />
+                    </label>
+                    <label className="text-sm">
+                      Every (meter units)
+                      <input className="w-full" type="number" min={1} step="any" value={form.intervalUsage} onChange={setF("intervalUsage")} />
+                    </label>
+                    <label className="text-sm">
+                      Raise work order (units ahead; blank = last 10%)
+                      <input className="w-full" type="number" min={0} step="any" value={form.leadUsage} onChange={setF("leadUsage")} />
+                    </label>
+                  </>
+                )}
+                <label className="text-sm md:col-span-2">
+                  Checklist (one item per line, add &quot;(optional)&quot; for items that are not required)
+                  <textarea className="w-full" rows={4} value={form.checklistText} onChange={setF("checklistText")} />
+                </label>
+                <div className="space-y-2">
+                  <label className="text-sm block">
+                    Estimated minutes
+                    <input className="w-full" type="number" min={0} value={form.estimatedMinutes} onChange={setF("estimatedMinutes")} />
+                  </label>
+                  <label className="text-sm inline-flex items-center gap-1">
+                    <input type="checkbox" checked={!!form.active} onChange={(e) => setForm((f) => ({ ...f, active: e.target.checked }))} />
+                    Active
+                  </label>
+                </div>
+                <label className="text-sm md:col-span-3">
+                  Description
+                  <input className="w-full" value={form.description} onChange={setF("description")} />
+                </label>
+              </div>
+              <div className="flex gap-2">
+                <button className="btn btn-primary" disabled={saving}>
+                  {saving ? "Saving…" : "Save"}
+                </button>
+                <button type="button" className="btn" onClick={() => setForm(null)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="rounded-xl border border-border overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-thead">
+                <tr>
+                  {["Plan", "Applies to", "Trigger", "Checklist", "Active", ""].map((h) => (
+                    <th key={h} className="p-2 text-left border-b border-border">
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {plans.length ? (
+                  plans.map((p) => (
+                    <tr key={p._id}>
+                      <td className="border-b border-border p-2">{p.name}</td>
+                      <td className="border-b border-border p-2">
+                        {p.assetIds?.length ? `${p.assetIds.length} selected asset(s)` : `Type: ${p.assetType}`}
+                      </td>
+                      <td className="border-b border-border p-2">
+                        {p.trigger === "usage"
+                          ? `Every ${p.intervalUsage} ${p.meterKey}`
+                          : `Every ${p.intervalDays} day${p.intervalDays === 1 ? "" : "s"}`}
+                      </td>
+                      <td className="border-b border-border p-2">{(p.checklist || []).length} item(s)</td>
+                      <td className="border-b border-border p-2">{p.active ? "Yes" : "No"}</td>
+                      <td className="border-b border-border p-2 whitespace-nowrap">
+                        {manager && (
+                          <>
+                            <button type="button" className="btn btn-sm" onClick={() => generate(p)}>
+                              Raise due now
+                            </button>{" "}
+                            <button type="button" className="btn btn-sm" onClick={() => setForm(planForm(p))}>
+                              Edit
+                            </button>{" "}
+                            <button type="button" className="btn btn-sm" onClick={() => removePlan(p)}>
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td className="p-3 text-center" colSpan={6}>
+                      {loading ? "Loading…" : "No plans yet"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
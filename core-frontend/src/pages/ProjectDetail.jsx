@@ -4,10 +4,15 @@
 
 import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate, useParams, Link } from "react-router-dom";
-import { api, fileUrl } from "../lib/api";
+import { api, currentUserHasRole, fileUrl } from "../lib/api";
 import { listProjectTasks } from "../lib/api";
 // import ProjectTasksTimeline from "../components/ProjectTasksTimeline";
 import GanttPane from "../components/GanttPane";
+import PrintLabelsButton from "../components/PrintLabelsButton";
+import ProjectTilePacksPanel from "../components/ProjectTilePacksPanel";
+import ProjectBaselinesPanel from "../components/ProjectBaselinesPanel";
+import ProjectWorkstreamsPanel from "../components/ProjectWorkstreamsPanel";
+import ProjectPlanImportPanel from "../components/ProjectPlanImportPanel";
 import { listForms } from "../lib/inspectionApi.js";
 import TaskDetail from "./TaskDetail.jsx";
 
@@ -268,6 +273,7 @@ export default function ProjectDetail({ id: propId, onClose }) {
   const [p, setP] = useState(null);
   const [err, setErr] = useState("");
   const [info, setInfo] = useState("");
+  const [planKey, setPlanKey] = useState(0); // remounts the Gantt when baselines, workstreams or the plan change
 
   const [users, setUsers] = useState([]);
   const [projectTasks, setProjectTasks] = useState([]);
@@ -1255,6 +1261,7 @@ useEffect(() => {
           <button className="px-3 py-2 border rounded" onClick={printPdf}>
             Print PDF
           </button>
+          <PrintLabelsButton kind="site" ids={[id]} label="Site QR label" />
           {!p.deletedAt ? (
             <button className="px-3 py-2 border rounded" onClick={softDelete}>
               Delete
@@ -1633,11 +1640,48 @@ useEffect(() => {
         </div>
       </Card>
 
+      {/* Offline base map for the mobile app */}
+      <Card title="Offline Map Packs">
+        <ProjectTilePacksPanel
+          projectId={id}
+          canManage={["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r))}
+        />
+      </Card>
+
+      {/* Workstreams (Gantt swimlanes) */}
+      <Card title="Workstreams">
+        <ProjectWorkstreamsPanel
+          projectId={id}
+          users={users}
+          canManage={["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r))}
+          onChange={() => setPlanKey((k) => k + 1)}
+        />
+      </Card>
+
+      {/* Baselines + schedule variance */}
+      <Card title="Baselines & Variance">
+        <ProjectBaselinesPanel
+          projectId={id}
+          canManage={["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r))}
+          onChange={() => setPlanKey((k) => k + 1)}
+        />
+      </Card>
+
+      {/* MS Project / Primavera import + MSPDI export */}
+      <Card title="Plan Import / Export">
+        <ProjectPlanImportPanel
+          projectId={id}
+          projectName={p?.name}
+          canManage={["manager", "admin", "superadmin"].some((r) => currentUserHasRole(r))}
+          onChange={() => setPlanKey((k) => k + 1)}
+        />
+      </Card>
+
       {/* ✅ Project Plan (Gantt) */}
 <Card title="Project Plan (Gantt)">
   {(() => {
     const pid = String(p?._id || p?.id || id || "");
-    return pid ? <GanttPane key={pid} projectId={pid} embedded /> : null;
+    return pid ? <GanttPane key={`${pid}:${planKey}`} projectId={pid} embedded /> : null;
   })()}
 </Card>
     
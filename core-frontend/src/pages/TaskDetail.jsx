@@ -260,7 +260,10 @@ function normalizeTask(t) {
   const dueAt = t.dueAt ?? t.dueDate ?? t.deadlineAt ?? null;
   const firstStartFromLog = Array.isArray(t?.actualDurationLog)
     ? t.actualDurationLog
-        .filter((e) => ["start", "resume"].includes(String(e.action)))
+        .filter((e) =>
+          // a fence entry that auto-started the task counts as a start
+          ["start", "resume"].includes(String(e.fenceAction || e.action)),
+        )
         .map((e) => e.at)
         .sort()[0] || null
     : null;
@@ -473,6 +476,8 @@ export default function TaskDetail({ id: propId, onClose }) {
   // Map / geofence
   const [enforceLocationCheck, setEnforceLocationCheck] = useState(false);
   const [enforceQRScan, setEnforceQRScan] = useState(false);
+  const [triggerOnEnterFence, setTriggerOnEnterFence] = useState(false);
+  const [pauseOnExitFence, setPauseOnExitFence] = useState(false);
   const [lat, setLat] = useState("");
   const [lng, setLng] = useState("");
   const [radius, setRadius] = useState("");
@@ -674,6 +679,8 @@ export default function TaskDetail({ id: propId, onClose }) {
 
       setEnforceLocationCheck(!!norm?.enforceLocationCheck);
       setEnforceQRScan(!!norm?.enforceQRScan);
+      setTriggerOnEnterFence(!!norm?.triggerOnEnterFence);
+      setPauseOnExitFence(!!norm?.pauseOnExitFence);
       setLat(norm?.locationGeoFence?.lat ?? "");
       setLng(norm?.locationGeoFence?.lng ?? "");
       setRadius(norm?.locationGeoFence?.radius ?? "");
@@ -1273,6 +1280,8 @@ export default function TaskDetail({ id: propId, onClose }) {
         {
           enforceLocationCheck,
           enforceQRScan,
+          triggerOnEnterFence,
+          pauseOnExitFence: triggerOnEnterFence && pauseOnExitFence,
           locationGeoFence: gf,
         },
         "put",
@@ -2369,6 +2378,26 @@ export default function TaskDetail({ id: propId, onClose }) {
               />
               Require QR before start
             </label>
+            <label
+              className="text-sm inline-flex items-center gap-2"
+              title="The mobile app starts (or resumes) the task when an assignee enters its fence"
+            >
+              <input
+                type="checkbox"
+                checked={triggerOnEnterFence}
+                onChange={(e) => setTriggerOnEnterFence(e.target.checked)}
+              />
+              Auto-start on fence entry (mobile)
+            </label>
+            <label className="text-sm inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={triggerOnEnterFence && pauseOnExitFence}
+                disabled={!triggerOnEnterFence}
+                onChange={(e) => setPauseOnExitFence(e.target.checked)}
+              />
+              Pause on fence exit
+            </label>
           </div>
         </form>
       </div>
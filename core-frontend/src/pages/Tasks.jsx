@@ -3,6 +3,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { Link } from "react-router-dom";
 import { api } from "../lib/api";
+import PrintLabelsButton from "../components/PrintLabelsButton";
 import { useTheme } from "../ThemeContext";
 
 const STATUSES = [
@@ -361,6 +362,7 @@ export default function Tasks() {
         <h1 className="text-2xl font-semibold">Tasks</h1>
         <div className="flex items-center gap-2">
           <div className="text-sm text-gray-600">Total: {rows.length}</div>
+          <PrintLabelsButton kind="task" ids={rows.map((t) => t._id)} label="QR labels" className="btn" />
           <button className="btn btn-primary" onClick={openCreate}>
             New Task
           </button>
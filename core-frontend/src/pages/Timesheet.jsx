@@ -1,6 +1,17 @@
 // src/pages/Timesheet.jsx
-import React, { useEffect, useMemo, useState } from "react";
-import { api } from "../lib/api";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { api, currentUserHasRole } from "../lib/api";
+import {
+  getTimesheet,
+  listTimesheetPeriods,
+  createTimesheetPeriod,
+  getTimesheetPeriod,
+  approveTimesheets,
+  lockTimesheetPeriod,
+  unlockTimesheetPeriod,
+  downloadTimesheetPeriodCsv,
+} from "../lib/timesheetApi";
+import TimesheetRulesPanel from "../components/TimesheetRulesPanel";
 import { useTheme } from "../ThemeContext";
 
 /* ---------- small helpers ---------- */
@@ -23,6 +34,9 @@ function isWeekend(ymdStr) {
   const day = d.getDay(); // 0=Sun,6=Sat
   return day === 0 || day === 6;
 }
+function hasAnyRole(...roles) {
+  return roles.some((r) => currentUserHasRole(r));
+}
 function fmtHours(h) {
   if (!Number.isFinite(h) || h <= 0) return "";
   return h.toFixed(2);
@@ -77,62 +91,40 @@ function idNumberOf(userObj) {
   );
 }
 
-/* ---------- hour calculation from clockings ---------- */
-/**
- * Given sorted clockings for a single user+day, approximate hours worked.
- * Any non-"out" attendance type ("present","in","training","overtime")
- * starts a segment; "out" ends the current segment.
- */
-function calcHoursForDay(events) {
-  if (!events || !events.length) return 0;
-  // sort by time ascending
-  const sorted = [...events].sort(
-    (a, b) => new Date(a.at || a.createdAt).getTime() - new Date(b.at || b.createdAt).getTime()
-  );
-  let openStart = null;
-  let totalMs = 0;
-  for (const ev of sorted) {
-    const type = String(ev.type || "").toLowerCase();
-    const at = ev.at ? new Date(ev.at).getTime() : null;
-    if (!Number.isFinite(at)) continue;
-
-    if (type === "out") {
-      if (openStart != null) {
-        const delta = at - openStart;
-        if (delta > 0 && delta < 1000 * 60 * 60 * 24) {
-          totalMs += delta;
-        }
-        openStart = null;
-      }
-    } else {
-      // start of a segment
-      if (openStart == null) {
-        openStart = at;
-      } else {
-        // already open: close previous segment and reopen
-        const delta = at - openStart;
-        if (delta > 0 && delta < 1000 * 60 * 60 * 24) {
-          totalMs += delta;
-        }
-        openStart = at;
-      }
-    }
-  }
-  // ignore trailing open segment (no "out")
-  return totalMs / (1000 * 60 * 60); // hours
-}
-
-/* ---------- code calculation (P/T/S/L/I) ---------- */
-function calcCodeForDay(events) {
-  if (!events || !events.length) return "";
-  const types = new Set(events.map((e) => String(e.type || "").toLowerCase()));
-  // Priority: T > S > L > I > P
-  if (types.has("training")) return "T";
-  if (types.has("sick")) return "S";
-  if (types.has("leave")) return "L";
-  if (types.has("iod")) return "I";
-  if (types.has("present") || types.has("in") || types.has("overtime")) return "P";
-  return "";
+const FLAG_LABELS = {
+  "unpaired-in": "In without out",
+  "unpaired-out": "Out without in",
+  duplicate: "Duplicate punch",
+  "long-shift": "Shift too long (not counted)",
+  "short-shift": "Very short shift",
+  "open-shift": "Still clocked in",
+  "leave-and-work": "Leave recorded on a worked day",
+};
+/* Totals columns per display mode: [header, csvHeader, value(row)] */
+const END_COLUMNS = {
+  code: [
+    ["P", "WorkingDays(P)", (r) => r.totalsWorking],
+    ["T", "TrainingDays(T)", (r) => r.totalsT],
+    ["S", "SickDays(S)", (r) => r.totalsS],
+    ["L", "LeaveDays(L)", (r) => r.totalsL],
+    ["I", "IODays(I)", (r) => r.totalsI],
+  ],
+  time: [["Total Hrs", "TotalHours", (r) => fmtHours(r.totalHours)]],
+  payroll: [
+    ["Normal", "NormalHours", (r) => fmtHours(r.totals.normalHours)],
+    ["OT", "OvertimeHours", (r) => fmtHours(r.totals.overtimeHours)],
+    ["Sat", "SaturdayHours", (r) => fmtHours(r.totals.saturdayHours)],
+    ["Sun", "SundayHours", (r) => fmtHours(r.totals.sundayHours)],
+    ["PH", "PublicHolidayHours", (r) => fmtHours(r.totals.holidayHours)],
+    ["Leave", "LeaveHours", (r) => fmtHours(r.totals.leaveHours)],
+    ["Weighted", "WeightedHours", (r) => fmtHours(r.totals.weightedHours)],
+  ],
+};
+
+function flagsTitle(flags) {
+  return (flags || [])
+    .map((f) => `${FLAG_LABELS[f.type] || f.type}${f.note ? ` – ${f.note}` : ""}`)
+    .join("\n");
 }
 
 export default function Timesheet() {
@@ -141,7 +133,10 @@ export default function Timesheet() {
 
   const [users, setUsers] = useState([]);
   const [groups, setGroups] = useState([]);
-  const [rowsRaw, setRowsRaw] = useState([]); // raw clockings
+  const [sheet, setSheet] = useState(null); // server-computed timesheet
+  const [periods, setPeriods] = useState([]);
+  const [periodId, setPeriodId] = useState("");
+  const [selected, setSelected] = useState(() => new Set()); // userIds for approval
 
   const [from, setFrom] = useState(() => {
     const now = new Date();
@@ -151,12 +146,18 @@ export default function Timesheet() {
   const [to, setTo] = useState(() => ymd(new Date()));
   const [filterUserId, setFilterUserId] = useState("");
   const [filterGroupId, setFilterGroupId] = useState("");
-  const [mode, setMode] = useState("code"); // "code" | "time"
+  const [mode, setMode] = useState("code"); // "code" | "time" | "payroll"
+  const [showRules, setShowRules] = useState(false);
 
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState("");
   const [info, setInfo] = useState("");
 
+  const canApprove = hasAnyRole("manager", "admin", "superadmin");
+  const canLock = hasAnyRole("admin", "superadmin");
+  const period = sheet?.period || null;
+  const locked = period?.status === "locked";
+
   /* --------- lookups --------- */
   const userById = useMemo(() => {
     const m = new Map();
@@ -202,14 +203,10 @@ export default function Timesheet() {
     return map;
   }, [groups]);
 
-  const userGroupNames = (uid) =>
-    (groupsByUserId.get(String(uid))?.names || []).join(", ");
-
-  const userGroupHas = (uid, gid) => {
-    const rec = groupsByUserId.get(String(uid));
-    if (!rec) return false;
-    return rec.ids.includes(String(gid));
-  };
+  const userGroupNames = useCallback(
+    (uid) => (groupsByUserId.get(String(uid))?.names || []).join(", "),
+    [groupsByUserId]
+  );
 
   /* --------- date list for columns --------- */
   const days = useMemo(() => {
@@ -243,128 +240,192 @@ export default function Timesheet() {
       }
     }
     loadRefs();
+    loadPeriods();
   }, []);
 
-  /* --------- fetch clockings when "Run report" clicked --------- */
-  async function runReport() {
+  async function loadPeriods() {
+    try {
+      const list = await listTimesheetPeriods();
+      setPeriods(Array.isArray(list) ? list : []);
+    } catch {
+      setPeriods([]);
+    }
+  }
+
+  /* --------- compute timesheet on the server when "Run report" clicked --------- */
+  async function runReport(opts = {}) {
+    const pid = opts.periodId ?? periodId;
     setErr("");
     setInfo("");
     setLoading(true);
     try {
-      const params = { limit: 5000 };
-
-      if (from) params.from = from;
-      if (to) {
-        // inclusive end date using < next day trick (as in Clockings)
-        const end = parseYmd(to);
-        if (end) {
-          const next = new Date(end);
-          next.setDate(next.getDate() + 1);
-          params.to = ymd(next);
-        }
-      }
+      const params = {};
       if (filterUserId) params.userId = filterUserId;
-      // IMPORTANT: no groupId param; we filter client-side using groupsByUserId
-
-      const { data } = await api.get("/clockings", { params });
-      let list = Array.isArray(data)
-        ? data
-        : Array.isArray(data?.rows)
-        ? data.rows
-        : [];
-
-      // client-side group filtering
-      if (!filterUserId && filterGroupId) {
-        const gid = String(filterGroupId);
-        list = list.filter((r) => userGroupHas(r.userId, gid));
+      if (filterGroupId) params.groupId = filterGroupId;
+
+      let data;
+      if (pid) {
+        const res = await getTimesheetPeriod(pid, params);
+        data = { ...res, period: res.period };
+      } else {
+        data = await getTimesheet({ ...params, from, to });
       }
 
-      setRowsRaw(list);
-      setInfo(`Loaded ${list.length} clockings for report.`);
+      setSheet(data);
+      setSelected(new Set());
+      const flagged = (data.rows || []).reduce((a, r) => a + (r.totals?.flags || 0), 0);
+      setInfo(
+        `Computed ${data.rows?.length || 0} timesheet(s)` +
+          (flagged ? ` · ${flagged} flagged punch(es) need attention.` : ".") +
+          (data.period?.status === "locked" ? " Period is locked." : "")
+      );
     } catch (e) {
       setErr(e?.response?.data?.error || String(e));
-      setRowsRaw([]);
+      setSheet(null);
     } finally {
       setLoading(false);
     }
   }
 
-  /* --------- build timesheet rows --------- */
-  const timesheetRows = useMemo(() => {
-    if (!rowsRaw.length || !days.length) return [];
-
-    // group events by userId+day
-    const byUserDay = new Map(); // key: `${uid}|${ymd}` -> events[]
-    for (const ev of rowsRaw) {
-      const uid = String(ev.userId || (ev.user && ev.user._id) || "");
-      if (!uid) continue;
-      const d = ev.at ? new Date(ev.at) : ev.createdAt ? new Date(ev.createdAt) : null;
-      if (!d || isNaN(d.getTime())) continue;
-      const dayKey = ymd(d);
-      if (!days.some((x) => x.key === dayKey)) continue; // outside selected range
-      const key = `${uid}|${dayKey}`;
-      const arr = byUserDay.get(key) || [];
-      arr.push(ev);
-      byUserDay.set(key, arr);
+  function pickPeriod(id) {
+    setPeriodId(id);
+    const p = periods.find((x) => String(x._id) === String(id));
+    if (p) {
+      setFrom(p.periodStart);
+      setTo(p.periodEnd);
     }
+    if (id) runReport({ periodId: id });
+  }
 
-    // Which users actually appear?
-    const userIdsInData = new Set();
-    for (const key of byUserDay.keys()) {
-      const [uid] = key.split("|");
-      if (uid) userIdsInData.add(uid);
-    }
-
-    const rows = [];
-    const sortedUserIds = Array.from(userIdsInData).sort((a, b) => {
-      const ua = userById.get(a);
-      const ub = userById.get(b);
-      const na = ua?.name || ua?.email || a;
-      const nb = ub?.name || ub?.email || b;
-      return na.localeCompare(nb);
-    });
-
-    for (const uid of sortedUserIds) {
-      const u = userById.get(uid) || {};
-      const row = {
-        staffNo: staffNoOf(u),
-        name: u.name || u.email || uid,
+  /* --------- build timesheet rows from server output --------- */
+  const timesheetRows = useMemo(() => {
+    if (!sheet?.rows?.length || !days.length) return [];
+
+    return sheet.rows.map((r) => {
+      const u = userById.get(String(r.userId)) || {};
+      const t = r.totals || {};
+      const ld = t.leaveDays || {};
+      const cells = {};
+      for (const d of r.days || []) {
+        cells[d.date] = {
+          code: d.code,
+          hours: d.paidHours,
+          flags: d.flags || [],
+        };
+      }
+      return {
+        userId: String(r.userId),
+        staffNo: r.staffNumber || staffNoOf(u),
+        name: r.name || u.name || u.email || r.userId,
         idNumber: idNumberOf(u),
-        group: userGroupNames(uid),
-        totalsWorking: 0,
-        totalsT: 0,
-        totalsS: 0,
-        totalsL: 0,
-        totalsI: 0,
-        totalHours: 0,
-        cells: {}, // dayKey -> { code, hours }
+        group: userGroupNames(r.userId),
+        totalsWorking: t.daysWorked || 0,
+        totalsT: ld.training || 0,
+        totalsS: ld.sick || 0,
+        totalsL: ld.leave || 0,
+        totalsI: ld.iod || 0,
+        totalHours: t.paidHours || 0,
+        totals: t,
+        flags: t.flags || 0,
+        approval: r.approval || null,
+        cells, // dayKey -> { code, hours, flags }
       };
+    });
+  }, [sheet, days, userById, userGroupNames]);
 
-      for (const d of days) {
-        const key = `${uid}|${d.key}`;
-        const events = byUserDay.get(key) || [];
-
-        if (mode === "code") {
-          const code = calcCodeForDay(events);
-          row.cells[d.key] = { code, hours: null };
-          // update totals
-          if (code === "P") row.totalsWorking += 1;
-          if (code === "T") row.totalsT += 1;
-          if (code === "S") row.totalsS += 1;
-          if (code === "L") row.totalsL += 1;
-          if (code === "I") row.totalsI += 1;
-        } else {
-          const hours = calcHoursForDay(events);
-          row.cells[d.key] = { code: "", hours };
-          row.totalHours += hours;
+  /* --------- period actions --------- */
+  async function createPeriodFromRange() {
+    setErr("");
+    try {
+      const p = await createTimesheetPeriod({ periodStart: from, periodEnd: to });
+      await loadPeriods();
+      setPeriodId(String(p._id));
+      await runReport({ periodId: String(p._id) });
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
+    }
+  }
+
+  async function setApproval(status, userIds) {
+    if (!period?._id || !userIds.length) return;
+    let note = "";
+    if (status === "rejected") {
+      note = window.prompt("Reason for rejecting?") || "";
+      if (!note.trim()) return;
+    }
+    setErr("");
+    try {
+      await approveTimesheets(period._id, { userIds, status, note });
+      await runReport({ periodId: String(period._id) });
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
+    }
+  }
+
+  async function lockPeriod() {
+    if (!period?._id) return;
+    setErr("");
+    try {
+      await lockTimesheetPeriod(period._id);
+    } catch (e) {
+      const pending = e?.response?.data?.pending;
+      if (e?.response?.status === 409 && Array.isArray(pending)) {
+        const ok = window.confirm(
+          `${pending.length} timesheet(s) are not approved:\n` +
+            pending.slice(0, 10).map((p) => `• ${p.name}`).join("\n") +
+            "\n\nLock anyway?"
+        );
+        if (!ok) return;
+        try {
+          await lockTimesheetPeriod(period._id, { force: true });
+        } catch (e2) {
+          setErr(e2?.response?.data?.error || String(e2));
+          return;
         }
+      } else {
+        setErr(e?.response?.data?.error || String(e));
+        return;
       }
+    }
+    await loadPeriods();
+    await runReport({ periodId: String(period._id) });
+  }
 
-      rows.push(row);
+  async function unlockPeriod() {
+    if (!period?._id) return;
+    const note = window.prompt("Reason for unlocking this period?") || "";
+    if (!note.trim()) return;
+    setErr("");
+    try {
+      await unlockTimesheetPeriod(period._id, note);
+      await loadPeriods();
+      await runReport({ periodId: String(period._id) });
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
     }
+  }
 
-    return rows;
-  }, [rowsRaw, days, userById, userGroupNames, mode]);
+  async function exportPayroll() {
+    if (!period?._id) return;
+    try {
+      const blob = await downloadTimesheetPeriodCsv(period._id);
+      triggerDownload(
+        blob,
+        `payroll_${period.periodStart || from}_${period.periodEnd || to}${locked ? "" : "_draft"}.csv`
+      );
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
+    }
+  }
+
+  function toggleSelected(uid) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(uid)) next.delete(uid);
+      else next.add(uid);
+      return next;
+    });
+  }
 
   /* --------- export CSV of current table --------- */
   function exportCsv() {
@@ -375,10 +436,8 @@ export default function Timesheet() {
 
     const headersBase = ["StaffNo", "Name", "IDNumber", "Group"];
     const dayHeaders = days.map((d) => d.key); // YYYY-MM-DD
-    const endHeaders =
-      mode === "code"
-        ? ["WorkingDays(P)", "TrainingDays(T)", "SickDays(S)", "LeaveDays(L)", "IODays(I)"]
-        : ["TotalHours"];
+    const endCols = END_COLUMNS[mode] || END_COLUMNS.code;
+    const endHeaders = [...endCols.map((c) => c[1]), "Flags", "Approval"];
 
     const csvRows = timesheetRows.map((r) => {
       const base = {
@@ -392,16 +451,8 @@ export default function Timesheet() {
         const cell = r.cells[d.key] || {};
         dayVals[d.key] = mode === "code" ? (cell.code || "") : fmtHours(cell.hours);
       }
-      const endVals =
-        mode === "code"
-          ? {
-              "WorkingDays(P)": r.totalsWorking,
-              "TrainingDays(T)": r.totalsT,
-              "SickDays(S)": r.totalsS,
-              "LeaveDays(L)": r.totalsL,
-              "IODays(I)": r.totalsI,
-            }
-          : { TotalHours: fmtHours(r.totalHours) };
+      const endVals = { Flags: r.flags, Approval: r.approval?.status || "" };
+      for (const [, h, val] of endCols) endVals[h] = val(r);
 
       return { ...base, ...dayVals, ...endVals };
     });
@@ -421,6 +472,15 @@ export default function Timesheet() {
     );
   }
 
+  const endCols = END_COLUMNS[mode] || END_COLUMNS.code;
+  const holidays = useMemo(
+    () => new Set(sheet?.rules?.publicHolidays || []),
+    [sheet]
+  );
+  const showApproval = !!period?._id;
+  const dayClass = (key) =>
+    holidays.has(key) ? "holiday-col" : isWeekend(key) ? "weekend-col" : "";
+
   /* --------- print (use browser's Save as PDF) --------- */
   function handlePrint() {
     window.print();
@@ -438,6 +498,8 @@ export default function Timesheet() {
         .table th,.table td{border:1px solid #e5e7eb;padding:2px 4px;text-align:center}
         .table th{background:#f9fafb;font-weight:600}
         .weekend-col{background:#f3f4f6}
+        .holiday-col{background:#fef3c7}
+        .flag-cell{background:#fee2e2;color:#991b1b;cursor:help}
         .timesheet-container{overflow-x:auto}
 
         @media print {
@@ -451,6 +513,11 @@ export default function Timesheet() {
       <div className="flex items-center justify-between gap-3 flex-wrap no-print">
         <h1 className="text-2xl font-semibold">Timesheet</h1>
         <div className="flex items-center gap-2">
+          {canLock && (
+            <button className="btn btn-sm" onClick={() => setShowRules((v) => !v)}>
+              {showRules ? "Hide rules" : "Rules"}
+            </button>
+          )}
           <button className="btn btn-sm" onClick={exportCsv}>
             Export CSV
           </button>
@@ -471,6 +538,13 @@ export default function Timesheet() {
         </div>
       )}
 
+      {/* Org timesheet rules (admin) */}
+      {canLock && showRules && (
+        <div className="card no-print mt-3 p-4">
+          <TimesheetRulesPanel />
+        </div>
+      )}
+
       {/* Filters */}
       <div className="card no-print mt-3 p-4 space-y-3">
         <div className="flex flex-wrap items-end gap-3">
@@ -480,7 +554,10 @@ export default function Timesheet() {
               type="date"
               className="border rounded p-1 ml-2"
               value={from}
-              onChange={(e) => setFrom(e.target.value)}
+              onChange={(e) => {
+                setFrom(e.target.value);
+                setPeriodId("");
+              }}
             />
           </label>
           <label className="text-sm">
@@ -489,7 +566,10 @@ export default function Timesheet() {
               type="date"
               className="border rounded p-1 ml-2"
               value={to}
-              onChange={(e) => setTo(e.target.value)}
+              onChange={(e) => {
+                setTo(e.target.value);
+                setPeriodId("");
+              }}
             />
           </label>
 
@@ -536,20 +616,108 @@ export default function Timesheet() {
             >
               <option value="code">Code-based (P/T/S/L/I)</option>
               <option value="time">Time-based (hours)</option>
+              <option value="payroll">Payroll (hour buckets)</option>
+            </select>
+          </label>
+
+          <label className="text-sm">
+            Period
+            <select
+              className="border rounded p-1 ml-2"
+              value={periodId}
+              onChange={(e) => pickPeriod(e.target.value)}
+            >
+              <option value="">Ad-hoc range</option>
+              {periods.map((p) => (
+                <option key={p._id} value={p._id}>
+                  {p.label || `${p.periodStart} – ${p.periodEnd}`}
+                  {p.status === "locked" ? " 🔒" : ""}
+                </option>
+              ))}
             </select>
           </label>
 
-          <button className="btn btn-accent ml-auto" onClick={runReport} disabled={loading}>
+          <button
+            className="btn btn-accent ml-auto"
+            onClick={() => runReport()}
+            disabled={loading}
+          >
             {loading ? "Loading…" : "Run report"}
           </button>
         </div>
 
         <div className="text-xs text-gray-500">
           Code mode: P = Present / In / Overtime, T = Training, S = Sick, L = Leave, I = Injury on Duty.
-          Weekends are shaded.
+          Weekends are shaded, public holidays are yellow and red cells have punch issues (hover for details).
+          Hours are computed on the server using the organisation&apos;s timesheet rules.
         </div>
       </div>
 
+      {/* Period approval / lock */}
+      {(period?._id || (canApprove && !periodId && sheet)) && (
+        <div className="card no-print mt-3 p-3 flex flex-wrap items-center gap-2 text-sm">
+          {period?._id ? (
+            <>
+              <b>{period.label || `${period.periodStart} – ${period.periodEnd}`}</b>
+              <span
+                className={
+                  "px-2 py-0.5 rounded-full text-xs border " +
+                  (locked
+                    ? "bg-gray-100 text-gray-700 border-gray-300"
+                    : "bg-emerald-50 text-emerald-700 border-emerald-200")
+                }
+              >
+                {locked ? "Locked" : "Open"}
+              </span>
+              {canApprove && !locked && (
+                <>
+                  <button
+                    className="btn btn-sm"
+                    disabled={!selected.size}
+                    onClick={() => setApproval("approved", [...selected])}
+                  >
+                    Approve selected ({selected.size})
+                  </button>
+                  <button
+                    className="btn btn-sm"
+                    disabled={!selected.size}
+                    onClick={() => setApproval("rejected", [...selected])}
+                  >
+                    Reject selected
+                  </button>
+                </>
+              )}
+              <div className="ml-auto flex items-center gap-2">
+                {canApprove && (
+                  <button className="btn btn-sm" onClick={exportPayroll}>
+                    Payroll CSV
+                  </button>
+                )}
+                {canLock && !locked && (
+                  <button className="btn btn-sm btn-accent" onClick={lockPeriod}>
+                    Lock period
+                  </button>
+                )}
+                {canLock && locked && (
+                  <button className="btn btn-sm" onClick={unlockPeriod}>
+                    Unlock
+                  </button>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <span className="text-gray-600">
+                No payroll period covers {from} – {to}.
+              </span>
+              <button className="btn btn-sm" onClick={createPeriodFromRange}>
+                Create period for this range
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Timesheet table */}
       <div className="card mt-4 p-3 timesheet-container">
         {(!timesheetRows.length || !days.length) && (
@@ -567,23 +735,19 @@ export default function Timesheet() {
                 <th rowSpan={2}>ID Number</th>
                 <th rowSpan={2}>Group</th>
                 <th colSpan={days.length}>Attendance</th>
-                {mode === "code" ? (
-                  <>
-                    <th rowSpan={2}>P</th>
-                    <th rowSpan={2}>T</th>
-                    <th rowSpan={2}>S</th>
-                    <th rowSpan={2}>L</th>
-                    <th rowSpan={2}>I</th>
-                  </>
-                ) : (
-                  <th rowSpan={2}>Total Hrs</th>
-                )}
+                {endCols.map(([h]) => (
+                  <th key={h} rowSpan={2}>
+                    {h}
+                  </th>
+                ))}
+                <th rowSpan={2}>Flags</th>
+                {showApproval && <th rowSpan={2} className="no-print">Approval</th>}
               </tr>
               <tr>
                 {days.map((d) => (
                   <th
                     key={d.key}
-                    className={isWeekend(d.key) ? "weekend-col" : ""}
+                    className={dayClass(d.key)}
                   >
                     {d.label}
                   </th>
@@ -591,35 +755,54 @@ export default function Timesheet() {
               </tr>
             </thead>
             <tbody>
-              {timesheetRows.map((r, idx) => (
-                <tr key={idx}>
+              {timesheetRows.map((r) => (
+                <tr key={r.userId}>
                   <td>{r.staffNo}</td>
                   <td style={{ textAlign: "left" }}>{r.name}</td>
                   <td>{r.idNumber}</td>
                   <td style={{ textAlign: "left" }}>{r.group}</td>
                   {days.map((d) => {
                     const cell = r.cells[d.key] || {};
+                    const flagged = cell.flags?.length > 0;
                     return (
                       <td
                         key={d.key}
-                        className={isWeekend(d.key) ? "weekend-col" : ""}
+                        className={flagged ? "flag-cell" : dayClass(d.key)}
+                        title={flagged ? flagsTitle(cell.flags) : undefined}
                       >
                         {mode === "code"
-                          ? cell.code || ""
-                          : fmtHours(cell.hours)}
+                          ? cell.code || (flagged ? "!" : "")
+                          : fmtHours(cell.hours) || (flagged ? "!" : "")}
                       </td>
                     );
                   })}
-                  {mode === "code" ? (
-                    <>
-                      <td>{r.totalsWorking || ""}</td>
-                      <td>{r.totalsT || ""}</td>
-                      <td>{r.totalsS || ""}</td>
-                      <td>{r.totalsL || ""}</td>
-                      <td>{r.totalsI || ""}</td>
-                    </>
-                  ) : (
-                    <td>{fmtHours(r.totalHours)}</td>
+                  {endCols.map(([h, , val]) => (
+                    <td key={h}>{val(r) || ""}</td>
+                  ))}
+                  <td>{r.flags || ""}</td>
+                  {showApproval && (
+                    <td className="no-print" style={{ whiteSpace: "nowrap" }}>
+                      {canApprove && !locked && (
+                        <input
+                          type="checkbox"
+                          className="mr-1"
+                          checked={selected.has(r.userId)}
+                          onChange={() => toggleSelected(r.userId)}
+                        />
+                      )}
+                      <span
+                        title={r.approval?.note || ""}
+                        className={
+                          r.approval?.status === "approved"
+                            ? "text-emerald-700"
+                            : r.approval?.status === "rejected"
+                            ? "text-red-700"
+                            : "text-gray-500"
+                        }
+                      >
+                        {r.approval?.status || "pending"}
+                      </span>
+                    </td>
                   )}
                 </tr>
               ))}
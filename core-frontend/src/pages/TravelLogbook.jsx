@@ -0,0 +1,284 @@
+// src/pages/TravelLogbook.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { api } from "../lib/api";
+import { downloadTravelLogbook, getTravelLogbook } from "../lib/vehicleTrips";
+
+/* SARS tax year: 1 March – end of February, named by the year it ends in */
+function currentTaxYear(d = new Date()) {
+  return d.getMonth() >= 2 ? d.getFullYear() + 1 : d.getFullYear();
+}
+const fmtDate = (v) => (v ? new Date(v).toLocaleDateString() : "—");
+const fmtTime = (v) =>
+  v ? new Date(v).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "open";
+const fmtKm = (v) => (v == null ? "—" : Number(v).toLocaleString());
+
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function Fact({ label, value, tone }) {
+  return (
+    <div className="rounded-lg border border-border p-2 bg-white">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className={"text-lg font-semibold " + (tone === "bad" ? "text-red-700" : "")}>{value}</div>
+    </div>
+  );
+}
+
+export default function TravelLogbook() {
+  const [params, setParams] = useSearchParams();
+  const [vehicles, setVehicles] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [book, setBook] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState("");
+  const [err, setErr] = useState("");
+
+  const vehicleId = params.get("vehicleId") || "";
+  const driverId = params.get("driverId") || "";
+  const taxYear = Number(params.get("taxYear")) || currentTaxYear();
+
+  const setParam = (k, v) => {
+    const next = new URLSearchParams(params);
+    if (v) next.set(k, String(v));
+    else next.delete(k);
+    setParams(next, { replace: true });
+  };
+
+  useEffect(() => {
+    api
+      .get("/vehicles", { params: { limit: 500 } })
+      .then(({ data }) => setVehicles(Array.isArray(data) ? data : []))
+      .catch(() => setVehicles([]));
+    api
+      .get("/users", { params: { limit: 500 } })
+      .then(({ data }) => setUsers(Array.isArray(data) ? data : []))
+      .catch(() => setUsers([]));
+  }, []);
+
+  const query = useMemo(
+    () => ({ taxYear, ...(driverId ? { driverId } : {}) }),
+    [taxYear, driverId],
+  );
+
+  useEffect(() => {
+    if (!vehicleId) {
+      setBook(null);
+      return;
+    }
+    let alive = true;
+    setLoading(true);
+    setErr("");
+    getTravelLogbook(vehicleId, query)
+      .then((data) => alive && setBook(data))
+      .catch((e) => alive && setErr(e?.response?.data?.error || String(e)))
+      .finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [vehicleId, query]);
+
+  async function download(format) {
+    if (!vehicleId) return;
+    setDownloading(format);
+    setErr("");
+    try {
+      const blob = await downloadTravelLogbook(vehicleId, query, format);
+      const reg = book?.vehicle?.reg || "vehicle";
+      triggerDownload(blob, `travel-logbook_${reg}_${taxYear}.${format}`);
+    } catch (e) {
+      setErr(e?.response?.data?.error || String(e));
+    } finally {
+      setDownloading("");
+    }
+  }
+
+  const years = useMemo(() => {
+    const now = currentTaxYear();
+    return Array.from({ length: 6 }, (_, i) => now - i);
+  }, []);
+
+  const t = book?.totals;
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <h1 className="text-2xl font-semibold">Travel Logbook</h1>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            className="btn btn-sm"
+            disabled={!book || !!downloading}
+            onClick={() => download("xlsx")}
+          >
+            {downloading === "xlsx" ? "Preparing…" : "Download XLSX"}
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm"
+            disabled={!book || !!downloading}
+            onClick={() => download("pdf")}
+          >
+            {downloading === "pdf" ? "Preparing…" : "Download PDF"}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm">
+          <div className="text-gray-600">Vehicle</div>
+          <select
+            className="p-1.5 border border-border rounded min-w-[200px]"
+            value={vehicleId}
+            onChange={(e) => setParam("vehicleId", e.target.value)}
+          >
+            <option value="">— select —</option>
+            {vehicles.map((v) => (
+              <option key={v._id} value={v._id}>
+                {v.reg} {[v.make, v.model].filter(Boolean).join(" ")}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <div className="text-gray-600">Driver</div>
+          <select
+            className="p-1.5 border border-border rounded min-w-[180px]"
+            value={driverId}
+            onChange={(e) => setParam("driverId", e.target.value)}
+          >
+            <option value="">All drivers</option>
+            {users.map((u) => (
+              <option key={u._id} value={u._id}>
+                {u.name || u.email || u.username}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <div className="text-gray-600">Tax year</div>
+          <select
+            className="p-1.5 border border-border rounded"
+            value={taxYear}
+            onChange={(e) => setParam("taxYear", e.target.value)}
+          >
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y} (Mar {y - 1} – Feb {y})
+              </option>
+            ))}
+          </select>
+        </label>
+        {vehicleId && (
+          <Link className="link text-sm" to={`/vehicles/${vehicleId}`}>
+            Open vehicle
+          </Link>
+        )}
+      </div>
+
+      {err && <div className="text-sm text-red-600">{err}</div>}
+      {!vehicleId && <div className="text-sm text-gray-500">Select a vehicle to build its logbook.</div>}
+      {loading && <div className="text-sm text-gray-500">Loading…</div>}
+
+      {book && !loading && (
+        <>
+          <div className="grid gap-2 grid-cols-2 md:grid-cols-4 lg:grid-cols-7">
+            <Fact label="Opening odometer" value={fmtKm(t.openingOdo)} />
+            <Fact label="Closing odometer" value={fmtKm(t.closingOdo)} />
+            <Fact label="Total km" value={fmtKm(t.totalKm)} />
+            <Fact label="Business km" value={fmtKm(t.businessKm)} />
+            <Fact label="Private km" value={fmtKm(t.privateKm)} />
+            <Fact label="Unlogged km (gaps)" value={fmtKm(t.unaccountedKm)} tone={t.unaccountedKm > 0 ? "bad" : ""} />
+            <Fact label="Business use" value={t.businessPct != null ? `${t.businessPct}%` : "—"} />
+          </div>
+
+          {(t.gaps > 0 || t.overlaps > 0 || t.openTrips > 0) && (
+            <div className="rounded-lg border border-red-200 bg-red-50 text-red-800 text-sm p-2">
+              {t.gaps > 0 && <div>{t.gaps} odometer gap(s): km driven that no trip accounts for.</div>}
+              {t.overlaps > 0 && <div>{t.overlaps} overlap(s): a trip starts below the previous trip&apos;s end reading.</div>}
+              {t.openTrips > 0 && <div>{t.openTrips} trip(s) still open — close them before filing.</div>}
+            </div>
+          )}
+
+          {book.perDriver.length > 1 && (
+            <div className="text-sm text-gray-700">
+              {book.perDriver.map((d) => (
+                <span key={d.driverUserId || "none"} className="mr-4">
+                  <b>{d.driver || "Unknown driver"}</b>: {d.trips} trip(s), {fmtKm(d.businessKm)} business km,{" "}
+                  {fmtKm(d.privateKm)} private km
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="rounded-xl border border-border overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-thead">
+                <tr>
+                  {["Date", "Time", "Driver", "Odo start", "Odo end", "Km", "Purpose", "Project / task", "Notes"].map((h) => (
+                    <th key={h} className="p-2 text-left border-b border-border">
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {book.rows.length ? (
+                  book.rows.map((r) => (
+                    <React.Fragment key={r.tripId}>
+                      {r.gap && (
+                        <tr className="bg-red-50 text-red-700">
+                          <td className="p-1 px-2 text-xs" colSpan={9}>
+                            {r.gap === "gap"
+                              ? `${r.gapKm} km not logged before this trip`
+                              : `Odometer overlaps the previous trip by ${-r.gapKm} km`}
+                          </td>
+                        </tr>
+                      )}
+                      <tr>
+                        <td className="border-b border-border p-2">{fmtDate(r.startedAt)}</td>
+                        <td className="border-b border-border p-2">
+                          {fmtTime(r.startedAt)}–{r.endedAt ? fmtTime(r.endedAt) : "open"}
+                        </td>
+                        <td className="border-b border-border p-2">{r.driver || "—"}</td>
+                        <td className="border-b border-border p-2">{fmtKm(r.odoStart)}</td>
+                        <td className="border-b border-border p-2">{fmtKm(r.odoEnd)}</td>
+                        <td className="border-b border-border p-2">
+                          {fmtKm(r.distance)}
+                          {r.gpsFlagged && (
+                            <span className="ml-1 text-xs text-red-700" title="GPS distance disagrees with the odometer">
+                              GPS ⚠
+                            </span>
+                          )}
+                        </td>
+                        <td className="border-b border-border p-2">{r.purpose}</td>
+                        <td className="border-b border-border p-2">
+                          {[r.project, r.task].filter(Boolean).join(" / ") || "—"}
+                        </td>
+                        <td className="border-b border-border p-2">{r.notes || "—"}</td>
+                      </tr>
+                    </React.Fragment>
+                  ))
+                ) : (
+                  <tr>
+                    <td className="p-3 text-center" colSpan={9}>
+                      No trips in this tax year
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
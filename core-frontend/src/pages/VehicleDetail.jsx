@@ -11,11 +11,18 @@ import {
 import {
   updateTrip as compatUpdateTrip,
   endTrip,
+  getOdometerTimeline,
   getOpenTrip,
+  getTripTrack,
   listTrips,
   startTrip,
   uploadTripPhoto,
 } from "../lib/vehicleTrips";
+import TripRouteReplay from "../components/TripRouteReplay";
+import VehicleFuelPanel from "../components/VehicleFuelPanel";
+import PrintLabelsButton from "../components/PrintLabelsButton";
+import OdometerTimelinePanel from "../components/OdometerTimelinePanel";
+import { getDriverCheck, getVehicleAssignments } from "../lib/drivers";
 
 /* ---------- Small UI bits ---------- */
 function StatusBadge({ value }) {
@@ -389,6 +396,30 @@ function taskLabelFrom(tasks, tidOrObj) {
   return t ? t.title || tid : tid;
 }
 
+/* Fuel-fill fields for the purchases API (fuel purchases only) */
+const EMPTY_FUEL_FORM = { litres: "", pricePerLitre: "", odometer: "", fullTank: true };
+function fuelFieldsFromForm(form) {
+  if (form.type !== "fuel") return {};
+  const n = (x) => (x === "" || x == null ? null : Number(x));
+  return {
+    litres: n(form.litres),
+    pricePerLitre: n(form.pricePerLitre),
+    odometer: n(form.odometer),
+    fullTank: !!form.fullTank,
+  };
+}
+function fuelSummary(p) {
+  if (p?.litres == null && p?.odometer == null) return "";
+  return [
+    p.litres != null ? `${p.litres} L` : null,
+    p.pricePerLitre != null ? `@ ${p.pricePerLitre}` : null,
+    p.odometer != null ? `${p.odometer} km` : null,
+    p.fullTank ? "full" : p.fullTank === false ? "partial" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
 export default function VehicleDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -483,6 +514,12 @@ export default function VehicleDetail() {
   // NEW: trip usage (business/private)
   const [tripUsage, setTripUsage] = useState("business"); // default
 
+  // Route replay modal
+  const [routeTrip, setRouteTrip] = useState(null);
+  const [routeTrack, setRouteTrack] = useState(null);
+  const [routeLoading, setRouteLoading] = useState(false);
+  const [routeErr, setRouteErr] = useState("");
+
   // Trip create modals
   const [startTripOpen, setStartTripOpen] = useState(false);
   const [endTripOpen, setEndTripOpen] = useState(false);
@@ -542,6 +579,7 @@ export default function VehicleDetail() {
     projectId: "",
     taskId: "",
     notes: "",
+    ...EMPTY_FUEL_FORM,
   });
 
   const [editId, setEditId] = useState(""); // purchase being edited
@@ -554,6 +592,7 @@ export default function VehicleDetail() {
     projectId: "",
     taskId: "",
     notes: "",
+    ...EMPTY_FUEL_FORM,
   });
 
   // Inspections
@@ -1060,6 +1099,23 @@ export default function VehicleDetail() {
     }
   }
 
+  /* -------- Route replay (GPS breadcrumb from the mobile logbook) -------- */
+  async function openRouteReplay(trip) {
+    setRouteTrip(trip);
+    setRouteTrack(null);
+    setRouteErr("");
+    setRouteLoading(true);
+    try {
+      const track = await getTripTrack(trip._id);
+      if (!track) setRouteErr("No GPS track was recorded for this trip.");
+      setRouteTrack(track);
+    } catch (e) {
+      setRouteErr(e?.response?.data?.error || String(e));
+    } finally {
+      setRouteLoading(false);
+    }
+  }
+
   /* -------- Trips loader (robust to 404 on /open) -------- */
   async function loadTrips() {
     setTripErr("");
@@ -1136,15 +1192,61 @@ export default function VehicleDetail() {
     return d.toISOString().slice(0, 10);
   }
 
+  // ----- Odometer timeline (server-checked readings from trips, logbook and fuel fills) -----
+  const [odoTimeline, setOdoTimeline] = useState(null);
+  const [odoLoading, setOdoLoading] = useState(false);
+  const [odoErr, setOdoErr] = useState("");
+  useEffect(() => {
+    let alive = true;
+    setOdoLoading(true);
+    setOdoErr("");
+    getOdometerTimeline(id)
+      .then((d) => alive && setOdoTimeline(d))
+      .catch((e) => alive && setOdoErr(e?.response?.data?.error || String(e)))
+      .finally(() => alive && setOdoLoading(false));
+    return () => {
+      alive = false;
+    };
+  }, [id, trips, entries, purchases]);
+
+  // ----- Driver assignment history -----
+  const [assignments, setAssignments] = useState([]);
+  const [driverFrom, setDriverFrom] = useState("");
+  useEffect(() => {
+    let alive = true;
+    getVehicleAssignments(id)
+      .then((d) => alive && setAssignments(d))
+      .catch(() => alive && setAssignments([]));
+    return () => {
+      alive = false;
+    };
+  }, [id, v?.driverId]);
+
+  // Licence check for the signed-in driver while the start-trip modal is open
+  const [startDriverCheck, setStartDriverCheck] = useState(null);
+  useEffect(() => {
+    if (!startTripOpen) return undefined;
+    let alive = true;
+    setStartDriverCheck(null);
+    getDriverCheck(id)
+      .then((d) => alive && setStartDriverCheck(d))
+      .catch(() => alive && setStartDriverCheck(null));
+    return () => {
+      alive = false;
+    };
+  }, [id, startTripOpen]);
+
   // ----- Derived (needed before generateNext...) -----
   const currentOdo = useMemo(() => {
+    // trusted reading first: a mis-typed 99999 must not push every km reminder to "done"
+    if (odoTimeline?.current?.odo != null) return odoTimeline.current.odo;
     const tMax = latestOdoFromTrips(trips);
     const lMax = latestOdoFromEntries(entries);
     if (tMax == null && lMax == null) return null;
     if (tMax == null) return lMax;
     if (lMax == null) return tMax;
     return Math.max(tMax, lMax);
-  }, [trips, entries]);
+  }, [odoTimeline, trips, entries]);
 
   async function generateNextFromRecurringTokens(
     sourceReminderNotes,
@@ -1578,14 +1680,15 @@ export default function VehicleDetail() {
             }
           : {}),
       };
-      await startTrip(id, payload);
+      const started = await startTrip(id, payload);
       setOdoStart("");
       setStartFile(null);
       setTripNotes("");
       setTripUsage("business");
       await loadTrips();
-      setTripInfo("Trip started.");
-      setTimeout(() => setTripInfo(""), 1500);
+      const warnings = (started?.driverWarnings || []).map((w) => w.message);
+      setTripInfo(["Trip started.", ...warnings].join(" "));
+      setTimeout(() => setTripInfo(""), warnings.length ? 6000 : 1500);
       setStartTripOpen(false);
     } catch (e2) {
       // IMPORTANT: show errors inside the lightbox
@@ -2144,6 +2247,7 @@ export default function VehicleDetail() {
         projectId: pForm.projectId || undefined,
         taskId: pForm.taskId || undefined,
         notes: pForm.notes || "",
+        ...fuelFieldsFromForm(pForm),
         ...(receiptPhotoUrl ? { receiptPhotoUrl } : {}),
       };
       const created = await createPurchase(payload);
@@ -2157,6 +2261,7 @@ export default function VehicleDetail() {
         projectId: v?.projectId || "",
         taskId: v?.taskId || "",
         notes: "",
+        ...EMPTY_FUEL_FORM,
       });
       setPPhotoFile(null);
       setPInfo("Purchase added.");
@@ -2192,6 +2297,10 @@ export default function VehicleDetail() {
       projectId: String(p.projectId || ""),
       taskId: String(p.taskId || ""),
       notes: p.notes || "",
+      litres: p.litres ?? "",
+      pricePerLitre: p.pricePerLitre ?? "",
+      odometer: p.odometer ?? "",
+      fullTank: p.fullTank ?? true,
     });
   }
   function cancelEdit() {
@@ -2205,6 +2314,7 @@ export default function VehicleDetail() {
       projectId: "",
       taskId: "",
       notes: "",
+      ...EMPTY_FUEL_FORM,
     });
     setEditPhotoFile(null);
   }
@@ -2240,6 +2350,7 @@ export default function VehicleDetail() {
         projectId: editForm.projectId || undefined,
         taskId: editForm.taskId || undefined,
         notes: editForm.notes || "",
+        ...fuelFieldsFromForm(editForm),
         ...(receiptPhotoUrl ? { receiptPhotoUrl } : {}),
       };
       const updated = await apiUpdatePurchase(editId, patch);
@@ -2277,6 +2388,8 @@ export default function VehicleDetail() {
     { id: "reminders", label: "Reminders" },
     { id: "trips", label: "Trips" },
     { id: "purchases", label: "Purchases" },
+    { id: "fuel", label: "Fuel" },
+    { id: "odometer", label: "Odometer" },
     { id: "logbook", label: "Logbook" },
   ];
   function scrollToSection(sectionId) {
@@ -2331,6 +2444,7 @@ export default function VehicleDetail() {
           <button className="btn" onClick={() => window.print()}>
             Print PDF
           </button>
+          <PrintLabelsButton kind="vehicle" ids={[id]} label="QR label" className="btn" />
           <button className="btn" onClick={() => navigate(-1)}>
             Back
           </button>
@@ -2495,7 +2609,8 @@ export default function VehicleDetail() {
                     driverId: val || "",
                     driver: undefined,
                   }));
-                  save({ driverId: val || null });
+                  save({ driverId: val || null, driverFrom: driverFrom || undefined });
+                  setDriverFrom("");
                 }}
               >
                 <option value="">— none —</option>
@@ -2511,7 +2626,8 @@ export default function VehicleDetail() {
                   className="btn btn-sm"
                   onClick={() => {
                     setV((prev) => ({ ...prev, driverId: "", driver: null }));
-                    save({ driverId: null });
+                    save({ driverId: null, driverFrom: driverFrom || undefined });
+                    setDriverFrom("");
                   }}
                 >
                   Clear
@@ -2523,6 +2639,35 @@ export default function VehicleDetail() {
                 Currently: {userLabel(v.driver || v.driverId)}
               </div>
             )}
+            <div className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+              Change effective
+              <input
+                type="date"
+                className="h-7"
+                value={driverFrom}
+                max={new Date().toISOString().slice(0, 10)}
+                onChange={(e) => setDriverFrom(e.target.value)}
+                title="Backdate the next driver change (blank = now)"
+              />
+            </div>
+            {assignments.length > 0 && (
+              <details className="mt-1 text-xs">
+                <summary className="cursor-pointer text-gray-600">
+                  Driver history ({assignments.length})
+                </summary>
+                <ul className="mt-1 space-y-0.5">
+                  {assignments.map((a) => (
+                    <li key={a._id}>
+                      <b>{a.driverName || userLabel(a.driverId)}</b>{" "}
+                      {new Date(a.from).toLocaleDateString()} –{" "}
+                      {a.to ? new Date(a.to).toLocaleDateString() : "now"}
+                      {a.assignedBy ? ` · by ${a.assignedBy}` : ""}
+                      {a.note ? ` · ${a.note}` : ""}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
           </label>
 
           {/* Task allocation */}
@@ -3069,6 +3214,13 @@ export default function VehicleDetail() {
             >
               Export CSV
             </button>
+            <Link
+              className="btn"
+              to={`/travel-logbook?vehicleId=${id}`}
+              title="Tax-year travel logbook (XLSX / PDF)"
+            >
+              Travel logbook
+            </Link>
           </div>
         </div>
 
@@ -3399,6 +3551,24 @@ export default function VehicleDetail() {
                       </td>
                       <td className="border-b border-border p-2">
                         {trip.distance != null ? `${trip.distance} km` : "—"}
+                        {trip.gpsCheck?.gpsDistanceKm != null && (
+                          <div
+                            className={
+                              "text-xs " +
+                              (trip.gpsCheck.status === "flagged"
+                                ? "text-red-700"
+                                : "text-gray-500")
+                            }
+                            title={
+                              trip.gpsCheck.status === "flagged"
+                                ? `GPS/odometer mismatch: ${trip.gpsCheck.reason || ""}`
+                                : `${trip.gpsCheck.pointCount || 0} GPS points`
+                            }
+                          >
+                            GPS {trip.gpsCheck.gpsDistanceKm} km
+                            {trip.gpsCheck.status === "flagged" ? " ⚠" : ""}
+                          </div>
+                        )}
                       </td>
                       <td className="border-b border-border p-2">
                         <div className="flex gap-2">
@@ -3465,6 +3635,16 @@ export default function VehicleDetail() {
                         )}
                       </td>
                       <td className="border-b border-border p-2 text-right">
+                        {!isEditing && trip.gpsCheck ? (
+                          <button
+                            type="button"
+                            className="btn btn-sm mr-1"
+                            onClick={() => openRouteReplay(trip)}
+                            title="Replay the GPS route"
+                          >
+                            Route
+                          </button>
+                        ) : null}
                         {!isEditing ? (
                           !isOpenRow ? (
                             <button
@@ -3593,24 +3773,72 @@ export default function VehicleDetail() {
                       </td>
                       <td className="border-b border-border p-2">
                         {!isEditing ? (
-                          p.type || "—"
+                          <>
+                            {p.type || "—"}
+                            {fuelSummary(p) && (
+                              <div className="text-xs text-gray-500">
+                                {fuelSummary(p)}
+                              </div>
+                            )}
+                          </>
                         ) : (
-                          <select
-                            className="p-1 border border-border rounded"
-                            value={editForm.type}
-                            onChange={(e) =>
-                              setEditForm((f) => ({
-                                ...f,
-                                type: e.target.value,
-                              }))
-                            }
-                          >
-                            {PURCHASE_TYPES.map((t) => (
-                              <option key={t} value={t}>
-                                {t}
-                              </option>
-                            ))}
-                          </select>
+                          <div className="space-y-1">
+                            <select
+                              className="p-1 border border-border rounded"
+                              value={editForm.type}
+                              onChange={(e) =>
+                                setEditForm((f) => ({
+                                  ...f,
+                                  type: e.target.value,
+                                }))
+                              }
+                            >
+                              {PURCHASE_TYPES.map((t) => (
+                                <option key={t} value={t}>
+                                  {t}
+                                </option>
+                              ))}
+                            </select>
+                            {editForm.type === "fuel" && (
+                              <div className="flex flex-wrap items-center gap-1">
+                                {[
+                                  ["litres", "Litres"],
+                                  ["pricePerLitre", "Price/L"],
+                                  ["odometer", "Odometer"],
+                                ].map(([key, label]) => (
+                                  <input
+                                    key={key}
+                                    className="p-1 border border-border rounded w-24"
+                                    type="number"
+                                    inputMode="decimal"
+                                    min="0"
+                                    placeholder={label}
+                                    title={label}
+                                    value={editForm[key]}
+                                    onChange={(e) =>
+                                      setEditForm((f) => ({
+                                        ...f,
+                                        [key]: e.target.value,
+                                      }))
+                                    }
+                                  />
+                                ))}
+                                <label className="text-xs inline-flex items-center gap-1">
+                                  <input
+                                    type="checkbox"
+                                    checked={!!editForm.fullTank}
+                                    onChange={(e) =>
+                                      setEditForm((f) => ({
+                                        ...f,
+                                        fullTank: e.target.checked,
+                                      }))
+                                    }
+                                  />
+                                  Full tank
+                                </label>
+                              </div>
+                            )}
+                          </div>
                         )}
                       </td>
                       <td className="border-b border-border p-2">
@@ -3868,6 +4096,24 @@ export default function VehicleDetail() {
         </div>
       </div>
 
+      {/* ---------------- Fuel & running cost ---------------- */}
+      <div
+        id="fuel"
+        className="rounded-xl border border-border bg-panel p-3 space-y-3 scroll-mt-20"
+      >
+        <div className="text-lg font-semibold">Fuel &amp; running cost</div>
+        <VehicleFuelPanel vehicleId={id} refreshKey={purchases} />
+      </div>
+
+      {/* ---------------- Odometer timeline ---------------- */}
+      <div
+        id="odometer"
+        className="rounded-xl border border-border bg-panel p-3 space-y-3 scroll-mt-20"
+      >
+        <div className="text-lg font-semibold">Odometer</div>
+        <OdometerTimelinePanel timeline={odoTimeline} loading={odoLoading} error={odoErr} />
+      </div>
+
       {/* ---------------- Logbook (non-travel) ---------------- */}
       <div
         id="logbook"
@@ -4187,6 +4433,26 @@ export default function VehicleDetail() {
           </div>
         )}
 
+        {startDriverCheck?.issues?.length > 0 && (
+          <div
+            className={
+              "rounded border p-2 text-sm " +
+              (startDriverCheck.status === "block"
+                ? "border-red-200 bg-red-50"
+                : "border-amber-200 bg-amber-50")
+            }
+          >
+            <div className="font-medium">
+              {startDriverCheck.status === "block"
+                ? "You can't start this trip:"
+                : "Licence check:"}
+            </div>
+            {startDriverCheck.issues.map((i) => (
+              <div key={i.kind}>{i.message}</div>
+            ))}
+          </div>
+        )}
+
         <div className="grid md:grid-cols-2 gap-3">
           <label className="text-sm">
             Odometer start
@@ -4422,6 +4688,63 @@ export default function VehicleDetail() {
             />
           </label>
 
+          {pForm.type === "fuel" && (
+            <>
+              <label className="text-sm">
+                Litres
+                <input
+                  className="w-full"
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="0.01"
+                  value={pForm.litres}
+                  onChange={(e) =>
+                    setPForm((f) => ({ ...f, litres: e.target.value }))
+                  }
+                />
+              </label>
+              <label className="text-sm">
+                Price per litre
+                <input
+                  className="w-full"
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="0.001"
+                  value={pForm.pricePerLitre}
+                  onChange={(e) =>
+                    setPForm((f) => ({ ...f, pricePerLitre: e.target.value }))
+                  }
+                  placeholder="Worked out from cost when blank"
+                />
+              </label>
+              <label className="text-sm">
+                Odometer at fill (km)
+                <input
+                  className="w-full"
+                  type="number"
+                  inputMode="numeric"
+                  min="0"
+                  value={pForm.odometer}
+                  onChange={(e) =>
+                    setPForm((f) => ({ ...f, odometer: e.target.value }))
+                  }
+                />
+              </label>
+              <label className="text-sm inline-flex items-center gap-2 self-end pb-1">
+                <input
+                  type="checkbox"
+                  checked={!!pForm.fullTank}
+                  onChange={(e) =>
+                    setPForm((f) => ({ ...f, fullTank: e.target.checked }))
+                  }
+                />
+                Filled to full tank
+              </label>
+            </>
+          )}
+
           {/* receipt photo */}
           <label className="text-sm">
             Receipt photo (optional)
@@ -4489,6 +4812,42 @@ export default function VehicleDetail() {
         </form>
       </Modal>
 
+      <Modal
+        open={!!routeTrip}
+        title={
+          routeTrip
+            ? `Route — ${routeTrip.startedAt ? new Date(routeTrip.startedAt).toLocaleString() : "trip"}`
+            : "Route"
+        }
+        onClose={() => setRouteTrip(null)}
+      >
+        {routeTrip?.gpsCheck && (
+          <div
+            className={
+              "text-sm " +
+              (routeTrip.gpsCheck.status === "flagged" ? "text-red-700" : "text-gray-600")
+            }
+          >
+            Odometer {routeTrip.gpsCheck.odoDistance ?? "—"} km · GPS{" "}
+            {routeTrip.gpsCheck.gpsDistanceKm ?? "—"} km
+            {routeTrip.gpsCheck.diffKm != null
+              ? ` · difference ${routeTrip.gpsCheck.diffKm} km (${routeTrip.gpsCheck.diffPct ?? "—"}%)`
+              : ""}
+            {routeTrip.gpsCheck.status === "flagged" ? " — flagged" : ""}
+            {routeTrip.gpsCheck.status === "insufficient"
+              ? ` — not compared (${routeTrip.gpsCheck.reason})`
+              : ""}
+          </div>
+        )}
+        {routeLoading ? (
+          <div className="text-sm text-gray-500">Loading route…</div>
+        ) : routeErr ? (
+          <div className="text-sm text-red-600">{routeErr}</div>
+        ) : routeTrack ? (
+          <TripRouteReplay key={routeTrip?._id} track={routeTrack} />
+        ) : null}
+      </Modal>
+
       <Modal
         open={inspModalOpen}
         title={inspModalTitle}
@@ -2,6 +2,7 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { api } from "../lib/api";
+import PrintLabelsButton from "../components/PrintLabelsButton";
 
 /* --- Compact status chip --- */
 function StatusBadge({ value }) {
@@ -271,6 +272,16 @@ export default function Vehicles() {
           >
             Export CSV
           </button>
+          <PrintLabelsButton kind="vehicle" ids={filtered.filter((v) => v.reg).map((v) => v._id)} className="btn btn-sm" />
+          <Link className="btn btn-sm" to="/travel-logbook" title="Tax-year travel logbook per vehicle">
+            Travel logbook
+          </Link>
+          <Link className="btn btn-sm" to="/fleet-fuel" title="Fuel consumption and cost-per-km ranking">
+            Fuel ranking
+          </Link>
+          <Link className="btn btn-sm" to="/driver-licences" title="Driver licences, codes and PrDP expiry">
+            Driver licences
+          </Link>
           <button
             type="button"
             className="btn btn-sm"
@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { api } from "../../lib/api";
+import { getMaintenanceSummary } from "../../lib/maintenance";
 import { inRangeInclusiveISO, addRangeToParams } from "../util/dateRange";
 
 export const id = "assets";
@@ -65,6 +66,7 @@ export default function AssetsWidget({ bare }) {
   const [rows, setRows] = useState([]);
   const [err, setErr] = useState("");
   const [picked, setPicked] = useState(""); // local chip selection (purely visual)
+  const [pmOverdueIds, setPmOverdueIds] = useState([]); // assets with overdue preventive maintenance
 
   // fetch (date-range aware)
   useEffect(() => {
@@ -86,6 +88,15 @@ export default function AssetsWidget({ bare }) {
     return () => { alive = false; };
   }, [dr?.fromAt, dr?.toAt, dr?.from, dr?.to]);
 
+  // overdue PM is "now", not date-range scoped
+  useEffect(() => {
+    let alive = true;
+    getMaintenanceSummary()
+      .then((s) => alive && setPmOverdueIds((s?.overdueAssetIds || []).map(String)))
+      .catch(() => alive && setPmOverdueIds([]));
+    return () => { alive = false; };
+  }, []);
+
   // scope rows by date range (prefer change-like fields)
   const dateScoped = useMemo(() => {
     return rows.filter(r =>
@@ -109,6 +120,14 @@ export default function AssetsWidget({ bare }) {
     return b;
   }, [scoped]);
 
+  // overdue PM within the project scope
+  const pmOverdue = useMemo(() => {
+    const pid = String(context?.projectId || "");
+    if (!pid) return pmOverdueIds.length;
+    const inScope = new Set(rows.filter(a => projIdOf(a) === pid).map(a => String(a._id)));
+    return pmOverdueIds.filter(id => inScope.has(id)).length;
+  }, [pmOverdueIds, rows, context?.projectId]);
+
   // RAG -> visual default bucket (for halo/fill), counts never filtered by RAG
   const ragBucket = useMemo(() => (
     rag === "green" ? "active" :
@@ -153,6 +172,7 @@ export default function AssetsWidget({ bare }) {
           { key: "maintenance", tone: "amber", label: "Maintenance", val: buckets.maintenance },
           { key: "missing",     tone: "red",   label: "Missing",     val: buckets.missing },
           { key: "retired",     tone: "gray",  label: "Retired",     val: buckets.retired },
+          { key: "pm-overdue",  tone: "red",   label: "PM overdue",  val: pmOverdue },
         ].map(c => {
           const active = picked ? (picked === c.key) : (ragBucket === c.key && !picked);
           const onCls = active ? `on ${c.tone}` : "";
@@ -1,6 +1,7 @@
 // src/widgets/widgets/RiskSummaryWidget.jsx
 import React, { useEffect, useMemo, useState } from "react";
 import { api } from "../../lib/api";
+import { getMaintenanceSummary } from "../../lib/maintenance";
 
 /** Registry identity */
 export const id = "risk.summary";
@@ -51,6 +52,7 @@ export default function RiskSummaryWidget({ bare, compact }) {
   const [assets, setAssets] = useState([]);
   const [vehicles, setVehicles] = useState([]);
   const [users, setUsers] = useState([]);
+  const [pm, setPm] = useState(null); // preventive maintenance summary
 
   const [err, setErr] = useState("");
 
@@ -106,6 +108,14 @@ export default function RiskSummaryWidget({ bare, compact }) {
           if (alive) setUsers(Array.isArray(ur.data) ? ur.data : ur.data?.rows || []);
         }
 
+        // preventive maintenance (optional: older backends have no /maintenance)
+        try {
+          const s = await getMaintenanceSummary();
+          if (alive) setPm(s || null);
+        } catch {
+          if (alive) setPm(null);
+        }
+
         if (alive) setErr("");
       } catch (e) {
         if (!alive) return;
@@ -126,6 +136,7 @@ export default function RiskSummaryWidget({ bare, compact }) {
       ins_failed: 0,
       assets_maint: 0,
       vehicles_stolen: 0,
+      pm_overdue: pm?.overdue || 0,
     };
 
     // projects
@@ -175,7 +186,7 @@ export default function RiskSummaryWidget({ bare, compact }) {
     }
 
     return c;
-  }, [projects, tasks, insps, assets, vehicles, now]);
+  }, [projects, tasks, insps, assets, vehicles, pm, now]);
 
   /* --------------------- tiles (2 rows x 4 cols) ------------------------- */
   const tiles = [
@@ -228,6 +239,13 @@ export default function RiskSummaryWidget({ bare, compact }) {
       tone: "red",
       click: () => emit({ vehicles: { status: ["stolen"] } }),
     },
+    {
+      key: "pm_overdue",
+      label: "PM Overdue",
+      value: counts.pm_overdue,
+      tone: "red",
+      click: () => emit({ assets: { pm: ["overdue"] } }),
+    },
   ];
 
   // RAG master narrows which tiles are visually emphasized (but we still show all)
@@ -10,6 +10,7 @@ export const TOKEN_KEY = "@moat:token";
 export const ORG_KEY = "@moat:orgId";
 export const CACHE_ME_KEY = "@moat:cache:me";
 export const USER_ID_KEY = "@moat:userId";
+export const DEVICE_ID_KEY = "@moat:deviceId";
 
 // Fallback keys used elsewhere in the app
 const TOKEN_KEYS_FALLBACK = [
@@ -639,3 +640,18 @@ export async function getStoredUserId() {
     return "";
   }
 }
+
+// Stable per-install id (identifies a shared device, e.g. a kiosk, in the audit trail)
+export async function getDeviceId() {
+  try {
+    const existing = await AsyncStorage.getItem(DEVICE_ID_KEY);
+    if (existing) return existing;
+
+    const rand = () => Math.random().toString(16).slice(2, 10);
+    const id = `dev-${Date.now().toString(16)}-${rand()}${rand()}`;
+    await AsyncStorage.setItem(DEVICE_ID_KEY, id);
+    return id;
+  } catch {
+    return "";
+  }
+}
@@ -1,6 +1,11 @@
 import { Stack } from 'expo-router';
 import React from 'react';
 
+// Defines the background location task for vehicle trip routes (must load at startup)
+import '../tripTracker';
+// Defines the geofence task that auto-starts tasks on fence entry (must load at startup)
+import '../taskFences';
+
 export default function RootLayout() {
   return (
     <Stack screenOptions={{ headerShown: false }}>
@@ -16,7 +16,7 @@ import {
   View,
 } from "react-native";
 import { refreshCachedMe } from "../apiClient";
-import { saveAssetCreate, saveAssetLog } from "../database";
+import { saveAssetCreate, saveAssetCustody, saveAssetLog } from "../database";
 import { syncOutbox } from "../syncOutbox";
 
 const THEME_COLOR = "#22a6b3";
@@ -25,6 +25,8 @@ const LAST_SCAN_KEY = "@moat:lastScan";
 const ASSETS_KEY = "@moat:assets";
 const CACHE_ASSETS_KEY = "@moat:cache:assets";
 const CACHE_PROJECTS_KEY = "@moat:cache:projects";
+const CACHE_TASKS_KEY = "@moat:cache:tasks";
+const CACHE_USERS_KEY = "@moat:cache:users";
 const CACHE_ME_KEY = "@moat:cache:me";
 const TOKEN_KEY = "@moat:cache:token";
 const USER_ID_KEYS = ["@moat:userId", "@moat:userid", "moat:userid"];
@@ -48,6 +50,23 @@ const ASSET_STATUS_OPTIONS = [
   { id: "stolen", label: "Stolen" },
 ];
 
+const HOLDER_OPTIONS = [
+  { id: "user", label: "Person" },
+  { id: "project", label: "Project" },
+  { id: "task", label: "Task" },
+];
+
+const CONDITION_OPTIONS = [
+  { id: "good", label: "Good" },
+  { id: "fair", label: "Fair" },
+  { id: "damaged", label: "Damaged" },
+  { id: "missing-parts", label: "Missing parts" },
+  { id: "unusable", label: "Unusable" },
+];
+
+// Scan started from "Scan to check out / in" (scan.jsx echoes `field` back)
+const CUSTODY_SCAN_FIELD = "asset-custody";
+
 function formatNow() {
   const d = new Date();
   const pad = (n) => (n < 10 ? "0" + n : "" + n);
@@ -248,11 +267,25 @@ function normalizeAssetOption(input, fallbackCode = "") {
     assetStatus,
     lat: Number.isFinite(Number(lat)) ? Number(lat) : null,
     lng: Number.isFinite(Number(lng)) ? Number(lng) : null,
+    custody:
+      input?.custody && typeof input.custody === "object"
+        ? input.custody
+        : null,
     label: assetName ? `${assetCode} — ${assetName}` : assetCode,
     raw: input,
   };
 }
 
+// Custody recorded on this device wins until the server copy is newer
+function newerCustody(local, cachedOption) {
+  const server = cachedOption?.custody || null;
+  if (!local) return server;
+  if (!server) return local;
+  const localAt = Date.parse(local.recordedAt || "") || 0;
+  const serverAt = Date.parse(cachedOption?.raw?.updatedAt || "") || 0;
+  return serverAt > localAt ? server : local;
+}
+
 function buildAssetListFromSources(localMap, cachedAssets) {
   const merged = new Map();
 
@@ -270,6 +303,7 @@ function buildAssetListFromSources(localMap, cachedAssets) {
     merged.set(normalized.assetCode, {
       ...(existing || {}),
       ...normalized,
+      custody: newerCustody(normalized.custody, existing),
       raw: { ...(existing?.raw || {}), ...(meta || {}) },
     });
   }
@@ -447,6 +481,22 @@ function pickProjectName(input) {
   return String(input?.name || input?.title || pickProjectIdFromProject(input));
 }
 
+function pickUserName(input) {
+  return String(
+    input?.name || input?.email || input?.username || input?._id || "",
+  );
+}
+
+function custodySummary(custody) {
+  if (custody?.status !== "checked-out") return "Available";
+  const due = custody.dueAt
+    ? ` · due ${String(custody.dueAt).slice(0, 10)}`
+    : "";
+  const overdue =
+    custody.dueAt && new Date(custody.dueAt) < new Date() ? " (overdue)" : "";
+  return `Checked out to ${custody.holderLabel || "someone"}${due}${overdue}`;
+}
+
 function SelectModal({
   visible,
   title,
@@ -549,6 +599,8 @@ export default function AssetsScreen() {
 
   const [assetsList, setAssetsList] = useState([]);
   const [projects, setProjects] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [tasks, setTasks] = useState([]);
 
   const [assetPickerOpen, setAssetPickerOpen] = useState(false);
   const [projectPickerOpen, setProjectPickerOpen] = useState(false);
@@ -583,6 +635,20 @@ export default function AssetsScreen() {
   const [logStatus, setLogStatus] = useState("active");
   const [isSavingLog, setIsSavingLog] = useState(false);
 
+  const [custodyVisible, setCustodyVisible] = useState(false);
+  const [custodyAction, setCustodyAction] = useState("check-out");
+  const [holderType, setHolderType] = useState("user");
+  const [holderUserId, setHolderUserId] = useState("");
+  const [holderProjectId, setHolderProjectId] = useState("");
+  const [holderTaskId, setHolderTaskId] = useState("");
+  const [custodyDue, setCustodyDue] = useState("");
+  const [custodyCondition, setCustodyCondition] = useState("good");
+  const [custodyNote, setCustodyNote] = useState("");
+  const [custodyPhoto, setCustodyPhoto] = useState(null);
+  const [custodyFromScan, setCustodyFromScan] = useState(false);
+  const [isSavingCustody, setIsSavingCustody] = useState(false);
+  const [custodyPicker, setCustodyPicker] = useState(""); // holderType | user | project | task | condition
+
   const effectiveCode = String(assetCode || "").trim();
 
   const selectedAssetOption =
@@ -610,11 +676,14 @@ export default function AssetsScreen() {
           console.log("[ASSETS] refreshCachedMe failed", e);
         }
 
-        const [userMeta, assetItems, cachedProjects] = await Promise.all([
-          getCurrentUserMeta(),
-          refreshAssetsList(),
-          loadCache(CACHE_PROJECTS_KEY, []),
-        ]);
+        const [userMeta, assetItems, cachedProjects, cachedUsers, cachedTasks] =
+          await Promise.all([
+            getCurrentUserMeta(),
+            refreshAssetsList(),
+            loadCache(CACHE_PROJECTS_KEY, []),
+            loadCache(CACHE_USERS_KEY, []),
+            loadCache(CACHE_TASKS_KEY, []),
+          ]);
 
         if (!alive) return;
 
@@ -632,6 +701,8 @@ export default function AssetsScreen() {
         setUserId(String(userMeta.userId || ""));
         setAssetsList(assetItems);
         setProjects(Array.isArray(cachedProjects) ? cachedProjects : []);
+        setUsers(Array.isArray(cachedUsers) ? cachedUsers : []);
+        setTasks(Array.isArray(cachedTasks) ? cachedTasks : []);
       })();
 
       return () => {
@@ -690,13 +761,13 @@ export default function AssetsScreen() {
       const parsedCode = String(parsed?.assetCode || "").trim();
       if (!parsedCode) {
         Alert.alert("Scan failed", "Could not detect an asset code/tag.");
-        return;
+        return null;
       }
 
       const existing = await applyAssetFromStore(parsedCode);
       if (existing) {
         applySelectedAsset(existing);
-        return;
+        return existing;
       }
 
       setAssetCode(parsedCode);
@@ -707,7 +778,7 @@ export default function AssetsScreen() {
           "Asset not found",
           "This asset is not on your device yet. Only a Project Manager (or above) can add new assets.",
         );
-        return;
+        return null;
       }
 
       openCreateModal({
@@ -715,10 +786,29 @@ export default function AssetsScreen() {
         raw: parsed.raw,
         assetStatus: "active",
       });
+      return null;
     },
     [applyAssetFromStore, applySelectedAsset, canCreateAsset, openCreateModal],
   );
 
+  const openCustodyModal = useCallback(
+    (item, { fromScan = false } = {}) => {
+      const isOut = item?.custody?.status === "checked-out";
+      setCustodyAction(isOut ? "check-in" : "check-out");
+      setHolderType("user");
+      setHolderUserId(String(userId || ""));
+      setHolderProjectId(String(item?.assetProjectId || ""));
+      setHolderTaskId("");
+      setCustodyDue("");
+      setCustodyCondition("good");
+      setCustodyNote("");
+      setCustodyPhoto(null);
+      setCustodyFromScan(!!fromScan);
+      setCustodyVisible(true);
+    },
+    [userId],
+  );
+
   useFocusEffect(
     useCallback(() => {
       let mounted = true;
@@ -741,7 +831,10 @@ export default function AssetsScreen() {
           console.log("[ASSETS] scan object:", scan);
           console.log("[ASSETS] parsed scan:", parsed);
 
-          await ensureAssetKnownOrPrompt(parsed);
+          const found = await ensureAssetKnownOrPrompt(parsed);
+          if (found && mounted && scan?.field === CUSTODY_SCAN_FIELD) {
+            openCustodyModal(found, { fromScan: true });
+          }
         } catch (e) {
           console.log("[ASSETS] Failed to apply scan result", e);
         }
@@ -750,7 +843,7 @@ export default function AssetsScreen() {
       return () => {
         mounted = false;
       };
-    }, [ensureAssetKnownOrPrompt]),
+    }, [ensureAssetKnownOrPrompt, openCustodyModal]),
   );
 
   const takePhoto = async (setter) => {
@@ -782,6 +875,17 @@ export default function AssetsScreen() {
     });
   };
 
+  const handleScanForCustody = () => {
+    router.push({
+      pathname: "/scan",
+      params: {
+        returnTo: "/assets",
+        field: CUSTODY_SCAN_FIELD,
+        label: "Scan to check out / in",
+      },
+    });
+  };
+
   const canProceedWithAsset = useMemo(() => {
     return String(assetCode || "").trim().length > 0;
   }, [assetCode]);
@@ -983,6 +1087,160 @@ export default function AssetsScreen() {
     }
   };
 
+  const projectTasks = useMemo(
+    () =>
+      tasks.filter(
+        (t) =>
+          !holderProjectId ||
+          String(t?.projectId?._id || t?.projectId || "") ===
+            String(holderProjectId),
+      ),
+    [tasks, holderProjectId],
+  );
+
+  const selectedHolderUser =
+    users.find((u) => String(u?._id || u?.id) === String(holderUserId)) ||
+    null;
+  const selectedHolderProject =
+    projects.find(
+      (p) => pickProjectIdFromProject(p) === String(holderProjectId),
+    ) || null;
+  const selectedHolderTask =
+    tasks.find((t) => String(t?._id || t?.id) === String(holderTaskId)) ||
+    null;
+
+  const holderLabelFor = () => {
+    if (holderType === "task") return String(selectedHolderTask?.title || "");
+    if (holderType === "project") {
+      return selectedHolderProject ? pickProjectName(selectedHolderProject) : "";
+    }
+    if (String(holderUserId) === String(userId)) return "Me";
+    return selectedHolderUser ? pickUserName(selectedHolderUser) : "";
+  };
+
+  const handleSaveCustody = async () => {
+    if (isSavingCustody) return;
+
+    const isCheckOut = custodyAction === "check-out";
+    if (isCheckOut) {
+      if (holderType === "user" && !holderUserId) {
+        Alert.alert("Missing person", "Choose who is taking the asset.");
+        return;
+      }
+      if (holderType === "project" && !holderProjectId) {
+        Alert.alert("Missing project", "Choose the project taking the asset.");
+        return;
+      }
+      if (holderType === "task" && !holderTaskId) {
+        Alert.alert("Missing task", "Choose the task taking the asset.");
+        return;
+      }
+      if (custodyDue && Number.isNaN(Date.parse(custodyDue))) {
+        Alert.alert("Return date", "Use the format YYYY-MM-DD.");
+        return;
+      }
+    }
+
+    setIsSavingCustody(true);
+
+    try {
+      const coords = await getCurrentCoords();
+      const nowIso = new Date().toISOString();
+      const code = normCode(assetCode);
+      const holderLabel =
+        isCheckOut && holderLabelFor() !== "Me" ? holderLabelFor() : "";
+
+      const payload = {
+        action: custodyAction,
+        userId: userId || null,
+        assetCode: code,
+        assetName: String(assetName || "").trim(),
+        ...(isCheckOut
+          ? {
+              holderType,
+              holderUserId: holderUserId || null,
+              projectId:
+                holderType === "user" ? null : holderProjectId || null,
+              taskId: holderType === "task" ? holderTaskId || null : null,
+              holderLabel: holderLabel || null,
+              dueAt: custodyDue
+                ? new Date(`${custodyDue.trim()}T17:00:00`).toISOString()
+                : null,
+            }
+          : { condition: custodyCondition }),
+        note: custodyNote,
+        photoUri: custodyPhoto,
+        location: coords,
+        source: custodyFromScan ? "scan" : "manual",
+        dateTime: formatNow(),
+        createdAt: nowIso,
+      };
+
+      // reflect it on the device straight away; the server copy wins once newer
+      const currentMap = await loadAssetsMap();
+      currentMap[code] = {
+        ...(currentMap[code] || {}),
+        assetCode: code,
+        assetName:
+          String(assetName || "").trim() || currentMap[code]?.assetName || "",
+        custody: isCheckOut
+          ? {
+              status: "checked-out",
+              holderType,
+              holderLabel: holderLabel || "me",
+              dueAt: payload.dueAt,
+              checkedOutAt: nowIso,
+              recordedAt: nowIso,
+            }
+          : { status: "available", recordedAt: nowIso },
+        updatedAt: nowIso,
+      };
+      await saveAssetsMap(currentMap);
+      setAssetsList(await refreshAssetsList());
+
+      const id = await saveAssetCustody(payload);
+      await tryImmediateSyncForAssets();
+
+      console.log("[ASSETS] asset custody saved locally with id:", id);
+      Alert.alert(
+        "Saved",
+        isCheckOut ? "Asset checked out." : "Asset checked in.",
+      );
+      setCustodyVisible(false);
+    } catch (e) {
+      console.log("[ASSETS] Failed to save asset custody", e);
+      Alert.alert("Save failed", "Could not save this on the device.");
+    } finally {
+      setIsSavingCustody(false);
+    }
+  };
+
+  const custodyPickerItems =
+    custodyPicker === "holderType"
+      ? HOLDER_OPTIONS
+      : custodyPicker === "user"
+        ? users
+        : custodyPicker === "project"
+          ? projects
+          : custodyPicker === "task"
+            ? projectTasks
+            : custodyPicker === "condition"
+              ? CONDITION_OPTIONS
+              : [];
+
+  const onCustodyPick = (item) => {
+    const id = String(item?.id || item?._id || "");
+    if (custodyPicker === "holderType") setHolderType(id || "user");
+    if (custodyPicker === "user") setHolderUserId(id);
+    if (custodyPicker === "project") {
+      setHolderProjectId(pickProjectIdFromProject(item));
+      setHolderTaskId("");
+    }
+    if (custodyPicker === "task") setHolderTaskId(id);
+    if (custodyPicker === "condition") setCustodyCondition(id || "good");
+    setCustodyPicker("");
+  };
+
   return (
     <>
       <ScrollView contentContainerStyle={styles.container}>
@@ -1094,6 +1352,37 @@ export default function AssetsScreen() {
             <Text style={styles.primaryButtonText}>Add log</Text>
           </TouchableOpacity>
 
+          <Text style={styles.custodyText}>
+            {canProceedWithAsset
+              ? custodySummary(selectedAssetOption?.custody)
+              : "Scan an asset to check it out or in."}
+          </Text>
+
+          <View style={styles.scanRow}>
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.custodyButton]}
+              onPress={handleScanForCustody}
+            >
+              <Text style={styles.secondaryButtonText}>Scan to check out / in</Text>
+            </TouchableOpacity>
+            {canProceedWithAsset && (
+              <TouchableOpacity
+                style={[
+                  styles.secondaryButton,
+                  styles.custodyButton,
+                  { marginLeft: 8 },
+                ]}
+                onPress={() => openCustodyModal(selectedAssetOption)}
+              >
+                <Text style={styles.secondaryButtonText}>
+                  {selectedAssetOption?.custody?.status === "checked-out"
+                    ? "Check in"
+                    : "Check out"}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
           {!canCreateAsset && (
             <Text style={styles.hintText}>
               Note: Only Project Managers (or above) can add new assets.
@@ -1259,6 +1548,208 @@ export default function AssetsScreen() {
         </View>
       </Modal>
 
+      <SelectModal
+        visible={!!custodyPicker}
+        title={
+          custodyPicker === "condition"
+            ? "Condition"
+            : custodyPicker === "holderType"
+              ? "Check out to"
+              : `Select ${custodyPicker}`
+        }
+        items={custodyPickerItems}
+        selectedId={
+          custodyPicker === "holderType"
+            ? holderType
+            : custodyPicker === "user"
+              ? holderUserId
+              : custodyPicker === "project"
+                ? holderProjectId
+                : custodyPicker === "task"
+                  ? holderTaskId
+                  : custodyCondition
+        }
+        getLabel={(it) =>
+          custodyPicker === "user"
+            ? pickUserName(it)
+            : custodyPicker === "project"
+              ? pickProjectName(it)
+              : String(it?.label || it?.title || it?.name || "")
+        }
+        onSelect={onCustodyPick}
+        onClose={() => setCustodyPicker("")}
+        emptyText="Nothing cached yet. Refresh offline lists."
+      />
+
+      <Modal
+        visible={custodyVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() =>
+          isSavingCustody ? null : setCustodyVisible(false)
+        }
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>
+              {custodyAction === "check-out" ? "Check out" : "Check in"}
+            </Text>
+            <Text style={styles.modalSubtitle}>
+              {assetName || assetCode || "Current asset"}
+            </Text>
+
+            {custodyAction === "check-out" ? (
+              <>
+                <SelectField
+                  label="Check out to"
+                  valueText={
+                    HOLDER_OPTIONS.find((h) => h.id === holderType)?.label
+                  }
+                  onPress={() => setCustodyPicker("holderType")}
+                  disabled={isSavingCustody}
+                />
+                {holderType !== "user" && (
+                  <SelectField
+                    label="Project"
+                    valueText={
+                      selectedHolderProject
+                        ? pickProjectName(selectedHolderProject)
+                        : ""
+                    }
+                    onPress={() => setCustodyPicker("project")}
+                    disabled={isSavingCustody}
+                  />
+                )}
+                {holderType === "task" && (
+                  <SelectField
+                    label="Task"
+                    valueText={selectedHolderTask?.title || ""}
+                    onPress={() => setCustodyPicker("task")}
+                    disabled={isSavingCustody}
+                  />
+                )}
+                <SelectField
+                  label={holderType === "user" ? "Person" : "Signed for by"}
+                  valueText={
+                    String(holderUserId) === String(userId)
+                      ? "Me"
+                      : selectedHolderUser
+                        ? pickUserName(selectedHolderUser)
+                        : ""
+                  }
+                  onPress={() => setCustodyPicker("user")}
+                  disabled={isSavingCustody}
+                />
+                <TextInput
+                  style={styles.input}
+                  placeholder="Due back (YYYY-MM-DD, optional)"
+                  placeholderTextColor="#aaa"
+                  value={custodyDue}
+                  onChangeText={setCustodyDue}
+                  editable={!isSavingCustody}
+                />
+              </>
+            ) : (
+              <>
+                <Text style={styles.modalHint}>
+                  {custodySummary(selectedAssetOption?.custody)}
+                </Text>
+                <SelectField
+                  label="Condition"
+                  valueText={
+                    CONDITION_OPTIONS.find((c) => c.id === custodyCondition)
+                      ?.label
+                  }
+                  onPress={() => setCustodyPicker("condition")}
+                  disabled={isSavingCustody}
+                />
+              </>
+            )}
+
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              placeholder={
+                custodyAction === "check-out" ? "Note" : "Condition notes"
+              }
+              placeholderTextColor="#aaa"
+              value={custodyNote}
+              onChangeText={setCustodyNote}
+              multiline
+              editable={!isSavingCustody}
+            />
+
+            {!custodyPhoto ? (
+              <TouchableOpacity
+                style={[
+                  styles.photoButton,
+                  isSavingCustody && { opacity: 0.5 },
+                ]}
+                onPress={() =>
+                  !isSavingCustody ? takePhoto(setCustodyPhoto) : null
+                }
+                disabled={isSavingCustody}
+              >
+                <Image
+                  source={require("../assets/camera.png")}
+                  style={styles.photoIcon}
+                />
+                <Text style={styles.photoButtonText}>Take photo</Text>
+              </TouchableOpacity>
+            ) : (
+              <View style={styles.photoPreview}>
+                <Image
+                  source={{ uri: custodyPhoto }}
+                  style={styles.photoPreviewImage}
+                />
+                <TouchableOpacity
+                  style={[
+                    styles.retryPhotoButton,
+                    isSavingCustody && { opacity: 0.5 },
+                  ]}
+                  onPress={() =>
+                    !isSavingCustody ? takePhoto(setCustodyPhoto) : null
+                  }
+                  disabled={isSavingCustody}
+                >
+                  <Text style={styles.retryPhotoText}>Retry</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            <View style={styles.modalButtonsRow}>
+              <TouchableOpacity
+                style={[
+                  styles.primaryButton,
+                  styles.modalButton,
+                  isSavingCustody && { opacity: 0.6 },
+                ]}
+                onPress={handleSaveCustody}
+                disabled={isSavingCustody}
+              >
+                <Text style={styles.primaryButtonText}>
+                  {isSavingCustody
+                    ? "Saving..."
+                    : custodyAction === "check-out"
+                      ? "Check out"
+                      : "Check in"}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.secondaryButton, styles.modalButton]}
+                onPress={() => setCustodyVisible(false)}
+                disabled={isSavingCustody}
+              >
+                <Text style={styles.secondaryButtonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.modalHint}>
+              Saved on the device and synced when online.
+            </Text>
+          </View>
+        </View>
+      </Modal>
+
       <Modal
         visible={logModalVisible}
         transparent
@@ -1504,6 +1995,15 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: "600",
   },
+  custodyText: {
+    marginTop: 12,
+    fontSize: 12,
+    color: "#555",
+  },
+  custodyButton: {
+    flex: 1,
+    marginTop: 6,
+  },
   hintText: {
     marginTop: 10,
     fontSize: 11,
@@ -0,0 +1,871 @@
+// app/biometrics/kiosk.jsx
+// Biometric clock-in kiosk: a foreman's phone acts as a shared gate device.
+// ✅ Supervisor (manager or group leader) picks group, optional project and clock type, then starts
+// ✅ Front camera stays open; each worker taps "Scan" and the face is identified online
+//    (/api/mobile/biometric-identify, limited to the selected group)
+// ✅ Match is accepted only if the user is in the CACHED group list (same rule as Clocking)
+// ✅ Worker confirms -> one clock-batch-v2 event queued offline-first (saveClockBatch) with
+//    method "face", confidence, device id and the supervisor operating the kiosk
+// ✅ Same person + same clock type within DUPLICATE_WINDOW_MS is refused (double taps at the gate)
+// ✅ No manual fallback here: unrecognised workers go to the supervisor's normal Clocking screen
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import Constants from "expo-constants";
+import { CameraView, useCameraPermissions } from "expo-camera";
+import * as Location from "expo-location";
+import { useRouter } from "expo-router";
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+
+import {
+  apiPostForm,
+  getCachedMe,
+  getDeviceId,
+  getStoredUserId,
+  ORG_KEY,
+} from "../../apiClient";
+import { saveClockBatch } from "../../database";
+
+const THEME_COLOR = "#22a6b3";
+
+const CACHE_PROJECTS_KEY = "@moat:cache:projects";
+const CACHE_GROUPS_KEY = "@moat:cache:groups";
+const CACHE_USERS_KEY = "@moat:cache:users";
+const LEGACY_ORG_KEY = "@moat:cache:orgid";
+
+const KIOSK_CLOCK_TYPES = [
+  { key: "in", label: "Clock IN" },
+  { key: "out", label: "Clock OUT" },
+  { key: "overtime", label: "Overtime" },
+];
+
+const DUPLICATE_WINDOW_MS = 2 * 60 * 1000;
+const RECENT_LIMIT = 12;
+const LOCATION_MAX_AGE_MS = 5 * 60 * 1000;
+
+/* -----------------------------
+   Helpers
+------------------------------*/
+function pickId(x) {
+  return String(x?._id || x?.id || x?.userId || "");
+}
+
+function pickName(x) {
+  return x?.name || x?.title || x?.code || x?.email || pickId(x);
+}
+
+async function loadCache(key, fallback) {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    if (!raw) return fallback;
+    const json = JSON.parse(raw);
+    return json ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function normalizeRoles(user) {
+  const roles = [];
+  if (Array.isArray(user?.roles)) roles.push(...user.roles);
+  if (typeof user?.role === "string") roles.push(user.role);
+  return roles.map((r) => String(r).toLowerCase());
+}
+
+function userHasManagerRights(user) {
+  const allow = new Set([
+    "admin",
+    "superadmin",
+    "owner",
+    "manager",
+    "project-manager",
+    "projectmanager",
+    "pm",
+  ]);
+  return normalizeRoles(user).some((r) => allow.has(r));
+}
+
+function getGroupMemberUserIds(group) {
+  if (!group) return [];
+  const arrays = [
+    group.memberUserIds,
+    group.members,
+    group.userIds,
+    group.users,
+    group.staffUserIds,
+    group.staff,
+  ].filter(Boolean);
+
+  for (const a of arrays) {
+    if (!Array.isArray(a)) continue;
+    const ids = a
+      .map((x) => String(x?._id || x?.id || x || ""))
+      .filter(Boolean);
+    if (ids.length) return ids;
+  }
+  return [];
+}
+
+function isLeaderForGroup(group, userId, userEmail) {
+  if (!group) return false;
+  const uid = userId ? String(userId) : "";
+  const uemail = userEmail ? String(userEmail).toLowerCase() : "";
+
+  const single = [
+    group.leaderUserId,
+    group.leaderId,
+    group.groupLeaderId,
+    group.groupLeaderUserId,
+  ];
+  const arrays = [group.leaderUserIds, group.leaders, group.leaderIds].filter(
+    Array.isArray,
+  );
+  const ids = [...single, ...arrays.flat()]
+    .map((x) => String(x?._id || x?.id || x || ""))
+    .filter(Boolean);
+  if (uid && ids.includes(uid)) return true;
+
+  const emails = [group.leaderEmail, group.groupLeaderEmail]
+    .filter(Boolean)
+    .map((e) => String(e).toLowerCase());
+  return !!uemail && emails.includes(uemail);
+}
+
+function formatTime(iso) {
+  try {
+    return new Date(iso).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return "";
+  }
+}
+
+function confidenceLabel(score) {
+  const n = Number(score);
+  return Number.isFinite(n) ? `${Math.round(n * 100)}%` : "—";
+}
+
+async function getDeviceLocationSafe() {
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== "granted") return null;
+
+    const pos = await Location.getCurrentPositionAsync({
+      accuracy: Location.Accuracy.Balanced,
+    });
+    const lat = Number(pos?.coords?.latitude);
+    const lng = Number(pos?.coords?.longitude);
+    const acc = Number(pos?.coords?.accuracy);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) < 0.000001 && Math.abs(lng) < 0.000001) return null;
+
+    return {
+      lat,
+      lng,
+      acc: Number.isFinite(acc) ? acc : null,
+      capturedAt: new Date().toISOString(),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/* -----------------------------
+   Select modal
+------------------------------*/
+function SelectModal({ visible, title, items, onSelect, onClose, allowNone }) {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalCard}>
+          <Text style={styles.modalTitle}>{title}</Text>
+          {allowNone ? (
+            <TouchableOpacity
+              style={styles.selectRow}
+              onPress={() => onSelect(null)}
+            >
+              <Text style={styles.selectRowText}>— None —</Text>
+            </TouchableOpacity>
+          ) : null}
+          {!items?.length ? (
+            <Text style={styles.cardSubtitle}>
+              Nothing cached. Refresh lists on the Offline screen.
+            </Text>
+          ) : (
+            <FlatList
+              data={items}
+              keyExtractor={(it, idx) => pickId(it) || String(idx)}
+              style={{ maxHeight: 420 }}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={styles.selectRow}
+                  onPress={() => onSelect(item)}
+                >
+                  <Text style={styles.selectRowText}>{pickName(item)}</Text>
+                </TouchableOpacity>
+              )}
+            />
+          )}
+          <TouchableOpacity style={styles.modalCloseButton} onPress={onClose}>
+            <Text style={styles.modalCloseText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+function SelectField({ label, valueText, onPress }) {
+  return (
+    <TouchableOpacity style={styles.selectField} onPress={onPress}>
+      <Text style={styles.selectFieldLabel}>{label}</Text>
+      <Text style={styles.selectFieldValue}>{valueText || "Select…"}</Text>
+    </TouchableOpacity>
+  );
+}
+
+/* -----------------------------
+   Screen
+------------------------------*/
+export default function BiometricKioskScreen() {
+  const router = useRouter();
+  const cameraRef = useRef(null);
+  const [permission, requestPermission] = useCameraPermissions();
+
+  // Cached lists + identity
+  const [projects, setProjects] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [orgId, setOrgId] = useState("");
+  const [supervisor, setSupervisor] = useState(null); // { userId, name, email, isManager }
+  const [deviceId, setDeviceId] = useState("");
+
+  // Setup
+  const [groupId, setGroupId] = useState("");
+  const [projectId, setProjectId] = useState("");
+  const [clockType, setClockType] = useState("in");
+  const [groupPickerOpen, setGroupPickerOpen] = useState(false);
+  const [projectPickerOpen, setProjectPickerOpen] = useState(false);
+
+  // Kiosk run state
+  const [running, setRunning] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null); // { kind, user?, score?, margin?, templateVersion?, message? }
+  const [recent, setRecent] = useState([]); // [{ userId, name, clockType, at, score }]
+  const locationRef = useRef(null);
+
+  useEffect(() => {
+    (async () => {
+      const [p, g, u] = await Promise.all([
+        loadCache(CACHE_PROJECTS_KEY, []),
+        loadCache(CACHE_GROUPS_KEY, []),
+        loadCache(CACHE_USERS_KEY, []),
+      ]);
+      setProjects(Array.isArray(p) ? p : []);
+      setGroups(Array.isArray(g) ? g : []);
+      setUsers(Array.isArray(u) ? u : []);
+
+      const oid =
+        (await AsyncStorage.getItem(ORG_KEY)) ||
+        (await AsyncStorage.getItem(LEGACY_ORG_KEY)) ||
+        "";
+      setOrgId(String(oid));
+
+      const [me, uid, did] = await Promise.all([
+        getCachedMe(),
+        getStoredUserId(),
+        getDeviceId(),
+      ]);
+      setDeviceId(did);
+
+      const cachedUser =
+        (Array.isArray(u) ? u : []).find((x) => pickId(x) === String(uid)) ||
+        me;
+      setSupervisor({
+        userId: String(uid || pickId(me) || ""),
+        name: cachedUser?.name || cachedUser?.email || "",
+        email: cachedUser?.email || me?.email || "",
+        isManager: userHasManagerRights(me) || userHasManagerRights(cachedUser),
+      });
+    })();
+  }, []);
+
+  // Managers run any group; group leaders only their own groups
+  const allowedGroups = useMemo(() => {
+    const base = groups.filter(
+      (g) => !g?.orgId || !orgId || String(g.orgId) === String(orgId),
+    );
+    if (supervisor?.isManager) return base;
+    if (!supervisor?.userId) return [];
+    return base.filter((g) =>
+      isLeaderForGroup(g, supervisor.userId, supervisor.email),
+    );
+  }, [groups, orgId, supervisor]);
+
+  const selectedGroup = groups.find((g) => pickId(g) === groupId) || null;
+  const selectedProject = projects.find((p) => pickId(p) === projectId) || null;
+
+  const memberById = useMemo(() => {
+    const ids = new Set(getGroupMemberUserIds(selectedGroup));
+    const map = new Map();
+    for (const u of users) {
+      const uid = pickId(u);
+      if (ids.has(uid)) map.set(uid, u);
+    }
+    return map;
+  }, [selectedGroup, users]);
+
+  async function refreshLocation(force = false) {
+    const cur = locationRef.current;
+    const age = cur ? Date.now() - new Date(cur.capturedAt).getTime() : Infinity;
+    if (!force && age < LOCATION_MAX_AGE_MS) return;
+    const loc = await getDeviceLocationSafe();
+    if (loc) locationRef.current = loc;
+  }
+
+  const startKiosk = async () => {
+    if (!groupId) {
+      Alert.alert("Missing group", "Select the group clocking at this gate.");
+      return;
+    }
+    if (!memberById.size) {
+      Alert.alert(
+        "No cached members",
+        "This group has no members in the cached user list. Refresh lists on the Offline screen first.",
+      );
+      return;
+    }
+    if (!permission?.granted) {
+      const res = await requestPermission();
+      if (!res?.granted) {
+        Alert.alert("Camera permission", "Camera access is required.");
+        return;
+      }
+    }
+    setRecent([]);
+    setResult(null);
+    setRunning(true);
+    refreshLocation(true);
+  };
+
+  const exitKiosk = () => {
+    Alert.alert(
+      "Exit kiosk",
+      "Supervisor: stop using this device as a clocking kiosk?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Exit",
+          style: "destructive",
+          onPress: () => {
+            setRunning(false);
+            setResult(null);
+          },
+        },
+      ],
+    );
+  };
+
+  const scanFace = async () => {
+    if (busy || !cameraRef.current) return;
+    setBusy(true);
+    setResult(null);
+
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ quality: 0.6 });
+      if (!photo?.uri) {
+        setResult({ kind: "error", message: "No image captured. Try again." });
+        return;
+      }
+
+      const form = new FormData();
+      form.append("groupId", String(groupId));
+      form.append("photo", {
+        uri: photo.uri,
+        name: `kiosk_face_${Date.now()}.jpg`,
+        type: "image/jpeg",
+      });
+
+      const data = await apiPostForm("/api/mobile/biometric-identify", form);
+      const matchedUserId = String(data?.matchedUserId || "");
+
+      if (!matchedUserId) {
+        setResult({
+          kind: "nomatch",
+          score: data?.score,
+          message:
+            data?.reason === "ambiguous"
+              ? "Too close to call. Look straight at the camera and try again."
+              : data?.reason === "templates_migrating"
+                ? "Face templates are being updated. Please use the supervisor register for now."
+                : "Not recognised. Try again or see your supervisor.",
+        });
+        return;
+      }
+
+      const user = memberById.get(matchedUserId);
+      if (!user) {
+        setResult({
+          kind: "nomatch",
+          message:
+            "Recognised, but not in this group's cached list. Supervisor: refresh Offline lists.",
+        });
+        return;
+      }
+
+      setResult({
+        kind: "match",
+        user,
+        score: data?.score,
+        margin: data?.margin ?? null,
+        templateVersion: data?.templateVersion || null,
+      });
+    } catch (e) {
+      setResult({
+        kind: "error",
+        message:
+          e?.status === 503
+            ? "Face matching is not available on the server."
+            : "Could not reach the server. Kiosk needs a connection to identify faces.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmMatch = async () => {
+    if (result?.kind !== "match" || busy) return;
+    const uid = pickId(result.user);
+    const name = result.user?.name || result.user?.email || uid;
+
+    const last = recent.find(
+      (r) => r.userId === uid && r.clockType === clockType,
+    );
+    if (last && Date.now() - new Date(last.at).getTime() < DUPLICATE_WINDOW_MS) {
+      setResult({
+        kind: "nomatch",
+        message: `${name} already clocked ${clockType.toUpperCase()} at ${formatTime(last.at)}.`,
+      });
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const at = new Date().toISOString();
+      await refreshLocation();
+
+      await saveClockBatch(
+        {
+          orgId: orgId || null,
+          projectId: projectId || null,
+          groupId,
+          clockType,
+          note: "Kiosk",
+          createdAt: at,
+          updatedAt: at,
+          location: locationRef.current,
+          capturedByUserId: supervisor?.userId || null,
+          kiosk: {
+            deviceId,
+            deviceName: Constants.deviceName || "",
+            operatorUserId: supervisor?.userId || null,
+            operatorName: supervisor?.name || "",
+          },
+        },
+        [
+          {
+            userId: uid,
+            name,
+            method: "face",
+            status: "present",
+            confidence: result.score ?? null,
+            margin: result.margin,
+            templateVersion: result.templateVersion,
+          },
+        ],
+      );
+
+      setRecent((prev) =>
+        [{ userId: uid, name, clockType, at, score: result.score }, ...prev].slice(
+          0,
+          RECENT_LIMIT,
+        ),
+      );
+      setResult({
+        kind: "saved",
+        message: `${name} clocked ${clockType.toUpperCase()} at ${formatTime(at)}`,
+      });
+    } catch (e) {
+      console.error("[kiosk] save failed", e);
+      setResult({
+        kind: "error",
+        message: e?.message || "Could not save this clocking on the device.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /* ---------- setup ---------- */
+  if (!running) {
+    const canRun = supervisor?.isManager || allowedGroups.length > 0;
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <View style={styles.topBar}>
+          <Text style={styles.topTitle}>Clocking kiosk</Text>
+          <TouchableOpacity onPress={() => router.back()}>
+            <Text style={styles.linkText}>Back</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Gate setup</Text>
+          <Text style={styles.cardSubtitle}>
+            This phone becomes a shared clocking point. Workers scan their own
+            face; you stay logged in as the supervisor responsible for it.
+          </Text>
+
+          {!canRun ? (
+            <Text style={styles.warnText}>
+              Only managers and group leaders can run a kiosk.
+            </Text>
+          ) : null}
+
+          <SelectField
+            label={
+              supervisor?.isManager ? "Group (all groups)" : "Group (your groups)"
+            }
+            valueText={selectedGroup ? pickName(selectedGroup) : ""}
+            onPress={() => setGroupPickerOpen(true)}
+          />
+          <SelectField
+            label="Project (optional, used for geofence)"
+            valueText={selectedProject ? pickName(selectedProject) : ""}
+            onPress={() => setProjectPickerOpen(true)}
+          />
+
+          <Text style={styles.selectFieldLabel}>Clock type</Text>
+          <View style={styles.segment}>
+            {KIOSK_CLOCK_TYPES.map((t) => (
+              <TouchableOpacity
+                key={t.key}
+                style={[
+                  styles.segmentItem,
+                  clockType === t.key && styles.segmentItemActive,
+                ]}
+                onPress={() => setClockType(t.key)}
+              >
+                <Text
+                  style={[
+                    styles.segmentText,
+                    clockType === t.key && styles.segmentTextActive,
+                  ]}
+                >
+                  {t.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {selectedGroup ? (
+            <Text style={styles.smallInfoText}>
+              {memberById.size} cached member(s) in this group.
+            </Text>
+          ) : null}
+
+          <TouchableOpacity
+            style={[styles.primaryButton, !canRun && { opacity: 0.5 }]}
+            disabled={!canRun}
+            onPress={startKiosk}
+          >
+            <Text style={styles.primaryButtonText}>Start kiosk</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.smallInfoText}>
+            Device: {deviceId || "…"}
+            {Constants.deviceName ? ` (${Constants.deviceName})` : ""}
+          </Text>
+        </View>
+
+        <SelectModal
+          visible={groupPickerOpen}
+          title="Select group"
+          items={allowedGroups}
+          onSelect={(g) => {
+            setGroupId(pickId(g));
+            setGroupPickerOpen(false);
+          }}
+          onClose={() => setGroupPickerOpen(false)}
+        />
+        <SelectModal
+          visible={projectPickerOpen}
+          title="Select project"
+          items={projects}
+          allowNone
+          onSelect={(p) => {
+            setProjectId(p ? pickId(p) : "");
+            setProjectPickerOpen(false);
+          }}
+          onClose={() => setProjectPickerOpen(false)}
+        />
+      </ScrollView>
+    );
+  }
+
+  /* ---------- running ---------- */
+  const resultStyle =
+    result?.kind === "match" || result?.kind === "saved"
+      ? styles.resultOk
+      : result?.kind
+        ? styles.resultBad
+        : null;
+
+  return (
+    <View style={styles.kioskContainer}>
+      <View style={styles.kioskHeader}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.kioskTitle}>
+            {KIOSK_CLOCK_TYPES.find((t) => t.key === clockType)?.label} ·{" "}
+            {pickName(selectedGroup)}
+          </Text>
+          <Text style={styles.kioskSubtitle}>
+            Supervisor: {supervisor?.name || "—"}
+            {selectedProject ? ` · ${pickName(selectedProject)}` : ""}
+          </Text>
+        </View>
+        <TouchableOpacity onPress={exitKiosk} style={styles.exitButton}>
+          <Text style={styles.exitText}>Exit</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.cameraWrap}>
+        <CameraView ref={cameraRef} style={StyleSheet.absoluteFill} facing="front" />
+        <View style={styles.faceGuide} pointerEvents="none" />
+      </View>
+
+      {result ? (
+        <View style={[styles.resultCard, resultStyle]}>
+          {result.kind === "match" ? (
+            <>
+              <Text style={styles.resultName}>
+                {result.user?.name || result.user?.email}
+              </Text>
+              <Text style={styles.resultDetail}>
+                Confidence {confidenceLabel(result.score)}
+              </Text>
+              <View style={styles.resultActions}>
+                <TouchableOpacity
+                  style={[styles.secondaryButton, { flex: 1 }]}
+                  onPress={() => setResult(null)}
+                  disabled={busy}
+                >
+                  <Text style={styles.secondaryButtonText}>Not me</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.primaryButton, { flex: 1, marginTop: 0 }]}
+                  onPress={confirmMatch}
+                  disabled={busy}
+                >
+                  <Text style={styles.primaryButtonText}>
+                    Confirm {clockType.toUpperCase()}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <Text style={styles.resultDetail}>{result.message}</Text>
+          )}
+        </View>
+      ) : null}
+
+      <TouchableOpacity
+        style={[styles.scanButton, busy && { opacity: 0.6 }]}
+        onPress={scanFace}
+        disabled={busy || result?.kind === "match"}
+      >
+        {busy ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.scanButtonText}>Scan face</Text>
+        )}
+      </TouchableOpacity>
+
+      <View style={styles.recentWrap}>
+        <Text style={styles.recentTitle}>This session ({recent.length})</Text>
+        {recent.map((r) => (
+          <Text key={`${r.userId}-${r.at}`} style={styles.recentRow}>
+            {formatTime(r.at)} · {r.name} · {r.clockType.toUpperCase()} ·{" "}
+            {confidenceLabel(r.score)}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingTop: 60,
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+    backgroundColor: "#f5f5f5",
+  },
+  topBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  topTitle: { fontSize: 20, fontWeight: "700", color: "#111" },
+  linkText: { color: THEME_COLOR, fontWeight: "600" },
+
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: { fontSize: 16, fontWeight: "600", marginBottom: 4 },
+  cardSubtitle: { fontSize: 12, color: "#666", marginBottom: 12 },
+  smallInfoText: { fontSize: 11, color: "#666", marginTop: 8 },
+  warnText: { fontSize: 12, color: "#b91c1c", marginBottom: 10 },
+
+  selectField: {
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 6,
+    padding: 10,
+    marginBottom: 10,
+    backgroundColor: "#fafafa",
+  },
+  selectFieldLabel: { fontSize: 11, color: "#777", marginBottom: 4 },
+  selectFieldValue: { fontSize: 14, color: "#111", fontWeight: "600" },
+
+  segment: { flexDirection: "row", gap: 8, marginBottom: 4 },
+  segmentItem: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: THEME_COLOR,
+    borderRadius: 6,
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  segmentItemActive: { backgroundColor: THEME_COLOR },
+  segmentText: { color: THEME_COLOR, fontWeight: "600" },
+  segmentTextActive: { color: "#fff" },
+
+  primaryButton: {
+    backgroundColor: THEME_COLOR,
+    paddingVertical: 12,
+    borderRadius: 6,
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 12,
+  },
+  primaryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: THEME_COLOR,
+    paddingVertical: 12,
+    borderRadius: 6,
+    alignItems: "center",
+    backgroundColor: "#fff",
+  },
+  secondaryButtonText: { color: THEME_COLOR, fontSize: 14, fontWeight: "600" },
+
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    padding: 16,
+  },
+  modalCard: { backgroundColor: "#fff", borderRadius: 10, padding: 16 },
+  modalTitle: { fontSize: 16, fontWeight: "600", marginBottom: 10 },
+  selectRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+  },
+  selectRowText: { fontSize: 14, color: "#111" },
+  modalCloseButton: { marginTop: 12, alignItems: "center" },
+  modalCloseText: { color: THEME_COLOR, fontWeight: "600" },
+
+  kioskContainer: { flex: 1, backgroundColor: "#111", paddingTop: 48 },
+  kioskHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  kioskTitle: { color: "#fff", fontSize: 18, fontWeight: "700" },
+  kioskSubtitle: { color: "#bbb", fontSize: 12 },
+  exitButton: {
+    borderWidth: 1,
+    borderColor: "#666",
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  exitText: { color: "#ddd", fontWeight: "600" },
+
+  cameraWrap: {
+    flex: 1,
+    marginHorizontal: 16,
+    borderRadius: 12,
+    overflow: "hidden",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  faceGuide: {
+    width: 220,
+    height: 280,
+    borderRadius: 140,
+    borderWidth: 3,
+    borderColor: "rgba(255,255,255,0.7)",
+  },
+
+  resultCard: {
+    marginHorizontal: 16,
+    marginTop: 10,
+    borderRadius: 10,
+    padding: 12,
+    backgroundColor: "#fff",
+  },
+  resultOk: { borderLeftWidth: 6, borderLeftColor: "#16a34a" },
+  resultBad: { borderLeftWidth: 6, borderLeftColor: "#dc2626" },
+  resultName: { fontSize: 20, fontWeight: "700", color: "#111" },
+  resultDetail: { fontSize: 14, color: "#333", marginTop: 2 },
+  resultActions: { flexDirection: "row", gap: 10, marginTop: 10 },
+
+  scanButton: {
+    marginHorizontal: 16,
+    marginTop: 10,
+    backgroundColor: THEME_COLOR,
+    borderRadius: 10,
+    paddingVertical: 18,
+    alignItems: "center",
+  },
+  scanButtonText: { color: "#fff", fontSize: 18, fontWeight: "700" },
+
+  recentWrap: { paddingHorizontal: 16, paddingVertical: 10, maxHeight: 160 },
+  recentTitle: { color: "#bbb", fontSize: 12, marginBottom: 4 },
+  recentRow: { color: "#eee", fontSize: 12, paddingVertical: 2 },
+});
@@ -1152,6 +1152,22 @@ export default function ClockingScreen() {
     router.push("/biometrics/onboard");
   };
 
+  // Kiosk: this phone becomes a shared gate device for face clock-in
+  const canRunKiosk =
+    isManager ||
+    groups.some((g) => isLeaderForGroup(g, currentUserId, currentUserEmail));
+
+  const goToKiosk = () => {
+    if (!canRunKiosk) {
+      Alert.alert(
+        "Not allowed",
+        "Only managers and group leaders can run a kiosk.",
+      );
+      return;
+    }
+    router.push("/biometrics/kiosk");
+  };
+
   return (
     <>
       <ScrollView contentContainerStyle={styles.container}>
@@ -1263,6 +1279,22 @@ export default function ClockingScreen() {
               <Text style={styles.secondaryButtonText}>Onboard biometrics</Text>
             </TouchableOpacity>
           ) : null}
+
+          {canRunKiosk ? (
+            <TouchableOpacity
+              style={[
+                styles.secondaryButton,
+                { marginTop: 10 },
+                isSavingBatch && { opacity: 0.6 },
+              ]}
+              onPress={goToKiosk}
+              disabled={isSavingBatch}
+            >
+              <Text style={styles.secondaryButtonText}>
+                Kiosk mode (shared gate device)
+              </Text>
+            </TouchableOpacity>
+          ) : null}
         </View>
 
         {/* Selected people summary */}
@@ -145,6 +145,15 @@ function summarizePayload(eventType, payloadJson) {
     );
   }
 
+  if (eventType === "asset-custody") {
+    const what = p?.action === "check-in" ? "Check-in" : "Check-out";
+    return (
+      (p?.assetCode ? `${what}: ${p.assetCode}` : "") ||
+      (p?.holderLabel ? `Holder: ${p.holderLabel}` : "") ||
+      "Asset custody"
+    );
+  }
+
   if (eventType === "clock-batch-v2") {
     const peopleCount = Array.isArray(p?.people) ? p.people.length : 0;
     return (
@@ -15,6 +15,7 @@ import {
 import { getCachedMe, getStoredUserId, refreshCachedMe } from "../apiClient";
 import { getDocumentReadMap, listOfflineEvents } from "../database";
 import { CACHE_DOCUMENTS, CACHE_TASKS } from "../refreshLists";
+import { syncTaskFenceMonitoring } from "../taskFences";
 
 const THEME_COLOR = "#22a6b3";
 
@@ -348,6 +349,11 @@ export default function HomeScreen() {
         completed,
       });
 
+      // keep fence auto-start in step with the cached assignments
+      syncTaskFenceMonitoring().catch((e) =>
+        console.log("[HOME] task fence monitoring failed", e),
+      );
+
       const offlineEvents = await listOfflineEvents(500);
       const unsynced = (offlineEvents || []).some(
         (row) => String(row?.syncStatus || "").toLowerCase() !== "synced",
@@ -24,6 +24,7 @@ import { syncOutbox } from "../syncOutbox";
 
 const THEME_COLOR = "#22a6b3";
 const CACHE_INSPECTION_FORMS_KEY = "@moat:cache:inspections";
+const CACHE_INSPECTIONS_DUE_KEY = "@moat:cache:inspectionsDue";
 const CACHE_PROJECTS_KEY = "@moat:cache:projects";
 const CACHE_TASKS_KEY = "@moat:cache:tasks";
 const CACHE_MILESTONES_KEY = "@moat:cache:milestones";
@@ -593,6 +594,8 @@ export default function InspectionsScreen() {
   });
 
   const [forms, setForms] = useState([]);
+  const [dueItems, setDueItems] = useState([]);
+  const [activeDue, setActiveDue] = useState(null);
   const [projects, setProjects] = useState([]);
   const [tasks, setTasks] = useState([]);
   const [milestones, setMilestones] = useState([]);
@@ -672,6 +675,7 @@ export default function InspectionsScreen() {
           cachedAssets,
           cachedVehicles,
           cachedUsers,
+          cachedDue,
         ] = await Promise.all([
           getCurrentUserMeta(),
           loadCache(CACHE_INSPECTION_FORMS_KEY, []),
@@ -682,6 +686,7 @@ export default function InspectionsScreen() {
           loadCache(CACHE_ASSETS_KEY, []),
           loadCache(CACHE_VEHICLES_KEY, []),
           loadCache(CACHE_USERS_KEY, []),
+          loadCache(CACHE_INSPECTIONS_DUE_KEY, []),
         ]);
 
         if (!alive) return;
@@ -707,6 +712,7 @@ export default function InspectionsScreen() {
         setAssets(Array.isArray(cachedAssets) ? cachedAssets : []);
         setVehicles(Array.isArray(cachedVehicles) ? cachedVehicles : []);
         setUsers(Array.isArray(cachedUsers) ? cachedUsers : []);
+        setDueItems(Array.isArray(cachedDue) ? cachedDue : []);
 
         try {
           const rawLastScan = await AsyncStorage.getItem(LAST_SCAN_KEY);
@@ -1180,10 +1186,37 @@ export default function InspectionsScreen() {
     setIsSubmitting(false);
     setPageScrollEnabled(true);
     setPendingScanItemId("");
+    setActiveDue(null);
     closePicker();
   };
 
-  const startFormRun = async (form) => {
+  // Scheduled inspection done on this device: drop it from the cached due list
+  // until the next lists refresh confirms it server-side.
+  const markDueDoneLocally = async (dueId) => {
+    if (!dueId) return;
+    const next = dueItems.filter((d) => String(d?._id) !== String(dueId));
+    setDueItems(next);
+    try {
+      await AsyncStorage.setItem(
+        CACHE_INSPECTIONS_DUE_KEY,
+        JSON.stringify(next),
+      );
+    } catch {}
+  };
+
+  const startDueRun = async (due) => {
+    const form = forms.find((f) => f.id === String(due?.formId || ""));
+    if (!form) {
+      Alert.alert(
+        "Form not available",
+        "This inspection form is not cached on this device. Refresh lists and try again.",
+      );
+      return;
+    }
+    await startFormRun(form, due);
+  };
+
+  const startFormRun = async (form, due = null) => {
     const initialState = (Array.isArray(form?.items) ? form.items : []).map(
       (item) => ({
         id: item.id,
@@ -1204,18 +1237,26 @@ export default function InspectionsScreen() {
     );
 
     setCurrentForm(form);
+    setActiveDue(due);
     setItemsState(initialState);
     setExpandedItemId(initialState[0]?.id || null);
 
-    setSelectedProjectId("");
-    setSelectedTaskId("");
+    setSelectedProjectId(
+      form?.scope === "global" ? String(due?.projectId || "") : "",
+    );
+    setSelectedTaskId(form?.scope === "global" ? String(due?.taskId || "") : "");
     setSelectedMilestoneId("");
 
     setHeaderSubject(getSubjectLabel(form?.subject));
-    setSelectedSubjectId(String(form?.subject?.lockToId || "").trim());
+    setSelectedSubjectId(
+      String(form?.subject?.lockToId || due?.subject?.id || "").trim(),
+    );
     setSelectedSubjectLabel(
       String(
-        form?.subject?.lockLabel || form?.subject?.lockToLabel || "",
+        form?.subject?.lockLabel ||
+          form?.subject?.lockToLabel ||
+          due?.subject?.label ||
+          "",
       ).trim(),
     );
     setInspectorName(userMeta?.name || "");
@@ -1645,6 +1686,9 @@ export default function InspectionsScreen() {
             note: String(item.note || "").trim(),
           },
         })),
+        ...(activeDue?._id
+          ? { scheduleInstanceId: String(activeDue._id) }
+          : {}),
         createdAt: submittedAt,
         updatedAt: submittedAt,
       };
@@ -1673,6 +1717,7 @@ export default function InspectionsScreen() {
         "Inspection captured on this device and queued for sync.",
       );
 
+      await markDueDoneLocally(activeDue?._id);
       resetRunState();
     } catch (e) {
       console.error("[INSPECTIONS] Failed to save inspection", e);
@@ -1714,6 +1759,49 @@ export default function InspectionsScreen() {
             </TouchableOpacity>
           </View>
 
+          {dueItems.length > 0 && (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Due inspections</Text>
+              <Text style={styles.cardSubtitle}>
+                Scheduled inspections outstanding for you.
+              </Text>
+              {dueItems.map((due) => {
+                const overdue =
+                  !!due?.dueAt && new Date(due.dueAt).getTime() < Date.now();
+                return (
+                  <TouchableOpacity
+                    key={String(due._id)}
+                    style={styles.formRow}
+                    onPress={() => startDueRun(due)}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.formName}>
+                        {due.formTitle || "Inspection"}
+                        {due?.subject?.label ? ` – ${due.subject.label}` : ""}
+                      </Text>
+                      <Text
+                        style={[
+                          styles.formDescription,
+                          overdue && styles.dueOverdueText,
+                        ]}
+                      >
+                        {overdue ? "Overdue since " : "Due by "}
+                        {due.dueAt
+                          ? new Date(due.dueAt).toLocaleString()
+                          : "-"}
+                        {due.scheduleName ? ` • ${due.scheduleName}` : ""}
+                      </Text>
+                    </View>
+                    <Image
+                      source={require("../assets/trip.png")}
+                      style={styles.formIcon}
+                    />
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
+
           <View style={styles.card}>
             <Text style={styles.cardTitle}>MOAT Inspections</Text>
             <Text style={styles.cardSubtitle}>
@@ -2468,6 +2556,10 @@ const styles = StyleSheet.create({
     color: "#777",
     marginTop: 2,
   },
+  dueOverdueText: {
+    color: "#e74c3c",
+    fontWeight: "600",
+  },
   formIcon: {
     width: 24,
     height: 24,
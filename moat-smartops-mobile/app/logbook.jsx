@@ -26,6 +26,12 @@ import {
 
 import { API_BASE_URL } from "../apiClient";
 import { syncOutbox } from "../syncOutbox";
+import {
+  clearTripTrack,
+  getTripTrack,
+  startTripTracking,
+  stopTripTracking,
+} from "../tripTracker";
 
 const THEME_COLOR = "#22a6b3";
 
@@ -655,6 +661,40 @@ async function fetchVehicleEntryTypesSafe({ baseUrl, token }) {
   return [];
 }
 
+// Licence / PrDP check for the signed-in driver. Null when offline or the
+// server can't say: offline trips are checked (and flagged) on sync instead.
+async function fetchDriverCheckSafe({ baseUrl, token, regNumber }) {
+  const reg = normReg(regNumber);
+  const root = String(baseUrl || API_BASE_URL || "").trim();
+  if (!reg || !root) return null;
+
+  const reachable = await canReachServer(root);
+  if (!reachable) return null;
+
+  try {
+    const url = joinUrl(
+      root,
+      `/api/mobile/vehicles/${encodeURIComponent(reg)}/driver-check`,
+    );
+    const res = await fetch(url, {
+      headers: { Authorization: token ? `Bearer ${token}` : "" },
+    });
+    if (!res.ok) return null;
+    return await res.json().catch(() => null);
+  } catch {
+    return null;
+  }
+}
+
+function confirmDriverWarnings(messages) {
+  return new Promise((resolve) => {
+    Alert.alert("Licence check", messages.join("\n"), [
+      { text: "Cancel", style: "cancel", onPress: () => resolve(false) },
+      { text: "Start anyway", onPress: () => resolve(true) },
+    ]);
+  });
+}
+
 async function fetchVehicleRemindersSafe({ baseUrl, token, regNumber }) {
   const reg = normReg(regNumber);
   if (!reg) return { reminders: [], nextReminder: null };
@@ -853,6 +893,7 @@ export default function VehicleLogScreen() {
 
   // Open trip (per vehicle, persisted)
   const [openTrip, setOpenTrip] = useState(null);
+  const [tripTrackPoints, setTripTrackPoints] = useState(0); // GPS breadcrumb of the open trip
 
   // Reminder panel
   const [vehicleReminders, setVehicleReminders] = useState([]);
@@ -910,6 +951,10 @@ export default function VehicleLogScreen() {
   const [purchaseProjectId, setPurchaseProjectId] = useState("");
   const [purchaseTaskId, setPurchaseTaskId] = useState("");
   const [purchaseCost, setPurchaseCost] = useState("");
+  // fuel fills only: litres / odometer / full tank feed consumption analytics
+  const [purchaseLitres, setPurchaseLitres] = useState("");
+  const [purchaseOdometer, setPurchaseOdometer] = useState("");
+  const [purchaseFullTank, setPurchaseFullTank] = useState(true);
   const [purchaseNotes, setPurchaseNotes] = useState("");
   const [purchaseSlipPhoto, setPurchaseSlipPhoto] = useState(null);
   const [purchaseTypePickerOpen, setPurchaseTypePickerOpen] = useState(false);
@@ -1056,7 +1101,17 @@ export default function VehicleLogScreen() {
       const k = openTripKeyForReg(reg);
       const raw = await AsyncStorage.getItem(k);
       const obj = raw ? safeJsonParse(raw) : null;
-      setOpenTrip(obj && typeof obj === "object" ? obj : null);
+      const open = obj && typeof obj === "object" ? obj : null;
+      setOpenTrip(open);
+
+      // Resume the route recording (foreground watcher does not survive an app restart)
+      if (open) {
+        await startTripTracking(reg).catch(() => null);
+        const track = await getTripTrack(reg);
+        setTripTrackPoints(track.coordinates.length);
+      } else {
+        setTripTrackPoints(0);
+      }
     })();
   }, [regNumber]);
 
@@ -1199,6 +1254,9 @@ export default function VehicleLogScreen() {
     entryTypes.find((t) => String(t.id) === String(logTypeId)) || null;
   const purchaseTypeObj =
     entryTypes.find((t) => String(t.id) === String(purchaseTypeId)) || null;
+  const purchaseIsFuel = /fuel|diesel|petrol/i.test(
+    `${purchaseTypeId} ${purchaseTypeObj?.label || ""}`,
+  );
 
   const reminderOptions = useMemo(() => {
     const sorted = sortRemindersByDue(normalizeReminderList(vehicleReminders));
@@ -1549,6 +1607,20 @@ export default function VehicleLogScreen() {
           return;
         }
 
+        const driverCheck = await fetchDriverCheckSafe({
+          baseUrl: apiBaseUrl,
+          token,
+          regNumber: reg,
+        });
+        const driverIssues = (driverCheck?.issues || []).map((i) => i.message);
+        if (driverCheck?.status === "block") {
+          Alert.alert("Trip not allowed", driverIssues.join("\n"));
+          return;
+        }
+        if (driverIssues.length && !(await confirmDriverWarnings(driverIssues))) {
+          return;
+        }
+
         const payload = {
           kind: "trip-start",
           orgId: asStringOrNull(orgId),
@@ -1587,11 +1659,24 @@ export default function VehicleLogScreen() {
         await persistOpenTrip(reg, open);
         setOpenTrip(open);
 
+        // Start the GPS breadcrumb for this trip
+        await clearTripTrack(reg);
+        setTripTrackPoints(0);
+        const trackMode = await startTripTracking(reg).catch((e) => {
+          console.log("[LOGBOOK] route tracking not started", e);
+          return "denied";
+        });
+
         let message = "Trip start saved on this device.";
         const syncResult = await tryAutoSyncLogbook(apiBaseUrl);
         if (syncResult.attempted && syncResult.synced > 0) {
           message = "Trip start saved and synced to server.";
         }
+        if (trackMode === "denied") {
+          message += "\nRoute is not recorded (location permission denied).";
+        } else if (trackMode === "foreground") {
+          message += "\nRoute is recorded only while the app is open.";
+        }
 
         Alert.alert("Trip started", message);
       } else {
@@ -1603,6 +1688,9 @@ export default function VehicleLogScreen() {
           return;
         }
 
+        // Route recorded while the trip was open (null when none)
+        const track = await stopTripTracking(reg).catch(() => null);
+
         const payload = {
           kind: "trip-end",
           orgId: asStringOrNull(orgId),
@@ -1624,6 +1712,7 @@ export default function VehicleLogScreen() {
 
           locationStart: openTrip.locationStart || null,
           locationEnd: location || null,
+          track,
 
           createdAt: ts,
           updatedAt: ts,
@@ -1634,6 +1723,8 @@ export default function VehicleLogScreen() {
 
         await persistOpenTrip(reg, null);
         setOpenTrip(null);
+        await clearTripTrack(reg);
+        setTripTrackPoints(0);
 
         let message = "Trip end saved on this device.";
         const syncResult = await tryAutoSyncLogbook(apiBaseUrl);
@@ -1716,6 +1807,13 @@ export default function VehicleLogScreen() {
         return;
       }
 
+      const litres = Number(String(purchaseLitres || "").replace(",", "."));
+      const fillOdometer = Number(String(purchaseOdometer || "").trim());
+      if (purchaseIsFuel && !(litres > 0)) {
+        Alert.alert("Missing litres", "Please enter the litres filled.");
+        return;
+      }
+
       const payload = {
         kind: "purchase",
         orgId: asStringOrNull(orgId),
@@ -1737,6 +1835,17 @@ export default function VehicleLogScreen() {
         cost: String(purchaseCost || ""),
         notes: String(purchaseNotes || ""),
 
+        ...(purchaseIsFuel
+          ? {
+              litres,
+              odometer:
+                purchaseOdometer.trim() && Number.isFinite(fillOdometer)
+                  ? fillOdometer
+                  : null,
+              fullTank: !!purchaseFullTank,
+            }
+          : {}),
+
         slipPhotoUri: purchaseSlipPhoto,
 
         location: location || null,
@@ -1763,6 +1872,9 @@ export default function VehicleLogScreen() {
       setPurchaseProjectId("");
       setPurchaseTaskId("");
       setPurchaseCost("");
+      setPurchaseLitres("");
+      setPurchaseOdometer("");
+      setPurchaseFullTank(true);
       setPurchaseNotes("");
       setPurchaseSlipPhoto(null);
     } catch (e) {
@@ -1882,6 +1994,9 @@ export default function VehicleLogScreen() {
     setPurchaseVendor("");
     setPurchaseTypeId("");
     setPurchaseCost("");
+    setPurchaseLitres("");
+    setPurchaseOdometer("");
+    setPurchaseFullTank(true);
     setPurchaseNotes("");
     setPurchaseSlipPhoto(null);
 
@@ -2051,7 +2166,8 @@ export default function VehicleLogScreen() {
               {openTrip.startedAt?.slice?.(0, 16)?.replace?.("T", " ") || "-"} •{" "}
               {USAGE_TYPES.find((u) => u.key === openTrip.usage)?.label ||
                 openTrip.usage ||
-                "-"}
+                "-"}{" "}
+              • GPS route: {tripTrackPoints} point(s)
             </Text>
           ) : null}
 
@@ -2468,6 +2584,38 @@ export default function VehicleLogScreen() {
               editable={!isSavingPurchase}
             />
 
+            {purchaseIsFuel ? (
+              <>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Litres"
+                  placeholderTextColor="#aaa"
+                  value={purchaseLitres}
+                  onChangeText={setPurchaseLitres}
+                  keyboardType="decimal-pad"
+                  editable={!isSavingPurchase}
+                />
+                <TextInput
+                  style={styles.input}
+                  placeholder="Odometer at fill (km)"
+                  placeholderTextColor="#aaa"
+                  value={purchaseOdometer}
+                  onChangeText={setPurchaseOdometer}
+                  keyboardType="numeric"
+                  editable={!isSavingPurchase}
+                />
+                <TouchableOpacity
+                  style={[styles.secondaryButton, { marginBottom: 8 }]}
+                  onPress={() => setPurchaseFullTank((v) => !v)}
+                  disabled={isSavingPurchase}
+                >
+                  <Text style={styles.secondaryButtonText}>
+                    {purchaseFullTank ? "☑ Filled to full tank" : "☐ Partial fill"}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            ) : null}
+
             <TextInput
               style={[styles.input, styles.textArea]}
               placeholder="Notes"
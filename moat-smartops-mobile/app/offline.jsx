@@ -10,6 +10,14 @@ import {
   View,
 } from "react-native";
 import { loadCachedLists, refreshListsFromServer } from "../refreshLists";
+import { syncTaskFenceMonitoring } from "../taskFences";
+import {
+  downloadTilePack,
+  listLocalTilePacks,
+  listServerTilePacks,
+  purgeExpiredTilePacks,
+  removeLocalTilePack,
+} from "../tilePacks";
 
 const THEME_COLOR = "#22a6b3";
 
@@ -29,6 +37,14 @@ function countDefinitions(definitions) {
   return Object.keys(definitions).length;
 }
 
+function fmtMb(bytes) {
+  return `${((Number(bytes) || 0) / 1048576).toFixed(1)} MB`;
+}
+
+function fmtDay(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "—";
+}
+
 export default function OfflineScreen() {
   const router = useRouter();
   const [loading, setLoading] = useState(false);
@@ -75,15 +91,80 @@ export default function OfflineScreen() {
     }
   }
 
+  // Offline map tile packs
+  const [serverPacks, setServerPacks] = useState([]);
+  const [localPacks, setLocalPacks] = useState([]);
+  const [mapsError, setMapsError] = useState("");
+  const [downloading, setDownloading] = useState(null); // { packId, done, total }
+
+  async function loadLocalPacks() {
+    try {
+      await purgeExpiredTilePacks();
+      setLocalPacks(await listLocalTilePacks());
+    } catch (e) {
+      console.log("[offline] local tile packs failed", e);
+    }
+  }
+
+  async function loadServerPacks() {
+    setMapsError("");
+    try {
+      const { packs } = await listServerTilePacks();
+      setServerPacks(packs.filter((p) => p.status === "ready" && !p.expired));
+    } catch (e) {
+      setMapsError(e?.message || "Could not load map packs (offline?)");
+    }
+  }
+
   useEffect(() => {
     loadCounts();
+    loadLocalPacks();
+    loadServerPacks();
   }, []);
 
+  const downloadPack = async (pack) => {
+    setDownloading({ packId: pack._id, done: 0, total: pack.tileCount || 0 });
+    try {
+      const res = await downloadTilePack(pack, {
+        onProgress: (p) => setDownloading({ packId: pack._id, ...p }),
+      });
+      await loadLocalPacks();
+      Alert.alert(
+        res.failed ? "Map pack partly downloaded" : "Map pack saved",
+        res.failed
+          ? `${res.failed} tiles failed. Download again to fetch the rest.`
+          : `${pack.name}: ${res.tiles} tiles, ${fmtMb(res.bytes)}. Available offline until ${fmtDay(res.expiresAt)}.`,
+      );
+    } catch (e) {
+      Alert.alert("Could not download map pack", e?.message || "Unknown error");
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const removePack = (pack) => {
+    Alert.alert("Remove map pack", `Remove "${pack.name}" from this device?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          await removeLocalTilePack(pack._id);
+          await loadLocalPacks();
+        },
+      },
+    ]);
+  };
+
+  const localById = new Map(localPacks.map((p) => [String(p._id), p]));
+  const localBytes = localPacks.reduce((a, p) => a + (Number(p.bytes) || 0), 0);
+
   const refreshLists = async () => {
     setLoading(true);
     try {
       const res = await refreshListsFromServer();
       await loadCounts();
+      const fences = await syncTaskFenceMonitoring().catch(() => null);
 
       Alert.alert(
         "Success",
@@ -95,7 +176,13 @@ Vehicles: ${res.vehiclesCount}
 Vendors: ${res.vendorsCount}
 Documents: ${res.documentsCount}
 Offline document files saved: ${res.mobileLibrarySavedOfflineCount}
-Offline document files failed: ${res.mobileLibraryFailedOfflineCount}`,
+Offline document files failed: ${res.mobileLibraryFailedOfflineCount}${
+          fences?.status === "monitoring"
+            ? `\nFence auto-start: ${fences.tasks} task(s)`
+            : fences?.status === "denied"
+              ? "\nFence auto-start: background location not allowed"
+              : ""
+        }`,
       );
     } catch (e) {
       Alert.alert("Could not refresh", e?.message || "Unknown error");
@@ -162,6 +249,85 @@ Offline document files failed: ${res.mobileLibraryFailedOfflineCount}`,
           cached offline lists.
         </Text>
       </View>
+
+      <View style={[styles.card, styles.cardSpaced]}>
+        <Text style={styles.cardTitle}>Offline maps</Text>
+        <Text style={styles.hint}>
+          On this device: {localPacks.length} pack
+          {localPacks.length === 1 ? "" : "s"}, {fmtMb(localBytes)}
+        </Text>
+        {!!mapsError && <Text style={styles.errorText}>{mapsError}</Text>}
+
+        {serverPacks.map((p) => {
+          const local = localById.get(String(p._id));
+          const current =
+            local && local.complete && local.version === p.metadata?.version;
+          const busy = downloading?.packId === p._id;
+          return (
+            <View key={p._id} style={styles.packRow}>
+              <View style={styles.packInfo}>
+                <Text style={styles.rowLabel}>{p.name}</Text>
+                <Text style={styles.packMeta}>
+                  {p.projectName ? `${p.projectName} · ` : ""}
+                  {fmtMb(p.bytes)} · expires {fmtDay(p.expiresAt)}
+                  {current ? " · on device" : local ? " · update available" : ""}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[
+                  styles.smallButton,
+                  (busy || !!downloading) && styles.btnDisabled,
+                ]}
+                disabled={!!downloading}
+                onPress={() => downloadPack(p)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {busy
+                    ? `${downloading.done}/${downloading.total}`
+                    : current
+                      ? "Re-check"
+                      : "Download"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+        {!serverPacks.length && !mapsError && (
+          <Text style={styles.hint}>
+            No map packs available. An admin builds them on the project page.
+          </Text>
+        )}
+
+        {localPacks
+          .filter((p) => !serverPacks.some((s) => String(s._id) === String(p._id)))
+          .map((p) => (
+            <View key={p._id} style={styles.packRow}>
+              <View style={styles.packInfo}>
+                <Text style={styles.rowLabel}>{p.name}</Text>
+                <Text style={styles.packMeta}>
+                  {fmtMb(p.bytes)} · expires {fmtDay(p.expiresAt)}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.smallButton}
+                onPress={() => removePack(p)}
+              >
+                <Text style={styles.smallButtonText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        {localPacks
+          .filter((p) => serverPacks.some((s) => String(s._id) === String(p._id)))
+          .map((p) => (
+            <TouchableOpacity
+              key={`rm-${p._id}`}
+              onPress={() => removePack(p)}
+              style={styles.linkRow}
+            >
+              <Text style={styles.linkText}>Remove “{p.name}” from device</Text>
+            </TouchableOpacity>
+          ))}
+      </View>
     </ScrollView>
   );
 }
@@ -252,4 +418,46 @@ const styles = StyleSheet.create({
     fontSize: 11,
     color: "#777",
   },
+  cardSpaced: {
+    marginTop: 12,
+  },
+  errorText: {
+    marginTop: 8,
+    fontSize: 12,
+    color: "#c0392b",
+  },
+  packRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+  },
+  packInfo: {
+    flex: 1,
+    paddingRight: 8,
+  },
+  packMeta: {
+    fontSize: 11,
+    color: "#666",
+    marginTop: 2,
+  },
+  smallButton: {
+    backgroundColor: THEME_COLOR,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  smallButtonText: {
+    color: "#fff",
+    fontSize: 12,
+    fontWeight: "700",
+  },
+  linkRow: {
+    paddingVertical: 6,
+  },
+  linkText: {
+    fontSize: 12,
+    color: THEME_COLOR,
+  },
 });
@@ -4,8 +4,8 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as ImagePicker from "expo-image-picker";
 import * as Location from "expo-location";
-import { useRouter } from "expo-router";
-import { useEffect, useRef, useState } from "react";
+import { useFocusEffect, useRouter } from "expo-router";
+import { useCallback, useEffect, useRef, useState } from "react";
 import {
   Alert,
   FlatList,
@@ -18,10 +18,16 @@ import {
   TouchableOpacity,
   View,
 } from "react-native";
-import MapView, { Marker, Polygon, Polyline } from "react-native-maps";
+import MapView, {
+  LocalTile,
+  Marker,
+  Polygon,
+  Polyline,
+} from "react-native-maps";
 
 import { API_BASE_URL, ORG_KEY, TOKEN_KEY } from "../apiClient";
 import { syncOutbox } from "../syncOutbox";
+import { findLocalTilePackAt, localTileTemplate } from "../tilePacks";
 
 import {
   saveActivityLog,
@@ -37,6 +43,7 @@ const CACHE_PROJECTS_KEY = "@moat:cache:projects";
 const CACHE_TASKS_KEY = "@moat:cache:tasks";
 const CACHE_MILESTONES_KEY = "@moat:cache:milestonesByTask";
 const USER_ID_KEYS = ["@moat:userId", "@moat:userid", "moat:userid"];
+const LAST_SCAN_KEY = "@moat:lastScan";
 
 /* ---------------------------------------------
    HELPERS
@@ -104,6 +111,20 @@ function localIsoWithOffset(d = new Date()) {
   };
 }
 
+// statuses the server treats as starting / resuming a task (QR-checked)
+function isStartStatus(s) {
+  const v = String(s || "").trim().toLowerCase();
+  return [
+    "started",
+    "start",
+    "in progress",
+    "in-progress",
+    "inprogress",
+    "resume",
+    "resumed",
+  ].includes(v);
+}
+
 function pickId(x) {
   return String(x?._id || x?.id || x?.taskId || x?.projectId || "");
 }
@@ -447,6 +468,7 @@ export default function ProductionScreen() {
   const [taskNote, setTaskNote] = useState("");
   const [taskMilestoneId, setTaskMilestoneId] = useState("");
   const [milestoneStatus, setMilestoneStatus] = useState("");
+  const [taskQrToken, setTaskQrToken] = useState(""); // label scanned to start / resume
 
   // Activity log state (kept as before)
   const [activityTaskId, setActivityTaskId] = useState("");
@@ -466,6 +488,7 @@ export default function ProductionScreen() {
   // Fence map modal state
   const [fenceModalVisible, setFenceModalVisible] = useState(false);
   const [mapRegion, setMapRegion] = useState(null);
+  const [offlineTilePack, setOfflineTilePack] = useState(null); // downloaded base map covering mapRegion
 
   // Auto capture state for fence
   const [autoCapturing, setAutoCapturing] = useState(false);
@@ -809,6 +832,32 @@ export default function ProductionScreen() {
     }
   };
 
+  // When returning from /scan with a task label, hold it for the next save
+  useFocusEffect(
+    useCallback(() => {
+      let mounted = true;
+
+      (async () => {
+        try {
+          const raw = await AsyncStorage.getItem(LAST_SCAN_KEY);
+          if (!raw) return;
+
+          const scan = JSON.parse(raw);
+          if (scan?.field !== "taskQr") return;
+          await AsyncStorage.removeItem(LAST_SCAN_KEY);
+
+          if (mounted && scan?.value) setTaskQrToken(String(scan.value));
+        } catch (e) {
+          console.log("[PRODUCTION] Failed to apply scan result", e);
+        }
+      })();
+
+      return () => {
+        mounted = false;
+      };
+    }, []),
+  );
+
   /* -------------------- SAVE: TASK MANAGEMENT -------------------- */
   const handleSaveTaskManagement = async () => {
     try {
@@ -827,6 +876,31 @@ export default function ProductionScreen() {
         return;
       }
 
+      // the server rejects a start / resume on a QR-enforced task without a label
+      if (
+        selectedTask?.enforceQRScan &&
+        isStartStatus(taskStatus) &&
+        !taskQrToken
+      ) {
+        Alert.alert(
+          "QR required",
+          "Scan the task or site label before starting this task.",
+          [
+            { text: "Cancel", style: "cancel" },
+            {
+              text: "Scan",
+              onPress: () =>
+                router.push({
+                  pathname: "/scan",
+                  // no returnTo: /scan goes back, keeping this form as filled in
+                  params: { field: "taskQr", label: "Scan task QR" },
+                }),
+            },
+          ],
+        );
+        return;
+      }
+
       const nowIso = nowUtcIso();
       const { localIso: nowLocalIso, tzOffsetMinutes } = localIsoWithOffset(
         new Date(),
@@ -849,6 +923,9 @@ export default function ProductionScreen() {
         // task status
         status: taskStatus || null,
         note: taskNote || "",
+        ...(taskQrToken && isStartStatus(taskStatus)
+          ? { qrToken: taskQrToken }
+          : {}),
 
         ...(loc ? loc : {}),
 
@@ -871,6 +948,7 @@ export default function ProductionScreen() {
       setTaskNote("");
       setTaskMilestoneId("");
       setMilestoneStatus("");
+      setTaskQrToken("");
 
       try {
         await syncOutbox({ limit: 10 });
@@ -1110,6 +1188,21 @@ export default function ProductionScreen() {
     setFenceModalVisible(false);
   };
 
+  // Base map without signal: use a downloaded tile pack that covers this spot
+  useEffect(() => {
+    let alive = true;
+    if (!mapRegion) {
+      setOfflineTilePack(null);
+      return undefined;
+    }
+    findLocalTilePackAt(mapRegion.latitude, mapRegion.longitude)
+      .then((p) => alive && setOfflineTilePack(p))
+      .catch(() => alive && setOfflineTilePack(null));
+    return () => {
+      alive = false;
+    };
+  }, [mapRegion]);
+
   const handleCloseFenceModal = () => {
     stopAutoCapture();
     setFenceModalVisible(false);
@@ -1440,7 +1533,11 @@ export default function ProductionScreen() {
 
             <SelectField
               label="Task status"
-              valueText={taskStatus}
+              valueText={
+                taskStatus && taskQrToken && isStartStatus(taskStatus)
+                  ? `${taskStatus} (QR scanned)`
+                  : taskStatus
+              }
               onPress={() => {
                 if (!taskId) {
                   Alert.alert(
@@ -1794,6 +1891,15 @@ export default function ProductionScreen() {
               showsMyLocationButton={true}
               toolbarEnabled={false}
             >
+              {/* Offline base map (tile pack downloaded on the Offline screen) */}
+              {offlineTilePack && (
+                <LocalTile
+                  pathTemplate={localTileTemplate(offlineTilePack)}
+                  tileSize={256}
+                  zIndex={-1}
+                />
+              )}
+
               {/* Existing task/work-area fence */}
               <Polygon
                 coordinates={DUMMY_TASK_FENCE}
@@ -1835,6 +1941,15 @@ export default function ProductionScreen() {
             </View>
           )}
 
+          {offlineTilePack && (
+            <Text style={styles.offlineMapNote}>
+              Offline map: {offlineTilePack.name}
+              {offlineTilePack.attribution
+                ? ` · ${offlineTilePack.attribution}`
+                : ""}
+            </Text>
+          )}
+
           <View style={styles.fenceControls}>
             <TouchableOpacity
               style={[
@@ -2068,4 +2183,11 @@ const styles = StyleSheet.create({
   fenceControls: { flexDirection: "row", padding: 12, backgroundColor: "#fff" },
   fenceControlButton: { flex: 1, marginHorizontal: 4 },
   fenceLoading: { flex: 1, alignItems: "center", justifyContent: "center" },
+  offlineMapNote: {
+    fontSize: 11,
+    color: "#555",
+    paddingHorizontal: 12,
+    paddingTop: 6,
+    backgroundColor: "#fff",
+  },
 });
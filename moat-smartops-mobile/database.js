@@ -973,6 +973,23 @@ export async function saveAssetLog(log) {
   return rowId;
 }
 
+// Check-out / check-in of an asset (payload.action), usually after a scan
+export async function saveAssetCustody(event) {
+  const fileUris = event?.photoUri ? [event.photoUri] : [];
+
+  const rowId = await insertOfflineEvent({
+    eventType: "asset-custody",
+    orgId: event?.orgId,
+    userId: event?.userId,
+    entityRef: event?.assetCode || null,
+    payload: event,
+    fileUris,
+  });
+
+  console.log("[DB] asset-custody saved locally with rowId:", rowId);
+  return rowId;
+}
+
 /* ------------------------------------------------------------------ */
 /*  CLOCKING MODULE SAVES                                              */
 /* ------------------------------------------------------------------ */
@@ -1017,6 +1034,17 @@ export async function saveClockBatch(batch, people) {
             },
           }
         : {}),
+      // Shared gate device (biometric kiosk): which device and supervisor captured it
+      ...(safeBatch.kiosk && typeof safeBatch.kiosk === "object"
+        ? {
+            kiosk: {
+              deviceId: safeBatch.kiosk.deviceId ?? null,
+              deviceName: safeBatch.kiosk.deviceName ?? "",
+              operatorUserId: safeBatch.kiosk.operatorUserId ?? null,
+              operatorName: safeBatch.kiosk.operatorName ?? "",
+            },
+          }
+        : {}),
     },
     people: safePeople.map((p) => ({
       userId: p?.userId ?? null,
@@ -1025,6 +1053,15 @@ export async function saveClockBatch(batch, people) {
       status: p?.status ?? "present",
       note: p?.note ?? "",
       manualPhotoUri: p?.manualPhotoUri ?? null,
+      ...(Number.isFinite(Number(p?.confidence)) && p?.confidence !== null
+        ? {
+            confidence: Number(p.confidence),
+            margin: Number.isFinite(Number(p?.margin)) && p?.margin !== null
+              ? Number(p.margin)
+              : null,
+            templateVersion: p?.templateVersion ?? null,
+          }
+        : {}),
     })),
   };
 
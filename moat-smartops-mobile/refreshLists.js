@@ -17,6 +17,7 @@ export const CACHE_ASSETS = "@moat:cache:assets";
 export const CACHE_DOCUMENTS = "@moat:cache:documents";
 export const CACHE_GROUPS = "@moat:cache:groups";
 export const CACHE_INSPECTIONS = "@moat:cache:inspections";
+export const CACHE_INSPECTIONS_DUE = "@moat:cache:inspectionsDue";
 export const CACHE_VENDORS = "@moat:cache:vehicleVendors";
 export const CACHE_DEFINITIONS = "@moat:cache:definitions";
 export const CACHE_LAST_REFRESH = "@moat:cache:lastRefresh";
@@ -231,6 +232,9 @@ export async function refreshListsFromServer() {
       : Array.isArray(data?.inspections)
         ? data.inspections.length
         : "n/a",
+    inspectionsDue: Array.isArray(data?.inspectionsDue)
+      ? data.inspectionsDue.length
+      : "n/a",
     vendors: Array.isArray(data?.vendors) ? data.vendors.length : "n/a",
     definitions: data?.definitions ? Object.keys(data.definitions) : [],
   });
@@ -244,6 +248,7 @@ export async function refreshListsFromServer() {
   const assets = safeArray(data?.assets);
   const groups = safeArray(data?.groups);
   const inspections = safeArray(data?.inspectionForms || data?.inspections);
+  const inspectionsDue = safeArray(data?.inspectionsDue);
   const vendors = safeArray(data?.vendors);
   const definitions = safeObject(data?.definitions);
 
@@ -266,6 +271,7 @@ export async function refreshListsFromServer() {
     [CACHE_DOCUMENTS, JSON.stringify(mobileLibraryDocumentCache)],
     [CACHE_GROUPS, JSON.stringify(groups)],
     [CACHE_INSPECTIONS, JSON.stringify(inspections)],
+    [CACHE_INSPECTIONS_DUE, JSON.stringify(inspectionsDue)],
     [CACHE_VENDORS, JSON.stringify(vendors)],
     [CACHE_DEFINITIONS, JSON.stringify(definitions)],
     [CACHE_LAST_REFRESH, new Date().toISOString()],
@@ -290,6 +296,7 @@ export async function refreshListsFromServer() {
     documentsCount: mobileLibraryDocumentCache.length,
     groupsCount: groups.length,
     inspectionsCount: inspections.length,
+    inspectionsDueCount: inspectionsDue.length,
     vendorsCount: vendors.length,
     vehicleEntryTypesCount: Array.isArray(definitions?.vehicleEntryTypes)
       ? definitions.vehicleEntryTypes.length
@@ -316,6 +323,7 @@ export async function loadCachedLists() {
     CACHE_DOCUMENTS,
     CACHE_GROUPS,
     CACHE_INSPECTIONS,
+    CACHE_INSPECTIONS_DUE,
     CACHE_VENDORS,
     CACHE_DEFINITIONS,
     CACHE_LAST_REFRESH,
@@ -342,6 +350,7 @@ export async function loadCachedLists() {
     documents: parse(map[CACHE_DOCUMENTS], []),
     groups: parse(map[CACHE_GROUPS], []),
     inspections: parse(map[CACHE_INSPECTIONS], []),
+    inspectionsDue: parse(map[CACHE_INSPECTIONS_DUE], []),
     vendors: parse(map[CACHE_VENDORS], []),
     definitions: parse(map[CACHE_DEFINITIONS], {}),
     lastRefresh: map[CACHE_LAST_REFRESH] || null,
@@ -0,0 +1,349 @@
+// moat-smartops-mobile/taskFences.js
+// Background geofence triggers for tasks flagged triggerOnEnterFence.
+// ✅ Monitors the fences of the signed-in user's open, assigned tasks that carry the flag
+//    (locationGeoFence circle, geoJSON polygons, legacy geoPolygon) from the cached lists
+// ✅ Uses OS geofencing (no continuous GPS): every fence is registered as a circle region
+//    (polygons by their enclosing circle, never below MIN_REGION_RADIUS_M); an entry is
+//    confirmed against the real shape with a position fix when one is accurate enough
+// ✅ Entry queues a task-update { trigger: "fence", fence: "enter" } in the offline outbox,
+//    leaving the last fence of a task queues fence: "exit". The server logs both in
+//    actualDurationLog (action "fence" + coordinates) and decides whether the task
+//    starts/resumes or pauses (pauseOnExitFence, QR, dependencies, current status)
+// ✅ iOS monitors at most 20 regions: the ones nearest the last known position win
+//
+// This module must be imported at app start (app/_layout.tsx) so the task is defined
+// before the OS delivers geofence events.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Location from "expo-location";
+import * as TaskManager from "expo-task-manager";
+import { ORG_KEY, getStoredUserId } from "./apiClient";
+import { saveTaskUpdate } from "./database";
+import { CACHE_TASKS } from "./refreshLists";
+import { syncOutbox } from "./syncOutbox";
+
+export const TASK_FENCE_TASK = "moat-task-fences";
+
+const REGIONS_KEY = "@moat:taskFences:regions"; // identifier -> { taskId, projectId, title, shape }
+const INSIDE_KEY = "@moat:taskFences:inside"; // taskId -> [identifiers currently inside]
+
+const MAX_REGIONS = 20;
+const MIN_REGION_RADIUS_M = 100;
+const MAX_FIX_ACCURACY_M = 100;
+const FIX_MAX_AGE_MS = 60 * 1000;
+
+let eventChain = Promise.resolve();
+
+/* ------------------------------ geometry ------------------------------ */
+
+function distanceMeters(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// ring: [[lng, lat], ...]
+function pointInRing(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > p.lat !== yj > p.lat && p.lng < ((xj - xi) * (p.lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function insideShape(point, shape, slackM = 0) {
+  if (shape.type === "circle") {
+    return distanceMeters(shape.center, point) <= shape.radius + slackM;
+  }
+  if (pointInRing(point, shape.ring)) return true;
+  // near the edge within the fix accuracy still counts
+  return shape.ring.some(([lng, lat]) => distanceMeters({ lat, lng }, point) <= slackM);
+}
+
+function enclosingCircle(ring) {
+  const pts = ring.map(([lng, lat]) => ({ lat, lng }));
+  const center = {
+    lat: pts.reduce((a, p) => a + p.lat, 0) / pts.length,
+    lng: pts.reduce((a, p) => a + p.lng, 0) / pts.length,
+  };
+  const radius = Math.max(...pts.map((p) => distanceMeters(center, p)));
+  return { center, radius };
+}
+
+/* ------------------------------ tasks -> regions ------------------------------ */
+
+const idOf = (v) => String(v?._id || v?.id || v || "").trim();
+
+function assignedTo(task, userId) {
+  if (!userId) return false;
+  const singles = [task?.assignee, task?.assigneeId, task?.assignedToId, task?.userId, task?.ownerId];
+  if (singles.some((v) => idOf(v) === userId)) return true;
+  return [task?.assignedTo, task?.assignedUserIds].some(
+    (arr) => Array.isArray(arr) && arr.some((v) => idOf(v) === userId),
+  );
+}
+
+function isOpen(task) {
+  const s = String(task?.status || "").toLowerCase();
+  return !["completed", "complete", "finished", "done"].includes(s);
+}
+
+function fenceShapes(task) {
+  const shapes = [];
+  const c = task?.locationGeoFence;
+  if (c && Number.isFinite(Number(c.lat)) && Number.isFinite(Number(c.lng))) {
+    shapes.push({
+      type: "circle",
+      center: { lat: Number(c.lat), lng: Number(c.lng) },
+      radius: Number(c.radius) || 50,
+    });
+  }
+
+  const gj = task?.geoJSON;
+  const polys =
+    gj?.type === "Polygon" ? [gj.coordinates] : gj?.type === "MultiPolygon" ? gj.coordinates : [];
+  for (const poly of polys || []) {
+    const ring = (Array.isArray(poly?.[0]) ? poly[0] : [])
+      .map(([lng, lat]) => [Number(lng), Number(lat)])
+      .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+    if (ring.length >= 3) shapes.push({ type: "polygon", ring });
+  }
+
+  if (!polys?.length && Array.isArray(task?.geoPolygon) && task.geoPolygon.length >= 3) {
+    const ring = task.geoPolygon
+      .map((p) => [Number(p.lng), Number(p.lat)])
+      .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+    if (ring.length >= 3) shapes.push({ type: "polygon", ring });
+  }
+  return shapes;
+}
+
+function buildRegions(tasks, userId) {
+  const regions = [];
+  for (const task of tasks) {
+    if (!task?.triggerOnEnterFence || !isOpen(task) || !assignedTo(task, userId)) continue;
+    const taskId = idOf(task);
+    fenceShapes(task).forEach((shape, i) => {
+      const { center, radius } =
+        shape.type === "circle" ? shape : enclosingCircle(shape.ring);
+      regions.push({
+        identifier: `${taskId}:${i}`,
+        latitude: center.lat,
+        longitude: center.lng,
+        radius: Math.max(MIN_REGION_RADIUS_M, Math.ceil(radius)),
+        meta: {
+          taskId,
+          projectId: idOf(task.projectId) || null,
+          title: task.title || "",
+          shape,
+        },
+      });
+    });
+  }
+  return regions;
+}
+
+async function readJson(key, fallback) {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/* ------------------------------ events ------------------------------ */
+
+async function currentFix() {
+  try {
+    const last = await Location.getLastKnownPositionAsync({
+      maxAge: FIX_MAX_AGE_MS,
+      requiredAccuracy: MAX_FIX_ACCURACY_M,
+    });
+    const pos =
+      last ||
+      (await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.Balanced,
+      }));
+    const c = pos?.coords;
+    if (!c || !Number.isFinite(c.latitude) || !Number.isFinite(c.longitude)) return null;
+    return {
+      lat: c.latitude,
+      lng: c.longitude,
+      accuracy: Number.isFinite(c.accuracy) ? c.accuracy : null,
+      capturedAt: new Date(pos.timestamp || Date.now()).toISOString(),
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function queueFenceEvent(meta, fence, fix, region) {
+  const orgId = await AsyncStorage.getItem(ORG_KEY);
+  const userId = await getStoredUserId();
+  if (!orgId) return;
+
+  // without a fix, the region centre still says which fence was crossed
+  const where = fix || {
+    lat: region?.latitude ?? null,
+    lng: region?.longitude ?? null,
+    accuracy: region?.radius ?? null,
+    capturedAt: null,
+  };
+  const nowIso = new Date().toISOString();
+
+  await saveTaskUpdate({
+    orgId,
+    userId,
+    projectId: meta.projectId,
+    taskId: meta.taskId,
+    trigger: "fence",
+    fence,
+    // shown in history; the server decides the real status change
+    status: fence === "enter" ? "in-progress" : "paused",
+    note: `${fence === "enter" ? "Entered" : "Left"} task fence${meta.title ? `: ${meta.title}` : ""}`,
+    ...where,
+    syncStatus: "pending",
+    createdAt: nowIso,
+    updatedAt: nowIso,
+    tzOffsetMinutes: -new Date().getTimezoneOffset(),
+  });
+}
+
+/** Handle one OS geofence event (serialised so the inside-state stays consistent) */
+function handleRegionEvent(eventType, region) {
+  eventChain = eventChain
+    .then(async () => {
+      const regions = await readJson(REGIONS_KEY, {});
+      const meta = regions[region?.identifier];
+      if (!meta) return;
+
+      const inside = await readJson(INSIDE_KEY, {});
+      const current = new Set(inside[meta.taskId] || []);
+      const wasInside = current.size > 0;
+      const entering = eventType === Location.GeofencingEventType.Enter;
+
+      let fix = null;
+      if (entering) {
+        fix = await currentFix();
+        const trusted = fix && fix.accuracy != null && fix.accuracy <= MAX_FIX_ACCURACY_M;
+        if (trusted && !insideShape(fix, meta.shape, fix.accuracy)) return;
+        current.add(region.identifier);
+      } else {
+        if (!current.delete(region.identifier)) return;
+      }
+
+      inside[meta.taskId] = [...current];
+      if (!current.size) delete inside[meta.taskId];
+      await AsyncStorage.setItem(INSIDE_KEY, JSON.stringify(inside));
+
+      // only the first fence entered / last fence left of a task counts
+      if (entering && !wasInside) await queueFenceEvent(meta, "enter", fix, region);
+      if (!entering && !current.size) await queueFenceEvent(meta, "exit", await currentFix(), region);
+
+      try {
+        await syncOutbox({ limit: 5 });
+      } catch {}
+    })
+    .catch((e) => console.log("[TASK-FENCE] event failed", e));
+  return eventChain;
+}
+
+TaskManager.defineTask(TASK_FENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.log("[TASK-FENCE] task error", error);
+    return;
+  }
+  await handleRegionEvent(data?.eventType, data?.region);
+});
+
+/* ------------------------------ start / stop ------------------------------ */
+
+export async function stopTaskFenceMonitoring() {
+  try {
+    if (await Location.hasStartedGeofencingAsync(TASK_FENCE_TASK)) {
+      await Location.stopGeofencingAsync(TASK_FENCE_TASK);
+    }
+  } catch {}
+  await AsyncStorage.multiRemove([REGIONS_KEY, INSIDE_KEY]);
+}
+
+/**
+ * (Re)register fences from the cached task list. Call after the lists refresh.
+ * Returns { status: "monitoring" | "none" | "denied", tasks, regions }.
+ */
+export async function syncTaskFenceMonitoring() {
+  const tasks = await readJson(CACHE_TASKS, []);
+  const userId = await getStoredUserId();
+  let regions = buildRegions(Array.isArray(tasks) ? tasks : [], userId ? String(userId) : "");
+
+  if (!regions.length) {
+    await stopTaskFenceMonitoring();
+    return { status: "none", tasks: 0, regions: 0 };
+  }
+
+  // background permission is asked once; a refusal is not re-prompted here
+  const fg = await Location.getForegroundPermissionsAsync();
+  const fgOk =
+    fg.status === "granted" ||
+    (fg.canAskAgain && (await Location.requestForegroundPermissionsAsync()).status === "granted");
+  let bgOk = false;
+  if (fgOk) {
+    const bg = await Location.getBackgroundPermissionsAsync();
+    bgOk =
+      bg.status === "granted" ||
+      (bg.status === "undetermined" &&
+        (await Location.requestBackgroundPermissionsAsync()).status === "granted");
+  }
+  if (!bgOk) {
+    await stopTaskFenceMonitoring();
+    return { status: "denied", tasks: 0, regions: 0 };
+  }
+
+  if (regions.length > MAX_REGIONS) {
+    const here = await currentFix();
+    if (here) {
+      const d = (r) => distanceMeters(here, { lat: r.latitude, lng: r.longitude }) - r.radius;
+      regions = [...regions].sort((a, b) => d(a) - d(b));
+    }
+    regions = regions.slice(0, MAX_REGIONS);
+  }
+
+  const metaById = Object.fromEntries(regions.map((r) => [r.identifier, r.meta]));
+  await AsyncStorage.setItem(REGIONS_KEY, JSON.stringify(metaById));
+
+  // forget inside-state for fences no longer monitored
+  const inside = await readJson(INSIDE_KEY, {});
+  for (const [taskId, ids] of Object.entries(inside)) {
+    const kept = (ids || []).filter((id) => metaById[id]);
+    if (kept.length) inside[taskId] = kept;
+    else delete inside[taskId];
+  }
+  await AsyncStorage.setItem(INSIDE_KEY, JSON.stringify(inside));
+
+  await Location.startGeofencingAsync(
+    TASK_FENCE_TASK,
+    regions.map((r) => ({
+      identifier: r.identifier,
+      latitude: r.latitude,
+      longitude: r.longitude,
+      radius: r.radius,
+      notifyOnEnter: true,
+      notifyOnExit: true,
+    })),
+  );
+
+  return {
+    status: "monitoring",
+    tasks: new Set(regions.map((r) => r.meta.taskId)).size,
+    regions: regions.length,
+  };
+}
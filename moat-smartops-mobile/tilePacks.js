@@ -0,0 +1,208 @@
+// moat-smartops-mobile/tilePacks.js
+// Offline base-map tile packs (built on the server per project, see /tile-packs).
+// ✅ Download: manifest first, then every tile into documentDirectory/tilepacks/<packId>/z/x/y.<ext>
+//    (tiles already on the device are skipped, so a dropped download resumes)
+// ✅ Checks free space against the pack size before starting
+// ✅ Local index in AsyncStorage with size + expiry; expired packs are deleted from the device
+// ✅ Maps draw a pack with <LocalTile pathTemplate={localTileTemplate(pack)} /> when the
+//    position is inside its extent (findLocalTilePackAt)
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system/legacy";
+
+import { apiGet, buildApiUrl, getAuthHeaders } from "./apiClient";
+
+const INDEX_KEY = "@moat:tilePacks"; // { [packId]: local pack record }
+const ROOT_DIR = `${FileSystem.documentDirectory}tilepacks/`;
+const PARALLEL = 4;
+const FREE_SPACE_MARGIN = 1.2;
+
+const packDir = (packId) => `${ROOT_DIR}${packId}/`;
+
+async function readIndex() {
+  try {
+    const raw = await AsyncStorage.getItem(INDEX_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeIndex(index) {
+  await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+}
+
+function isExpired(pack, now = Date.now()) {
+  return !!pack?.expiresAt && new Date(pack.expiresAt).getTime() <= now;
+}
+
+async function ensureDir(uri) {
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(uri, { intermediates: true });
+}
+
+/* ------------------------------- server ------------------------------- */
+
+// -> { packs, usage } for the current org (optionally one project)
+export async function listServerTilePacks(projectId) {
+  const q = projectId ? `?projectId=${encodeURIComponent(projectId)}` : "";
+  const res = await apiGet(`/tile-packs${q}`);
+  return { packs: Array.isArray(res?.packs) ? res.packs : [], usage: res?.usage || null };
+}
+
+/* ------------------------------- device ------------------------------- */
+
+// Local packs, newest first: [{ _id, name, projectId, projectName, bounds, minZoom, maxZoom,
+//   format, version, bytes, tiles, expiresAt, downloadedAt, complete }]
+export async function listLocalTilePacks() {
+  const index = await readIndex();
+  return Object.values(index).sort(
+    (a, b) => new Date(b.downloadedAt || 0) - new Date(a.downloadedAt || 0),
+  );
+}
+
+export async function localTilePackBytes() {
+  const packs = await listLocalTilePacks();
+  return packs.reduce((a, p) => a + (Number(p.bytes) || 0), 0);
+}
+
+/**
+ * Download (or finish downloading) a ready pack.
+ * onProgress({ done, total }) is called as tiles land.
+ */
+export async function downloadTilePack(pack, { onProgress } = {}) {
+  const manifest = await apiGet(`/tile-packs/${pack._id}/manifest`);
+  const meta = manifest?.pack || pack;
+  const tiles = Array.isArray(manifest?.tiles) ? manifest.tiles : [];
+  const totalBytes = tiles.reduce((a, t) => a + (Number(t[3]) || 0), 0);
+
+  try {
+    const free = await FileSystem.getFreeDiskStorageAsync();
+    if (Number.isFinite(free) && free < totalBytes * FREE_SPACE_MARGIN) {
+      throw new Error(
+        `Not enough free space: the pack needs ${Math.ceil(totalBytes / 1048576)} MB.`,
+      );
+    }
+  } catch (e) {
+    if (String(e?.message || "").startsWith("Not enough free space")) throw e;
+    // free-space lookup not supported: carry on
+  }
+
+  const index = await readIndex();
+  const previous = index[meta._id];
+  // a rebuilt pack has a new version: start clean so stale tiles don't linger
+  if (previous && previous.version !== meta.metadata?.version) {
+    await FileSystem.deleteAsync(packDir(meta._id), { idempotent: true });
+  }
+
+  const { headers } = await getAuthHeaders({ json: false });
+  const ext = meta.format || "png";
+  const dirs = new Set();
+  let done = 0;
+  let failed = 0;
+
+  const queue = tiles.slice();
+  async function worker() {
+    for (;;) {
+      const t = queue.shift();
+      if (!t) return;
+      const [z, x, y] = t;
+      const dir = `${packDir(meta._id)}${z}/${x}/`;
+      const file = `${dir}${y}.${ext}`;
+      try {
+        if (!dirs.has(dir)) {
+          await ensureDir(dir);
+          dirs.add(dir);
+        }
+        const info = await FileSystem.getInfoAsync(file);
+        if (!info.exists) {
+          const res = await FileSystem.downloadAsync(
+            buildApiUrl(`/tile-packs/${meta._id}/tiles/${z}/${x}/${y}`),
+            file,
+            { headers },
+          );
+          if (res?.status !== 200) {
+            await FileSystem.deleteAsync(file, { idempotent: true });
+            failed += 1;
+          }
+        }
+      } catch {
+        failed += 1;
+      }
+      done += 1;
+      if (onProgress && (done % 25 === 0 || done === tiles.length)) {
+        onProgress({ done, total: tiles.length });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: PARALLEL }, worker));
+
+  const record = {
+    _id: meta._id,
+    name: meta.name,
+    projectId: String(meta.projectId || ""),
+    projectName: pack.projectName || "",
+    bounds: meta.bounds,
+    minZoom: meta.minZoom,
+    maxZoom: meta.maxZoom,
+    format: ext,
+    attribution: meta.attribution || "",
+    version: meta.metadata?.version || null,
+    bytes: totalBytes,
+    tiles: tiles.length - failed,
+    expiresAt: meta.expiresAt || null,
+    downloadedAt: new Date().toISOString(),
+    complete: failed === 0,
+  };
+  const latest = await readIndex();
+  latest[meta._id] = record;
+  await writeIndex(latest);
+  return { ...record, failed };
+}
+
+export async function removeLocalTilePack(packId) {
+  await FileSystem.deleteAsync(packDir(packId), { idempotent: true });
+  const index = await readIndex();
+  delete index[packId];
+  await writeIndex(index);
+}
+
+// Delete expired packs from the device -> number removed
+export async function purgeExpiredTilePacks() {
+  const index = await readIndex();
+  const expired = Object.values(index).filter((p) => isExpired(p));
+  for (const p of expired) {
+    await FileSystem.deleteAsync(packDir(p._id), { idempotent: true });
+    delete index[p._id];
+  }
+  if (expired.length) await writeIndex(index);
+  return expired.length;
+}
+
+/* -------------------------------- maps -------------------------------- */
+
+// LocalTile wants a plain file path, not a file:// URI
+export function localTileTemplate(pack) {
+  return `${packDir(pack._id)}{z}/{x}/{y}.${pack.format || "png"}`.replace(
+    /^file:\/\//,
+    "",
+  );
+}
+
+// Newest in-date local pack whose extent contains the point, or null
+export async function findLocalTilePackAt(lat, lng) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  const packs = await listLocalTilePacks();
+  return (
+    packs.find(
+      (p) =>
+        !isExpired(p) &&
+        p.bounds &&
+        lat >= p.bounds.south &&
+        lat <= p.bounds.north &&
+        lng >= p.bounds.west &&
+        lng <= p.bounds.east,
+    ) || null
+  );
+}
@@ -0,0 +1,195 @@
+// moat-smartops-mobile/tripTracker.js
+// GPS breadcrumb for vehicle trips (logbook).
+// ✅ Starts when a trip is started, stops when it is ended
+// ✅ Background location task (Android foreground service / iOS background mode) so the
+//    track keeps recording with the screen off; falls back to a foreground watcher when
+//    background permission is refused
+// ✅ Throttled twice: by the OS (time + distance interval) and again here (min spacing,
+//    accuracy cut-off), capped at MAX_POINTS by thinning older points
+// ✅ Points live in AsyncStorage per vehicle until the trip-end event takes them into the
+//    offline outbox (see logbook.jsx -> saveVehicleTrip payload.track)
+//
+// This module must be imported at app start (app/_layout.tsx) so the task is defined
+// before the OS delivers background locations.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Location from "expo-location";
+import * as TaskManager from "expo-task-manager";
+
+export const TRIP_TRACK_TASK = "moat-trip-track";
+
+const ACTIVE_KEY = "@moat:tripTrack:active"; // reg currently being tracked
+const trackKeyForReg = (reg) =>
+  `@moat:tripTrack:${String(reg || "").trim().toUpperCase()}`;
+
+const TIME_INTERVAL_MS = 20 * 1000;
+const DISTANCE_INTERVAL_M = 50;
+const MIN_SPACING_M = 25;
+const MAX_ACCURACY_M = 100;
+const MAX_POINTS = 4000;
+
+let foregroundSub = null;
+let writeChain = Promise.resolve();
+
+function distanceMeters(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+async function readTrack(reg) {
+  try {
+    const raw = await AsyncStorage.getItem(trackKeyForReg(reg));
+    const obj = raw ? JSON.parse(raw) : null;
+    if (obj && Array.isArray(obj.coordinates)) return obj;
+  } catch {}
+  return { coordinates: [], times: [], acc: [] };
+}
+
+// Keep every other point of the older half when the cap is reached
+function thin(track) {
+  const half = Math.floor(track.coordinates.length / 2);
+  const keep = (_, i) => i >= half || i % 2 === 0;
+  return {
+    coordinates: track.coordinates.filter(keep),
+    times: track.times.filter(keep),
+    acc: track.acc.filter(keep),
+  };
+}
+
+/** Append OS location objects to the active trip's track (serialised writes) */
+function appendLocations(locations) {
+  writeChain = writeChain
+    .then(async () => {
+      const reg = await AsyncStorage.getItem(ACTIVE_KEY);
+      if (!reg || !Array.isArray(locations) || !locations.length) return;
+
+      let track = await readTrack(reg);
+      let changed = false;
+
+      for (const loc of locations) {
+        const lat = Number(loc?.coords?.latitude);
+        const lng = Number(loc?.coords?.longitude);
+        const acc = Number(loc?.coords?.accuracy);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+        if (Math.abs(lat) < 0.000001 && Math.abs(lng) < 0.000001) continue;
+        if (Number.isFinite(acc) && acc > MAX_ACCURACY_M) continue;
+
+        const point = [Number(lng.toFixed(6)), Number(lat.toFixed(6))];
+        const prev = track.coordinates[track.coordinates.length - 1];
+        if (prev && distanceMeters(prev, point) < MIN_SPACING_M) continue;
+
+        track.coordinates.push(point);
+        track.times.push(new Date(loc?.timestamp || Date.now()).toISOString());
+        track.acc.push(Number.isFinite(acc) ? Math.round(acc) : null);
+        changed = true;
+
+        if (track.coordinates.length > MAX_POINTS) track = thin(track);
+      }
+
+      if (changed) {
+        await AsyncStorage.setItem(trackKeyForReg(reg), JSON.stringify(track));
+      }
+    })
+    .catch((e) => console.log("[TRIP-TRACK] append failed", e));
+  return writeChain;
+}
+
+TaskManager.defineTask(TRIP_TRACK_TASK, async ({ data, error }) => {
+  if (error) {
+    console.log("[TRIP-TRACK] task error", error);
+    return;
+  }
+  await appendLocations(data?.locations);
+});
+
+async function stopUpdates() {
+  if (foregroundSub) {
+    foregroundSub.remove();
+    foregroundSub = null;
+  }
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(TRIP_TRACK_TASK)) {
+      await Location.stopLocationUpdatesAsync(TRIP_TRACK_TASK);
+    }
+  } catch {}
+}
+
+/**
+ * Start (or resume) recording for a vehicle reg.
+ * Returns "background" | "foreground" | "denied".
+ */
+export async function startTripTracking(reg) {
+  const fg = await Location.requestForegroundPermissionsAsync();
+  if (fg.status !== "granted") return "denied";
+
+  const current = await AsyncStorage.getItem(ACTIVE_KEY);
+  if (current && current !== String(reg)) await stopUpdates();
+  await AsyncStorage.setItem(ACTIVE_KEY, String(reg));
+
+  let bgGranted = false;
+  try {
+    const bg = await Location.requestBackgroundPermissionsAsync();
+    bgGranted = bg.status === "granted";
+  } catch {}
+
+  if (bgGranted) {
+    if (!(await Location.hasStartedLocationUpdatesAsync(TRIP_TRACK_TASK))) {
+      await Location.startLocationUpdatesAsync(TRIP_TRACK_TASK, {
+        accuracy: Location.Accuracy.High,
+        timeInterval: TIME_INTERVAL_MS,
+        distanceInterval: DISTANCE_INTERVAL_M,
+        activityType: Location.ActivityType.AutomotiveNavigation,
+        pausesUpdatesAutomatically: false,
+        showsBackgroundLocationIndicator: true,
+        foregroundService: {
+          notificationTitle: "Trip in progress",
+          notificationBody: "Recording the route for the vehicle logbook.",
+        },
+      });
+    }
+    return "background";
+  }
+
+  // No background permission: record while the app is open
+  if (!foregroundSub) {
+    foregroundSub = await Location.watchPositionAsync(
+      {
+        accuracy: Location.Accuracy.High,
+        timeInterval: TIME_INTERVAL_MS,
+        distanceInterval: DISTANCE_INTERVAL_M,
+      },
+      (loc) => appendLocations([loc]),
+    );
+  }
+  return "foreground";
+}
+
+/** Current recorded points for a reg (without stopping) */
+export async function getTripTrack(reg) {
+  await writeChain;
+  return readTrack(reg);
+}
+
+/**
+ * Stop recording and hand back the track for the trip-end payload.
+ * The stored copy is kept until clearTripTrack() (after the event is in the outbox).
+ */
+export async function stopTripTracking(reg) {
+  const active = await AsyncStorage.getItem(ACTIVE_KEY);
+  if (!active || active === String(reg)) {
+    await stopUpdates();
+    await AsyncStorage.removeItem(ACTIVE_KEY);
+  }
+  await writeChain;
+  const track = await readTrack(reg);
+  return track.coordinates.length ? { type: "LineString", ...track } : null;
+}
+
+export async function clearTripTrack(reg) {
+  await AsyncStorage.removeItem(trackKeyForReg(reg));
+}